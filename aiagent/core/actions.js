@@ -23,6 +23,11 @@ const {
 const {
 	markReservationPendingConfirmation,
 } = require("../../services/pendingConfirmationPolicy");
+const {
+	DEFAULT_CANCELLATION_POLICY,
+	attachCancellationPolicySnapshot,
+	evaluateCancellationPenalty,
+} = require("../../services/cancellationPolicy");
 const { MAX_AI_ROOM_COUNT } = require("./limits");
 const {
 	dispatchReservationConfirmation,
@@ -1049,7 +1054,7 @@ async function getReservationCancellationPolicyForCase({
 		confirmation_number: normalizedConfirmation,
 	})
 		.select(
-			"_id confirmation_number hotelId belongsTo reservation_status state pendingConfirmation agentDecisionSnapshot booked_at createdAt checkin_date checkout_date customer_details total_amount financial_cycle commissionAgentApproval"
+			"_id confirmation_number hotelId belongsTo reservation_status state pendingConfirmation agentDecisionSnapshot booked_at createdAt checkin_date checkout_date customer_details total_amount paid_amount paid_amount_breakdown payment_details.onsite_paid_amount cancellationPolicy financial_cycle commissionAgentApproval"
 		)
 		.lean()
 		.exec();
@@ -1066,7 +1071,12 @@ async function getReservationCancellationPolicyForCase({
 		return { ok: false, code: terminalCode, reservation };
 	}
 
-	const thresholdDays = 14;
+	// The reservation's own snapshotted policy decides; older bookings keep the
+	// platform standard the agent has always quoted.
+	const policy = reservation.cancellationPolicy?.type
+		? reservation.cancellationPolicy
+		: DEFAULT_CANCELLATION_POLICY;
+	const thresholdDays = Number(policy.freeCancellationDays) || 0;
 	const confirmationAge = reservationConfirmationAge(reservation, now);
 	const checkinTiming = reservationDaysBeforeCheckin(reservation, now);
 	const financeLocked =
@@ -1078,6 +1088,8 @@ async function getReservationCancellationPolicyForCase({
 		thresholdDays,
 		financeLocked,
 		oneNightAmount: reservationOneNightAmount(reservation),
+		policyName: policy.name || "",
+		policyType: policy.type || "",
 		...confirmationAge,
 		...checkinTiming,
 	};
@@ -1092,23 +1104,36 @@ async function getReservationCancellationPolicyForCase({
 		};
 	}
 
-	if (checkinTiming.daysBeforeCheckin >= thresholdDays) {
+	const penalty = evaluateCancellationPenalty(reservation, {
+		kind: "cancellation",
+		now,
+		policy,
+	});
+	const penaltyFields = {
+		penaltyAmount: penalty.amount,
+		refundableAmount: penalty.refundableAmount,
+		outstandingAmount: penalty.outstandingAmount,
+	};
+
+	if (penalty.rule === "free_cancellation") {
 		return {
 			ok: true,
 			code: "full_refund",
 			eligibleForCancellation: true,
 			refundPolicy: "full_refund",
 			...base,
+			...penaltyFields,
 		};
 	}
 
-	if (checkinTiming.daysBeforeCheckin > 3) {
+	if (penalty.rule === "first_night") {
 		return {
 			ok: true,
 			code: "one_night_fee",
 			eligibleForCancellation: true,
 			refundPolicy: "one_night_fee",
 			...base,
+			...penaltyFields,
 		};
 	}
 
@@ -1118,6 +1143,7 @@ async function getReservationCancellationPolicyForCase({
 		eligibleForCancellation: false,
 		refundPolicy: "non_refundable",
 		...base,
+		...penaltyFields,
 	};
 }
 
@@ -2343,6 +2369,7 @@ async function createReservationForCase({
 				actual: Number(reservationPayload.total_rooms || 0),
 			});
 		}
+		await attachCancellationPolicySnapshot(reservationPayload);
 		if (typeof beforeInsertGuard === "function") {
 			await timedReservationCreateStep(caseId, "guest_revision_guard", () =>
 				beforeInsertGuard({
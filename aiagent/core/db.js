@@ -6,6 +6,10 @@ const Reservations = require("../../models/reservations");
 const Janat = require("../../models/janat");
 const AiAgentLearning = require("../../models/aiagent_learning");
 const AiAgentTrainingChat = require("../../models/aiagent_training_chat");
+const {
+	findGuestProfileForVerifiedBooking,
+	guestProfileContextForAi,
+} = require("../../services/guestProfiles");
 
 const AI_HOTEL_CONTEXT_CACHE_TTL_MS = Number(
 	process.env.AI_HOTEL_CONTEXT_CACHE_TTL_MS || 60000
@@ -663,6 +667,14 @@ async function getHotelByIdWithPricingDates(id, dateKeys = []) {
 		const hotel = compactHotelForAi(freshHotel);
 		if (!hotel || !dates.length) return hotel;
 
+		// Closed-to-departure lives on the checkout day, one after the last night.
+		const lastNight = dates[dates.length - 1];
+		const restrictionDates = [
+			...dates,
+			new Date(Date.parse(`${lastNight}T00:00:00Z`) + 86400000)
+				.toISOString()
+				.slice(0, 10),
+		];
 		const [pricingDoc] = await HotelDetails.aggregate([
 			{ $match: { _id } },
 			{
@@ -736,6 +748,13 @@ async function getHotelByIdWithPricingDates(id, dateKeys = []) {
 										},
 									},
 								},
+								stayRestrictions: {
+									$filter: {
+										input: { $ifNull: ["$$room.stayRestrictions", []] },
+										as: "restriction",
+										cond: { $in: ["$$restriction.calendarDate", restrictionDates] },
+									},
+								},
 							},
 						},
 					},
@@ -761,11 +780,16 @@ async function getHotelByIdWithPricingDates(id, dateKeys = []) {
 		}
 
 		const byRoomId = new Map();
+		const restrictionsByRoomId = new Map();
 		(pricingDoc?.roomCountDetails || []).forEach((room) => {
 			const compactRows = Array.isArray(room.pricingRate)
 				? room.pricingRate.map(compactPricingRateForAi).filter(Boolean)
 				: [];
 			byRoomId.set(String(room._id || ""), compactRows);
+			restrictionsByRoomId.set(
+				String(room._id || ""),
+				Array.isArray(room.stayRestrictions) ? room.stayRestrictions : []
+			);
 		});
 
 		return {
@@ -775,6 +799,8 @@ async function getHotelByIdWithPricingDates(id, dateKeys = []) {
 						...room,
 						pricingRate:
 							byRoomId.get(String(room._id || "")) || [],
+						stayRestrictions:
+							restrictionsByRoomId.get(String(room._id || "")) || [],
 				  }))
 				: [],
 		};
@@ -989,6 +1015,35 @@ async function listPreviousGuestSupportChats({ supportCase, limit = 4 } = {}) {
 	}
 }
 
+async function getReturningGuestContext({
+	supportCase,
+	confirmation = "",
+	emails = [],
+	phones = [],
+	hotelId,
+} = {}) {
+	const safeHotelId = safeId(hotelId || supportCase?.hotelId);
+	if (!confirmation || !safeHotelId) return null;
+	const { customerEmails } = collectGuestIdentity(supportCase || {});
+	try {
+		const reservation = await Reservations.findOne({
+			confirmation_number: String(confirmation),
+			hotelId: safeHotelId,
+		})
+			.select("_id guestProfileId customer_details.email customer_details.phone")
+			.lean()
+			.exec();
+		const profile = await findGuestProfileForVerifiedBooking(reservation, {
+			emails: [...customerEmails, ...emails],
+			phones,
+		});
+		return guestProfileContextForAi(profile, { hotelId: safeHotelId });
+	} catch (error) {
+		console.error("[aiagent] returning guest lookup failed:", error?.message || error);
+		return null;
+	}
+}
+
 const LEARNING_STOPWORDS = new Set([
 	"about",
 	"active",
@@ -1265,5 +1320,6 @@ module.exports = {
 	listHotelReservationsByExactStay,
 	listRecentHotelReservationsForExistingGuest,
 	listPreviousGuestSupportChats,
+	getReturningGuestContext,
 	listRelevantTrainingChats,
 };
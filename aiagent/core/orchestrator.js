@@ -15,6 +15,7 @@ const {
 	getReservationByConfirmation,
 	listHotelReservationsByExactStay,
 	listRecentHotelReservationsForExistingGuest,
+	getReturningGuestContext,
 } = require("./db");
 const { ensureAIAllowed } = require("./policy");
 const { chat, chatWithState } = require("./openai");
@@ -38,6 +39,7 @@ const {
 	createReservationForCase,
 	updateReservationDatesForCase,
 	dispatchAiReservationConfirmation,
+	getReservationCancellationPolicyForCase,
 } = require("./actions");
 const {
 	reservationPublicLinks,
@@ -12504,7 +12506,14 @@ function priorityBrainRules({
 	].join("\n");
 }
 
-function systemPrompt({ sc, hotel, known, toolResult = null, turnKind = "chat" }) {
+function systemPrompt({
+	sc,
+	hotel,
+	known,
+	toolResult = null,
+	turnKind = "chat",
+	returningGuest = null,
+}) {
 	const agentName = localizedAgentName(sc);
 	const hotelFacts = compactHotelFacts(hotel);
 	const criticalHotelFacts = asObject(hotelFacts.guestFacingEssentials);
@@ -12653,10 +12662,14 @@ function systemPrompt({ sc, hotel, known, toolResult = null, turnKind = "chat" }
 		knownFacts.jannatPlatformTransfer
 			? `This case was just handed over from Jannat Booking platform support to this hotel reception. In your first hotel-reception reply after the handoff, warmly introduce yourself as the hotel reception/reservations representative, acknowledge that Jannat Support passed along the guest's earlier details, and confirm the important known stay facts before asking only the next necessary question or running the right action. Do not ask the guest to repeat details already shown in Known facts or the transcript.`
 			: "",
+		returningGuest
+			? `Returning guest: the guest's confirmation number matches a booking carrying this chat's contact, and that guest completed earlier stays with Jannat Booking (see Returning guest profile). Welcome them back warmly once and use their saved preferences when suggesting rooms. Never mention earlier dates, prices, other confirmation numbers, or other hotels from this profile.`
+			: "",
 		responseSchemaPrompt(),
 		`Support case intent:\n${JSON.stringify(supportIntent, null, 2)}`,
 		`Hotel facts:\n${JSON.stringify(hotelFacts, null, 2)}`,
 		`Known facts so far, authoritative:\n${JSON.stringify(knownFacts, null, 2)}`,
+		returningGuest ? `Returning guest profile:\n${JSON.stringify(returningGuest, null, 2)}` : "",
 		toolResult ? `Tool result:\n${JSON.stringify(toolResult, null, 2)}` : "",
 	]
 		.filter(Boolean)
@@ -12737,6 +12750,21 @@ async function saveOpenAiThreadState(caseId = "", state = {}) {
 	});
 }
 
+// A guest profile is only used once the guest has given a confirmation number
+// whose reservation carries the same email or phone as this chat.
+async function returningGuestForPrompt(sc = {}, known = {}, hotel = {}) {
+	if (!known.confirmation) return null;
+	const emails = [cleanEmail(known.email), cleanEmail(sc.clientContact)].filter(Boolean);
+	const phones = [cleanPhone(known.phone), profilePhoneForBooking(sc)].filter(Boolean);
+	return getReturningGuestContext({
+		supportCase: sc,
+		confirmation: known.confirmation,
+		emails,
+		phones,
+		hotelId: hotel?._id || sc?.hotelId,
+	}).catch(() => null);
+}
+
 async function askOpenAI({
 	sc,
 	hotel,
@@ -12762,10 +12790,11 @@ async function askOpenAI({
 						"No guest request has been sent yet. Use this widget topic only as routing context; greet, identify yourself, and ask how you can help. Do not collect dates, rooms, guest count, price, or availability details until the guest sends an actual request.",
 			  }
 			: supportIntent;
+	const returningGuest = await returningGuestForPrompt(sc, known, hotel);
 	const messages = [
 		{
 			role: "system",
-			content: systemPrompt({ sc, hotel, known, toolResult, turnKind }),
+			content: systemPrompt({ sc, hotel, known, toolResult, turnKind, returningGuest }),
 		},
 		{
 			role: "user",
@@ -13643,6 +13672,12 @@ async function quoteTool(sc = {}, known = {}) {
 				unavailableDates: Array.isArray(quote?.blockedDates)
 					? quote.blockedDates.slice(0, 10)
 					: [],
+				...(quote?.restriction
+					? {
+							restriction: quote.restriction,
+							restrictionMessage: quote.restrictionMessage || "",
+					  }
+					: {}),
 			});
 			continue;
 		}
@@ -18875,6 +18910,7 @@ function quoteReplyFormattingInstruction() {
 		"If toolResult.roomPlanAdjusted is true, say the exact original mix cannot be offered as requested, list only the requested mix and the exact recommended mix, and ask the guest to confirm it. Never disclose the hotel's configured, remaining, total, or available stock.",
 		"If toolResult.singleRoomMappedToDouble is true, explain naturally that a double room can be reserved for one guest/single occupancy; do not claim a separate single room exists.",
 		"If unavailable, clearly say the requested stay/room count is not available or there are not enough rooms, mention every requested room selection from toolResult.roomSelections and any firstUnavailableDate, and offer alternatives, different dates, or room-count adjustment; do not collapse a mixed-room request into one room type, and do not show total/price as 0.",
+		"If toolResult.code is stay_restricted, the hotel has a stay rule for those dates: use unavailableSelections[].restrictionMessage to explain it (for example a minimum number of nights or closed arrival day) and offer to adjust the dates or length of stay; do not say the hotel is full.",
 		"If toolResult.code is same_day_checkin_not_supported, explicitly say the requested check-in is unavailable/not bookable through chat. toolResult.minCheckinISO is only the earliest date the chat can start checking; do not invite the guest to book/search from that date as the solution, and do not call it available or recommended unless an alternatives/availability tool result proves availability. Offer the Alternative dates button or changing details.",
 	].join(" ");
 }
@@ -21345,6 +21381,29 @@ async function handleBrainLookup(io, sc = {}, hotel = {}, known = {}, latestGues
 
 async function handleBrainCancel(io, sc = {}, hotel = {}, known = {}, latestGuest = null, typingStartedAt = 0) {
 	const fallback = buildCancelReservationContactMessage(sc, hotel, known, latestGuest);
+	// Quote the booking's own snapshotted policy when we know which booking it is;
+	// the generic hotel line stays as the fallback.
+	let reservationPolicy = null;
+	if (known.confirmation) {
+		try {
+			const policyResult = await getReservationCancellationPolicyForCase({
+				confirmation: known.confirmation,
+				hotel,
+			});
+			if (policyResult?.ok) {
+				reservationPolicy = {
+					code: policyResult.code,
+					refundPolicy: policyResult.refundPolicy,
+					policyName: policyResult.policyName || "",
+					penaltyAmount: policyResult.penaltyAmount ?? null,
+					refundableAmount: policyResult.refundableAmount ?? null,
+					daysBeforeCheckin: policyResult.daysBeforeCheckin ?? null,
+				};
+			}
+		} catch (error) {
+			console.error("[aiagent] cancellation policy lookup failed:", error?.message || error);
+		}
+	}
 	return sendBrainToolReplyFromOpenAI({
 		io,
 		sc,
@@ -21358,6 +21417,7 @@ async function handleBrainCancel(io, sc = {}, hotel = {}, known = {}, latestGues
 			contactPhone: RESERVATION_CHANGE_CONTACT_PHONE,
 			whatsapp: RESERVATION_CHANGE_CONTACT_WHATSAPP,
 			policy: localizedCancellationPolicyLine(hotel, activeLanguageCode(sc, known)),
+			reservationPolicy,
 			instruction:
 				"The guest must WhatsApp or call to cancel or change status. Do not say the reservation was canceled in chat.",
 		},
@@ -6,6 +6,10 @@ const {
 	isCalendarRowBlocked,
 	normalizeRoomCapacity,
 } = require("../../services/hotelOpenAiKnowledge");
+const {
+	describeStayRestrictionViolation,
+	evaluateStayRestrictions,
+} = require("../../services/stayRestrictions");
 
 const DAY_MS = 24 * 60 * 60 * 1000;
 const DEFAULT_PRICING_COVERAGE_THROUGH = "2027-04-15";
@@ -307,6 +311,24 @@ function priceRoomForStay(hotel, roomReference = {}, checkinISO, checkoutISO) {
 		};
 	}
 
+	// Minimum/maximum stay, closed arrival/departure and stop-sell from the
+	// calendar settings make the stay unbookable as asked, whatever the price.
+	const restrictions = evaluateStayRestrictions(room, checkinISO, checkoutISO);
+	if (!restrictions.allowed) {
+		const violation = restrictions.violations[0];
+		return {
+			available: false,
+			reason: "stay_restricted",
+			currency: hotel?.currency || "SAR",
+			room,
+			nights,
+			firstBlockedDate: violation.date,
+			blockedDates: [violation.date],
+			restriction: violation,
+			restrictionMessage: describeStayRestrictionViolation(violation),
+		};
+	}
+
 	// baselines
 	const basePrice = num(room?.price?.basePrice, 0); // exact guest fallback price
 	const defaultCost = num(room?.defaultCost, 0); // internal settlement value only
@@ -3,6 +3,8 @@ const HotelDetails = require("../models/hotel_details");
 const HouseKeeping = require("../models/housekeeping");
 const Rooms = require("../models/rooms");
 const User = require("../models/user");
+const GroupBooking = require("../models/group_booking");
+const PromoCode = require("../models/promo_code");
 const mongoose = require("mongoose");
 const moment = require("moment-timezone");
 const ObjectId = mongoose.Types.ObjectId;
@@ -67,6 +69,8 @@ const {
 	paymentAmountCentsExpression,
 	summarizeReservationReconciliation,
 } = require("../services/paymentReconciliation");
+const { summarizeGroupTotals } = require("../services/groupBooking");
+const { REFUND_BREAKDOWN_KEY } = require("../services/paymentRefunds");
 
 const DEFAULT_TIMEZONE = "Asia/Riyadh";
 const PAGE_START_DATE_UTC = new Date(Date.UTC(2025, 4, 1, 0, 0, 0, 0));
@@ -3957,11 +3961,13 @@ function buildBaseRoomTypes(
 				bedsCount: safeNumber(r.bedsCount),
 				color: r.roomColor || null,
 				derived: false,
+				roomIds: r._id ? [String(r._id)] : [],
 			});
 		} else {
 			const prev = aggregated.get(key);
 			prev.totalRooms += totalRooms;
 			prev.rawRoomCount += rawCount;
+			if (r._id) prev.roomIds.push(String(r._id));
 		}
 	}
 
@@ -4532,6 +4538,28 @@ async function computeOccupancy({
 		};
 }
 
+// Occupancy for a stay-date range with the calendar's default filters, for
+// callers outside this report (pricing recommendations).
+exports.computeHotelOccupancy = async ({
+	hotelId,
+	start,
+	end,
+	reservationVisibilityActor = null,
+}) => {
+	const range = parseCustomRange(start, end);
+	if (!range) {
+		return { error: { code: 400, message: "A valid occupancy range is required" } };
+	}
+	return computeOccupancy({
+		hotelId,
+		...range,
+		displayMode: "displayName",
+		includeCancelled: false,
+		paymentStatusFilter: new Set(),
+		reservationVisibilityActor,
+	});
+};
+
 // -------------------------------
 // Calendar endpoint
 // -------------------------------
@@ -5162,6 +5190,14 @@ const buildPaidBreakdownScorecards = async (
 					_id: null,
 					totalAmount: { $sum: "$total_amount_safe" },
 					paidAmount: { $sum: "$paid_amount_safe" },
+					refundsTotal: {
+						$sum: {
+							$ifNull: [
+								`$paid_amount_breakdown.${REFUND_BREAKDOWN_KEY}`,
+								0,
+							],
+						},
+					},
 					reconciliationTotalCents: {
 						$sum: "$reconciliation_total_cents",
 					},
@@ -5219,6 +5255,7 @@ const buildPaidBreakdownScorecards = async (
 			? financialSummary.totalAmount
 			: safeNumber(summary.totalAmount),
 		paidAmount: safeNumber(summary.paidAmount),
+		refundsTotal: safeNumber(summary.refundsTotal),
 		breakdownTotals,
 		totalMode,
 		financialMetadata: financialSummary?.metadata || null,
@@ -5325,6 +5362,7 @@ exports.paidBreakdownReportAdmin = async (req, res) => {
 			const breakdown = reservation.paid_amount_breakdown || {};
 			const paidTotal = computePaidBreakdownTotal(breakdown);
 			const paidTotalCents = Math.round(paidTotal * 100);
+			const refundsTotal = safeNumber(breakdown[REFUND_BREAKDOWN_KEY]);
 			const financialTotals = resolveAdminReservationFinancialTotals(reservation);
 			const selectedFinancialAmount = resolveAdminReportFinancialAmount(
 				reservation,
@@ -5343,6 +5381,9 @@ exports.paidBreakdownReportAdmin = async (req, res) => {
 			return {
 				...reservationWithoutRawReconciliation,
 				paid_breakdown_total: paidTotal,
+				paid_breakdown_refunds: refundsTotal,
+				paid_breakdown_net_total:
+					Math.round((paidTotal + refundsTotal) * 100) / 100,
 				gross_total_amount: financialTotals.grossTotalAmount,
 				net_total_amount: financialTotals.netTotalAmount,
 				financial_totals_currency: financialTotals.currency || null,
@@ -5451,3 +5492,240 @@ exports.paidBreakdownReportHotel = async (req, res) => {
 		return res.status(500).json({ error: err.message });
 	}
 };
+
+/* ------------------------------------------------------------------
+   Group bookings report
+   Contract vs pick-up per group, with child reservation totals
+   recomputed from the live reservations.
+   ------------------------------------------------------------------ */
+exports.groupBookingsReport = async (req, res) => {
+	try {
+		const filter = {};
+		const hotelIds = String(req.query.hotelId || req.query.hotelIds || "")
+			.split(",")
+			.map((id) => id.trim())
+			.filter((id) => ObjectId.isValid(id));
+		if (hotelIds.length) filter.hotelId = { $in: hotelIds };
+		if (req.query.agentId && ObjectId.isValid(req.query.agentId)) {
+			filter.agentId = req.query.agentId;
+		}
+		if (req.query.status && req.query.status !== "all") {
+			filter.status = String(req.query.status);
+		}
+		const start = req.query.startDate
+			? moment.utc(req.query.startDate, "YYYY-MM-DD", true)
+			: null;
+		const end = req.query.endDate
+			? moment.utc(req.query.endDate, "YYYY-MM-DD", true)
+			: null;
+		if ((start && !start.isValid()) || (end && !end.isValid())) {
+			return res
+				.status(400)
+				.json({ error: "startDate/endDate must be YYYY-MM-DD" });
+		}
+		if (start || end) {
+			filter["contract.checkin_date"] = {
+				...(start ? { $gte: start.toDate() } : {}),
+				...(end ? { $lt: end.clone().add(1, "day").toDate() } : {}),
+			};
+		}
+
+		const groups = await GroupBooking.find(filter)
+			.select("-roomingList -auditLog")
+			.populate("hotelId", "hotelName")
+			.populate("agentId", "name email companyName")
+			.sort({ "contract.checkin_date": 1 })
+			.lean();
+		const childIds = groups.flatMap((group) => group.childReservationIds || []);
+		const children = childIds.length
+			? await Reservations.find({ _id: { $in: childIds } })
+					.select("_id groupBookingId reservation_status total_amount paid_amount")
+					.lean()
+			: [];
+		const childrenByGroup = children.reduce((acc, child) => {
+			const key = String(child.groupBookingId || "");
+			(acc[key] = acc[key] || []).push(child);
+			return acc;
+		}, {});
+
+		const data = groups.map((group) => {
+			const groupChildren = childrenByGroup[String(group._id)] || [];
+			const totals = summarizeGroupTotals(group, groupChildren);
+			return {
+				_id: group._id,
+				groupName: group.groupName,
+				groupCode: group.groupCode,
+				status: group.status,
+				hotelId: group.hotelId?._id || group.hotelId,
+				hotelName: group.hotelId?.hotelName || "",
+				agent: group.agentId || null,
+				checkin_date: group.contract?.checkin_date,
+				checkout_date: group.contract?.checkout_date,
+				cutoffDate: group.contract?.cutoffDate,
+				currency: group.contract?.currency || "SAR",
+				...totals,
+				pickupRate:
+					totals.contractedRooms > 0
+						? totals.pickedUpRooms / totals.contractedRooms
+						: 0,
+				paidAmount: Number(
+					groupChildren
+						.reduce((sum, child) => sum + safeNumber(child.paid_amount), 0)
+						.toFixed(2)
+				),
+			};
+		});
+
+		const summary = data.reduce(
+			(acc, row) => {
+				acc.groups += 1;
+				acc.contractedRooms += row.contractedRooms;
+				acc.pickedUpRooms += row.pickedUpRooms;
+				acc.contractAmount += row.contractAmount;
+				acc.reservedAmount += row.reservedAmount;
+				acc.depositsDue += row.depositsDue;
+				acc.depositsPaid += row.depositsPaid;
+				acc.paidAmount += row.paidAmount;
+				return acc;
+			},
+			{
+				groups: 0,
+				contractedRooms: 0,
+				pickedUpRooms: 0,
+				contractAmount: 0,
+				reservedAmount: 0,
+				depositsDue: 0,
+				depositsPaid: 0,
+				paidAmount: 0,
+			}
+		);
+		Object.keys(summary).forEach((key) => {
+			if (key !== "groups" && key !== "contractedRooms" && key !== "pickedUpRooms") {
+				summary[key] = Number(summary[key].toFixed(2));
+			}
+		});
+
+		return res.json({ data, summary });
+	} catch (err) {
+		console.error("Error in groupBookingsReport:", err);
+		return res.status(500).json({ error: err.message });
+	}
+};
+
+/* ------------------------------------------------------------------
+   Promo codes report
+   Bookings, discounts and revenue per code for reservations created
+   in the window, next to each code's usage against its cap.
+   ------------------------------------------------------------------ */
+exports.promoCodesReport = async (req, res) => {
+	try {
+		const match = { "promo.code": { $exists: true, $ne: null } };
+		const hotelIds = String(req.query.hotelId || req.query.hotelIds || "")
+			.split(",")
+			.map((id) => id.trim())
+			.filter((id) => ObjectId.isValid(id));
+		if (hotelIds.length) {
+			match.hotelId = { $in: hotelIds.map((id) => new ObjectId(id)) };
+		}
+		if (req.query.code) {
+			match["promo.code"] = String(req.query.code).trim().toUpperCase();
+		}
+		const start = req.query.startDate
+			? moment.utc(req.query.startDate, "YYYY-MM-DD", true)
+			: null;
+		const end = req.query.endDate
+			? moment.utc(req.query.endDate, "YYYY-MM-DD", true)
+			: null;
+		if ((start && !start.isValid()) || (end && !end.isValid())) {
+			return res
+				.status(400)
+				.json({ error: "startDate/endDate must be YYYY-MM-DD" });
+		}
+		if (start || end) {
+			match.createdAt = {
+				...(start ? { $gte: start.toDate() } : {}),
+				...(end ? { $lt: end.clone().add(1, "day").toDate() } : {}),
+			};
+		}
+
+		const cancelled = {
+			$regexMatch: {
+				input: { $toLower: { $ifNull: ["$reservation_status", ""] } },
+				regex: "cancel",
+			},
+		};
+		const rows = await Reservations.aggregate([
+			{ $match: withPlatformHotelScope(req, match) },
+			{
+				$group: {
+					_id: "$promo.code",
+					bookings: { $sum: 1 },
+					cancelledBookings: { $sum: { $cond: [cancelled, 1, 0] } },
+					discountSar: {
+						$sum: { $cond: [cancelled, 0, numberExpression("$promo.discountSar")] },
+					},
+					grossAmount: {
+						$sum: {
+							$cond: [cancelled, 0, numberExpression("$promo.amountBeforeDiscount")],
+						},
+					},
+					netAmount: {
+						$sum: { $cond: [cancelled, 0, numberExpression("$total_amount")] },
+					},
+					hotelIds: { $addToSet: "$hotelId" },
+					firstBookingAt: { $min: "$createdAt" },
+					lastBookingAt: { $max: "$createdAt" },
+				},
+			},
+			{ $sort: { bookings: -1, _id: 1 } },
+		]);
+
+		const promoCodes = await PromoCode.find({ code: { $in: rows.map((row) => row._id) } })
+			.select("code description discountType value active usedCount maxUses validUntil")
+			.lean();
+		const promoByCode = new Map(promoCodes.map((promo) => [promo.code, promo]));
+
+		const data = rows.map((row) => {
+			const promo = promoByCode.get(row._id) || {};
+			return {
+				code: row._id,
+				description: promo.description || "",
+				discountType: promo.discountType || "",
+				value: promo.value ?? null,
+				active: promo.active ?? false,
+				usedCount: promo.usedCount || 0,
+				maxUses: promo.maxUses || 0,
+				validUntil: promo.validUntil || null,
+				bookings: row.bookings,
+				cancelledBookings: row.cancelledBookings,
+				hotels: row.hotelIds.length,
+				discountSar: Number(row.discountSar.toFixed(2)),
+				grossAmount: Number(row.grossAmount.toFixed(2)),
+				netAmount: Number(row.netAmount.toFixed(2)),
+				firstBookingAt: row.firstBookingAt,
+				lastBookingAt: row.lastBookingAt,
+			};
+		});
+
+		const summary = data.reduce(
+			(acc, row) => {
+				acc.codes += 1;
+				acc.bookings += row.bookings;
+				acc.cancelledBookings += row.cancelledBookings;
+				acc.discountSar += row.discountSar;
+				acc.grossAmount += row.grossAmount;
+				acc.netAmount += row.netAmount;
+				return acc;
+			},
+			{ codes: 0, bookings: 0, cancelledBookings: 0, discountSar: 0, grossAmount: 0, netAmount: 0 }
+		);
+		["discountSar", "grossAmount", "netAmount"].forEach((key) => {
+			summary[key] = Number(summary[key].toFixed(2));
+		});
+
+		return res.json({ data, summary });
+	} catch (err) {
+		console.error("Error in promoCodesReport:", err);
+		return res.status(500).json({ error: err.message });
+	}
+};
@@ -6,6 +6,7 @@ const mongoose = require("mongoose");
 const cloudinary = require("cloudinary");
 const AgentWallet = require("../models/agent_wallet");
 const Reservations = require("../models/reservations");
+const GroupBooking = require("../models/group_booking");
 const User = require("../models/user");
 const HotelDetails = require("../models/hotel_details");
 const ActivityTracker = require("../models/activity_tracker");
@@ -765,6 +766,36 @@ const calculateAgentWalletSummary = async ({
 				.exec(),
 		]);
 
+	const groupBookings = await GroupBooking.find({
+		agentId: ObjectId(agentId),
+		status: { $ne: "cancelled" },
+		...(scopeHotelIds.length ? { hotelId: { $in: toObjectIds(scopeHotelIds) } } : {}),
+	})
+		.select("_id hotelId groupName groupCode status contract.checkin_date contract.checkout_date contract.cutoffDate totals")
+		.sort({ "contract.checkin_date": -1 })
+		.lean()
+		.exec();
+	const groupTotals = groupBookings.reduce(
+		(acc, group) => {
+			const totals = group.totals || {};
+			acc.contractedRooms += Number(totals.contractedRooms) || 0;
+			acc.pickedUpRooms += Number(totals.pickedUpRooms) || 0;
+			acc.contractAmount += moneyNumber(totals.contractAmount);
+			acc.reservedAmount += moneyNumber(totals.reservedAmount);
+			acc.depositsDue += moneyNumber(totals.depositsDue);
+			acc.depositsPaid += moneyNumber(totals.depositsPaid);
+			return acc;
+		},
+		{
+			contractedRooms: 0,
+			pickedUpRooms: 0,
+			contractAmount: 0,
+			reservedAmount: 0,
+			depositsDue: 0,
+			depositsPaid: 0,
+		}
+	);
+
 	const transactionTotals = allTransactions.reduce(
 		(acc, tx) => {
 			const amount = n2(tx.amount);
@@ -903,6 +934,22 @@ const calculateAgentWalletSummary = async ({
 		rejectedWalletClaimAmount: n2(
 			rejectedWalletClaims.reduce((sum, tx) => sum + moneyNumber(tx.amount), 0)
 		),
+		// Group child reservations are already part of the reservation totals
+		// above; this block only adds the contract view per group.
+		groupBookings: {
+			count: groupBookings.length,
+			contractedRooms: groupTotals.contractedRooms,
+			pickedUpRooms: groupTotals.pickedUpRooms,
+			contractAmount: n2(groupTotals.contractAmount),
+			reservedAmount: n2(groupTotals.reservedAmount),
+			depositsDue: n2(groupTotals.depositsDue),
+			depositsPaid: n2(groupTotals.depositsPaid),
+			groups: groupBookings.map((group) => ({
+				...group,
+				hotelId: normalizeId(group.hotelId),
+				hotelName: scopeHotelMap.get(normalizeId(group.hotelId))?.hotelName || "",
+			})),
+		},
 		transactions: decoratedTransactions,
 		reservations: decoratedReservations,
 	};
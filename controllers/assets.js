@@ -1902,6 +1902,124 @@ const ReservationVerificationEmail = ({
 	return email;
 };
 
+const BookingRecoveryEmail = ({
+	name,
+	hotelName,
+	checkinDate,
+	checkoutDate,
+	resumeUrl,
+}) => {
+	const formattedHotelName = hotelName || "Jannat Booking";
+	const formatDate = (value) =>
+		value ? moment(value).tz("Asia/Riyadh").format("dddd, MMMM Do YYYY") : "";
+	const stayLine =
+		checkinDate && checkoutDate
+			? `<p>Your stay: <strong>${formatDate(checkinDate)}</strong> to <strong>${formatDate(checkoutDate)}</strong>.</p>`
+			: "";
+
+	return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Complete Your Reservation</title>
+          <style>
+              body {
+                  font-family: Arial, sans-serif;
+                  margin: 0;
+                  padding: 0;
+                  background-color: #f2f4f8;
+              }
+              .email-container {
+                  background-color: #ffffff;
+                  max-width: 700px;
+                  margin: 30px auto;
+                  padding: 20px;
+                  border-radius: 8px;
+                  box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
+              }
+              table {
+                  width: 100%;
+                  border-collapse: collapse;
+              }
+              .header {
+                  background: #1e2332;
+                  color: #ffffff;
+                  text-align: center;
+                  padding: 20px;
+                  font-size: 1.8rem;
+                  font-weight: bold;
+              }
+              .content {
+                  padding: 20px;
+                  color: #333333;
+                  line-height: 1.6;
+              }
+              .button-container {
+                  text-align: center;
+                  margin: 30px 0;
+              }
+              .button {
+                  background: #005900;
+                  color: #ffffff;
+                  text-decoration: none;
+                  padding: 20px 40px;
+                  border-radius: 8px;
+                  font-weight: bold;
+                  display: inline-block;
+              }
+              .footer {
+                  background: #1e2332;
+                  color: #ffffff;
+                  text-align: center;
+                  padding: 15px;
+                  font-size: 0.9rem;
+              }
+              .footer a {
+                  color: #ffc107;
+                  text-decoration: none;
+                  font-weight: bold;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="email-container">
+              <table>
+                  <tr>
+                      <td class="header">
+                          ${formattedHotelName} | Complete Your Reservation
+                      </td>
+                  </tr>
+                  <tr>
+                      <td class="content">
+                          <h2>Hi ${name?.split(" ")[0] || "Valued Guest"},</h2>
+                          <p>
+                              You started a reservation at <strong>${formattedHotelName}</strong> but did not finish it. We saved your choices so you can pick up where you left off.
+                          </p>
+                          ${stayLine}
+                          <div class="button-container">
+                              <a href="${resumeUrl}" target="_blank" class="button" style="color: #f9f9f9; font-size:1.5rem;">
+                                  Complete Reservation
+                              </a>
+                          </div>
+                          <p>Rooms and prices are confirmed again when you book.</p>
+                      </td>
+                  </tr>
+                  <tr>
+                      <td class="footer">
+                          <p>If you have any inquiries, please <a href="https://jannatbooking.com">contact us</a>.</p>
+                          <p>Best Regards,<br>Jannat Booking Administration</p>
+                          <p>Email: support@jannatbooking.com</p>
+                      </td>
+                  </tr>
+              </table>
+          </div>
+      </body>
+      </html>
+    `;
+};
+
 function newSupportCaseEmail(supportCase, hotelName) {
 	// Convert creation date to Saudi time (if relevant):
 	// (If you prefer local times or want to show exactly when it was opened.)
@@ -2103,6 +2221,7 @@ module.exports = {
 	receiptPdfTemplate: renderOfficialReceiptHtml,
 	SendingReservationLinkEmail,
 	ReservationVerificationEmail,
+	BookingRecoveryEmail,
 	newSupportCaseEmail,
 	SendingReservationLinkEmailTrigger,
 	paymentTriggered,
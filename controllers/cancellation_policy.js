@@ -0,0 +1,225 @@
+/** @format */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const HotelDetails = require("../models/hotel_details");
+const Reservations = require("../models/reservations");
+const {
+	CancellationPolicyError,
+	DEFAULT_CANCELLATION_POLICY,
+	buildPolicyAuditEntry,
+	describeCancellationPolicy,
+	evaluateCancellationPenalty,
+	normalizeCancellationPolicyInput,
+} = require("../services/cancellationPolicy");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+const PREVIEW_RESERVATION_SELECT =
+	"_id hotelId confirmation_number reservation_status state checkin_date checkout_date total_amount currency paid_amount paid_amount_breakdown payment_details.onsite_paid_amount pickedRoomsType cancellationPolicy cancellationPenalty";
+
+const sendCancellationPolicyError = (res, error, fallback) => {
+	if (error instanceof CancellationPolicyError || error?.statusCode) {
+		return res
+			.status(error.statusCode || 400)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`[cancellation-policy] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadPolicies = async (hotelId) => {
+	const hotel = await HotelDetails.findById(hotelId)
+		.select("_id cancellationPolicies")
+		.lean()
+		.exec();
+	return Array.isArray(hotel?.cancellationPolicies)
+		? hotel.cancellationPolicies
+		: [];
+};
+
+const policyRows = (policies = []) =>
+	policies.map((policy) => ({
+		...policy,
+		description: describeCancellationPolicy(policy),
+	}));
+
+// Only one active policy may be the hotel default; setting a new one clears
+// the flag on the rest.
+const clearOtherDefaults = (hotelId, keepId) =>
+	HotelDetails.updateOne(
+		{ _id: hotelId },
+		{ $set: { "cancellationPolicies.$[other].isDefault": false } },
+		{ arrayFilters: [{ "other._id": { $ne: keepId } }] }
+	).exec();
+
+exports.listCancellationPolicies = async (req, res) => {
+	try {
+		const policies = await loadPolicies(req.operationsHotel._id);
+		return res.json({
+			policies: policyRows(policies),
+			platformDefault: {
+				...DEFAULT_CANCELLATION_POLICY,
+				description: describeCancellationPolicy(DEFAULT_CANCELLATION_POLICY),
+			},
+		});
+	} catch (error) {
+		return sendCancellationPolicyError(
+			res,
+			error,
+			"Could not list cancellation policies."
+		);
+	}
+};
+
+exports.createCancellationPolicy = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const policy = {
+			_id: new ObjectId(),
+			...normalizeCancellationPolicyInput(req.body || {}),
+		};
+		const auditEntry = buildPolicyAuditEntry({
+			action: "cancellation_policy_created",
+			actor: buildActorSnapshot(req.operationsActor),
+			policyId: policy._id,
+			policy,
+		});
+		await HotelDetails.updateOne(
+			{ _id: hotelId },
+			{
+				$push: {
+					cancellationPolicies: policy,
+					operationsAuditLog: auditEntry,
+				},
+			}
+		).exec();
+		if (policy.isDefault) await clearOtherDefaults(hotelId, policy._id);
+
+		return res.status(201).json({
+			policies: policyRows(await loadPolicies(hotelId)),
+		});
+	} catch (error) {
+		return sendCancellationPolicyError(
+			res,
+			error,
+			"Could not create cancellation policy."
+		);
+	}
+};
+
+exports.updateCancellationPolicy = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const { policyId } = req.params;
+		if (!ObjectId.isValid(policyId)) {
+			return res.status(400).json({ error: "Invalid policy id." });
+		}
+		const policy = normalizeCancellationPolicyInput(req.body || {});
+		const $set = {};
+		Object.keys(policy).forEach((field) => {
+			$set[`cancellationPolicies.$.${field}`] = policy[field];
+		});
+		const auditEntry = buildPolicyAuditEntry({
+			action: "cancellation_policy_updated",
+			actor: buildActorSnapshot(req.operationsActor),
+			policyId: ObjectId(policyId),
+			policy,
+		});
+		const result = await HotelDetails.updateOne(
+			{ _id: hotelId, "cancellationPolicies._id": ObjectId(policyId) },
+			{ $set, $push: { operationsAuditLog: auditEntry } }
+		).exec();
+		if (!result?.matchedCount && !result?.n) {
+			return res.status(404).json({ error: "Cancellation policy not found." });
+		}
+		if (policy.isDefault) await clearOtherDefaults(hotelId, ObjectId(policyId));
+
+		return res.json({ policies: policyRows(await loadPolicies(hotelId)) });
+	} catch (error) {
+		return sendCancellationPolicyError(
+			res,
+			error,
+			"Could not update cancellation policy."
+		);
+	}
+};
+
+// Policies are deactivated rather than removed: reservations keep their own
+// snapshot, and the record explains where that snapshot came from.
+exports.deactivateCancellationPolicy = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const { policyId } = req.params;
+		if (!ObjectId.isValid(policyId)) {
+			return res.status(400).json({ error: "Invalid policy id." });
+		}
+		const result = await HotelDetails.updateOne(
+			{ _id: hotelId, "cancellationPolicies._id": ObjectId(policyId) },
+			{
+				$set: {
+					"cancellationPolicies.$.active": false,
+					"cancellationPolicies.$.isDefault": false,
+				},
+				$push: {
+					operationsAuditLog: buildPolicyAuditEntry({
+						action: "cancellation_policy_deactivated",
+						actor: buildActorSnapshot(req.operationsActor),
+						policyId: ObjectId(policyId),
+					}),
+				},
+			}
+		).exec();
+		if (!result?.matchedCount && !result?.n) {
+			return res.status(404).json({ error: "Cancellation policy not found." });
+		}
+		return res.json({ policies: policyRows(await loadPolicies(hotelId)) });
+	} catch (error) {
+		return sendCancellationPolicyError(
+			res,
+			error,
+			"Could not deactivate cancellation policy."
+		);
+	}
+};
+
+exports.previewReservationPenalty = async (req, res) => {
+	try {
+		const { reservationId } = req.params;
+		if (!ObjectId.isValid(reservationId)) {
+			return res.status(400).json({ error: "Invalid reservation id." });
+		}
+		const reservation = await Reservations.findOne({
+			_id: reservationId,
+			hotelId: req.operationsHotel._id,
+		})
+			.select(PREVIEW_RESERVATION_SELECT)
+			.lean()
+			.exec();
+		if (!reservation) {
+			return res.status(404).json({ error: "Reservation not found." });
+		}
+		const kind = req.query.kind === "no_show" ? "no_show" : "cancellation";
+		const policy = reservation.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+		return res.json({
+			reservationId: reservation._id,
+			confirmation_number: reservation.confirmation_number,
+			policy,
+			policySnapshotted: Boolean(reservation.cancellationPolicy),
+			description: describeCancellationPolicy(policy),
+			assessedPenalty: reservation.cancellationPenalty || null,
+			preview: evaluateCancellationPenalty(reservation, {
+				kind,
+				policy,
+				hotelCurrency: req.operationsHotel.currency,
+			}),
+		});
+	} catch (error) {
+		return sendCancellationPolicyError(
+			res,
+			error,
+			"Could not preview the cancellation penalty."
+		);
+	}
+};
@@ -0,0 +1,358 @@
+/** @format */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const Reservations = require("../models/reservations");
+const {
+	FolioError,
+	assertReservationOpenForPosting,
+	buildFolio,
+	buildFolioSettlement,
+	describeFolioCharge,
+	findFolio,
+	folioAuditEntry,
+	normalizeFolioChargeInput,
+	planChargeTransfer,
+	summarizeReservationFolios,
+} = require("../services/folio");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+const { buildRecordedHotelPaymentUpdate } = require("./reservations");
+
+const ObjectId = mongoose.Types.ObjectId;
+const FOLIO_RESERVATION_SELECT =
+	"_id hotelId confirmation_number customer_details.name reservation_status state checkin_date checkout_date total_amount paid_amount_breakdown folios";
+// Settlement recomputes the financial cycle, which reads most of the booking.
+const FOLIO_SETTLEMENT_SELECT = "-adminChangeLog -reservationAuditLog";
+
+const sendFolioError = (res, error, fallback) => {
+	if (error instanceof FolioError || error?.statusCode) {
+		return res.status(error.statusCode || 400).json({
+			error: error.message,
+			code: error.code,
+			...(error.folios ? { folios: error.folios } : {}),
+		});
+	}
+	console.error(`[folio] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadHotelReservation = async (req, select = FOLIO_RESERVATION_SELECT) => {
+	const { reservationId } = req.params;
+	if (!ObjectId.isValid(reservationId)) {
+		throw new FolioError("Invalid reservation id.", "reservation_id_invalid");
+	}
+	const reservation = await Reservations.findOne({
+		_id: reservationId,
+		hotelId: req.operationsHotel._id,
+	})
+		.select(select)
+		.lean()
+		.exec();
+	if (!reservation) {
+		throw new FolioError("Reservation not found.", "reservation_not_found", 404);
+	}
+	return reservation;
+};
+
+const auditPush = (entry) => ({
+	adminChangeLog: entry,
+	reservationAuditLog: entry,
+});
+
+// Every folio write is conditional on the folio still looking the way it did
+// when it was read, so two desks cannot settle or edit it from stale copies.
+const applyFolioUpdate = async (reservation, filter, update, options = {}) => {
+	const updated = await Reservations.findOneAndUpdate(
+		{ _id: reservation._id, ...filter },
+		update,
+		{ new: true, ...options }
+	)
+		.select(FOLIO_RESERVATION_SELECT)
+		.lean()
+		.exec();
+	if (!updated) {
+		throw new FolioError(
+			"The folio changed while you were editing it; reload and try again.",
+			"folio_conflict",
+			409
+		);
+	}
+	return updated;
+};
+
+const folioResponse = (reservation) => ({
+	reservationId: reservation._id,
+	confirmation_number: reservation.confirmation_number,
+	folios: reservation.folios || [],
+	summary: summarizeReservationFolios(reservation),
+});
+
+exports.listReservationFolios = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		return res.json(folioResponse(reservation));
+	} catch (error) {
+		return sendFolioError(res, error, "Could not load folios.");
+	}
+};
+
+exports.openReservationFolio = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertReservationOpenForPosting(reservation);
+		const actor = buildActorSnapshot(req.operationsActor);
+		const folio = buildFolio(req.body || {}, { actor });
+		const updated = await applyFolioUpdate(
+			reservation,
+			{},
+			{
+				$push: {
+					folios: folio,
+					...auditPush(
+						folioAuditEntry({ actor, action: "folio_opened", folio, to: folio.kind })
+					),
+				},
+			}
+		);
+		return res.status(201).json(folioResponse(updated));
+	} catch (error) {
+		return sendFolioError(res, error, "Could not open folio.");
+	}
+};
+
+exports.postFolioCharge = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertReservationOpenForPosting(reservation);
+		const actor = buildActorSnapshot(req.operationsActor);
+		const charge = normalizeFolioChargeInput(req.body || {}, { actor });
+		const requestedFolioId = String(req.body?.folioId || "");
+		const guestFolio = (reservation.folios || []).find(
+			(folio) => folio.kind === "guest" && folio.status === "open"
+		);
+
+		let updated;
+		if (!requestedFolioId && !guestFolio) {
+			// First posting of the stay opens the guest folio.
+			const folio = {
+				...buildFolio({ kind: "guest" }, { actor }),
+				charges: [charge],
+			};
+			updated = await applyFolioUpdate(
+				reservation,
+				{ folios: { $not: { $elemMatch: { kind: "guest", status: "open" } } } },
+				{
+					$push: {
+						folios: folio,
+						...auditPush(
+							folioAuditEntry({
+								actor,
+								action: "folio_charge_posted",
+								folio,
+								note: describeFolioCharge(charge),
+								to: charge.amount,
+							})
+						),
+					},
+				}
+			);
+		} else {
+			const folio = requestedFolioId
+				? findFolio(reservation, requestedFolioId)
+				: guestFolio;
+			if (folio.status !== "open") {
+				throw new FolioError("This folio is already settled.", "folio_settled", 409);
+			}
+			updated = await applyFolioUpdate(
+				reservation,
+				{ folios: { $elemMatch: { _id: folio._id, status: "open" } } },
+				{
+					$push: {
+						"folios.$[folio].charges": charge,
+						...auditPush(
+							folioAuditEntry({
+								actor,
+								action: "folio_charge_posted",
+								folio,
+								note: describeFolioCharge(charge),
+								to: charge.amount,
+							})
+						),
+					},
+				},
+				{ arrayFilters: [{ "folio._id": folio._id }] }
+			);
+		}
+		return res.status(201).json({ charge, ...folioResponse(updated) });
+	} catch (error) {
+		return sendFolioError(res, error, "Could not post charge.");
+	}
+};
+
+exports.voidFolioCharge = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		const folio = findFolio(reservation, req.params.folioId);
+		const charge = (folio.charges || []).find(
+			(item) => item._id === req.params.chargeId
+		);
+		if (!charge || charge.voided) {
+			throw new FolioError("Charge not found.", "folio_charge_not_found", 404);
+		}
+		if (folio.status !== "open") {
+			throw new FolioError("This folio is already settled.", "folio_settled", 409);
+		}
+		const reason = String(req.body?.reason || "").trim();
+		if (!reason) {
+			throw new FolioError("A reason is required to void a charge.", "folio_void_reason_required");
+		}
+		const actor = buildActorSnapshot(req.operationsActor);
+		const updated = await applyFolioUpdate(
+			reservation,
+			{ folios: { $elemMatch: { _id: folio._id, status: "open" } } },
+			{
+				$set: {
+					"folios.$[folio].charges.$[charge].voided": true,
+					"folios.$[folio].charges.$[charge].voidedAt": new Date(),
+					"folios.$[folio].charges.$[charge].voidedBy": actor,
+					"folios.$[folio].charges.$[charge].voidReason": reason.slice(0, 300),
+				},
+				$push: auditPush(
+					folioAuditEntry({
+						actor,
+						action: "folio_charge_voided",
+						folio,
+						note: `${describeFolioCharge(charge)}; ${reason}`,
+						from: charge.amount,
+						to: 0,
+					})
+				),
+			},
+			{
+				arrayFilters: [
+					{ "folio._id": folio._id },
+					{ "charge._id": charge._id, "charge.voided": false },
+				],
+			}
+		);
+		return res.json(folioResponse(updated));
+	} catch (error) {
+		return sendFolioError(res, error, "Could not void charge.");
+	}
+};
+
+exports.transferFolioCharge = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		const { from, to, charge } = planChargeTransfer(reservation, {
+			fromFolioId: req.params.folioId,
+			toFolioId: String(req.body?.toFolioId || ""),
+			chargeId: req.params.chargeId,
+		});
+		const actor = buildActorSnapshot(req.operationsActor);
+		const updated = await applyFolioUpdate(
+			reservation,
+			{
+				$and: [
+					{ folios: { $elemMatch: { _id: from._id, status: "open", "charges._id": charge._id } } },
+					{ folios: { $elemMatch: { _id: to._id, status: "open" } } },
+				],
+			},
+			{
+				$pull: { "folios.$[from].charges": { _id: charge._id } },
+				$push: {
+					"folios.$[to].charges": charge,
+					...auditPush(
+						folioAuditEntry({
+							actor,
+							action: "folio_charge_transferred",
+							folio: from,
+							note: `${describeFolioCharge(charge)} moved to ${to.label}`,
+							from: from._id,
+							to: to._id,
+						})
+					),
+				},
+			},
+			{ arrayFilters: [{ "from._id": from._id }, { "to._id": to._id }] }
+		);
+		return res.json(folioResponse(updated));
+	} catch (error) {
+		return sendFolioError(res, error, "Could not move charge.");
+	}
+};
+
+exports.settleReservationFolio = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req, FOLIO_SETTLEMENT_SELECT);
+		const folio = findFolio(reservation, req.params.folioId);
+		const actor = buildActorSnapshot(req.operationsActor);
+		const at = new Date();
+		const { payment, breakdownKey, chargesTotal } = buildFolioSettlement(
+			folio,
+			req.body || {},
+			{ actor, at }
+		);
+		// Folio extras become part of what the guest owes, and the payment lands
+		// in the breakdown exactly as the payment editor would record it.
+		const totals = buildRecordedHotelPaymentUpdate(
+			reservation,
+			{ breakdownKey, amount: payment.amount, totalIncrease: chargesTotal },
+			actor?._id ? String(actor._id) : ""
+		);
+		const update = {
+			$set: {
+				"folios.$[folio].status": "settled",
+				"folios.$[folio].settledAt": at,
+				"folios.$[folio].settledBy": actor,
+				total_amount: totals.total_amount,
+				extras_total: Number(
+					((Number(reservation.extras_total) || 0) + chargesTotal).toFixed(2)
+				),
+				paid_amount: totals.paid_amount,
+				financial_cycle: totals.financial_cycle,
+			},
+			$push: {
+				"folios.$[folio].payments": payment,
+				...auditPush(
+					folioAuditEntry({
+						actor,
+						action: "folio_settled",
+						folio,
+						note: `${payment.amount} SAR by ${payment.method}${payment.reference ? ` (${payment.reference})` : ""}`,
+						from: "open",
+						to: "settled",
+						at,
+					})
+				),
+			},
+		};
+		if (breakdownKey && payment.amount > 0) {
+			update.$set[`paid_amount_breakdown.${breakdownKey}`] =
+				totals.paid_amount_breakdown[breakdownKey];
+			update.$set.paid_amount_breakdown_updated_at = at;
+		}
+		const updated = await applyFolioUpdate(
+			reservation,
+			{
+				// The new totals are derived from the amounts read above.
+				total_amount: reservation.total_amount ?? null,
+				extras_total: reservation.extras_total ?? null,
+				paid_amount: reservation.paid_amount ?? null,
+				folios: {
+					$elemMatch: {
+						_id: folio._id,
+						status: "open",
+						charges: { $size: (folio.charges || []).length },
+					},
+				},
+			},
+			update,
+			{ arrayFilters: [{ "folio._id": folio._id }] }
+		);
+		return res.json({ payment, ...folioResponse(updated) });
+	} catch (error) {
+		return sendFolioError(res, error, "Could not settle folio.");
+	}
+};
@@ -0,0 +1,475 @@
+/** @format */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const HotelDetails = require("../models/hotel_details");
+const Reservations = require("../models/reservations");
+const Rooms = require("../models/rooms");
+const { createCheckoutHousekeepingTask } = require("./housekeeping");
+const { validateReservationInventoryForCreate } = require("./reservations");
+const {
+	FrontDeskError,
+	assertCheckInAllowed,
+	assertCheckOutAllowed,
+	assertRoomsAssignable,
+	buildCheckInUpdate,
+	buildCheckOutUpdate,
+	buildRoomAssignmentUpdate,
+	frontDeskTodayKey,
+	isInHouseReservation,
+	normalizeRoomAssignmentInput,
+} = require("../services/frontDesk");
+const {
+	StayModificationError,
+	assertStayModifiable,
+	normalizeExtensionInput,
+	normalizeRoomMoveInput,
+	planRoomMove,
+	planStayExtension,
+	priceStayNights,
+	reservationStaySegments,
+} = require("../services/stayModification");
+const { agentIdFromReservation } = require("../services/agentRoomOverrides");
+const { assertFoliosSettledForCheckout } = require("../services/folio");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+const { trackReservationStatusChange } = require("../services/activityTracker");
+const {
+	addReservationVersionBump,
+	buildReservationSnapshotFilter,
+} = require("../services/otaReviewConcurrency");
+
+const ObjectId = mongoose.Types.ObjectId;
+const FRONT_DESK_RESERVATION_SELECT =
+	"_id __v updatedAt createdAt hotelId belongsTo confirmation_number customer_details.name reservation_status state pendingConfirmation agentDecisionSnapshot checkin_date checkout_date inhouse_date checked_out_at pickedRoomsType pickedRoomsPricing total_rooms total_amount roomId folios staySegments booking_source supplierData orderTakeId createdByUserId requestingUserId orderTaker createdBy";
+const FRONT_DESK_ROOM_SELECT =
+	"_id hotelId room_number room_type display_name floor active activeRoom cleanRoom housekeepingDirtyReason";
+
+const sendFrontDeskError = (res, error, fallback) => {
+	if (
+		error instanceof FrontDeskError ||
+		error instanceof StayModificationError ||
+		error?.statusCode
+	) {
+		return res.status(error.statusCode || 400).json({
+			error: error.message,
+			code: error.code,
+			...(error.folios ? { folios: error.folios } : {}),
+		});
+	}
+	console.error(`[front-desk] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadHotelReservation = async (req) => {
+	const { reservationId } = req.params;
+	if (!ObjectId.isValid(reservationId)) {
+		throw new FrontDeskError("Invalid reservation id.", "reservation_id_invalid");
+	}
+	const reservation = await Reservations.findOne({
+		_id: reservationId,
+		hotelId: req.operationsHotel._id,
+	})
+		.select(FRONT_DESK_RESERVATION_SELECT)
+		.lean()
+		.exec();
+	if (!reservation) {
+		throw new FrontDeskError("Reservation not found.", "reservation_not_found", 404);
+	}
+	return reservation;
+};
+
+// Other reservations holding any of these rooms over the same nights, plus
+// anyone still in house in them (an overstay blocks the room too).
+const findRoomConflicts = (reservation, roomIds, range = reservation) =>
+	Reservations.find({
+		hotelId: reservation.hotelId,
+		_id: { $ne: reservation._id },
+		roomId: { $in: roomIds.map((roomId) => ObjectId(roomId)) },
+		$or: [
+			{
+				checkin_date: { $lt: new Date(range.checkout_date) },
+				checkout_date: { $gt: new Date(range.checkin_date) },
+			},
+			{ reservation_status: /^(?:in[_\s-]?house|checked[_\s-]?in)$/i },
+		],
+	})
+		.select(
+			"_id confirmation_number reservation_status state pendingConfirmation agentDecisionSnapshot roomId"
+		)
+		.lean()
+		.exec();
+
+const resolveAssignableRooms = async (reservation, input, { requireClean }) => {
+	const { roomIds, allowRoomTypeChange } = normalizeRoomAssignmentInput(
+		input,
+		reservation
+	);
+	const [rooms, conflicts] = await Promise.all([
+		Rooms.find({ _id: { $in: roomIds.map((roomId) => ObjectId(roomId)) } })
+			.select(FRONT_DESK_ROOM_SELECT)
+			.lean()
+			.exec(),
+		findRoomConflicts(reservation, roomIds),
+	]);
+	return assertRoomsAssignable(reservation, {
+		roomIds,
+		rooms,
+		conflicts,
+		requireClean,
+		allowRoomTypeChange,
+	});
+};
+
+// Writes only if the reservation is still the version that was read, so a
+// double click or a second desk cannot check the same guest in twice.
+const applyFrontDeskUpdate = async (reservation, update) => {
+	const updated = await Reservations.findOneAndUpdate(
+		buildReservationSnapshotFilter(reservation, { includeHotel: true }),
+		addReservationVersionBump(update),
+		{ new: true }
+	)
+		.select(FRONT_DESK_RESERVATION_SELECT)
+		.lean()
+		.exec();
+	if (!updated) {
+		throw new FrontDeskError(
+			"Reservation changed while this was being saved. Reload and try again.",
+			"reservation_update_concurrent_change",
+			409
+		);
+	}
+	return updated;
+};
+
+const frontDeskResponse = (reservation, rooms = []) => ({
+	reservation: {
+		_id: reservation._id,
+		confirmation_number: reservation.confirmation_number,
+		guestName: reservation.customer_details?.name || "",
+		reservation_status: reservation.reservation_status,
+		checkin_date: reservation.checkin_date,
+		checkout_date: reservation.checkout_date,
+		inhouse_date: reservation.inhouse_date || null,
+		checked_out_at: reservation.checked_out_at || null,
+		roomId: reservation.roomId || [],
+	},
+	rooms,
+});
+
+exports.listAssignableRooms = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		const rooms = await Rooms.find({
+			hotelId: reservation.hotelId,
+			active: { $ne: false },
+			activeRoom: { $ne: false },
+		})
+			.select(FRONT_DESK_ROOM_SELECT)
+			.lean()
+			.exec();
+		const conflicts = await findRoomConflicts(
+			reservation,
+			rooms.map((room) => String(room._id))
+		);
+		const rows = rooms.map((room) => {
+			let blockedReason = "";
+			try {
+				assertRoomsAssignable(reservation, {
+					roomIds: [String(room._id)],
+					rooms: [room],
+					conflicts,
+					requireClean: true,
+				});
+			} catch (error) {
+				if (!(error instanceof FrontDeskError)) throw error;
+				blockedReason = error.code;
+			}
+			return {
+				...room,
+				assigned: (reservation.roomId || []).some(
+					(roomId) => String(roomId) === String(room._id)
+				),
+				available: !blockedReason,
+				blockedReason,
+			};
+		});
+		return res.json(frontDeskResponse(reservation, rows));
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not load rooms.");
+	}
+};
+
+exports.assignReservationRooms = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		if (/cancel|no[_\s-]?show|reject|relocat|checked[_\s-]?out/i.test(reservation.reservation_status || "")) {
+			throw new FrontDeskError(
+				"Rooms cannot be assigned to a closed reservation.",
+				"front_desk_reservation_closed",
+				409
+			);
+		}
+		const rooms = await resolveAssignableRooms(reservation, req.body || {}, {
+			requireClean: isInHouseReservation(reservation),
+		});
+		const actor = buildActorSnapshot(req.operationsActor);
+		const updated = await applyFrontDeskUpdate(
+			reservation,
+			buildRoomAssignmentUpdate(reservation, rooms, { actor })
+		);
+		if (isInHouseReservation(updated)) {
+			await Rooms.updateMany(
+				{ _id: { $in: rooms.map((room) => room._id) } },
+				{
+					$set: {
+						cleanRoom: false,
+						housekeepingLastCleanedAt: null,
+						housekeepingLastDirtyAt: new Date(),
+						housekeepingDirtyReason: "guest_in_house",
+					},
+				}
+			).exec();
+		}
+		return res.json(frontDeskResponse(updated, rooms));
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not assign rooms.");
+	}
+};
+
+exports.checkInReservation = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertCheckInAllowed(reservation);
+		const input =
+			req.body?.roomIds || req.body?.roomId
+				? req.body
+				: { ...(req.body || {}), roomIds: reservation.roomId || [] };
+		const rooms = await resolveAssignableRooms(reservation, input, {
+			requireClean: true,
+		});
+		const actor = buildActorSnapshot(req.operationsActor);
+		const updated = await applyFrontDeskUpdate(
+			reservation,
+			buildCheckInUpdate(reservation, rooms, { actor })
+		);
+		await Rooms.updateMany(
+			{ _id: { $in: rooms.map((room) => room._id) } },
+			{
+				$set: {
+					cleanRoom: false,
+					housekeepingLastCleanedAt: null,
+					housekeepingLastDirtyAt: new Date(),
+					housekeepingDirtyReason: "guest_in_house",
+				},
+			}
+		).exec();
+		await trackReservationStatusChange({
+			req,
+			actor: req.operationsActor,
+			reservationBefore: reservation,
+			reservationAfter: updated,
+			source: "front_desk_check_in",
+		});
+		return res.json(frontDeskResponse(updated, rooms));
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not check the guest in.");
+	}
+};
+
+exports.checkOutReservation = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertCheckOutAllowed(reservation);
+		assertFoliosSettledForCheckout(reservation);
+		const actor = buildActorSnapshot(req.operationsActor);
+		const updated = await applyFrontDeskUpdate(
+			reservation,
+			buildCheckOutUpdate(reservation, { actor, note: req.body?.note })
+		);
+		const housekeepingTask = await createCheckoutHousekeepingTask(updated, {
+			actorId: req.operationsActor?._id || null,
+			req,
+		});
+		await trackReservationStatusChange({
+			req,
+			actor: req.operationsActor,
+			reservationBefore: reservation,
+			reservationAfter: updated,
+			source: "front_desk_check_out",
+		});
+		return res.json({
+			...frontDeskResponse(updated),
+			housekeepingTaskId: housekeepingTask?._id || null,
+		});
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not check the guest out.");
+	}
+};
+
+const loadPricingHotel = async (reservation) => {
+	const hotel = await HotelDetails.findById(reservation.hotelId)
+		.select("_id hotelName commission currency roomCountDetails")
+		.lean()
+		.exec();
+	if (!hotel) {
+		throw new FrontDeskError("Hotel pricing details were not found.", "hotel_pricing_not_found", 404);
+	}
+	return hotel;
+};
+
+const assertInventoryAvailable = async (reservation, range, rooms) => {
+	const validation = await validateReservationInventoryForCreate(
+		{
+			hotelId: reservation.hotelId,
+			checkin_date: range.checkin_date,
+			checkout_date: range.checkout_date,
+			pickedRoomsType: rooms,
+		},
+		{ excludeReservationId: reservation._id }
+	);
+	if (!validation.allowed) {
+		throw new FrontDeskError(
+			validation.message || "No rooms of this type are left for these nights.",
+			"front_desk_inventory_unavailable",
+			409
+		);
+	}
+};
+
+const stayResponse = (reservation, extra = {}) => ({
+	...frontDeskResponse(reservation),
+	total_amount: reservation.total_amount,
+	pickedRoomsType: reservation.pickedRoomsType || [],
+	staySegments: reservationStaySegments(reservation),
+	...extra,
+});
+
+exports.extendReservationStay = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertStayModifiable(reservation);
+		const extension = normalizeExtensionInput(req.body || {}, reservation);
+		const range = {
+			checkin_date: extension.currentCheckout,
+			checkout_date: extension.newCheckout,
+		};
+		const rooms = reservation.pickedRoomsType || [];
+		await assertInventoryAvailable(reservation, range, rooms);
+		const assignedRoomIds = (reservation.roomId || []).map(String);
+		if (assignedRoomIds.length) {
+			const conflicts = await findRoomConflicts(reservation, assignedRoomIds, range);
+			const roomRows = await Rooms.find({ _id: { $in: reservation.roomId } })
+				.select(FRONT_DESK_ROOM_SELECT)
+				.lean()
+				.exec();
+			assertRoomsAssignable(reservation, {
+				roomIds: assignedRoomIds,
+				rooms: roomRows,
+				conflicts,
+				allowRoomTypeChange: true,
+			});
+		}
+
+		const warnings = [];
+		const pricedRows = priceStayNights({
+			hotel: await loadPricingHotel(reservation),
+			rooms,
+			nights: extension.nights,
+			agentId: agentIdFromReservation(reservation),
+			warnings,
+		});
+		const actor = buildActorSnapshot(req.operationsActor);
+		const plan = planStayExtension(reservation, extension, pricedRows, { actor });
+		const updated = await applyFrontDeskUpdate(reservation, plan.update);
+		return res.json(
+			stayResponse(updated, { segment: plan.segment, amountAdded: plan.amountAdded, warnings })
+		);
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not extend the stay.");
+	}
+};
+
+exports.moveReservationRoom = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		assertStayModifiable(reservation);
+		const move = normalizeRoomMoveInput(req.body || {}, reservation, {
+			today: frontDeskTodayKey(),
+		});
+		const range = {
+			checkin_date: move.moveDate,
+			checkout_date: reservation.checkout_date,
+		};
+		if (move.typeChanged) {
+			await assertInventoryAvailable(reservation, range, [
+				{ room_type: move.toRoomType, displayName: move.toDisplayName, count: 1 },
+			]);
+		}
+		if (move.toRoomId) {
+			const [roomRows, conflicts] = await Promise.all([
+				Rooms.find({ _id: ObjectId(move.toRoomId) })
+					.select(FRONT_DESK_ROOM_SELECT)
+					.lean()
+					.exec(),
+				findRoomConflicts(reservation, [move.toRoomId], range),
+			]);
+			assertRoomsAssignable(
+				{
+					...reservation,
+					pickedRoomsType: [{ room_type: move.toRoomType, displayName: move.toDisplayName }],
+				},
+				{
+					roomIds: [move.toRoomId],
+					rooms: roomRows,
+					conflicts,
+					requireClean: isInHouseReservation(reservation),
+				}
+			);
+		}
+
+		const warnings = [];
+		const repricedRows = move.reprice
+			? priceStayNights({
+					hotel: await loadPricingHotel(reservation),
+					rooms: [{ room_type: move.toRoomType, displayName: move.toDisplayName }],
+					nights: move.movedNights,
+					agentId: agentIdFromReservation(reservation),
+					warnings,
+			  })[0]
+			: null;
+		const actor = buildActorSnapshot(req.operationsActor);
+		const plan = planRoomMove(reservation, move, repricedRows, { actor });
+		const updated = await applyFrontDeskUpdate(reservation, plan.update);
+
+		if (isInHouseReservation(updated)) {
+			if (move.toRoomId) {
+				await Rooms.updateOne(
+					{ _id: ObjectId(move.toRoomId) },
+					{
+						$set: {
+							cleanRoom: false,
+							housekeepingLastCleanedAt: null,
+							housekeepingLastDirtyAt: new Date(),
+							housekeepingDirtyReason: "guest_in_house",
+						},
+					}
+				).exec();
+			}
+			if (plan.vacatedRoomIds.length) {
+				await createCheckoutHousekeepingTask(updated, {
+					actorId: req.operationsActor?._id || null,
+					req,
+					rooms: plan.vacatedRoomIds,
+					comment: "guest moved to another room",
+					dirtyReason: "guest_room_move",
+				});
+			}
+		}
+		return res.json(
+			stayResponse(updated, { segment: plan.segment, amountAdded: plan.amountAdded, warnings })
+		);
+	} catch (error) {
+		return sendFrontDeskError(res, error, "Could not move the guest.");
+	}
+};
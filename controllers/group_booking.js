@@ -0,0 +1,607 @@
+/** @format */
+
+"use strict";
+
+const fs = require("fs");
+const xlsx = require("xlsx");
+const moment = require("moment");
+const mongoose = require("mongoose");
+const GroupBooking = require("../models/group_booking");
+const Reservations = require("../models/reservations");
+const HotelDetails = require("../models/hotel_details");
+const User = require("../models/user");
+const {
+	createReservationWithAvailabilitySnapshot,
+} = require("./reservations");
+const { buildHotelInventoryCalendarPayload } = require("./hotel_inventory");
+const {
+	generateUniquePmsConfirmationNumber,
+} = require("../services/pmsConfirmationAllocator");
+const {
+	GroupBookingError,
+	allotmentKey,
+	buildChildReservationPayload,
+	buildGroupReservationAuditEntry,
+	findAllotmentOverruns,
+	findInventoryShortfalls,
+	isPastCutoff,
+	mapRoomingListSheetRow,
+	normalizeGroupContract,
+	parseRoomingList,
+	summarizeGroupTotals,
+} = require("../services/groupBooking");
+const {
+	buildActorSnapshot,
+	isPlatformAdmin,
+	normalizeId,
+} = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+const CLOSED_GROUP_STATUSES = ["cancelled", "completed"];
+const GROUP_HOTEL_SELECT =
+	"_id hotelName belongsTo currency roomCountDetails wholeSaleHotel";
+const CHILD_RESERVATION_SELECT =
+	"_id confirmation_number customer_details.name reservation_status total_amount paid_amount checkin_date checkout_date pickedRoomsType";
+
+// Contract changes and inventory overrides stay with the hotel owner and
+// platform admins; reservation staff and agents can only work the rooming list.
+const canOverrideGroupContract = (actor = {}, hotel = {}) =>
+	isPlatformAdmin(actor) ||
+	(Number(actor?.role) === 2000 &&
+		normalizeId(actor) === normalizeId(hotel?.belongsTo));
+
+const sendGroupError = (res, error, fallback) => {
+	if (error instanceof GroupBookingError || error?.statusCode) {
+		return res.status(error.statusCode || 400).json({
+			error: error.message,
+			code: error.code,
+			...(error.details ? { details: error.details } : {}),
+		});
+	}
+	console.error(`[group-booking] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadHotel = (hotelId) =>
+	HotelDetails.findById(hotelId).select(GROUP_HOTEL_SELECT).lean().exec();
+
+const isAgentActor = (actor = {}) => Number(actor?.role) === 7000;
+
+// Agents only ever see and work their own groups.
+const loadGroup = async (req) => {
+	const { groupId } = req.params;
+	if (!ObjectId.isValid(groupId)) {
+		throw new GroupBookingError("Invalid group booking id.", "group_id_invalid");
+	}
+	const group = await GroupBooking.findOne({
+		_id: groupId,
+		hotelId: req.operationsHotel._id,
+	});
+	if (!group) {
+		throw new GroupBookingError(
+			"Group booking not found.",
+			"group_not_found",
+			404
+		);
+	}
+	if (
+		isAgentActor(req.operationsActor) &&
+		normalizeId(group.agentId) !== normalizeId(req.operationsActor)
+	) {
+		throw new GroupBookingError("Access denied.", "group_access_denied", 403);
+	}
+	return group;
+};
+
+// An agent always books under their own account.
+const resolveAgent = async (agentId, actor) => {
+	const candidate = isAgentActor(actor) ? normalizeId(actor) : agentId;
+	if (!candidate) return null;
+	if (!ObjectId.isValid(candidate)) {
+		throw new GroupBookingError("Invalid agentId.", "group_agent_invalid");
+	}
+	const agent = await User.findById(candidate)
+		.select("_id name email role roleDescription companyName")
+		.lean()
+		.exec();
+	if (!agent) {
+		throw new GroupBookingError("Agent not found.", "group_agent_invalid", 404);
+	}
+	return agent;
+};
+
+const generateGroupCode = async () => {
+	for (let attempt = 0; attempt < 10; attempt += 1) {
+		const code = `grp-${Math.floor(100000 + Math.random() * 900000)}`;
+		// eslint-disable-next-line no-await-in-loop
+		const exists = await GroupBooking.exists({ groupCode: code });
+		if (!exists) return code;
+	}
+	return `grp-${Date.now()}`;
+};
+
+// A wholesale agent's own allotment stays bookable for that agent's groups.
+const checkGroupInventory = async (hotelId, contract, requests, agentId = null) => {
+	const calendar = await buildHotelInventoryCalendarPayload(String(hotelId), {
+		start: moment.utc(contract.checkin_date).format("YYYY-MM-DD"),
+		end: moment
+			.utc(contract.checkout_date)
+			.subtract(1, "day")
+			.format("YYYY-MM-DD"),
+		includeHistoricalReservations: true,
+		allotmentHolder: agentId ? { agentId } : null,
+	});
+	return findInventoryShortfalls(calendar, requests);
+};
+
+const refreshGroupTotals = async (group) => {
+	const children = group.childReservationIds.length
+		? await Reservations.find({ _id: { $in: group.childReservationIds } })
+				.select("_id reservation_status total_amount")
+				.lean()
+				.exec()
+		: [];
+	group.totals = summarizeGroupTotals(group.toObject(), children);
+	return group;
+};
+
+const pushGroupAudit = (group, actorSnapshot, action, note = "") => {
+	group.auditLog.push({ at: new Date(), action, by: actorSnapshot, note });
+};
+
+const readRoomingListRows = (req) => {
+	if (req.file?.path) {
+		const workbook = xlsx.readFile(req.file.path, { cellDates: true, raw: false });
+		const sheetName = workbook.SheetNames[0];
+		if (!sheetName) return [];
+		return xlsx.utils
+			.sheet_to_json(workbook.Sheets[sheetName], { defval: "", raw: false })
+			.map((row, index) => mapRoomingListSheetRow(row, index + 2));
+	}
+	return Array.isArray(req.body?.rows) ? req.body.rows : [];
+};
+
+const cancelChildReservation = async (reservationId, actorSnapshot, note) => {
+	const reservation = await Reservations.findById(reservationId)
+		.select("_id reservation_status inhouse_date")
+		.lean()
+		.exec();
+	if (!reservation) return null;
+	const current = String(reservation.reservation_status || "").toLowerCase();
+	if (/cancel|checked[_\s-]?out|inhouse|in[_\s-]?house/.test(current)) {
+		return reservation;
+	}
+	const auditEntry = buildGroupReservationAuditEntry({
+		actorSnapshot,
+		action: "group_booking_child_cancelled",
+		field: "reservation_status",
+		from: reservation.reservation_status,
+		to: "cancelled",
+		note,
+	});
+	return Reservations.findByIdAndUpdate(
+		reservation._id,
+		{
+			$set: { reservation_status: "cancelled", state: "cancelled" },
+			$push: {
+				adminChangeLog: auditEntry,
+				reservationAuditLog: auditEntry,
+			},
+		},
+		{ new: true }
+	)
+		.select("_id reservation_status")
+		.lean()
+		.exec();
+};
+
+exports.createGroupBooking = async (req, res) => {
+	try {
+		const actor = req.operationsActor;
+		const hotel = await loadHotel(req.operationsHotel._id);
+		const contract = normalizeGroupContract(req.body?.contract || {}, hotel);
+		const groupName = String(req.body?.groupName || "").trim();
+		if (!groupName) {
+			return res.status(400).json({ error: "Group name is required." });
+		}
+		const agent = await resolveAgent(req.body?.agentId, actor);
+
+		const shortfalls = await checkGroupInventory(
+			hotel._id,
+			contract,
+			contract.allotment,
+			agent?._id
+		);
+		const overrideInventory =
+			req.body?.allowOverbook === true && canOverrideGroupContract(actor, hotel);
+		if (shortfalls.length && !overrideInventory) {
+			return res.status(409).json({
+				error: "Not enough rooms are available for the requested allotment.",
+				code: "group_inventory_unavailable",
+				shortfalls,
+			});
+		}
+
+		const actorSnapshot = buildActorSnapshot(actor);
+		const group = new GroupBooking({
+			hotelId: hotel._id,
+			belongsTo: hotel.belongsTo || null,
+			agentId: agent?._id || null,
+			groupName,
+			groupCode: await generateGroupCode(),
+			organizer: req.body?.organizer || {},
+			status: req.body?.status === "definite" ? "definite" : "tentative",
+			contract,
+			createdBy: actorSnapshot,
+		});
+		pushGroupAudit(
+			group,
+			actorSnapshot,
+			"group_created",
+			shortfalls.length
+				? `Created with inventory override (${shortfalls.length} short nights).`
+				: ""
+		);
+		await refreshGroupTotals(group);
+		await group.save();
+
+		return res.status(201).json({ group, shortfalls });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not create group booking.");
+	}
+};
+
+exports.listGroupBookings = async (req, res) => {
+	try {
+		const filter = { hotelId: req.operationsHotel._id };
+		if (req.query.status) filter.status = String(req.query.status);
+		if (req.query.agentId && ObjectId.isValid(req.query.agentId)) {
+			filter.agentId = req.query.agentId;
+		}
+		if (isAgentActor(req.operationsActor)) {
+			filter.agentId = req.operationsActor._id;
+		}
+		const groups = await GroupBooking.find(filter)
+			.select("-roomingList -auditLog")
+			.populate("agentId", "_id name email companyName")
+			.sort({ "contract.checkin_date": 1, createdAt: -1 })
+			.lean()
+			.exec();
+		return res.json({ groups });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not list group bookings.");
+	}
+};
+
+exports.getGroupBooking = async (req, res) => {
+	try {
+		const group = await loadGroup(req);
+		const children = await Reservations.find({ groupBookingId: group._id })
+			.select(CHILD_RESERVATION_SELECT)
+			.lean()
+			.exec();
+		return res.json({
+			group,
+			children,
+			pastCutoff: isPastCutoff(group),
+		});
+	} catch (error) {
+		return sendGroupError(res, error, "Could not load group booking.");
+	}
+};
+
+exports.updateGroupBookingContract = async (req, res) => {
+	try {
+		const actor = req.operationsActor;
+		const group = await loadGroup(req);
+		if (CLOSED_GROUP_STATUSES.includes(group.status)) {
+			return res
+				.status(409)
+				.json({ error: `A ${group.status} group cannot be changed.` });
+		}
+		const hotel = await loadHotel(group.hotelId);
+		if (!canOverrideGroupContract(actor, hotel)) {
+			return res.status(403).json({
+				error: "Only the hotel owner or a platform admin can change the group contract.",
+				code: "group_contract_forbidden",
+			});
+		}
+		const storedContract = group.toObject().contract;
+		const contract = normalizeGroupContract(
+			{
+				...storedContract,
+				...(req.body?.contract || {}),
+			},
+			hotel,
+			storedContract
+		);
+
+		const datesChanged =
+			+contract.checkin_date !== +group.contract.checkin_date ||
+			+contract.checkout_date !== +group.contract.checkout_date;
+		if (datesChanged && group.childReservationIds.length) {
+			return res.status(409).json({
+				error:
+					"Stay dates cannot change after child reservations were created.",
+				code: "group_contract_dates_locked",
+			});
+		}
+		const overruns = findAllotmentOverruns(contract, group.roomingList, []);
+		if (overruns.length) {
+			return res.status(409).json({
+				error: "The allotment cannot drop below the rooms already named.",
+				code: "group_allotment_below_pickup",
+				overruns,
+			});
+		}
+
+		// Only the extra rooms need a fresh inventory check; the original
+		// allotment was verified when the group was created.
+		const previousCounts = new Map(
+			group.contract.allotment.map((line) => [allotmentKey(line), line.count])
+		);
+		const increases = contract.allotment
+			.map((line) => ({
+				...line,
+				count: line.count - (previousCounts.get(allotmentKey(line)) || 0),
+			}))
+			.filter((line) => line.count > 0);
+		const shortfalls = increases.length
+			? await checkGroupInventory(hotel._id, contract, increases, group.agentId)
+			: [];
+		if (shortfalls.length && req.body?.allowOverbook !== true) {
+			return res.status(409).json({
+				error: "Not enough rooms are available for the added allotment.",
+				code: "group_inventory_unavailable",
+				shortfalls,
+			});
+		}
+
+		group.contract = contract;
+		if (req.body?.groupName) group.groupName = String(req.body.groupName).trim();
+		if (req.body?.organizer) group.organizer = req.body.organizer;
+		pushGroupAudit(group, buildActorSnapshot(actor), "contract_updated");
+		await refreshGroupTotals(group);
+		await group.save();
+		return res.json({ group, shortfalls });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not update group contract.");
+	}
+};
+
+exports.uploadGroupRoomingList = async (req, res) => {
+	const filePath = req.file?.path;
+	try {
+		const actor = req.operationsActor;
+		const group = await loadGroup(req);
+		if (CLOSED_GROUP_STATUSES.includes(group.status)) {
+			return res
+				.status(409)
+				.json({ error: `A ${group.status} group cannot take new names.` });
+		}
+		const hotel = await loadHotel(group.hotelId);
+		const canOverride = canOverrideGroupContract(actor, hotel);
+		if (isPastCutoff(group) && !canOverride) {
+			return res.status(409).json({
+				error:
+					"The group cut-off date has passed; unnamed rooms were released.",
+				code: "group_cutoff_passed",
+			});
+		}
+
+		const { entries, errors } = parseRoomingList(
+			readRoomingListRows(req),
+			group.contract
+		);
+		if (!entries.length) {
+			return res.status(400).json({
+				error: "The rooming list has no valid rows.",
+				errors,
+			});
+		}
+		const overruns = findAllotmentOverruns(
+			group.contract,
+			group.roomingList,
+			entries
+		);
+		if (overruns.length) {
+			return res.status(409).json({
+				error: "The rooming list exceeds the contracted allotment.",
+				code: "group_allotment_exceeded",
+				overruns,
+				errors,
+			});
+		}
+
+		const requestedByKey = entries.reduce((acc, entry) => {
+			const key = allotmentKey(entry);
+			acc[key] = acc[key] || { ...entry, count: 0 };
+			acc[key].count += 1;
+			return acc;
+		}, {});
+		const shortfalls = await checkGroupInventory(
+			hotel._id,
+			group.contract,
+			Object.values(requestedByKey),
+			group.agentId
+		);
+		const dryRun =
+			req.body?.dryRun === true || String(req.body?.dryRun) === "true";
+		if (dryRun) {
+			return res.json({ dryRun: true, entries, errors, shortfalls });
+		}
+		const allowOverbook =
+			req.body?.allowOverbook === true ||
+			String(req.body?.allowOverbook) === "true";
+		if (shortfalls.length && !(allowOverbook && canOverride)) {
+			return res.status(409).json({
+				error: "Not enough rooms are available for this rooming list.",
+				code: "group_inventory_unavailable",
+				shortfalls,
+				errors,
+			});
+		}
+
+		const actorSnapshot = buildActorSnapshot(actor);
+		const agent = group.agentId
+			? await User.findById(group.agentId)
+					.select("_id name email role roleDescription")
+					.lean()
+					.exec()
+			: null;
+		const created = [];
+		for (const entry of entries) {
+			const rosterEntry = { ...entry };
+			delete rosterEntry.rowNumber;
+			try {
+				const confirmationNumber = await generateUniquePmsConfirmationNumber();
+				const payload = buildChildReservationPayload({
+					group,
+					entry,
+					hotel,
+					actorSnapshot,
+					agentSnapshot: agent ? buildActorSnapshot(agent) : null,
+					confirmationNumber,
+				});
+				const saved = await createReservationWithAvailabilitySnapshot(
+					payload,
+					"group_booking"
+				);
+				rosterEntry.status = "reserved";
+				rosterEntry.reservationId = saved._id;
+				rosterEntry.confirmation_number = saved.confirmation_number;
+				group.childReservationIds.push(saved._id);
+				created.push({
+					_id: saved._id,
+					confirmation_number: saved.confirmation_number,
+					guestName: entry.guestName,
+				});
+			} catch (error) {
+				rosterEntry.status = "failed";
+				rosterEntry.error = error.message || "Could not create reservation.";
+				errors.push({ rowNumber: entry.rowNumber, error: rosterEntry.error });
+			}
+			group.roomingList.push(rosterEntry);
+		}
+
+		if (group.status === "tentative" && created.length) group.status = "definite";
+		pushGroupAudit(
+			group,
+			actorSnapshot,
+			"rooming_list_uploaded",
+			`${created.length} reservations created, ${errors.length} rows rejected.`
+		);
+		await refreshGroupTotals(group);
+		await group.save();
+
+		return res.json({ group, created, errors, shortfalls });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not process rooming list.");
+	} finally {
+		if (filePath) fs.unlink(filePath, () => {});
+	}
+};
+
+exports.cancelGroupRoomingEntry = async (req, res) => {
+	try {
+		const group = await loadGroup(req);
+		const entry = group.roomingList.id(req.params.entryId);
+		if (!entry) {
+			return res.status(404).json({ error: "Rooming list entry not found." });
+		}
+		if (entry.status === "cancelled") return res.json({ group });
+
+		const actorSnapshot = buildActorSnapshot(req.operationsActor);
+		if (entry.reservationId) {
+			await cancelChildReservation(
+				entry.reservationId,
+				actorSnapshot,
+				`Removed from the rooming list of group ${group.groupCode}.`
+			);
+		}
+		entry.status = "cancelled";
+		pushGroupAudit(
+			group,
+			actorSnapshot,
+			"rooming_entry_cancelled",
+			entry.guestName
+		);
+		await refreshGroupTotals(group);
+		await group.save();
+		return res.json({ group });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not cancel rooming list entry.");
+	}
+};
+
+exports.updateGroupBookingStatus = async (req, res) => {
+	try {
+		const status = String(req.body?.status || "").toLowerCase();
+		if (!["tentative", "definite", "cancelled", "completed"].includes(status)) {
+			return res.status(400).json({ error: "Invalid group status." });
+		}
+		const group = await loadGroup(req);
+		if (CLOSED_GROUP_STATUSES.includes(group.status)) {
+			return res
+				.status(409)
+				.json({ error: `The group is already ${group.status}.` });
+		}
+
+		const actorSnapshot = buildActorSnapshot(req.operationsActor);
+		if (status === "cancelled") {
+			for (const entry of group.roomingList) {
+				if (entry.status !== "reserved" || !entry.reservationId) continue;
+				await cancelChildReservation(
+					entry.reservationId,
+					actorSnapshot,
+					`Group ${group.groupCode} was cancelled.`
+				);
+				entry.status = "cancelled";
+			}
+		}
+		group.status = status;
+		pushGroupAudit(
+			group,
+			actorSnapshot,
+			`group_${status}`,
+			String(req.body?.note || "").trim()
+		);
+		await refreshGroupTotals(group);
+		await group.save();
+		return res.json({ group });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not update group status.");
+	}
+};
+
+exports.recordGroupDeposit = async (req, res) => {
+	try {
+		const group = await loadGroup(req);
+		const deposit = group.contract.depositSchedule.id(req.params.depositId);
+		if (!deposit) {
+			return res.status(404).json({ error: "Deposit not found." });
+		}
+		const status = String(req.body?.status || "paid").toLowerCase();
+		if (!["pending", "paid", "waived"].includes(status)) {
+			return res.status(400).json({ error: "Invalid deposit status." });
+		}
+		deposit.status = status;
+		deposit.paidAmount =
+			status === "paid" ? Number(req.body?.paidAmount ?? deposit.amount) || 0 : 0;
+		deposit.paidAt = status === "paid" ? new Date(req.body?.paidAt || Date.now()) : null;
+		deposit.reference = String(req.body?.reference ?? deposit.reference ?? "").trim();
+		if (req.body?.note !== undefined) deposit.note = String(req.body.note).trim();
+
+		pushGroupAudit(
+			group,
+			buildActorSnapshot(req.operationsActor),
+			`deposit_${status}`,
+			`${moment.utc(deposit.dueDate).format("YYYY-MM-DD")} ${deposit.paidAmount || deposit.amount}`
+		);
+		await refreshGroupTotals(group);
+		await group.save();
+		return res.json({ group });
+	} catch (error) {
+		return sendGroupError(res, error, "Could not record group deposit.");
+	}
+};
@@ -0,0 +1,258 @@
+/** @format */
+
+"use strict";
+
+const moment = require("moment");
+const mongoose = require("mongoose");
+const HotelAllotment = require("../models/hotel_allotment");
+const HotelDetails = require("../models/hotel_details");
+const { buildHotelInventoryCalendarPayload } = require("./hotel_inventory");
+const {
+	HotelAllotmentError,
+	allotmentStayDates,
+	buildAllotmentPickupReport,
+	loadAllotmentReservationCounts,
+	normalizeAllotmentInput,
+} = require("../services/hotelAllotment");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+
+const sendAllotmentError = (res, error, fallback) => {
+	if (error instanceof HotelAllotmentError || error?.statusCode) {
+		return res
+			.status(error.statusCode || 400)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`[allotments] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadAllotment = async (req) => {
+	const { allotmentId } = req.params;
+	if (!ObjectId.isValid(allotmentId)) {
+		throw new HotelAllotmentError("Invalid allotment id.", "allotment_id_invalid");
+	}
+	const allotment = await HotelAllotment.findOne({
+		_id: allotmentId,
+		hotelId: req.operationsHotel._id,
+	});
+	if (!allotment) {
+		throw new HotelAllotmentError(
+			"Allotment not found.",
+			"allotment_not_found",
+			404
+		);
+	}
+	return allotment;
+};
+
+const loadHotelRooms = (hotelId) =>
+	HotelDetails.findById(hotelId)
+		.select("_id roomCountDetails wholeSaleHotel")
+		.lean()
+		.exec();
+
+exports.listHotelAllotments = async (req, res) => {
+	try {
+		const filter = { hotelId: req.operationsHotel._id };
+		if (req.query.status && req.query.status !== "all") {
+			filter.status = String(req.query.status);
+		}
+		const allotments = await HotelAllotment.find(filter)
+			.populate("agentId", "_id name email companyName")
+			.sort({ startDate: 1 })
+			.lean()
+			.exec();
+		return res.json({ allotments });
+	} catch (error) {
+		return sendAllotmentError(res, error, "Could not list allotments.");
+	}
+};
+
+exports.createHotelAllotment = async (req, res) => {
+	try {
+		const hotel = await loadHotelRooms(req.operationsHotel._id);
+		if (!hotel?.wholeSaleHotel) {
+			return res.status(409).json({
+				error: "Allotments are only available for wholesale hotels.",
+				code: "allotment_requires_wholesale_hotel",
+			});
+		}
+		const payload = normalizeAllotmentInput(req.body || {}, hotel);
+		const actorSnapshot = buildActorSnapshot(req.operationsActor);
+		const allotment = await HotelAllotment.create({
+			...payload,
+			hotelId: hotel._id,
+			createdBy: actorSnapshot,
+			updatedBy: actorSnapshot,
+		});
+		return res.status(201).json({ allotment });
+	} catch (error) {
+		return sendAllotmentError(res, error, "Could not create allotment.");
+	}
+};
+
+exports.updateHotelAllotment = async (req, res) => {
+	try {
+		const allotment = await loadAllotment(req);
+		if (allotment.status !== "active") {
+			return res
+				.status(409)
+				.json({ error: `A ${allotment.status} allotment cannot be changed.` });
+		}
+		if (req.body?.status === "cancelled") {
+			allotment.status = "cancelled";
+		} else {
+			const hotel = await loadHotelRooms(allotment.hotelId);
+			const payload = normalizeAllotmentInput(
+				{ ...allotment.toObject(), ...(req.body || {}) },
+				hotel
+			);
+			Object.assign(allotment, payload);
+		}
+		allotment.updatedBy = buildActorSnapshot(req.operationsActor);
+		await allotment.save();
+		return res.json({ allotment });
+	} catch (error) {
+		return sendAllotmentError(res, error, "Could not update allotment.");
+	}
+};
+
+exports.releaseHotelAllotment = async (req, res) => {
+	try {
+		const allotment = await loadAllotment(req);
+		if (allotment.status !== "active") {
+			return res
+				.status(409)
+				.json({ error: `The allotment is already ${allotment.status}.` });
+		}
+		const stayDates = allotmentStayDates(allotment);
+		const recorded = new Set(allotment.releasedDates.map((entry) => entry.date));
+		const requested = Array.isArray(req.body?.dates) && req.body.dates.length
+			? req.body.dates.map((date) => String(date).slice(0, 10))
+			: stayDates;
+		const dates = requested.filter(
+			(date) => stayDates.includes(date) && !recorded.has(date)
+		);
+		if (!dates.length) {
+			return res.status(400).json({ error: "No unreleased nights were selected." });
+		}
+
+		const reservationCounts = await loadAllotmentReservationCounts(
+			allotment.hotelId,
+			dates[0],
+			dates[dates.length - 1]
+		);
+		const report = buildAllotmentPickupReport(allotment, reservationCounts);
+		const actorSnapshot = buildActorSnapshot(req.operationsActor);
+		dates.forEach((date) => {
+			const day = report.days.find((item) => item.date === date) || {};
+			allotment.releasedDates.push({
+				date,
+				pickup: day.pickup || 0,
+				roomsReleased: day.remaining || 0,
+				releasedAt: new Date(),
+				reason: "manual",
+				by: actorSnapshot,
+			});
+		});
+		const nowRecorded = new Set(allotment.releasedDates.map((entry) => entry.date));
+		if (stayDates.every((date) => nowRecorded.has(date))) {
+			allotment.status = "released";
+		}
+		allotment.updatedBy = actorSnapshot;
+		await allotment.save();
+		return res.json({ allotment });
+	} catch (error) {
+		return sendAllotmentError(res, error, "Could not release allotment.");
+	}
+};
+
+exports.allotmentPickupReport = async (req, res) => {
+	try {
+		const hotelId = String(req.operationsHotel._id);
+		const start = moment.utc(req.query.start, "YYYY-MM-DD", true);
+		const end = moment.utc(req.query.end, "YYYY-MM-DD", true);
+		if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+			return res
+				.status(400)
+				.json({ error: "start/end must be valid YYYY-MM-DD dates" });
+		}
+		const startKey = start.format("YYYY-MM-DD");
+		const endKey = end.format("YYYY-MM-DD");
+
+		const allotments = await HotelAllotment.find({
+			hotelId,
+			status: { $ne: "cancelled" },
+			endDate: { $gt: start.toDate() },
+			startDate: { $lte: end.toDate() },
+		})
+			.populate("agentId", "_id name email companyName")
+			.sort({ startDate: 1 })
+			.lean()
+			.exec();
+		const reservationCounts = allotments.length
+			? await loadAllotmentReservationCounts(hotelId, startKey, endKey)
+			: [];
+
+		const rows = allotments.map((allotment) => {
+			const report = buildAllotmentPickupReport(allotment, reservationCounts);
+			const days = report.days.filter(
+				(day) => day.date >= startKey && day.date <= endKey
+			);
+			return {
+				_id: allotment._id,
+				agent: allotment.agentId || null,
+				partnerName: allotment.partnerName,
+				reference: allotment.reference,
+				room_type: allotment.room_type,
+				displayName: allotment.displayName,
+				rooms: allotment.rooms,
+				releaseDays: allotment.releaseDays,
+				status: allotment.status,
+				allottedNights: days.reduce((sum, day) => sum + day.allotted, 0),
+				pickupNights: days.reduce(
+					(sum, day) => sum + Math.min(day.pickup, day.allotted),
+					0
+				),
+				days,
+			};
+		});
+
+		// Per-date totals come straight from the inventory calendar so the
+		// report matches what the availability grid blocks.
+		const calendar = await buildHotelInventoryCalendarPayload(hotelId, {
+			start: startKey,
+			end: endKey,
+			includeHistoricalReservations: true,
+		});
+		const byDate = calendar.days.map((day) => {
+			const totals = Object.values(day.rooms || {}).reduce(
+				(acc, cell) => {
+					acc.allotted += Number(cell.allotted) || 0;
+					acc.pickup += Number(cell.allotmentPickup) || 0;
+					acc.blocked += Number(cell.allotmentBlocked) || 0;
+					acc.released += Number(cell.allotmentReleased) || 0;
+					return acc;
+				},
+				{ allotted: 0, pickup: 0, blocked: 0, released: 0 }
+			);
+			return {
+				date: day.date,
+				...totals,
+				available: day.totals.available,
+				pickupRate: totals.allotted > 0 ? totals.pickup / totals.allotted : 0,
+			};
+		});
+
+		return res.json({
+			hotel: calendar.hotel,
+			range: calendar.range,
+			allotments: rows,
+			byDate,
+		});
+	} catch (error) {
+		return sendAllotmentError(res, error, "Could not build allotment report.");
+	}
+};
@@ -24,6 +24,7 @@ const {
 const {
 	sanitizeHotelPolicyQA,
 } = require("../services/hotelPolicyQa");
+const { captureHotelAriChangeSafely } = require("../services/ariPush");
 
 const isConfiguredSuperAdmin = (user) => {
 	const configuredIds = [
@@ -121,6 +122,7 @@ const HOTEL_DETAILS_ROOM_WORKSPACE_FIELDS = [
 	"roomCountDetails.defaultCost",
 	"roomCountDetails.roomCommission",
 	"roomCountDetails.bedsCount",
+	"roomCountDetails.overbookingLimit",
 	"roomCountDetails.roomForGender",
 	"roomCountDetails.offers",
 	"roomCountDetails.monthly",
@@ -3053,6 +3055,11 @@ exports.updateHotelDetails = async (req, res) => {
 		if (!newDoc)
 			return res.status(500).json({ error: "Failed to update hotel details" });
 
+		// Room counts and calendar prices are edited here as one document.
+		if (updatedFields.roomCountDetails) {
+			captureHotelAriChangeSafely(newDoc._id);
+		}
+
 		return res.json(newDoc);
 	} catch (err) {
 		console.error("updateHotelDetails error:", err);
@@ -19,6 +19,15 @@ const {
 	hasAgentInventory,
 	normalizeId,
 } = require("../services/agentRoomOverrides");
+const {
+	buildAllotmentDayBlocks,
+	loadHotelAllotments,
+} = require("../services/hotelAllotment");
+const {
+	buildRoomBlockDayCounts,
+	loadRoomBlocks,
+} = require("../services/maintenance");
+const { roomOverbookingLimit } = require("../services/overbooking");
 
 const normalizeKey = (value) =>
 	String(value || "")
@@ -293,6 +302,9 @@ const reservationCoversDay = (reservation, day) => {
 	const checkin = moment.utc(reservation?.checkin_date).startOf("day");
 	const checkout = moment.utc(reservation?.checkout_date).startOf("day");
 	if (!checkin.isValid() || !checkout.isValid()) return false;
+	if ((reservation.walkedNights || []).includes(day.format("YYYY-MM-DD"))) {
+		return false;
+	}
 	return day.isSameOrAfter(checkin, "day") && day.isBefore(checkout, "day");
 };
 
@@ -311,10 +323,12 @@ const buildRoomTypeMap = (roomCountDetails = []) => {
 		const bedBased = isBedBasedRoom({ roomType, label });
 		const multiplier = bedBased ? Math.max(1, Math.round(bedsCount)) : 1;
 		const count = rawCount * multiplier;
+		const overbookingLimit = roomOverbookingLimit(detail);
 		if (map.has(key)) {
 			const existing = map.get(key);
 			existing.count += count;
 			existing.rawCount += rawCount;
+			existing.overbookingLimit += overbookingLimit;
 			existing.isBedBased = existing.isBedBased || bedBased;
 			if (!existing.bedsCount && bedsCount) {
 				existing.bedsCount = bedsCount;
@@ -330,12 +344,17 @@ const buildRoomTypeMap = (roomCountDetails = []) => {
 			rawCount,
 			bedsCount,
 			isBedBased: bedBased,
+			overbookingLimit,
 			derived: false,
 		});
 	});
 	return map;
 };
 
+// A line split off by a mid-stay room move only covers its own nights.
+const lineCoversDay = (line = {}, dayKey = "") =>
+	(!line.from || dayKey >= line.from) && (!line.to || dayKey < line.to);
+
 const extractReservationRoomCounts = (reservation, roomsById) => {
 	const counts = [];
 	const bedNumbers = Array.isArray(reservation?.bedNumber)
@@ -348,7 +367,7 @@ const extractReservationRoomCounts = (reservation, roomsById) => {
 		bedCountUsed = true;
 		return bedNumbers.length;
 	};
-	const addCount = (displayName, roomType, count) => {
+	const addCount = (displayName, roomType, count, item = null) => {
 		const key = normalizeKey(displayName || roomType);
 		if (!key) return;
 		const safeCount = Number(count) || 1;
@@ -357,6 +376,8 @@ const extractReservationRoomCounts = (reservation, roomsById) => {
 			label: displayName || roomType || "Room",
 			roomType: roomType || "",
 			count: safeCount,
+			from: dateOnlyKey(item?.stayFrom),
+			to: dateOnlyKey(item?.stayTo),
 		});
 	};
 
@@ -377,7 +398,7 @@ const extractReservationRoomCounts = (reservation, roomsById) => {
 				const bedCount = takeBedCount();
 				if (bedCount != null) count = bedCount;
 			}
-			addCount(displayName, roomType, count);
+			addCount(displayName, roomType, count, item);
 		});
 		if (counts.length > 0) return counts;
 	}
@@ -513,11 +534,17 @@ const inventoryHttpError = (status, message) => {
 	return error;
 };
 
-const buildHotelInventoryCalendarPayload = async (
+/**
+ * The reservations the calendar counts between startDate and endDate
+ * (exclusive), each with its per-room-type lines. Allotment pickup is
+ * counted from this list too, so it matches what the grid blocks.
+ */
+const loadInventoryReservationCounts = async (
 	hotelId,
 	{
-		start,
-		end,
+		startDate,
+		endDate,
+		roomsById = null,
 		includeCancelled,
 		paymentStatuses,
 		reservationVisibilityActor,
@@ -525,34 +552,15 @@ const buildHotelInventoryCalendarPayload = async (
 		includeHistoricalReservations = false,
 	} = {}
 ) => {
-	if (!mongoose.Types.ObjectId.isValid(hotelId)) {
-		throw inventoryHttpError(400, "Invalid hotelId");
-	}
-
-	const range = getDateRange(start, end);
-	if (!range) {
-		throw inventoryHttpError(
-			400,
-			"start/end must be valid YYYY-MM-DD dates"
+	const roomLookup =
+		roomsById ||
+		new Map(
+			(
+				await Rooms.find({ hotelId })
+					.select("_id display_name room_type individualBeds")
+					.lean()
+			).map((room) => [String(room._id), room])
 		);
-	}
-
-	const hotel = await HotelDetails.findById(hotelId).select(
-		"hotelName roomCountDetails"
-	);
-	if (!hotel) {
-		throw inventoryHttpError(404, "Hotel not found");
-	}
-
-	const roomTypeMap = buildRoomTypeMap(hotel.roomCountDetails || []);
-	const rooms = await Rooms.find({ hotelId })
-		.select("_id display_name room_type individualBeds")
-		.lean();
-	const roomsById = new Map(rooms.map((room) => [String(room._id), room]));
-
-	const startDate = range.start.toDate();
-	const endDate = range.end.clone().add(1, "day").toDate();
-
 	const reservationQuery = {
 		hotelId,
 		checkin_date: { $lt: endDate },
@@ -572,7 +580,7 @@ const buildHotelInventoryCalendarPayload = async (
 	const paymentStatusFilter = parsePaymentStatusFilter(paymentStatuses);
 	const includeCancelledFlag =
 		includeCancelled === true || String(includeCancelled || "") === "true";
-	const reservationPayloads = reservations
+	return reservations
 		.filter((reservation) =>
 			isReservationActive(reservation, includeCancelledFlag, false, {
 				includeCompleted: includeCompletedStays,
@@ -585,8 +593,85 @@ const buildHotelInventoryCalendarPayload = async (
 		})
 		.map((reservation) => ({
 			reservation,
-			counts: extractReservationRoomCounts(reservation, roomsById),
+			counts: extractReservationRoomCounts(reservation, roomLookup),
 		}));
+};
+
+const buildHotelInventoryCalendarPayload = async (
+	hotelId,
+	{
+		start,
+		end,
+		includeCancelled,
+		paymentStatuses,
+		reservationVisibilityActor,
+		includeCompletedStays = false,
+		includeHistoricalReservations = false,
+		includeAllotments = true,
+		includeRoomBlocks = true,
+		allotmentHolder = null,
+	} = {}
+) => {
+	if (!mongoose.Types.ObjectId.isValid(hotelId)) {
+		throw inventoryHttpError(400, "Invalid hotelId");
+	}
+
+	const range = getDateRange(start, end);
+	if (!range) {
+		throw inventoryHttpError(
+			400,
+			"start/end must be valid YYYY-MM-DD dates"
+		);
+	}
+
+	const hotel = await HotelDetails.findById(hotelId).select(
+		"hotelName roomCountDetails"
+	);
+	if (!hotel) {
+		throw inventoryHttpError(404, "Hotel not found");
+	}
+
+	const roomTypeMap = buildRoomTypeMap(hotel.roomCountDetails || []);
+	const rooms = await Rooms.find({ hotelId })
+		.select("_id display_name room_type individualBeds")
+		.lean();
+	const roomsById = new Map(rooms.map((room) => [String(room._id), room]));
+
+	const startDate = range.start.toDate();
+	const endDate = range.end.clone().add(1, "day").toDate();
+
+	const reservationPayloads = await loadInventoryReservationCounts(hotelId, {
+		startDate,
+		endDate,
+		roomsById,
+		includeCancelled,
+		paymentStatuses,
+		reservationVisibilityActor,
+		includeCompletedStays,
+		includeHistoricalReservations,
+	});
+	const allotments = includeAllotments
+		? await loadHotelAllotments(hotelId, { start: startDate, endExclusive: endDate })
+		: [];
+	const roomBlocks = includeRoomBlocks
+		? await loadRoomBlocks(hotelId, { start: startDate, endExclusive: endDate })
+		: [];
+	// A blocked bed-based room takes all of its beds off sale.
+	const roomBlockUnit = (roomId) => {
+		const room = roomsById.get(roomId);
+		if (!room) return null;
+		const label = room.display_name || room.room_type;
+		const key = normalizeKey(label);
+		const bedBased = isBedBasedRoom({
+			roomType: room.room_type,
+			label,
+			individualBeds: room.individualBeds,
+		});
+		return {
+			key,
+			units: bedBased ? Math.max(Number(roomTypeMap.get(key)?.bedsCount) || 1, 1) : 1,
+		};
+	};
 
 	const days = [];
 	const warnings = [];
@@ -642,6 +727,7 @@ const buildHotelInventoryCalendarPayload = async (
 			if (!reservationCoversDay(reservation, dayMoment)) return;
 			counts.forEach((line) => {
 				if (!line || !line.key) return;
+				if (!lineCoversDay(line, dayKey)) return;
 				ensureRoomType(roomTypeMap, line.key, line.label, line.roomType);
 				if (!dayRooms[line.key]) {
 					dayRooms[line.key] = {
@@ -659,10 +745,41 @@ const buildHotelInventoryCalendarPayload = async (
 			});
 		});
 
+		// Contracted allotments hold their unsold rooms until the release
+		// date; released nights go back to general sale.
+		const allotmentBlocks = buildAllotmentDayBlocks({
+			allotments,
+			reservationCounts: reservationPayloads,
+			date: dayKey,
+			holder: allotmentHolder,
+		});
+		Object.entries(allotmentBlocks).forEach(([key, block]) => {
+			if (!dayRooms[key]) return;
+			dayRooms[key].allotted = block.allotted;
+			dayRooms[key].allotmentPickup = block.pickup;
+			dayRooms[key].allotmentBlocked = block.blocked;
+			dayRooms[key].allotmentReleased = block.released;
+		});
+
+		// Out of order / out of service rooms cannot be sold for the night.
+		const roomBlockCounts = buildRoomBlockDayCounts({
+			blocks: roomBlocks,
+			date: dayKey,
+			roomUnit: roomBlockUnit,
+		});
+		Object.entries(roomBlockCounts).forEach(([key, counts]) => {
+			if (!dayRooms[key]) return;
+			dayRooms[key].outOfOrder = counts.outOfOrder;
+			dayRooms[key].outOfService = counts.outOfService;
+		});
+
 		let dayCapacity = 0;
 		let dayBooked = 0;
 		let dayOccupied = 0;
 		let dayAvailable = 0;
+		let dayAllotmentBlocked = 0;
+		let dayOutOfOrder = 0;
+		let dayOutOfService = 0;
 
 		Object.keys(dayRooms).forEach((key) => {
 			const cell = dayRooms[key];
@@ -672,12 +789,25 @@ const buildHotelInventoryCalendarPayload = async (
 			const booked = Number(cell.booked ?? cell.occupied) || 0;
 			const capacity = rawCapacity === 0 && booked > 0 ? booked : rawCapacity;
 			const occupied = Math.min(booked, capacity);
-			const available = Math.max(capacity - occupied, 0);
+			const allotmentBlocked = Math.min(
+				Number(cell.allotmentBlocked) || 0,
+				Math.max(capacity - occupied, 0)
+			);
+			const unsold = Math.max(capacity - occupied - allotmentBlocked, 0);
+			const outOfOrder = Math.min(Number(cell.outOfOrder) || 0, unsold);
+			const outOfService = Math.min(
+				Number(cell.outOfService) || 0,
+				unsold - outOfOrder
+			);
+			const available = unsold - outOfOrder - outOfService;
 
 			cell.capacity = capacity;
 			cell.booked = booked;
 			cell.occupied = occupied;
 			cell.available = available;
+			cell.allotmentBlocked = allotmentBlocked;
+			cell.outOfOrder = outOfOrder;
+			cell.outOfService = outOfService;
 			cell.occupancyRate = capacity > 0 ? occupied / capacity : 0;
 			cell.bookingRate = capacity > 0 ? booked / capacity : 0;
 			cell.overbooked =
@@ -688,6 +818,9 @@ const buildHotelInventoryCalendarPayload = async (
 			dayBooked += booked;
 			dayOccupied += occupied;
 			dayAvailable += available;
+			dayAllotmentBlocked += allotmentBlocked;
+			dayOutOfOrder += outOfOrder;
+			dayOutOfService += outOfService;
 
 			if (!occupancyByType[key]) {
 				occupancyByType[key] = {
@@ -710,6 +843,7 @@ const buildHotelInventoryCalendarPayload = async (
 			occupancyByType[key].occupiedNights += occupied;
 
 			if (cell.overbooked) {
+				const overbookingLimit = Number(roomTypeMeta.overbookingLimit) || 0;
 				warnings.push({
 					date: dayKey,
 					roomType: roomTypeMeta.label || key,
@@ -718,6 +852,8 @@ const buildHotelInventoryCalendarPayload = async (
 					occupied,
 					capacity,
 					overage: cell.overage,
+					overbookingLimit,
+					withinOverbookingLimit: cell.overage <= overbookingLimit,
 				});
 			}
 		});
@@ -750,6 +886,9 @@ const buildHotelInventoryCalendarPayload = async (
 				booked: dayBooked,
 				occupied: dayOccupied,
 				available: dayAvailable,
+				allotmentBlocked: dayAllotmentBlocked,
+				outOfOrder: dayOutOfOrder,
+				outOfService: dayOutOfService,
 				occupancyRate: dayOccupancyRate,
 				bookingRate: dayBookingRate,
 				overbooked: dayOverbooked,
@@ -897,7 +1036,9 @@ const buildHotelInventoryDayPayload = async (
 			return;
 		}
 
-		const counts = extractReservationRoomCounts(reservation, roomsById);
+		const counts = extractReservationRoomCounts(reservation, roomsById).filter((line) =>
+			lineCoversDay(line, dateOnlyKey(day))
+		);
 		if (roomKey) {
 			const matches = counts.some((line) => line.key === roomKey);
 			if (!matches) return;
@@ -946,6 +1087,7 @@ const buildHotelInventoryDayPayload = async (
 };
 
 exports.buildHotelInventoryCalendarPayload = buildHotelInventoryCalendarPayload;
+exports.loadInventoryReservationCounts = loadInventoryReservationCounts;
 exports.buildHotelInventoryDayPayload = buildHotelInventoryDayPayload;
 
 exports.getHotelInventoryCalendar = async (req, res) => {
@@ -972,6 +1114,9 @@ exports.getHotelInventoryCalendar = async (req, res) => {
 			includeCancelled: includeCancelled === "true",
 			paymentStatuses,
 			reservationVisibilityActor: calendarVisibilityActor,
+			allotmentHolder: calendarVisibilityActor
+				? { agentId: calendarVisibilityActor._id }
+				: null,
 		});
 		return res.json(payload);
 
@@ -1067,6 +1212,7 @@ exports.getHotelInventoryCalendar = async (req, res) => {
 				if (!reservationCoversDay(reservation, dayMoment)) return;
 				counts.forEach((line) => {
 					if (!line || !line.key) return;
+					if (!lineCoversDay(line, dayMoment.format("YYYY-MM-DD"))) return;
 					ensureRoomType(roomTypeMap, line.key, line.label, line.roomType);
 					if (!dayRooms[line.key]) {
 						dayRooms[line.key] = {
@@ -1265,7 +1411,9 @@ exports.getHotelInventoryDay = async (req, res) => {
 				return;
 			}
 
-			const counts = extractReservationRoomCounts(reservation, roomsById);
+			const counts = extractReservationRoomCounts(reservation, roomsById).filter((line) =>
+				lineCoversDay(line, dateOnlyKey(day))
+			);
 			if (roomKey) {
 				const matches = counts.some((line) => line.key === roomKey);
 				if (!matches) return;
@@ -1404,7 +1552,7 @@ exports.getHotelInventoryAvailability = async (req, res) => {
 			checkout_date: { $gt: startDate },
 		})
 			.populate("roomId", "display_name room_type individualBeds")
-			.select("checkin_date checkout_date reservation_status state pendingConfirmation agentDecisionSnapshot pickedRoomsType pickedRoomsPricing roomId bedNumber orderTakeId createdByUserId requestingUserId orderTaker createdBy")
+			.select("checkin_date checkout_date reservation_status state pendingConfirmation agentDecisionSnapshot pickedRoomsType pickedRoomsPricing roomId bedNumber orderTakeId createdByUserId requestingUserId orderTaker createdBy walkedNights")
 			.lean();
 
 		const reservationPayloads = reservations
@@ -1450,6 +1598,7 @@ exports.getHotelInventoryAvailability = async (req, res) => {
 					Array.isArray(reservation.roomId) && reservation.roomId.length > 0;
 				counts.forEach((line) => {
 					if (!line || !line.key) return;
+					if (!lineCoversDay(line, dayMoment.format("YYYY-MM-DD"))) return;
 					let key = line.key;
 					if (!roomTypeMap.has(key) && line.roomType) {
 						const fallbackKey = roomKeyByType.get(normalizeKey(line.roomType));
@@ -37,6 +37,8 @@ const runUtcDateOnlyProbe = async () => {
 	const HotelDetails = require("../models/hotel_details");
 	const Reservations = require("../models/reservations");
 	const Rooms = require("../models/rooms");
+	const HotelAllotment = require("../models/hotel_allotment");
+	const RoomOutOfOrder = require("../models/room_out_of_order");
 	const inventory = require("./hotel_inventory");
 
 	const hotelId = "64a000000000000000000006";
@@ -86,6 +88,8 @@ const runUtcDateOnlyProbe = async () => {
 
 	HotelDetails.findById = () => queryResult(hotel);
 	Rooms.find = () => queryResult([]);
+	HotelAllotment.find = () => queryResult([]);
+	RoomOutOfOrder.find = () => queryResult([]);
 	Reservations.find = (query) => {
 		reservationQueries.push(query);
 		return queryResult([reservation]);
@@ -6,9 +6,38 @@ const Reservations = require("../models/reservations");
 const HotelDetails = require("../models/hotel_details");
 const HousekeepingSupply = require("../models/housekeeping_supply");
 const HousekeepingSupplyRequest = require("../models/housekeeping_supply_request");
+const HousekeepingSupplyTemplate = require("../models/housekeeping_supply_template");
+const HousekeepingInspectionChecklist = require("../models/housekeeping_inspection_checklist");
+const LostAndFoundItem = require("../models/lost_and_found_item");
 const {
 	buildPendingConfirmationExclusionFilter,
 } = require("../services/reservationStatus");
+const {
+	TASK_KINDS,
+	clearRecoveredLowStockAlerts,
+	consumeTaskSupplies,
+	recordSupplyRequestExpense,
+	saveSupplyTemplate,
+} = require("../services/housekeepingSupplies");
+const {
+	loadPlanBoard,
+	planHousekeepingDay,
+	tomorrowFor,
+} = require("../services/housekeepingPlanner");
+const {
+	TASK_TYPES,
+	recordInspection,
+	requestInspection,
+	saveInspectionChecklist,
+} = require("../services/housekeepingInspections");
+const {
+	DISPOSAL_METHODS,
+	ITEM_CATEGORIES,
+	applyLostItemStatus,
+	logFoundItem,
+	normalizeFoundItemInput,
+	notifyGuestOfItem,
+} = require("../services/lostAndFound");
 
 const isFinishedStatus = (status = "") =>
 	["finished", "done", "completed", "clean"].includes(
@@ -198,6 +227,48 @@ const emitHousekeepingUpdate = (req, hotelId, payload = {}) => {
 	});
 };
 
+// Stock bookkeeping must never fail the cleaning update that triggered it.
+const consumeFinishedTaskSupplies = async (req, task) => {
+	if (!task || !isFinishedStatus(task.task_status)) return;
+	try {
+		const result = await consumeTaskSupplies(task);
+		if (!result) return;
+		emitHousekeepingUpdate(req, task.hotelId, { action: "suppliesUpdated" });
+		if (result.lowStock.length) {
+			emitHousekeepingUpdate(req, task.hotelId, {
+				action: "suppliesLow",
+				items: result.lowStock,
+				requestId: result.request?.requestId || null,
+			});
+		}
+	} catch (error) {
+		console.error(
+			"[housekeeping] Supply consumption failed:",
+			task._id,
+			error?.message || error
+		);
+	}
+};
+
+// Like supplies, queueing the inspection must not fail the cleaning update.
+const requestFinishedTaskInspection = async (req, task) => {
+	if (!task || !isFinishedStatus(task.task_status)) return;
+	try {
+		const queued = await requestInspection(task);
+		if (!queued) return;
+		emitHousekeepingUpdate(req, task.hotelId, {
+			action: "inspectionRequested",
+			taskId: String(task._id),
+		});
+	} catch (error) {
+		console.error(
+			"[housekeeping] Inspection request failed:",
+			task._id,
+			error?.message || error
+		);
+	}
+};
+
 const getDayRange = (dateValue) => {
 	if (!dateValue) return null;
 	let start = new Date(`${dateValue}T00:00:00.000Z`);
@@ -471,6 +542,74 @@ const markTaskRoomsByStatus = async (rooms = [], status = "") => {
 	);
 };
 
+/**
+ * Marks a checked-out reservation's rooms dirty and opens the housekeeping
+ * task for them, unless one is already open for the same booking and rooms.
+ * Room moves pass the vacated rooms and their own comment.
+ */
+exports.createCheckoutHousekeepingTask = async (
+	reservation = {},
+	{
+		actorId = null,
+		req = null,
+		rooms = null,
+		comment = "guest checked out",
+		dirtyReason = "guest_checked_out",
+	} = {}
+) => {
+	const roomIds = normalizeRoomIds(rooms || reservation.roomId);
+	const now = new Date();
+	if (roomIds.length) {
+		await Rooms.updateMany(
+			{ _id: { $in: roomIds.map((roomId) => mongoose.Types.ObjectId(roomId)) } },
+			{
+				$set: {
+					cleanRoom: false,
+					housekeepingLastCleanedAt: null,
+					housekeepingLastDirtyAt: now,
+					housekeepingDirtyReason: dirtyReason,
+				},
+			}
+		);
+	}
+
+	const confirmationNumber = String(reservation.confirmation_number || "").toLowerCase();
+	const existingTasks = await HouseKeeping.find({
+		confirmation_number: confirmationNumber,
+		hotelId: normalizeObjectId(reservation.hotelId),
+	})
+		.select("task_status rooms")
+		.lean();
+	if (
+		existingTasks.some(
+			(task) =>
+				!isFinishedStatus(task.task_status) &&
+				roomIds.every((roomId) => includesId(task.rooms, roomId))
+		)
+	) {
+		return null;
+	}
+
+	const task = await new HouseKeeping({
+		taskDate: now,
+		cleaningDate: now,
+		confirmation_number: confirmationNumber,
+		rooms: roomIds,
+		roomStatus: buildRoomStatus(roomIds),
+		hotelId: normalizeObjectId(reservation.hotelId),
+		task_comment: comment,
+		assignedBy: actorId || null,
+		statusHistory: [{ status: "unfinished", changedBy: actorId || null, comment }],
+	}).save();
+	if (req) {
+		emitHousekeepingUpdate(req, reservation.hotelId, {
+			action: "created",
+			taskIds: [String(task._id)],
+		});
+	}
+	return task;
+};
+
 exports.create = async (req, res) => {
 	try {
 		const hotelId = req.params.hotelId || req.body.hotelId;
@@ -589,6 +728,10 @@ exports.create = async (req, res) => {
 				status
 			);
 		}
+		for (const task of data) {
+			await consumeFinishedTaskSupplies(req, task);
+			await requestFinishedTaskInspection(req, task);
+		}
 		emitHousekeepingUpdate(req, hotelId, {
 			action: "created",
 			assignedTo: String(assignedToId),
@@ -727,6 +870,8 @@ exports.updateHouseKeepingTask = async (req, res) => {
 
 			await existingTask.save();
 			await syncRoomCleanFlags(nextRoomStatus);
+			await consumeFinishedTaskSupplies(req, existingTask);
+			await requestFinishedTaskInspection(req, existingTask);
 			emitHousekeepingUpdate(req, existingTask.hotelId, {
 				action: "updated",
 				taskId: String(existingTask._id),
@@ -975,6 +1120,8 @@ exports.updateHouseKeepingTask = async (req, res) => {
 		} else {
 			await markTaskRoomsByStatus(updateHouseKeeping.rooms, nextStatus);
 		}
+		await consumeFinishedTaskSupplies(req, updateHouseKeeping);
+		await requestFinishedTaskInspection(req, updateHouseKeeping);
 		emitHousekeepingUpdate(req, updateHouseKeeping.hotelId, {
 			action: assignmentChanged ? "assigned" : "updated",
 			taskId: String(updateHouseKeeping._id),
@@ -987,6 +1134,54 @@ exports.updateHouseKeepingTask = async (req, res) => {
 	}
 };
 
+exports.planHousekeeping = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canManageHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to plan housekeeping for this hotel.",
+			});
+		}
+		const result = await planHousekeepingDay({
+			hotelId,
+			date: String(req.body.date || tomorrowFor()).trim(),
+			io: req.app && req.app.get("io"),
+			actorId: actor?._id || null,
+		});
+		res.json(result);
+	} catch (err) {
+		if (err.name === "HousekeepingPlannerError") {
+			return res.status(err.statusCode).json({ error: err.message, code: err.code });
+		}
+		console.error(err);
+		res.status(500).json({ error: "Error planning housekeeping." });
+	}
+};
+
+exports.housekeepingPlanBoard = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canAccessHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to view housekeeping for this hotel.",
+			});
+		}
+		const board = await loadPlanBoard({
+			hotelId,
+			date: String(req.query.date || tomorrowFor()).trim(),
+		});
+		res.json({ board });
+	} catch (err) {
+		if (err.name === "HousekeepingPlannerError") {
+			return res.status(err.statusCode).json({ error: err.message, code: err.code });
+		}
+		console.error(err);
+		res.status(500).json({ error: "Error loading the housekeeping plan." });
+	}
+};
+
 exports.list = async (req, res) => {
 	const hotelId = mongoose.Types.ObjectId(req.params.hotelId);
 	const page = parseInt(req.params.page) || 1;
@@ -1176,7 +1371,7 @@ exports.listHousekeepingSupplies = async (req, res) => {
 		const includeInactive = String(req.query.includeInactive || "").toLowerCase() === "true";
 		const itemMatch = { hotelId };
 		if (!includeInactive) itemMatch.isActive = { $ne: false };
-		const [items, requests] = await Promise.all([
+		const [items, requests, templates] = await Promise.all([
 			HousekeepingSupply.find(itemMatch).sort({ category: 1, name: 1 }).lean(),
 			populateSupplyRequest(
 				HousekeepingSupplyRequest.find({ hotelId }).sort({
@@ -1184,10 +1379,13 @@ exports.listHousekeepingSupplies = async (req, res) => {
 					createdAt: -1,
 				})
 			).lean(),
+			HousekeepingSupplyTemplate.find({ hotelId }).sort({ taskKind: 1 }).lean(),
 		]);
 		res.json({
 			items,
 			requests,
+			templates,
+			taskKinds: TASK_KINDS,
 			recommended: HOUSEKEEPING_SUPPLY_CATALOG,
 		});
 	} catch (err) {
@@ -1214,6 +1412,7 @@ exports.upsertHousekeepingSupplyItem = async (req, res) => {
 			unit: String(req.body.unit || "unit").trim(),
 			currentStock: normalizeMoney(req.body.currentStock),
 			minimumStock: normalizeMoney(req.body.minimumStock),
+			reorderQuantity: normalizeMoney(req.body.reorderQuantity),
 			estimatedUnitCost: normalizeMoney(req.body.estimatedUnitCost),
 			lastPurchasePrice: normalizeMoney(req.body.lastPurchasePrice),
 			supplier: String(req.body.supplier || "").trim(),
@@ -1231,6 +1430,7 @@ exports.upsertHousekeepingSupplyItem = async (req, res) => {
 			{ $set: payload, $setOnInsert: { createdBy: actor?._id } },
 			{ new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
 		).lean();
+		await clearRecoveredLowStockAlerts(hotelId);
 		emitHousekeepingUpdate(req, hotelId, { action: "suppliesUpdated" });
 		res.json({ item });
 	} catch (err) {
@@ -1239,6 +1439,33 @@ exports.upsertHousekeepingSupplyItem = async (req, res) => {
 	}
 };
 
+exports.saveHousekeepingSupplyTemplate = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canManageHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to manage supplies for this hotel.",
+			});
+		}
+		const template = await saveSupplyTemplate({
+			hotelId,
+			taskKind: String(req.body.taskKind || "").trim().toLowerCase(),
+			items: req.body.items,
+			isActive: req.body.isActive,
+			actorId: actor?._id || null,
+		});
+		emitHousekeepingUpdate(req, hotelId, { action: "suppliesUpdated" });
+		res.json({ template });
+	} catch (err) {
+		if (err.name === "HousekeepingSupplyError") {
+			return res.status(err.statusCode).json({ error: err.message, code: err.code });
+		}
+		console.error(err);
+		res.status(500).json({ error: "Error saving housekeeping supply template." });
+	}
+};
+
 exports.createHousekeepingSupplyRequest = async (req, res) => {
 	try {
 		const { hotelId } = req.params;
@@ -1306,7 +1533,24 @@ exports.updateHousekeepingSupplyRequest = async (req, res) => {
 		const action = String(req.body.action || req.body.status || "").toLowerCase();
 		const canManage = await canManageHousekeepingHotel(actor, hotelId);
 		const canFinance = await canApproveHousekeepingSupplies(actor, hotelId);
-		if (["approved", "approve", "rejected", "reject"].includes(action)) {
+		if (["submit", "pending_finance"].includes(action)) {
+			if (!canManage) {
+				return res.status(403).json({
+					error: "You are not allowed to update this supply request.",
+				});
+			}
+			if (request.status !== "draft") {
+				return res.status(400).json({ error: "Only draft requests can be submitted." });
+			}
+			request.status = "pending_finance";
+			request.requestedBy = request.requestedBy || actor?._id;
+			request.requestNotes = String(req.body.requestNotes || request.requestNotes || "").trim();
+		} else if (["approved", "approve", "rejected", "reject"].includes(action)) {
+			if (request.status === "draft") {
+				return res.status(400).json({
+					error: "Submit the draft request to finance before reviewing it.",
+				});
+			}
 			if (!canFinance) {
 				return res.status(403).json({
 					error: "Finance approval is required for this supply request.",
@@ -1355,11 +1599,18 @@ exports.updateHousekeepingSupplyRequest = async (req, res) => {
 						)
 					)
 				);
+				await clearRecoveredLowStockAlerts(hotelId);
 			}
 		} else {
 			return res.status(400).json({ error: "Unsupported supply request action." });
 		}
 		await request.save();
+		if (request.status === "received") {
+			await recordSupplyRequestExpense(request, {
+				actorId: actor?._id || null,
+				receipt: req.body.receipt,
+			});
+		}
 		emitHousekeepingUpdate(req, hotelId, { action: "suppliesUpdated" });
 		const populated = await populateSupplyRequest(
 			HousekeepingSupplyRequest.findById(request._id)
@@ -1370,3 +1621,226 @@ exports.updateHousekeepingSupplyRequest = async (req, res) => {
 		res.status(500).json({ error: "Error updating housekeeping supply request." });
 	}
 };
+
+exports.listHousekeepingInspections = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canManageHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to inspect housekeeping for this hotel.",
+			});
+		}
+		const [checklists, pending] = await Promise.all([
+			HousekeepingInspectionChecklist.find({ hotelId }).sort({ taskType: 1 }).lean(),
+			populateTask(
+				HouseKeeping.find({ hotelId, "inspection.status": "pending" }).sort({
+					"inspection.requestedAt": 1,
+				})
+			).lean(),
+		]);
+		res.json({ checklists, pending, taskTypes: TASK_TYPES });
+	} catch (err) {
+		console.error(err);
+		res.status(500).json({ error: "Error loading housekeeping inspections." });
+	}
+};
+
+exports.saveHousekeepingInspectionChecklist = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canManageHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to manage inspections for this hotel.",
+			});
+		}
+		const checklist = await saveInspectionChecklist({
+			hotelId,
+			taskType: String(req.body.taskType || "").trim().toLowerCase(),
+			items: req.body.items,
+			passScore: req.body.passScore ?? 80,
+			isActive: req.body.isActive,
+			actorId: actor?._id || null,
+		});
+		res.json({ checklist });
+	} catch (err) {
+		if (err.name === "HousekeepingInspectionError") {
+			return res.status(err.statusCode).json({ error: err.message, code: err.code });
+		}
+		console.error(err);
+		res.status(500).json({ error: "Error saving the inspection checklist." });
+	}
+};
+
+/**
+ * Body: { items: [{ key, passed, note }], photos: [{ public_id, url }], comment }.
+ * A failed inspection puts the task back to unfinished and its rooms back to dirty.
+ */
+exports.inspectHouseKeepingTask = async (req, res) => {
+	try {
+		const { taskId } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(String(taskId))) {
+			return res.status(400).json({ error: "Invalid housekeeping task id." });
+		}
+		const task = await HouseKeeping.findById(taskId).lean();
+		if (!task) return res.status(404).json({ error: "task not found" });
+		const actor = await getRequestUser(req);
+		if (!(await canManageHousekeepingHotel(actor, task.hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to inspect housekeeping for this hotel.",
+			});
+		}
+		const inspected = await recordInspection({
+			task,
+			input: req.body,
+			inspectorId: actor?._id || null,
+		});
+		if (inspected.inspection.status === "failed") {
+			if (inspected.roomStatus?.length) {
+				await syncRoomCleanFlags(inspected.roomStatus);
+			} else {
+				await markTaskRoomsByStatus(inspected.rooms, inspected.task_status);
+			}
+		}
+		emitHousekeepingUpdate(req, inspected.hotelId, {
+			action: inspected.inspection.status === "failed" ? "recleanRequested" : "inspected",
+			taskId: String(inspected._id),
+			assignedTo: normalizeObjectId(inspected.assignedTo),
+		});
+		const populatedTask = await populateTask(HouseKeeping.findById(inspected._id));
+		res.json(populatedTask);
+	} catch (err) {
+		if (err.name === "HousekeepingInspectionError") {
+			return res.status(err.statusCode).json({ error: err.message, code: err.code });
+		}
+		console.error(err);
+		res.status(500).json({ error: "Error recording the inspection." });
+	}
+};
+
+const populateLostItem = (query) =>
+	query
+		.populate("foundBy", "name email phone role roleDescription")
+		.populate("taskId", "taskDate task_status confirmation_number");
+
+const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sendLostAndFoundError = (res, err, fallback) => {
+	if (err.name === "LostAndFoundError") {
+		return res.status(err.statusCode).json({ error: err.message, code: err.code });
+	}
+	console.error(err);
+	return res.status(500).json({ error: fallback });
+};
+
+exports.listLostAndFoundItems = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canAccessHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to view lost and found for this hotel.",
+			});
+		}
+		const match = { hotelId };
+		const status = String(req.query.status || "stored").toLowerCase();
+		if (status !== "all") match.status = status;
+		const search = String(req.query.q || "").trim();
+		if (search) {
+			const pattern = new RegExp(escapeRegex(search), "i");
+			match.$or = [
+				{ reference: pattern },
+				{ description: pattern },
+				{ roomNumber: pattern },
+				{ confirmationNumber: pattern },
+				{ guestName: pattern },
+			];
+		}
+		const items = await populateLostItem(
+			LostAndFoundItem.find(match).sort({ foundAt: -1 }).limit(500)
+		).lean();
+		res.json({ items, categories: ITEM_CATEGORIES, disposalMethods: DISPOSAL_METHODS });
+	} catch (err) {
+		console.error(err);
+		res.status(500).json({ error: "Error loading lost and found items." });
+	}
+};
+
+exports.createLostAndFoundItem = async (req, res) => {
+	try {
+		const { hotelId } = req.params;
+		const actor = await getRequestUser(req);
+		if (!(await canAccessHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to log lost and found for this hotel.",
+			});
+		}
+		const item = await logFoundItem({
+			hotelId,
+			input: req.body,
+			actorId: actor?._id || null,
+			notify: req.body.notifyGuest !== false,
+		});
+		emitHousekeepingUpdate(req, hotelId, { action: "lostAndFoundUpdated" });
+		res.json({ item });
+	} catch (err) {
+		sendLostAndFoundError(res, err, "Error logging the found item.");
+	}
+};
+
+/**
+ * action "update" edits the description, storage and photos; "notify" resends
+ * the guest message; "claimed", "shipped" and "disposed" close the item.
+ */
+exports.updateLostAndFoundItem = async (req, res) => {
+	try {
+		const { itemId } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(String(itemId))) {
+			return res.status(400).json({ error: "Invalid lost and found item id." });
+		}
+		const item = await LostAndFoundItem.findById(itemId);
+		if (!item) return res.status(404).json({ error: "Lost and found item not found." });
+		const actor = await getRequestUser(req);
+		const hotelId = item.hotelId;
+		if (!(await canAccessHousekeepingHotel(actor, hotelId))) {
+			return res.status(403).json({
+				error: "You are not allowed to update lost and found for this hotel.",
+			});
+		}
+		const action = String(req.body.action || "").toLowerCase();
+		if (action === "update") {
+			if (item.status !== "stored") {
+				return res.status(400).json({ error: "Only stored items can be edited." });
+			}
+			const details = normalizeFoundItemInput({
+				...item.toObject(),
+				...req.body,
+				foundAt: item.foundAt,
+			});
+			item.description = details.description;
+			item.category = details.category;
+			item.location = details.location;
+			item.storageLocation = details.storageLocation;
+			item.photos = details.photos;
+		} else if (action === "notify") {
+			await notifyGuestOfItem(item);
+		} else if (["claimed", "shipped", "disposed"].includes(action)) {
+			if (action === "disposed" && !(await canManageHousekeepingHotel(actor, hotelId))) {
+				return res.status(403).json({
+					error: "A manager has to approve disposing of found items.",
+				});
+			}
+			applyLostItemStatus(item, action, req.body, { by: actor?._id || null });
+		} else {
+			return res.status(400).json({ error: "Unsupported lost and found action." });
+		}
+		item.updatedBy = actor?._id;
+		await item.save();
+		emitHousekeepingUpdate(req, hotelId, { action: "lostAndFoundUpdated" });
+		const populated = await populateLostItem(LostAndFoundItem.findById(item._id)).lean();
+		res.json({ item: populated });
+	} catch (err) {
+		sendLostAndFoundError(res, err, "Error updating the lost and found item.");
+	}
+};
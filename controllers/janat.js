@@ -20,6 +20,30 @@ const {
 	generateUniquePmsConfirmationNumber,
 	reservationExternalConfirmationValues,
 } = require("../services/pmsConfirmationAllocator");
+const {
+	attachCancellationPolicySnapshot,
+} = require("../services/cancellationPolicy");
+const { evaluateStayRestrictions } = require("../services/stayRestrictions");
+const { calculateCalendarStayTotal } = require("../services/reservationPricing");
+const {
+	LoyaltyError,
+	attachLoyaltyRedemption,
+	holdLoyaltyRedemption,
+	isLoyaltyEnabled,
+	listLoyaltyLedger,
+	loyaltySummary,
+	quoteLoyaltyRedemption,
+	releaseLoyaltyRedemption,
+} = require("../services/loyalty");
+const {
+	PromoCodeError,
+	applyPromoRedemption,
+	consumePromoQuoteRateLimit,
+	quotePromoCode,
+	redeemPromoCode,
+	releasePromoRedemption,
+	reservationPromoSnapshot,
+} = require("../services/promoCodes");
 const {
 	protectEstablishedOtaReservationIdentityUpdate,
 	validateEstablishedOtaReservationIdentityCandidate,
@@ -1347,6 +1371,31 @@ exports.gettingRoomListFromQuery = async (req, res) => {
 											},
 										},
 									},
+									// The checkout day is included for closed-to-departure.
+									stayRestrictions: {
+										$filter: {
+											input: {
+												$ifNull: ["$$room.stayRestrictions", []],
+											},
+											as: "restriction",
+											cond: {
+												$and: [
+													{
+														$gte: [
+															"$$restriction.calendarDate",
+															startDate,
+														],
+													},
+													{
+														$lte: [
+															"$$restriction.calendarDate",
+															endDate,
+														],
+													},
+												],
+											},
+										},
+									},
 									roomColor: "$$room.roomColor",
 									activeRoom: "$$room.activeRoom",
 									refundPolicyDays: "$$room.refundPolicyDays",
@@ -1368,6 +1417,13 @@ exports.gettingRoomListFromQuery = async (req, res) => {
 
 			const publicHotels = sortPublicHotels(
 				hotels
+					.map((hotel) => ({
+						...hotel,
+						roomCountDetails: (hotel.roomCountDetails || []).filter(
+							(room) =>
+								evaluateStayRestrictions(room, startDate, endDate).allowed,
+						),
+					}))
 					.map((hotel) =>
 						compactPublicHotel(hotel, {
 							includePricingRate: true,
@@ -1615,7 +1671,168 @@ const sendEmailWithInvoice = async (
 	}
 };
 
+// Takes a discount off the booking total. A full online payment is charged
+// the discounted total; a deposit stays as quoted.
+const applyClientDiscount = (req, discountSar) => {
+	const totalBefore = Number(req.body.total_amount) || 0;
+	if (!(totalBefore > 0) || !(discountSar > 0)) return;
+	const totalAfter = Number((totalBefore - discountSar).toFixed(2));
+	const ratio = totalAfter / totalBefore;
+	req.body.total_amount = totalAfter;
+	if (req.body.payment === "Paid Online") {
+		req.body.paid_amount = Number(((Number(req.body.paid_amount) || 0) * ratio).toFixed(2));
+		if (req.body.convertedAmounts) {
+			req.body.convertedAmounts = {
+				...req.body.convertedAmounts,
+				totalUSD: Number(
+					((Number(req.body.convertedAmounts.totalUSD) || 0) * ratio).toFixed(2)
+				),
+			};
+		}
+	}
+};
+
+// Points can only be redeemed by the signed-in member they belong to; the
+// booking form sends the member's token with `redeemPoints`.
+const loyaltyMemberIdFromRequest = (req) => {
+	const header = String(req.headers?.authorization || "");
+	const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+	if (!token) return "";
+	try {
+		const payload = jwt.verify(token, process.env.JWT_SECRET, {
+			algorithms: ["HS256"],
+		});
+		return payload?.preview ? "" : String(payload?._id || "");
+	} catch (error) {
+		return "";
+	}
+};
+
+/**
+ * What the booking is worth for points: the stay at calendar rates less the
+ * discounts already taken, capped by the total the client sent. Null when
+ * the stay could not be priced on the server.
+ */
+const loyaltyEligibleAmount = (req) => {
+	if (req.loyaltyCalendarTotal === null || req.loyaltyCalendarTotal === undefined) {
+		return null;
+	}
+	const discounts =
+		(Number(req.promoRedemption?.discountSar) || 0) +
+		(Number(req.loyaltyRedemption?.discountSar) || 0);
+	return Number(
+		Math.max(
+			0,
+			Math.min(req.loyaltyCalendarTotal - discounts, Number(req.body.total_amount) || 0)
+		).toFixed(2)
+	);
+};
+
+/**
+ * Applies a points redemption to a card booking: the total (and for online
+ * payment the charged amount) drops by the discount and the points are held
+ * before the card is charged. Returns null when nothing is redeemed.
+ */
+const holdClientLoyaltyRedemption = async (req) => {
+	const requested = Math.floor(Number(req.body.redeemPoints) || 0);
+	if (requested <= 0) return null;
+	if (!isLoyaltyEnabled()) {
+		throw new LoyaltyError("Loyalty points are not available right now.", "loyalty_disabled");
+	}
+	if (req.body.payment === "Not Paid") {
+		throw new LoyaltyError(
+			"Points can only be redeemed on bookings paid by card.",
+			"loyalty_payment_required"
+		);
+	}
+	const memberId = loyaltyMemberIdFromRequest(req);
+	if (!memberId || memberId !== String(req.body.userId || "")) {
+		throw new LoyaltyError("Please sign in to redeem your points.", "loyalty_signin_required", 401);
+	}
+	const member = await User.findById(memberId).select("loyaltyPoints").lean();
+	if (!member) {
+		throw new LoyaltyError("Please sign in to redeem your points.", "loyalty_signin_required", 401);
+	}
+	const totalBefore = Number(req.body.total_amount) || 0;
+	const eligibleTotal = loyaltyEligibleAmount(req);
+	if (eligibleTotal === null) {
+		throw new LoyaltyError(
+			"Points cannot be redeemed on this booking.",
+			"loyalty_total_unavailable",
+			409
+		);
+	}
+	const quote = quoteLoyaltyRedemption({
+		balance: member.loyaltyPoints,
+		points: requested,
+		totalAmount: eligibleTotal,
+	});
+	const hold = await holdLoyaltyRedemption({
+		userId: member._id,
+		points: quote.points,
+		discountSar: quote.discountSar,
+		hotelId: req.body.hotelId,
+		amountSar: totalBefore,
+	});
+
+	applyClientDiscount(req, quote.discountSar);
+	return { ...hold, amountBeforeDiscount: totalBefore };
+};
+
+/**
+ * Promo codes are checked against the request before anything else is
+ * discounted. Card bookings take a use of the code before the charge; a
+ * pay-later booking only has the code checked here and redeems it when the
+ * guest confirms the emailed link.
+ */
+const clientPromoInput = (req) => ({
+	code: req.body.promoCode,
+	hotelId: req.body.hotelId,
+	checkinDate: req.body.checkin_date,
+	totalAmount: req.body.total_amount,
+	email: req.body.customerDetails?.email,
+	phone: req.body.customerDetails?.phone,
+});
+
+const redeemClientPromoCode = async (req) => {
+	if (!String(req.body.promoCode || "").trim()) return null;
+	const redemption = await redeemPromoCode(clientPromoInput(req));
+	applyClientDiscount(req, redemption.discountSar);
+	return redemption;
+};
+
+exports.quotePromoCodeClient = async (req, res) => {
+	try {
+		consumePromoQuoteRateLimit(req);
+		const body = req.body || {};
+		const { quote } = await quotePromoCode({
+			code: body.code || body.promoCode,
+			hotelId: body.hotelId,
+			checkinDate: body.checkin_date,
+			totalAmount: body.total_amount,
+			email: body.email || body.customerDetails?.email,
+			phone: body.phone || body.customerDetails?.phone,
+		});
+		return res.status(200).json({ message: "Promo code applied.", data: quote });
+	} catch (error) {
+		if (error instanceof PromoCodeError) {
+			if (error.retryAfterSeconds) {
+				res.setHeader("Retry-After", String(error.retryAfterSeconds));
+			}
+			return res
+				.status(error.statusCode)
+				.json({ message: error.message, code: error.code });
+		}
+		console.error("Error quoting promo code:", error);
+		return res
+			.status(500)
+			.json({ message: "An error occurred while checking the promo code" });
+	}
+};
+
 exports.createNewReservationClient = async (req, res) => {
+	let loyaltyHold = null;
+	let promoRedemption = null;
 	try {
 		req.body = preparePublicDirectReservationPayload(
 			stripClientSuppliedPaymentReconciliation({ ...(req.body || {}) }),
@@ -1674,6 +1891,9 @@ exports.createNewReservationClient = async (req, res) => {
 
 		// ========== Not Paid => send verification ==========
 		if (req.body.payment === "Not Paid") {
+			if (String(req.body.promoCode || "").trim()) {
+				await quotePromoCode(clientPromoInput(req));
+			}
 			if (!email) {
 				return res.status(201).json({
 					message: "Reservation verified successfully.",
@@ -1758,10 +1978,19 @@ exports.createNewReservationClient = async (req, res) => {
 				.json({ message: "Invalid payment details provided." });
 		}
 
+		req.loyaltyCalendarTotal = isLoyaltyEnabled()
+			? await calculateCalendarStayTotal(req.body)
+			: null;
+		promoRedemption = await redeemClientPromoCode(req);
+		req.promoRedemption = promoRedemption;
+		loyaltyHold = await holdClientLoyaltyRedemption(req);
+		req.loyaltyRedemption = loyaltyHold;
+		const chargedAmounts = req.body.convertedAmounts || convertedAmounts;
+
 		const amountInUSD =
 			req.body.payment === "Deposit Paid"
-				? convertedAmounts.depositUSD
-				: convertedAmounts.totalUSD;
+				? chargedAmounts.depositUSD
+				: chargedAmounts.totalUSD;
 
 		const paymentResponse = await processPayment({
 			amount: amountInUSD,
@@ -1775,6 +2004,12 @@ exports.createNewReservationClient = async (req, res) => {
 		});
 
 		if (!paymentResponse.success) {
+			if (loyaltyHold) {
+				await releaseLoyaltyRedemption(loyaltyHold.holdId, "Payment failed");
+			}
+			if (promoRedemption) {
+				await releasePromoRedemption(promoRedemption.redemptionId, "Payment failed");
+			}
 			return res.status(400).json({
 				message: paymentResponse.message || "Payment processing failed.",
 			});
@@ -1815,12 +2050,28 @@ exports.createNewReservationClient = async (req, res) => {
 			res,
 			confirmationNumber,
 			paymentResponse.response,
-			convertedAmounts,
+			chargedAmounts,
 		);
 	} catch (error) {
 		if (isPublicDirectReservationIdentityError(error)) {
 			return sendPublicDirectIdentityFailure(res, error);
 		}
+		if (loyaltyHold && !res.headersSent) {
+			// The reconcile job releases it anyway if this fails too.
+			await releaseLoyaltyRedemption(loyaltyHold.holdId, "Booking failed").catch(
+				() => null
+			);
+		}
+		if (promoRedemption && !res.headersSent) {
+			await releasePromoRedemption(promoRedemption.redemptionId, "Booking failed").catch(
+				() => null
+			);
+		}
+		if (error instanceof LoyaltyError || error instanceof PromoCodeError) {
+			return res
+				.status(error.statusCode)
+				.json({ message: error.message, code: error.code });
+		}
 		console.error("Error creating reservation:", error);
 		res
 			.status(500)
@@ -1859,6 +2110,8 @@ async function handleUserAndReservation(
 			console.log("New user created:", user);
 		}
 
+		req.loyaltyMemberId = user._id;
+
 		// Update the user's confirmationNumbersBooked field
 		user.confirmationNumbersBooked = user.confirmationNumbersBooked || [];
 		user.confirmationNumbersBooked.push(confirmationNumber);
@@ -1938,6 +2191,21 @@ async function saveReservation(
 		hotelName: req.body.hotelName,
 		hazent: req.body.usePassword,
 		availabilitySnapshot: req.body.availabilitySnapshot,
+		promo: req.promoRedemption ? reservationPromoSnapshot(req.promoRedemption) : null,
+		loyalty: req.loyaltyMemberId
+			? {
+					userId: req.loyaltyMemberId,
+					eligibleAmountSar: loyaltyEligibleAmount(req),
+					...(req.loyaltyRedemption
+						? {
+								holdId: req.loyaltyRedemption.holdId,
+								redeemedPoints: req.loyaltyRedemption.points,
+								discountSar: req.loyaltyRedemption.discountSar,
+								amountBeforeDiscount: req.loyaltyRedemption.amountBeforeDiscount,
+						  }
+						: {}),
+			  }
+			: null,
 	};
 	preparePublicDirectReservationPayload(reservationPayload, {
 		canonicalConfirmation: CANONICAL_CONFIRMATION_MODES.ALLOW,
@@ -1947,10 +2215,25 @@ async function saveReservation(
 		operationalStatus: false,
 		clientVisibleStatus: "confirmed",
 	});
+	await attachCancellationPolicySnapshot(reservationPayload);
 	const newReservation = new Reservations(reservationPayload);
 
 	try {
 		const savedReservation = await newReservation.save();
+		if (req.loyaltyRedemption) {
+			try {
+				await attachLoyaltyRedemption(req.loyaltyRedemption.holdId, savedReservation);
+			} catch (loyaltyErr) {
+				console.error("[loyalty] attaching redemption failed:", loyaltyErr?.message || loyaltyErr);
+			}
+		}
+		if (req.promoRedemption) {
+			try {
+				await applyPromoRedemption(req.promoRedemption.redemptionId, savedReservation);
+			} catch (promoErr) {
+				console.error("[promo] applying redemption failed:", promoErr?.message || promoErr);
+			}
+		}
 
 		const hotel = await HotelDetails.findById(hotelId).exec();
 		if (!hotel) {
@@ -1996,6 +2279,12 @@ async function saveReservation(
 		});
 	} catch (error) {
 		console.error("Error saving reservation:", error);
+		if (req.promoRedemption && newReservation.isNew) {
+			await releasePromoRedemption(
+				req.promoRedemption.redemptionId,
+				"Reservation was not saved",
+			).catch(() => null);
+		}
 		res.status(500).json({
 			message: "An error occurred while saving the reservation",
 		});
@@ -2124,6 +2413,7 @@ async function processPayment({
 }
 
 exports.verifyReservationToken = async (req, res) => {
+	let promoRedemption = null;
 	try {
 		const { token } = req.body;
 
@@ -2295,6 +2585,8 @@ exports.verifyReservationToken = async (req, res) => {
 
 		// Call the handleUserAndReservation function to create the user and reservation document
 		req.body = reservationData;
+		promoRedemption = await redeemClientPromoCode(req);
+		req.promoRedemption = promoRedemption;
 
 		console.log(reservationData, "reservationData from not paid status");
 
@@ -2309,6 +2601,16 @@ exports.verifyReservationToken = async (req, res) => {
 		if (isPublicDirectReservationIdentityError(error)) {
 			return sendPublicDirectIdentityFailure(res, error);
 		}
+		if (promoRedemption && !res.headersSent) {
+			await releasePromoRedemption(promoRedemption.redemptionId, "Booking failed").catch(
+				() => null
+			);
+		}
+		if (error instanceof PromoCodeError) {
+			return res
+				.status(error.statusCode)
+				.json({ message: error.message, code: error.code });
+		}
 		console.error("Error verifying reservation token:", error);
 		return res.status(500).json({
 			message: "An error occurred while verifying the reservation token.",
@@ -2368,6 +2670,10 @@ exports.getUserAndReservationData = async (req, res) => {
 				email: user.email,
 			},
 			reservations,
+			loyalty: {
+				...loyaltySummary(user),
+				ledger: await listLoyaltyLedger(user._id),
+			},
 		});
 	} catch (error) {
 		console.error("Error fetching user and reservation data:", error);
@@ -6554,6 +6860,7 @@ exports.createNewReservationClient2 = async (req, res) => {
 				"janat_employee_pending_confirmation_create"
 			);
 			assertReservationPmsConfirmationDistinct(reservationPayload);
+			await attachCancellationPolicySnapshot(reservationPayload);
 
 			const reservation = new Reservations(reservationPayload);
 
@@ -7602,6 +7909,32 @@ function sanitizeReservationForPublicInvoice(doc) {
 		};
 	}
 
+	// Folios carry staff names and void reasons; the guest only sees the lines
+	if (Array.isArray(r.folios)) {
+		r.folios = r.folios.map((folio) => ({
+			_id: folio._id,
+			kind: folio.kind,
+			label: folio.label,
+			billTo: { company: folio.billTo?.company || "" },
+			status: folio.status,
+			charges: (folio.charges || [])
+				.filter((charge) => !charge.voided)
+				.map((charge) => ({
+					category: charge.category,
+					description: charge.description,
+					quantity: charge.quantity,
+					unitPrice: charge.unitPrice,
+					amount: charge.amount,
+					chargeDate: charge.chargeDate,
+				})),
+			payments: (folio.payments || []).map((payment) => ({
+				method: payment.method,
+				amount: payment.amount,
+				at: payment.at,
+			})),
+		}));
+	}
+
 	return r;
 }
 
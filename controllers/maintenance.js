@@ -0,0 +1,349 @@
+/** @format */
+
+"use strict";
+
+const moment = require("moment");
+const mongoose = require("mongoose");
+const MaintenanceWorkOrder = require("../models/maintenance_work_order");
+const RoomOutOfOrder = require("../models/room_out_of_order");
+const Rooms = require("../models/rooms");
+const User = require("../models/user");
+const {
+	MaintenanceError,
+	applyWorkOrderStatus,
+	buildMaintenanceSlaReport,
+	normalizeRoomBlockInput,
+	normalizeWorkOrderInput,
+	recordWorkOrderExpense,
+	returnRoomBlock,
+	slaDueAtFor,
+} = require("../services/maintenance");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+const { captureAriChangeSafely } = require("../services/ariPush");
+
+const ObjectId = mongoose.Types.ObjectId;
+
+const sendMaintenanceError = (res, error, fallback) => {
+	if (error instanceof MaintenanceError || error?.statusCode) {
+		return res
+			.status(error.statusCode || 400)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`[maintenance] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadHotelRoom = (hotelId, roomId) =>
+	roomId && ObjectId.isValid(String(roomId))
+		? Rooms.findOne({ _id: roomId, hotelId }).select("_id room_number").lean().exec()
+		: null;
+
+const loadScoped = async (Model, id, hotelId, label) => {
+	if (!ObjectId.isValid(String(id))) {
+		throw new MaintenanceError(`Invalid ${label} id.`, "maintenance_id_invalid");
+	}
+	const doc = await Model.findOne({ _id: id, hotelId });
+	if (!doc) {
+		throw new MaintenanceError(`${label} not found.`, "maintenance_not_found", 404);
+	}
+	return doc;
+};
+
+const assigneeName = async (userId) => {
+	if (!userId) return "";
+	const user = await User.findById(userId).select("name email").lean().exec();
+	if (!user) {
+		throw new MaintenanceError("Assignee not found.", "maintenance_input_invalid", 404);
+	}
+	return user.name || user.email || "";
+};
+
+const blockOverlaps = (payload, hotelId, exceptId = null) =>
+	RoomOutOfOrder.exists({
+		hotelId,
+		roomId: payload.roomId,
+		status: "active",
+		startDate: { $lt: payload.endDate },
+		endDate: { $gt: payload.startDate },
+		...(exceptId ? { _id: { $ne: exceptId } } : {}),
+	});
+
+// A blocked room leaves the sellable count, so channels are told about every
+// night the block covered before or after the write (endDate is exclusive).
+const captureRoomBlockAri = (block, previous = null) => {
+	const ranges = [previous, block].filter((range) => range?.startDate && range?.endDate);
+	if (!ranges.length) return null;
+	const starts = ranges.map((range) => moment.utc(range.startDate).format("YYYY-MM-DD"));
+	const lastNights = ranges.map((range) =>
+		moment.utc(range.endDate).subtract(1, "day").format("YYYY-MM-DD")
+	);
+	return captureAriChangeSafely({
+		hotelId: block.hotelId,
+		startDate: starts.sort()[0],
+		endDate: lastNights.sort()[lastNights.length - 1],
+		source: "room_block",
+		sourceId: block._id,
+	});
+};
+
+const createRoomBlock = async (hotelId, input, { room, actor, workOrderId = null }) => {
+	const payload = normalizeRoomBlockInput(input, { room });
+	if (await blockOverlaps(payload, hotelId)) {
+		throw new MaintenanceError(
+			"This room is already off sale for part of those dates.",
+			"maintenance_block_overlap",
+			409
+		);
+	}
+	const block = await RoomOutOfOrder.create({
+		...payload,
+		hotelId,
+		workOrderId,
+		createdBy: actor,
+		updatedBy: actor,
+	});
+	captureRoomBlockAri(block);
+	return block;
+};
+
+exports.listWorkOrders = async (req, res) => {
+	try {
+		const filter = { hotelId: req.operationsHotel._id };
+		if (req.query.status && req.query.status !== "all") {
+			filter.status = String(req.query.status);
+		}
+		const workOrders = await MaintenanceWorkOrder.find(filter)
+			.populate("roomBlockId")
+			.sort({ reportedAt: -1 })
+			.limit(500)
+			.lean()
+			.exec();
+		return res.json({ workOrders });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not list work orders.");
+	}
+};
+
+exports.createWorkOrder = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const body = req.body || {};
+		const room = await loadHotelRoom(hotelId, body.roomId);
+		const payload = normalizeWorkOrderInput(body, { room });
+		const actor = buildActorSnapshot(req.operationsActor);
+		const now = new Date();
+		const order = new MaintenanceWorkOrder({
+			...payload,
+			hotelId,
+			assigneeName: await assigneeName(payload.assignedTo),
+			reportedAt: now,
+			slaDueAt: slaDueAtFor(payload.priority, now),
+			history: [{ status: "open", at: now, by: actor, note: payload.description }],
+			createdBy: actor,
+			updatedBy: actor,
+		});
+		// Taking the room off sale is optional: body.roomBlock = { mode, endDate }.
+		if (body.roomBlock) {
+			if (!room) {
+				throw new MaintenanceError(
+					"Only a room work order can take a room off sale.",
+					"maintenance_input_invalid"
+				);
+			}
+			const block = await createRoomBlock(hotelId, body.roomBlock, {
+				room,
+				actor,
+				workOrderId: order._id,
+			});
+			order.roomBlockId = block._id;
+		}
+		await order.save();
+		return res.status(201).json({ workOrder: order });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not create work order.");
+	}
+};
+
+/**
+ * Edits the order's details and/or moves its status. Completing or
+ * cancelling returns any room it took off sale; completion books parts.
+ */
+exports.updateWorkOrder = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const order = await loadScoped(
+			MaintenanceWorkOrder,
+			req.params.workOrderId,
+			hotelId,
+			"Work order"
+		);
+		if (["completed", "cancelled"].includes(order.status)) {
+			return res
+				.status(409)
+				.json({ error: `A ${order.status} work order cannot be changed.` });
+		}
+		const body = req.body || {};
+		const actor = buildActorSnapshot(req.operationsActor);
+		const room = await loadHotelRoom(hotelId, body.roomId ?? order.roomId);
+		const current = order.toObject();
+		const payload = normalizeWorkOrderInput(
+			{ ...current, ...body, priority: body.priority || current.priority },
+			{ room }
+		);
+		if (String(payload.assignedTo || "") !== String(current.assignedTo || "")) {
+			order.assigneeName = await assigneeName(payload.assignedTo);
+		}
+		Object.assign(order, payload);
+		if (body.resolutionNotes !== undefined) {
+			order.resolutionNotes = String(body.resolutionNotes || "").trim();
+		}
+		const now = new Date();
+		if (body.status && body.status !== order.status) {
+			applyWorkOrderStatus(order, body.status, { now, by: actor, note: body.note });
+		}
+		order.updatedBy = actor;
+		await order.save();
+
+		if (["completed", "cancelled"].includes(order.status) && order.roomBlockId) {
+			const block = await RoomOutOfOrder.findOne({
+				_id: order.roomBlockId,
+				hotelId,
+				status: "active",
+			});
+			if (block) {
+				const previous = { startDate: block.startDate, endDate: block.endDate };
+				returnRoomBlock(block, { now });
+				block.updatedBy = actor;
+				await block.save();
+				captureRoomBlockAri(block, previous);
+			}
+		}
+		const expense = await recordWorkOrderExpense(order, {
+			actorId: req.operationsActor?._id || null,
+			now,
+		});
+		if (expense) order.expenseId = expense._id;
+		return res.json({ workOrder: order });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not update work order.");
+	}
+};
+
+exports.listRoomBlocks = async (req, res) => {
+	try {
+		const filter = { hotelId: req.operationsHotel._id };
+		if (req.query.status && req.query.status !== "all") {
+			filter.status = String(req.query.status);
+		} else if (!req.query.status) {
+			filter.status = "active";
+		}
+		const roomBlocks = await RoomOutOfOrder.find(filter)
+			.sort({ startDate: 1 })
+			.limit(500)
+			.lean()
+			.exec();
+		return res.json({ roomBlocks });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not list out of order rooms.");
+	}
+};
+
+exports.createRoomBlock = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const room = await loadHotelRoom(hotelId, req.body?.roomId);
+		const roomBlock = await createRoomBlock(hotelId, req.body || {}, {
+			room,
+			actor: buildActorSnapshot(req.operationsActor),
+		});
+		return res.status(201).json({ roomBlock });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not take the room off sale.");
+	}
+};
+
+/** Extends/shortens an active block, or returns the room with status "returned". */
+exports.updateRoomBlock = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const block = await loadScoped(RoomOutOfOrder, req.params.blockId, hotelId, "Room block");
+		if (block.status !== "active") {
+			return res
+				.status(409)
+				.json({ error: `A ${block.status} room block cannot be changed.` });
+		}
+		const actor = buildActorSnapshot(req.operationsActor);
+		const previous = { startDate: block.startDate, endDate: block.endDate };
+		if (req.body?.status === "returned") {
+			returnRoomBlock(block, { now: new Date() });
+		} else {
+			const room = await loadHotelRoom(hotelId, block.roomId);
+			const payload = normalizeRoomBlockInput(
+				{ ...block.toObject(), ...(req.body || {}), roomId: block.roomId },
+				{ room }
+			);
+			if (await blockOverlaps(payload, hotelId, block._id)) {
+				throw new MaintenanceError(
+					"This room is already off sale for part of those dates.",
+					"maintenance_block_overlap",
+					409
+				);
+			}
+			Object.assign(block, payload);
+		}
+		block.updatedBy = actor;
+		await block.save();
+		captureRoomBlockAri(block, previous);
+		return res.json({ roomBlock: block });
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not update the room block.");
+	}
+};
+
+exports.maintenanceSlaReport = async (req, res) => {
+	try {
+		const hotelId = req.operationsHotel._id;
+		const end = req.query.end
+			? moment.utc(req.query.end, "YYYY-MM-DD", true)
+			: moment.utc().startOf("day");
+		const start = req.query.start
+			? moment.utc(req.query.start, "YYYY-MM-DD", true)
+			: end.clone().subtract(29, "days");
+		if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+			return res
+				.status(400)
+				.json({ error: "start/end must be valid YYYY-MM-DD dates" });
+		}
+		const endExclusive = end.clone().add(1, "day").toDate();
+		const [workOrders, blocks] = await Promise.all([
+			MaintenanceWorkOrder.find({
+				hotelId,
+				reportedAt: { $gte: start.toDate(), $lt: endExclusive },
+			})
+				.select(
+					"priority category status reportedAt startedAt completedAt slaDueAt partsCost"
+				)
+				.lean()
+				.exec(),
+			RoomOutOfOrder.find({
+				hotelId,
+				status: { $in: ["active", "returned"] },
+				startDate: { $lt: endExclusive },
+				endDate: { $gt: start.toDate() },
+			})
+				.select("mode status startDate endDate")
+				.lean()
+				.exec(),
+		]);
+		return res.json(
+			buildMaintenanceSlaReport({
+				workOrders,
+				blocks,
+				start: start.toDate(),
+				end: end.toDate(),
+			})
+		);
+	} catch (error) {
+		return sendMaintenanceError(res, error, "Could not load the maintenance SLA report.");
+	}
+};
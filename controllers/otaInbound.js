@@ -527,6 +527,7 @@ const buildNormalizedFromDuplicateRecord = (duplicate = {}) => ({
 	providerLabel: duplicate.providerLabel || "",
 	intent: duplicate.intent || "",
 	eventType: duplicate.eventType || "",
+	parserVersion: duplicate.parserVersion || "",
 	confirmationNumber: duplicate.confirmationNumber || "",
 	hotelName: duplicate.hotelName || "",
 	roomName: duplicate.roomName || "",
@@ -599,6 +600,7 @@ const createInboundEmailRecord = async (
 
 const buildInboundExtractionFields = (normalized = {}, reconciliation = {}) => ({
 	pmsConfirmationNumber: reconciliation.pmsConfirmationNumber || "",
+	parserVersion: normalized.parserVersion || "",
 	sourceAmount: Number(normalized.amount || 0),
 	sourceCurrency: normalized.currency || "",
 	totalAmountSar: Number(normalized.totalAmountSar || 0),
@@ -2,9 +2,11 @@
 
 "use strict";
 
+const fs = require("fs");
 const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const xlsx = require("xlsx");
 const User = require("../models/user");
 const HotelDetails = require("../models/hotel_details");
 const Reservations = require("../models/reservations");
@@ -52,6 +54,57 @@ const {
 const {
 	sanitizeReservationAuditLogsCollectionForViewer,
 } = require("../services/auditPrivacy");
+const {
+	buildHousekeepingQualityReport,
+	housekeepingQualityPipeline,
+} = require("../services/housekeepingInspections");
+const {
+	mergeStayRestrictionRows,
+	normalizeStayRestrictionDates,
+	normalizeStayRestrictionValues,
+} = require("../services/stayRestrictions");
+const {
+	pushStayRestrictionsToHotelRunner,
+} = require("../services/hotelrunnerRestrictionPush");
+const {
+	buildPickupPace,
+	buildPricingRecommendations,
+	buildRecommendationAcceptRequest,
+	normalizeRecommendationRange,
+} = require("../services/pricingRecommendations");
+const { computeHotelOccupancy } = require("./adminreports");
+const AriChange = require("../models/ari_change");
+const AriDelivery = require("../models/ari_delivery");
+const OtaRateObservation = require("../models/ota_rate_observation");
+const OtaRateParityRun = require("../models/ota_rate_parity_run");
+const GuestProfile = require("../models/guest_profile");
+const {
+	captureAriChange,
+	captureCalendarAriChangesSafely,
+	capturePriceVariantAriChangeSafely,
+	isAriPushEnabled,
+} = require("../services/ariPush");
+const {
+	RateParityError,
+	buildRateParityReport,
+	importRateObservations,
+	normalizeRateParityProvider,
+	normalizeRateParityRange,
+	normalizeTolerancePercent,
+	rateParityDates,
+} = require("../services/rateParity");
+const {
+	isRateCollectorEnabled,
+	startOtaRateCollectorJob,
+} = require("../services/otaRateCollector");
+const {
+	guestIdentitiesAtHotels,
+	normalizeGuestEmail,
+	normalizeGuestPassport,
+	normalizeGuestPhone,
+	scopeGuestProfileToHotels,
+	updateGuestProfileDetails,
+} = require("../services/guestProfiles");
 const {
 	hotelManagementReservationVisibilityFilterForActor,
 	maskBookingSourceSummaryRowsForHotelManagement,
@@ -6089,6 +6142,7 @@ exports.overallHousekeeping = async (req, res) => {
 				pages: 0,
 				hotels: hotelOptions,
 				tasks: [],
+				quality: buildHousekeepingQualityReport(),
 			});
 		}
 
@@ -6175,7 +6229,10 @@ exports.overallHousekeeping = async (req, res) => {
 			});
 		}
 
-		const [countResult, tasks, statusStats] = await Promise.all([
+		// Quality is scored over every task in the period, whatever the status filter.
+		const qualityMatch = { ...match };
+		delete qualityMatch.task_status;
+		const [countResult, tasks, statusStats, [qualitySummary]] = await Promise.all([
 			HouseKeeping.aggregate([...basePipeline, { $count: "total" }]),
 			HouseKeeping.aggregate([
 				...basePipeline,
@@ -6195,7 +6252,14 @@ exports.overallHousekeeping = async (req, res) => {
 				{ $group: { _id: "$task_status", total: { $sum: 1 } } },
 				{ $sort: { total: -1 } },
 			]),
+			HouseKeeping.aggregate(housekeepingQualityPipeline(qualityMatch)),
 		]);
+		const qualityUserIds = (qualitySummary?.employees || [])
+			.map((row) => normalizeId(row._id))
+			.filter((id) => ObjectId.isValid(id));
+		const qualityUsers = qualityUserIds.length
+			? await User.find({ _id: { $in: qualityUserIds } }).select("_id name email").lean()
+			: [];
 
 		const total = countResult?.[0]?.total || 0;
 		return res.json({
@@ -6209,6 +6273,7 @@ exports.overallHousekeeping = async (req, res) => {
 			})),
 			hotels: hotelOptions,
 			tasks,
+			quality: buildHousekeepingQualityReport(qualitySummary, qualityUsers),
 		});
 	} catch (error) {
 		console.error("overallHousekeeping error:", error);
@@ -7376,6 +7441,15 @@ exports.saveOverallRoomManagerRoom = async (req, res) => {
 	}
 };
 
+const serializeStayRestrictionRow = (row = {}) => ({
+	calendarDate: toCalendarDateKey(row?.calendarDate),
+	minStay: Number(row?.minStay) || null,
+	maxStay: Number(row?.maxStay) || null,
+	closedToArrival: row?.closedToArrival === true,
+	closedToDeparture: row?.closedToDeparture === true,
+	stopSell: row?.stopSell === true,
+});
+
 const serializeCompactCalendarRow = (row = {}) => ({
 	calendarDate: toCalendarDateKey(row?.calendarDate),
 	status: row?.status === "blocked" || row?.blocked === true ? "blocked" : "open",
@@ -7473,8 +7547,15 @@ const serializeCalendarRoom = (room = {}, options = {}) => {
 		agentPricingDays: Array.isArray(plain.agentPricingRate)
 			? plain.agentPricingRate.length
 			: 0,
+		restrictionDays: Array.isArray(plain.stayRestrictions)
+			? plain.stayRestrictions.length
+			: 0,
 	};
 	if (includePricingRows) {
+		payload.stayRestrictions = (Array.isArray(plain.stayRestrictions)
+			? plain.stayRestrictions
+			: []
+		).map(serializeStayRestrictionRow);
 		payload.pricingRate = (Array.isArray(plain.pricingRate)
 			? plain.pricingRate
 			: []
@@ -10076,6 +10157,97 @@ exports.overallCalendarPricingRoomRows = async (req, res) => {
 	}
 };
 
+// Query: hotelId, start, end (YYYY-MM-DD stay dates)
+exports.overallCalendarPricingRecommendations = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const hotelId = normalizeId(req.query?.hotelId);
+		if (!ObjectId.isValid(hotelId)) {
+			return res.status(400).json({ error: "Valid hotelId is required" });
+		}
+		const allowedHotelIds = new Set(
+			context.hotels.map((hotel) => normalizeId(hotel._id))
+		);
+		if (!allowedHotelIds.has(hotelId)) {
+			return res
+				.status(403)
+				.json({ error: "You cannot view pricing for this hotel" });
+		}
+		const now = new Date();
+		const range = normalizeRecommendationRange({
+			start: req.query?.start,
+			end: req.query?.end,
+		});
+		const hotel = await HotelDetails.findById(hotelId)
+			.select("_id hotelName commission roomCountDetails")
+			.lean()
+			.exec();
+		if (!hotel) return res.status(404).json({ error: "Hotel not found" });
+
+		const occupancy = await computeHotelOccupancy({
+			hotelId,
+			start: range.start,
+			end: range.end,
+			reservationVisibilityActor: context.actor,
+		});
+		if (occupancy?.error) {
+			return res
+				.status(occupancy.error.code || 500)
+				.json({ error: occupancy.error.message });
+		}
+		const occupancyKeyByRoomId = new Map();
+		(occupancy.roomTypes || []).forEach((roomType) => {
+			(roomType.roomIds || []).forEach((roomId) =>
+				occupancyKeyByRoomId.set(roomId, roomType.key)
+			);
+		});
+
+		const paceFrom = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
+		const recentReservations = await Reservations.find({
+			hotelId: ObjectId(hotelId),
+			checkin_date: { $lte: new Date(`${range.end}T23:59:59.999Z`) },
+			checkout_date: { $gt: new Date(`${range.start}T00:00:00.000Z`) },
+			$or: [{ booked_at: { $gte: paceFrom } }, { createdAt: { $gte: paceFrom } }],
+		})
+			.select(
+				"reservation_status state pendingConfirmation pickedRoomsType total_rooms checkin_date checkout_date booked_at createdAt"
+			)
+			.lean()
+			.exec();
+
+		const result = buildPricingRecommendations({
+			hotelId,
+			rooms: (hotel.roomCountDetails || []).map((room) => ({
+				...room,
+				occupancyKey: occupancyKeyByRoomId.get(normalizeId(room._id)) || "",
+			})),
+			dates: range.dates,
+			occupancyDays: occupancy.days,
+			pickup: buildPickupPace(recentReservations, { dates: range.dates, now }),
+			hotelCommission: hotel.commission,
+		});
+		return res.json({
+			hotelId,
+			hotelName: hotel.hotelName || "",
+			start: range.start,
+			end: range.end,
+			averageOccupancyRate: occupancy.summary?.averageOccupancyRate || 0,
+			...result,
+		});
+	} catch (error) {
+		if (error?.statusCode && error.statusCode < 500) {
+			return res
+				.status(error.statusCode)
+				.json({ error: error.message, code: error.code });
+		}
+		console.error("overallCalendarPricingRecommendations error:", error);
+		return res
+			.status(500)
+			.json({ error: "Could not build pricing recommendations" });
+	}
+};
+
 exports.overallPriceVariantOptions = async (req, res) => {
 	try {
 		const context = await requireOverallSection(req, res, "settings-options");
@@ -10323,6 +10495,7 @@ exports.saveOverallPriceVariant = async (req, res) => {
 				saved,
 				pricingItemPayload.map((item) => normalizeId(item._id)).filter(Boolean)
 			);
+			capturePriceVariantAriChangeSafely(saved);
 			return res.json({
 				ok: true,
 				action: "update",
@@ -10335,6 +10508,7 @@ exports.saveOverallPriceVariant = async (req, res) => {
 			...payload,
 			createdBy: context.actor?._id || null,
 		});
+		capturePriceVariantAriChangeSafely(created);
 
 		return res.status(201).json({
 			ok: true,
@@ -10786,6 +10960,16 @@ exports.saveOverallCalendarPricing = async (req, res) => {
 			}
 		}
 
+		if (scope === "general") {
+			captureCalendarAriChangesSafely(
+				calendarPricingUpdates.map((update) => ({
+					hotelId: update.hotelId,
+					roomId: update.roomId,
+					dates: update.replaceDates,
+				}))
+			);
+		}
+
 		const variantPropagation =
 			scope === "general"
 				? await propagateCalendarBasePricingVariants({
@@ -10842,6 +11026,574 @@ exports.saveOverallCalendarPricing = async (req, res) => {
 	}
 };
 
+const RECOMMENDATION_COMMISSION_HOTEL_SELECT =
+	"_id commission roomCountDetails._id roomCountDetails.pricingRate roomCountDetails.roomCommission";
+
+// Body: { recommendations: [{ hotelId, roomId, calendarDate, recommendedPrice | sellingPrice, commissionPercent }], calendarType }
+// Accepted rows go through the same explicit-row update as a manual calendar edit.
+exports.acceptOverallCalendarPricingRecommendations = async (req, res) => {
+	try {
+		const body = req.body || {};
+		const hotelIds = uniqueValidIds(
+			(Array.isArray(body.recommendations) ? body.recommendations : []).map(
+				(item) => item?.hotelId
+			)
+		);
+		const hotels = hotelIds.length
+			? await HotelDetails.find({ _id: { $in: hotelIds.map((id) => ObjectId(id)) } })
+					.select(RECOMMENDATION_COMMISSION_HOTEL_SELECT)
+					.lean()
+					.exec()
+			: [];
+		req.body = buildRecommendationAcceptRequest(body.recommendations, {
+			calendarType: body.calendarType,
+			hotels,
+		});
+	} catch (error) {
+		if (error?.statusCode && error.statusCode < 500) {
+			return res
+				.status(error.statusCode)
+				.json({ error: error.message, code: error.code });
+		}
+		console.error("acceptOverallCalendarPricingRecommendations error:", error);
+		return res
+			.status(500)
+			.json({ error: "Could not accept pricing recommendations" });
+	}
+	return exports.saveOverallCalendarPricing(req, res);
+};
+
+// Body: { hotelId, roomIds: [], dates: [], minStay, maxStay, closedToArrival, closedToDeparture, stopSell }
+// Sending no restriction values clears the selected dates.
+exports.saveOverallCalendarStayRestrictions = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const body = req.body || {};
+		const hotelId = normalizeId(body.hotelId);
+		const roomIds = uniqueValidIds(
+			Array.isArray(body.roomIds) ? body.roomIds : [body.roomId]
+		);
+		if (!ObjectId.isValid(hotelId)) {
+			return res.status(400).json({ error: "Valid hotel selection is required" });
+		}
+		if (!roomIds.length) {
+			return res.status(400).json({ error: "Please select at least one room" });
+		}
+		const allowedHotelIds = new Set(
+			context.hotels.map((hotel) => normalizeId(hotel._id))
+		);
+		if (!allowedHotelIds.has(hotelId)) {
+			return res
+				.status(403)
+				.json({ error: "You cannot update stay restrictions for this hotel" });
+		}
+		const dates = normalizeStayRestrictionDates(body.dates);
+		const values = normalizeStayRestrictionValues(body);
+
+		const hotel = await HotelDetails.findById(hotelId)
+			.select("_id roomCountDetails._id roomCountDetails.stayRestrictions")
+			.lean()
+			.exec();
+		if (!hotel) return res.status(404).json({ error: "Hotel not found" });
+		const rooms = Array.isArray(hotel.roomCountDetails) ? hotel.roomCountDetails : [];
+		const missingRoomIds = roomIds.filter(
+			(roomId) => !rooms.some((room) => normalizeId(room._id) === roomId)
+		);
+		if (missingRoomIds.length) {
+			return res.status(404).json({
+				error: "One or more selected rooms were not found",
+				missingRooms: missingRoomIds,
+			});
+		}
+
+		const at = new Date();
+		const by = context.actor?._id || null;
+		const updatedRooms = [];
+		for (const roomId of roomIds) {
+			const room = rooms.find((item) => normalizeId(item._id) === roomId);
+			const stayRestrictions = mergeStayRestrictionRows(
+				room.stayRestrictions,
+				dates,
+				values,
+				{ at, by }
+			);
+			await HotelDetails.updateOne(
+				{ _id: hotel._id, "roomCountDetails._id": room._id },
+				{
+					$set: {
+						"roomCountDetails.$.stayRestrictions": stayRestrictions,
+						updatedAt: at,
+					},
+				}
+			);
+			let hotelRunner;
+			try {
+				hotelRunner = await pushStayRestrictionsToHotelRunner({
+					hotelId,
+					roomId,
+					rows: stayRestrictions,
+					dates,
+				});
+			} catch (error) {
+				console.error("saveOverallCalendarStayRestrictions HotelRunner push error:", error);
+				hotelRunner = { skipped: false, reason: "push_error", pushed: 0, failures: [] };
+			}
+			updatedRooms.push({
+				roomId,
+				restrictionDays: stayRestrictions.length,
+				hotelRunner,
+			});
+		}
+
+		return res.json({
+			ok: true,
+			hotelId,
+			dates: dates.length,
+			restriction: values,
+			updatedRooms,
+		});
+	} catch (error) {
+		if (error?.statusCode && error.statusCode < 500) {
+			return res
+				.status(error.statusCode)
+				.json({ error: error.message, code: error.code });
+		}
+		console.error("saveOverallCalendarStayRestrictions error:", error);
+		return res.status(500).json({ error: "Could not save stay restrictions" });
+	}
+};
+
+exports.overallAriDeliveries = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const query = req.query || {};
+		const hotelIds = toObjectIds(filterHotelIdsForQuery(context.hotels, query.hotelId));
+		const page = Math.max(parseInt(query.page, 10) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+		const scope = { hotelId: { $in: hotelIds } };
+		const channelManager = String(query.channelManager || "").trim().toLowerCase();
+		if (channelManager) scope.channelManager = channelManager;
+		const match = { ...scope };
+		if (["queued", "delivered", "failed"].includes(query.status)) match.status = query.status;
+
+		const [rows, total, statusCounts, pendingChanges] = await Promise.all([
+			AriDelivery.find(match)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.lean()
+				.exec(),
+			AriDelivery.countDocuments(match),
+			AriDelivery.aggregate([
+				{ $match: scope },
+				{ $group: { _id: "$status", count: { $sum: 1 } } },
+			]),
+			AriChange.countDocuments({ hotelId: { $in: hotelIds }, status: "pending" }),
+		]);
+		const hotelNames = new Map(
+			context.hotels.map((hotel) => [normalizeId(hotel._id), hotel.hotelName || ""])
+		);
+		const summary = { queued: 0, delivered: 0, failed: 0 };
+		statusCounts.forEach((item) => {
+			summary[item._id] = item.count;
+		});
+
+		return res.json({
+			enabled: isAriPushEnabled(),
+			summary: { ...summary, pendingChanges },
+			rows: rows.map((row) => ({
+				...row,
+				hotelName: hotelNames.get(normalizeId(row.hotelId)) || "",
+			})),
+			page,
+			limit,
+			total,
+			pages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		console.error("overallAriDeliveries error:", error);
+		return res.status(500).json({ error: "Could not load the ARI delivery ledger" });
+	}
+};
+
+// A failed row is not re-sent as it was: newer changes may already be
+// queued for the same dates. A fresh capture recomputes what to send now.
+exports.retryOverallAriDelivery = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const deliveryId = normalizeId(req.params.deliveryId);
+		if (!ObjectId.isValid(deliveryId)) {
+			return res.status(400).json({ error: "Valid delivery is required" });
+		}
+		const delivery = await AriDelivery.findById(deliveryId).lean().exec();
+		const allowedHotelIds = new Set(
+			context.hotels.map((hotel) => normalizeId(hotel._id))
+		);
+		if (!delivery || !allowedHotelIds.has(normalizeId(delivery.hotelId))) {
+			return res.status(404).json({ error: "Delivery not found" });
+		}
+		if (delivery.status !== "failed") {
+			return res.status(409).json({ error: "Only failed deliveries can be retried" });
+		}
+		if (!isAriPushEnabled()) {
+			return res.status(409).json({ error: "ARI push is turned off" });
+		}
+		const change = await captureAriChange({
+			hotelId: delivery.hotelId,
+			roomIds: [delivery.roomId],
+			startDate: delivery.startDate,
+			endDate: delivery.endDate,
+			source: "manual",
+			sourceId: deliveryId,
+		});
+		if (!change) {
+			return res.status(409).json({ error: "The delivery dates have already passed" });
+		}
+		const requeuedBy = {
+			_id: context.actor._id,
+			name: context.actor.name || "",
+			at: new Date(),
+		};
+		await AriDelivery.updateOne({ _id: delivery._id }, { $set: { requeuedBy } });
+
+		return res.json({ ok: true, deliveryId, changeId: change._id, requeuedBy });
+	} catch (error) {
+		console.error("retryOverallAriDelivery error:", error);
+		return res.status(500).json({ error: "Could not retry the ARI delivery" });
+	}
+};
+
+const RATE_PARITY_HOTEL_SELECT =
+	"_id hotelName commission roomCountDetails._id roomCountDetails.roomType roomCountDetails.displayName roomCountDetails.price roomCountDetails.pricingRate roomCountDetails.roomCommission roomCountDetails.activeRoom";
+
+const loadRateParityHotel = async (context, hotelIdInput) => {
+	const hotelId = normalizeId(hotelIdInput);
+	if (!ObjectId.isValid(hotelId)) {
+		throw new RateParityError("Valid hotel selection is required", "rate_parity_hotel_required");
+	}
+	const allowedHotelIds = new Set(
+		context.hotels.map((hotel) => normalizeId(hotel._id))
+	);
+	if (!allowedHotelIds.has(hotelId)) {
+		throw new RateParityError("You cannot view rate parity for this hotel", "rate_parity_forbidden", 403);
+	}
+	const hotel = await HotelDetails.findById(hotelId).select(RATE_PARITY_HOTEL_SELECT).lean().exec();
+	if (!hotel) throw new RateParityError("Hotel not found", "rate_parity_hotel_not_found", 404);
+	hotel.roomCountDetails = (hotel.roomCountDetails || []).filter(
+		(room) => room.activeRoom !== false
+	);
+	return hotel;
+};
+
+const rateParityErrorResponse = (res, error, fnName, fallback) => {
+	if (error?.statusCode && error.statusCode < 500) {
+		return res
+			.status(error.statusCode)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`${fnName} error:`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+exports.overallRateParityReport = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const query = req.query || {};
+		const hotel = await loadRateParityHotel(context, query.hotelId);
+		const range = normalizeRateParityRange(query);
+		const tolerancePercent = normalizeTolerancePercent(query.tolerance);
+		const provider = normalizeRateParityProvider(query.provider);
+		const dates = rateParityDates(range);
+		const observations = await OtaRateObservation.find({
+			hotelId: hotel._id,
+			stayDate: { $gte: range.dateFrom, $lte: range.dateTo },
+			roomId: { $ne: null },
+			...(provider ? { provider } : {}),
+		})
+			.select("provider roomId otaRoomName stayDate amount currency amountSar observedAt")
+			.lean()
+			.exec();
+		const report = buildRateParityReport({
+			rooms: hotel.roomCountDetails,
+			observations,
+			dates,
+			tolerancePercent,
+			hotelCommission: hotel.commission,
+		});
+
+		return res.json({
+			hotelId: normalizeId(hotel._id),
+			hotelName: hotel.hotelName || "",
+			...range,
+			...report,
+		});
+	} catch (error) {
+		return rateParityErrorResponse(
+			res,
+			error,
+			"overallRateParityReport",
+			"Could not build the rate parity report"
+		);
+	}
+};
+
+const readRateParitySheetRows = (req) => {
+	if (req.file?.path) {
+		const workbook = xlsx.readFile(req.file.path, { cellDates: true, raw: false });
+		const sheetName = workbook.SheetNames[0];
+		if (!sheetName) return [];
+		return xlsx.utils
+			.sheet_to_json(workbook.Sheets[sheetName], { defval: "", raw: false })
+			.map((row, index) => ({ ...row, __rowNumber: index + 2 }));
+	}
+	return Array.isArray(req.body?.rows) ? req.body.rows : [];
+};
+
+exports.importOverallRateParity = async (req, res) => {
+	const filePath = req.file?.path;
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const body = req.body || {};
+		const hotel = await loadRateParityHotel(context, body.hotelId);
+		const result = await importRateObservations({
+			hotel,
+			rows: readRateParitySheetRows(req),
+			provider: body.provider,
+			actor: context.actor,
+		});
+
+		return res.json({
+			ok: true,
+			runId: result.run._id,
+			imported: result.imported,
+			rejectedCount: result.rejected.length,
+			rejected: result.rejected.slice(0, 100),
+		});
+	} catch (error) {
+		return rateParityErrorResponse(
+			res,
+			error,
+			"importOverallRateParity",
+			"Could not import OTA rates"
+		);
+	} finally {
+		if (filePath) fs.unlink(filePath, () => {});
+	}
+};
+
+exports.startOverallRateParityCollector = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const body = req.body || {};
+		const hotel = await loadRateParityHotel(context, body.hotelId);
+		const result = await startOtaRateCollectorJob({
+			hotel,
+			provider: body.provider,
+			propertyUrl: body.propertyUrl,
+			dateFrom: body.dateFrom,
+			dateTo: body.dateTo,
+			actor: context.actor,
+		});
+		if (!result.ok) {
+			return res.status(result.statusCode).json({ error: result.error });
+		}
+
+		return res.status(result.statusCode).json({ ok: true, run: result.run });
+	} catch (error) {
+		return rateParityErrorResponse(
+			res,
+			error,
+			"startOverallRateParityCollector",
+			"Could not start the OTA rate collector"
+		);
+	}
+};
+
+exports.overallRateParityRuns = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "settings-options");
+		if (!context) return;
+		const hotel = await loadRateParityHotel(context, req.query?.hotelId);
+		const runs = await OtaRateParityRun.find({ hotelId: hotel._id })
+			.select("-auditLog")
+			.sort({ createdAt: -1 })
+			.limit(50)
+			.lean()
+			.exec();
+
+		return res.json({ collectorEnabled: isRateCollectorEnabled(), runs });
+	} catch (error) {
+		return rateParityErrorResponse(
+			res,
+			error,
+			"overallRateParityRuns",
+			"Could not load OTA rate runs"
+		);
+	}
+};
+
+const GUEST_PROFILE_LIST_SELECT =
+	"name emails phones nationality preferences stays stats hotelIds firstStayAt lastStayAt updatedAt";
+
+// Super admins see whole profiles unless they narrowed the hotel; everyone
+// else sees only what their hotels contributed (scopeGuestProfileToHotels).
+const guestProfileScope = (context, queryHotelId = "") => {
+	const hotelIds = filterHotelIdsForQuery(context.hotels, queryHotelId);
+	const scoped = !isSuperAdmin(context.actor) || Boolean(String(queryHotelId || "").trim());
+	return { hotelIds, scoped };
+};
+
+const guestProfileSearchFilter = (search = "") => {
+	const text = String(search || "").trim().slice(0, 120);
+	if (!text) return null;
+	const keys = [{ names: { $regex: escapeRegex(text), $options: "i" } }];
+	const email = normalizeGuestEmail(text);
+	const phoneKey = normalizeGuestPhone(text);
+	const passport = normalizeGuestPassport(text);
+	if (email) keys.push({ emails: email });
+	if (phoneKey) keys.push({ phoneKeys: phoneKey });
+	if (passport) keys.push({ passports: passport });
+	return { $or: keys };
+};
+
+const loadScopedGuestProfile = async (context, profileId, queryHotelId = "") => {
+	if (!ObjectId.isValid(profileId)) return null;
+	const { hotelIds, scoped } = guestProfileScope(context, queryHotelId);
+	const profile = await GuestProfile.findOne({
+		_id: profileId,
+		mergedInto: null,
+		...(scoped ? { hotelIds: { $in: toObjectIds(hotelIds) } } : {}),
+	})
+		.select("-auditLog -phoneKeys")
+		.lean()
+		.exec();
+	if (!profile) return null;
+	if (!scoped) return profile;
+	const identities = await guestIdentitiesAtHotels([profile._id], hotelIds);
+	return scopeGuestProfileToHotels(profile, hotelIds, identities.get(String(profile._id)) || []);
+};
+
+exports.overallGuestProfiles = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "reservations");
+		if (!context) return;
+		const query = req.query || {};
+		const { hotelIds, scoped } = guestProfileScope(context, query.hotelId);
+		const page = Math.max(parseInt(query.page, 10) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+		const match = { mergedInto: null };
+		if (scoped) match.hotelIds = { $in: toObjectIds(hotelIds) };
+		const search = guestProfileSearchFilter(query.search || query.q);
+		if (search) Object.assign(match, search);
+
+		const [rows, total] = await Promise.all([
+			GuestProfile.find(match)
+				.select(GUEST_PROFILE_LIST_SELECT)
+				.sort({ lastStayAt: -1, _id: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.lean()
+				.exec(),
+			GuestProfile.countDocuments(match),
+		]);
+
+		const identities = scoped
+			? await guestIdentitiesAtHotels(rows.map((row) => row._id), hotelIds)
+			: new Map();
+
+		return res.json({
+			rows: rows.map((row) => {
+				const { stays, ...profile } = scopeGuestProfileToHotels(
+					row,
+					scoped ? hotelIds : null,
+					identities.get(String(row._id)) || []
+				);
+				return { ...profile, lastStay: stays[0] || null };
+			}),
+			page,
+			limit,
+			total,
+			pages: Math.ceil(total / limit),
+		});
+	} catch (error) {
+		console.error("overallGuestProfiles error:", error);
+		return res.status(500).json({ error: "Could not load guest profiles" });
+	}
+};
+
+exports.overallGuestProfile = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "reservations");
+		if (!context) return;
+		const profile = await loadScopedGuestProfile(context, req.params.profileId, req.query?.hotelId);
+		if (!profile) return res.status(404).json({ error: "Guest profile not found" });
+
+		return res.json({ profile });
+	} catch (error) {
+		console.error("overallGuestProfile error:", error);
+		return res.status(500).json({ error: "Could not load the guest profile" });
+	}
+};
+
+exports.updateOverallGuestProfile = async (req, res) => {
+	try {
+		const context = await requireOverallSection(req, res, "reservations");
+		if (!context) return;
+		const body = req.body || {};
+		const current = await loadScopedGuestProfile(context, req.params.profileId, body.hotelId);
+		if (!current) return res.status(404).json({ error: "Guest profile not found" });
+		// Name, nationality and preferences are shared by every hotel the guest
+		// stayed at; hotel staff may only add notes for their own hotels.
+		const editsSharedFields = ["name", "nationality", "preferences"].some(
+			(field) => body[field] !== undefined
+		);
+		if (editsSharedFields && !isSuperAdmin(context.actor)) {
+			return res.status(403).json({
+				error: "Only super admins can edit a guest's name, nationality or preferences",
+				code: "guest_profile_edit_forbidden",
+			});
+		}
+		// A note belongs to the hotel that wrote it, so it needs one the actor can access.
+		const noteHotelId = String(body.hotelId || "").trim();
+		if (
+			String(body.note || "").trim() &&
+			!filterHotelIdsForQuery(context.hotels, "").includes(noteHotelId)
+		) {
+			return res.status(400).json({
+				error: "Choose the hotel this note is for",
+				code: "guest_profile_note_hotel_required",
+			});
+		}
+
+		await updateGuestProfileDetails(
+			current._id,
+			{
+				name: body.name,
+				nationality: body.nationality,
+				preferences: body.preferences,
+				note: body.note,
+				hotelId: noteHotelId ? ObjectId(noteHotelId) : null,
+			},
+			context.actor
+		);
+		const profile = await loadScopedGuestProfile(context, current._id, body.hotelId);
+
+		return res.json({ ok: true, profile });
+	} catch (error) {
+		if (error?.statusCode && error.statusCode < 500) {
+			return res.status(error.statusCode).json({ error: error.message, code: error.code });
+		}
+		console.error("updateOverallGuestProfile error:", error);
+		return res.status(500).json({ error: "Could not update the guest profile" });
+	}
+};
+
 exports.overallSettings = async (req, res) => {
 	try {
 		const section =
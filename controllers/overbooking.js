@@ -0,0 +1,296 @@
+/** @format */
+
+"use strict";
+
+const moment = require("moment");
+const mongoose = require("mongoose");
+const Expense = require("../models/expenses");
+const HotelDetails = require("../models/hotel_details");
+const ReservationWalk = require("../models/reservation_walk");
+const Reservations = require("../models/reservations");
+const { buildHotelInventoryCalendarPayload } = require("./hotel_inventory");
+const { waSendWalkRelocationNotice } = require("./whatsappsender");
+const {
+	OverbookingError,
+	RELOCATED_RESERVATION_STATUS,
+	buildLimitAuditEntry,
+	buildOversoldDatesReport,
+	buildWalkAuditEntry,
+	buildWalkExpensePayload,
+	normalizeOverbookingLimits,
+	normalizeWalkInput,
+	roomOverbookingLimit,
+} = require("../services/overbooking");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+const WALK_RESERVATION_SELECT =
+	"_id hotelId confirmation_number customer_details reservation_status state checkin_date checkout_date pickedRoomsType walkedNights";
+
+const sendOverbookingError = (res, error, fallback) => {
+	if (error instanceof OverbookingError || error?.statusCode) {
+		return res
+			.status(error.statusCode || 400)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`[overbooking] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const roomLimitRows = (hotel = {}) =>
+	(hotel.roomCountDetails || []).map((detail) => ({
+		_id: detail._id,
+		roomType: detail.roomType || "",
+		displayName: detail.displayName || "",
+		count: Number(detail.count) || 0,
+		overbookingLimit: roomOverbookingLimit(detail),
+	}));
+
+exports.oversoldDatesReport = async (req, res) => {
+	try {
+		const hotelId = String(req.operationsHotel._id);
+		const start = moment.utc(req.query.start, "YYYY-MM-DD", true);
+		const end = moment.utc(req.query.end, "YYYY-MM-DD", true);
+		if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+			return res
+				.status(400)
+				.json({ error: "start/end must be valid YYYY-MM-DD dates" });
+		}
+		const [calendar, hotel] = await Promise.all([
+			buildHotelInventoryCalendarPayload(hotelId, {
+				start: start.format("YYYY-MM-DD"),
+				end: end.format("YYYY-MM-DD"),
+			}),
+			HotelDetails.findById(hotelId)
+				.select("_id roomCountDetails")
+				.lean()
+				.exec(),
+		]);
+		return res.json({
+			hotel: calendar.hotel,
+			range: calendar.range,
+			limits: roomLimitRows(hotel || {}),
+			...buildOversoldDatesReport(calendar),
+		});
+	} catch (error) {
+		return sendOverbookingError(res, error, "Could not build oversold report.");
+	}
+};
+
+exports.updateOverbookingLimits = async (req, res) => {
+	try {
+		const hotel = await HotelDetails.findById(req.operationsHotel._id)
+			.select("_id roomCountDetails")
+			.lean()
+			.exec();
+		const changes = normalizeOverbookingLimits(req.body?.limits, hotel || {});
+		const $set = {};
+		changes.forEach((change) => {
+			$set[`roomCountDetails.${change.index}.overbookingLimit`] =
+				change.overbookingLimit;
+		});
+		const auditEntry = buildLimitAuditEntry({
+			actorSnapshot: buildActorSnapshot(req.operationsActor),
+			changes,
+		});
+		await HotelDetails.updateOne(
+			{ _id: hotel._id },
+			{ $set, $push: { operationsAuditLog: auditEntry } }
+		).exec();
+
+		const updated = await HotelDetails.findById(hotel._id)
+			.select("_id roomCountDetails")
+			.lean()
+			.exec();
+		return res.json({ limits: roomLimitRows(updated || {}) });
+	} catch (error) {
+		return sendOverbookingError(res, error, "Could not update overbooking limits.");
+	}
+};
+
+exports.listReservationWalks = async (req, res) => {
+	try {
+		const filter = { hotelId: req.operationsHotel._id };
+		if (req.query.reservationId) {
+			if (!ObjectId.isValid(req.query.reservationId)) {
+				return res.status(400).json({ error: "Invalid reservation id." });
+			}
+			filter.reservationId = ObjectId(req.query.reservationId);
+		}
+		if (req.query.status && req.query.status !== "all") {
+			filter.status = String(req.query.status);
+		}
+		const walks = await ReservationWalk.find(filter)
+			.sort({ walkDate: -1, createdAt: -1 })
+			.lean()
+			.exec();
+		const totals = walks.reduce(
+			(acc, walk) => {
+				if (walk.status === "cancelled") return acc;
+				acc.walks += 1;
+				acc.nights += Number(walk.nights) || 0;
+				acc.cost += Number(walk.cost?.total) || 0;
+				return acc;
+			},
+			{ walks: 0, nights: 0, cost: 0 }
+		);
+		totals.cost = Number(totals.cost.toFixed(2));
+		return res.json({ walks, totals });
+	} catch (error) {
+		return sendOverbookingError(res, error, "Could not list walked guests.");
+	}
+};
+
+exports.walkReservation = async (req, res) => {
+	try {
+		const { reservationId } = req.params;
+		if (!ObjectId.isValid(reservationId)) {
+			return res.status(400).json({ error: "Invalid reservation id." });
+		}
+		const reservation = await Reservations.findOne({
+			_id: reservationId,
+			hotelId: req.operationsHotel._id,
+		})
+			.select(WALK_RESERVATION_SELECT)
+			.lean()
+			.exec();
+		if (!reservation) {
+			return res.status(404).json({ error: "Reservation not found." });
+		}
+
+		const walkInput = normalizeWalkInput(req.body || {}, reservation);
+		const actorSnapshot = buildActorSnapshot(req.operationsActor);
+		const walkId = new ObjectId();
+
+		// Claim the nights on the reservation before anything is recorded, so a
+		// repeated request cannot log a second walk or a second expense. A
+		// full-stay walk frees the room for the whole stay; a partial walk keeps
+		// the reservation live because the guest comes back.
+		const fromStatus = reservation.reservation_status || "";
+		const toStatus = walkInput.fullStay
+			? RELOCATED_RESERVATION_STATUS
+			: fromStatus;
+		const auditEntry = buildWalkAuditEntry({
+			actorSnapshot,
+			walk: walkInput,
+			walkId,
+			from: fromStatus,
+			to: toStatus,
+		});
+		const updatedReservation = await Reservations.findOneAndUpdate(
+			{
+				_id: reservation._id,
+				reservation_status: reservation.reservation_status ?? null,
+				walkedNights: { $nin: walkInput.walkedNights },
+			},
+			{
+				...(walkInput.fullStay
+					? {
+							$set: {
+								reservation_status: RELOCATED_RESERVATION_STATUS,
+								state: RELOCATED_RESERVATION_STATUS,
+							},
+					  }
+					: {}),
+				$addToSet: { walkedNights: { $each: walkInput.walkedNights } },
+				$push: {
+					adminChangeLog: auditEntry,
+					reservationAuditLog: auditEntry,
+				},
+			},
+			{ new: true }
+		)
+			.select(WALK_RESERVATION_SELECT)
+			.lean()
+			.exec();
+		if (!updatedReservation) {
+			throw new OverbookingError(
+				"This reservation was walked or changed by another request. Reload and try again.",
+				"walk_already_recorded",
+				409
+			);
+		}
+
+		let walk;
+		try {
+			walk = await ReservationWalk.create({
+				_id: walkId,
+				hotelId: reservation.hotelId,
+				reservationId: reservation._id,
+				confirmation_number: reservation.confirmation_number || "",
+				guestName: reservation.customer_details?.name || "",
+				room_type: (reservation.pickedRoomsType || [])
+					.map((room) => room?.displayName || room?.room_type)
+					.filter(Boolean)
+					.join(", "),
+				partnerHotel: walkInput.partnerHotel,
+				walkDate: walkInput.walkDate,
+				returnDate: walkInput.returnDate,
+				nights: walkInput.nights,
+				fullStay: walkInput.fullStay,
+				cost: walkInput.cost,
+				reason: walkInput.reason,
+				notification: { status: walkInput.notifyGuest ? "pending" : "skipped" },
+				createdBy: actorSnapshot,
+			});
+
+			if (walkInput.cost.total > 0) {
+				const expense = await Expense.create(
+					buildWalkExpensePayload(
+						walkInput,
+						reservation,
+						req.operationsActor?._id || null
+					)
+				);
+				walk.expenseId = expense._id;
+			}
+		} catch (recordError) {
+			// Give the nights back so the walk can be retried.
+			await Reservations.updateOne(
+				{ _id: reservation._id },
+				{
+					...(walkInput.fullStay
+						? {
+								$set: {
+									reservation_status: reservation.reservation_status ?? null,
+									state: reservation.state ?? null,
+								},
+						  }
+						: {}),
+					$pullAll: { walkedNights: walkInput.walkedNights },
+					$pull: {
+						adminChangeLog: { note: auditEntry.note },
+						reservationAuditLog: { note: auditEntry.note },
+					},
+				}
+			).exec();
+			if (walk) await ReservationWalk.deleteOne({ _id: walk._id }).exec();
+			throw recordError;
+		}
+
+		if (walkInput.notifyGuest) {
+			try {
+				const result = await waSendWalkRelocationNotice(reservation, walkInput);
+				walk.notification = {
+					channel: "whatsapp",
+					status: result?.skipped ? "skipped" : "sent",
+					sid: result?.sid || "",
+					error: result?.skipped ? String(result.reason || "") : "",
+					sentAt: result?.skipped ? null : new Date(),
+				};
+			} catch (notifyError) {
+				console.error("[overbooking] walk notification failed", notifyError);
+				walk.notification = {
+					channel: "whatsapp",
+					status: "failed",
+					error: String(notifyError?.message || notifyError),
+				};
+			}
+		}
+		await walk.save();
+
+		return res.status(201).json({ walk, reservation: updatedReservation });
+	} catch (error) {
+		return sendOverbookingError(res, error, "Could not walk reservation.");
+	}
+};
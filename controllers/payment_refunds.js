@@ -0,0 +1,293 @@
+/** @format */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const Reservations = require("../models/reservations");
+const {
+	getPayPalRefundStatus,
+	refundPayPalCapture,
+} = require("./paypal_reservation");
+const { getStripeRefundStatus, refundStripePayment } = require("./stripe");
+const { getSquareRefundStatus, refundSquarePayment } = require("./square");
+const {
+	PLATFORM_REFUND_GATEWAYS,
+	PaymentRefundError,
+	REFUND_COMPLETED_STATUS,
+	REFUND_PENDING_STATUS,
+	buildRefundLedgerEntry,
+	buildRefundLockFilter,
+	buildRefundSettlementUpdate,
+	collectRefundableCaptures,
+	isDefinitiveRefundRejection,
+	normalizeRefundInput,
+	summarizeRefunds,
+} = require("../services/paymentRefunds");
+const {
+	buildActorSnapshot,
+	isPlatformFinance,
+} = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+const REFUND_RESERVATION_SELECT =
+	"_id hotelId confirmation_number reservation_id payment payment_details paid_amount paid_amount_breakdown paypal_details bofa_payment payment_refunds";
+
+const sendRefundError = (res, error, fallback) => {
+	if (error instanceof PaymentRefundError || error?.statusCode) {
+		return res
+			.status(error.statusCode || 400)
+			.json({ error: error.message, code: error.code });
+	}
+	console.error(`[refunds] ${fallback}`, error);
+	return res.status(500).json({ error: fallback });
+};
+
+const loadHotelReservation = async (req) => {
+	const { reservationId } = req.params;
+	if (!ObjectId.isValid(reservationId)) {
+		throw new PaymentRefundError("Invalid reservation id.", "reservation_id_invalid");
+	}
+	const reservation = await Reservations.findOne({
+		_id: reservationId,
+		hotelId: req.operationsHotel._id,
+	})
+		.select(REFUND_RESERVATION_SELECT)
+		.lean()
+		.exec();
+	if (!reservation) {
+		throw new PaymentRefundError("Reservation not found.", "reservation_not_found", 404);
+	}
+	return reservation;
+};
+
+const assertGatewayRefundAccess = (req, gateway) => {
+	if (
+		PLATFORM_REFUND_GATEWAYS.includes(gateway) &&
+		!isPlatformFinance(req.operationsActor)
+	) {
+		throw new PaymentRefundError(
+			"Only platform finance can refund PayPal and Stripe payments.",
+			"refund_gateway_forbidden",
+			403
+		);
+	}
+};
+
+// BofA credits are issued in the Business Center, so there is nothing to call;
+// the ledger entry already carries the credit reference.
+const issueGatewayRefund = (entry, reservation) => {
+	const options = {
+		reason: entry.reason,
+		idempotencyKey: `refund-${entry._id}`,
+	};
+	switch (entry.gateway) {
+		case "paypal":
+			return refundPayPalCapture({
+				captureId: entry.captureId,
+				amountUsd: entry.full ? null : entry.gatewayAmount,
+				currency: entry.gatewayCurrency,
+				invoiceId: `${reservation.confirmation_number}-R-${entry._id.slice(0, 8)}`,
+				note: entry.reason,
+				requestId: options.idempotencyKey,
+			});
+		case "stripe":
+			return refundStripePayment({
+				paymentIntentId: entry.captureId,
+				amountInMinorUnits: entry.full
+					? null
+					: Math.round(entry.gatewayAmount * 100),
+				...options,
+			});
+		case "square":
+			return refundSquarePayment({
+				paymentId: entry.captureId,
+				amount: entry.gatewayAmount,
+				currency: entry.gatewayCurrency,
+				...options,
+			});
+		case "bofa":
+			return Promise.resolve({ refundId: entry.refundId, status: "RECORDED" });
+		default:
+			throw new PaymentRefundError("Unsupported refund gateway.", "refund_gateway_invalid");
+	}
+};
+
+const lookupGatewayRefund = (entry) => {
+	switch (entry.gateway) {
+		case "paypal":
+			return getPayPalRefundStatus(entry.refundId);
+		case "stripe":
+			return getStripeRefundStatus(entry.refundId);
+		case "square":
+			return getSquareRefundStatus(entry.refundId);
+		default:
+			throw new PaymentRefundError("Unsupported refund gateway.", "refund_gateway_invalid");
+	}
+};
+
+// Only an entry that is still pending is settled, so a late gateway answer
+// can never book the same refund twice.
+const settleRefundEntry = async (reservation, entry, settlement) => {
+	const updated = await Reservations.findOneAndUpdate(
+		{
+			_id: reservation._id,
+			payment_refunds: {
+				$elemMatch: { _id: entry._id, status: REFUND_PENDING_STATUS },
+			},
+		},
+		settlement,
+		{ new: true, arrayFilters: [{ "refund._id": entry._id }] }
+	)
+		.select(REFUND_RESERVATION_SELECT)
+		.lean()
+		.exec();
+	const saved = (updated?.payment_refunds || []).find(
+		(item) => item._id === entry._id
+	);
+	return { updated, saved };
+};
+
+const sendSettledRefund = (res, { updated, saved }, entry) => {
+	if (saved?.status === REFUND_PENDING_STATUS && saved.needsReview) {
+		return res.status(202).json({
+			error:
+				"The gateway did not answer clearly; check the gateway dashboard before retrying this refund.",
+			code: "refund_needs_review",
+			refund: saved,
+		});
+	}
+	if (saved?.status === REFUND_PENDING_STATUS) {
+		return res.status(202).json({
+			error: "The gateway accepted the refund but has not confirmed it yet.",
+			code: "refund_gateway_pending",
+			refund: saved,
+		});
+	}
+	if (saved?.status !== REFUND_COMPLETED_STATUS) {
+		return res.status(502).json({
+			error: saved?.error || "Gateway refund failed.",
+			code: "refund_gateway_failed",
+			refund: saved || entry,
+		});
+	}
+	return res.status(201).json({
+		refund: saved,
+		paid_amount_breakdown: updated.paid_amount_breakdown,
+		summary: summarizeRefunds(updated),
+	});
+};
+
+exports.listReservationRefunds = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		return res.json({
+			reservationId: reservation._id,
+			confirmation_number: reservation.confirmation_number,
+			captures: collectRefundableCaptures(reservation),
+			refunds: reservation.payment_refunds || [],
+			summary: summarizeRefunds(reservation),
+		});
+	} catch (error) {
+		return sendRefundError(res, error, "Could not load refunds.");
+	}
+};
+
+exports.refundReservationPayment = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		const refund = normalizeRefundInput(req.body || {}, reservation);
+		assertGatewayRefundAccess(req, refund.capture.gateway);
+		const entry = buildRefundLedgerEntry(refund, {
+			actor: buildActorSnapshot(req.operationsActor),
+		});
+
+		// The pending entry doubles as the lock: a second refund cannot start
+		// while one is in flight, and a crash mid-call leaves it for review.
+		// The filter also fails when another refund landed after the amounts
+		// above were checked.
+		const locked = await Reservations.findOneAndUpdate(
+			buildRefundLockFilter(reservation),
+			{ $push: { payment_refunds: entry } },
+			{ new: true }
+		)
+			.select("_id")
+			.lean()
+			.exec();
+		if (!locked) {
+			return res.status(409).json({
+				error:
+					"Another refund on this reservation is in progress or has just been recorded; reload and try again.",
+				code: "refund_in_progress",
+			});
+		}
+
+		let settlement;
+		try {
+			const result = await issueGatewayRefund(entry, reservation);
+			settlement = buildRefundSettlementUpdate(entry, {
+				refundId: result?.refundId,
+				gatewayStatus: result?.status,
+			});
+		} catch (gatewayError) {
+			console.error(
+				`[refunds] ${entry.gateway} refund failed for ${reservation.confirmation_number}`,
+				gatewayError?.response?.data || gatewayError?.message || gatewayError
+			);
+			settlement = buildRefundSettlementUpdate(entry, {
+				error:
+					gatewayError?.response?.data?.message ||
+					gatewayError?.message ||
+					"Gateway refund failed.",
+				rejected: isDefinitiveRefundRejection(gatewayError),
+			});
+		}
+
+		return sendSettledRefund(
+			res,
+			await settleRefundEntry(reservation, entry, settlement),
+			entry
+		);
+	} catch (error) {
+		return sendRefundError(res, error, "Could not refund payment.");
+	}
+};
+
+// Asks the gateway again about a refund it accepted but had not confirmed.
+exports.syncReservationRefund = async (req, res) => {
+	try {
+		const reservation = await loadHotelReservation(req);
+		const entry = (reservation.payment_refunds || []).find(
+			(item) => item._id === req.params.refundEntryId
+		);
+		if (!entry) {
+			throw new PaymentRefundError("Refund not found.", "refund_not_found", 404);
+		}
+		assertGatewayRefundAccess(req, entry.gateway);
+		if (entry.status !== REFUND_PENDING_STATUS) {
+			throw new PaymentRefundError(
+				"This refund is already settled.",
+				"refund_already_settled",
+				409
+			);
+		}
+		if (!entry.refundId || entry.gateway === "bofa") {
+			throw new PaymentRefundError(
+				"The gateway never returned a refund id; check the gateway dashboard before retrying.",
+				"refund_needs_review",
+				409
+			);
+		}
+		const result = await lookupGatewayRefund(entry);
+		const settlement = buildRefundSettlementUpdate(entry, {
+			refundId: result?.refundId,
+			gatewayStatus: result?.status,
+		});
+		return sendSettledRefund(
+			res,
+			await settleRefundEntry(reservation, entry, settlement),
+			entry
+		);
+	} catch (error) {
+		return sendRefundError(res, error, "Could not check the refund.");
+	}
+};
@@ -65,6 +65,9 @@ const {
 const {
 	markReservationPendingConfirmation,
 } = require("../services/pendingConfirmationPolicy");
+const {
+	attachCancellationPolicySnapshot,
+} = require("../services/cancellationPolicy");
 const {
 	fixedPackageConflictResponse,
 	fixedPackageSelectionsMatch,
@@ -2029,6 +2032,7 @@ async function buildAndSaveReservation({
 		operationalStatus: false,
 		clientVisibleStatus: "confirmed",
 	});
+	await attachCancellationPolicySnapshot(reservationPayload);
 	const r = new Reservations(reservationPayload);
 
 	const pd = { ...(paypalDetailsToPersist || {}) };
@@ -4631,14 +4635,22 @@ exports.getLedger = async (req, res) => {
 		const r = await Reservations.findById(reservationId).lean();
 		if (!r) return res.status(404).json({ message: "Reservation not found." });
 		const pd = r.paypal_details || {};
+		const refunds = (Array.isArray(r.payment_refunds) ? r.payment_refunds : [])
+			.filter((entry) => entry?.gateway === "paypal");
 		return res.status(200).json({
 			confirmation_number: r.confirmation_number,
 			bounds: pd.bounds || null,
 			captured_total_usd: pd.captured_total_usd || 0,
 			pending_total_usd: pd.pending_total_usd || 0,
+			refunded_total_usd: pd.refunded_total_usd || 0,
+			net_captured_total_usd: toNum2(
+				(pd.captured_total_usd || 0) - (pd.refunded_total_usd || 0),
+			),
 			initial: pd.initial || null,
 			mit_count: Array.isArray(pd.mit) ? pd.mit.length : 0,
 			mit: pd.mit || [],
+			refunds_count: refunds.length,
+			refunds,
 		});
 	} catch (error) {
 		console.error("getLedger error:", error);
@@ -4646,6 +4658,49 @@ exports.getLedger = async (req, res) => {
 	}
 };
 
+/**
+ * Refund a completed PayPal capture (full when amountUsd is omitted).
+ * Used by the unified refund flow; requestId makes retries idempotent.
+ */
+exports.refundPayPalCapture = async ({
+	captureId,
+	amountUsd,
+	currency = "USD",
+	invoiceId,
+	note,
+	requestId,
+}) => {
+	const body = {};
+	if (amountUsd) {
+		body.amount = { value: toCCY(amountUsd), currency_code: paypalCurrency(currency) };
+	}
+	if (invoiceId) body.invoice_id = String(invoiceId).slice(0, 127);
+	if (note) body.note_to_payer = String(note).slice(0, 255);
+	const { data } = await ax.post(
+		`${PPM}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+		body,
+		{
+			auth: { username: clientId, password: secretKey },
+			headers: {
+				"Content-Type": "application/json",
+				"PayPal-Request-Id": requestId || `refund-${uuid()}`,
+			},
+		},
+	);
+	return { refundId: data?.id || "", status: String(data?.status || "").toUpperCase() };
+};
+
+/**
+ * Current status of a refund issued through refundPayPalCapture.
+ */
+exports.getPayPalRefundStatus = async (refundId) => {
+	const { data } = await ax.get(
+		`${PPM}/v2/payments/refunds/${encodeURIComponent(refundId)}`,
+		{ auth: { username: clientId, password: secretKey } },
+	);
+	return { refundId: data?.id || refundId, status: String(data?.status || "").toUpperCase() };
+};
+
 /**
  * 8) Webhook handler (optional)
  */
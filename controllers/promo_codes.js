@@ -0,0 +1,92 @@
+/** @format */
+
+"use strict";
+
+const mongoose = require("mongoose");
+const PromoCode = require("../models/promo_code");
+const {
+	PromoCodeError,
+	normalizePromoCodeInput,
+} = require("../services/promoCodes");
+const { buildActorSnapshot } = require("../services/hotelOperationsAccess");
+
+const ObjectId = mongoose.Types.ObjectId;
+
+const escapeRegex = (value) =>
+	String(value || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sendPromoError = (res, error, fallback) => {
+	if (error instanceof PromoCodeError) {
+		return res.status(error.statusCode).json({ error: error.message, code: error.code });
+	}
+	if (error?.code === 11000) {
+		return res
+			.status(409)
+			.json({ error: "A promo code with this code already exists.", code: "promo_code_exists" });
+	}
+	console.error(fallback, error);
+	return res.status(500).json({ error: fallback });
+};
+
+exports.listPromoCodes = async (req, res) => {
+	try {
+		const page = Math.max(Number(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(Number(req.query.limit) || 25, 1), 100);
+		const filter = {};
+		if (req.query.active === "true" || req.query.active === "false") {
+			filter.active = req.query.active === "true";
+		}
+		if (req.query.hotelId && ObjectId.isValid(req.query.hotelId)) {
+			filter.$or = [{ hotelIds: new ObjectId(req.query.hotelId) }, { hotelIds: { $size: 0 } }];
+		}
+		const search = String(req.query.search || "").trim();
+		if (search) filter.code = { $regex: escapeRegex(search), $options: "i" };
+
+		const [promoCodes, total] = await Promise.all([
+			PromoCode.find(filter)
+				.populate("hotelIds", "_id hotelName")
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.lean(),
+			PromoCode.countDocuments(filter),
+		]);
+		return res.json({ promoCodes, total, page, pages: Math.ceil(total / limit) });
+	} catch (error) {
+		return sendPromoError(res, error, "Could not list promo codes.");
+	}
+};
+
+exports.createPromoCode = async (req, res) => {
+	try {
+		const promoCode = await PromoCode.create({
+			...normalizePromoCodeInput(req.body),
+			createdBy: buildActorSnapshot(req.profile),
+		});
+		return res.status(201).json({ promoCode });
+	} catch (error) {
+		return sendPromoError(res, error, "Could not create the promo code.");
+	}
+};
+
+// usedCount is owned by redemptions and never comes from the form.
+exports.updatePromoCode = async (req, res) => {
+	try {
+		if (!ObjectId.isValid(req.params.promoCodeId)) {
+			return res.status(400).json({ error: "Invalid promo code id.", code: "promo_code_invalid" });
+		}
+		const existing = await PromoCode.findById(req.params.promoCodeId).lean();
+		if (!existing) {
+			return res.status(404).json({ error: "Promo code not found.", code: "promo_code_not_found" });
+		}
+		const update = normalizePromoCodeInput({ ...existing, ...req.body });
+		const promoCode = await PromoCode.findByIdAndUpdate(
+			existing._id,
+			{ $set: { ...update, updatedBy: buildActorSnapshot(req.profile) } },
+			{ new: true, runValidators: true }
+		).lean();
+		return res.json({ promoCode });
+	} catch (error) {
+		return sendPromoError(res, error, "Could not update the promo code.");
+	}
+};
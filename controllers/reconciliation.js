@@ -83,6 +83,7 @@ const RECONCILIATION_REPORT_ROW_PROJECTION = [
 	"room_number",
 	"roomNumber",
 	"paid_amount_breakdown",
+	"cancellationPenalty",
 	ADMIN_REPORT_FINANCIAL_AMOUNT_PROJECTION,
 	"+payment_reconciliation",
 ].join(" ");
@@ -337,6 +338,8 @@ const reportRow = (reservation = {}, selectedKeys = PAYMENT_BREAKDOWN_KEYS) => {
 		),
 		selected_positive_payment_breakdown_keys:
 			reconciliation.selectedPositiveKeys,
+		cancellation_penalty: allCategoryReconciliation.cancellationPenalty,
+		refund_reconciliation: allCategoryReconciliation.refunds,
 		ota_total_amount: otaTotalAvailable ? otaTotal.amount : null,
 		ota_total_amount_cents: otaTotalAvailable ? otaTotal.amountCents : null,
 		ota_total_available: otaTotalAvailable,
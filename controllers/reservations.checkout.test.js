@@ -0,0 +1,50 @@
+/** @format */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+process.env.SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || "SG.test";
+process.env.AI_AGENT_TEST_EXPORTS = "true";
+
+const { isCheckoutTransition } = require("./reservations").__test;
+const {
+	assertFoliosSettledForCheckout,
+	buildFolio,
+	normalizeFolioChargeInput,
+} = require("../services/folio");
+
+const openFolioReservation = (reservation_status) => ({
+	reservation_status,
+	folios: [
+		{
+			...buildFolio({}),
+			charges: [normalizeFolioChargeInput({ category: "minibar", unitPrice: 20 })],
+		},
+	],
+});
+
+// Mirrors the updateReservation gate: the folio check runs on every checkout
+// transition, whichever spelling of checked out the caller sends.
+const checkOut = (reservation, nextStatus) => {
+	if (isCheckoutTransition(reservation.reservation_status, nextStatus)) {
+		assertFoliosSettledForCheckout(reservation);
+	}
+};
+
+for (const status of ["checked_out", "checkedout", "early_checked_out"]) {
+	test(`"${status}" is blocked while a folio is open`, () => {
+		assert.equal(isCheckoutTransition("inhouse", status), true);
+		assert.throws(() => checkOut(openFolioReservation("inhouse"), status), {
+			code: "folio_unsettled",
+			statusCode: 409,
+		});
+	});
+}
+
+test("re-saving an already checked-out stay is not a new checkout", () => {
+	assert.equal(isCheckoutTransition("checkedout", "checked_out"), false);
+	assert.equal(isCheckoutTransition("inhouse", "inhouse"), false);
+	assert.doesNotThrow(() => checkOut(openFolioReservation("early_checked_out"), "checked_out"));
+});
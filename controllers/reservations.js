@@ -107,6 +107,21 @@ const {
 const {
 	canPlatformStaffOverrideReservationInventory,
 } = require("../services/reservationInventoryOverridePolicy");
+const {
+	classifyInventoryOverage,
+	roomOverbookingLimit,
+} = require("../services/overbooking");
+const {
+	describeStayRestrictionViolation,
+	evaluateStayRestrictions,
+} = require("../services/stayRestrictions");
+const {
+	assessStatusChangePenalty,
+	attachCancellationPolicySnapshot,
+} = require("../services/cancellationPolicy");
+const { assertFoliosSettledForCheckout } = require("../services/folio");
+const { REFUND_BREAKDOWN_KEY } = require("../services/paymentRefunds");
+const { createCheckoutHousekeepingTask } = require("./housekeeping");
 const {
 	createLegacyOtaImportReservation,
 	findLegacyOtaImportReservation,
@@ -472,6 +487,13 @@ const PAYMENT_BREAKDOWN_NUMERIC_KEYS = [
 	...PAYMENT_BREAKDOWN_HOTEL_KEYS,
 	...PAYMENT_BREAKDOWN_SETTLEMENT_KEYS,
 ];
+// Completed gateway refunds are booked (negative) by the refund flow only; the
+// payment editor never writes them but every paid total has to net them out.
+const PAYMENT_BREAKDOWN_REFUND_KEYS = [REFUND_BREAKDOWN_KEY];
+const PAYMENT_BREAKDOWN_PAID_TOTAL_KEYS = [
+	...PAYMENT_BREAKDOWN_NUMERIC_KEYS,
+	...PAYMENT_BREAKDOWN_REFUND_KEYS,
+];
 
 const buildNarrowPaidBreakdownPersistenceUpdate = (
 	updates = {},
@@ -590,7 +612,10 @@ const buildFinancialCycleSnapshot = (reservation, updates = {}, actorId = "") =>
 		reservation?.paid_amount_breakdown ||
 		{};
 	const pmsCollectedAmount = n2(
-		sumBreakdownKeys(breakdown, PAYMENT_BREAKDOWN_ONLINE_KEYS)
+		sumBreakdownKeys(breakdown, [
+			...PAYMENT_BREAKDOWN_ONLINE_KEYS,
+			...PAYMENT_BREAKDOWN_REFUND_KEYS,
+		])
 	);
 	const hotelCollectedAmount = n2(
 		sumBreakdownKeys(breakdown, PAYMENT_BREAKDOWN_HOTEL_KEYS)
@@ -768,6 +793,38 @@ const buildFinancialCycleSnapshot = (reservation, updates = {}, actorId = "") =>
 	};
 };
 
+// Payments taken outside the payment editor (folio settlement at the desk) go
+// through the same breakdown → paid_amount → financial cycle derivation.
+const buildRecordedHotelPaymentUpdate = (
+	reservation = {},
+	{ breakdownKey = null, amount = 0, totalIncrease = 0 } = {},
+	actorId = ""
+) => {
+	const existingBreakdown =
+		reservation?.paid_amount_breakdown &&
+		typeof reservation.paid_amount_breakdown.toObject === "function"
+			? reservation.paid_amount_breakdown.toObject()
+			: reservation?.paid_amount_breakdown || {};
+	const paidAmountBreakdown = { ...existingBreakdown };
+	if (breakdownKey && n2(amount) > 0) {
+		paidAmountBreakdown[breakdownKey] = n2(
+			moneyNumber(paidAmountBreakdown[breakdownKey]) + n2(amount)
+		);
+	}
+	const updates = {
+		total_amount: n2(moneyNumber(reservation?.total_amount) + n2(totalIncrease)),
+		paid_amount_breakdown: paidAmountBreakdown,
+		paid_amount: n2(
+			sumBreakdownKeys(paidAmountBreakdown, PAYMENT_BREAKDOWN_PAID_TOTAL_KEYS)
+		),
+	};
+	return {
+		...updates,
+		financial_cycle: buildFinancialCycleSnapshot(reservation, updates, actorId),
+	};
+};
+exports.buildRecordedHotelPaymentUpdate = buildRecordedHotelPaymentUpdate;
+
 const resolveCommissionPaidReview = (reservation = {}, body = {}) => {
 	const hasCommissionInput = Object.prototype.hasOwnProperty.call(
 		body || {},
@@ -960,6 +1017,16 @@ const SERVER_MANAGED_RESERVATION_UPDATE_FIELDS = [
 	"otaCrossTransportIdentityKey",
 	"otaPlatformReview",
 	"commission_ota",
+	"cancellationPolicy",
+	"cancellationPenalty",
+	"guestProfileId",
+	"groupBookingId",
+	"loyalty",
+	"promo",
+	"payment_refunds",
+	"folios",
+	"checked_out_at",
+	"staySegments",
 	PAYMENT_RECONCILIATION_FIELD,
 ];
 
@@ -1650,6 +1717,8 @@ const RESERVATION_INVENTORY_HOTEL_SELECT = [
 	"roomCountDetails.displayName",
 	"roomCountDetails.display_name",
 	"roomCountDetails.count",
+	"roomCountDetails.overbookingLimit",
+	"roomCountDetails.stayRestrictions",
 	"roomCountDetails.agentInventory.agentId",
 	"roomCountDetails.agentInventory.stock",
 ].join(" ");
@@ -1678,6 +1747,7 @@ const RESERVATION_INVENTORY_RESERVATION_SELECT = [
 	"pickedRoomsPricing.displayName",
 	"pickedRoomsPricing.display_name",
 	"pickedRoomsPricing.count",
+	"walkedNights",
 ].join(" ");
 
 const buildStayDateKeys = (checkinDate, checkoutDate) => {
@@ -2181,7 +2251,13 @@ const roomSelectionMatches = (left = {}, right = {}) => {
 const reservationCoversStayDate = (reservation = {}, dateKey = "") => {
 	const checkinKey = dateOnlyKey(reservation.checkin_date);
 	const checkoutKey = dateOnlyKey(reservation.checkout_date);
-	return checkinKey && checkoutKey && checkinKey <= dateKey && dateKey < checkoutKey;
+	return (
+		checkinKey &&
+		checkoutKey &&
+		checkinKey <= dateKey &&
+		dateKey < checkoutKey &&
+		!(reservation.walkedNights || []).includes(dateKey)
+	);
 };
 
 const reservationBlocksInventory = (
@@ -2277,6 +2353,7 @@ const createReservationWithAvailabilitySnapshot = async (
 		inventoryValidation,
 		source
 	);
+	await attachCancellationPolicySnapshot(reservationData);
 	if (typeof options.beforeInsert === "function") {
 		// HotelRunner-first fallback uses this as its cross-process identity
 		// linearization point. Inventory reads are complete, and the returned
@@ -2334,11 +2411,28 @@ const validateReservationInventoryForCreate = async (
 		})
 	);
 	const issues = [];
+	const overbookingLimitWarnings = [];
 	const roomSnapshots = [];
 	const agentId = agentIdFromReservation(reservationData);
 
 	for (const selection of selections) {
 		const detail = findRoomDetailForCalendar(details, selection);
+		// Minimum/maximum stay, closed arrival/departure and stop-sell apply to
+		// new bookings the same way room search applies them.
+		evaluateStayRestrictions(
+			detail || {},
+			stayDates[0],
+			dateOnlyKey(reservationData.checkout_date)
+		).violations.forEach((violation) => {
+			issues.push({
+				code: "stay_restricted",
+				message: `${selection.displayName || selection.room_type || "Selected room"}: ${describeStayRestrictionViolation(violation)}`,
+				room_type: selection.room_type,
+				displayName: selection.displayName,
+				date: violation.date,
+				restriction: violation,
+			});
+		});
 		const useAgentInventory = agentId && hasAgentInventory(detail, agentId);
 		const assignedStock = useAgentInventory
 			? getAgentAssignedStock(detail, agentId)
@@ -2346,6 +2440,11 @@ const validateReservationInventoryForCreate = async (
 		const capacity = useAgentInventory
 			? Math.max(0, Number(assignedStock || 0))
 			: Math.max(0, Number(detail?.count || 0));
+		// Agent stock is a hard allocation; only the hotel-wide count can be
+		// sold past capacity, and only up to the room type's overbooking limit.
+		const overbookingLimit = useAgentInventory
+			? 0
+			: roomOverbookingLimit(detail);
 		const requested = Math.max(1, Number(selection.count || 1));
 		const dailyAvailability = [];
 		for (const date of stayDates) {
@@ -2384,7 +2483,26 @@ const validateReservationInventoryForCreate = async (
 				availableAfter: Math.max(available - requested, 0),
 				availableAfterRaw: available - requested,
 			});
-			if (requested > available) {
+			const overage = classifyInventoryOverage({
+				available,
+				requested,
+				overbookingLimit,
+			});
+			if (overage.withinLimit) {
+				overbookingLimitWarnings.push({
+					code: "inventory_overbooking_limit",
+					message: `${selection.displayName || selection.room_type || "Selected room"} is oversold by ${overage.overage} room(s) on ${date}, within its overbooking limit of ${overbookingLimit}.`,
+					room_type: selection.room_type,
+					displayName: selection.displayName,
+					date,
+					capacity,
+					reserved,
+					available: Math.max(available, 0),
+					requested,
+					overage: overage.overage,
+					overbookingLimit,
+				});
+			} else if (overage.overbooked) {
 				issues.push({
 					code: "inventory_overbook",
 					message: `${selection.displayName || selection.room_type || "Selected room"} has ${Math.max(available, 0)} available room(s) on ${date}, but ${requested} were requested.`,
@@ -2397,6 +2515,7 @@ const validateReservationInventoryForCreate = async (
 					reserved,
 					available: Math.max(available, 0),
 					requested,
+					overbookingLimit,
 				});
 			}
 		}
@@ -2417,6 +2536,7 @@ const validateReservationInventoryForCreate = async (
 			capacity,
 			assignedStock,
 			agentScoped: Boolean(useAgentInventory),
+			overbookingLimit,
 			minAvailableBefore: Math.max(minAvailableBeforeRaw, 0),
 			minAvailableBeforeRaw,
 			minAvailableAfter: Math.max(minAvailableAfterRaw, 0),
@@ -2427,7 +2547,10 @@ const validateReservationInventoryForCreate = async (
 
 	const warnings = issues.map((issue) => ({
 		...issue,
-		code: "inventory_overbook_override",
+		code:
+			issue.code === "stay_restricted"
+				? "stay_restriction_override"
+				: "inventory_overbook_override",
 		message: `${issue.message} The reservation was allowed because it was created by hotel staff.`,
 	}));
 	const availabilitySnapshot = buildReservationAvailabilitySnapshot({
@@ -2442,7 +2565,10 @@ const validateReservationInventoryForCreate = async (
 	return {
 		allowed: allowOverbook || issues.length === 0,
 		issues,
-		warnings: allowOverbook ? warnings : [],
+		warnings: [
+			...overbookingLimitWarnings,
+			...(allowOverbook ? warnings : []),
+		],
 		availabilitySnapshot,
 		message:
 			issues[0]?.message ||
@@ -2970,9 +3096,15 @@ const protectAiReservationGuestCountUpdate = (
 	return updates;
 };
 
+// Covers "checked_out", "checkedout" and "early_checked_out" alike.
+const isCheckoutTransition = (fromStatus, toStatus) =>
+	/checked[- _]?out/.test(String(toStatus || "").toLowerCase()) &&
+	!/checked[- _]?out/.test(String(fromStatus || "").toLowerCase());
+
 if (String(process.env.AI_AGENT_TEST_EXPORTS || "").toLowerCase() === "true") {
 	exports.__test = {
 		buildFinancialCycleSnapshot,
+		isCheckoutTransition,
 		protectAiReservationGuestCountUpdate,
 		resolveCommissionPaidReview,
 		resolveHotelRunnerCommissionPaidTransition,
@@ -5849,6 +5981,7 @@ exports.create = async (req, res) => {
 			if (manualOtaCreateIdentity) {
 				assertReservationPmsConfirmationDistinct(reservationPayload);
 			}
+			await attachCancellationPolicySnapshot(reservationPayload);
 			const reservations = new Reservations(reservationPayload);
 			const data = await reservations.save();
 			const finalStatusText = String(
@@ -8759,6 +8892,9 @@ exports.updateReservation = async (req, res) => {
 			PAYMENT_BREAKDOWN_NUMERIC_KEYS.forEach((key) => {
 				normalized[key] = n2(normalized[key]);
 			});
+			PAYMENT_BREAKDOWN_REFUND_KEYS.forEach((key) => {
+				normalized[key] = n2(existingBreakdown[key]);
+			});
 			normalized.payment_comments =
 				typeof normalized.payment_comments === "string"
 					? normalized.payment_comments
@@ -8766,7 +8902,7 @@ exports.updateReservation = async (req, res) => {
 			return normalized;
 		};
 		const computeBreakdownTotal = (breakdown) =>
-			n2(sumBreakdownKeys(breakdown, PAYMENT_BREAKDOWN_NUMERIC_KEYS));
+			n2(sumBreakdownKeys(breakdown, PAYMENT_BREAKDOWN_PAID_TOTAL_KEYS));
 
 		if (
 			normalizedUpdateData.paid_amount_breakdown &&
@@ -9270,6 +9406,33 @@ exports.updateReservation = async (req, res) => {
 		}
 		delete normalizedUpdateData.__commissionAssignmentReset;
 
+		if (
+			isCheckoutTransition(
+				existingReservation.reservation_status,
+				normalizedUpdateData.reservation_status
+			)
+		) {
+			try {
+				assertFoliosSettledForCheckout(existingReservation);
+			} catch (folioError) {
+				return res.status(folioError.statusCode || 409).json({
+					error: folioError.message,
+					code: folioError.code,
+					folios: folioError.folios,
+				});
+			}
+			normalizedUpdateData.checked_out_at = new Date();
+		}
+
+		const cancellationPenalty = assessStatusChangePenalty(
+			existingReservation,
+			normalizedUpdateData,
+			{ actor: auditActor }
+		);
+		if (cancellationPenalty) {
+			normalizedUpdateData.cancellationPenalty = cancellationPenalty;
+		}
+
 		const updatePayload = {
 			...normalizedUpdateData,
 		};
@@ -9406,64 +9569,22 @@ exports.updateReservation = async (req, res) => {
 		// 9️⃣ Handle "Checked Out" status updates
 		if (
 			!preserveWorkflowForRoomAssignmentOnly &&
-			updatedReservation.reservation_status &&
-			/checked[- _]?out/.test(
-				String(updatedReservation.reservation_status || "").toLowerCase()
+			isCheckoutTransition(
+				existingReservation.reservation_status,
+				updatedReservation.reservation_status
 			)
 		) {
-			const checkedOutRoomIds = normalizeRoomIds(
-				Array.isArray(updatedReservation.roomId)
-					? updatedReservation.roomId
-					: []
-			);
-			if (checkedOutRoomIds.length > 0) {
-				try {
-					await Rooms.updateMany(
-						{ _id: { $in: checkedOutRoomIds } },
-						{
-							$set: {
-								cleanRoom: false,
-								housekeepingLastCleanedAt: null,
-								housekeepingLastDirtyAt: new Date(),
-								housekeepingDirtyReason: "guest_checked_out",
-							},
-						}
-					);
-					console.log(
-						"[ROOM STATUS] Rooms marked as not clean after checkout."
-					);
-				} catch (err) {
-					console.error(
-						"[ERROR] Failed to update room clean status after checkout:",
-						err
-					);
-					return res
-						.status(500)
-						.json({ error: "Failed to update room clean status" });
-				}
-			}
-
-			const existingTask = await HouseKeeping.findOne({
-				confirmation_number: updatedReservation.confirmation_number,
-			});
-
-			if (!existingTask) {
-				try {
-					const newHouseKeepingTask = new HouseKeeping({
-						taskDate: new Date(),
-						confirmation_number: updatedReservation.confirmation_number,
-						rooms: updatedReservation.roomId,
-						hotelId: updatedReservation.hotelId,
-						task_comment: "Guest Checked Out",
-					});
-					await newHouseKeepingTask.save();
-					console.log("[HOUSEKEEPING] New task created for checked-out rooms.");
-				} catch (err) {
-					console.error("[ERROR] Failed to create housekeeping task:", err);
-					return res
-						.status(500)
-						.json({ error: "Failed to create housekeeping task" });
-				}
+			try {
+				await createCheckoutHousekeepingTask(updatedReservation, {
+					actorId: requestingUserId || null,
+					req,
+				});
+				console.log("[HOUSEKEEPING] Checked-out rooms marked dirty and queued.");
+			} catch (err) {
+				console.error("[ERROR] Failed to create checkout housekeeping task:", err);
+				return res
+					.status(500)
+					.json({ error: "Failed to create housekeeping task" });
 			}
 		}
 
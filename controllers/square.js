@@ -67,3 +67,25 @@ exports.processSquarePayment = async (req, res) => {
 		});
 	}
 };
+
+// Used by the unified refund flow.
+exports.refundSquarePayment = async ({
+	paymentId,
+	amount,
+	currency,
+	reason,
+	idempotencyKey,
+}) => {
+	const { result } = await client.refundsApi.refundPayment({
+		idempotencyKey: idempotencyKey || crypto.randomUUID(),
+		paymentId,
+		amountMoney: { amount: Math.round(Number(amount) * 100), currency },
+		reason: reason ? String(reason).slice(0, 192) : undefined,
+	});
+	return { refundId: result?.refund?.id || "", status: result?.refund?.status || "" };
+};
+
+exports.getSquareRefundStatus = async (refundId) => {
+	const { result } = await client.refundsApi.getPaymentRefund(refundId);
+	return { refundId: result?.refund?.id || refundId, status: result?.refund?.status || "" };
+};
@@ -88,6 +88,29 @@ exports.processPayment = async (req, res) => {
 	}
 };
 
+// Used by the unified refund flow; amountInMinorUnits omitted refunds in full.
+exports.refundStripePayment = async ({
+	paymentIntentId,
+	amountInMinorUnits,
+	reason,
+	idempotencyKey,
+}) => {
+	const refund = await stripe.refunds.create(
+		{
+			payment_intent: paymentIntentId,
+			...(amountInMinorUnits ? { amount: amountInMinorUnits } : {}),
+			metadata: reason ? { reason: String(reason).slice(0, 500) } : undefined,
+		},
+		idempotencyKey ? { idempotencyKey } : undefined
+	);
+	return { refundId: refund.id, status: refund.status };
+};
+
+exports.getStripeRefundStatus = async (refundId) => {
+	const refund = await stripe.refunds.retrieve(refundId);
+	return { refundId: refund.id, status: refund.status };
+};
+
 exports.updatingReservation = async (req, res) => {
 	const updatedReservation = await Reservations.findByIdAndUpdate(
 		req.body.reservationId,
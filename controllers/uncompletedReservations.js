@@ -1,6 +1,15 @@
+const mongoose = require("mongoose");
 const UncompleteReservations = require("../models/Uncompleted");
 const Reservations = require("../models/reservations");
 const HotelDetails = require("../models/hotel_details");
+const moment = require("moment");
+const {
+	BookingRecoveryError,
+	isBookingRecoveryEnabled,
+	recoveryReportRows,
+	resumeAbandonedBooking,
+	touchRecoveryState,
+} = require("../services/bookingRecovery");
 
 exports.createNewTrackingUncompleteReservation = async (req, res) => {
 	try {
@@ -80,10 +89,16 @@ exports.createNewTrackingUncompleteReservation = async (req, res) => {
 			});
 		}
 
-		// Find existing uncomplete reservation by both email and phone and hotelId
+		// Find existing uncomplete reservation by both email and phone and hotelId.
+		// Contact details are stored normalized so repeat form touches match.
+		const trackedCustomerDetails = {
+			...customerDetails,
+			email: normalizedEmail,
+			phone: normalizedPhone,
+		};
 		let uncompleteReservation = await UncompleteReservations.findOne({
-			"customerDetails.email": normalizedEmail,
-			"customerDetails.phone": normalizedPhone,
+			"customer_details.email": normalizedEmail,
+			"customer_details.phone": normalizedPhone,
 			hotelId: hotelId,
 			reservation_status: "uncomplete",
 		});
@@ -101,8 +116,8 @@ exports.createNewTrackingUncompleteReservation = async (req, res) => {
 					hotelName: hotelName || uncompleteReservation.hotelName,
 					belongsTo: belongsTo || uncompleteReservation.belongsTo,
 					customer_details: {
-						...uncompleteReservation.customerDetails,
-						...customerDetails,
+						...(uncompleteReservation.customer_details || {}),
+						...trackedCustomerDetails,
 					},
 					paymentDetails:
 						paymentDetails || uncompleteReservation.paymentDetails,
@@ -139,6 +154,10 @@ exports.createNewTrackingUncompleteReservation = async (req, res) => {
 						req.connection.remoteAddress ||
 						uncompleteReservation.ipAddress,
 					lastUpdated: new Date(),
+					// Only bookings tracked while recovery is on are ever chased.
+					recovery: uncompleteReservation.recovery
+						? touchRecoveryState(uncompleteReservation.recovery)
+						: null,
 				},
 				{ new: true }
 			);
@@ -150,7 +169,7 @@ exports.createNewTrackingUncompleteReservation = async (req, res) => {
 				hotelId,
 				hotelName: hotelName || "",
 				belongsTo: belongsTo || "",
-				customer_details: req.body.customerDetails,
+				customer_details: trackedCustomerDetails,
 				paymentDetails: paymentDetails || {},
 				total_rooms: total_rooms || 0,
 				total_guests: total_guests || 0,
@@ -173,6 +192,7 @@ exports.createNewTrackingUncompleteReservation = async (req, res) => {
 					req.headers["x-forwarded-for"] || req.connection.remoteAddress || "",
 				reservation_status: "uncomplete", // Ensure reservation_status is set
 				stage: "started", // Set default stage or based on logic
+				recovery: isBookingRecoveryEnabled() ? touchRecoveryState(null) : null,
 			});
 
 			uncompleteReservation = await newUncompleteReservation.save();
@@ -329,3 +349,109 @@ exports.listOfActualUncompleteReservation = async (req, res) => {
 		});
 	}
 };
+
+// Opened from the recovery reminder: returns the saved choices so the booking
+// page can be filled in again.
+exports.resumeUncompleteReservation = async (req, res) => {
+	try {
+		const data = await resumeAbandonedBooking(req.params.token);
+		return res.status(200).json({
+			message: "Saved reservation retrieved successfully.",
+			data,
+		});
+	} catch (error) {
+		if (error instanceof BookingRecoveryError) {
+			return res
+				.status(error.statusCode)
+				.json({ message: error.message, code: error.code });
+		}
+		console.error("Error resuming uncomplete reservation:", error);
+		res.status(500).json({
+			message: "An error occurred while retrieving the saved reservation.",
+		});
+	}
+};
+
+// Abandoned bookings per root cause for the window (by when they were
+// abandoned, default the last 30 days): reminded, converted, and recovered
+// after a reminder.
+exports.uncompleteReservationsRecoveryReport = async (req, res) => {
+	try {
+		const end = req.query.endDate
+			? moment.utc(req.query.endDate, "YYYY-MM-DD", true)
+			: moment.utc().startOf("day");
+		const start = req.query.startDate
+			? moment.utc(req.query.startDate, "YYYY-MM-DD", true)
+			: end.clone().subtract(30, "days");
+		if (!start.isValid() || !end.isValid()) {
+			return res
+				.status(400)
+				.json({ message: "startDate/endDate must be YYYY-MM-DD" });
+		}
+		const match = {
+			createdAt: {
+				$gte: start.toDate(),
+				$lt: end.clone().add(1, "day").toDate(),
+			},
+		};
+		if (req.query.hotelId && mongoose.Types.ObjectId.isValid(req.query.hotelId)) {
+			match.hotelId = new mongoose.Types.ObjectId(req.query.hotelId);
+		}
+
+		const groups = await UncompleteReservations.aggregate([
+			{ $match: match },
+			{
+				$group: {
+					_id: "$rootCause",
+					total: { $sum: 1 },
+					reminded: {
+						$sum: { $cond: [{ $gt: [{ $ifNull: ["$recovery.remindersSent", 0] }, 0] }, 1, 0] },
+					},
+					converted: {
+						$sum: { $cond: [{ $eq: ["$reservation_status", "converted"] }, 1, 0] },
+					},
+					recovered: {
+						$sum: { $cond: [{ $eq: ["$recovery.recoveredByReminder", true] }, 1, 0] },
+					},
+					recoveredAmount: {
+						$sum: {
+							$cond: [
+								{ $eq: ["$recovery.recoveredByReminder", true] },
+								{ $ifNull: ["$recovery.convertedAmount", 0] },
+								0,
+							],
+						},
+					},
+				},
+			},
+			{ $sort: { total: -1 } },
+		]);
+
+		const rows = recoveryReportRows(groups);
+		const [summary] = recoveryReportRows([
+			rows.reduce(
+				(acc, row) => ({
+					_id: "all",
+					total: acc.total + row.total,
+					reminded: acc.reminded + row.reminded,
+					converted: acc.converted + row.converted,
+					recovered: acc.recovered + row.recovered,
+					recoveredAmount: acc.recoveredAmount + row.recoveredAmount,
+				}),
+				{ total: 0, reminded: 0, converted: 0, recovered: 0, recoveredAmount: 0 }
+			),
+		]);
+
+		return res.status(200).json({
+			startDate: start.format("YYYY-MM-DD"),
+			endDate: end.format("YYYY-MM-DD"),
+			data: rows,
+			summary,
+		});
+	} catch (error) {
+		console.error("Error building recovery report:", error);
+		res.status(500).json({
+			message: "An error occurred while building the recovery report.",
+		});
+	}
+};
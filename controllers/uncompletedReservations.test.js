@@ -0,0 +1,81 @@
+/** @format */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+process.env.SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || "SG.test";
+
+const UncompleteReservations = require("../models/Uncompleted");
+const HotelDetails = require("../models/hotel_details");
+const {
+	createNewTrackingUncompleteReservation,
+} = require("./uncompletedReservations");
+
+const hotelId = "65a000000000000000000001";
+
+const valueAt = (doc, path) =>
+	path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Stands in for the collection: findOne/findOneAndUpdate/save work on plain rows.
+const stubUncompletedStore = (t) => {
+	const rows = [];
+	const matches = (row, filter) =>
+		Object.entries(filter).every(([path, value]) => String(valueAt(row, path)) === String(value));
+	t.mock.method(UncompleteReservations, "findOne", async (filter) =>
+		rows.find((row) => matches(row, filter)) || null
+	);
+	t.mock.method(UncompleteReservations, "findOneAndUpdate", async (filter, update) => {
+		const row = rows.find((item) => matches(item, filter));
+		if (row) Object.assign(row, update);
+		return row || null;
+	});
+	t.mock.method(UncompleteReservations.prototype, "save", async function save() {
+		const row = this.toObject();
+		rows.push(row);
+		return row;
+	});
+	t.mock.method(HotelDetails, "findOne", async () => ({ _id: hotelId }));
+	return rows;
+};
+
+const trackForm = (customerDetails) => {
+	const res = {
+		statusCode: 200,
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+	return createNewTrackingUncompleteReservation(
+		{
+			body: {
+				hotelId,
+				hotelName: "hotel a",
+				customerDetails,
+				pickedRoomsType: [{ room_type: "doubleRooms", count: 1 }],
+				total_amount: 900,
+			},
+			headers: { "user-agent": "test" },
+			connection: { remoteAddress: "127.0.0.1" },
+		},
+		res
+	).then(() => res);
+};
+
+test("touching the form again updates the guest's tracked record instead of adding one", async (t) => {
+	const rows = stubUncompletedStore(t);
+	const first = await trackForm({ name: "Sara", email: "Sara@Mail.com ", phone: "+966500000001" });
+	const second = await trackForm({ name: "Sara Khan", email: "sara@mail.com", phone: "+966500000001" });
+
+	assert.equal(first.statusCode, 200);
+	assert.equal(second.statusCode, 200);
+	assert.equal(rows.length, 1);
+	assert.equal(rows[0].customer_details.name, "Sara Khan");
+	assert.equal(rows[0].customer_details.email, "sara@mail.com");
+});
@@ -135,6 +135,8 @@ const TPL = {
 	RESERVATION_UPDATE: process.env.TWILIO_CSID_RESERVATION_UPDATE,
 	ADMIN_NOTIFICATION: process.env.TWILIO_CSID_ADMIN_NOTIFICATION,
 	AIRBNB_OTA_NOTIFICATION: process.env.TWILIO_CSID_AIRBNB_OTA_NOTIFICATION,
+	BOOKING_RECOVERY: process.env.TWILIO_CSID_BOOKING_RECOVERY,
+	LOST_AND_FOUND: process.env.TWILIO_CSID_LOST_AND_FOUND,
 };
 
 // ---------------- OpenAI init (optional) ----------------
@@ -597,6 +599,76 @@ async function waSendPaymentLink(reservationOrShape, paymentUrl) {
 	});
 }
 
+/**
+ * Remind a guest who left the booking form of the stay they were booking.
+ * {{1}} = guest first name
+ * {{2}} = hotel name
+ * {{3}} = resume link (opens the booking with the guest's choices filled in)
+ */
+async function waSendBookingRecoveryReminder(uncompleted, resumeUrl) {
+	log("waSendBookingRecoveryReminder: start", {
+		hotel: uncompleted?.hotelName,
+		url: resumeUrl,
+	});
+
+	const guest = uncompleted?.customer_details || {};
+	const to = await ensureE164Phone({
+		nationality: guest.nationality,
+		rawPhone: guest.phone,
+	});
+	if (!to) {
+		warn("waSendBookingRecoveryReminder: skipped (invalid guest phone).");
+		return { skipped: true, reason: "invalid guest phone" };
+	}
+
+	return sendTemplate({
+		toE164: to,
+		contentSid: TPL.BOOKING_RECOVERY,
+		variables: {
+			1: firstWord(guest.name),
+			2: uncompleted?.hotelName || "Jannat Booking",
+			3: resumeUrl,
+		},
+		tag: "booking_recovery",
+	});
+}
+
+/**
+ * Tell a guest that housekeeping found something after their stay.
+ * {{1}} = guest first name
+ * {{2}} = hotel name
+ * {{3}} = item description
+ * {{4}} = lost-and-found reference to quote when claiming
+ */
+async function waSendLostItemNotice(reservation, item, hotelName) {
+	log("waSendLostItemNotice: start", {
+		confirmation: reservation?.confirmation_number,
+		reference: item?.reference,
+	});
+
+	const guest = reservation?.customer_details || {};
+	const to = await ensureE164Phone({
+		nationality: guest.nationality,
+		rawPhone: guest.phone,
+	});
+	if (!to) {
+		warn("waSendLostItemNotice: skipped (invalid guest phone).");
+		return { skipped: true, reason: "invalid guest phone" };
+	}
+
+	return sendTemplate({
+		toE164: to,
+		contentSid: TPL.LOST_AND_FOUND,
+		variables: {
+			1: firstWord(guest.name),
+			2: hotelName || reservation?.hotelName || "Jannat Booking",
+			3: String(item?.description || ""),
+			4: String(item?.reference || ""),
+		},
+		tag: "lost_and_found",
+	});
+}
+
 /**
  * Send a payment link to a specific phone number (manual override).
  * {{1}} = guest first name
@@ -672,6 +744,36 @@ async function waSendReservationUpdate(reservation, updateText) {
 	});
 }
 
+/**
+ * Tell a walked guest where they have been relocated.
+ * Reuses the reservation update template:
+ * {{1}} = guest first name
+ * {{2}} = relocation details (partner hotel, dates, contact)
+ */
+async function waSendWalkRelocationNotice(reservation, walk) {
+	const partner = walk?.partnerHotel || {};
+	const fromDate = walk?.walkDate
+		? new Date(walk.walkDate).toISOString().slice(0, 10)
+		: "";
+	const lines = [
+		`We are sorry, your room for reservation ${
+			reservation?.confirmation_number || ""
+		} is not available.`,
+		`You have been moved to ${partner.name} for ${walk?.nights} night(s) from ${fromDate} at no extra cost.`,
+		partner.address ? `Address: ${partner.address}` : "",
+		partner.phone ? `Phone: ${partner.phone}` : "",
+		partner.confirmationNumber
+			? `Partner confirmation: ${partner.confirmationNumber}`
+			: "",
+	].filter(Boolean);
+
+	log("waSendWalkRelocationNotice: start", {
+		confirmation: reservation?.confirmation_number,
+		partner: partner.name,
+	});
+	return waSendReservationUpdate(reservation, lines.join("\n"));
+}
+
 /**
  * Notify hotel owner/agent (belongsTo) and the platform owner.
  * admin_notification:
@@ -877,6 +979,9 @@ module.exports = {
 	waSendPaymentLink,
 	waSendPaymentLinkToNumber,
 	waSendReservationUpdate,
+	waSendWalkRelocationNotice,
+	waSendBookingRecoveryReminder,
+	waSendLostItemNotice,
 	waNotifyNewReservation,
 	waNotifyImmediateSupportEscalation,
 	waSendAirbnbOtaNotificationToNumber,
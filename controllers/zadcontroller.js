@@ -9,6 +9,11 @@ const User = require("../models/user");
 const {
 	filterRoomToBookableFixedPackages,
 } = require("../services/fixedPackagePolicy");
+const {
+	PromoCodeError,
+	consumePromoQuoteRateLimit,
+	quotePromoCode,
+} = require("../services/promoCodes");
 
 const ZAD_OWNER_EMAIL = String(
 	process.env.ZAD_OWNER_EMAIL || "mrgamal@xhoteltest.com"
@@ -997,6 +1002,38 @@ exports.listOfAllActiveZadHotelsMonthlyAndOffers = async (_req, res) => {
 	}
 };
 
+// Zad guests can only apply codes to Zad hotels, even when a code itself is
+// valid on every hotel.
+exports.quoteZadPromoCode = async (req, res) => {
+	try {
+		consumePromoQuoteRateLimit(req);
+		const body = req.body || {};
+		const { quote } = await quotePromoCode({
+			code: body.code || body.promoCode,
+			hotelId: body.hotelId,
+			checkinDate: body.checkin_date,
+			totalAmount: body.total_amount,
+			email: body.email || body.customerDetails?.email,
+			phone: body.phone || body.customerDetails?.phone,
+			allowedHotelIds: await getZadHotelIds(),
+		});
+		return res.status(200).json({ ok: true, data: quote });
+	} catch (error) {
+		if (error instanceof PromoCodeError) {
+			if (error.retryAfterSeconds) {
+				res.setHeader("Retry-After", String(error.retryAfterSeconds));
+			}
+			return res
+				.status(error.statusCode)
+				.json({ error: error.message, code: error.code });
+		}
+		console.error("Zad promo code quote error:", error);
+		return res.status(500).json({
+			error: "An error occurred while checking the promo code.",
+		});
+	}
+};
+
 exports.getZadScopeHealth = async (_req, res) => {
 	try {
 		const owner = await getZadOwner();
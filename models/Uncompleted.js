@@ -187,6 +187,12 @@ const uncompletedReservationsSchema = new mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		// Abandoned-booking recovery (services/bookingRecovery.js): resume token,
+		// reminder schedule and history, and the reservation it converted into.
+		recovery: {
+			type: Object,
+			default: null,
+		},
 	},
 	{ timestamps: true }
 );
@@ -212,6 +218,19 @@ uncompletedReservationsSchema.index(
 	{ name: "uncompleted_guest_hotel_payment_status" }
 );
 
+uncompletedReservationsSchema.index(
+	{ "recovery.token": 1 },
+	{
+		unique: true,
+		partialFilterExpression: { "recovery.token": { $type: "string" } },
+		name: "uncompleted_recovery_token",
+	}
+);
+uncompletedReservationsSchema.index(
+	{ reservation_status: 1, "recovery.status": 1, "recovery.nextReminderAt": 1 },
+	{ name: "uncompleted_recovery_due" }
+);
+
 module.exports = mongoose.model(
 	"UncompleteReservations",
 	uncompletedReservationsSchema
@@ -0,0 +1,45 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A captured change that may move a hotel's availability or rates: a
+// calendar or price-variant save, or a reservation being created, changed
+// or cancelled. Dates are inclusive UTC day keys; an empty roomIds list
+// means every room of the hotel. The ARI push job turns pending changes into
+// per-channel deliveries (see models/ari_delivery.js).
+const ariChangeSchema = new mongoose.Schema(
+	{
+		hotelId: { type: ObjectId, ref: "HotelDetails", required: true, index: true },
+		roomIds: { type: [ObjectId], default: [] },
+		startDate: { type: String, trim: true, required: true },
+		endDate: { type: String, trim: true, required: true },
+		source: {
+			type: String,
+			enum: [
+				"calendar_pricing",
+				"price_variant",
+				"reservation_created",
+				"reservation_updated",
+				"room_block",
+				"manual",
+			],
+			required: true,
+		},
+		sourceId: { type: String, trim: true, default: "" },
+		status: {
+			type: String,
+			enum: ["pending", "processed", "failed"],
+			default: "pending",
+		},
+		attempts: { type: Number, default: 0 },
+		lastError: { type: String, default: "" },
+		processedAt: { type: Date, default: null },
+		deliveriesQueued: { type: Number, default: 0 },
+	},
+	{ timestamps: true }
+);
+
+ariChangeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("AriChange", ariChangeSchema);
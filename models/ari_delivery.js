@@ -0,0 +1,54 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// Delivery ledger for outbound ARI: one row per channel room and date range
+// with the availability and rate sent for it. Rows of one channel are sent
+// in creation order, so a newer range is never overwritten by an older one
+// that is still being retried. The latest queued or delivered row per date
+// is also what the next change is compared against.
+const ariDeliverySchema = new mongoose.Schema(
+	{
+		hotelId: { type: ObjectId, ref: "HotelDetails", required: true },
+		channelManager: { type: String, trim: true, required: true },
+		roomId: { type: ObjectId, required: true },
+		externalRoomCode: { type: String, trim: true, required: true },
+		startDate: { type: String, trim: true, required: true },
+		endDate: { type: String, trim: true, required: true },
+		availability: { type: Number, default: null },
+		price: { type: Number, default: null },
+		status: {
+			type: String,
+			enum: ["queued", "delivered", "failed"],
+			default: "queued",
+		},
+		attempts: { type: Number, default: 0 },
+		nextAttemptAt: { type: Date, default: Date.now },
+		lastError: {
+			code: { type: String, default: "" },
+			message: { type: String, default: "" },
+			at: { type: Date, default: null },
+		},
+		deliveredAt: { type: Date, default: null },
+		changeIds: { type: [ObjectId], default: [] },
+		requeuedBy: {
+			_id: { type: ObjectId, ref: "User", default: null },
+			name: { type: String, default: "" },
+			at: { type: Date, default: null },
+		},
+	},
+	{ timestamps: true }
+);
+
+ariDeliverySchema.index({ channelManager: 1, status: 1, createdAt: 1 });
+ariDeliverySchema.index({
+	hotelId: 1,
+	channelManager: 1,
+	externalRoomCode: 1,
+	startDate: 1,
+	endDate: 1,
+});
+ariDeliverySchema.index({ hotelId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AriDelivery", ariDeliverySchema);
@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
 
+// Received supply requests and completed repairs are booked before anyone
+// has uploaded an invoice.
+function requiresReceipt() {
+	return !["housekeeping_supply_request", "maintenance_work_order"].includes(
+		this.sourceType
+	);
+}
+
 const expenseSchema = new mongoose.Schema(
 	{
 		label: { type: String, required: true, trim: true },
@@ -8,8 +16,8 @@ const expenseSchema = new mongoose.Schema(
 		paid_amount: { type: Number, required: true, min: 0, default: 0 },
 		currency: { type: String, default: "SAR" },
 		receipt: {
-			public_id: { type: String, required: true, trim: true },
-			url: { type: String, required: true, trim: true },
+			public_id: { type: String, required: requiresReceipt, trim: true, default: "" },
+			url: { type: String, required: requiresReceipt, trim: true, default: "" },
 			fileName: { type: String, default: "", trim: true },
 			fileType: { type: String, default: "", trim: true },
 		},
@@ -17,8 +25,23 @@ const expenseSchema = new mongoose.Schema(
 		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 		updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 		expenseDate: { type: Date, required: true },
+		sourceType: {
+			type: String,
+			enum: ["manual", "housekeeping_supply_request", "maintenance_work_order"],
+			default: "manual",
+		},
+		sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
 	},
 	{ timestamps: true }
 );
 
+expenseSchema.index(
+	{ sourceType: 1, sourceId: 1 },
+	{
+		unique: true,
+		partialFilterExpression: { sourceId: { $type: "objectId" } },
+		name: "expense_source",
+	}
+);
+
 module.exports = mongoose.model("Expense", expenseSchema);
@@ -0,0 +1,150 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+const allotmentSchema = new mongoose.Schema(
+	{
+		room_type: { type: String, trim: true, required: true },
+		displayName: { type: String, trim: true, default: "" },
+		count: { type: Number, min: 0, default: 0 },
+		nightlyRate: { type: Number, min: 0, default: 0 },
+	},
+	{ _id: false }
+);
+
+const depositScheduleSchema = new mongoose.Schema({
+	dueDate: { type: Date, required: true },
+	amount: { type: Number, min: 0, default: 0 },
+	percentage: { type: Number, min: 0, max: 100, default: 0 },
+	status: {
+		type: String,
+		enum: ["pending", "paid", "waived"],
+		default: "pending",
+	},
+	paidAt: { type: Date, default: null },
+	paidAmount: { type: Number, min: 0, default: 0 },
+	reference: { type: String, trim: true, default: "" },
+	note: { type: String, trim: true, default: "" },
+});
+
+const roomingListEntrySchema = new mongoose.Schema({
+	guestName: { type: String, trim: true, required: true },
+	phone: { type: String, trim: true, default: "" },
+	email: { type: String, trim: true, lowercase: true, default: "" },
+	passport: { type: String, trim: true, default: "" },
+	nationality: { type: String, trim: true, default: "" },
+	room_type: { type: String, trim: true, required: true },
+	displayName: { type: String, trim: true, default: "" },
+	adults: { type: Number, min: 0, default: 1 },
+	children: { type: Number, min: 0, default: 0 },
+	notes: { type: String, trim: true, default: "" },
+	status: {
+		type: String,
+		enum: ["pending", "reserved", "cancelled", "failed"],
+		default: "pending",
+	},
+	reservationId: { type: ObjectId, ref: "Reservations", default: null },
+	confirmation_number: { type: String, trim: true, default: "" },
+	error: { type: String, trim: true, default: "" },
+});
+
+const groupBookingSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		belongsTo: {
+			type: ObjectId,
+			ref: "User",
+			default: null,
+		},
+		agentId: {
+			type: ObjectId,
+			ref: "User",
+			default: null,
+			index: true,
+		},
+		groupName: {
+			type: String,
+			trim: true,
+			required: true,
+		},
+		groupCode: {
+			type: String,
+			trim: true,
+			lowercase: true,
+			unique: true,
+		},
+		organizer: {
+			name: { type: String, trim: true, default: "" },
+			phone: { type: String, trim: true, default: "" },
+			email: { type: String, trim: true, lowercase: true, default: "" },
+			company: { type: String, trim: true, default: "" },
+		},
+		status: {
+			type: String,
+			enum: ["tentative", "definite", "cancelled", "completed"],
+			default: "tentative",
+			index: true,
+		},
+		contract: {
+			checkin_date: { type: Date, required: true },
+			checkout_date: { type: Date, required: true },
+			cutoffDate: { type: Date, required: true },
+			currency: { type: String, trim: true, uppercase: true, default: "SAR" },
+			allotment: {
+				type: [allotmentSchema],
+				default: [],
+			},
+			depositSchedule: {
+				type: [depositScheduleSchema],
+				default: [],
+			},
+			notes: { type: String, trim: true, default: "" },
+		},
+		roomingList: {
+			type: [roomingListEntrySchema],
+			default: [],
+		},
+		childReservationIds: [
+			{
+				type: ObjectId,
+				ref: "Reservations",
+			},
+		],
+		totals: {
+			contractedRooms: { type: Number, default: 0 },
+			pickedUpRooms: { type: Number, default: 0 },
+			contractAmount: { type: Number, default: 0 },
+			reservedAmount: { type: Number, default: 0 },
+			depositsDue: { type: Number, default: 0 },
+			depositsPaid: { type: Number, default: 0 },
+		},
+		releasedAt: {
+			type: Date,
+			default: null,
+		},
+		auditLog: [
+			{
+				at: { type: Date, default: Date.now },
+				action: { type: String, trim: true, default: "" },
+				by: { type: Object, default: null },
+				note: { type: String, trim: true, default: "" },
+			},
+		],
+		createdBy: {
+			type: Object,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+groupBookingSchema.index({ hotelId: 1, "contract.checkin_date": 1 });
+groupBookingSchema.index({ status: 1, "contract.cutoffDate": 1 });
+
+module.exports = mongoose.model("GroupBooking", groupBookingSchema);
@@ -0,0 +1,39 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// One guest across all reservations and hotels, matched on passport, email or
+// phone (services/guestProfiles.js). Identity keys are stored normalized so a
+// match is a plain index lookup. stays and stats are recomputed from the linked
+// reservations and are never edited directly; staff own preferences and notes.
+// A profile folded into another one keeps mergedInto so old links resolve.
+const guestProfileSchema = new mongoose.Schema(
+	{
+		name: { type: String, trim: true, default: "" },
+		names: { type: [String], default: [] },
+		emails: { type: [String], default: [] },
+		phones: { type: [String], default: [] },
+		phoneKeys: { type: [String], default: [] },
+		passports: { type: [String], default: [] },
+		nationality: { type: String, trim: true, default: "" },
+		preferences: { type: [String], default: [] },
+		notes: { type: [Object], default: [] },
+		stays: { type: [Object], default: [] },
+		stats: { type: Object, default: {} },
+		hotelIds: [{ type: ObjectId, ref: "HotelDetails" }],
+		firstStayAt: { type: Date, default: null },
+		lastStayAt: { type: Date, default: null },
+		mergedInto: { type: ObjectId, ref: "GuestProfile", default: null },
+		auditLog: { type: [Object], default: [] },
+	},
+	{ timestamps: true }
+);
+
+guestProfileSchema.index({ emails: 1 });
+guestProfileSchema.index({ phoneKeys: 1 });
+guestProfileSchema.index({ passports: 1 });
+guestProfileSchema.index({ hotelIds: 1, lastStayAt: -1 });
+guestProfileSchema.index({ mergedInto: 1 });
+
+module.exports = mongoose.model("GuestProfile", guestProfileSchema);
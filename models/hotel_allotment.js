@@ -0,0 +1,101 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A contracted block of rooms held for a wholesaler/agent. Every stay night
+// between startDate (inclusive) and endDate (exclusive) holds `rooms` rooms
+// of one room type until `releaseDays` before that night, after which any
+// unsold rooms go back to general sale.
+const hotelAllotmentSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		agentId: {
+			type: ObjectId,
+			ref: "User",
+			default: null,
+			index: true,
+		},
+		partnerName: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		reference: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		room_type: {
+			type: String,
+			trim: true,
+			required: true,
+		},
+		displayName: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		startDate: {
+			type: Date,
+			required: true,
+		},
+		endDate: {
+			type: Date,
+			required: true,
+		},
+		rooms: {
+			type: Number,
+			min: 0,
+			required: true,
+		},
+		releaseDays: {
+			type: Number,
+			min: 0,
+			default: 14,
+		},
+		status: {
+			type: String,
+			enum: ["active", "released", "cancelled"],
+			default: "active",
+			index: true,
+		},
+		releasedDates: [
+			{
+				date: { type: String, trim: true, required: true },
+				roomsReleased: { type: Number, default: 0 },
+				pickup: { type: Number, default: 0 },
+				releasedAt: { type: Date, default: Date.now },
+				reason: {
+					type: String,
+					enum: ["auto", "manual"],
+					default: "auto",
+				},
+				by: { type: Object, default: null },
+			},
+		],
+		notes: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		createdBy: {
+			type: Object,
+			default: null,
+		},
+		updatedBy: {
+			type: Object,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+hotelAllotmentSchema.index({ hotelId: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("HotelAllotment", hotelAllotmentSchema);
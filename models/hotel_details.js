@@ -174,6 +174,9 @@ const hotel_detailsSchema = new mongoose.Schema(
 					extraAmenities: Array,
 					pricedExtras: Array,
 					pricingRate: Array,
+					// Per-date stay rules: { calendarDate, minStay, maxStay,
+					// closedToArrival, closedToDeparture, stopSell }.
+					stayRestrictions: Array,
 					agentInventory: Array,
 					agentPricingRate: Array,
 					roomColor: String,
@@ -196,6 +199,13 @@ const hotel_detailsSchema = new mongoose.Schema(
 						type: Number,
 						default: 1,
 					},
+					// Rooms that may be sold beyond `count` per night before
+					// inventory validation rejects a booking.
+					overbookingLimit: {
+						type: Number,
+						min: 0,
+						default: 0,
+					},
 					roomForGender: {
 						type: String,
 						default: "Unisex",
@@ -302,6 +312,40 @@ const hotel_detailsSchema = new mongoose.Schema(
 			],
 			default: makeDefaultHotelPolicyQA,
 		},
+		// Structured cancellation/no-show rules. The matching policy is
+		// snapshotted onto each reservation when it is booked.
+		cancellationPolicies: {
+			type: [
+				{
+					name: { type: String, trim: true, required: true },
+					nameOtherLanguage: { type: String, trim: true, default: "" },
+					type: {
+						type: String,
+						enum: ["flexible", "first_night", "non_refundable"],
+						default: "flexible",
+					},
+					freeCancellationDays: { type: Number, min: 0, default: 0 },
+					nonRefundableWithinDays: { type: Number, min: 0, default: 0 },
+					penaltyNights: { type: Number, min: 1, default: 1 },
+					noShowPenalty: {
+						type: String,
+						enum: ["first_night", "full_stay", "none"],
+						default: "first_night",
+					},
+					roomTypes: { type: [String], default: [] },
+					priceVariantItemIds: {
+						type: [mongoose.Schema.Types.ObjectId],
+						default: [],
+					},
+					isDefault: { type: Boolean, default: false },
+					active: { type: Boolean, default: true },
+				},
+			],
+			default: [],
+		},
+		// Who changed hotel-level operating rules (cancellation policies,
+		// overbooking limits), newest last.
+		operationsAuditLog: { type: [Object], default: [] },
 		subscribed: {
 			type: Boolean,
 			default: false,
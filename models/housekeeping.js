@@ -84,9 +84,85 @@ const houseKeepingSchema = new mongoose.Schema(
 				comment: { type: String, default: "" },
 			},
 		],
+		// Set once the finished task has drawn its supplies from stock.
+		supplyConsumption: {
+			consumedAt: { type: Date, default: null },
+			taskKind: { type: String, default: "" },
+			items: [
+				{
+					supplyId: { type: ObjectId, ref: "HousekeepingSupply", default: null },
+					name: { type: String, default: "" },
+					quantity: { type: Number, default: 0 },
+					_id: false,
+				},
+			],
+		},
+		// Filled in when the daily planner generated the task.
+		plan: {
+			date: { type: String, default: "" },
+			kind: {
+				type: String,
+				enum: ["", "turnover", "arrival", "checkout", "stayover"],
+				default: "",
+			},
+			priority: { type: Number, default: 0 },
+			floor: { type: Number, default: 0 },
+			roomNumber: { type: String, default: "" },
+			estimatedMinutes: { type: Number, default: 0 },
+		},
+		// Supervisor sign-off when the hotel has a checklist for this task type.
+		inspection: {
+			status: {
+				type: String,
+				enum: ["", "pending", "passed", "failed"],
+				default: "",
+			},
+			checklistId: {
+				type: ObjectId,
+				ref: "HousekeepingInspectionChecklist",
+				default: null,
+			},
+			requestedAt: { type: Date, default: null },
+			inspectedAt: { type: Date, default: null },
+			inspectedBy: { type: ObjectId, ref: "User", default: null },
+			score: { type: Number, default: null },
+		},
+		// One entry per inspection round; failed rounds send the task back for a re-clean.
+		inspections: [
+			{
+				round: { type: Number, default: 1 },
+				result: { type: String, enum: ["passed", "failed"], required: true },
+				score: { type: Number, default: 0 },
+				items: [
+					{
+						key: { type: String, default: "" },
+						label: { type: String, default: "" },
+						passed: { type: Boolean, default: false },
+						note: { type: String, default: "" },
+						_id: false,
+					},
+				],
+				photos: [
+					{
+						public_id: { type: String, default: "" },
+						url: { type: String, default: "" },
+						_id: false,
+					},
+				],
+				comment: { type: String, default: "" },
+				cleanedBy: { type: ObjectId, ref: "User", default: null },
+				cleaningDurationMs: { type: Number, default: 0 },
+				inspectedBy: { type: ObjectId, ref: "User", default: null },
+				inspectedAt: { type: Date, default: Date.now },
+			},
+		],
+		recleanCount: { type: Number, default: 0 },
 		hotelId: { type: ObjectId, ref: "HotelDetails" },
 	},
 	{ timestamps: true }
 );
 
+houseKeepingSchema.index({ hotelId: 1, "plan.date": 1 });
+houseKeepingSchema.index({ hotelId: 1, "inspection.status": 1 });
+
 module.exports = mongoose.model("HouseKeeping", houseKeepingSchema);
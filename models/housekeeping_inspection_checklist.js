@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const checklistItemSchema = new mongoose.Schema(
+	{
+		key: { type: String, required: true, trim: true, lowercase: true },
+		label: { type: String, required: true, trim: true },
+		// A failed required item fails the inspection whatever the score.
+		required: { type: Boolean, default: false },
+		weight: { type: Number, default: 1, min: 1 },
+	},
+	{ _id: false }
+);
+
+// What a supervisor checks before a finished task of this type is accepted.
+const housekeepingInspectionChecklistSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		taskType: {
+			type: String,
+			enum: ["room", "general"],
+			required: true,
+		},
+		items: { type: [checklistItemSchema], default: [] },
+		passScore: { type: Number, default: 80, min: 0, max: 100 },
+		isActive: { type: Boolean, default: true },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+		updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+	},
+	{ timestamps: true }
+);
+
+housekeepingInspectionChecklistSchema.index({ hotelId: 1, taskType: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+	"HousekeepingInspectionChecklist",
+	housekeepingInspectionChecklistSchema
+);
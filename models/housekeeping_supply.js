@@ -13,6 +13,9 @@ const housekeepingSupplySchema = new mongoose.Schema(
 		unit: { type: String, default: "unit", trim: true },
 		currentStock: { type: Number, default: 0, min: 0 },
 		minimumStock: { type: Number, default: 0, min: 0 },
+		// Zero lets auto-drafts refill to twice the minimum.
+		reorderQuantity: { type: Number, default: 0, min: 0 },
+		lowStockAlertedAt: { type: Date, default: null },
 		estimatedUnitCost: { type: Number, default: 0, min: 0 },
 		lastPurchasePrice: { type: Number, default: 0, min: 0 },
 		supplier: { type: String, default: "", trim: true },
@@ -34,6 +34,7 @@ const housekeepingSupplyRequestSchema = new mongoose.Schema(
 		status: {
 			type: String,
 			enum: [
+				"draft",
 				"pending_finance",
 				"approved",
 				"rejected",
@@ -44,6 +45,7 @@ const housekeepingSupplyRequestSchema = new mongoose.Schema(
 			default: "pending_finance",
 			index: true,
 		},
+		autoDrafted: { type: Boolean, default: false },
 		requestNotes: { type: String, default: "", trim: true },
 		financeNotes: { type: String, default: "", trim: true },
 		receivingNotes: { type: String, default: "", trim: true },
@@ -52,6 +54,7 @@ const housekeepingSupplyRequestSchema = new mongoose.Schema(
 		financeReviewedAt: Date,
 		receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 		receivedAt: Date,
+		expenseId: { type: mongoose.Schema.Types.ObjectId, ref: "Expense", default: null },
 	},
 	{ timestamps: true }
 );
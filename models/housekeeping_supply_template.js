@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const templateItemSchema = new mongoose.Schema(
+	{
+		supplyId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "HousekeepingSupply",
+			required: true,
+		},
+		name: { type: String, default: "", trim: true },
+		quantity: { type: Number, required: true, min: 0.01 },
+	},
+	{ _id: false }
+);
+
+// What one cleaning of a given kind uses up; room kinds count per room.
+const housekeepingSupplyTemplateSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		taskKind: {
+			type: String,
+			enum: ["checkout_clean", "room_clean", "general_clean"],
+			required: true,
+		},
+		items: { type: [templateItemSchema], default: [] },
+		isActive: { type: Boolean, default: true },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+		updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+	},
+	{ timestamps: true }
+);
+
+housekeepingSupplyTemplateSchema.index({ hotelId: 1, taskKind: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+	"HousekeepingSupplyTemplate",
+	housekeepingSupplyTemplateSchema
+);
@@ -10,6 +10,7 @@ const inboundEmailSchema = new mongoose.Schema(
 		providerLabel: { type: String, trim: true, default: "" },
 		intent: { type: String, trim: true, lowercase: true, default: "" },
 		eventType: { type: String, trim: true, lowercase: true, default: "" },
+		parserVersion: { type: String, trim: true, default: "" },
 		automationAction: {
 			type: String,
 			trim: true,
@@ -159,6 +160,7 @@ inboundEmailSchema.index(
 	}
 );
 inboundEmailSchema.index({ provider: 1, confirmationNumber: 1 });
+inboundEmailSchema.index({ provider: 1, parserVersion: 1, receivedAt: -1 });
 // Coverage monitoring admits authenticated new-reservation identities even when
 // the top-level provider/confirmation copy is only partially finalized.  This
 // narrow time index keeps that read-only transport/intent query bounded without
@@ -175,6 +177,8 @@ inboundEmailSchema.index({ paymentCollectionModel: 1, receivedAt: -1 });
 inboundEmailSchema.index({ processingStatus: 1, receivedAt: -1 });
 inboundEmailSchema.index({ automationAction: 1, receivedAt: -1 });
 inboundEmailSchema.index({ skipReason: 1, receivedAt: -1 });
+// Replay looks up the newest email linked to each reservation it touches.
+inboundEmailSchema.index({ reservationMongoId: 1, receivedAt: -1 });
 inboundEmailSchema.index({ "forwardDecision.shouldForward": 1, receivedAt: -1 });
 inboundEmailSchema.index({ "forwarding.status": 1, receivedAt: -1 });
 inboundEmailSchema.index({ hasReservationConnection: 1, receivedAt: -1 });
@@ -0,0 +1,32 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// Audit record for one archived inbound email that was re-parsed with the
+// current mapper and replayed onto its linked reservation. The diff is the
+// field-level view the operator approved; appliedFields is what the mapper's
+// existing-reservation update actually wrote.
+const inboundEmailReplaySchema = new mongoose.Schema(
+	{
+		inboundEmailId: { type: ObjectId, ref: "InboundEmail", required: true, index: true },
+		reservationId: { type: ObjectId, ref: "Reservations", default: null, index: true },
+		hotelId: { type: ObjectId, ref: "HotelDetails", default: null },
+		provider: { type: String, trim: true, lowercase: true, default: "" },
+		confirmationNumber: { type: String, trim: true, default: "" },
+		eventType: { type: String, trim: true, lowercase: true, default: "" },
+		previousParserVersion: { type: String, trim: true, default: "" },
+		parserVersion: { type: String, trim: true, default: "" },
+		status: { type: String, enum: ["applied", "failed"], required: true },
+		planHash: { type: String, trim: true, default: "" },
+		diff: { type: [Object], default: [] },
+		appliedFields: { type: [String], default: [] },
+		error: { type: String, trim: true, default: "" },
+		requestedBy: { type: Object, default: {} },
+	},
+	{ timestamps: true }
+);
+
+inboundEmailReplaySchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model("InboundEmailReplay", inboundEmailReplaySchema);
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// Photos are uploaded through /admin/uploadimagesimagecomment first; only the
+// Cloudinary ids are kept here.
+const lostItemPhotoSchema = new mongoose.Schema(
+	{
+		public_id: { type: String, required: true, trim: true },
+		url: { type: String, required: true, trim: true },
+	},
+	{ _id: false }
+);
+
+const lostItemHistorySchema = new mongoose.Schema(
+	{
+		status: { type: String, required: true },
+		at: { type: Date, default: Date.now },
+		by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+		note: { type: String, default: "", trim: true },
+	},
+	{ _id: false }
+);
+
+const lostAndFoundItemSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		reference: { type: String, required: true, trim: true },
+		description: { type: String, required: true, trim: true },
+		category: {
+			type: String,
+			enum: ["electronics", "documents", "jewelry", "money", "clothing", "personal", "other"],
+			default: "other",
+			lowercase: true,
+		},
+		foundAt: { type: Date, required: true },
+		foundBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+		roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Rooms", default: null },
+		roomNumber: { type: String, default: "", trim: true },
+		taskId: { type: mongoose.Schema.Types.ObjectId, ref: "HouseKeeping", default: null },
+		location: { type: String, default: "", trim: true },
+		storageLocation: { type: String, default: "", trim: true },
+		photos: { type: [lostItemPhotoSchema], default: [] },
+		reservationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Reservations",
+			default: null,
+		},
+		confirmationNumber: { type: String, default: "", trim: true },
+		guestName: { type: String, default: "", trim: true },
+		guestNotification: {
+			status: {
+				type: String,
+				enum: ["not_sent", "sent", "skipped", "failed"],
+				default: "not_sent",
+			},
+			at: { type: Date, default: null },
+			reason: { type: String, default: "" },
+		},
+		status: {
+			type: String,
+			enum: ["stored", "claimed", "shipped", "disposed"],
+			default: "stored",
+			index: true,
+		},
+		claim: {
+			claimedBy: { type: String, default: "", trim: true },
+			idNumber: { type: String, default: "", trim: true },
+		},
+		shipment: {
+			address: { type: String, default: "", trim: true },
+			carrier: { type: String, default: "", trim: true },
+			trackingNumber: { type: String, default: "", trim: true },
+		},
+		disposal: {
+			method: {
+				type: String,
+				enum: ["", "donated", "discarded", "destroyed", "handed_to_police"],
+				default: "",
+			},
+		},
+		closedAt: { type: Date, default: null },
+		history: { type: [lostItemHistorySchema], default: [] },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+		updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+	},
+	{ timestamps: true }
+);
+
+lostAndFoundItemSchema.index({ hotelId: 1, status: 1, foundAt: -1 });
+lostAndFoundItemSchema.index({ hotelId: 1, reference: 1 });
+
+module.exports = mongoose.model("LostAndFoundItem", lostAndFoundItemSchema);
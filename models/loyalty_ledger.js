@@ -0,0 +1,38 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// Every change to a guest's loyalty balance. entryKey names the event
+// ("earn:<reservationId>", "redeem:<holdId>", ...) and is unique, so replaying
+// the same reservation or retrying a failed write can never count it twice.
+// points is signed: earned and restored points are positive.
+const loyaltyLedgerSchema = new mongoose.Schema(
+	{
+		userId: { type: ObjectId, ref: "User", required: true },
+		entryKey: { type: String, trim: true, required: true },
+		type: {
+			type: String,
+			enum: ["earn", "earn_reversed", "redeem", "redeem_released", "adjust"],
+			required: true,
+		},
+		points: { type: Number, required: true },
+		lifetimePoints: { type: Number, default: 0 },
+		reservationId: { type: ObjectId, ref: "Reservations", default: null },
+		confirmationNumber: { type: String, trim: true, default: "" },
+		hotelId: { type: ObjectId, ref: "HotelDetails", default: null },
+		amountSar: { type: Number, default: 0 },
+		tier: { type: String, trim: true, default: "" },
+		holdId: { type: String, trim: true, default: "" },
+		reason: { type: String, trim: true, default: "" },
+		createdBy: { type: Object, default: null },
+	},
+	{ timestamps: true }
+);
+
+loyaltyLedgerSchema.index({ entryKey: 1 }, { unique: true });
+loyaltyLedgerSchema.index({ userId: 1, createdAt: -1 });
+loyaltyLedgerSchema.index({ reservationId: 1 });
+loyaltyLedgerSchema.index({ type: 1, reservationId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("LoyaltyLedger", loyaltyLedgerSchema);
@@ -0,0 +1,156 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A repair job for a room or a shared area. slaDueAt is fixed when the order
+// is reported, from its priority, so later priority edits do not move the
+// goalposts for reporting.
+const maintenanceWorkOrderSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		reference: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		roomId: {
+			type: ObjectId,
+			ref: "Rooms",
+			default: null,
+		},
+		roomNumber: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		location: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		title: {
+			type: String,
+			trim: true,
+			required: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		category: {
+			type: String,
+			enum: [
+				"hvac",
+				"plumbing",
+				"electrical",
+				"furniture",
+				"appliance",
+				"structural",
+				"it",
+				"other",
+			],
+			default: "other",
+		},
+		priority: {
+			type: String,
+			enum: ["urgent", "high", "normal", "low"],
+			default: "normal",
+		},
+		status: {
+			type: String,
+			enum: ["open", "in_progress", "on_hold", "completed", "cancelled"],
+			default: "open",
+			index: true,
+		},
+		assignedTo: {
+			type: ObjectId,
+			ref: "User",
+			default: null,
+		},
+		assigneeName: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		vendor: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		parts: [
+			{
+				name: { type: String, trim: true, required: true },
+				quantity: { type: Number, min: 0, default: 1 },
+				unitCost: { type: Number, min: 0, default: 0 },
+				total: { type: Number, min: 0, default: 0 },
+			},
+		],
+		partsCost: {
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		expenseId: {
+			type: ObjectId,
+			ref: "Expense",
+			default: null,
+		},
+		roomBlockId: {
+			type: ObjectId,
+			ref: "RoomOutOfOrder",
+			default: null,
+		},
+		reportedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		slaDueAt: {
+			type: Date,
+			default: null,
+		},
+		startedAt: {
+			type: Date,
+			default: null,
+		},
+		completedAt: {
+			type: Date,
+			default: null,
+		},
+		resolutionNotes: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		history: [
+			{
+				status: { type: String, default: "" },
+				at: { type: Date, default: Date.now },
+				by: { type: Object, default: null },
+				note: { type: String, default: "" },
+			},
+		],
+		createdBy: {
+			type: Object,
+			default: null,
+		},
+		updatedBy: {
+			type: Object,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+maintenanceWorkOrderSchema.index({ hotelId: 1, status: 1, reportedAt: -1 });
+
+module.exports = mongoose.model(
+	"MaintenanceWorkOrder",
+	maintenanceWorkOrderSchema
+);
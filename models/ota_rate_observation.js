@@ -0,0 +1,29 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A nightly rate seen on an OTA for one of our rooms. Rows are append-only;
+// the parity report uses the newest observation per provider, room and
+// night. roomId stays empty when the OTA room name matched none of ours.
+const otaRateObservationSchema = new mongoose.Schema(
+	{
+		hotelId: { type: ObjectId, ref: "HotelDetails", required: true },
+		runId: { type: ObjectId, ref: "OtaRateParityRun", required: true },
+		provider: { type: String, trim: true, lowercase: true, required: true },
+		roomId: { type: ObjectId, default: null },
+		otaRoomName: { type: String, trim: true, default: "" },
+		stayDate: { type: String, trim: true, required: true },
+		amount: { type: Number, required: true },
+		currency: { type: String, trim: true, uppercase: true, default: "SAR" },
+		amountSar: { type: Number, default: null },
+		source: { type: String, enum: ["collector", "csv"], required: true },
+		observedAt: { type: Date, default: Date.now },
+	},
+	{ timestamps: true }
+);
+
+otaRateObservationSchema.index({ hotelId: 1, stayDate: 1, provider: 1, observedAt: -1 });
+otaRateObservationSchema.index({ runId: 1 });
+
+module.exports = mongoose.model("OtaRateObservation", otaRateObservationSchema);
@@ -0,0 +1,32 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// One batch of OTA rates brought in for parity checks: a CSV import or a
+// read-only browser collection of a public OTA listing. The rates
+// themselves are stored as OtaRateObservation rows pointing back here.
+const otaRateParityRunSchema = new mongoose.Schema(
+	{
+		hotelId: { type: ObjectId, ref: "HotelDetails", required: true, index: true },
+		provider: { type: String, trim: true, lowercase: true, default: "" },
+		source: { type: String, enum: ["collector", "csv"], required: true },
+		status: {
+			type: String,
+			enum: ["queued", "running", "completed", "failed"],
+			default: "queued",
+		},
+		dateFrom: { type: String, trim: true, default: "" },
+		dateTo: { type: String, trim: true, default: "" },
+		propertyUrl: { type: String, trim: true, default: "" },
+		createdBy: { type: ObjectId, ref: "User", default: null },
+		collectorState: { type: Object, default: {} },
+		resultSummary: { type: Object, default: {} },
+		auditLog: { type: [Object], default: [] },
+	},
+	{ timestamps: true }
+);
+
+otaRateParityRunSchema.index({ hotelId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OtaRateParityRun", otaRateParityRunSchema);
@@ -0,0 +1,41 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A coupon guests can enter on the direct booking sites. Empty hotelIds means
+// every hotel; the booking window limits when the code is accepted and the
+// stay window limits which check-in dates it discounts. usedCount moves with
+// PromoRedemption so the total cap can be enforced with a guarded $inc.
+const promoCodeSchema = new mongoose.Schema(
+	{
+		code: { type: String, trim: true, uppercase: true, required: true },
+		description: { type: String, trim: true, default: "" },
+		discountType: {
+			type: String,
+			enum: ["percentage", "fixed"],
+			required: true,
+		},
+		value: { type: Number, required: true },
+		maxDiscountSar: { type: Number, default: 0 },
+		minTotalSar: { type: Number, default: 0 },
+		hotelIds: [{ type: ObjectId, ref: "HotelDetails" }],
+		validFrom: { type: Date, default: null },
+		validUntil: { type: Date, default: null },
+		stayFrom: { type: Date, default: null },
+		stayUntil: { type: Date, default: null },
+		maxUses: { type: Number, default: 0 },
+		maxUsesPerGuest: { type: Number, default: 1 },
+		firstBookingOnly: { type: Boolean, default: false },
+		active: { type: Boolean, default: true },
+		usedCount: { type: Number, default: 0 },
+		createdBy: { type: Object, default: null },
+		updatedBy: { type: Object, default: null },
+	},
+	{ timestamps: true }
+);
+
+promoCodeSchema.index({ code: 1 }, { unique: true });
+promoCodeSchema.index({ active: 1, validUntil: 1 });
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,20 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// How many live uses of a promo code one guest holds, per email and per
+// phone. The per-guest cap is taken here with a conditional increment so two
+// bookings from the same guest cannot both pass it.
+const promoGuestUsageSchema = new mongoose.Schema(
+	{
+		promoCodeId: { type: ObjectId, ref: "PromoCode", required: true },
+		guestKey: { type: String, trim: true, required: true },
+		count: { type: Number, default: 0 },
+	},
+	{ timestamps: true }
+);
+
+promoGuestUsageSchema.index({ promoCodeId: 1, guestKey: 1 }, { unique: true });
+
+module.exports = mongoose.model("PromoGuestUsage", promoGuestUsageSchema);
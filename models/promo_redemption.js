@@ -0,0 +1,37 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// One use of a promo code. It is "held" while the card is charged, "applied"
+// once the reservation is saved and "released" when the booking never
+// happened; released uses do not count against the caps.
+const promoRedemptionSchema = new mongoose.Schema(
+	{
+		promoCodeId: { type: ObjectId, ref: "PromoCode", required: true },
+		code: { type: String, trim: true, required: true },
+		status: {
+			type: String,
+			enum: ["held", "applied", "released"],
+			default: "held",
+		},
+		guestEmail: { type: String, trim: true, default: "" },
+		guestPhoneKey: { type: String, trim: true, default: "" },
+		// PromoGuestUsage keys this use counts against; given back on release.
+		guestUsageKeys: { type: [String], default: [] },
+		hotelId: { type: ObjectId, ref: "HotelDetails", default: null },
+		reservationId: { type: ObjectId, ref: "Reservations", default: null },
+		confirmationNumber: { type: String, trim: true, default: "" },
+		amountBeforeDiscount: { type: Number, default: 0 },
+		discountSar: { type: Number, default: 0 },
+		releaseReason: { type: String, trim: true, default: "" },
+	},
+	{ timestamps: true }
+);
+
+promoRedemptionSchema.index({ promoCodeId: 1, status: 1, guestEmail: 1 });
+promoRedemptionSchema.index({ promoCodeId: 1, status: 1, guestPhoneKey: 1 });
+promoRedemptionSchema.index({ reservationId: 1 });
+promoRedemptionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,51 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// One run of a registered data repair (services/repairs). The plan is frozen
+// here with a before-snapshot of every field it touches, so an approved job
+// can be applied only while the data still matches, and an applied job can be
+// rolled back field by field.
+const repairJobSchema = new mongoose.Schema(
+	{
+		repairId: { type: String, trim: true, required: true, index: true },
+		params: { type: Object, default: {} },
+		status: {
+			type: String,
+			enum: [
+				"planned",
+				"approved",
+				"applying",
+				"applied",
+				"failed",
+				"rolling_back",
+				"rolled_back",
+				"cancelled",
+			],
+			default: "planned",
+		},
+		modelName: { type: String, trim: true, default: "" },
+		planHash: { type: String, trim: true, default: "" },
+		changes: { type: [Object], default: [] },
+		summary: { type: Object, default: {} },
+		error: { type: String, trim: true, default: "" },
+		plannedBy: { type: Object, default: {} },
+		approvedBy: { type: Object, default: null },
+		approvedAt: { type: Date, default: null },
+		appliedBy: { type: Object, default: null },
+		appliedAt: { type: Date, default: null },
+		rolledBackBy: { type: Object, default: null },
+		rolledBackAt: { type: Date, default: null },
+		auditLog: { type: [Object], default: [] },
+		// Held while applying or rolling back; an expired lease means the run
+		// died and the job can be recovered.
+		leaseOwner: { type: String, default: null },
+		leaseUntil: { type: Date, default: null },
+	},
+	{ timestamps: true }
+);
+
+repairJobSchema.index({ status: 1, createdAt: -1 });
+repairJobSchema.index({ "changes.documentId": 1 });
+
+module.exports = mongoose.model("RepairJob", repairJobSchema);
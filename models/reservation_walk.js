@@ -0,0 +1,106 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// A guest "walked" to a partner hotel because the property was oversold.
+// The relocation cost is booked as an expense; the reservation keeps an
+// audit entry pointing back here.
+const reservationWalkSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		reservationId: {
+			type: ObjectId,
+			ref: "Reservations",
+			required: true,
+			index: true,
+		},
+		confirmation_number: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		guestName: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		room_type: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		partnerHotel: {
+			hotelId: { type: ObjectId, ref: "HotelDetails", default: null },
+			name: { type: String, trim: true, required: true },
+			address: { type: String, trim: true, default: "" },
+			phone: { type: String, trim: true, default: "" },
+			confirmationNumber: { type: String, trim: true, default: "" },
+		},
+		walkDate: {
+			type: Date,
+			required: true,
+		},
+		returnDate: {
+			type: Date,
+			default: null,
+		},
+		nights: {
+			type: Number,
+			min: 1,
+			required: true,
+		},
+		fullStay: {
+			type: Boolean,
+			default: true,
+		},
+		cost: {
+			room: { type: Number, min: 0, default: 0 },
+			transport: { type: Number, min: 0, default: 0 },
+			other: { type: Number, min: 0, default: 0 },
+			total: { type: Number, min: 0, default: 0 },
+			currency: { type: String, default: "SAR" },
+		},
+		expenseId: {
+			type: ObjectId,
+			ref: "Expense",
+			default: null,
+		},
+		reason: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		status: {
+			type: String,
+			enum: ["walked", "returned", "cancelled"],
+			default: "walked",
+			index: true,
+		},
+		notification: {
+			channel: { type: String, default: "whatsapp" },
+			status: {
+				type: String,
+				enum: ["pending", "sent", "skipped", "failed"],
+				default: "pending",
+			},
+			sid: { type: String, default: "" },
+			error: { type: String, default: "" },
+			sentAt: { type: Date, default: null },
+		},
+		createdBy: {
+			type: Object,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+reservationWalkSchema.index({ hotelId: 1, walkDate: -1 });
+
+module.exports = mongoose.model("ReservationWalk", reservationWalkSchema);
@@ -91,6 +91,25 @@ const reservationsSchema = new mongoose.Schema(
 				carYear: "",
 			},
 		},
+		// Deduplicated guest (models/guest_profile.js) this booking belongs to,
+		// linked from customer_details after every save.
+		guestProfileId: {
+			type: ObjectId,
+			ref: "GuestProfile",
+			default: null,
+		},
+		// Loyalty member who booked on the direct site, and the points redeemed
+		// as a discount on this booking (services/loyalty.js).
+		loyalty: {
+			type: Object,
+			default: null,
+		},
+		// Promo code the guest entered and the discount it gave
+		// (services/promoCodes.js).
+		promo: {
+			type: Object,
+			default: null,
+		},
 		state: {
 			type: String, // could be left as default "confirmed"
 			trim: true,
@@ -130,6 +149,16 @@ const reservationsSchema = new mongoose.Schema(
 			lowercase: true,
 			default: "",
 		},
+		// Cancellation policy in force when the reservation was booked, and the
+		// penalty assessed when it was cancelled or marked as a no-show.
+		cancellationPolicy: {
+			type: Object,
+			default: null,
+		},
+		cancellationPenalty: {
+			type: Object,
+			default: null,
+		},
 		booked_at: {
 			type: Date, //In the file in the 3 file in the headers
 			trim: true,
@@ -143,6 +172,11 @@ const reservationsSchema = new mongoose.Schema(
 			lowercase: true,
 			default: "",
 		},
+		// Set by the front-desk checkout endpoint.
+		checked_out_at: {
+			type: Date,
+			default: null,
+		},
 
 		sub_total: {
 			type: Number, //Those can be added based on the file headers I gave you
@@ -359,6 +393,22 @@ const reservationsSchema = new mongoose.Schema(
 			default: null,
 		},
 
+		// Gateway refunds, one entry per refund request. Completed entries are
+		// mirrored as a negative paid_amount_breakdown.refunded_amount total.
+		payment_refunds: { type: Array, default: [] },
+
+		// Guest and company folios holding itemised incidental charges posted by
+		// staff during the stay. Settled folios add to paid_amount_breakdown.
+		folios: { type: Array, default: [] },
+
+		// Date ranges of the stay and the rooms held over each, written by the
+		// stay-extension and room-move operations. Empty for unsplit stays.
+		staySegments: { type: Array, default: [] },
+
+		// YYYY-MM-DD nights the guest was walked to a partner hotel. Those nights
+		// no longer hold a room here, and a night can only be walked once.
+		walkedNights: { type: [String], default: [] },
+
 		// Server-managed, per-payment-category payout reconciliation snapshots.
 		// An absent category (including on legacy reservations) means waiting.
 		// Entries are only effective while their amountCents still matches the
@@ -570,6 +620,13 @@ const reservationsSchema = new mongoose.Schema(
 		},
 		belongsTo: { type: ObjectId, ref: "User" }, //this will be taken care of later
 		hotelId: { type: ObjectId, ref: "HotelDetails" }, //this will be taken care of later
+		// Set on child reservations spawned from a group booking rooming list.
+		groupBookingId: {
+			type: ObjectId,
+			ref: "GroupBooking",
+			default: null,
+			index: true,
+		},
 		housedBy: {
 			type: Object,
 			default: {
@@ -743,6 +800,245 @@ for (const operation of [
 	reservationsSchema.pre(operation, invalidateReconciliationOnQueryUpdate);
 }
 
+// Cancellations and no-shows written outside the reservation update endpoint
+// (group, OTA and AI agent cancels) still get their policy penalty assessed.
+const cancellationPolicy = () => require("../services/cancellationPolicy");
+
+reservationsSchema.pre("save", function assessCancellationPenaltyOnSave(next) {
+	try {
+		if (!this.isNew && (this.isModified("reservation_status") || this.isModified("state"))) {
+			const assessment = cancellationPolicy().assessSavedStatusPenalty(this.toObject());
+			if (assessment) {
+				this.cancellationPenalty = assessment.penalty;
+				this.adminChangeLog.push(assessment.auditEntry);
+				this.reservationAuditLog.push(assessment.auditEntry);
+			}
+		}
+	} catch (error) {
+		console.error("[cancellation-policy] penalty assessment failed:", error?.message || error);
+	}
+	next();
+});
+
+// Query updates only say which documents they matched before the write; the
+// status filter often stops matching afterwards. Only updates that set a
+// cancelled or no-show status pay for the lookup, and it walks every matched
+// reservation that still has a policy to charge.
+const rememberCancellationPenaltyTargets = async function () {
+	try {
+		const { cancellationPenaltyPendingForUpdate } = cancellationPolicy();
+		if (!cancellationPenaltyPendingForUpdate(this.getUpdate?.() || {})) return;
+		this._cancellationPenaltyPending = true;
+		if (this.op === "findOneAndUpdate") return;
+		if (this.op === "updateOne") {
+			const doc = await this.model.findOne(this.getFilter()).select("_id").lean().exec();
+			this._cancellationPenaltyIds = doc ? [doc._id] : [];
+			return;
+		}
+		const ids = [];
+		const cursor = this.model
+			.find({
+				$and: [
+					this.getFilter(),
+					{
+						"cancellationPolicy.type": { $exists: true },
+						"cancellationPenalty.kind": { $exists: false },
+					},
+				],
+			})
+			.select("_id")
+			.lean()
+			.cursor();
+		for await (const doc of cursor) ids.push(doc._id);
+		this._cancellationPenaltyIds = ids;
+	} catch (error) {
+		console.error("[cancellation-policy] penalty lookup failed:", error?.message || error);
+	}
+};
+
+const assessCancellationPenaltyAfterQueryUpdate = function (result) {
+	if (!this._cancellationPenaltyPending) return;
+	const ids =
+		this.op === "findOneAndUpdate"
+			? [result?._id].filter(Boolean)
+			: this._cancellationPenaltyIds || [];
+	if (!ids.length) return;
+	cancellationPolicy().applyPendingCancellationPenaltiesSafely(ids, {
+		ReservationModel: this.model,
+	});
+};
+
+for (const operation of ["updateOne", "updateMany", "findOneAndUpdate"]) {
+	reservationsSchema.pre(operation, rememberCancellationPenaltyTargets);
+	reservationsSchema.post(operation, assessCancellationPenaltyAfterQueryUpdate);
+}
+
+// Availability and rates pushed to channel managers follow the reservation's
+// stay. Remember the stay as loaded so a moved stay also releases its old
+// nights, then capture the change only after Mongo committed the write.
+const stayForAriCapture = (doc = {}) => ({
+	hotelId: doc.hotelId,
+	checkin_date: doc.checkin_date,
+	checkout_date: doc.checkout_date,
+});
+
+const ariCapture = () => require("../services/ariPush");
+
+reservationsSchema.post("init", function rememberStayForAriCapture() {
+	this.$locals.ariLoadedStay = stayForAriCapture(this);
+});
+
+reservationsSchema.pre("save", function markReservationForAriCapture(next) {
+	try {
+		const { RESERVATION_ARI_PATHS, isAriPushEnabled } = ariCapture();
+		this.$locals.ariCaptureSource = !isAriPushEnabled()
+			? ""
+			: this.isNew
+			? "reservation_created"
+			: RESERVATION_ARI_PATHS.some((path) => this.isModified(path))
+			? "reservation_updated"
+			: "";
+	} catch (error) {
+		this.$locals.ariCaptureSource = "";
+	}
+	next();
+});
+
+reservationsSchema.post("save", function captureReservationAriAfterSave(document) {
+	const source = document.$locals.ariCaptureSource;
+	if (!source) return;
+	ariCapture().captureReservationAriChangeSafely(
+		[document.$locals.ariLoadedStay, stayForAriCapture(document)].filter(Boolean),
+		{ source, sourceId: document._id }
+	);
+	document.$locals.ariLoadedStay = stayForAriCapture(document);
+});
+
+const queryTouchesReservationAri = (query) => {
+	const { isAriPushEnabled, reservationAriPathsTouched } = ariCapture();
+	return isAriPushEnabled() && reservationAriPathsTouched(query.getUpdate?.() || {});
+};
+
+// Query updates do not load documents, and the filter may stop matching once
+// the stay moved, so the stays are read before the write and again by id after.
+const rememberReservationAriTargets = async function () {
+	try {
+		if (!queryTouchesReservationAri(this)) return;
+		const docs = await this.model
+			.find(this.getFilter())
+			.sort(this.options?.sort || {})
+			.select("hotelId checkin_date checkout_date")
+			.limit(this.op === "updateMany" ? 200 : 1)
+			.lean()
+			.exec();
+		this._ariStaysBefore = docs;
+	} catch (error) {
+		console.error("[ari-push] reservation change lookup failed:", error?.message || error);
+	}
+};
+
+const captureReservationAriAfterQueryUpdate = function (result) {
+	try {
+		if (!this._ariStaysBefore || !queryTouchesReservationAri(this)) return;
+		const { captureReservationAriChangeSafely } = ariCapture();
+		const before = this._ariStaysBefore;
+		// An upsert has nothing to read beforehand; findOneAndUpdate returns it.
+		const ids = before.length
+			? before.map((doc) => doc._id)
+			: [result?._id].filter(Boolean);
+		if (!ids.length) return;
+		this.model
+			.find({ _id: { $in: ids } })
+			.select("hotelId checkin_date checkout_date")
+			.lean()
+			.exec()
+			.then((after) =>
+				captureReservationAriChangeSafely(
+					[...before, ...after].map(stayForAriCapture),
+					{ sourceId: ids.length === 1 ? ids[0] : "" }
+				)
+			)
+			.catch((error) =>
+				console.error("[ari-push] reservation change capture failed:", error?.message || error)
+			);
+	} catch (error) {
+		console.error("[ari-push] reservation change capture failed:", error?.message || error);
+	}
+};
+
+for (const operation of ["updateOne", "updateMany", "findOneAndUpdate"]) {
+	reservationsSchema.pre(operation, rememberReservationAriTargets);
+	reservationsSchema.post(operation, captureReservationAriAfterQueryUpdate);
+}
+
+// Every booking is linked to a deduplicated guest profile once the write is
+// committed; the profile's stay history follows status and stay changes.
+const guestProfiles = () => require("../services/guestProfiles");
+
+reservationsSchema.pre("save", function markReservationForGuestProfile(next) {
+	try {
+		const { GUEST_PROFILE_RESERVATION_PATHS, isGuestProfileSyncEnabled } = guestProfiles();
+		this.$locals.guestProfileSync =
+			isGuestProfileSyncEnabled() &&
+			(this.isNew || GUEST_PROFILE_RESERVATION_PATHS.some((path) => this.isModified(path)));
+	} catch (error) {
+		this.$locals.guestProfileSync = false;
+	}
+	next();
+});
+
+reservationsSchema.post("save", function linkGuestProfileAfterSave(document) {
+	if (!document.$locals.guestProfileSync) return;
+	document.$locals.guestProfileSync = false;
+	guestProfiles().linkReservationToGuestProfileSafely(document.toObject(), {
+		ReservationModel: document.constructor,
+	});
+});
+
+const linkGuestProfileAfterQueryUpdate = function (result) {
+	try {
+		const { guestProfilePathsTouched, isGuestProfileSyncEnabled, relinkReservationsSafely } =
+			guestProfiles();
+		if (!isGuestProfileSyncEnabled() || !guestProfilePathsTouched(this.getUpdate?.() || {})) {
+			return;
+		}
+		// Snapshot filters (status, version) stop matching once the update lands,
+		// so read the documents back by id whenever the id is known.
+		const filter = this.getFilter() || {};
+		if (this.op === "findOneAndUpdate") {
+			if (result?._id) relinkReservationsSafely(this.model, { _id: result._id });
+			return;
+		}
+		relinkReservationsSafely(this.model, filter._id ? { _id: filter._id } : filter);
+	} catch (error) {
+		console.error("[guest-profiles] reservation relink failed:", error?.message || error);
+	}
+};
+
+for (const operation of ["updateOne", "updateMany", "findOneAndUpdate"]) {
+	reservationsSchema.post(operation, linkGuestProfileAfterQueryUpdate);
+}
+
+// A new booking closes the guest's abandoned booking forms at the same hotel
+// and records whether a recovery reminder brought them back.
+reservationsSchema.pre("save", function markReservationForBookingRecovery(next) {
+	try {
+		this.$locals.bookingRecoveryConversion =
+			this.isNew && require("../services/bookingRecovery").isBookingRecoveryEnabled();
+	} catch (error) {
+		this.$locals.bookingRecoveryConversion = false;
+	}
+	next();
+});
+
+reservationsSchema.post("save", function recordBookingRecoveryAfterSave(document) {
+	if (!document.$locals.bookingRecoveryConversion) return;
+	document.$locals.bookingRecoveryConversion = false;
+	require("../services/bookingRecovery").recordBookingRecoveryConversionSafely(
+		document.toObject()
+	);
+});
+
 reservationsSchema.index({ reservation_id: 1 }, { sparse: true });
 reservationsSchema.index(
 	{ "customer_details.confirmation_number2": 1 },
@@ -789,6 +1085,18 @@ reservationsSchema.index(
 	}
 );
 reservationsSchema.index({ "otaPlatformReview.status": 1, createdAt: -1 });
+reservationsSchema.index(
+	{ guestProfileId: 1, hotelId: 1 },
+	{ partialFilterExpression: { guestProfileId: { $type: "objectId" } }, name: "guest_profile_hotel" }
+);
+reservationsSchema.index(
+	{ "loyalty.userId": 1, updatedAt: -1 },
+	{ partialFilterExpression: { "loyalty.userId": { $exists: true } }, name: "loyalty_member_updated" }
+);
+reservationsSchema.index(
+	{ "promo.code": 1, createdAt: -1 },
+	{ partialFilterExpression: { "promo.code": { $exists: true } }, name: "promo_code_created" }
+);
 reservationsSchema.index({ hotelId: 1, createdAt: -1, _id: -1 });
 reservationsSchema.index({ hotelId: 1, updatedAt: -1, _id: -1 });
 reservationsSchema.index({ hotelId: 1, checkin_date: -1, _id: -1 });
@@ -0,0 +1,75 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ObjectId } = mongoose.Schema;
+
+// Takes one physical room off sale for every night between startDate
+// (inclusive) and endDate (exclusive, the expected return date).
+// Out of order rooms are broken; out of service rooms are held back for a
+// short reason such as a deep clean. Both stop the room being sold.
+const roomOutOfOrderSchema = new mongoose.Schema(
+	{
+		hotelId: {
+			type: ObjectId,
+			ref: "HotelDetails",
+			required: true,
+			index: true,
+		},
+		roomId: {
+			type: ObjectId,
+			ref: "Rooms",
+			required: true,
+		},
+		roomNumber: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		mode: {
+			type: String,
+			enum: ["out_of_order", "out_of_service"],
+			default: "out_of_order",
+		},
+		startDate: {
+			type: Date,
+			required: true,
+		},
+		endDate: {
+			type: Date,
+			required: true,
+		},
+		reason: {
+			type: String,
+			trim: true,
+			default: "",
+		},
+		workOrderId: {
+			type: ObjectId,
+			ref: "MaintenanceWorkOrder",
+			default: null,
+		},
+		status: {
+			type: String,
+			enum: ["active", "returned", "cancelled"],
+			default: "active",
+			index: true,
+		},
+		returnedAt: {
+			type: Date,
+			default: null,
+		},
+		createdBy: {
+			type: Object,
+			default: null,
+		},
+		updatedBy: {
+			type: Object,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+roomOutOfOrderSchema.index({ hotelId: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("RoomOutOfOrder", roomOutOfOrderSchema);
@@ -317,6 +317,17 @@ const userSchema = new mongoose.Schema(
 			default: [],
 		},
 
+		// Jannat Booking loyalty balance. services/loyalty.js moves these only
+		// together with a LoyaltyLedger entry, which records every change.
+		loyaltyPoints: {
+			type: Number,
+			default: 0,
+		},
+		loyaltyLifetimePoints: {
+			type: Number,
+			default: 0,
+		},
+
 		subscribed: {
 			type: Boolean,
 			default: false,
@@ -8,6 +8,21 @@ const { userById } = require("../controllers/user");
 const {
 	getHotelInventoryAvailability,
 } = require("../controllers/hotel_inventory");
+const {
+	allotmentPickupReport,
+	createHotelAllotment,
+	listHotelAllotments,
+	releaseHotelAllotment,
+	updateHotelAllotment,
+} = require("../controllers/hotel_allotment");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+
+const revenueAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.REVENUE
+);
 
 // Admin/PMS availability endpoint (separate from hotel manager endpoints)
 router.get(
@@ -17,6 +32,49 @@ router.get(
 	getHotelInventoryAvailability
 );
 
+// Wholesale allotments: contracted room blocks released back to general sale
+// `releaseDays` before each stay night.
+router.get(
+	"/admin/hotel-inventory/:hotelId/allotments/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	listHotelAllotments
+);
+
+router.post(
+	"/admin/hotel-inventory/:hotelId/allotments/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	createHotelAllotment
+);
+
+router.put(
+	"/admin/hotel-inventory/:hotelId/allotments/:allotmentId/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	updateHotelAllotment
+);
+
+router.post(
+	"/admin/hotel-inventory/:hotelId/allotments/:allotmentId/release/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	releaseHotelAllotment
+);
+
+// Pickup vs. allotment per date: ?start=YYYY-MM-DD&end=YYYY-MM-DD
+router.get(
+	"/admin/hotel-inventory/:hotelId/allotment-pickup/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	allotmentPickupReport
+);
+
 router.param("userId", userById);
 
 module.exports = router;
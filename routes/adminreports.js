@@ -30,6 +30,8 @@ const {
 	hotelOccupancyDayReservations,
 	paidBreakdownReportAdmin,
 	paidBreakdownReportHotel,
+	groupBookingsReport,
+	promoCodesReport,
 	// ... any other exported controllers
 } = require("../controllers/adminreports");
 
@@ -194,6 +196,22 @@ router.get(
 	hotelOccupancyDayReservations
 );
 
+router.get(
+	"/adminreports/group-bookings/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("HotelReports", "AdminDashboard"),
+	groupBookingsReport
+);
+
+router.get(
+	"/adminreports/promo-codes/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("HotelReports", "AdminDashboard"),
+	promoCodesReport
+);
+
 //Hotel Owner routes
 // 1) Reservations By Day
 router.get(
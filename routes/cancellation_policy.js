@@ -0,0 +1,71 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	createCancellationPolicy,
+	deactivateCancellationPolicy,
+	listCancellationPolicies,
+	previewReservationPenalty,
+	updateCancellationPolicy,
+} = require("../controllers/cancellation_policy");
+
+router.param("userId", userById);
+
+const frontDeskAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+);
+const revenueAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.REVENUE
+);
+
+router.get(
+	"/cancellation-policies/:hotelId/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	listCancellationPolicies
+);
+
+router.post(
+	"/cancellation-policies/:hotelId/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	createCancellationPolicy
+);
+
+router.put(
+	"/cancellation-policies/:hotelId/:policyId/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	updateCancellationPolicy
+);
+
+router.delete(
+	"/cancellation-policies/:hotelId/:policyId/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	deactivateCancellationPolicy
+);
+
+// What cancelling (or ?kind=no_show) would cost right now.
+router.get(
+	"/cancellation-policies/:hotelId/reservations/:reservationId/penalty/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	previewReservationPenalty
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	listReservationFolios,
+	openReservationFolio,
+	postFolioCharge,
+	settleReservationFolio,
+	transferFolioCharge,
+	voidFolioCharge,
+} = require("../controllers/folio");
+
+router.param("userId", userById);
+
+const frontDeskAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+);
+
+router.get(
+	"/folios/:hotelId/reservations/:reservationId/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	listReservationFolios
+);
+
+// Body: { kind: "guest" | "company", label?, billTo: { name?, company, vatNumber?, email? } }
+router.post(
+	"/folios/:hotelId/reservations/:reservationId/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	openReservationFolio
+);
+
+// Body: { folioId? (defaults to the guest folio), category, description?, quantity?, unitPrice, chargeDate?, reference? }
+router.post(
+	"/folios/:hotelId/reservations/:reservationId/charges/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	postFolioCharge
+);
+
+// Body: { reason }
+router.post(
+	"/folios/:hotelId/reservations/:reservationId/:folioId/charges/:chargeId/void/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	voidFolioCharge
+);
+
+// Body: { toFolioId }
+router.post(
+	"/folios/:hotelId/reservations/:reservationId/:folioId/charges/:chargeId/transfer/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	transferFolioCharge
+);
+
+// Body: { method: "cash" | "card" | "bank_transfer" | "direct_bill", reference? }
+router.post(
+	"/folios/:hotelId/reservations/:reservationId/:folioId/settle/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	settleReservationFolio
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	assignReservationRooms,
+	checkInReservation,
+	checkOutReservation,
+	extendReservationStay,
+	listAssignableRooms,
+	moveReservationRoom,
+} = require("../controllers/front_desk");
+
+router.param("userId", userById);
+
+const frontDeskAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+);
+
+router.get(
+	"/front-desk/:hotelId/reservations/:reservationId/rooms/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	listAssignableRooms
+);
+
+// Body: { roomIds: [roomId], allowRoomTypeChange? }
+router.put(
+	"/front-desk/:hotelId/reservations/:reservationId/rooms/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	assignReservationRooms
+);
+
+// Body: { roomIds? (defaults to the assigned rooms), allowRoomTypeChange? }
+router.post(
+	"/front-desk/:hotelId/reservations/:reservationId/check-in/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	checkInReservation
+);
+
+// Body: { note? }
+router.post(
+	"/front-desk/:hotelId/reservations/:reservationId/check-out/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	checkOutReservation
+);
+
+// Body: { checkout_date: "YYYY-MM-DD", note? }
+router.post(
+	"/front-desk/:hotelId/reservations/:reservationId/extend/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	extendReservationStay
+);
+
+// Body: { lineIndex?, moveDate? (defaults to today), fromRoomId?, toRoomId?, toRoomType?, toDisplayName?, reprice?, note? }
+router.post(
+	"/front-desk/:hotelId/reservations/:reservationId/move/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	moveReservationRoom
+);
+
+module.exports = router;
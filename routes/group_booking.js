@@ -0,0 +1,103 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const upload = multer({ dest: "uploads/" });
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	cancelGroupRoomingEntry,
+	createGroupBooking,
+	getGroupBooking,
+	listGroupBookings,
+	recordGroupDeposit,
+	updateGroupBookingContract,
+	updateGroupBookingStatus,
+	uploadGroupRoomingList,
+} = require("../controllers/group_booking");
+
+router.param("userId", userById);
+
+const reservationsAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.RESERVATIONS
+);
+const financeAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FINANCE
+);
+
+router.post(
+	"/group-bookings/:hotelId/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	createGroupBooking
+);
+
+router.get(
+	"/group-bookings/:hotelId/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	listGroupBookings
+);
+
+router.get(
+	"/group-bookings/:hotelId/:groupId/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	getGroupBooking
+);
+
+router.put(
+	"/group-bookings/:hotelId/:groupId/contract/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	updateGroupBookingContract
+);
+
+router.put(
+	"/group-bookings/:hotelId/:groupId/status/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	updateGroupBookingStatus
+);
+
+// Rooming list upload: accepts an Excel file ("file") or JSON `rows`.
+// Pass dryRun=true to preview row mapping and inventory before creating
+// the child reservations.
+router.post(
+	"/group-bookings/:hotelId/:groupId/rooming-list/:userId",
+	requireSignin,
+	isAuth,
+	upload.single("file"),
+	reservationsAccess,
+	uploadGroupRoomingList
+);
+
+router.put(
+	"/group-bookings/:hotelId/:groupId/rooming-list/:entryId/cancel/:userId",
+	requireSignin,
+	isAuth,
+	reservationsAccess,
+	cancelGroupRoomingEntry
+);
+
+router.put(
+	"/group-bookings/:hotelId/:groupId/deposits/:depositId/:userId",
+	requireSignin,
+	isAuth,
+	financeAccess,
+	recordGroupDeposit
+);
+
+module.exports = router;
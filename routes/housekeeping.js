@@ -10,10 +10,19 @@ const {
 	totalDocumentCount,
 	updateHouseKeepingTask,
 	listOfTasksForEmployee,
+	planHousekeeping,
+	housekeepingPlanBoard,
 	listHousekeepingSupplies,
 	upsertHousekeepingSupplyItem,
+	saveHousekeepingSupplyTemplate,
 	createHousekeepingSupplyRequest,
 	updateHousekeepingSupplyRequest,
+	listHousekeepingInspections,
+	saveHousekeepingInspectionChecklist,
+	inspectHouseKeepingTask,
+	listLostAndFoundItems,
+	createLostAndFoundItem,
+	updateLostAndFoundItem,
 } = require("../controllers/housekeeping");
 
 router.post("/house-keeping/create/:hotelId", requireSignin, create);
@@ -30,12 +39,19 @@ router.put(
 	updateHouseKeepingTask
 );
 router.get("/house-keeping-employee/:userId", requireSignin, listOfTasksForEmployee);
+router.post("/house-keeping-plan/:hotelId", requireSignin, planHousekeeping);
+router.get("/house-keeping-plan/:hotelId", requireSignin, housekeepingPlanBoard);
 router.get("/house-keeping-supplies/:hotelId", requireSignin, listHousekeepingSupplies);
 router.post(
 	"/house-keeping-supplies/:hotelId/item",
 	requireSignin,
 	upsertHousekeepingSupplyItem
 );
+router.post(
+	"/house-keeping-supplies/:hotelId/template",
+	requireSignin,
+	saveHousekeepingSupplyTemplate
+);
 router.post(
 	"/house-keeping-supplies/:hotelId/request",
 	requireSignin,
@@ -46,5 +62,27 @@ router.put(
 	requireSignin,
 	updateHousekeepingSupplyRequest
 );
+router.get(
+	"/house-keeping-inspections/:hotelId",
+	requireSignin,
+	listHousekeepingInspections
+);
+router.post(
+	"/house-keeping-inspections/:hotelId/checklist",
+	requireSignin,
+	saveHousekeepingInspectionChecklist
+);
+router.put(
+	"/house-keeping-inspections/task/:taskId",
+	requireSignin,
+	inspectHouseKeepingTask
+);
+router.get("/house-keeping-lost-found/:hotelId", requireSignin, listLostAndFoundItems);
+router.post("/house-keeping-lost-found/:hotelId", requireSignin, createLostAndFoundItem);
+router.put(
+	"/house-keeping-lost-found/item/:itemId",
+	requireSignin,
+	updateLostAndFoundItem
+);
 
 module.exports = router;
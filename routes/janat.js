@@ -19,6 +19,7 @@ const {
 	getListOfHotels,
 	gettingRoomListFromQuery,
 	createNewReservationClient,
+	quotePromoCodeClient,
 	getUserAndReservationData,
 	getHotelDetailsById,
 	getHotelDistancesFromElHaram,
@@ -87,6 +88,7 @@ router.get("/single-hotel/:hotelSlug", getHotelFromSlug);
 router.get("/active-hotel-list", getListOfHotels);
 router.get("/distinct-rooms", distinctRoomTypes);
 router.get("/room-query-list/:query", gettingRoomListFromQuery);
+router.post("/promo-codes/quote", quotePromoCodeClient);
 router.post("/new-reservation-client", createNewReservationClient);
 router.post(
 	"/new-reservation-client-employee",
@@ -0,0 +1,83 @@
+/** @format */
+
+const express = require("express");
+const router = express.Router();
+
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	createRoomBlock,
+	createWorkOrder,
+	listRoomBlocks,
+	listWorkOrders,
+	maintenanceSlaReport,
+	updateRoomBlock,
+	updateWorkOrder,
+} = require("../controllers/maintenance");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+
+const maintenanceAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.MAINTENANCE
+);
+
+// Work orders: ?status=open|in_progress|on_hold|completed|cancelled|all
+router.get(
+	"/admin/hotel-maintenance/:hotelId/work-orders/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	listWorkOrders
+);
+router.post(
+	"/admin/hotel-maintenance/:hotelId/work-orders/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	createWorkOrder
+);
+router.put(
+	"/admin/hotel-maintenance/:hotelId/work-orders/:workOrderId/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	updateWorkOrder
+);
+
+// Out of order / out of service ranges, subtracted from the inventory calendar
+router.get(
+	"/admin/hotel-maintenance/:hotelId/room-blocks/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	listRoomBlocks
+);
+router.post(
+	"/admin/hotel-maintenance/:hotelId/room-blocks/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	createRoomBlock
+);
+router.put(
+	"/admin/hotel-maintenance/:hotelId/room-blocks/:blockId/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	updateRoomBlock
+);
+
+// SLA per priority/category: ?start=YYYY-MM-DD&end=YYYY-MM-DD (default last 30 days)
+router.get(
+	"/admin/hotel-maintenance/:hotelId/sla-report/:userId",
+	requireSignin,
+	isAuth,
+	maintenanceAccess,
+	maintenanceSlaReport
+);
+
+router.param("userId", userById);
+
+module.exports = router;
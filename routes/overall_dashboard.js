@@ -4,6 +4,8 @@
 
 const express = require("express");
 const router = express.Router();
+const multer = require("multer");
+const upload = multer({ dest: "uploads/" });
 const { requireSignin, isAuth } = require("../controllers/auth");
 const { userById } = require("../controllers/user");
 const {
@@ -33,8 +35,20 @@ const {
 	overallCalendarPricingOptions,
 	overallCalendarPricingRoomRows,
 	saveOverallCalendarPricing,
+	overallCalendarPricingRecommendations,
+	acceptOverallCalendarPricingRecommendations,
+	saveOverallCalendarStayRestrictions,
 	overallPriceVariantOptions,
 	saveOverallPriceVariant,
+	overallAriDeliveries,
+	retryOverallAriDelivery,
+	overallRateParityReport,
+	overallRateParityRuns,
+	importOverallRateParity,
+	startOverallRateParityCollector,
+	overallGuestProfiles,
+	overallGuestProfile,
+	updateOverallGuestProfile,
 } = require("../controllers/overall_dashboard");
 
 router.get(
@@ -233,6 +247,91 @@ router.post(
 	saveOverallCalendarPricing
 );
 
+router.get(
+	"/overall-dashboard/settings-calendar-pricing/:userId/recommendations",
+	requireSignin,
+	isAuth,
+	overallCalendarPricingRecommendations
+);
+
+router.post(
+	"/overall-dashboard/settings-calendar-pricing/:userId/recommendations/accept",
+	requireSignin,
+	isAuth,
+	acceptOverallCalendarPricingRecommendations
+);
+
+router.post(
+	"/overall-dashboard/settings-calendar-pricing/:userId/restrictions",
+	requireSignin,
+	isAuth,
+	saveOverallCalendarStayRestrictions
+);
+
+router.get(
+	"/overall-dashboard/ari-deliveries/:userId",
+	requireSignin,
+	isAuth,
+	overallAriDeliveries
+);
+
+router.post(
+	"/overall-dashboard/ari-deliveries/:userId/:deliveryId/retry",
+	requireSignin,
+	isAuth,
+	retryOverallAriDelivery
+);
+
+router.get(
+	"/overall-dashboard/rate-parity/:userId",
+	requireSignin,
+	isAuth,
+	overallRateParityReport
+);
+
+router.get(
+	"/overall-dashboard/rate-parity/:userId/runs",
+	requireSignin,
+	isAuth,
+	overallRateParityRuns
+);
+
+router.post(
+	"/overall-dashboard/rate-parity/:userId/import",
+	requireSignin,
+	isAuth,
+	upload.single("file"),
+	importOverallRateParity
+);
+
+router.post(
+	"/overall-dashboard/rate-parity/:userId/collect",
+	requireSignin,
+	isAuth,
+	startOverallRateParityCollector
+);
+
+router.get(
+	"/overall-dashboard/guest-profiles/:userId",
+	requireSignin,
+	isAuth,
+	overallGuestProfiles
+);
+
+router.get(
+	"/overall-dashboard/guest-profiles/:userId/:profileId",
+	requireSignin,
+	isAuth,
+	overallGuestProfile
+);
+
+router.put(
+	"/overall-dashboard/guest-profiles/:userId/:profileId",
+	requireSignin,
+	isAuth,
+	updateOverallGuestProfile
+);
+
 router.param("userId", userById);
 
 module.exports = router;
@@ -0,0 +1,62 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	listReservationWalks,
+	oversoldDatesReport,
+	updateOverbookingLimits,
+	walkReservation,
+} = require("../controllers/overbooking");
+
+router.param("userId", userById);
+
+const frontDeskAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+);
+const revenueAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.REVENUE
+);
+
+// Oversold dates per room type for ?start=YYYY-MM-DD&end=YYYY-MM-DD.
+router.get(
+	"/overbooking/:hotelId/oversold/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	oversoldDatesReport
+);
+
+router.put(
+	"/overbooking/:hotelId/limits/:userId",
+	requireSignin,
+	isAuth,
+	revenueAccess,
+	updateOverbookingLimits
+);
+
+router.get(
+	"/overbooking/:hotelId/walks/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	listReservationWalks
+);
+
+router.post(
+	"/overbooking/:hotelId/reservations/:reservationId/walk/:userId",
+	requireSignin,
+	isAuth,
+	frontDeskAccess,
+	walkReservation
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { requireSignin, isAuth } = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	requireHotelOperationAccess,
+} = require("../services/hotelOperationsAccess");
+const {
+	listReservationRefunds,
+	refundReservationPayment,
+	syncReservationRefund,
+} = require("../controllers/payment_refunds");
+
+router.param("userId", userById);
+
+const financeAccess = requireHotelOperationAccess(
+	HOTEL_OPERATION_CAPABILITIES.FINANCE
+);
+
+router.get(
+	"/payment-refunds/:hotelId/reservations/:reservationId/:userId",
+	requireSignin,
+	isAuth,
+	financeAccess,
+	listReservationRefunds
+);
+
+// Body: { gateway?, captureId?, amount? (capture currency, omit for full), amountSar?, reason, gatewayReference? (BofA) }
+router.post(
+	"/payment-refunds/:hotelId/reservations/:reservationId/:userId",
+	requireSignin,
+	isAuth,
+	financeAccess,
+	refundReservationPayment
+);
+
+// Re-checks a refund the gateway answered "pending" and settles it once confirmed.
+router.post(
+	"/payment-refunds/:hotelId/reservations/:reservationId/refunds/:refundEntryId/sync/:userId",
+	requireSignin,
+	isAuth,
+	financeAccess,
+	syncReservationRefund
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/** @format */
+
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const {
+	requireSignin,
+	isAuth,
+	requireAdminAccess,
+} = require("../controllers/auth");
+const { userById } = require("../controllers/user");
+const {
+	createPromoCode,
+	listPromoCodes,
+	updatePromoCode,
+} = require("../controllers/promo_codes");
+
+router.param("userId", userById);
+
+router.get(
+	"/admin/promo-codes/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("JannatBookingWebsite"),
+	listPromoCodes
+);
+
+router.post(
+	"/admin/promo-codes/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("JannatBookingWebsite"),
+	createPromoCode
+);
+
+router.put(
+	"/admin/promo-codes/:promoCodeId/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("JannatBookingWebsite"),
+	updatePromoCode
+);
+
+module.exports = router;
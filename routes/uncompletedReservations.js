@@ -12,6 +12,8 @@ const { userById } = require("../controllers/user");
 const {
 	createNewTrackingUncompleteReservation,
 	listOfActualUncompleteReservation,
+	resumeUncompleteReservation,
+	uncompleteReservationsRecoveryReport,
 } = require("../controllers/uncompletedReservations");
 
 router.post(
@@ -25,6 +27,17 @@ router.get(
 	requireAdminAccess("HotelsReservations", "AllReservations"),
 	listOfActualUncompleteReservation
 );
+router.get(
+	"/uncomplete-reservations/resume/:token",
+	resumeUncompleteReservation
+);
+router.get(
+	"/uncomplete-reservations-recovery-report/:userId",
+	requireSignin,
+	isAuth,
+	requireAdminAccess("HotelsReservations", "AllReservations"),
+	uncompleteReservationsRecoveryReport
+);
 
 router.param("userId", userById);
 
@@ -18,6 +18,7 @@ const {
 	zadClientSignup,
 	zadClientSignin,
 	zadClientGoogleLogin,
+	quoteZadPromoCode,
 } = require("../controllers/zadcontroller");
 
 router.get("/zad-website-document", listZadWebsiteDocuments);
@@ -41,6 +42,7 @@ router.get(
 	"/zad/hotels/active-with-deals",
 	listOfAllActiveZadHotelsMonthlyAndOffers
 );
+router.post("/zad/promo-codes/quote", quoteZadPromoCode);
 
 router.param("userId", userById);
 
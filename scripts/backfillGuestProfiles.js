@@ -0,0 +1,134 @@
+/** @format */
+
+"use strict";
+
+// Links existing reservations to guest profiles (services/guestProfiles.js).
+// New and edited reservations are linked by the reservation model hooks; this
+// covers bookings made before profiles existed. Dry-run by default: it counts
+// the reservations that would be linked. Reservations are walked oldest first
+// so the earliest profile of a guest is the one that survives merges.
+//
+//   npm run guests:backfill -- --hotel=<hotelId>
+//   npm run guests:backfill -- --apply [--limit=20000] [--relink]
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+
+mongoose.set("strictQuery", true);
+
+const Reservations = require("../models/reservations");
+const {
+	GuestProfileError,
+	linkReservationToGuestProfile,
+} = require("../services/guestProfiles");
+
+const BATCH_SIZE = 200;
+const DEFAULT_LIMIT = 5000;
+const MAX_LIMIT = 100000;
+
+function parseArguments(argv = process.argv.slice(2)) {
+	const options = { apply: false, relink: false, hotelId: "", limit: DEFAULT_LIMIT };
+	for (let index = 0; index < argv.length; index += 1) {
+		const item = String(argv[index] || "");
+		if (item === "--apply" || item === "--relink") {
+			options[item.slice(2)] = true;
+			continue;
+		}
+		const separator = item.indexOf("=");
+		const flag = separator >= 0 ? item.slice(0, separator) : item;
+		const value = String(separator >= 0 ? item.slice(separator + 1) : argv[++index] || "").trim();
+		if (flag === "--hotel") {
+			if (!mongoose.Types.ObjectId.isValid(value)) {
+				throw new GuestProfileError("--hotel expects a hotel id.", "guest_backfill_argument_invalid");
+			}
+			options.hotelId = value;
+		} else if (flag === "--limit") {
+			const limit = Number(value);
+			if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+				throw new GuestProfileError(`--limit expects 1-${MAX_LIMIT}.`, "guest_backfill_argument_invalid");
+			}
+			options.limit = limit;
+		} else {
+			throw new GuestProfileError(`Unknown argument: ${item}`, "guest_backfill_argument_unknown");
+		}
+	}
+	return options;
+}
+
+const backfillFilter = (options = {}) => ({
+	...(options.relink ? {} : { guestProfileId: null }),
+	...(options.hotelId ? { hotelId: new mongoose.Types.ObjectId(options.hotelId) } : {}),
+});
+
+async function run(argv = process.argv.slice(2), dependencies = {}) {
+	const options = parseArguments(argv);
+	const database = process.env.DATABASE || process.env.MONGO_URI || process.env.MONGODB_URI;
+	if (!dependencies.skipConnect) {
+		if (!database) {
+			throw new GuestProfileError("Missing DATABASE/MONGO connection string.", "guest_backfill_database_missing");
+		}
+		await mongoose.connect(database, { autoIndex: false });
+	}
+	const ReservationModel = dependencies.ReservationModel || Reservations;
+	const filter = backfillFilter(options);
+	const matching = await ReservationModel.countDocuments(filter);
+	if (!options.apply) {
+		const output = { mode: "dry-run", matching, wouldProcess: Math.min(matching, options.limit) };
+		console.log(JSON.stringify(output, null, 2));
+		return output;
+	}
+
+	const totals = { processed: 0, created: 0, merged: 0, withoutIdentity: 0, failed: 0 };
+	let lastId = null;
+	while (totals.processed < options.limit) {
+		const batch = await ReservationModel.find({ ...filter, ...(lastId ? { _id: { $gt: lastId } } : {}) })
+			.select("_id guestProfileId customer_details")
+			.sort({ _id: 1 })
+			.limit(Math.min(BATCH_SIZE, options.limit - totals.processed))
+			.lean();
+		if (!batch.length) break;
+		for (const reservation of batch) {
+			totals.processed += 1;
+			try {
+				const result = await linkReservationToGuestProfile(reservation, dependencies);
+				if (result.created) totals.created += 1;
+				totals.merged += result.merged.length;
+				if (result.reason === "no_identity") totals.withoutIdentity += 1;
+			} catch (error) {
+				totals.failed += 1;
+				console.error(`[guest-profiles] ${reservation._id}: ${error?.message || error}`);
+			}
+		}
+		lastId = batch[batch.length - 1]._id;
+	}
+	const output = { mode: "apply", matching, ...totals };
+	console.log(JSON.stringify(output, null, 2));
+	return output;
+}
+
+if (require.main === module) {
+	run()
+		.then((output) => {
+			if (output.failed) process.exitCode = 1;
+		})
+		.catch((error) => {
+			console.error(
+				JSON.stringify(
+					{ success: false, code: error.code || "guest_backfill_failed", message: String(error.message || "").trim() },
+					null,
+					2
+				)
+			);
+			process.exitCode = 1;
+		})
+		.finally(async () => {
+			if (mongoose.connection.readyState !== 0) await mongoose.disconnect();
+		});
+}
+
+module.exports = {
+	backfillFilter,
+	parseArguments,
+	run,
+};
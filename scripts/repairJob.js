@@ -0,0 +1,155 @@
+/** @format */
+
+"use strict";
+
+// Command-line front end for the repair-job runner (services/repairJobs.js).
+// New repairs are plugins under services/repairs; this script never needs to
+// change for them.
+//
+//   npm run repair:job -- list
+//   npm run repair:job -- plan reservation-stay-length --param hotelId=<id>
+//   npm run repair:job -- show <jobId>
+//   npm run repair:job -- approve <jobId>
+//   npm run repair:job -- apply <jobId>
+//   npm run repair:job -- rollback <jobId>
+//   npm run repair:job -- recover <jobId>
+//   npm run repair:job -- cancel <jobId>
+//
+// Every step is recorded under the OS account that ran it. --actor only sets
+// the display name; approval compares accounts, so the planner's account
+// cannot approve its own job. That is only as strong as the accounts: on a
+// shared login the second-approver rule is procedural, not enforced.
+
+require("dotenv").config();
+
+const os = require("os");
+const mongoose = require("mongoose");
+
+mongoose.set("strictQuery", true);
+
+const RepairJob = require("../models/repair_job");
+const {
+	RepairJobError,
+	applyRepairJob,
+	approveRepairJob,
+	cancelRepairJob,
+	listRepairs,
+	planRepairJob,
+	recoverRepairJob,
+	rollbackRepairJob,
+} = require("../services/repairs");
+
+const COMMANDS = ["list", "plan", "show", "approve", "apply", "rollback", "recover", "cancel"];
+
+function parseArguments(argv = process.argv.slice(2)) {
+	const [command, target, ...rest] = argv.map((item) => String(item || ""));
+	if (!COMMANDS.includes(command)) {
+		throw new RepairJobError(`Usage: repairJob.js <${COMMANDS.join("|")}> ...`, "repair_argument_unknown");
+	}
+	const options = { command, target: target || "", params: {}, actor: "" };
+	if (command !== "list" && !options.target) {
+		throw new RepairJobError(`${command} needs a ${command === "plan" ? "repair id" : "job id"}.`, "repair_argument_missing");
+	}
+	for (let index = 0; index < rest.length; index += 1) {
+		const item = rest[index];
+		const inline = item.startsWith("--actor=") || item.startsWith("--param=");
+		const flag = inline ? item.slice(0, item.indexOf("=")) : item;
+		const value = inline ? item.slice(item.indexOf("=") + 1) : rest[++index] || "";
+		if (flag === "--param") {
+			const separator = value.indexOf("=");
+			if (separator <= 0) throw new RepairJobError("--param expects key=value.", "repair_argument_invalid");
+			options.params[value.slice(0, separator)] = value.slice(separator + 1);
+		} else if (flag === "--actor") {
+			options.actor = value;
+		} else {
+			throw new RepairJobError(`Unknown argument: ${item}`, "repair_argument_unknown");
+		}
+	}
+	return options;
+}
+
+const cliActor = (label = "", account = os.userInfo().username) => ({
+	_id: `os:${account}`,
+	name: label || account,
+	role: "repair_cli",
+});
+
+const jobView = (job = {}) => ({
+	jobId: String(job._id || ""),
+	repairId: job.repairId,
+	status: job.status,
+	params: job.params,
+	summary: job.summary,
+	error: job.error || "",
+	changes: (job.changes || []).map((change) => ({
+		documentId: String(change.documentId),
+		description: change.description,
+		applied: change.applied === true,
+		fields: change.fields.map(({ path, before, beforeMissing, after }) => ({
+			path,
+			before: beforeMissing ? "(missing)" : before,
+			after,
+		})),
+	})),
+});
+
+async function run(argv = process.argv.slice(2), dependencies = {}) {
+	const options = parseArguments(argv);
+	if (options.command === "list") {
+		const output = { repairs: listRepairs() };
+		console.log(JSON.stringify(output, null, 2));
+		return output;
+	}
+	const database = process.env.DATABASE || process.env.MONGO_URI || process.env.MONGODB_URI;
+	if (!dependencies.skipConnect) {
+		if (!database) throw new RepairJobError("Missing DATABASE/MONGO connection string.", "repair_database_missing");
+		await mongoose.connect(database, { autoIndex: false });
+	}
+	const actor = dependencies.actor || cliActor(options.actor);
+	let job;
+	if (options.command === "plan") {
+		job = await planRepairJob({ repairId: options.target, params: options.params, actor }, dependencies);
+	} else if (options.command === "show") {
+		job = await (dependencies.RepairJobModel || RepairJob).findOne({ _id: options.target }).lean();
+		if (!job) throw new RepairJobError("Repair job not found.", "repair_job_not_found", 404);
+	} else {
+		const action = {
+			approve: approveRepairJob,
+			apply: applyRepairJob,
+			rollback: rollbackRepairJob,
+			recover: recoverRepairJob,
+			cancel: cancelRepairJob,
+		}[options.command];
+		job = await action(options.target, actor, dependencies);
+	}
+	const output = jobView(job);
+	console.log(JSON.stringify(output, null, 2));
+	return output;
+}
+
+if (require.main === module) {
+	run()
+		.then((output) => {
+			if (output.status === "failed") process.exitCode = 1;
+		})
+		.catch((error) => {
+			console.error(
+				JSON.stringify(
+					{ success: false, code: error.code || "repair_failed", message: String(error.message || "").trim() },
+					null,
+					2
+				)
+			);
+			process.exitCode = 1;
+		})
+		.finally(async () => {
+			if (mongoose.connection.readyState !== 0) await mongoose.disconnect();
+		});
+}
+
+module.exports = {
+	cliActor,
+	jobView,
+	parseArguments,
+	run,
+};
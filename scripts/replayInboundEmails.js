@@ -0,0 +1,149 @@
+/** @format */
+
+"use strict";
+
+// Re-parse archived OTA inbound emails with the current mapper and replay them
+// onto their linked reservations. Dry-run by default: it prints the field-level
+// diff and a proof. Re-run the same filter with --apply --proof=<proof> to
+// replay the approved plan; every replayed email gets an InboundEmailReplay
+// audit record. This replaces one-off dated recovery scripts for parser fixes.
+//
+//   npm run ota:replay-inbound -- --provider=booking --stale
+//   npm run ota:replay-inbound -- --id=<inboundEmailId> --apply --proof=<proof>
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+
+mongoose.set("strictQuery", true);
+
+const {
+	InboundReplayError,
+	applyInboundReplayPlan,
+	buildInboundReplayPlan,
+} = require("../services/inboundEmailReplay");
+
+const NPM_SCRIPT = "ota:replay-inbound";
+const VALUE_OPTIONS = {
+	"--id": "ids",
+	"--provider": "provider",
+	"--confirmation": "confirmationNumber",
+	"--hotel": "hotelId",
+	"--parser-version": "parserVersion",
+	"--from": "receivedFrom",
+	"--to": "receivedTo",
+	"--limit": "limit",
+	"--proof": "proof",
+	"--actor": "actor",
+};
+
+function parseArguments(argv = process.argv.slice(2)) {
+	const options = { apply: false, stale: false, ids: [] };
+	for (let index = 0; index < argv.length; index += 1) {
+		const item = String(argv[index] || "");
+		if (item === "--apply") {
+			options.apply = true;
+			continue;
+		}
+		if (item === "--stale") {
+			options.stale = true;
+			continue;
+		}
+		const separator = item.indexOf("=");
+		const flag = separator >= 0 ? item.slice(0, separator) : item;
+		const inlineValue = separator >= 0 ? item.slice(separator + 1) : undefined;
+		const key = VALUE_OPTIONS[flag];
+		if (!key) throw new InboundReplayError(`Unknown argument: ${item}`, "replay_argument_unknown");
+		const value = String(inlineValue !== undefined ? inlineValue : argv[++index] || "").trim();
+		if (key === "ids") options.ids.push(...value.split(",").filter(Boolean));
+		else options[key] = value;
+	}
+	if (!options.apply && options.proof) {
+		throw new InboundReplayError("--proof is accepted only with --apply.", "replay_dry_run_argument");
+	}
+	if (options.apply && !options.proof) {
+		throw new InboundReplayError("--apply requires the proof printed by the dry run.", "replay_proof_required");
+	}
+	return options;
+}
+
+function filterFromOptions(options = {}) {
+	return {
+		ids: options.ids,
+		provider: options.provider,
+		confirmationNumber: options.confirmationNumber,
+		hotelId: options.hotelId,
+		parserVersion: options.parserVersion,
+		stale: options.stale,
+		receivedFrom: options.receivedFrom,
+		receivedTo: options.receivedTo,
+	};
+}
+
+function applyCommand(argv, proof) {
+	const kept = argv.filter((item) => item !== "--apply" && !item.startsWith("--proof"));
+	return `npm run ${NPM_SCRIPT} -- ${[...kept, "--apply", `--proof=${proof}`].join(" ")}`;
+}
+
+async function run(argv = process.argv.slice(2), dependencies = {}) {
+	const options = parseArguments(argv);
+	const database = process.env.DATABASE || process.env.MONGO_URI || process.env.MONGODB_URI;
+	if (!dependencies.skipConnect) {
+		if (!database) throw new InboundReplayError("Missing DATABASE/MONGO connection string.", "replay_database_missing");
+		await mongoose.connect(database, { autoIndex: false });
+	}
+	const filter = filterFromOptions(options);
+	if (options.apply) {
+		const result = await applyInboundReplayPlan(
+			filter,
+			{
+				limit: options.limit,
+				proof: options.proof,
+				actor: { name: options.actor || process.env.USER || "", role: "replay_cli" },
+			},
+			dependencies
+		);
+		const output = { mode: "apply", success: result.summary.failed === 0, ...result };
+		console.log(JSON.stringify(output, null, 2));
+		return output;
+	}
+	const plan = await buildInboundReplayPlan(filter, { limit: options.limit }, dependencies);
+	const output = {
+		mode: "dry-run",
+		plannedAt: plan.plannedAt.toISOString(),
+		summary: plan.summary,
+		items: plan.items,
+		proof: plan.proof,
+		applyCommand: plan.summary.changes ? applyCommand(argv, plan.proof) : "",
+	};
+	console.log(JSON.stringify(output, null, 2));
+	return output;
+}
+
+if (require.main === module) {
+	run()
+		.then((output) => {
+			if (output.success === false) process.exitCode = 1;
+		})
+		.catch((error) => {
+			console.error(
+				JSON.stringify(
+					{ success: false, code: error.code || "replay_failed", message: String(error.message || "").trim() },
+					null,
+					2
+				)
+			);
+			process.exitCode = 1;
+		})
+		.finally(async () => {
+			if (mongoose.connection.readyState !== 0) await mongoose.disconnect();
+		});
+}
+
+module.exports = {
+	NPM_SCRIPT,
+	applyCommand,
+	filterFromOptions,
+	parseArguments,
+	run,
+};
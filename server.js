@@ -11,6 +11,34 @@ const socketIo = require("socket.io");
 const {
 	startHousekeepingMaintenanceJob,
 } = require("./services/housekeepingMaintenance");
+const {
+	isHousekeepingPlannerEnabled,
+	startHousekeepingPlannerJob,
+} = require("./services/housekeepingPlanner");
+const {
+	isAllotmentReleaseJobEnabled,
+	startAllotmentReleaseJob,
+} = require("./services/hotelAllotment");
+const {
+	isNoShowPenaltyJobEnabled,
+	startNoShowPenaltyJob,
+} = require("./services/cancellationPolicy");
+const {
+	isAriPushEnabled,
+	startAriPushJob,
+} = require("./services/ariPush");
+const {
+	isLoyaltyEnabled,
+	startLoyaltyJob,
+} = require("./services/loyalty");
+const {
+	isPromoRedemptionSweepEnabled,
+	startPromoRedemptionSweepJob,
+} = require("./services/promoCodes");
+const {
+	isBookingRecoveryEnabled,
+	startBookingRecoveryJob,
+} = require("./services/bookingRecovery");
 const {
 	startB2BChatMaintenanceJob,
 } = require("./services/b2bChatMaintenance");
@@ -39,6 +67,9 @@ const { getHotelRunnerConfig } = require("./services/hotelrunnerConfig");
 
 const app = express();
 const server = http.createServer(app);
+// Proxy hops in front of the API (load balancer / CDN). req.ip is then the
+// address the outermost trusted hop saw, which per-client limits key on.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS || 1));
 
 // Some external callbacks authenticate through query parameters. Never let
 // those credentials reach PM2 access logs.
@@ -124,6 +155,27 @@ mongoose
 			console.error("Inbound email dedupe index setup failed:", error.cause || error);
 		}
 		startHousekeepingMaintenanceJob();
+		if (isHousekeepingPlannerEnabled()) {
+			startHousekeepingPlannerJob({ getIo: () => app.get("io") });
+		}
+		if (isAllotmentReleaseJobEnabled()) {
+			startAllotmentReleaseJob();
+		}
+		if (isNoShowPenaltyJobEnabled()) {
+			startNoShowPenaltyJob();
+		}
+		if (isAriPushEnabled()) {
+			startAriPushJob();
+		}
+		if (isLoyaltyEnabled()) {
+			startLoyaltyJob();
+		}
+		if (isPromoRedemptionSweepEnabled()) {
+			startPromoRedemptionSweepJob();
+		}
+		if (isBookingRecoveryEnabled()) {
+			startBookingRecoveryJob();
+		}
 		startB2BChatMaintenanceJob();
 		startSupportCaseMaintenanceJob({
 			getIo: () => app.get("io"),
@@ -0,0 +1,653 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const AriChange = require("../models/ari_change");
+const AriDelivery = require("../models/ari_delivery");
+const HotelDetails = require("../models/hotel_details");
+const { ChannelManagerError } = require("./channelManagerAdapter");
+const { createChannelSimulatorAdapter } = require("./channelSimulatorAdapter");
+const {
+	createHotelRunnerChannelAdapter,
+	loadHotelRunnerInvCodes,
+} = require("./hotelrunnerChannelAdapter");
+const { getHotelRunnerConfig } = require("./hotelrunnerConfig");
+const { currentRoomPrice } = require("./pricingRecommendations");
+
+const ARI_TIMEZONE = "Asia/Riyadh";
+const ARI_HORIZON_DAYS = 365;
+const ARI_BATCH_SIZE = 50;
+const ARI_MAX_ATTEMPTS = 6;
+const ARI_CHANGE_BATCH = 200;
+const ARI_CHANGE_MAX_ATTEMPTS = 5;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 45 * 1000;
+
+// Reservation fields that move sellable inventory when they change.
+const RESERVATION_ARI_PATHS = Object.freeze([
+	"hotelId",
+	"reservation_status",
+	"state",
+	"checkin_date",
+	"checkout_date",
+	"pickedRoomsType",
+	"roomId",
+	"total_rooms",
+]);
+
+const isAriPushEnabled = (env = process.env) =>
+	String(env.ARI_PUSH_ENABLED || "").toLowerCase() === "true";
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const addDays = (key, days) => moment.utc(key).add(days, "days").format("YYYY-MM-DD");
+
+const ariTodayKey = (now = new Date()) => moment(now).tz(ARI_TIMEZONE).format("YYYY-MM-DD");
+
+// Same key the inventory calendar groups rooms by.
+const inventoryRoomKey = (room = {}) =>
+	String(room.displayName || room.display_name || room.roomType || room.room_type || "")
+		.replace(/[\u2013\u2014\u2212]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+
+/**
+ * Limits a captured range to the dates a channel can still sell: from today
+ * up to the push horizon. Returns null when nothing is left.
+ */
+const clampAriRange = ({ startDate, endDate } = {}, { today = ariTodayKey(), horizonDays = ARI_HORIZON_DAYS } = {}) => {
+	const start = dayKey(startDate);
+	const end = dayKey(endDate || startDate);
+	if (!start || !end) return null;
+	const from = start < today ? today : start;
+	const lastDay = addDays(today, horizonDays - 1);
+	const to = end > lastDay ? lastDay : end;
+	return from <= to ? { startDate: from, endDate: to } : null;
+};
+
+/**
+ * Folds pending changes into one recompute per hotel. A change without rooms
+ * widens the hotel's recompute to every room.
+ */
+const mergeAriChanges = (changes = [], { today = ariTodayKey() } = {}) => {
+	const byHotel = new Map();
+	changes.forEach((change) => {
+		const hotelId = normalizeId(change.hotelId);
+		if (!hotelId) return;
+		if (!byHotel.has(hotelId)) {
+			byHotel.set(hotelId, { hotelId, roomIds: new Set(), allRooms: false, startDate: "", endDate: "", changeIds: [] });
+		}
+		const entry = byHotel.get(hotelId);
+		entry.changeIds.push(change._id);
+		const range = clampAriRange(change, { today });
+		if (!range) return;
+		const roomIds = (change.roomIds || []).map(normalizeId).filter(Boolean);
+		if (!roomIds.length) entry.allRooms = true;
+		roomIds.forEach((roomId) => entry.roomIds.add(roomId));
+		entry.startDate = !entry.startDate || range.startDate < entry.startDate ? range.startDate : entry.startDate;
+		entry.endDate = range.endDate > entry.endDate ? range.endDate : entry.endDate;
+	});
+	return [...byHotel.values()].map((entry) => ({
+		hotelId: entry.hotelId,
+		roomIds: entry.allRooms ? null : [...entry.roomIds],
+		startDate: entry.startDate,
+		endDate: entry.endDate,
+		changeIds: entry.changeIds,
+	}));
+};
+
+/**
+ * Sellable availability and public rate per room and date. Availability is
+ * what the inventory calendar leaves after bookings and allotment holds; a
+ * blocked calendar date is sold out and keeps its last rate on the channel.
+ */
+const buildAriDays = ({ rooms = [], inventoryDays = [], dates = [], hotelCommission = 10 } = {}) => {
+	const inventoryByDate = new Map(inventoryDays.map((day) => [dayKey(day?.date), day]));
+	const result = new Map();
+	rooms.forEach((room) => {
+		const roomId = normalizeId(room._id);
+		const key = inventoryRoomKey(room);
+		const days = new Map();
+		dates.forEach((date) => {
+			const pricing = currentRoomPrice(room, date, { hotelCommission });
+			const cell = inventoryByDate.get(date)?.rooms?.[key];
+			days.set(date, {
+				availability: pricing.blocked ? 0 : Math.max(Number(cell?.available) || 0, 0),
+				price: pricing.blocked ? null : pricing.price,
+			});
+		});
+		result.set(roomId, days);
+	});
+	return result;
+};
+
+const ariStateKey = (externalRoomCode, date) => `${externalRoomCode}\u0000${date}`;
+
+/**
+ * What each channel date was last told, from ledger rows in creation order.
+ * Failed rows are left out so their dates are sent again on the next change.
+ */
+const buildLastKnownAri = (deliveries = []) => {
+	const known = new Map();
+	[...deliveries]
+		.filter((row) => row.status === "queued" || row.status === "delivered")
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+		.forEach((row) => {
+			for (let date = row.startDate; date <= row.endDate; date = addDays(date, 1)) {
+				const previous = known.get(ariStateKey(row.externalRoomCode, date)) || {};
+				known.set(ariStateKey(row.externalRoomCode, date), {
+					availability: row.availability ?? previous.availability ?? null,
+					price: row.price ?? previous.price ?? null,
+				});
+			}
+		});
+	return known;
+};
+
+/**
+ * The per-date delta for one channel: only dates whose availability or rate
+ * differs from what the channel last received, merged into ranges of equal
+ * consecutive days. ARI kinds the adapter does not accept are left out.
+ */
+const planAriDeliveries = ({
+	hotelId,
+	channelManager,
+	supports = {},
+	codesByRoom = new Map(),
+	ariDays = new Map(),
+	lastKnown = new Map(),
+} = {}) => {
+	const rows = [];
+	ariDays.forEach((days, roomId) => {
+		(codesByRoom.get(roomId) || []).forEach((externalRoomCode) => {
+			let current = null;
+			[...days.keys()].sort().forEach((date) => {
+				const value = days.get(date);
+				const availability = supports.availability ? value.availability : null;
+				const price = supports.rates ? value.price : null;
+				const previous = lastKnown.get(ariStateKey(externalRoomCode, date)) || {};
+				const changed =
+					(availability !== null && availability !== previous.availability) ||
+					(price !== null && price !== previous.price);
+				if (!changed) {
+					current = null;
+					return;
+				}
+				if (
+					current &&
+					addDays(current.endDate, 1) === date &&
+					current.availability === availability &&
+					current.price === price
+				) {
+					current.endDate = date;
+					return;
+				}
+				current = {
+					hotelId,
+					channelManager,
+					roomId,
+					externalRoomCode,
+					startDate: date,
+					endDate: date,
+					availability,
+					price,
+				};
+				rows.push(current);
+			});
+		});
+	});
+	return rows;
+};
+
+const ariRetryDelayMs = (attempts) => Math.min(30 * 1000 * 2 ** Math.max(attempts - 1, 0), 60 * 60 * 1000);
+
+const isRetryableAriError = (error) =>
+	error instanceof ChannelManagerError ? error.retryable === true : error?.retryable !== false;
+
+/**
+ * Channel managers that take ARI for this hotel, each with a lookup from
+ * local room ids to its room codes. HotelRunner needs its integration and
+ * ARI gates on; the simulator is opt-in through CHANNEL_SIMULATOR_ARI_ENABLED.
+ */
+const resolveAriChannels = async (hotelId, dependencies = {}) => {
+	if (typeof dependencies.resolveChannels === "function") {
+		return dependencies.resolveChannels(hotelId);
+	}
+	const env = dependencies.env || process.env;
+	const channels = [];
+	const config = dependencies.hotelRunnerConfig || getHotelRunnerConfig(env);
+	if (
+		config?.integrationEnabled === true &&
+		config.configured &&
+		config.ariPushEnabled === true &&
+		String(config.hotelId || "") === String(hotelId)
+	) {
+		channels.push({
+			adapter: createHotelRunnerChannelAdapter({ config, hotelId }),
+			loadCodes: (roomIds) =>
+				loadHotelRunnerInvCodes({ hotelId, roomIds }, { MappingModel: dependencies.MappingModel }),
+		});
+	}
+	if (String(env.CHANNEL_SIMULATOR_ARI_ENABLED || "").toLowerCase() === "true") {
+		channels.push({
+			adapter: createChannelSimulatorAdapter({ hotelId }),
+			loadCodes: async (roomIds) => new Map(roomIds.map((roomId) => [roomId, [roomId]])),
+		});
+	}
+	return channels;
+};
+
+const loadInventoryDays = async (hotelId, startDate, endDate) => {
+	// Required lazily: the inventory controller loads the reservation model,
+	// whose change hooks load this service.
+	const { buildHotelInventoryCalendarPayload } = require("../controllers/hotel_inventory");
+	const payload = await buildHotelInventoryCalendarPayload(hotelId, {
+		start: startDate,
+		end: endDate,
+		includeHistoricalReservations: true,
+	});
+	return payload.days || [];
+};
+
+const normalizeCaptureRoomIds = (roomIds = []) =>
+	[...new Set((Array.isArray(roomIds) ? roomIds : []).map(normalizeId))].filter((roomId) =>
+		mongoose.Types.ObjectId.isValid(roomId)
+	);
+
+/**
+ * Records that availability or rates may have changed. Capturing is cheap and
+ * never computes anything; the ARI push job does the work. Nothing is
+ * recorded while ARI_PUSH_ENABLED is off.
+ */
+const captureAriChange = async (
+	{ hotelId, roomIds = [], startDate, endDate, source, sourceId = "" } = {},
+	{ ChangeModel = AriChange, env = process.env } = {}
+) => {
+	if (!isAriPushEnabled(env)) return null;
+	const id = normalizeId(hotelId);
+	const range = clampAriRange({ startDate, endDate });
+	if (!mongoose.Types.ObjectId.isValid(id) || !range) return null;
+	return ChangeModel.create({
+		hotelId: id,
+		roomIds: normalizeCaptureRoomIds(roomIds),
+		...range,
+		source,
+		sourceId: normalizeId(sourceId),
+	});
+};
+
+// Capture runs after the business write committed and must never fail it.
+const captureAriChangeSafely = (change, dependencies) =>
+	Promise.resolve()
+		.then(() => captureAriChange(change, dependencies))
+		.catch((error) => {
+			console.error("[ari-push] change capture failed:", error?.message || error);
+			return null;
+		});
+
+/**
+ * One capture per hotel for calendar rows written by a save:
+ * entries are `{ hotelId, roomId, dates }`.
+ */
+const captureCalendarAriChangesSafely = (entries = [], { source = "calendar_pricing", sourceId = "" } = {}) => {
+	const byHotel = new Map();
+	entries.forEach(({ hotelId, roomId, dates = [] }) => {
+		const keys = dates.map(dayKey).filter(Boolean).sort();
+		const id = normalizeId(hotelId);
+		if (!id || !keys.length) return;
+		const entry = byHotel.get(id) || { roomIds: new Set(), startDate: keys[0], endDate: keys[keys.length - 1] };
+		if (roomId) entry.roomIds.add(normalizeId(roomId));
+		if (keys[0] < entry.startDate) entry.startDate = keys[0];
+		if (keys[keys.length - 1] > entry.endDate) entry.endDate = keys[keys.length - 1];
+		byHotel.set(id, entry);
+	});
+	return Promise.all(
+		[...byHotel.entries()].map(([hotelId, entry]) =>
+			captureAriChangeSafely({
+				hotelId,
+				roomIds: [...entry.roomIds],
+				startDate: entry.startDate,
+				endDate: entry.endDate,
+				source,
+				sourceId,
+			})
+		)
+	);
+};
+
+// Whole-hotel capture for edits that replace the room setup at once.
+const captureHotelAriChangeSafely = (hotelId, { source = "calendar_pricing", sourceId = "" } = {}) => {
+	const today = ariTodayKey();
+	return captureAriChangeSafely({
+		hotelId,
+		startDate: today,
+		endDate: addDays(today, ARI_HORIZON_DAYS - 1),
+		source,
+		sourceId,
+	});
+};
+
+/**
+ * A saved price variant re-derives the agent calendar rows linked to it, so
+ * its rooms are recomputed over its dates, or over the whole horizon for a
+ * variant without its own period. Dates whose public rate did not move
+ * produce no delivery.
+ */
+const capturePriceVariantAriChangeSafely = (doc = {}) => {
+	const dates = [...(doc.dates || []), doc.startDate, doc.endDate].map(dayKey).filter(Boolean).sort();
+	const today = ariTodayKey();
+	const range = dates.length
+		? { startDate: dates[0], endDate: dates[dates.length - 1] }
+		: { startDate: today, endDate: addDays(today, ARI_HORIZON_DAYS - 1) };
+	const roomsByHotel = new Map((doc.hotelIds || []).map((hotelId) => [normalizeId(hotelId), []]));
+	(doc.roomSelections || []).forEach((room) => {
+		const hotelId = normalizeId(room.hotelId);
+		if (!roomsByHotel.has(hotelId)) roomsByHotel.set(hotelId, []);
+		roomsByHotel.get(hotelId).push(room.roomId);
+	});
+	return Promise.all(
+		[...roomsByHotel.entries()].map(([hotelId, roomIds]) =>
+			captureAriChangeSafely({
+				hotelId,
+				roomIds,
+				...range,
+				source: "price_variant",
+				sourceId: doc._id,
+			})
+		)
+	);
+};
+
+const reservationAriPathsTouched = (update = {}) => {
+	const roots = new Set();
+	Object.entries(update || {}).forEach(([key, value]) => {
+		if (key.startsWith("$")) {
+			Object.keys(value || {}).forEach((path) => roots.add(path.split(".")[0]));
+		} else {
+			roots.add(key.split(".")[0]);
+		}
+	});
+	return RESERVATION_ARI_PATHS.some((path) => roots.has(path));
+};
+
+/**
+ * Captures the nights a reservation covers, before and after the change,
+ * so released nights are pushed back to the channels too. Every room of the
+ * hotel is recomputed because bookings are counted by room type.
+ */
+const captureReservationAriChangeSafely = (stays = [], { source = "reservation_updated", sourceId = "" } = {}) => {
+	const byHotel = new Map();
+	stays.forEach((stay) => {
+		const hotelId = normalizeId(stay?.hotelId);
+		const checkin = dayKey(stay?.checkin_date);
+		const checkout = dayKey(stay?.checkout_date);
+		if (!hotelId || !checkin || !checkout || checkout <= checkin) return;
+		const lastNight = addDays(checkout, -1);
+		const entry = byHotel.get(hotelId) || { startDate: checkin, endDate: lastNight };
+		if (checkin < entry.startDate) entry.startDate = checkin;
+		if (lastNight > entry.endDate) entry.endDate = lastNight;
+		byHotel.set(hotelId, entry);
+	});
+	return Promise.all(
+		[...byHotel.entries()].map(([hotelId, range]) =>
+			captureAriChangeSafely({ hotelId, ...range, source, sourceId })
+		)
+	);
+};
+
+const markChanges = (ChangeModel, changeIds, update) =>
+	ChangeModel.updateMany({ _id: { $in: changeIds } }, update).exec();
+
+/**
+ * Turns pending changes into queued ledger rows: recompute ARI per hotel for
+ * the merged range, compare with what each channel last received and queue
+ * the difference.
+ */
+const processPendingAriChanges = async ({ now = new Date(), logger = console, dependencies = {} } = {}) => {
+	const ChangeModel = dependencies.ChangeModel || AriChange;
+	const DeliveryModel = dependencies.DeliveryModel || AriDelivery;
+	const HotelModel = dependencies.HotelModel || HotelDetails;
+	const loadDays = dependencies.loadInventoryDays || loadInventoryDays;
+	const changes = await ChangeModel.find({ status: "pending" })
+		.sort({ createdAt: 1 })
+		.limit(ARI_CHANGE_BATCH)
+		.lean()
+		.exec();
+	let queued = 0;
+	for (const group of mergeAriChanges(changes, { today: ariTodayKey(now) })) {
+		try {
+			let groupQueued = 0;
+			const channels = group.startDate ? await resolveAriChannels(group.hotelId, dependencies) : [];
+			if (channels.length) {
+				const hotel = await HotelModel.findById(group.hotelId)
+					.select("commission roomCountDetails")
+					.lean()
+					.exec();
+				const rooms = (hotel?.roomCountDetails || []).filter(
+					(room) => !group.roomIds || group.roomIds.includes(normalizeId(room._id))
+				);
+				const dates = [];
+				for (let date = group.startDate; date <= group.endDate; date = addDays(date, 1)) dates.push(date);
+				const ariDays = buildAriDays({
+					rooms,
+					inventoryDays: rooms.length ? await loadDays(group.hotelId, group.startDate, group.endDate) : [],
+					dates,
+					hotelCommission: hotel?.commission,
+				});
+				const roomIds = rooms.map((room) => normalizeId(room._id));
+				for (const { adapter, loadCodes } of channels) {
+					if (!adapter.supports.availability && !adapter.supports.rates) continue;
+					const codesByRoom = await loadCodes(roomIds);
+					const codes = [...codesByRoom.values()].flat();
+					if (!codes.length) continue;
+					const previous = await DeliveryModel.find({
+						hotelId: group.hotelId,
+						channelManager: adapter.key,
+						externalRoomCode: { $in: codes },
+						status: { $in: ["queued", "delivered"] },
+						startDate: { $lte: group.endDate },
+						endDate: { $gte: group.startDate },
+					})
+						.select("externalRoomCode startDate endDate availability price status createdAt")
+						.lean()
+						.exec();
+					const rows = planAriDeliveries({
+						hotelId: group.hotelId,
+						channelManager: adapter.key,
+						supports: adapter.supports,
+						codesByRoom,
+						ariDays,
+						lastKnown: buildLastKnownAri(previous),
+					});
+					if (rows.length) {
+						await DeliveryModel.insertMany(
+							rows.map((row) => ({ ...row, nextAttemptAt: now, changeIds: group.changeIds }))
+						);
+					}
+					groupQueued += rows.length;
+				}
+			}
+			queued += groupQueued;
+			await markChanges(ChangeModel, group.changeIds, {
+				$set: { status: "processed", processedAt: now, deliveriesQueued: groupQueued, lastError: "" },
+			});
+		} catch (error) {
+			logger.error(`[ari-push] Could not process changes for hotel ${group.hotelId}:`, error?.message || error);
+			await markChanges(ChangeModel, group.changeIds, {
+				$inc: { attempts: 1 },
+				$set: { lastError: String(error?.message || error).slice(0, 500) },
+			});
+			await ChangeModel.updateMany(
+				{ _id: { $in: group.changeIds }, attempts: { $gte: ARI_CHANGE_MAX_ATTEMPTS } },
+				{ $set: { status: "failed" } }
+			).exec();
+		}
+	}
+	return { changes: changes.length, queued };
+};
+
+/**
+ * Sends queued ledger rows, one channel queue per hotel and channel manager,
+ * oldest first and in batches. A row waiting for its retry holds back the
+ * rows behind it so dates are never sent out of order.
+ */
+const deliverQueuedAri = async ({ now = new Date(), logger = console, dependencies = {} } = {}) => {
+	const DeliveryModel = dependencies.DeliveryModel || AriDelivery;
+	const queuedRows = await DeliveryModel.find({ status: "queued" })
+		.sort({ createdAt: 1, _id: 1 })
+		.limit(ARI_BATCH_SIZE * 20)
+		.lean()
+		.exec();
+	const queues = new Map();
+	queuedRows.forEach((row) => {
+		const key = `${row.channelManager}\u0000${normalizeId(row.hotelId)}`;
+		if (!queues.has(key)) queues.set(key, []);
+		queues.get(key).push(row);
+	});
+	const channelsByHotel = new Map();
+	const summary = { delivered: 0, retrying: 0, failed: 0, waiting: 0 };
+
+	for (const rows of queues.values()) {
+		const ready = [];
+		for (const row of rows) {
+			if (ready.length >= ARI_BATCH_SIZE || new Date(row.nextAttemptAt) > now) break;
+			ready.push(row);
+		}
+		if (!ready.length) {
+			summary.waiting += rows.length;
+			continue;
+		}
+		const hotelId = normalizeId(ready[0].hotelId);
+		if (!channelsByHotel.has(hotelId)) {
+			channelsByHotel.set(hotelId, await resolveAriChannels(hotelId, dependencies));
+		}
+		const channel = channelsByHotel.get(hotelId).find(({ adapter }) => adapter.key === ready[0].channelManager);
+		if (!channel) {
+			// The channel was switched off; keep its queue for when it returns.
+			summary.waiting += rows.length;
+			continue;
+		}
+
+		let accepted = ready.length;
+		let failure = null;
+		try {
+			await channel.adapter.pushAri(
+				ready.map((row) => ({
+					externalRoomCode: row.externalRoomCode,
+					startDate: row.startDate,
+					endDate: row.endDate,
+					availability: row.availability,
+					price: row.price,
+				}))
+			);
+		} catch (error) {
+			accepted = Math.min(Math.max(Number(error?.accepted) || 0, 0), ready.length);
+			failure = error;
+		}
+
+		if (accepted) {
+			await DeliveryModel.updateMany(
+				{ _id: { $in: ready.slice(0, accepted).map((row) => row._id) } },
+				{ $set: { status: "delivered", deliveredAt: now }, $inc: { attempts: 1 } }
+			).exec();
+			summary.delivered += accepted;
+		}
+		if (!failure) continue;
+
+		const failed = ready[accepted];
+		const attempts = (Number(failed.attempts) || 0) + 1;
+		const retry = isRetryableAriError(failure) && attempts < ARI_MAX_ATTEMPTS;
+		await DeliveryModel.updateOne(
+			{ _id: failed._id },
+			{
+				$set: {
+					attempts,
+					status: retry ? "queued" : "failed",
+					nextAttemptAt: retry ? new Date(now.getTime() + ariRetryDelayMs(attempts)) : failed.nextAttemptAt,
+					lastError: {
+						code: String(failure?.code || "ARI_PUSH_FAILED"),
+						message: String(failure?.message || failure).slice(0, 500),
+						at: now,
+					},
+				},
+			}
+		).exec();
+		summary[retry ? "retrying" : "failed"] += 1;
+		logger.error(
+			`[ari-push] ${failed.channelManager} rejected ${failed.externalRoomCode} ${failed.startDate}..${failed.endDate}:`,
+			failure?.code || failure?.message || failure
+		);
+	}
+	return summary;
+};
+
+const startAriPushJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			const processed = await processPendingAriChanges({ logger });
+			const delivered = await deliverQueuedAri({ logger });
+			if (processed.queued || delivered.delivered || delivered.failed) {
+				logger.log(
+					`[ari-push] Queued ${processed.queued} and delivered ${delivered.delivered} ARI updates (${delivered.failed} failed).`
+				);
+			}
+		} catch (error) {
+			logger.error("[ari-push] Job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+module.exports = {
+	ARI_HORIZON_DAYS,
+	ARI_MAX_ATTEMPTS,
+	RESERVATION_ARI_PATHS,
+	ariRetryDelayMs,
+	buildAriDays,
+	buildLastKnownAri,
+	captureAriChange,
+	captureAriChangeSafely,
+	captureCalendarAriChangesSafely,
+	captureHotelAriChangeSafely,
+	capturePriceVariantAriChangeSafely,
+	captureReservationAriChangeSafely,
+	clampAriRange,
+	deliverQueuedAri,
+	isAriPushEnabled,
+	mergeAriChanges,
+	planAriDeliveries,
+	processPendingAriChanges,
+	reservationAriPathsTouched,
+	resolveAriChannels,
+	startAriPushJob,
+};
@@ -0,0 +1,372 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { ChannelManagerError, defineChannelManagerAdapter } = require("./channelManagerAdapter");
+const { createChannelSimulatorAdapter } = require("./channelSimulatorAdapter");
+const {
+	ARI_MAX_ATTEMPTS,
+	ariRetryDelayMs,
+	buildAriDays,
+	buildLastKnownAri,
+	captureAriChange,
+	clampAriRange,
+	deliverQueuedAri,
+	mergeAriChanges,
+	planAriDeliveries,
+	processPendingAriChanges,
+	reservationAriPathsTouched,
+} = require("./ariPush");
+
+const hotelId = "65a000000000000000000001";
+const doubleId = "65a0000000000000000000d1";
+const tripleId = "65a0000000000000000000d2";
+const now = new Date("2027-02-01T09:00:00.000Z");
+const quietLogger = { log() {}, error() {} };
+
+const valueAt = (doc, key) => key.split(".").reduce((value, part) => value?.[part], doc);
+
+const matches = (doc, query = {}) =>
+	Object.entries(query).every(([key, condition]) => {
+		const value = valueAt(doc, key);
+		if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+			return Object.entries(condition).every(([operator, operand]) => {
+				if (operator === "$in") return operand.map(String).includes(String(value));
+				if (operator === "$lte") return value <= operand;
+				if (operator === "$gte") return value >= operand;
+				throw new Error(`Unsupported operator ${operator}`);
+			});
+		}
+		return String(value) === String(condition);
+	});
+
+const applyUpdate = (doc, update) => {
+	Object.entries(update.$set || {}).forEach(([key, value]) => {
+		doc[key] = value;
+	});
+	Object.entries(update.$inc || {}).forEach(([key, value]) => {
+		doc[key] = (doc[key] || 0) + value;
+	});
+};
+
+// Just enough of a mongoose model for the queries the ARI pipeline makes.
+const memoryModel = (defaults = {}) => {
+	const docs = [];
+	let sequence = 0;
+	const query = (rows) => {
+		let result = rows;
+		const chain = {
+			select: () => chain,
+			lean: () => chain,
+			sort: () => chain,
+			limit: (count) => {
+				result = result.slice(0, count);
+				return chain;
+			},
+			exec: async () => (Array.isArray(result) ? result.map((doc) => ({ ...doc })) : result && { ...result }),
+		};
+		return chain;
+	};
+	const done = (value) => ({ exec: async () => value });
+	const create = (input) => {
+		sequence += 1;
+		const doc = {
+			...defaults,
+			...input,
+			_id: `row-${sequence}`,
+			createdAt: new Date(now.getTime() + sequence),
+		};
+		docs.push(doc);
+		return { ...doc };
+	};
+	return {
+		docs,
+		find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+		findById: (id) => query(docs.find((doc) => String(doc._id) === String(id)) || null),
+		create: async (input) => create(input),
+		insertMany: async (rows) => rows.map(create),
+		updateMany: (filter, update) => {
+			docs.filter((doc) => matches(doc, filter)).forEach((doc) => applyUpdate(doc, update));
+			return done({});
+		},
+		updateOne: (filter, update) => {
+			const doc = docs.find((item) => matches(item, filter));
+			if (doc) applyUpdate(doc, update);
+			return done({});
+		},
+	};
+};
+
+const hotelModel = (rooms) => ({
+	findById: () => ({
+		select: () => ({ lean: () => ({ exec: async () => ({ _id: hotelId, commission: 10, roomCountDetails: rooms }) }) }),
+	}),
+});
+
+const simulatorChannel = (t) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ari-push-"));
+	t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+	const adapter = createChannelSimulatorAdapter({ directory, hotelId, now: () => now });
+	return {
+		adapter,
+		loadCodes: async (roomIds) => new Map(roomIds.map((roomId) => [roomId, [roomId === doubleId ? "DBL" : "TPL"]])),
+	};
+};
+
+const inventoryDays = (available) => async (id, startDate, endDate) => {
+	const days = [];
+	for (let date = startDate; date <= endDate; ) {
+		days.push({ date, rooms: { "double room": { available: available(date) } } });
+		const next = new Date(`${date}T00:00:00.000Z`);
+		next.setUTCDate(next.getUTCDate() + 1);
+		date = next.toISOString().slice(0, 10);
+	}
+	return days;
+};
+
+test("captured ranges are clamped to the sellable horizon and merged per hotel", async () => {
+	assert.deepEqual(clampAriRange({ startDate: "2027-01-20", endDate: "2027-02-03" }, { today: "2027-02-01" }), {
+		startDate: "2027-02-01",
+		endDate: "2027-02-03",
+	});
+	assert.equal(clampAriRange({ startDate: "2027-01-20", endDate: "2027-01-31" }, { today: "2027-02-01" }), null);
+	assert.equal(
+		clampAriRange({ startDate: "2028-06-01" }, { today: "2027-02-01", horizonDays: 365 }),
+		null
+	);
+
+	const merged = mergeAriChanges(
+		[
+			{ _id: "c1", hotelId, roomIds: [doubleId], startDate: "2027-02-05", endDate: "2027-02-06" },
+			{ _id: "c2", hotelId, roomIds: [tripleId], startDate: "2027-02-03", endDate: "2027-02-04" },
+			{ _id: "c3", hotelId: "65a000000000000000000002", roomIds: [], startDate: "2027-02-10", endDate: "2027-02-10" },
+			{ _id: "c4", hotelId, roomIds: [doubleId], startDate: "2026-12-01", endDate: "2026-12-02" },
+		],
+		{ today: "2027-02-01" }
+	);
+	assert.deepEqual(merged, [
+		{ hotelId, roomIds: [doubleId, tripleId], startDate: "2027-02-03", endDate: "2027-02-06", changeIds: ["c1", "c2", "c4"] },
+		{ hotelId: "65a000000000000000000002", roomIds: null, startDate: "2027-02-10", endDate: "2027-02-10", changeIds: ["c3"] },
+	]);
+
+	const ChangeModel = memoryModel();
+	assert.equal(await captureAriChange({ hotelId, startDate: "2027-02-05" }, { ChangeModel, env: {} }), null);
+	const change = await captureAriChange(
+		{ hotelId, roomIds: [doubleId, "not-an-id", doubleId], startDate: "2099-02-05", source: "manual" },
+		{ ChangeModel, env: { ARI_PUSH_ENABLED: "true" } }
+	);
+	assert.equal(change, null);
+	const kept = await captureAriChange(
+		{ hotelId, roomIds: [doubleId, "not-an-id", doubleId], startDate: "2020-01-01", endDate: "2099-01-01", source: "manual" },
+		{ ChangeModel, env: { ARI_PUSH_ENABLED: "true" } }
+	);
+	assert.deepEqual(kept.roomIds, [doubleId]);
+	assert.ok(kept.startDate > "2020-01-01" && kept.endDate < "2099-01-01");
+
+	assert.equal(reservationAriPathsTouched({ $set: { checkout_date: "2027-02-08" } }), true);
+	assert.equal(reservationAriPathsTouched({ $set: { "pickedRoomsType.0.count": 2 } }), true);
+	assert.equal(reservationAriPathsTouched({ $set: { guestNote: "late arrival" } }), false);
+	assert.equal(reservationAriPathsTouched({ reservation_status: "cancelled" }), true);
+});
+
+test("only dates that differ from what the channel last received are planned", () => {
+	const rooms = [
+		{
+			_id: doubleId,
+			displayName: "Double Room",
+			price: { basePrice: 400 },
+			pricingRate: [
+				{ calendarDate: "2027-02-04", price: 450 },
+				{ calendarDate: "2027-02-05", blocked: true },
+			],
+		},
+	];
+	const dates = ["2027-02-02", "2027-02-03", "2027-02-04", "2027-02-05", "2027-02-06"];
+	const ariDays = buildAriDays({
+		rooms,
+		dates,
+		inventoryDays: dates.map((date) => ({ date, rooms: { "double room": { available: date === "2027-02-06" ? 0 : 5 } } })),
+	});
+	assert.deepEqual([...ariDays.get(doubleId).values()], [
+		{ availability: 5, price: 400 },
+		{ availability: 5, price: 400 },
+		{ availability: 5, price: 450 },
+		{ availability: 0, price: null },
+		{ availability: 0, price: 400 },
+	]);
+
+	const lastKnown = buildLastKnownAri([
+		{ externalRoomCode: "DBL", startDate: "2027-02-02", endDate: "2027-02-06", availability: 3, price: 400, status: "delivered", createdAt: "2027-01-30" },
+		{ externalRoomCode: "DBL", startDate: "2027-02-03", endDate: "2027-02-03", availability: 2, price: null, status: "queued", createdAt: "2027-01-31" },
+		{ externalRoomCode: "DBL", startDate: "2027-02-02", endDate: "2027-02-02", availability: 9, price: 999, status: "failed", createdAt: "2027-01-31" },
+	]);
+	assert.deepEqual(lastKnown.get("DBL\u00002027-02-03"), { availability: 2, price: 400 });
+	assert.deepEqual(lastKnown.get("DBL\u00002027-02-02"), { availability: 3, price: 400 });
+
+	const codesByRoom = new Map([[doubleId, ["DBL"]]]);
+	const planned = planAriDeliveries({
+		hotelId,
+		channelManager: "simulator",
+		supports: { availability: true, rates: true },
+		codesByRoom,
+		ariDays,
+		lastKnown,
+	});
+	assert.deepEqual(
+		planned.map(({ startDate, endDate, availability, price }) => ({ startDate, endDate, availability, price })),
+		[
+			{ startDate: "2027-02-02", endDate: "2027-02-03", availability: 5, price: 400 },
+			{ startDate: "2027-02-04", endDate: "2027-02-04", availability: 5, price: 450 },
+			{ startDate: "2027-02-05", endDate: "2027-02-05", availability: 0, price: null },
+			{ startDate: "2027-02-06", endDate: "2027-02-06", availability: 0, price: 400 },
+		]
+	);
+	// A blocked night sends no rate, so a rates-only channel skips it.
+	const ratesOnly = planAriDeliveries({
+		hotelId,
+		channelManager: "ratesonly",
+		supports: { rates: true },
+		codesByRoom,
+		ariDays,
+		lastKnown,
+	});
+	assert.deepEqual(
+		ratesOnly.map(({ startDate, availability, price }) => ({ startDate, availability, price })),
+		[{ startDate: "2027-02-04", availability: null, price: 450 }]
+	);
+	assert.equal(
+		planAriDeliveries({ hotelId, channelManager: "x", supports: { availability: true, rates: true }, ariDays }).length,
+		0
+	);
+});
+
+test("pending changes become ledger rows that reach the simulator in order", async (t) => {
+	const channel = simulatorChannel(t);
+	const rooms = [
+		{ _id: doubleId, displayName: "Double Room", price: { basePrice: 400 } },
+		{ _id: tripleId, displayName: "Triple Room", price: { basePrice: 0 } },
+	];
+	const dependencies = {
+		ChangeModel: memoryModel({ status: "pending", attempts: 0 }),
+		DeliveryModel: memoryModel({ status: "queued", attempts: 0 }),
+		HotelModel: hotelModel(rooms),
+		loadInventoryDays: inventoryDays(() => 4),
+		resolveChannels: async () => [channel],
+	};
+	await dependencies.ChangeModel.create({ hotelId, roomIds: [], startDate: "2027-02-02", endDate: "2027-02-04", source: "manual" });
+
+	assert.deepEqual(await processPendingAriChanges({ now, logger: quietLogger, dependencies }), { changes: 1, queued: 2 });
+	assert.equal(dependencies.ChangeModel.docs[0].status, "processed");
+	assert.equal(dependencies.ChangeModel.docs[0].deliveriesQueued, 2);
+	assert.deepEqual(await deliverQueuedAri({ now, logger: quietLogger, dependencies }), {
+		delivered: 2,
+		retrying: 0,
+		failed: 0,
+		waiting: 0,
+	});
+	let state = await channel.adapter.readState();
+	assert.deepEqual(state.inventory.DBL["2027-02-03"], { availability: 4, price: 400 });
+	// The triple room has no rate, but its availability is still sent.
+	assert.deepEqual(state.inventory.TPL["2027-02-03"], { availability: 0 });
+
+	// A booking on the 3rd only sends that night; nothing changes on a replay.
+	dependencies.loadInventoryDays = inventoryDays((date) => (date === "2027-02-03" ? 3 : 4));
+	await dependencies.ChangeModel.create({ hotelId, startDate: "2027-02-03", endDate: "2027-02-03", source: "reservation_created" });
+	await dependencies.ChangeModel.create({ hotelId, startDate: "2027-02-02", endDate: "2027-02-04", source: "manual" });
+	assert.deepEqual(await processPendingAriChanges({ now, logger: quietLogger, dependencies }), { changes: 2, queued: 1 });
+	await deliverQueuedAri({ now, logger: quietLogger, dependencies });
+	await dependencies.ChangeModel.create({ hotelId, startDate: "2027-02-02", endDate: "2027-02-04", source: "manual" });
+	assert.deepEqual(await processPendingAriChanges({ now, logger: quietLogger, dependencies }), { changes: 1, queued: 0 });
+
+	state = await channel.adapter.readState();
+	assert.equal(state.inventory.DBL["2027-02-03"].availability, 3);
+	assert.equal(state.inventory.DBL["2027-02-04"].availability, 4);
+	assert.deepEqual(
+		state.ariLog.map(({ startDate, endDate, availability }) => [startDate, endDate, availability]),
+		[
+			["2027-02-02", "2027-02-04", 4],
+			["2027-02-02", "2027-02-04", 0],
+			["2027-02-03", "2027-02-03", 3],
+		]
+	);
+});
+
+test("failed pushes back off, keep later rows behind them and give up after the last attempt", async () => {
+	const pushed = [];
+	let failNext = null;
+	const adapter = defineChannelManagerAdapter({
+		key: "flaky",
+		supports: { availability: true, rates: true },
+		async pushAri(updates) {
+			for (const [index, update] of updates.entries()) {
+				if (failNext && update.startDate === failNext.startDate) {
+					const error = failNext.error;
+					error.accepted = index;
+					throw error;
+				}
+				pushed.push(update.startDate);
+			}
+		},
+		pullReservations: async () => ({ reservations: [] }),
+		confirmDelivery: async () => ({}),
+	});
+	const DeliveryModel = memoryModel({ status: "queued", attempts: 0, nextAttemptAt: now });
+	const dependencies = { DeliveryModel, resolveChannels: async () => [{ adapter }] };
+	await DeliveryModel.insertMany(
+		["2027-02-02", "2027-02-03", "2027-02-04"].map((date) => ({
+			hotelId,
+			channelManager: "flaky",
+			roomId: doubleId,
+			externalRoomCode: "DBL",
+			startDate: date,
+			endDate: date,
+			availability: 2,
+			price: 400,
+		}))
+	);
+
+	failNext = { startDate: "2027-02-03", error: new ChannelManagerError("busy", "busy", 503, { retryable: true }) };
+	assert.deepEqual(await deliverQueuedAri({ now, logger: quietLogger, dependencies }), {
+		delivered: 1,
+		retrying: 1,
+		failed: 0,
+		waiting: 0,
+	});
+	assert.deepEqual(pushed, ["2027-02-02"]);
+	const [, second] = DeliveryModel.docs;
+	assert.equal(second.status, "queued");
+	assert.equal(second.lastError.code, "busy");
+	assert.equal(second.nextAttemptAt.getTime(), now.getTime() + ariRetryDelayMs(1));
+
+	// Still backing off: the row behind it waits as well.
+	assert.deepEqual(await deliverQueuedAri({ now, logger: quietLogger, dependencies }), {
+		delivered: 0,
+		retrying: 0,
+		failed: 0,
+		waiting: 2,
+	});
+
+	second.attempts = ARI_MAX_ATTEMPTS - 1;
+	const later = new Date(now.getTime() + 60 * 60 * 1000);
+	assert.deepEqual(await deliverQueuedAri({ now: later, logger: quietLogger, dependencies }), {
+		delivered: 0,
+		retrying: 0,
+		failed: 1,
+		waiting: 0,
+	});
+	assert.equal(second.status, "failed");
+
+	// Once the head row has failed, the rows behind it go out.
+	failNext = null;
+	assert.deepEqual(await deliverQueuedAri({ now: later, logger: quietLogger, dependencies }), {
+		delivered: 1,
+		retrying: 0,
+		failed: 0,
+		waiting: 0,
+	});
+	assert.deepEqual(pushed, ["2027-02-02", "2027-02-04"]);
+	assert.ok(ariRetryDelayMs(20) <= 60 * 60 * 1000);
+});
@@ -0,0 +1,446 @@
+"use strict";
+
+const crypto = require("crypto");
+const sgMail = require("@sendgrid/mail");
+const UncompleteReservations = require("../models/Uncompleted");
+const Reservations = require("../models/reservations");
+const { BookingRecoveryEmail } = require("../controllers/assets");
+const { waSendBookingRecoveryReminder } = require("../controllers/whatsappsender");
+
+if (process.env.SENDGRID_API_KEY) {
+	sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+// Reminder n goes out DEFAULT_DELAYS_MINUTES[n] after the guest last touched
+// the booking form; BOOKING_RECOVERY_DELAYS_MINUTES overrides the list.
+const DEFAULT_DELAYS_MINUTES = [60, 24 * 60];
+// Older abandoned bookings are left alone. Bookings tracked while recovery
+// was off carry no `recovery` state and are never chased.
+const MAX_AGE_DAYS = 7;
+const BATCH_SIZE = 100;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 90 * 1000;
+
+class BookingRecoveryError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "BookingRecoveryError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const isBookingRecoveryEnabled = (env = process.env) =>
+	String(env.BOOKING_RECOVERY_ENABLED || "").toLowerCase() === "true";
+
+const recoveryDelaysMinutes = (env = process.env) => {
+	const configured = String(env.BOOKING_RECOVERY_DELAYS_MINUTES || "")
+		.split(",")
+		.map((value) => Number(value.trim()))
+		.filter((value) => Number.isFinite(value) && value > 0);
+	return (configured.length ? configured : DEFAULT_DELAYS_MINUTES).sort((a, b) => a - b);
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (value) => String(value || "").trim().toLowerCase();
+const normalizePhone = (value) => String(value || "").trim();
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const resumeUrlFor = (token, env = process.env) =>
+	`${env.CLIENT_URL || ""}/resume-booking?token=${encodeURIComponent(token)}`;
+
+const delayAfter = (from, minutes) => new Date(new Date(from).getTime() + minutes * MINUTE_MS);
+
+/**
+ * Recovery state after the guest touched the booking form: the reminder
+ * clock restarts from now, while the resume token and the reminders
+ * already sent are kept.
+ */
+const touchRecoveryState = (recovery = null, { now = new Date(), delays = recoveryDelaysMinutes() } = {}) => {
+	if (recovery && recovery.status !== "pending") return recovery;
+	const remindersSent = Number(recovery?.remindersSent || 0);
+	return {
+		status: "pending",
+		token: recovery?.token || crypto.randomBytes(24).toString("hex"),
+		abandonedAt: now,
+		remindersSent,
+		nextReminderAt: remindersSent < delays.length ? delayAfter(now, delays[remindersSent]) : null,
+		lastReminderAt: recovery?.lastReminderAt || null,
+		reminders: recovery?.reminders || [],
+		resumeCount: Number(recovery?.resumeCount || 0),
+		resumedAt: recovery?.resumedAt || null,
+	};
+};
+
+/**
+ * Whether an abandoned booking gets a reminder now. Only bookings that were
+ * tracked while recovery was on (they carry `recovery`) are considered.
+ */
+const recoveryStepFor = (uncompleted = {}, { now = new Date(), delays = recoveryDelaysMinutes() } = {}) => {
+	const recovery = uncompleted.recovery || null;
+	if (uncompleted.reservation_status && uncompleted.reservation_status !== "uncomplete") {
+		return { due: false, reason: "closed" };
+	}
+	if (!recovery) return { due: false, reason: "not_tracked" };
+	if (recovery.status !== "pending") return { due: false, reason: recovery.status };
+	const created = new Date(uncompleted.createdAt || now);
+	if (now.getTime() - created.getTime() > MAX_AGE_DAYS * 24 * 60 * MINUTE_MS) {
+		return { due: false, reason: "too_old", status: "expired" };
+	}
+	const checkin = uncompleted.checkin_date ? new Date(uncompleted.checkin_date) : null;
+	if (!checkin || Number.isNaN(checkin.getTime()) || checkin.getTime() < now.getTime() - 24 * 60 * MINUTE_MS) {
+		return { due: false, reason: "stay_passed", status: "expired" };
+	}
+	const email = normalizeEmail(uncompleted.customer_details?.email);
+	const phone = normalizePhone(uncompleted.customer_details?.phone);
+	if (!email && !phone) return { due: false, reason: "no_contact", status: "stopped" };
+	const step = Number(recovery?.remindersSent || 0);
+	if (step >= delays.length) return { due: false, reason: "done", status: "exhausted" };
+	const abandonedAt = recovery.abandonedAt || created;
+	const dueAt = recovery.nextReminderAt
+		? new Date(recovery.nextReminderAt)
+		: delayAfter(abandonedAt, delays[step]);
+	if (dueAt > now) return { due: false, reason: "not_due", abandonedAt, nextReminderAt: dueAt };
+	return {
+		due: true,
+		step,
+		abandonedAt,
+		nextReminderAt: step + 1 < delays.length ? delayAfter(abandonedAt, delays[step + 1]) : null,
+	};
+};
+
+/**
+ * The reservation that shows an abandoned booking was completed after all:
+ * same hotel, same guest email or phone, made after the guest dropped off.
+ */
+const convertingReservationFilter = (uncompleted = {}) => {
+	const email = normalizeEmail(uncompleted.customer_details?.email);
+	const phone = normalizePhone(uncompleted.customer_details?.phone);
+	const contact = [
+		...(email ? [{ "customer_details.email": { $in: [email, uncompleted.customer_details.email] } }] : []),
+		...(phone ? [{ "customer_details.phone": phone }] : []),
+	];
+	if (!contact.length || !uncompleted.hotelId) return null;
+	return {
+		hotelId: uncompleted.hotelId,
+		createdAt: { $gte: new Date(uncompleted.createdAt || 0) },
+		$or: contact,
+	};
+};
+
+const conversionUpdate = (uncompleted = {}, reservation = {}, now = new Date()) => {
+	const recovery = uncompleted.recovery || {};
+	return {
+		$set: {
+			reservation_status: "converted",
+			"recovery.status": "converted",
+			"recovery.convertedAt": now,
+			"recovery.reservationId": reservation._id,
+			"recovery.confirmationNumber": String(reservation.confirmation_number || ""),
+			"recovery.convertedAmount": Number(reservation.total_amount) || 0,
+			"recovery.recoveredByReminder": Number(recovery.remindersSent || 0) > 0,
+			"recovery.resumedFromLink": Boolean(recovery.resumedAt),
+			"recovery.nextReminderAt": null,
+		},
+	};
+};
+
+const models = (dependencies = {}) => ({
+	UncompletedModel: dependencies.UncompletedModel || UncompleteReservations,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+});
+
+/**
+ * Ties a new reservation back to the guest's abandoned bookings at that hotel.
+ * Called from the reservation model after a booking is first saved.
+ */
+const recordBookingRecoveryConversion = async (reservation = {}, dependencies = {}) => {
+	const { UncompletedModel } = models(dependencies);
+	const email = normalizeEmail(reservation.customer_details?.email);
+	const phone = normalizePhone(reservation.customer_details?.phone);
+	if (!reservation.hotelId || (!email && !phone)) return { converted: 0 };
+	const createdAt = new Date(reservation.createdAt || dependencies.now || Date.now());
+	const open = await UncompletedModel.find({
+		hotelId: reservation.hotelId,
+		reservation_status: "uncomplete",
+		createdAt: { $lte: createdAt },
+		$or: [
+			...(email ? [{ "customer_details.email": { $in: [email, reservation.customer_details.email] } }] : []),
+			...(phone ? [{ "customer_details.phone": phone }] : []),
+		],
+	})
+		.select("_id recovery")
+		.lean();
+	for (const uncompleted of open) {
+		await UncompletedModel.updateOne(
+			{ _id: uncompleted._id, reservation_status: "uncomplete" },
+			conversionUpdate(uncompleted, reservation, dependencies.now || new Date())
+		);
+	}
+	return { converted: open.length };
+};
+
+const recordBookingRecoveryConversionSafely = (reservation, dependencies = {}) => {
+	if (!isBookingRecoveryEnabled()) return;
+	recordBookingRecoveryConversion(reservation, dependencies).catch((error) =>
+		console.error("[booking-recovery] conversion tracking failed:", error?.message || error)
+	);
+};
+
+const sendRecoveryEmail = async (uncompleted, resumeUrl) => {
+	const email = normalizeEmail(uncompleted.customer_details?.email);
+	if (!email) return { status: "skipped", error: "no email" };
+	try {
+		await sgMail.send({
+			to: email,
+			from: "noreply@jannatbooking.com",
+			subject: `Your stay at ${uncompleted.hotelName || "Jannat Booking"} is still waiting`,
+			html: BookingRecoveryEmail({
+				name: uncompleted.customer_details?.name,
+				hotelName: uncompleted.hotelName,
+				checkinDate: uncompleted.checkin_date,
+				checkoutDate: uncompleted.checkout_date,
+				resumeUrl,
+			}),
+		});
+		return { status: "sent", error: "" };
+	} catch (error) {
+		return { status: "failed", error: String(error?.message || error).slice(0, 300) };
+	}
+};
+
+const sendRecoveryWhatsApp = async (uncompleted, resumeUrl) => {
+	try {
+		const result = await waSendBookingRecoveryReminder(uncompleted, resumeUrl);
+		return result?.skipped
+			? { status: "skipped", error: String(result.reason || ""), sid: "" }
+			: { status: "sent", error: "", sid: result?.sid || "" };
+	} catch (error) {
+		return { status: "failed", error: String(error?.message || error).slice(0, 300), sid: "" };
+	}
+};
+
+/**
+ * One recovery pass: closes abandoned bookings that converted or went stale
+ * and sends the reminders that are due.
+ */
+const runBookingRecovery = async ({ now = new Date(), logger = console, dependencies = {} } = {}) => {
+	const { UncompletedModel, ReservationModel } = models(dependencies);
+	const send = {
+		email: dependencies.sendEmail || sendRecoveryEmail,
+		whatsapp: dependencies.sendWhatsApp || sendRecoveryWhatsApp,
+	};
+	const delays = dependencies.delays || recoveryDelaysMinutes();
+	const seenGuests = new Set();
+	const candidates = await UncompletedModel.find({
+		reservation_status: "uncomplete",
+		createdAt: { $gte: new Date(now.getTime() - MAX_AGE_DAYS * 24 * 60 * MINUTE_MS) },
+		"recovery.status": "pending",
+		"recovery.nextReminderAt": { $lte: now },
+	})
+		.select("_id hotelId hotelName customer_details checkin_date checkout_date createdAt updatedAt reservation_status recovery")
+		.sort({ createdAt: -1 })
+		.limit(BATCH_SIZE)
+		.lean();
+
+	const totals = { checked: candidates.length, reminded: 0, converted: 0, closed: 0, failed: 0 };
+	for (const uncompleted of candidates) {
+		try {
+			const filter = convertingReservationFilter(uncompleted);
+			const reservation = filter
+				? await ReservationModel.findOne(filter)
+						.select("_id confirmation_number total_amount")
+						.sort({ createdAt: 1 })
+						.lean()
+				: null;
+			if (reservation) {
+				await UncompletedModel.updateOne(
+					{ _id: uncompleted._id, reservation_status: "uncomplete" },
+					conversionUpdate(uncompleted, reservation, now)
+				);
+				totals.converted += 1;
+				continue;
+			}
+
+			// Only the latest abandoned booking of a guest at a hotel is chased.
+			const guestKey = [
+				normalizeId(uncompleted.hotelId),
+				normalizeEmail(uncompleted.customer_details?.email),
+				normalizePhone(uncompleted.customer_details?.phone),
+			].join("|");
+			if (seenGuests.has(guestKey)) {
+				await UncompletedModel.updateOne(
+					{ _id: uncompleted._id },
+					{ $set: { "recovery.status": "duplicate", "recovery.nextReminderAt": null } }
+				);
+				totals.closed += 1;
+				continue;
+			}
+			seenGuests.add(guestKey);
+
+			const plan = recoveryStepFor(uncompleted, { now, delays });
+			if (!plan.due) {
+				if (plan.status) {
+					await UncompletedModel.updateOne(
+						{ _id: uncompleted._id },
+						{ $set: { "recovery.status": plan.status, "recovery.nextReminderAt": null } }
+					);
+					totals.closed += 1;
+				}
+				continue;
+			}
+
+			const recovery = uncompleted.recovery;
+			const resumeUrl = resumeUrlFor(recovery.token);
+			const whatsapp = await send.whatsapp(uncompleted, resumeUrl);
+			const email = await send.email(uncompleted, resumeUrl);
+			const reminder = { step: plan.step + 1, sentAt: now, whatsapp, email };
+			await UncompletedModel.updateOne(
+				{ _id: uncompleted._id },
+				{
+					$set: {
+						recovery: {
+							...recovery,
+							status: plan.nextReminderAt ? "pending" : "exhausted",
+							remindersSent: plan.step + 1,
+							lastReminderAt: now,
+							nextReminderAt: plan.nextReminderAt,
+							reminders: [...(recovery.reminders || []), reminder],
+						},
+					},
+				}
+			);
+			if (whatsapp.status === "sent" || email.status === "sent") totals.reminded += 1;
+			else totals.failed += 1;
+		} catch (error) {
+			totals.failed += 1;
+			logger.error(`[booking-recovery] ${uncompleted._id} failed:`, error?.message || error);
+		}
+	}
+	return totals;
+};
+
+const startBookingRecoveryJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			const totals = await runBookingRecovery({ logger });
+			if (totals.reminded || totals.converted || totals.failed) {
+				logger.log(
+					`[booking-recovery] Reminded ${totals.reminded}, converted ${totals.converted}, closed ${totals.closed} (${totals.failed} failed).`
+				);
+			}
+		} catch (error) {
+			logger.error("[booking-recovery] Job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+/**
+ * What the booking page needs to pick up where the guest left off. Card and
+ * passport details are never sent back.
+ */
+const resumePayloadFor = (uncompleted = {}) => ({
+	hotelId: uncompleted.hotelId?._id || uncompleted.hotelId,
+	hotelName: uncompleted.hotelId?.hotelName || uncompleted.hotelName || "",
+	hotelNameSlug: uncompleted.hotelId?.hotelNameSlug || "",
+	checkin_date: uncompleted.checkin_date,
+	checkout_date: uncompleted.checkout_date,
+	days_of_residence: uncompleted.days_of_residence,
+	total_rooms: uncompleted.total_rooms,
+	total_guests: uncompleted.total_guests,
+	adults: uncompleted.adults,
+	children: uncompleted.children,
+	total_amount: uncompleted.total_amount,
+	pickedRoomsType: uncompleted.pickedRoomsType || [],
+	customerDetails: {
+		name: uncompleted.customer_details?.name || "",
+		email: uncompleted.customer_details?.email || "",
+		phone: uncompleted.customer_details?.phone || "",
+		nationality: uncompleted.customer_details?.nationality || "",
+	},
+});
+
+/** Looks up an abandoned booking by its resume token and counts the visit. */
+const resumeAbandonedBooking = async (token, { now = new Date() } = {}, dependencies = {}) => {
+	const { UncompletedModel } = models(dependencies);
+	const clean = String(token || "").trim();
+	if (!/^[a-f0-9]{48}$/.test(clean)) {
+		throw new BookingRecoveryError("This booking link is not valid.", "booking_recovery_token_invalid");
+	}
+	const uncompleted = await UncompletedModel.findOneAndUpdate(
+		{ "recovery.token": clean },
+		{ $set: { "recovery.resumedAt": now }, $inc: { "recovery.resumeCount": 1 } },
+		{ new: true }
+	)
+		.populate("hotelId", "_id hotelName hotelNameSlug")
+		.lean();
+	if (!uncompleted) {
+		throw new BookingRecoveryError("This booking link is not valid.", "booking_recovery_token_invalid", 404);
+	}
+	if (uncompleted.reservation_status === "converted") {
+		throw new BookingRecoveryError(
+			"This booking has already been completed.",
+			"booking_recovery_already_converted",
+			409
+		);
+	}
+	return resumePayloadFor(uncompleted);
+};
+
+/**
+ * Report rows per root cause from grouped counts: how many abandoned
+ * bookings were reminded, how many converted and how many of those came
+ * back after a reminder.
+ */
+const recoveryReportRows = (groups = []) =>
+	groups.map((group) => {
+		const reminded = Number(group.reminded || 0);
+		const total = Number(group.total || 0);
+		return {
+			rootCause: group._id || "unknown",
+			total,
+			reminded,
+			converted: Number(group.converted || 0),
+			recovered: Number(group.recovered || 0),
+			recoveredAmount: Math.round(Number(group.recoveredAmount || 0) * 100) / 100,
+			conversionRate: total ? Number((group.converted / total).toFixed(4)) : 0,
+			recoveryRate: reminded ? Number((group.recovered / reminded).toFixed(4)) : 0,
+		};
+	});
+
+module.exports = {
+	BookingRecoveryError,
+	isBookingRecoveryEnabled,
+	recordBookingRecoveryConversion,
+	recordBookingRecoveryConversionSafely,
+	recoveryDelaysMinutes,
+	recoveryReportRows,
+	recoveryStepFor,
+	resumeAbandonedBooking,
+	resumePayloadFor,
+	runBookingRecovery,
+	startBookingRecoveryJob,
+	touchRecoveryState,
+};
@@ -0,0 +1,237 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	isBookingRecoveryEnabled,
+	recordBookingRecoveryConversion,
+	recoveryDelaysMinutes,
+	recoveryReportRows,
+	recoveryStepFor,
+	runBookingRecovery,
+	touchRecoveryState,
+} = require("./bookingRecovery");
+
+const hotelA = "65a000000000000000000001";
+const now = new Date("2027-02-01T12:00:00.000Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+const delays = [60, 1440];
+
+const valueAt = (doc, path) =>
+	path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const conditionMatches = (value, condition) => {
+	if (condition === null) return value === null || value === undefined;
+	if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+	if (condition && typeof condition === "object") {
+		return Object.entries(condition).every(([operator, operand]) => {
+			if (operator === "$in") return operand.some((item) => String(item) === String(value));
+			if (operator === "$lte") return value != null && new Date(value) <= operand;
+			if (operator === "$gte") return value != null && new Date(value) >= operand;
+			throw new Error(`unsupported ${operator}`);
+		});
+	}
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) =>
+		key === "$or"
+			? condition.some((branch) => matches(doc, branch))
+			: conditionMatches(valueAt(doc, key), condition)
+	);
+
+const setPath = (doc, path, value) => {
+	const keys = path.split(".");
+	const last = keys.pop();
+	const target = keys.reduce((node, key) => (node[key] = node[key] || {}), doc);
+	target[last] = value;
+};
+
+// Just enough of a mongoose model for the recovery pass.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => structuredClone(row));
+	const query = (result) => {
+		const chain = {
+			select: () => chain,
+			sort: () => chain,
+			limit: () => chain,
+			lean: () => Promise.resolve(structuredClone(result)),
+		};
+		return chain;
+	};
+	return {
+		docs,
+		find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+		findOne: (filter) => query(docs.find((doc) => matches(doc, filter)) || null),
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) {
+				Object.entries(update.$set || {}).forEach(([path, value]) =>
+					setPath(doc, path, structuredClone(value))
+				);
+			}
+			return { matchedCount: doc ? 1 : 0 };
+		},
+	};
+};
+
+const abandoned = (id, extra = {}) => ({
+	_id: id,
+	hotelId: hotelA,
+	hotelName: "hotel a",
+	reservation_status: "uncomplete",
+	rootCause: "payment_failed",
+	checkin_date: new Date("2027-03-01T00:00:00.000Z"),
+	checkout_date: new Date("2027-03-04T00:00:00.000Z"),
+	customer_details: { name: "Sara Khan", email: `${id}@mail.com`, phone: `+96650000000${id.length}` },
+	createdAt: minutesAgo(120),
+	updatedAt: minutesAgo(120),
+	recovery: touchRecoveryState(null, { now: minutesAgo(120), delays }),
+	...extra,
+});
+
+test("delays are configurable and touching the form restarts the clock", () => {
+	assert.equal(isBookingRecoveryEnabled({}), false);
+	assert.equal(isBookingRecoveryEnabled({ BOOKING_RECOVERY_ENABLED: "true" }), true);
+	assert.deepEqual(recoveryDelaysMinutes({}), [60, 1440]);
+	assert.deepEqual(recoveryDelaysMinutes({ BOOKING_RECOVERY_DELAYS_MINUTES: "180, 30,x,-5" }), [30, 180]);
+
+	const fresh = touchRecoveryState(null, { now, delays });
+	assert.equal(fresh.status, "pending");
+	assert.match(fresh.token, /^[a-f0-9]{48}$/);
+	assert.equal(fresh.nextReminderAt.toISOString(), "2027-02-01T13:00:00.000Z");
+
+	const later = new Date("2027-02-02T12:00:00.000Z");
+	const touched = touchRecoveryState({ ...fresh, remindersSent: 1, reminders: [{ step: 1 }] }, { now: later, delays });
+	assert.equal(touched.token, fresh.token);
+	assert.equal(touched.remindersSent, 1);
+	assert.equal(touched.nextReminderAt.toISOString(), "2027-02-03T12:00:00.000Z");
+	const converted = { ...fresh, status: "converted" };
+	assert.equal(touchRecoveryState(converted, { now, delays }), converted);
+});
+
+test("a reminder is due after its delay until the stay passes or the list is used up", () => {
+	const step = (extra) => recoveryStepFor(abandoned("a", extra), { now, delays });
+	assert.deepEqual(
+		{ ...step(), nextReminderAt: step().nextReminderAt.toISOString() },
+		{ due: true, step: 0, abandonedAt: minutesAgo(120), nextReminderAt: "2027-02-02T10:00:00.000Z" }
+	);
+	assert.equal(
+		step({ recovery: touchRecoveryState(null, { now: minutesAgo(30), delays }) }).reason,
+		"not_due"
+	);
+	// Forms tracked while recovery was off are never chased.
+	assert.equal(step({ recovery: null }).reason, "not_tracked");
+	assert.equal(step({ createdAt: minutesAgo(8 * 24 * 60) }).status, "expired");
+	assert.equal(step({ checkin_date: new Date("2027-01-20T00:00:00.000Z") }).status, "expired");
+	assert.equal(step({ customer_details: { name: "x" } }).status, "stopped");
+	assert.equal(step({ recovery: { status: "pending", remindersSent: 2 } }).status, "exhausted");
+	assert.equal(step({ reservation_status: "converted" }).reason, "closed");
+});
+
+test("the recovery pass reminds, closes conversions and skips duplicate forms", async () => {
+	const UncompletedModel = memoryModel([
+		abandoned("due"),
+		abandoned("dup", { customer_details: abandoned("due").customer_details, createdAt: minutesAgo(130) }),
+		abandoned("booked"),
+		abandoned("waiting", { recovery: touchRecoveryState(null, { now: minutesAgo(10), delays }) }),
+		abandoned("legacy", { recovery: null }),
+	]);
+	const ReservationModel = memoryModel([
+		{
+			_id: "r1",
+			hotelId: hotelA,
+			confirmation_number: "C-1",
+			total_amount: 900,
+			customer_details: { email: "booked@mail.com" },
+			createdAt: minutesAgo(60),
+		},
+	]);
+	const sent = [];
+	const totals = await runBookingRecovery({
+		now,
+		dependencies: {
+			UncompletedModel,
+			ReservationModel,
+			delays,
+			sendWhatsApp: async (doc, url) => {
+				sent.push(["whatsapp", doc._id, url]);
+				return { status: "sent", sid: "SM1", error: "" };
+			},
+			sendEmail: async (doc) => {
+				sent.push(["email", doc._id]);
+				return { status: "failed", error: "bounced" };
+			},
+		},
+	});
+	assert.deepEqual(totals, { checked: 3, reminded: 1, converted: 1, closed: 1, failed: 0 });
+	const byId = Object.fromEntries(UncompletedModel.docs.map((doc) => [doc._id, doc]));
+	assert.deepEqual(sent.map(([channel, id]) => [channel, id]), [
+		["whatsapp", "due"],
+		["email", "due"],
+	]);
+	assert.ok(sent[0][2].endsWith(`/resume-booking?token=${byId.due.recovery.token}`));
+	assert.equal(byId.due.recovery.remindersSent, 1);
+	assert.equal(byId.due.recovery.reminders[0].email.status, "failed");
+	assert.equal(byId.due.recovery.nextReminderAt.toISOString(), "2027-02-02T10:00:00.000Z");
+	assert.equal(byId.dup.recovery.status, "duplicate");
+	assert.equal(byId.booked.reservation_status, "converted");
+	assert.equal(byId.booked.recovery.recoveredByReminder, false);
+	assert.equal(byId.waiting.recovery.remindersSent, 0);
+	assert.equal(byId.legacy.recovery, null);
+});
+
+test("a new reservation converts the reminded form and feeds the report", async () => {
+	const UncompletedModel = memoryModel([
+		abandoned("a", { recovery: { status: "pending", remindersSent: 1, resumedAt: minutesAgo(5) } }),
+		abandoned("b", { hotelId: "65a000000000000000000009" }),
+	]);
+	const result = await recordBookingRecoveryConversion(
+		{
+			_id: "r2",
+			hotelId: hotelA,
+			confirmation_number: "C-2",
+			total_amount: 1500,
+			customer_details: { email: "A@mail.com", phone: "" },
+			createdAt: now,
+		},
+		{ UncompletedModel, now }
+	);
+	assert.deepEqual(result, { converted: 1 });
+	const [a, b] = UncompletedModel.docs;
+	assert.equal(a.reservation_status, "converted");
+	assert.equal(a.recovery.recoveredByReminder, true);
+	assert.equal(a.recovery.resumedFromLink, true);
+	assert.equal(a.recovery.convertedAmount, 1500);
+	assert.equal(b.reservation_status, "uncomplete");
+
+	assert.deepEqual(
+		recoveryReportRows([
+			{ _id: "payment_failed", total: 10, reminded: 8, converted: 3, recovered: 2, recoveredAmount: 2400.456 },
+			{ _id: "", total: 2, reminded: 0, converted: 0, recovered: 0, recoveredAmount: 0 },
+		]),
+		[
+			{
+				rootCause: "payment_failed",
+				total: 10,
+				reminded: 8,
+				converted: 3,
+				recovered: 2,
+				recoveredAmount: 2400.46,
+				conversionRate: 0.3,
+				recoveryRate: 0.25,
+			},
+			{
+				rootCause: "unknown",
+				total: 2,
+				reminded: 0,
+				converted: 0,
+				recovered: 0,
+				recoveredAmount: 0,
+				conversionRate: 0,
+				recoveryRate: 0,
+			},
+		]
+	);
+});
@@ -0,0 +1,665 @@
+"use strict";
+
+const moment = require("moment-timezone");
+const HotelDetails = require("../models/hotel_details");
+const Reservations = require("../models/reservations");
+
+const POLICY_TIMEZONE = "Asia/Riyadh";
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 60 * 1000;
+const NO_SHOW_LOOKBACK_DAYS = 14;
+const NO_SHOW_STATUS = "no_show";
+const CANCELLATION_POLICY_TYPES = Object.freeze([
+	"flexible",
+	"first_night",
+	"non_refundable",
+]);
+const NO_SHOW_PENALTIES = Object.freeze(["first_night", "full_stay", "none"]);
+// Front-desk statuses count "checkin", "checked_in" and "inhouse" as in-house.
+const PENALTY_EXEMPT_STATUS_REGEX =
+	/cancel|no[_\s-]?show|reject|void|relocat|in[_\s-]?house|check(?:ed)?[_\s-]?(?:in|out)|closed/i;
+const PENALTY_BATCH_SIZE = 500;
+const PENALTY_RESERVATION_SELECT =
+	"_id hotelId confirmation_number reservation_status state checkin_date checkout_date inhouse_date total_amount currency paid_amount paid_amount_breakdown payment_details.onsite_paid_amount cancellationPolicy cancellationPenalty pendingConfirmation.status";
+
+// The platform policy the AI agent has always quoted: free until 14 days
+// before arrival, one night inside that window, non-refundable from 3 days out.
+const DEFAULT_CANCELLATION_POLICY = Object.freeze({
+	name: "Standard cancellation policy",
+	nameOtherLanguage: "سياسة الإلغاء القياسية",
+	type: "flexible",
+	freeCancellationDays: 14,
+	nonRefundableWithinDays: 3,
+	penaltyNights: 1,
+	noShowPenalty: "first_night",
+});
+
+class CancellationPolicyError extends Error {
+	constructor(message, code = "cancellation_policy_invalid", statusCode = 400) {
+		super(message);
+		this.name = "CancellationPolicyError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Number(number.toFixed(2)) : 0;
+};
+
+const normalizeKey = (value) =>
+	String(value || "")
+		.replace(/[\u2013\u2014\u2212]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+
+const normalizeId = (value) => {
+	if (!value) return "";
+	if (typeof value === "object" && value._id) return String(value._id);
+	return String(value);
+};
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+// Stay dates are stored as UTC calendar days; "today" is the hotel's day.
+const policyTodayKey = (now = new Date()) =>
+	moment(now).tz(POLICY_TIMEZONE).format("YYYY-MM-DD");
+
+const wholeNumber = (value, fallback = 0) => {
+	const number = Math.floor(Number(value));
+	return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const normalizeCancellationPolicyInput = (input = {}) => {
+	const name = String(input.name || "").trim();
+	if (!name) {
+		throw new CancellationPolicyError(
+			"Policy name is required.",
+			"cancellation_policy_name_required"
+		);
+	}
+	const type = String(input.type || "flexible").trim();
+	if (!CANCELLATION_POLICY_TYPES.includes(type)) {
+		throw new CancellationPolicyError(
+			`Policy type must be one of ${CANCELLATION_POLICY_TYPES.join(", ")}.`,
+			"cancellation_policy_type_invalid"
+		);
+	}
+	const noShowPenalty = String(input.noShowPenalty || "first_night").trim();
+	if (!NO_SHOW_PENALTIES.includes(noShowPenalty)) {
+		throw new CancellationPolicyError(
+			`No-show penalty must be one of ${NO_SHOW_PENALTIES.join(", ")}.`,
+			"cancellation_policy_no_show_invalid"
+		);
+	}
+	const freeCancellationDays =
+		type === "flexible" ? wholeNumber(input.freeCancellationDays, -1) : 0;
+	if (freeCancellationDays < 1 && type === "flexible") {
+		throw new CancellationPolicyError(
+			"Flexible policies need the number of free-cancellation days.",
+			"cancellation_policy_free_days_required"
+		);
+	}
+	const nonRefundableWithinDays =
+		type === "flexible" ? wholeNumber(input.nonRefundableWithinDays) : 0;
+	if (type === "flexible" && nonRefundableWithinDays >= freeCancellationDays) {
+		throw new CancellationPolicyError(
+			"The non-refundable window must be shorter than the free-cancellation window.",
+			"cancellation_policy_windows_invalid"
+		);
+	}
+	return {
+		name,
+		nameOtherLanguage: String(input.nameOtherLanguage || "").trim(),
+		type,
+		freeCancellationDays,
+		nonRefundableWithinDays,
+		penaltyNights: Math.max(wholeNumber(input.penaltyNights, 1), 1),
+		noShowPenalty,
+		roomTypes: (Array.isArray(input.roomTypes) ? input.roomTypes : [])
+			.map((value) => String(value || "").trim())
+			.filter(Boolean),
+		priceVariantItemIds: (Array.isArray(input.priceVariantItemIds)
+			? input.priceVariantItemIds
+			: []
+		)
+			.map(normalizeId)
+			.filter(Boolean),
+		isDefault: input.isDefault === true,
+		active: input.active !== false,
+	};
+};
+
+const reservationPolicyScope = (reservation = {}) => {
+	const rooms = Array.isArray(reservation.pickedRoomsType)
+		? reservation.pickedRoomsType
+		: [];
+	const roomTypes = new Set();
+	const priceVariantItemIds = new Set();
+	rooms.forEach((room = {}) => {
+		[room.room_type, room.roomType, room.displayName]
+			.map(normalizeKey)
+			.filter(Boolean)
+			.forEach((key) => roomTypes.add(key));
+		if (room.priceVariantItemId) {
+			priceVariantItemIds.add(normalizeId(room.priceVariantItemId));
+		}
+		(Array.isArray(room.pricingByDay) ? room.pricingByDay : []).forEach((day) => {
+			if (day?.priceVariantItemId) {
+				priceVariantItemIds.add(normalizeId(day.priceVariantItemId));
+			}
+		});
+	});
+	return { roomTypes, priceVariantItemIds };
+};
+
+const policySnapshot = (policy = {}, source, snapshotAt) => ({
+	policyId: policy._id || null,
+	name: policy.name || DEFAULT_CANCELLATION_POLICY.name,
+	nameOtherLanguage: policy.nameOtherLanguage || "",
+	type: policy.type || "flexible",
+	freeCancellationDays: wholeNumber(policy.freeCancellationDays),
+	nonRefundableWithinDays: wholeNumber(policy.nonRefundableWithinDays),
+	penaltyNights: Math.max(wholeNumber(policy.penaltyNights, 1), 1),
+	noShowPenalty: policy.noShowPenalty || "first_night",
+	source,
+	snapshotAt,
+});
+
+/**
+ * Picks the hotel policy that governs a reservation: a price-variant policy
+ * wins over a room-type policy, which wins over the hotel default. Hotels
+ * without a matching policy fall back to the platform standard.
+ */
+const resolveCancellationPolicy = (
+	policies = [],
+	reservation = {},
+	snapshotAt = new Date()
+) => {
+	const active = (Array.isArray(policies) ? policies : []).filter(
+		(policy) => policy && policy.active !== false
+	);
+	const scope = reservationPolicyScope(reservation);
+	const byVariant = active.find((policy) =>
+		(policy.priceVariantItemIds || []).some((id) =>
+			scope.priceVariantItemIds.has(normalizeId(id))
+		)
+	);
+	if (byVariant) return policySnapshot(byVariant, "price_variant", snapshotAt);
+	const byRoomType = active.find((policy) =>
+		(policy.roomTypes || []).some((roomType) =>
+			scope.roomTypes.has(normalizeKey(roomType))
+		)
+	);
+	if (byRoomType) return policySnapshot(byRoomType, "room_type", snapshotAt);
+	const hotelDefault = active.find((policy) => policy.isDefault);
+	if (hotelDefault) return policySnapshot(hotelDefault, "hotel_default", snapshotAt);
+	return policySnapshot(DEFAULT_CANCELLATION_POLICY, "platform_default", snapshotAt);
+};
+
+const reservationStayNights = (reservation = {}) => {
+	const checkin = dayKey(reservation.checkin_date);
+	const checkout = dayKey(reservation.checkout_date);
+	if (!checkin || !checkout) return 0;
+	return Math.max(
+		moment.utc(checkout, "YYYY-MM-DD").diff(moment.utc(checkin, "YYYY-MM-DD"), "days"),
+		0
+	);
+};
+
+const reservationPaidAmount = (reservation = {}) => {
+	const breakdown = reservation.paid_amount_breakdown || {};
+	const breakdownTotal = Object.keys(breakdown).reduce((sum, key) => {
+		if (key === "payment_comments") return sum;
+		const value = Number(breakdown[key]);
+		return Number.isFinite(value) ? sum + value : sum;
+	}, 0);
+	const legacyTotal =
+		(Number(reservation.paid_amount) || 0) +
+		(Number(reservation.payment_details?.onsite_paid_amount) || 0);
+	return n2(Math.max(breakdownTotal, legacyTotal, 0));
+};
+
+const daysBeforeCheckin = (reservation = {}, now = new Date()) => {
+	const checkin = dayKey(reservation.checkin_date);
+	if (!checkin) return null;
+	return moment
+		.utc(checkin, "YYYY-MM-DD")
+		.diff(moment.utc(policyTodayKey(now), "YYYY-MM-DD"), "days");
+};
+
+/**
+ * Works out what a cancellation (or no-show) costs the guest under the
+ * reservation's snapshotted policy. One night is the average nightly rate.
+ */
+const evaluateCancellationPenalty = (
+	reservation = {},
+	{ kind = "cancellation", now = new Date(), policy, hotelCurrency = "" } = {}
+) => {
+	const rules = policy || reservation.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+	const totalAmount = n2(reservation.total_amount);
+	const nights = reservationStayNights(reservation);
+	const oneNight = nights > 0 ? totalAmount / nights : totalAmount;
+	const nightsPenalty = (count) =>
+		Math.min(count, nights || count) * oneNight;
+	const penaltyNights = Math.max(wholeNumber(rules.penaltyNights, 1), 1);
+	const days = daysBeforeCheckin(reservation, now);
+
+	let rule;
+	let amount;
+	let penaltyNightCount = 0;
+	if (rules.type === "non_refundable") {
+		rule = "non_refundable";
+		amount = totalAmount;
+		penaltyNightCount = nights;
+	} else if (kind === "no_show") {
+		rule = `no_show_${rules.noShowPenalty || "first_night"}`;
+		if (rules.noShowPenalty === "none") {
+			amount = 0;
+		} else if (rules.noShowPenalty === "full_stay") {
+			amount = totalAmount;
+			penaltyNightCount = nights;
+		} else {
+			amount = nightsPenalty(penaltyNights);
+			penaltyNightCount = Math.min(penaltyNights, nights || penaltyNights);
+		}
+	} else if (
+		rules.type === "flexible" &&
+		days !== null &&
+		days >= wholeNumber(rules.freeCancellationDays)
+	) {
+		rule = "free_cancellation";
+		amount = 0;
+	} else if (
+		rules.type === "flexible" &&
+		days !== null &&
+		wholeNumber(rules.nonRefundableWithinDays) > 0 &&
+		days <= wholeNumber(rules.nonRefundableWithinDays)
+	) {
+		rule = "non_refundable_window";
+		amount = totalAmount;
+		penaltyNightCount = nights;
+	} else {
+		rule = "first_night";
+		amount = nightsPenalty(penaltyNights);
+		penaltyNightCount = Math.min(penaltyNights, nights || penaltyNights);
+	}
+
+	amount = n2(Math.min(amount, totalAmount));
+	const paidAmount = reservationPaidAmount(reservation);
+	return {
+		kind,
+		rule,
+		policyName: rules.name || DEFAULT_CANCELLATION_POLICY.name,
+		policyType: rules.type || "flexible",
+		amount,
+		nights: penaltyNightCount,
+		totalAmount,
+		paidAmount,
+		refundableAmount: n2(Math.max(paidAmount - amount, 0)),
+		outstandingAmount: n2(Math.max(amount - paidAmount, 0)),
+		daysBeforeCheckin: days,
+		// Amounts are in the reservation's own currency; older reservations
+		// without one fall back to the hotel's.
+		currency: String(reservation.currency || hotelCurrency || "SAR")
+			.trim()
+			.toUpperCase(),
+		assessedAt: now,
+	};
+};
+
+const describeCancellationPolicy = (policy = {}) => {
+	const rules = { ...DEFAULT_CANCELLATION_POLICY, ...(policy || {}) };
+	const nightsEn = rules.penaltyNights === 1 ? "one night" : `${rules.penaltyNights} nights`;
+	const nightsAr = rules.penaltyNights === 1 ? "ليلة واحدة" : `${rules.penaltyNights} ليالٍ`;
+	if (rules.type === "non_refundable") {
+		return { en: "Non-refundable.", ar: "غير قابل للاسترداد." };
+	}
+	if (rules.type === "first_night") {
+		return {
+			en: `Cancellation or no-show is charged ${nightsEn}.`,
+			ar: `يتم احتساب ${nightsAr} عند الإلغاء أو عدم الحضور.`,
+		};
+	}
+	const en = [
+		`Free cancellation until ${rules.freeCancellationDays} days before check-in; after that ${nightsEn} is charged.`,
+	];
+	const ar = [
+		`إلغاء مجاني حتى ${rules.freeCancellationDays} يومًا قبل الوصول، وبعدها يتم احتساب ${nightsAr}.`,
+	];
+	if (rules.nonRefundableWithinDays > 0) {
+		en.push(`Non-refundable within ${rules.nonRefundableWithinDays} days of check-in.`);
+		ar.push(`غير قابل للاسترداد خلال ${rules.nonRefundableWithinDays} أيام من الوصول.`);
+	}
+	return { en: en.join(" "), ar: ar.join(" ") };
+};
+
+const statusOf = (value = {}) =>
+	String(value.reservation_status || value.state || "")
+		.trim()
+		.toLowerCase();
+
+const penaltyKindForStatus = (status = "") => {
+	if (/no[_\s-]?show/.test(status)) return "no_show";
+	if (/cancel/.test(status)) return "cancellation";
+	return "";
+};
+
+const isNoShowPenaltyJobEnabled = (env = process.env) =>
+	String(env.NO_SHOW_PENALTY_JOB_ENABLED || "").toLowerCase() === "true";
+
+/**
+ * When a reservation update moves it into cancelled or no-show, returns the
+ * penalty to store alongside the status change. Reservations booked before
+ * policies were snapshotted are left for manual handling.
+ */
+const assessStatusChangePenalty = (
+	existing = {},
+	updates = {},
+	{ actor = null, now = new Date() } = {}
+) => {
+	const reservation =
+		existing && typeof existing.toObject === "function"
+			? existing.toObject()
+			: existing || {};
+	if (!reservation.cancellationPolicy || reservation.cancellationPenalty?.kind) {
+		return null;
+	}
+	if (
+		!Object.prototype.hasOwnProperty.call(updates, "reservation_status") &&
+		!Object.prototype.hasOwnProperty.call(updates, "state")
+	) {
+		return null;
+	}
+	const kind = penaltyKindForStatus(statusOf(updates));
+	if (!kind || kind === penaltyKindForStatus(statusOf(reservation))) return null;
+	return {
+		...evaluateCancellationPenalty(
+			{
+				...reservation,
+				...updates,
+				cancellationPolicy: reservation.cancellationPolicy,
+			},
+			{ kind, now }
+		),
+		by: actor,
+	};
+};
+
+const loadHotelCancellationPolicies = async (hotelId) => {
+	if (!hotelId) return [];
+	const hotel = await HotelDetails.findById(hotelId)
+		.select("_id cancellationPolicies")
+		.lean()
+		.exec();
+	return Array.isArray(hotel?.cancellationPolicies)
+		? hotel.cancellationPolicies
+		: [];
+};
+
+/**
+ * Stores the governing cancellation policy on a reservation payload before it
+ * is created. A lookup failure never blocks the booking; it falls back to the
+ * platform standard.
+ */
+const attachCancellationPolicySnapshot = async (reservationData = {}) => {
+	if (!reservationData || reservationData.cancellationPolicy?.type) {
+		return reservationData;
+	}
+	let policies = [];
+	try {
+		policies = await loadHotelCancellationPolicies(
+			normalizeId(reservationData.hotelId)
+		);
+	} catch (error) {
+		console.error(
+			"[cancellation-policy] Could not load hotel policies:",
+			error?.message || error
+		);
+	}
+	reservationData.cancellationPolicy = resolveCancellationPolicy(
+		policies,
+		reservationData
+	);
+	return reservationData;
+};
+
+const SYSTEM_ACTOR = Object.freeze({ name: "System", role: "system" });
+
+const buildNoShowAuditEntry = (penalty = {}, from = "", at = new Date()) => ({
+	at,
+	action: "no_show_penalty_assessed",
+	field: "reservation_status",
+	by: SYSTEM_ACTOR,
+	from,
+	to: NO_SHOW_STATUS,
+	note: `No-show under "${penalty.policyName}": ${penalty.amount} ${penalty.currency} penalty (${penalty.rule}).`,
+});
+
+const buildPenaltyAuditEntry = (penalty = {}, status = "", at = new Date()) => ({
+	at,
+	action: `${penalty.kind}_penalty_assessed`,
+	field: "cancellationPenalty",
+	by: penalty.by || SYSTEM_ACTOR,
+	from: "",
+	to: penalty.rule,
+	note: `${status || penalty.kind} under "${penalty.policyName}": ${penalty.amount} ${penalty.currency} penalty (${penalty.rule}).`,
+});
+
+/**
+ * Penalty for a reservation document whose status was changed and saved
+ * directly. Returns the penalty and its audit entry, or null.
+ */
+const assessSavedStatusPenalty = (reservation = {}, { now = new Date() } = {}) => {
+	if (!reservation.cancellationPolicy?.type || reservation.cancellationPenalty?.kind) {
+		return null;
+	}
+	const status = statusOf(reservation);
+	const kind = penaltyKindForStatus(status);
+	if (!kind) return null;
+	const penalty = {
+		...evaluateCancellationPenalty(reservation, { kind, now }),
+		by: SYSTEM_ACTOR,
+	};
+	return { penalty, auditEntry: buildPenaltyAuditEntry(penalty, status, now) };
+};
+
+/**
+ * True when a query update moves reservations into cancelled or no-show
+ * without assessing the penalty itself (group, OTA and AI agent cancels).
+ */
+const cancellationPenaltyPendingForUpdate = (update = {}) => {
+	const set = { ...update, ...(update.$set || {}) };
+	if (Object.prototype.hasOwnProperty.call(set, "cancellationPenalty")) return false;
+	return Boolean(penaltyKindForStatus(statusOf(set)));
+};
+
+/**
+ * Assesses the policy penalty for reservations that reached cancelled or
+ * no-show through a query update. The reservation model calls this once the
+ * write is committed, with the ids it matched before the update.
+ */
+const applyPendingCancellationPenalties = async (
+	ids = [],
+	{ ReservationModel = Reservations, now = new Date() } = {}
+) => {
+	let assessed = 0;
+	// Bulk cancellations can match thousands of stays; load them in batches.
+	for (let start = 0; start < ids.length; start += PENALTY_BATCH_SIZE) {
+		const reservations = await ReservationModel.find({
+			_id: { $in: ids.slice(start, start + PENALTY_BATCH_SIZE) },
+			"cancellationPolicy.type": { $exists: true },
+			"cancellationPenalty.kind": { $exists: false },
+		})
+			.select(PENALTY_RESERVATION_SELECT)
+			.lean()
+			.exec();
+
+		for (const reservation of reservations) {
+			const assessment = assessSavedStatusPenalty(reservation, { now });
+			if (!assessment) continue;
+			const result = await ReservationModel.updateOne(
+				{ _id: reservation._id, "cancellationPenalty.kind": { $exists: false } },
+				{
+					$set: { cancellationPenalty: assessment.penalty },
+					$push: {
+						adminChangeLog: assessment.auditEntry,
+						reservationAuditLog: assessment.auditEntry,
+					},
+				}
+			).exec();
+			if (result?.modifiedCount || result?.nModified) assessed += 1;
+		}
+	}
+	return { assessed };
+};
+
+const applyPendingCancellationPenaltiesSafely = (ids, options) =>
+	applyPendingCancellationPenalties(ids, options).catch((error) =>
+		console.error(
+			"[cancellation-policy] Penalty assessment failed:",
+			error?.message || error
+		)
+	);
+
+/**
+ * Audit entry stored on the hotel when a cancellation policy is created,
+ * changed or deactivated.
+ */
+const buildPolicyAuditEntry = ({ action, actor, policyId, policy = null, at = new Date() }) => ({
+	at,
+	action,
+	field: "cancellationPolicies",
+	by: actor,
+	policyId,
+	to: policy,
+});
+
+/**
+ * Marks reservations whose check-in day has passed without arrival as
+ * no-shows and records the policy penalty. Only reservations that carry a
+ * policy snapshot are evaluated; anything checked in is left alone.
+ */
+const processNoShowPenalties = async ({ now = new Date(), logger = console } = {}) => {
+	const today = policyTodayKey(now);
+	const earliest = moment
+		.utc(today, "YYYY-MM-DD")
+		.subtract(NO_SHOW_LOOKBACK_DAYS, "days")
+		.toDate();
+	const candidates = await Reservations.find({
+		"cancellationPolicy.type": { $exists: true },
+		"cancellationPenalty.kind": { $exists: false },
+		inhouse_date: null,
+		checkin_date: { $gte: earliest, $lt: new Date(`${today}T00:00:00.000Z`) },
+	})
+		.select(PENALTY_RESERVATION_SELECT)
+		.lean()
+		.exec();
+
+	let marked = 0;
+	for (const reservation of candidates) {
+		const status = statusOf(reservation);
+		if (PENALTY_EXEMPT_STATUS_REGEX.test(status) || reservation.inhouse_date) continue;
+		if (/pending/.test(status) || /^pending$/i.test(reservation.pendingConfirmation?.status || "")) {
+			continue;
+		}
+		const penalty = evaluateCancellationPenalty(reservation, {
+			kind: "no_show",
+			now,
+		});
+		const auditEntry = buildNoShowAuditEntry(penalty, status, now);
+		const updated = await Reservations.findOneAndUpdate(
+			{
+				_id: reservation._id,
+				reservation_status: reservation.reservation_status || { $in: [null, ""] },
+				inhouse_date: null,
+				"cancellationPenalty.kind": { $exists: false },
+			},
+			{
+				$set: {
+					reservation_status: NO_SHOW_STATUS,
+					state: NO_SHOW_STATUS,
+					cancellationPenalty: penalty,
+				},
+				$push: {
+					adminChangeLog: auditEntry,
+					reservationAuditLog: auditEntry,
+				},
+			},
+			{ new: true }
+		)
+			.select("_id")
+			.lean()
+			.exec();
+		if (updated) marked += 1;
+	}
+
+	if (marked > 0) {
+		logger.log(`[cancellation-policy] Marked ${marked} reservation(s) as no-show.`);
+	}
+	return { marked, candidates: candidates.length };
+};
+
+const startNoShowPenaltyJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			await processNoShowPenalties({ logger });
+		} catch (error) {
+			logger.error("[cancellation-policy] No-show job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+module.exports = {
+	CANCELLATION_POLICY_TYPES,
+	CancellationPolicyError,
+	DEFAULT_CANCELLATION_POLICY,
+	NO_SHOW_PENALTIES,
+	PENALTY_EXEMPT_STATUS_REGEX,
+	applyPendingCancellationPenalties,
+	applyPendingCancellationPenaltiesSafely,
+	assessSavedStatusPenalty,
+	assessStatusChangePenalty,
+	attachCancellationPolicySnapshot,
+	buildPolicyAuditEntry,
+	cancellationPenaltyPendingForUpdate,
+	describeCancellationPolicy,
+	evaluateCancellationPenalty,
+	isNoShowPenaltyJobEnabled,
+	loadHotelCancellationPolicies,
+	normalizeCancellationPolicyInput,
+	processNoShowPenalties,
+	reservationPaidAmount,
+	resolveCancellationPolicy,
+	startNoShowPenaltyJob,
+};
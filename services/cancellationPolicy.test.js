@@ -0,0 +1,260 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const Reservations = require("../models/reservations");
+const {
+	DEFAULT_CANCELLATION_POLICY,
+	applyPendingCancellationPenalties,
+	assessSavedStatusPenalty,
+	assessStatusChangePenalty,
+	cancellationPenaltyPendingForUpdate,
+	evaluateCancellationPenalty,
+	isNoShowPenaltyJobEnabled,
+	normalizeCancellationPolicyInput,
+	processNoShowPenalties,
+	resolveCancellationPolicy,
+} = require("./cancellationPolicy");
+const { summarizeCancellationPenalty } = require("./paymentReconciliation");
+const { buildOfficialReceiptView } = require("./officialReceipt");
+
+const NOW = new Date("2026-11-20T09:00:00.000Z");
+
+const reservation = (overrides = {}) => ({
+	_id: "65a0000000000000000000a1",
+	hotelId: "65a0000000000000000000b1",
+	confirmation_number: "1234567890",
+	reservation_status: "confirmed",
+	checkin_date: new Date("2026-12-01T00:00:00.000Z"),
+	checkout_date: new Date("2026-12-05T00:00:00.000Z"),
+	total_amount: 2000,
+	paid_amount_breakdown: { paid_online_via_link: 800 },
+	pickedRoomsType: [{ room_type: "doubleRooms", displayName: "Double Room" }],
+	...overrides,
+});
+
+const chain = (value) => ({
+	select() {
+		return this;
+	},
+	lean() {
+		return this;
+	},
+	exec: async () => value,
+});
+
+test("policy resolution prefers price variant, then room type, then hotel default", () => {
+	const policies = [
+		{ _id: "p1", name: "House", type: "flexible", freeCancellationDays: 7, isDefault: true },
+		{ _id: "p2", name: "Doubles", type: "first_night", roomTypes: ["double room"] },
+		{ _id: "p3", name: "Promo", type: "non_refundable", priceVariantItemIds: ["v1"] },
+		{ _id: "p4", name: "Old", type: "non_refundable", roomTypes: ["Double Room"], active: false },
+	];
+	const at = new Date("2026-11-01T00:00:00.000Z");
+
+	const promo = resolveCancellationPolicy(
+		policies,
+		reservation({
+			pickedRoomsType: [{ room_type: "doubleRooms", displayName: "Double Room", priceVariantItemId: "v1" }],
+		}),
+		at
+	);
+	assert.equal(promo.name, "Promo");
+	assert.equal(promo.source, "price_variant");
+	assert.equal(promo.snapshotAt, at);
+
+	assert.equal(resolveCancellationPolicy(policies, reservation()).source, "room_type");
+	assert.equal(
+		resolveCancellationPolicy(policies, reservation({ pickedRoomsType: [{ room_type: "tripleRooms" }] })).name,
+		"House"
+	);
+	const platform = resolveCancellationPolicy([], reservation());
+	assert.equal(platform.source, "platform_default");
+	assert.equal(platform.freeCancellationDays, DEFAULT_CANCELLATION_POLICY.freeCancellationDays);
+});
+
+test("flexible policy charges by how close the cancellation is to arrival", () => {
+	const policy = { name: "Standard", type: "flexible", freeCancellationDays: 14, nonRefundableWithinDays: 3, penaltyNights: 1 };
+
+	const early = evaluateCancellationPenalty(reservation({ checkin_date: "2026-12-10" }), { policy, now: NOW });
+	assert.equal(early.rule, "free_cancellation");
+	assert.equal(early.amount, 0);
+	assert.equal(early.refundableAmount, 800);
+
+	const inside = evaluateCancellationPenalty(reservation(), { policy, now: NOW });
+	assert.equal(inside.daysBeforeCheckin, 11);
+	assert.equal(inside.rule, "first_night");
+	assert.equal(inside.amount, 500);
+	assert.equal(inside.refundableAmount, 300);
+
+	const late = evaluateCancellationPenalty(
+		reservation({ checkin_date: "2026-11-22", checkout_date: "2026-11-26" }),
+		{ policy, now: NOW }
+	);
+	assert.equal(late.rule, "non_refundable_window");
+	assert.equal(late.amount, 2000);
+	assert.equal(late.outstandingAmount, 1200);
+
+	const noShow = evaluateCancellationPenalty(reservation(), {
+		policy: { ...policy, noShowPenalty: "full_stay" },
+		kind: "no_show",
+		now: NOW,
+	});
+	assert.equal(noShow.rule, "no_show_full_stay");
+	assert.equal(noShow.amount, 2000);
+});
+
+test("policy input is validated", () => {
+	assert.throws(() => normalizeCancellationPolicyInput({ type: "flexible" }), {
+		code: "cancellation_policy_name_required",
+	});
+	assert.throws(
+		() => normalizeCancellationPolicyInput({ name: "X", type: "flexible", freeCancellationDays: 3, nonRefundableWithinDays: 5 }),
+		{ code: "cancellation_policy_windows_invalid" }
+	);
+	const nonRefundable = normalizeCancellationPolicyInput({ name: "NR", type: "non_refundable", freeCancellationDays: 9 });
+	assert.equal(nonRefundable.freeCancellationDays, 0);
+	assert.equal(nonRefundable.active, true);
+});
+
+test("status changes into cancelled or no-show assess the snapshotted policy once", () => {
+	const booked = reservation({
+		cancellationPolicy: { ...DEFAULT_CANCELLATION_POLICY, source: "platform_default" },
+	});
+	const penalty = assessStatusChangePenalty(
+		booked,
+		{ reservation_status: "cancelled" },
+		{ actor: { name: "Desk" }, now: NOW }
+	);
+	assert.equal(penalty.kind, "cancellation");
+	assert.equal(penalty.amount, 500);
+	assert.deepEqual(penalty.by, { name: "Desk" });
+
+	assert.equal(assessStatusChangePenalty(booked, { total_amount: 10 }), null);
+	assert.equal(assessStatusChangePenalty(reservation(), { reservation_status: "cancelled" }), null);
+	assert.equal(
+		assessStatusChangePenalty({ ...booked, cancellationPenalty: penalty }, { reservation_status: "no_show" }),
+		null
+	);
+});
+
+test("no-show job marks arrivals that never checked in", async () => {
+	const original = { find: Reservations.find, findOneAndUpdate: Reservations.findOneAndUpdate };
+	const policy = { ...DEFAULT_CANCELLATION_POLICY };
+	const candidates = [
+		reservation({ _id: "r1", checkin_date: new Date("2026-11-18T00:00:00.000Z"), checkout_date: new Date("2026-11-20T00:00:00.000Z"), cancellationPolicy: policy }),
+		reservation({ _id: "r2", reservation_status: "inhouse", cancellationPolicy: policy }),
+		reservation({ _id: "r3", reservation_status: "pending_confirmation", cancellationPolicy: policy }),
+		reservation({ _id: "r4", reservation_status: "checkin", cancellationPolicy: policy }),
+		reservation({ _id: "r5", inhouse_date: new Date("2026-11-18T13:00:00.000Z"), cancellationPolicy: policy }),
+	];
+	const updates = [];
+	let findFilter;
+	Reservations.find = (filter) => {
+		findFilter = filter;
+		return chain(candidates);
+	};
+	Reservations.findOneAndUpdate = (filter, update) => {
+		updates.push({ filter, update });
+		return chain({ _id: filter._id });
+	};
+	try {
+		const result = await processNoShowPenalties({ now: NOW, logger: { log() {} } });
+		assert.deepEqual(result, { marked: 1, candidates: 5 });
+		assert.equal(findFilter.checkin_date.$lt.toISOString(), "2026-11-20T00:00:00.000Z");
+		assert.equal(findFilter.inhouse_date, null);
+		assert.equal(updates.length, 1);
+		assert.equal(updates[0].filter._id, "r1");
+		assert.equal(updates[0].filter.inhouse_date, null);
+		assert.equal(updates[0].update.$set.reservation_status, "no_show");
+		assert.equal(updates[0].update.$set.cancellationPenalty.amount, 1000);
+		assert.equal(updates[0].update.$push.reservationAuditLog.action, "no_show_penalty_assessed");
+	} finally {
+		Reservations.find = original.find;
+		Reservations.findOneAndUpdate = original.findOneAndUpdate;
+	}
+});
+
+test("bulk cancellations assess every matched reservation", async () => {
+	const policy = { ...DEFAULT_CANCELLATION_POLICY };
+	const byId = new Map(
+		Array.from({ length: 1203 }, (_, index) => [
+			`r${index}`,
+			reservation({ _id: `r${index}`, reservation_status: "cancelled", cancellationPolicy: policy }),
+		])
+	);
+	const charged = [];
+	const ReservationModel = {
+		find: (filter) => chain(filter._id.$in.map((id) => byId.get(id))),
+		updateOne: (filter, update) => {
+			charged.push([filter._id, update.$set.cancellationPenalty.currency]);
+			return chain({ modifiedCount: 1 });
+		},
+	};
+	const result = await applyPendingCancellationPenalties([...byId.keys()], { ReservationModel, now: NOW });
+	assert.deepEqual(result, { assessed: 1203 });
+	assert.equal(charged.at(-1)[0], "r1202");
+});
+
+test("penalties carry the reservation currency, then the hotel's", () => {
+	const policy = DEFAULT_CANCELLATION_POLICY;
+	assert.equal(
+		evaluateCancellationPenalty(reservation({ currency: "usd" }), { policy, now: NOW }).currency,
+		"USD"
+	);
+	assert.equal(
+		evaluateCancellationPenalty(reservation(), { policy, now: NOW, hotelCurrency: "egp" }).currency,
+		"EGP"
+	);
+	assert.equal(evaluateCancellationPenalty(reservation(), { policy, now: NOW }).currency, "SAR");
+});
+
+test("no-show job is opt-in", () => {
+	assert.equal(isNoShowPenaltyJobEnabled({}), false);
+	assert.equal(isNoShowPenaltyJobEnabled({ NO_SHOW_PENALTY_JOB_ENABLED: "true" }), true);
+});
+
+test("cancels written outside the reservation update endpoint are assessed", () => {
+	const policy = { ...DEFAULT_CANCELLATION_POLICY };
+	assert.equal(cancellationPenaltyPendingForUpdate({ $set: { reservation_status: "cancelled" } }), true);
+	assert.equal(cancellationPenaltyPendingForUpdate({ state: "no_show" }), true);
+	assert.equal(
+		cancellationPenaltyPendingForUpdate({
+			$set: { reservation_status: "cancelled", cancellationPenalty: { kind: "cancellation" } },
+		}),
+		false
+	);
+	assert.equal(cancellationPenaltyPendingForUpdate({ $set: { reservation_status: "confirmed" } }), false);
+
+	const assessment = assessSavedStatusPenalty(
+		reservation({ reservation_status: "cancelled", cancellationPolicy: policy }),
+		{ now: NOW }
+	);
+	assert.equal(assessment.penalty.kind, "cancellation");
+	assert.equal(assessment.penalty.amount, 500);
+	assert.equal(assessment.auditEntry.action, "cancellation_penalty_assessed");
+	assert.equal(assessSavedStatusPenalty(reservation({ reservation_status: "cancelled" })), null);
+	assert.equal(
+		assessSavedStatusPenalty(reservation({ reservation_status: "confirmed", cancellationPolicy: policy })),
+		null
+	);
+});
+
+test("receipt and reconciliation surface the assessed penalty", () => {
+	const penalty = evaluateCancellationPenalty(reservation(), {
+		policy: DEFAULT_CANCELLATION_POLICY,
+		now: NOW,
+	});
+	const summary = summarizeCancellationPenalty({ cancellationPenalty: penalty });
+	assert.equal(summary.assessedAmountCents, 50000);
+	assert.equal(summary.refundableAmountCents, 30000);
+	assert.equal(summarizeCancellationPenalty({}), null);
+
+	const view = buildOfficialReceiptView(
+		reservation({ cancellationPolicy: DEFAULT_CANCELLATION_POLICY, cancellationPenalty: penalty }),
+		{ hotelName: "Test Hotel" }
+	);
+	assert.match(view.cancellationPolicy.en, /Free cancellation until 14 days/);
+	assert.deepEqual(view.cancellationPenalty, { kind: "cancellation", amount: 500, refundable: 300 });
+	assert.equal(buildOfficialReceiptView(reservation(), {}).cancellationPolicy, null);
+});
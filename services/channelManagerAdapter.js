@@ -0,0 +1,220 @@
+"use strict";
+
+const moment = require("moment-timezone");
+
+class ChannelManagerError extends Error {
+	constructor(message, code = "channel_manager_invalid", statusCode = 400, { retryable = false } = {}) {
+		super(message);
+		this.name = "ChannelManagerError";
+		this.code = code;
+		this.statusCode = statusCode;
+		this.retryable = retryable;
+	}
+}
+
+const ARI_KINDS = Object.freeze(["availability", "rates", "restrictions"]);
+const CHANNEL_RESERVATION_STATES = Object.freeze(["reserved", "confirmed", "canceled"]);
+const MAX_ARI_UPDATES = 500;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const cleanIdentifier = (value) =>
+	String(value == null ? "" : value)
+		.replace(/[\u0000-\u001f\u007f]/g, "")
+		.trim()
+		.slice(0, 256);
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && DATE_RE.test(value.slice(0, 10))) return value.slice(0, 10);
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const optionalWhole = (value) => {
+	if (value === undefined || value === null || value === "") return null;
+	const parsed = Number(value);
+	return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+const optionalAmount = (value) => {
+	if (value === undefined || value === null || value === "") return null;
+	const parsed = Number(value);
+	return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed * 100) / 100 : NaN;
+};
+
+/**
+ * One availability/rate/restriction change for a channel room over an
+ * inclusive date range. Fields that are not being changed stay null.
+ */
+const normalizeAriUpdate = (update = {}) => {
+	const externalRoomCode = cleanIdentifier(update.externalRoomCode);
+	const startDate = dayKey(update.startDate);
+	const endDate = dayKey(update.endDate || update.startDate);
+	if (!externalRoomCode || !startDate || !endDate || endDate < startDate) {
+		throw new ChannelManagerError(
+			"An ARI update needs a channel room code and a date range.",
+			"channel_ari_invalid"
+		);
+	}
+	const availability = optionalWhole(update.availability);
+	const price = optionalAmount(update.price);
+	if (Number.isNaN(availability) || Number.isNaN(price)) {
+		throw new ChannelManagerError(
+			"Availability must be a whole number and price must be above zero.",
+			"channel_ari_invalid"
+		);
+	}
+	const source = update.restrictions;
+	const restrictions = source
+		? {
+				minStay: Math.max(Number(source.minStay) || 1, 1),
+				stopSale: source.stopSale === true,
+				cta: source.cta === true,
+				ctd: source.ctd === true,
+		  }
+		: null;
+	if (availability === null && price === null && !restrictions) {
+		throw new ChannelManagerError("The ARI update does not change anything.", "channel_ari_empty");
+	}
+	return { externalRoomCode, startDate, endDate, availability, price, restrictions };
+};
+
+const ariUpdateKinds = (update = {}) =>
+	[
+		update.availability !== null && update.availability !== undefined ? "availability" : "",
+		update.price !== null && update.price !== undefined ? "rates" : "",
+		update.restrictions ? "restrictions" : "",
+	].filter(Boolean);
+
+/**
+ * The reservation message every adapter hands back, whatever the vendor's
+ * payload looked like. `messageUid` identifies this message for delivery
+ * confirmation; `externalId` is the booking across its modifications.
+ * `payload` is the vendor message as received, for ingestion that keeps it.
+ */
+const normalizeChannelReservation = (input = {}, { channelManager = "" } = {}) => {
+	const messageUid = cleanIdentifier(input.messageUid);
+	const externalId = cleanIdentifier(input.externalId);
+	const rawState = cleanIdentifier(input.state).toLowerCase();
+	const state = rawState === "cancelled" ? "canceled" : rawState;
+	if (!messageUid || !externalId || !CHANNEL_RESERVATION_STATES.includes(state)) {
+		throw new ChannelManagerError(
+			"A channel reservation needs a message id, a booking id and a known state.",
+			"channel_reservation_invalid"
+		);
+	}
+	return {
+		channelManager,
+		messageUid,
+		externalId,
+		channel: cleanIdentifier(input.channel).toLowerCase(),
+		state,
+		modified: input.modified === true,
+		checkinDate: dayKey(input.checkinDate),
+		checkoutDate: dayKey(input.checkoutDate),
+		guestName: String(input.guestName || "").trim().slice(0, 300),
+		totalCents: Number.isInteger(input.totalCents) ? input.totalCents : null,
+		currency: cleanIdentifier(input.currency).toUpperCase(),
+		rooms: (Array.isArray(input.rooms) ? input.rooms : []).map((room) => ({
+			externalRoomCode: cleanIdentifier(room?.externalRoomCode),
+			state: cleanIdentifier(room?.state).toLowerCase() || state,
+		})),
+		payloadHash: cleanIdentifier(input.payloadHash),
+		payload: input.payload ?? null,
+	};
+};
+
+const assertImplemented = (key, implementation, operation) => {
+	if (typeof implementation[operation] !== "function") {
+		throw new TypeError(`Channel manager "${key}" does not implement ${operation}.`);
+	}
+};
+
+/**
+ * Wraps a vendor implementation in the shared contract: inputs are
+ * validated once here, unsupported ARI kinds are refused before any vendor
+ * call, and pulled reservations always come back in the common shape. A
+ * message that cannot be read is returned under `rejected` instead of
+ * failing the whole pull, and is never confirmed as delivered.
+ */
+const defineChannelManagerAdapter = ({ key, label = "", supports = {}, ...implementation } = {}) => {
+	const adapterKey = cleanIdentifier(key).toLowerCase();
+	if (!adapterKey) throw new TypeError("A channel manager adapter needs a key.");
+	["pushAri", "pullReservations", "confirmDelivery"].forEach((operation) =>
+		assertImplemented(adapterKey, implementation, operation)
+	);
+	const supported = Object.freeze(
+		Object.fromEntries(ARI_KINDS.map((kind) => [kind, supports[kind] === true]))
+	);
+
+	return Object.freeze({
+		key: adapterKey,
+		label: label || adapterKey,
+		supports: supported,
+		async pushAri(updates = []) {
+			const list = Array.isArray(updates) ? updates : [updates];
+			if (!list.length) return { accepted: 0 };
+			if (list.length > MAX_ARI_UPDATES) {
+				throw new ChannelManagerError(
+					`Push ${MAX_ARI_UPDATES} ARI updates or fewer at once.`,
+					"channel_ari_too_many"
+				);
+			}
+			const normalized = list.map(normalizeAriUpdate);
+			const unsupported = [
+				...new Set(normalized.flatMap(ariUpdateKinds).filter((kind) => !supported[kind])),
+			];
+			if (unsupported.length) {
+				throw new ChannelManagerError(
+					`${label || adapterKey} does not accept ${unsupported.join(", ")} updates.`,
+					"channel_ari_unsupported"
+				);
+			}
+			await implementation.pushAri(normalized);
+			return { accepted: normalized.length };
+		},
+		async pullReservations(options = {}) {
+			const result = (await implementation.pullReservations(options)) || {};
+			const reservations = [];
+			const rejected = Array.isArray(result.rejected) ? [...result.rejected] : [];
+			(Array.isArray(result.reservations) ? result.reservations : []).forEach((reservation) => {
+				try {
+					reservations.push(normalizeChannelReservation(reservation, { channelManager: adapterKey }));
+				} catch (error) {
+					if (!(error instanceof ChannelManagerError)) throw error;
+					rejected.push({
+						messageUid: cleanIdentifier(reservation?.messageUid),
+						issues: [error.code],
+						...(reservation?.payload ? { payload: reservation.payload } : {}),
+					});
+				}
+			});
+			return { reservations, rejected, cursor: result.cursor ?? null };
+		},
+		async confirmDelivery({ messageUid, pmsNumber } = {}) {
+			const normalizedMessageUid = cleanIdentifier(messageUid);
+			const normalizedPmsNumber = cleanIdentifier(pmsNumber);
+			if (!normalizedMessageUid || !normalizedPmsNumber) {
+				throw new ChannelManagerError(
+					"Delivery confirmation needs the message id and the PMS reservation number.",
+					"channel_delivery_invalid"
+				);
+			}
+			return implementation.confirmDelivery({
+				messageUid: normalizedMessageUid,
+				pmsNumber: normalizedPmsNumber,
+			});
+		},
+	});
+};
+
+module.exports = {
+	ARI_KINDS,
+	CHANNEL_RESERVATION_STATES,
+	ChannelManagerError,
+	ariUpdateKinds,
+	defineChannelManagerAdapter,
+	normalizeAriUpdate,
+	normalizeChannelReservation,
+};
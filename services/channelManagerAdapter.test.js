@@ -0,0 +1,268 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const {
+	ChannelManagerError,
+	defineChannelManagerAdapter,
+	normalizeAriUpdate,
+} = require("./channelManagerAdapter");
+const { createChannelManagerAdapter } = require("./channelManagers");
+const { createChannelSimulatorAdapter } = require("./channelSimulatorAdapter");
+const { createHotelRunnerChannelAdapter } = require("./hotelrunnerChannelAdapter");
+
+const hotelId = "65a000000000000000000001";
+
+const simulator = (t) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "channel-simulator-"));
+	t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+	return createChannelSimulatorAdapter({ directory, hotelId });
+};
+
+test("ARI updates are validated and adapters must implement the contract", async () => {
+	assert.deepEqual(normalizeAriUpdate({ externalRoomCode: "DBL", startDate: "2027-02-10", price: "450.555" }), {
+		externalRoomCode: "DBL",
+		startDate: "2027-02-10",
+		endDate: "2027-02-10",
+		availability: null,
+		price: 450.56,
+		restrictions: null,
+	});
+	assert.throws(() => normalizeAriUpdate({ externalRoomCode: "DBL", startDate: "2027-02-10" }), {
+		code: "channel_ari_empty",
+	});
+	assert.throws(
+		() => normalizeAriUpdate({ externalRoomCode: "DBL", startDate: "2027-02-10", endDate: "2027-02-09", price: 1 }),
+		{ code: "channel_ari_invalid" }
+	);
+	assert.throws(() => normalizeAriUpdate({ externalRoomCode: "DBL", startDate: "2027-02-10", availability: -1 }), {
+		code: "channel_ari_invalid",
+	});
+	assert.throws(() => defineChannelManagerAdapter({ key: "partial", pushAri() {} }), /pullReservations/);
+	assert.throws(() => createChannelManagerAdapter("siteminder"), { code: "channel_manager_unknown" });
+	assert.equal(createChannelManagerAdapter("simulator", { directory: os.tmpdir() }).key, "simulator");
+
+	const pushed = [];
+	const adapter = defineChannelManagerAdapter({
+		key: "ratesOnly",
+		supports: { rates: true },
+		pushAri: async (updates) => pushed.push(...updates),
+		pullReservations: async () => ({
+			reservations: [
+				{ messageUid: "m-1", externalId: "B-1", state: "Cancelled" },
+				{ messageUid: "m-2", externalId: "B-2", state: "pending" },
+			],
+		}),
+		confirmDelivery: async () => ({ ok: true }),
+	});
+	await assert.rejects(
+		adapter.pushAri([{ externalRoomCode: "DBL", startDate: "2027-02-10", availability: 3 }]),
+		{ code: "channel_ari_unsupported" }
+	);
+	assert.equal(pushed.length, 0);
+	assert.deepEqual(await adapter.pushAri({ externalRoomCode: "DBL", startDate: "2027-02-10", price: 400 }), {
+		accepted: 1,
+	});
+	const pulled = await adapter.pullReservations();
+	assert.equal(pulled.reservations.length, 1);
+	assert.equal(pulled.reservations[0].state, "canceled");
+	assert.equal(pulled.reservations[0].channelManager, "ratesonly");
+	assert.deepEqual(pulled.rejected, [{ messageUid: "m-2", issues: ["channel_reservation_invalid"] }]);
+	await assert.rejects(adapter.confirmDelivery({ messageUid: "m-1" }), ChannelManagerError);
+});
+
+test("the simulator runs a booking from ARI push through pull, confirm, modify and cancel", async (t) => {
+	const channel = simulator(t);
+	await channel.pushAri([
+		{ externalRoomCode: "DBL", startDate: "2027-02-10", endDate: "2027-02-14", availability: 2, price: 400 },
+	]);
+
+	const booking = await channel.simulateBooking({
+		externalRoomCode: "DBL",
+		checkinDate: "2027-02-10",
+		checkoutDate: "2027-02-12",
+		guestName: "Sara Ali",
+	});
+	assert.equal(booking.totalCents, 80000);
+
+	let pulled = await channel.pullReservations();
+	assert.equal(pulled.reservations.length, 1);
+	assert.deepEqual(
+		{ ...pulled.reservations[0], payloadHash: undefined },
+		{
+			channelManager: "simulator",
+			messageUid: booking.messageUid,
+			externalId: booking.externalId,
+			channel: "booking",
+			state: "confirmed",
+			modified: false,
+			checkinDate: "2027-02-10",
+			checkoutDate: "2027-02-12",
+			guestName: "Sara Ali",
+			totalCents: 80000,
+			currency: "SAR",
+			rooms: [{ externalRoomCode: "DBL", state: "confirmed" }],
+			payloadHash: undefined,
+			payload: null,
+		}
+	);
+	await channel.confirmDelivery({ messageUid: booking.messageUid, pmsNumber: "PMS-1001" });
+	assert.equal((await channel.pullReservations()).reservations.length, 0);
+	assert.equal((await channel.pullReservations({ undelivered: false })).reservations.length, 1);
+
+	const modified = await channel.simulateModification(booking.externalId, { checkoutDate: "2027-02-14" });
+	assert.notEqual(modified.messageUid, booking.messageUid);
+	await assert.rejects(
+		channel.confirmDelivery({ messageUid: booking.messageUid, pmsNumber: "PMS-1001" }),
+		{ code: "channel_simulator_message_unknown" }
+	);
+	pulled = await channel.pullReservations();
+	assert.equal(pulled.reservations[0].modified, true);
+	assert.equal(pulled.reservations[0].totalCents, 160000);
+	await channel.confirmDelivery({ messageUid: modified.messageUid, pmsNumber: "PMS-1001" });
+
+	let state = await channel.readState();
+	assert.deepEqual(
+		["2027-02-10", "2027-02-13", "2027-02-14"].map((date) => state.inventory.DBL[date].availability),
+		[1, 1, 2]
+	);
+
+	const canceled = await channel.simulateCancellation(booking.externalId);
+	pulled = await channel.pullReservations();
+	assert.equal(pulled.reservations[0].messageUid, canceled.messageUid);
+	assert.equal(pulled.reservations[0].state, "canceled");
+	state = await channel.readState();
+	assert.equal(state.inventory.DBL["2027-02-10"].availability, 2);
+	assert.equal(state.reservations[0].pmsNumber, "PMS-1001");
+	assert.deepEqual(fs.readdirSync(path.dirname(channel.file)), [path.basename(channel.file)]);
+});
+
+test("the simulator only sells what the pushed ARI allows", async (t) => {
+	const channel = simulator(t);
+	const stay = (checkinDate, checkoutDate, rooms = 1) =>
+		channel.simulateBooking({ externalRoomCode: "DBL", checkinDate, checkoutDate, rooms });
+
+	await assert.rejects(stay("2027-02-10", "2027-02-11"), { code: "channel_simulator_room_unknown" });
+	await channel.pushAri([
+		{ externalRoomCode: "DBL", startDate: "2027-02-10", endDate: "2027-02-20", availability: 1, price: 300 },
+		{ externalRoomCode: "DBL", startDate: "2027-02-10", restrictions: { minStay: 3 } },
+		{ externalRoomCode: "DBL", startDate: "2027-02-15", restrictions: { stopSale: true } },
+		{ externalRoomCode: "DBL", startDate: "2027-02-17", restrictions: { cta: true, ctd: true } },
+	]);
+
+	await assert.rejects(stay("2027-02-10", "2027-02-12"), { code: "channel_simulator_min_stay" });
+	await assert.rejects(stay("2027-02-14", "2027-02-16"), { code: "channel_simulator_stop_sale" });
+	await assert.rejects(stay("2027-02-17", "2027-02-18"), { code: "channel_simulator_closed_to_arrival" });
+	await assert.rejects(stay("2027-02-16", "2027-02-17"), { code: "channel_simulator_closed_to_departure" });
+	await assert.rejects(stay("2027-02-11", "2027-02-12", 2), { code: "channel_simulator_sold_out" });
+
+	const booking = await stay("2027-02-10", "2027-02-13");
+	await assert.rejects(stay("2027-02-12", "2027-02-14"), { code: "channel_simulator_sold_out" });
+	await assert.rejects(
+		channel.simulateModification(booking.externalId, { checkoutDate: "2027-02-16" }),
+		{ code: "channel_simulator_stop_sale" }
+	);
+	const state = await channel.readState();
+	assert.equal(state.inventory.DBL["2027-02-12"].availability, 0);
+	assert.equal(state.reservations.length, 1);
+	assert.equal(state.ariLog.length, 4);
+});
+
+test("HotelRunner adapter maps restrictions and reservations through its client", async () => {
+	const calls = [];
+	const client = {
+		updateRoomRestrictions: async (update) => {
+			calls.push(update);
+			if (calls.length === 2) {
+				const error = new Error("rate limited");
+				error.code = "HOTELRUNNER_API_RATE_LIMITED";
+				throw error;
+			}
+		},
+		retrieveReservations: async (options) => {
+			calls.push(options);
+			return {
+				reservations: [
+					{
+						message_uid: "msg-1",
+						reservation_id: "hr-reservation-77",
+						hr_number: "HR-77",
+						provider_number: "BOOKING-77",
+						channel: "bookingcom",
+						state: "confirmed",
+						guest: "Sara Ali",
+						checkin_date: "2027-02-10",
+						checkout_date: "2027-02-12",
+						updated_at: "2026-10-01T10:00:00.000Z",
+						total_guests: 2,
+						total_rooms: 1,
+						total: "800.00",
+						currency: "SAR",
+						rooms: [
+							{
+								id: "room-77",
+								state: "confirmed",
+								inv_code: "HR-DBL",
+								rate_code: "BAR",
+								checkin_date: "2027-02-10",
+								checkout_date: "2027-02-12",
+								nights: 2,
+								total_guest: 2,
+								total_adult: 2,
+								total: "800.00",
+								daily_prices: [
+									{ date: "2027-02-10", price: "400.00" },
+									{ date: "2027-02-11", price: "400.00" },
+								],
+							},
+						],
+					},
+					{ message_uid: "msg-2", hr_number: "HR-78", state: "mystery" },
+				],
+			};
+		},
+		confirmDelivery: async (options) => ({ ...options, confirmed: true }),
+	};
+	const adapter = createHotelRunnerChannelAdapter({ config: { hotelId }, client });
+	assert.deepEqual(adapter.supports, { availability: false, rates: false, restrictions: true });
+	await assert.rejects(
+		adapter.pushAri([{ externalRoomCode: "HR-DBL", startDate: "2027-02-10", price: 400 }]),
+		{ code: "channel_ari_unsupported" }
+	);
+	await assert.rejects(
+		adapter.pushAri([
+			{ externalRoomCode: "HR-DBL", startDate: "2027-02-10", restrictions: { minStay: 3 } },
+			{ externalRoomCode: "HR-DBL", startDate: "2027-02-11", restrictions: { stopSale: true } },
+		]),
+		(error) => error.code === "HOTELRUNNER_API_RATE_LIMITED" && error.accepted === 1
+	);
+	assert.deepEqual(calls[0], {
+		invCode: "HR-DBL",
+		startDate: "2027-02-10",
+		endDate: "2027-02-10",
+		minStay: 3,
+		stopSale: false,
+		cta: false,
+		ctd: false,
+	});
+
+	const pulled = await adapter.pullReservations();
+	assert.equal(calls[2].undelivered, true);
+	assert.equal(pulled.reservations.length, 1);
+	assert.equal(pulled.reservations[0].channelManager, "hotelrunner");
+	assert.equal(pulled.reservations[0].externalId, "HR-77");
+	assert.deepEqual(pulled.reservations[0].rooms, [{ externalRoomCode: "HR-DBL", state: "confirmed" }]);
+	assert.equal(pulled.reservations[0].payload.message_uid, "msg-1");
+	assert.equal(pulled.rejected[0].messageUid, "msg-2");
+	assert.ok(pulled.rejected[0].issues.includes("unknown_state"));
+	assert.equal(pulled.rejected[0].payload.hr_number, "HR-78");
+
+	assert.deepEqual(await adapter.confirmDelivery({ messageUid: "msg-1", pmsNumber: "PMS-1" }), {
+		messageUid: "msg-1",
+		pmsNumber: "PMS-1",
+		confirmed: true,
+	});
+});
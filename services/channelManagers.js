@@ -0,0 +1,32 @@
+"use strict";
+
+const { ChannelManagerError } = require("./channelManagerAdapter");
+const { createChannelSimulatorAdapter } = require("./channelSimulatorAdapter");
+const { createHotelRunnerChannelAdapter } = require("./hotelrunnerChannelAdapter");
+
+const CHANNEL_MANAGER_FACTORIES = Object.freeze({
+	hotelrunner: createHotelRunnerChannelAdapter,
+	simulator: createChannelSimulatorAdapter,
+});
+
+const CHANNEL_MANAGER_KEYS = Object.freeze(Object.keys(CHANNEL_MANAGER_FACTORIES));
+
+/**
+ * Builds the adapter for a channel manager by key. Options are passed to
+ * the adapter's own factory unchanged.
+ */
+const createChannelManagerAdapter = (key, options = {}) => {
+	const factory = CHANNEL_MANAGER_FACTORIES[String(key || "").trim().toLowerCase()];
+	if (!factory) {
+		throw new ChannelManagerError(
+			`Unknown channel manager "${key}". Use one of: ${CHANNEL_MANAGER_KEYS.join(", ")}.`,
+			"channel_manager_unknown"
+		);
+	}
+	return factory(options);
+};
+
+module.exports = {
+	CHANNEL_MANAGER_KEYS,
+	createChannelManagerAdapter,
+};
@@ -0,0 +1,246 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const moment = require("moment-timezone");
+const { ChannelManagerError, defineChannelManagerAdapter } = require("./channelManagerAdapter");
+
+const DEFAULT_DIRECTORY = path.join(os.tmpdir(), "hotel-channel-simulator");
+
+const emptyState = () => ({ inventory: {}, reservations: [], ariLog: [] });
+
+const addDays = (key, days) => moment.utc(key).add(days, "days").format("YYYY-MM-DD");
+
+const eachDate = (start, end, visit) => {
+	for (let date = start; date <= end; date = addDays(date, 1)) visit(date);
+};
+
+const stayNights = (checkinDate, checkoutDate) => {
+	const nights = [];
+	for (let date = checkinDate; date < checkoutDate; date = addDays(date, 1)) nights.push(date);
+	return nights;
+};
+
+const unavailable = (message, code) => new ChannelManagerError(message, code, 409);
+
+/**
+ * A channel manager that lives in one JSON file per hotel. ARI pushed by the
+ * PMS is stored as the channel's sellable inventory, and the `simulate*`
+ * helpers play the OTA guest: they book against that inventory and leave
+ * undelivered messages for the PMS to pull and confirm, the same way a real
+ * channel manager does. Writes go through a temp file and a rename so a
+ * crashed test never leaves a half-written state behind.
+ */
+function createChannelSimulatorAdapter({
+	directory = process.env.CHANNEL_SIMULATOR_DIR || DEFAULT_DIRECTORY,
+	hotelId = "default",
+	currency = "SAR",
+	now = () => new Date(),
+} = {}) {
+	const file = path.join(directory, `${String(hotelId).replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+	let queue = Promise.resolve();
+
+	const readState = async () => {
+		try {
+			return { ...emptyState(), ...JSON.parse(await fs.promises.readFile(file, "utf8")) };
+		} catch (error) {
+			if (error.code === "ENOENT") return emptyState();
+			throw error;
+		}
+	};
+
+	const writeState = async (state) => {
+		await fs.promises.mkdir(directory, { recursive: true });
+		const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+		await fs.promises.writeFile(temp, JSON.stringify(state, null, 2));
+		await fs.promises.rename(temp, file);
+	};
+
+	// Every change is read-modify-write, so changes run one after another.
+	const update = (change) => {
+		const run = queue.then(async () => {
+			const state = await readState();
+			const result = await change(state);
+			await writeState(state);
+			return result;
+		});
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	const findReservation = (state, externalId) => {
+		const reservation = state.reservations.find((item) => item.externalId === externalId);
+		if (!reservation) {
+			throw new ChannelManagerError("The simulated booking was not found.", "channel_simulator_not_found", 404);
+		}
+		return reservation;
+	};
+
+	const newMessage = (reservation) => {
+		reservation.messageUid = crypto.randomUUID();
+		reservation.delivered = false;
+		reservation.updatedAt = now().toISOString();
+	};
+
+	// Checks the stay against pushed ARI the way an OTA extranet would.
+	const assertSellable = (state, { externalRoomCode, checkinDate, checkoutDate, rooms }) => {
+		const days = state.inventory[externalRoomCode];
+		if (!days) throw unavailable("The room is not loaded on the channel.", "channel_simulator_room_unknown");
+		const nights = stayNights(checkinDate, checkoutDate);
+		const arrival = days[checkinDate] || {};
+		if (arrival.cta) throw unavailable("Arrivals are closed on the channel.", "channel_simulator_closed_to_arrival");
+		if (nights.length < (arrival.minStay || 1)) {
+			throw unavailable("The stay is shorter than the channel minimum.", "channel_simulator_min_stay");
+		}
+		if (days[checkoutDate]?.ctd) {
+			throw unavailable("Departures are closed on the channel.", "channel_simulator_closed_to_departure");
+		}
+		let totalCents = 0;
+		nights.forEach((date) => {
+			const day = days[date] || {};
+			if (day.stopSale) throw unavailable("The room is closed on the channel.", "channel_simulator_stop_sale");
+			if (!Number.isInteger(day.availability) || day.availability < rooms) {
+				throw unavailable("The channel has no availability left.", "channel_simulator_sold_out");
+			}
+			if (!(day.price > 0)) throw unavailable("The channel has no rate loaded.", "channel_simulator_no_rate");
+			totalCents += Math.round(day.price * 100) * rooms;
+		});
+		return { nights, totalCents };
+	};
+
+	const adjustAvailability = (state, { externalRoomCode, checkinDate, checkoutDate, rooms }, delta) => {
+		const days = state.inventory[externalRoomCode] || {};
+		stayNights(checkinDate, checkoutDate).forEach((date) => {
+			if (Number.isInteger(days[date]?.availability)) days[date].availability += delta * rooms;
+		});
+	};
+
+	const adapter = defineChannelManagerAdapter({
+		key: "simulator",
+		label: "Channel simulator",
+		supports: { availability: true, rates: true, restrictions: true },
+		pushAri: (updates) =>
+			update((state) => {
+				updates.forEach((ari) => {
+					const days = (state.inventory[ari.externalRoomCode] = state.inventory[ari.externalRoomCode] || {});
+					eachDate(ari.startDate, ari.endDate, (date) => {
+						const day = (days[date] = days[date] || {});
+						if (ari.availability !== null) day.availability = ari.availability;
+						if (ari.price !== null) day.price = ari.price;
+						if (ari.restrictions) Object.assign(day, ari.restrictions);
+					});
+					state.ariLog.push({ ...ari, receivedAt: now().toISOString() });
+				});
+			}),
+		pullReservations: async ({ undelivered = true } = {}) => {
+			const state = await queue.then(readState);
+			return {
+				reservations: state.reservations
+					.filter((reservation) => !undelivered || !reservation.delivered)
+					.map(({ delivered, pmsNumber, updatedAt, ...message }) => message),
+			};
+		},
+		confirmDelivery: ({ messageUid, pmsNumber }) =>
+			update((state) => {
+				const reservation = state.reservations.find((item) => item.messageUid === messageUid);
+				if (!reservation) {
+					throw new ChannelManagerError(
+						"The message is not waiting for delivery.",
+						"channel_simulator_message_unknown",
+						404
+					);
+				}
+				reservation.delivered = true;
+				reservation.pmsNumber = pmsNumber;
+				return { messageUid, pmsNumber, delivered: true };
+			}),
+	});
+
+	return Object.freeze({
+		...adapter,
+		file,
+		readState: () => queue.then(readState),
+		simulateBooking: ({ externalRoomCode, checkinDate, checkoutDate, guestName = "Simulated Guest", rooms = 1, channel = "booking" } = {}) =>
+			update((state) => {
+				const stay = { externalRoomCode, checkinDate, checkoutDate, rooms };
+				const { totalCents } = assertSellable(state, stay);
+				adjustAvailability(state, stay, -1);
+				const reservation = {
+					externalId: `SIM-${crypto.randomBytes(5).toString("hex").toUpperCase()}`,
+					channel,
+					state: "confirmed",
+					modified: false,
+					checkinDate,
+					checkoutDate,
+					guestName,
+					totalCents,
+					currency,
+					rooms: Array.from({ length: rooms }, () => ({ externalRoomCode, state: "confirmed" })),
+					pmsNumber: "",
+				};
+				newMessage(reservation);
+				state.reservations.push(reservation);
+				return { ...reservation };
+			}),
+		simulateModification: (externalId, changes = {}) =>
+			update((state) => {
+				const reservation = findReservation(state, externalId);
+				if (reservation.state === "canceled") {
+					throw unavailable("A cancelled booking cannot be modified.", "channel_simulator_canceled");
+				}
+				const current = {
+					externalRoomCode: reservation.rooms[0].externalRoomCode,
+					checkinDate: reservation.checkinDate,
+					checkoutDate: reservation.checkoutDate,
+					rooms: reservation.rooms.length,
+				};
+				const next = {
+					...current,
+					checkinDate: changes.checkinDate || current.checkinDate,
+					checkoutDate: changes.checkoutDate || current.checkoutDate,
+				};
+				// Release the current stay first so overlapping nights stay sellable.
+				// A refused change throws before the state is written back.
+				adjustAvailability(state, current, 1);
+				const { totalCents } = assertSellable(state, next);
+				adjustAvailability(state, next, -1);
+				Object.assign(reservation, {
+					checkinDate: next.checkinDate,
+					checkoutDate: next.checkoutDate,
+					guestName: changes.guestName || reservation.guestName,
+					totalCents,
+					modified: true,
+				});
+				newMessage(reservation);
+				return { ...reservation };
+			}),
+		simulateCancellation: (externalId) =>
+			update((state) => {
+				const reservation = findReservation(state, externalId);
+				if (reservation.state !== "canceled") {
+					adjustAvailability(
+						state,
+						{
+							externalRoomCode: reservation.rooms[0].externalRoomCode,
+							checkinDate: reservation.checkinDate,
+							checkoutDate: reservation.checkoutDate,
+							rooms: reservation.rooms.length,
+						},
+						1
+					);
+					reservation.state = "canceled";
+					reservation.rooms.forEach((room) => {
+						room.state = "canceled";
+					});
+					newMessage(reservation);
+				}
+				return { ...reservation };
+			}),
+	});
+}
+
+module.exports = {
+	createChannelSimulatorAdapter,
+};
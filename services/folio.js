@@ -0,0 +1,314 @@
+"use strict";
+
+const crypto = require("crypto");
+
+class FolioError extends Error {
+	constructor(message, code = "folio_invalid", statusCode = 400) {
+		super(message);
+		this.name = "FolioError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const FOLIO_KINDS = Object.freeze(["guest", "company"]);
+const FOLIO_CHARGE_CATEGORIES = Object.freeze([
+	"minibar",
+	"laundry",
+	"transport",
+	"meal",
+	"room_service",
+	"telephone",
+	"damage",
+	"other",
+]);
+// Desk settlements land in the same paid_amount_breakdown categories staff
+// already use, so payout reconciliation sees the money. Direct-bill folios
+// are invoiced to the company and collect nothing at the desk.
+const FOLIO_SETTLEMENT_METHODS = Object.freeze({
+	cash: "paid_at_hotel_cash",
+	card: "paid_at_hotel_card",
+	bank_transfer: "paid_to_hotel",
+	direct_bill: null,
+});
+const FOLIO_CLOSED_STATUS_REGEX =
+	/cancel|no[_\s-]?show|reject|void|relocat|checked[_\s-]?out|checkedout|closed/i;
+const GUEST_FOLIO_LABEL = "Guest folio";
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+};
+
+const clean = (value, max = 200) =>
+	String(value == null ? "" : value)
+		.trim()
+		.slice(0, max);
+
+const folioId = () => crypto.randomUUID();
+
+const reservationFolios = (reservation = {}) =>
+	Array.isArray(reservation.folios) ? reservation.folios : [];
+
+const assertReservationOpenForPosting = (reservation = {}) => {
+	const status = clean(reservation.reservation_status || reservation.state, 60);
+	if (FOLIO_CLOSED_STATUS_REGEX.test(status)) {
+		throw new FolioError(
+			`Charges cannot be posted to a reservation with status "${status}".`,
+			"folio_reservation_closed",
+			409
+		);
+	}
+};
+
+const findFolio = (reservation = {}, id) => {
+	const folio = reservationFolios(reservation).find((item) => item._id === id);
+	if (!folio) {
+		throw new FolioError("Folio not found.", "folio_not_found", 404);
+	}
+	return folio;
+};
+
+const assertFolioOpen = (folio = {}) => {
+	if (folio.status === "settled") {
+		throw new FolioError(
+			"This folio is already settled.",
+			"folio_settled",
+			409
+		);
+	}
+};
+
+const buildFolio = (input = {}, { actor = null, at = new Date() } = {}) => {
+	const kind = clean(input.kind || "guest", 20);
+	if (!FOLIO_KINDS.includes(kind)) {
+		throw new FolioError(
+			`Folio kind must be one of ${FOLIO_KINDS.join(", ")}.`,
+			"folio_kind_invalid"
+		);
+	}
+	const billTo = input.billTo || {};
+	const company = clean(billTo.company, 160);
+	if (kind === "company" && !company) {
+		throw new FolioError(
+			"A company folio needs the company it is billed to.",
+			"folio_company_required"
+		);
+	}
+	return {
+		_id: folioId(),
+		kind,
+		label: clean(input.label, 80) || (kind === "company" ? company : GUEST_FOLIO_LABEL),
+		billTo: {
+			name: clean(billTo.name, 160),
+			company,
+			vatNumber: clean(billTo.vatNumber, 40),
+			email: clean(billTo.email, 160).toLowerCase(),
+		},
+		status: "open",
+		charges: [],
+		payments: [],
+		createdAt: at,
+		createdBy: actor,
+		settledAt: null,
+		settledBy: null,
+	};
+};
+
+const normalizeFolioChargeInput = (input = {}, { actor = null, at = new Date() } = {}) => {
+	const category = clean(input.category, 30);
+	if (!FOLIO_CHARGE_CATEGORIES.includes(category)) {
+		throw new FolioError(
+			`Charge category must be one of ${FOLIO_CHARGE_CATEGORIES.join(", ")}.`,
+			"folio_charge_category_invalid"
+		);
+	}
+	const quantity =
+		input.quantity === undefined || input.quantity === "" ? 1 : Number(input.quantity);
+	if (!Number.isInteger(quantity) || quantity < 1) {
+		throw new FolioError(
+			"Quantity must be a whole number of 1 or more.",
+			"folio_charge_quantity_invalid"
+		);
+	}
+	const unitPrice = n2(input.unitPrice);
+	if (!(unitPrice > 0)) {
+		throw new FolioError(
+			"Unit price must be greater than zero.",
+			"folio_charge_price_invalid"
+		);
+	}
+	const chargeDate = input.chargeDate ? new Date(input.chargeDate) : at;
+	if (Number.isNaN(chargeDate.valueOf())) {
+		throw new FolioError("Charge date is invalid.", "folio_charge_date_invalid");
+	}
+	return {
+		_id: folioId(),
+		category,
+		description: clean(input.description, 200) || category.replace(/_/g, " "),
+		quantity,
+		unitPrice,
+		amount: n2(quantity * unitPrice),
+		chargeDate,
+		reference: clean(input.reference, 80),
+		postedAt: at,
+		postedBy: actor,
+		voided: false,
+		voidedAt: null,
+		voidedBy: null,
+		voidReason: "",
+	};
+};
+
+const summarizeFolio = (folio = {}) => {
+	const charges = (Array.isArray(folio.charges) ? folio.charges : []).filter(
+		(charge) => !charge.voided
+	);
+	const payments = Array.isArray(folio.payments) ? folio.payments : [];
+	const chargesTotal = n2(charges.reduce((sum, charge) => sum + n2(charge.amount), 0));
+	const paymentsTotal = n2(
+		payments.reduce((sum, payment) => sum + n2(payment.amount), 0)
+	);
+	const byCategory = {};
+	charges.forEach((charge) => {
+		byCategory[charge.category] = n2((byCategory[charge.category] || 0) + n2(charge.amount));
+	});
+	return {
+		_id: folio._id,
+		kind: folio.kind,
+		label: folio.label,
+		status: folio.status,
+		chargesCount: charges.length,
+		chargesTotal,
+		paymentsTotal,
+		balance: n2(chargesTotal - paymentsTotal),
+		byCategory,
+	};
+};
+
+const summarizeReservationFolios = (reservation = {}) => {
+	const folios = reservationFolios(reservation).map(summarizeFolio);
+	return {
+		folios,
+		chargesTotal: n2(folios.reduce((sum, folio) => sum + folio.chargesTotal, 0)),
+		paymentsTotal: n2(folios.reduce((sum, folio) => sum + folio.paymentsTotal, 0)),
+		openBalance: n2(
+			folios
+				.filter((folio) => folio.status !== "settled")
+				.reduce((sum, folio) => sum + folio.balance, 0)
+		),
+	};
+};
+
+/**
+ * Builds the payment that closes a folio. The full balance is always settled
+ * in one go; direct billing is only allowed for company folios. chargesTotal
+ * is what the folio adds to the reservation total.
+ */
+const buildFolioSettlement = (folio = {}, input = {}, { actor = null, at = new Date() } = {}) => {
+	assertFolioOpen(folio);
+	const method = clean(input.method, 30);
+	if (!Object.prototype.hasOwnProperty.call(FOLIO_SETTLEMENT_METHODS, method)) {
+		throw new FolioError(
+			`Settlement method must be one of ${Object.keys(FOLIO_SETTLEMENT_METHODS).join(", ")}.`,
+			"folio_settlement_method_invalid"
+		);
+	}
+	if (method === "direct_bill" && folio.kind !== "company") {
+		throw new FolioError(
+			"Only company folios can be settled by direct billing.",
+			"folio_direct_bill_guest"
+		);
+	}
+	const { balance, chargesTotal } = summarizeFolio(folio);
+	return {
+		chargesTotal,
+		payment: {
+			_id: folioId(),
+			method,
+			amount: Math.max(balance, 0),
+			reference: clean(input.reference, 80),
+			at,
+			by: actor,
+		},
+		breakdownKey: FOLIO_SETTLEMENT_METHODS[method],
+	};
+};
+
+/**
+ * Moves a charge to another folio of the same reservation, e.g. room service
+ * the company agreed to cover.
+ */
+const planChargeTransfer = (reservation = {}, { fromFolioId, toFolioId, chargeId } = {}) => {
+	if (!toFolioId || fromFolioId === toFolioId) {
+		throw new FolioError(
+			"Choose a different folio to move the charge to.",
+			"folio_transfer_target_invalid"
+		);
+	}
+	const from = findFolio(reservation, fromFolioId);
+	const to = findFolio(reservation, toFolioId);
+	assertFolioOpen(from);
+	assertFolioOpen(to);
+	const charge = (from.charges || []).find((item) => item._id === chargeId);
+	if (!charge || charge.voided) {
+		throw new FolioError("Charge not found.", "folio_charge_not_found", 404);
+	}
+	return { from, to, charge };
+};
+
+const openFolioBalance = (reservation = {}) =>
+	summarizeReservationFolios(reservation).folios.filter(
+		(folio) => folio.status !== "settled" && folio.balance > 0
+	);
+
+// Checkout leaves no guest money on the table: every folio with a balance
+// must be settled (company folios by direct bill if need be) first.
+const assertFoliosSettledForCheckout = (reservation = {}) => {
+	const unsettled = openFolioBalance(reservation);
+	if (unsettled.length) {
+		const error = new FolioError(
+			`Settle ${unsettled.map((folio) => `${folio.label} (${folio.balance} SAR)`).join(", ")} before checkout.`,
+			"folio_unsettled",
+			409
+		);
+		error.folios = unsettled;
+		throw error;
+	}
+};
+
+const folioAuditEntry = ({ actor = null, action, folio = {}, note = "", from = null, to = null, at = new Date() }) => ({
+	at,
+	action,
+	field: "folios",
+	by: {
+		_id: actor?._id || undefined,
+		name: actor?.name || "System",
+		role: actor?.role || "system",
+	},
+	from,
+	to,
+	note: [folio.label, note].filter(Boolean).join(": "),
+});
+
+const describeFolioCharge = (charge = {}) =>
+	`${charge.quantity} x ${charge.description} @ ${charge.unitPrice} SAR = ${charge.amount} SAR`;
+
+module.exports = {
+	FOLIO_CHARGE_CATEGORIES,
+	FOLIO_KINDS,
+	FOLIO_SETTLEMENT_METHODS,
+	FolioError,
+	GUEST_FOLIO_LABEL,
+	assertFoliosSettledForCheckout,
+	assertReservationOpenForPosting,
+	buildFolio,
+	buildFolioSettlement,
+	describeFolioCharge,
+	findFolio,
+	folioAuditEntry,
+	normalizeFolioChargeInput,
+	planChargeTransfer,
+	summarizeFolio,
+	summarizeReservationFolios,
+};
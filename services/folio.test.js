@@ -0,0 +1,154 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	FolioError,
+	assertFoliosSettledForCheckout,
+	assertReservationOpenForPosting,
+	buildFolio,
+	buildFolioSettlement,
+	normalizeFolioChargeInput,
+	planChargeTransfer,
+	summarizeReservationFolios,
+} = require("./folio");
+const { buildOfficialReceiptView, renderOfficialReceiptHtml } = require("./officialReceipt");
+
+const actor = { _id: "u1", name: "Front Desk", role: 2000 };
+
+const folioWith = (overrides = {}, charges = []) => ({
+	...buildFolio(overrides, { actor }),
+	charges: charges.map((charge) => normalizeFolioChargeInput(charge, { actor })),
+});
+
+test("charges are itemised and validated", () => {
+	const charge = normalizeFolioChargeInput(
+		{ category: "minibar", description: "Water", quantity: 3, unitPrice: "4.5" },
+		{ actor }
+	);
+	assert.equal(charge.amount, 13.5);
+	assert.equal(charge.postedBy.name, "Front Desk");
+	assert.equal(charge.voided, false);
+
+	assert.throws(() => normalizeFolioChargeInput({ category: "spa", unitPrice: 10 }), {
+		code: "folio_charge_category_invalid",
+	});
+	assert.throws(() => normalizeFolioChargeInput({ category: "laundry", quantity: 1.5, unitPrice: 10 }), {
+		code: "folio_charge_quantity_invalid",
+	});
+	assert.throws(() => normalizeFolioChargeInput({ category: "laundry", unitPrice: 0 }), (error) =>
+		error instanceof FolioError && error.code === "folio_charge_price_invalid"
+	);
+	assert.throws(() => assertReservationOpenForPosting({ reservation_status: "checked_out" }), {
+		statusCode: 409,
+	});
+	assert.doesNotThrow(() => assertReservationOpenForPosting({ reservation_status: "inhouse" }));
+});
+
+test("company folios need a company and can be direct billed", () => {
+	assert.throws(() => buildFolio({ kind: "company" }), { code: "folio_company_required" });
+	const company = folioWith({ kind: "company", billTo: { company: "Acme Travel" } }, [
+		{ category: "transport", unitPrice: 150 },
+	]);
+	assert.equal(company.label, "Acme Travel");
+
+	const billed = buildFolioSettlement(company, { method: "direct_bill", reference: "INV-7" }, { actor });
+	assert.equal(billed.payment.amount, 150);
+	assert.equal(billed.breakdownKey, null);
+
+	const guest = folioWith({}, [{ category: "meal", unitPrice: 80 }]);
+	assert.throws(() => buildFolioSettlement(guest, { method: "direct_bill" }), {
+		code: "folio_direct_bill_guest",
+	});
+	const cash = buildFolioSettlement(guest, { method: "cash" }, { actor });
+	assert.equal(cash.breakdownKey, "paid_at_hotel_cash");
+	assert.equal(cash.payment.amount, 80);
+	assert.equal(cash.chargesTotal, 80);
+});
+
+test("voided charges drop out of totals and checkout waits for open balances", () => {
+	const guest = folioWith({}, [
+		{ category: "minibar", unitPrice: 20 },
+		{ category: "damage", unitPrice: 300 },
+	]);
+	guest.charges[1].voided = true;
+	const company = {
+		...folioWith({ kind: "company", billTo: { company: "Acme" } }, [
+			{ category: "laundry", quantity: 2, unitPrice: 25 },
+		]),
+		status: "settled",
+		payments: [{ method: "direct_bill", amount: 50 }],
+	};
+	const reservation = { folios: [guest, company] };
+
+	const summary = summarizeReservationFolios(reservation);
+	assert.equal(summary.chargesTotal, 70);
+	assert.equal(summary.paymentsTotal, 50);
+	assert.equal(summary.openBalance, 20);
+	assert.deepEqual(summary.folios[0].byCategory, { minibar: 20 });
+
+	assert.throws(
+		() => assertFoliosSettledForCheckout(reservation),
+		(error) =>
+			error.code === "folio_unsettled" &&
+			error.statusCode === 409 &&
+			error.folios.length === 1 &&
+			error.folios[0].balance === 20
+	);
+	assert.doesNotThrow(() => assertFoliosSettledForCheckout({ folios: [company] }));
+	assert.doesNotThrow(() => assertFoliosSettledForCheckout({}));
+});
+
+test("charges move only between open folios of the same reservation", () => {
+	const guest = folioWith({}, [{ category: "room_service", unitPrice: 60 }]);
+	const company = folioWith({ kind: "company", billTo: { company: "Acme" } });
+	const reservation = { folios: [guest, company] };
+	const plan = planChargeTransfer(reservation, {
+		fromFolioId: guest._id,
+		toFolioId: company._id,
+		chargeId: guest.charges[0]._id,
+	});
+	assert.equal(plan.to._id, company._id);
+	assert.equal(plan.charge.amount, 60);
+
+	assert.throws(
+		() => planChargeTransfer(reservation, { fromFolioId: guest._id, toFolioId: guest._id }),
+		{ code: "folio_transfer_target_invalid" }
+	);
+	company.status = "settled";
+	assert.throws(
+		() =>
+			planChargeTransfer(reservation, {
+				fromFolioId: guest._id,
+				toFolioId: company._id,
+				chargeId: guest.charges[0]._id,
+			}),
+		{ code: "folio_settled" }
+	);
+});
+
+test("the invoice lists folio charges without voided lines", () => {
+	const guest = folioWith({}, [
+		{ category: "minibar", description: "Juice <b>", quantity: 2, unitPrice: 12 },
+		{ category: "laundry", description: "Pressing", unitPrice: 40 },
+	]);
+	guest.charges[1].voided = true;
+	const reservationData = {
+		confirmation_number: "1234567890",
+		checkin_date: "2026-07-14",
+		checkout_date: "2026-07-16",
+		total_amount: 500,
+		customer_details: { name: "Guest" },
+		folios: [guest, folioWith({ kind: "company", billTo: { company: "Acme" } })],
+	};
+	const view = buildOfficialReceiptView(reservationData, { hotelName: "Hotel" });
+	assert.equal(view.folios.length, 1);
+	assert.equal(view.folios[0].charges.length, 1);
+	assert.equal(view.folios[0].balance, 24);
+
+	const html = renderOfficialReceiptHtml(reservationData, { hotelName: "Hotel" });
+	assert.match(html, /Incidental Charges - Guest folio/);
+	assert.match(html, /Juice &lt;b&gt;/);
+	assert.doesNotMatch(html, /Pressing/);
+	assert.doesNotMatch(renderOfficialReceiptHtml({ total_amount: 1 }, {}), /Incidental Charges/);
+});
@@ -0,0 +1,315 @@
+"use strict";
+
+const moment = require("moment-timezone");
+const {
+	isPendingConfirmationReservation,
+	shouldCountReservationForInventory,
+} = require("./reservationStatus");
+
+class FrontDeskError extends Error {
+	constructor(message, code = "front_desk_invalid", statusCode = 400) {
+		super(message);
+		this.name = "FrontDeskError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const FRONT_DESK_TIMEZONE = "Asia/Riyadh";
+const IN_HOUSE_STATUS = "inhouse";
+const CHECKED_OUT_STATUS = "checked_out";
+const CHECK_IN_READY_STATUSES = Object.freeze(["confirmed", "ok", "reserved"]);
+const IN_HOUSE_STATUS_REGEX = /^(?:in[_\s-]?house|checked[_\s-]?in|checkin)$/i;
+
+const statusKey = (value = "") =>
+	String(value || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "");
+
+const normalizeId = (value) => {
+	if (!value) return "";
+	if (typeof value === "object" && value._id) return String(value._id);
+	return String(value);
+};
+
+const normalizeRoomType = (value = "") =>
+	String(value || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "");
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+// Stay dates are stored as UTC calendar days; "today" is the hotel's day.
+const frontDeskTodayKey = (now = new Date()) =>
+	moment(now).tz(FRONT_DESK_TIMEZONE).format("YYYY-MM-DD");
+
+const isInHouseReservation = (reservation = {}) =>
+	IN_HOUSE_STATUS_REGEX.test(String(reservation.reservation_status || "").trim());
+
+const reservationRoomCount = (reservation = {}) => {
+	const picked = Array.isArray(reservation.pickedRoomsType)
+		? reservation.pickedRoomsType
+		: [];
+	const fromPicked = picked.reduce(
+		(sum, room) => sum + Math.max(Number(room?.count) || 1, 1),
+		0
+	);
+	return Math.max(fromPicked, Number(reservation.total_rooms) || 0, 1);
+};
+
+const reservationRoomTypes = (reservation = {}) =>
+	new Set(
+		(Array.isArray(reservation.pickedRoomsType) ? reservation.pickedRoomsType : [])
+			.flatMap((room) => [room?.room_type, room?.displayName])
+			.map(normalizeRoomType)
+			.filter(Boolean)
+	);
+
+/**
+ * Validates the rooms requested for a reservation: de-duplicated ids, no more
+ * rooms than were booked.
+ */
+const normalizeRoomAssignmentInput = (input = {}, reservation = {}) => {
+	const raw = Array.isArray(input.roomIds)
+		? input.roomIds
+		: input.roomId
+		? [input.roomId]
+		: [];
+	const roomIds = [...new Set(raw.map(normalizeId).filter(Boolean))];
+	if (!roomIds.length) {
+		throw new FrontDeskError("Choose at least one room to assign.", "front_desk_room_required");
+	}
+	if (roomIds.some((roomId) => !/^[a-f0-9]{24}$/i.test(roomId))) {
+		throw new FrontDeskError("One of the rooms is not valid.", "front_desk_room_invalid");
+	}
+	const booked = reservationRoomCount(reservation);
+	if (roomIds.length > booked) {
+		throw new FrontDeskError(
+			`This reservation is for ${booked} room(s); ${roomIds.length} were chosen.`,
+			"front_desk_room_count_exceeded"
+		);
+	}
+	return {
+		roomIds,
+		allowRoomTypeChange: input.allowRoomTypeChange === true,
+	};
+};
+
+/**
+ * Checks each requested room against the hotel's room list and the other
+ * reservations holding rooms over the same nights. Clean rooms are only
+ * required when the guest is being put in the room now.
+ */
+const assertRoomsAssignable = (
+	reservation = {},
+	{ roomIds = [], rooms = [], conflicts = [], requireClean = false, allowRoomTypeChange = false } = {}
+) => {
+	const roomsById = new Map(rooms.map((room) => [normalizeId(room), room]));
+	const bookedTypes = reservationRoomTypes(reservation);
+	const occupiedBy = new Map();
+	conflicts
+		.filter(
+			(other) =>
+				normalizeId(other) !== normalizeId(reservation) &&
+				(isInHouseReservation(other) ||
+					shouldCountReservationForInventory(other, { includePendingConfirmation: true }))
+		)
+		.forEach((other) => {
+			(Array.isArray(other.roomId) ? other.roomId : [other.roomId])
+				.map(normalizeId)
+				.filter(Boolean)
+				.forEach((roomId) => occupiedBy.set(roomId, other.confirmation_number || ""));
+		});
+
+	return roomIds.map((roomId) => {
+		const room = roomsById.get(roomId);
+		if (
+			!room ||
+			normalizeId(room.hotelId) !== normalizeId(reservation.hotelId) ||
+			room.active === false ||
+			room.activeRoom === false
+		) {
+			throw new FrontDeskError(
+				"One of the rooms is not an active room of this hotel.",
+				"front_desk_room_not_found",
+				404
+			);
+		}
+		const label = room.room_number || roomId;
+		if (
+			!allowRoomTypeChange &&
+			bookedTypes.size &&
+			![room.room_type, room.display_name]
+				.map(normalizeRoomType)
+				.some((type) => type && bookedTypes.has(type))
+		) {
+			throw new FrontDeskError(
+				`Room ${label} is a ${room.display_name || room.room_type}, which was not booked.`,
+				"front_desk_room_type_mismatch",
+				409
+			);
+		}
+		if (occupiedBy.has(roomId)) {
+			throw new FrontDeskError(
+				`Room ${label} is already assigned to reservation ${occupiedBy.get(roomId)} for these nights.`,
+				"front_desk_room_occupied",
+				409
+			);
+		}
+		if (requireClean && room.cleanRoom === false) {
+			throw new FrontDeskError(
+				`Room ${label} is not clean yet.`,
+				"front_desk_room_dirty",
+				409
+			);
+		}
+		return room;
+	});
+};
+
+const assertCheckInAllowed = (reservation = {}, { now = new Date() } = {}) => {
+	if (isInHouseReservation(reservation)) {
+		throw new FrontDeskError("The guest is already checked in.", "front_desk_already_in_house", 409);
+	}
+	if (
+		isPendingConfirmationReservation(reservation) ||
+		!CHECK_IN_READY_STATUSES.includes(statusKey(reservation.reservation_status))
+	) {
+		throw new FrontDeskError(
+			`A reservation with status "${reservation.reservation_status || "unknown"}" cannot be checked in.`,
+			"front_desk_check_in_status",
+			409
+		);
+	}
+	const today = frontDeskTodayKey(now);
+	const checkin = dayKey(reservation.checkin_date);
+	const checkout = dayKey(reservation.checkout_date);
+	if (checkin && today < checkin) {
+		throw new FrontDeskError(
+			`Check-in opens on ${checkin}; move the stay dates to check in early.`,
+			"front_desk_check_in_too_early",
+			409
+		);
+	}
+	if (checkout && today >= checkout) {
+		throw new FrontDeskError(
+			`This stay ended on ${checkout}.`,
+			"front_desk_check_in_too_late",
+			409
+		);
+	}
+};
+
+const assertCheckOutAllowed = (reservation = {}) => {
+	if (!isInHouseReservation(reservation)) {
+		throw new FrontDeskError(
+			"Only in-house guests can be checked out.",
+			"front_desk_not_in_house",
+			409
+		);
+	}
+};
+
+const frontDeskAuditEntry = ({ actor = null, action, field, from = null, to = null, note = "", at = new Date() }) => ({
+	at,
+	action,
+	field,
+	by: {
+		_id: actor?._id || undefined,
+		name: actor?.name || "System",
+		role: actor?.role || "system",
+	},
+	from,
+	to,
+	note,
+});
+
+const roomNumbersNote = (rooms = []) =>
+	rooms.length
+		? `Room(s) ${rooms.map((room) => room.room_number || normalizeId(room)).join(", ")}`
+		: "";
+
+const buildRoomAssignmentUpdate = (reservation = {}, rooms = [], { actor = null, at = new Date() } = {}) => {
+	const from = (Array.isArray(reservation.roomId) ? reservation.roomId : [])
+		.map(normalizeId)
+		.filter(Boolean);
+	const to = rooms.map(normalizeId);
+	const entry = frontDeskAuditEntry({
+		actor,
+		action: "rooms_assigned",
+		field: "roomId",
+		from,
+		to,
+		note: roomNumbersNote(rooms),
+		at,
+	});
+	return {
+		$set: { roomId: rooms.map((room) => room._id) },
+		$push: { adminChangeLog: entry, reservationAuditLog: entry },
+	};
+};
+
+const buildCheckInUpdate = (reservation = {}, rooms = [], { actor = null, at = new Date() } = {}) => {
+	const entry = frontDeskAuditEntry({
+		actor,
+		action: "guest_checked_in",
+		field: "reservation_status",
+		from: reservation.reservation_status || "",
+		to: IN_HOUSE_STATUS,
+		note: roomNumbersNote(rooms),
+		at,
+	});
+	return {
+		$set: {
+			roomId: rooms.map((room) => room._id),
+			reservation_status: IN_HOUSE_STATUS,
+			state: IN_HOUSE_STATUS,
+			inhouse_date: at,
+		},
+		$push: { adminChangeLog: entry, reservationAuditLog: entry },
+	};
+};
+
+const buildCheckOutUpdate = (reservation = {}, { actor = null, at = new Date(), note = "" } = {}) => {
+	const entry = frontDeskAuditEntry({
+		actor,
+		action: "guest_checked_out",
+		field: "reservation_status",
+		from: reservation.reservation_status || "",
+		to: CHECKED_OUT_STATUS,
+		note: String(note || "").trim().slice(0, 300),
+		at,
+	});
+	return {
+		$set: {
+			reservation_status: CHECKED_OUT_STATUS,
+			state: CHECKED_OUT_STATUS,
+			checked_out_at: at,
+		},
+		$push: { adminChangeLog: entry, reservationAuditLog: entry },
+	};
+};
+
+module.exports = {
+	CHECKED_OUT_STATUS,
+	FrontDeskError,
+	IN_HOUSE_STATUS,
+	assertCheckInAllowed,
+	assertCheckOutAllowed,
+	assertRoomsAssignable,
+	buildCheckInUpdate,
+	buildCheckOutUpdate,
+	buildRoomAssignmentUpdate,
+	dayKey,
+	frontDeskTodayKey,
+	isInHouseReservation,
+	normalizeRoomAssignmentInput,
+	reservationRoomCount,
+};
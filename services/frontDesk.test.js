@@ -0,0 +1,128 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	FrontDeskError,
+	assertCheckInAllowed,
+	assertCheckOutAllowed,
+	assertRoomsAssignable,
+	buildCheckInUpdate,
+	buildCheckOutUpdate,
+	normalizeRoomAssignmentInput,
+} = require("./frontDesk");
+
+const hotelId = "65a000000000000000000001";
+const roomA = "65a0000000000000000000a1";
+const roomB = "65a0000000000000000000b2";
+
+const reservation = (overrides = {}) => ({
+	_id: "65a0000000000000000000f1",
+	hotelId,
+	confirmation_number: "1111111111",
+	reservation_status: "confirmed",
+	checkin_date: new Date("2026-11-10T00:00:00.000Z"),
+	checkout_date: new Date("2026-11-12T00:00:00.000Z"),
+	pickedRoomsType: [{ room_type: "doubleRooms", displayName: "Double Room", count: 1 }],
+	roomId: [],
+	...overrides,
+});
+
+const room = (overrides = {}) => ({
+	_id: roomA,
+	hotelId,
+	room_number: "101",
+	room_type: "doubleRooms",
+	cleanRoom: true,
+	...overrides,
+});
+
+test("room assignment input is capped at the booked room count", () => {
+	assert.deepEqual(normalizeRoomAssignmentInput({ roomIds: [roomA, roomA] }, reservation()).roomIds, [roomA]);
+	assert.throws(() => normalizeRoomAssignmentInput({}, reservation()), {
+		code: "front_desk_room_required",
+	});
+	assert.throws(() => normalizeRoomAssignmentInput({ roomIds: [roomA, roomB] }, reservation()), {
+		code: "front_desk_room_count_exceeded",
+	});
+	assert.throws(() => normalizeRoomAssignmentInput({ roomId: "101" }, reservation()), {
+		code: "front_desk_room_invalid",
+	});
+});
+
+test("assigned rooms must be free, of the booked type and clean at check-in", () => {
+	const base = { roomIds: [roomA], rooms: [room()], conflicts: [] };
+	assert.equal(assertRoomsAssignable(reservation(), base)[0].room_number, "101");
+
+	assert.throws(
+		() => assertRoomsAssignable(reservation(), { ...base, rooms: [room({ hotelId: "65a000000000000000000002" })] }),
+		{ code: "front_desk_room_not_found", statusCode: 404 }
+	);
+	assert.throws(
+		() => assertRoomsAssignable(reservation(), { ...base, rooms: [room({ room_type: "suite" })] }),
+		{ code: "front_desk_room_type_mismatch" }
+	);
+	assert.doesNotThrow(() =>
+		assertRoomsAssignable(reservation(), {
+			...base,
+			rooms: [room({ room_type: "suite" })],
+			allowRoomTypeChange: true,
+		})
+	);
+
+	const occupying = { _id: "other", confirmation_number: "2222222222", reservation_status: "confirmed", roomId: [roomA] };
+	assert.throws(
+		() => assertRoomsAssignable(reservation(), { ...base, conflicts: [occupying] }),
+		(error) => error instanceof FrontDeskError && error.code === "front_desk_room_occupied" && /2222222222/.test(error.message)
+	);
+	assert.doesNotThrow(() =>
+		assertRoomsAssignable(reservation(), {
+			...base,
+			conflicts: [{ ...occupying, reservation_status: "cancelled" }],
+		})
+	);
+
+	const dirty = { ...base, rooms: [room({ cleanRoom: false })] };
+	assert.doesNotThrow(() => assertRoomsAssignable(reservation(), dirty));
+	assert.throws(() => assertRoomsAssignable(reservation(), { ...dirty, requireClean: true }), {
+		code: "front_desk_room_dirty",
+		statusCode: 409,
+	});
+});
+
+test("check-in only opens on the arrival day for confirmed reservations", () => {
+	const arrivalDay = new Date("2026-11-10T08:00:00.000Z");
+	assert.doesNotThrow(() => assertCheckInAllowed(reservation(), { now: arrivalDay }));
+	assert.throws(() => assertCheckInAllowed(reservation(), { now: new Date("2026-11-09T12:00:00.000Z") }), {
+		code: "front_desk_check_in_too_early",
+	});
+	// 22:00 UTC on the 11th is already the 12th in Riyadh, the checkout day.
+	assert.throws(() => assertCheckInAllowed(reservation(), { now: new Date("2026-11-11T22:00:00.000Z") }), {
+		code: "front_desk_check_in_too_late",
+	});
+	assert.throws(() => assertCheckInAllowed(reservation({ reservation_status: "pending confirmation" }), { now: arrivalDay }), {
+		code: "front_desk_check_in_status",
+	});
+	assert.throws(() => assertCheckInAllowed(reservation({ reservation_status: "inhouse" }), { now: arrivalDay }), {
+		code: "front_desk_already_in_house",
+	});
+});
+
+test("check-in and checkout updates flip the status and leave an audit trail", () => {
+	const actor = { _id: "u1", name: "Desk", role: 2000 };
+	const at = new Date("2026-11-10T10:00:00.000Z");
+	const checkIn = buildCheckInUpdate(reservation(), [room()], { actor, at });
+	assert.equal(checkIn.$set.reservation_status, "inhouse");
+	assert.equal(checkIn.$set.inhouse_date, at);
+	assert.deepEqual(checkIn.$set.roomId, [roomA]);
+	assert.equal(checkIn.$push.reservationAuditLog.action, "guest_checked_in");
+	assert.equal(checkIn.$push.reservationAuditLog.note, "Room(s) 101");
+
+	assert.throws(() => assertCheckOutAllowed(reservation()), { code: "front_desk_not_in_house" });
+	assert.doesNotThrow(() => assertCheckOutAllowed(reservation({ reservation_status: "InHouse" })));
+	const checkOut = buildCheckOutUpdate(reservation({ reservation_status: "inhouse" }), { actor, at, note: " Late " });
+	assert.equal(checkOut.$set.reservation_status, "checked_out");
+	assert.equal(checkOut.$set.checked_out_at, at);
+	assert.equal(checkOut.$push.adminChangeLog.from, "inhouse");
+	assert.equal(checkOut.$push.adminChangeLog.note, "Late");
+});
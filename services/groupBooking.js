@@ -0,0 +1,536 @@
+"use strict";
+
+const moment = require("moment");
+
+class GroupBookingError extends Error {
+	constructor(message, code = "group_booking_invalid", statusCode = 400, details) {
+		super(message);
+		this.name = "GroupBookingError";
+		this.code = code;
+		this.statusCode = statusCode;
+		if (details) this.details = details;
+	}
+}
+
+const GROUP_BOOKING_SOURCE = "group booking";
+const ACTIVE_ROOMING_STATUSES = new Set(["pending", "reserved"]);
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Number(number.toFixed(2)) : 0;
+};
+
+const normalizeKey = (value) =>
+	String(value || "")
+		.replace(/[\u2013\u2014\u2212]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+
+const parseDay = (value) => {
+	if (!value) return null;
+	const day =
+		typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)
+			? moment.utc(value.slice(0, 10), "YYYY-MM-DD", true)
+			: moment.utc(new Date(value));
+	return day.isValid() ? day.startOf("day") : null;
+};
+
+const stayNights = (checkin, checkout) => {
+	const start = parseDay(checkin);
+	const end = parseDay(checkout);
+	if (!start || !end) return 0;
+	return Math.max(end.diff(start, "days"), 0);
+};
+
+const stayDateKeys = (checkin, checkout) => {
+	const start = parseDay(checkin);
+	const nights = stayNights(checkin, checkout);
+	return Array.from({ length: nights }, (_, index) =>
+		start.clone().add(index, "days").format("YYYY-MM-DD")
+	);
+};
+
+const allotmentKey = (line = {}) =>
+	normalizeKey(line.displayName || line.room_type || line.roomType);
+
+const findHotelRoom = (hotel = {}, line = {}) => {
+	const rooms = Array.isArray(hotel.roomCountDetails)
+		? hotel.roomCountDetails
+		: [];
+	const roomType = normalizeKey(line.room_type || line.roomType);
+	const displayName = normalizeKey(line.displayName);
+	return (
+		rooms.find(
+			(room) =>
+				normalizeKey(room.roomType) === roomType &&
+				(!displayName || normalizeKey(room.displayName) === displayName)
+		) ||
+		rooms.find(
+			(room) => displayName && normalizeKey(room.displayName) === displayName
+		) ||
+		null
+	);
+};
+
+const contractAmount = (contract = {}) => {
+	const nights = stayNights(contract.checkin_date, contract.checkout_date);
+	return n2(
+		(contract.allotment || []).reduce(
+			(sum, line) =>
+				sum + (Number(line.count) || 0) * (Number(line.nightlyRate) || 0) * nights,
+			0
+		)
+	);
+};
+
+/**
+ * Validates a group contract against the hotel's room types and fills in
+ * deposit amounts that were given as a percentage of the contract value.
+ */
+// Deposit settlement belongs to recordGroupDeposit (finance only), so a
+// contract edit keeps the stored status and paid fields of each deposit,
+// matched by _id, and new deposits always start pending.
+const normalizeGroupContract = (input = {}, hotel = {}, stored = {}) => {
+	const checkin = parseDay(input.checkin_date);
+	const checkout = parseDay(input.checkout_date);
+	if (!checkin || !checkout || !checkout.isAfter(checkin)) {
+		throw new GroupBookingError(
+			"Contract check-out must be after check-in.",
+			"group_contract_dates_invalid"
+		);
+	}
+	const cutoff = parseDay(input.cutoffDate) || checkin.clone();
+	if (cutoff.isAfter(checkin)) {
+		throw new GroupBookingError(
+			"The cut-off date cannot be after the group's arrival.",
+			"group_contract_cutoff_invalid"
+		);
+	}
+
+	const allotmentByKey = new Map();
+	(Array.isArray(input.allotment) ? input.allotment : []).forEach((line) => {
+		const count = Math.floor(Number(line?.count) || 0);
+		if (count <= 0) return;
+		const room = findHotelRoom(hotel, line);
+		if (!room) {
+			throw new GroupBookingError(
+				`Room type "${line?.displayName || line?.room_type || ""}" is not configured for this hotel.`,
+				"group_contract_room_type_unknown"
+			);
+		}
+		const normalized = {
+			room_type: room.roomType,
+			displayName: room.displayName || line.displayName || "",
+			count,
+			nightlyRate: n2(line.nightlyRate ?? room.price?.basePrice),
+		};
+		const key = allotmentKey(normalized);
+		if (allotmentByKey.has(key)) {
+			allotmentByKey.get(key).count += count;
+		} else {
+			allotmentByKey.set(key, normalized);
+		}
+	});
+	const allotment = Array.from(allotmentByKey.values());
+	if (!allotment.length) {
+		throw new GroupBookingError(
+			"A group contract needs at least one allotted room.",
+			"group_contract_allotment_empty"
+		);
+	}
+
+	const contract = {
+		checkin_date: checkin.toDate(),
+		checkout_date: checkout.toDate(),
+		cutoffDate: cutoff.toDate(),
+		currency: String(input.currency || hotel.currency || "SAR").toUpperCase(),
+		allotment,
+		notes: String(input.notes || "").trim(),
+	};
+	const total = contractAmount(contract);
+
+	const storedDeposits = new Map(
+		(Array.isArray(stored?.depositSchedule) ? stored.depositSchedule : [])
+			.filter((deposit) => deposit?._id)
+			.map((deposit) => [String(deposit._id), deposit])
+	);
+	contract.depositSchedule = (
+		Array.isArray(input.depositSchedule) ? input.depositSchedule : []
+	)
+		.map((deposit) => {
+			const dueDate = parseDay(deposit?.dueDate);
+			if (!dueDate) {
+				throw new GroupBookingError(
+					"Each deposit needs a valid due date.",
+					"group_contract_deposit_invalid"
+				);
+			}
+			const percentage = Math.min(Math.max(Number(deposit.percentage) || 0, 0), 100);
+			const amount =
+				Number(deposit.amount) > 0
+					? n2(deposit.amount)
+					: n2((total * percentage) / 100);
+			const settled = storedDeposits.get(String(deposit?._id || "")) || {};
+			return {
+				...(deposit._id ? { _id: deposit._id } : {}),
+				dueDate: dueDate.toDate(),
+				amount,
+				percentage,
+				status: ["paid", "waived"].includes(settled.status)
+					? settled.status
+					: "pending",
+				paidAt: settled.paidAt || null,
+				paidAmount: n2(settled.paidAmount),
+				reference: String(settled.reference || "").trim(),
+				note: String(deposit.note || "").trim(),
+			};
+		})
+		.sort((a, b) => a.dueDate - b.dueDate);
+
+	const scheduled = contract.depositSchedule.reduce(
+		(sum, deposit) => sum + deposit.amount,
+		0
+	);
+	if (total > 0 && n2(scheduled) > total) {
+		throw new GroupBookingError(
+			"Scheduled deposits exceed the contract value.",
+			"group_contract_deposit_exceeds_total",
+			400,
+			{ contractAmount: total, scheduled: n2(scheduled) }
+		);
+	}
+
+	return contract;
+};
+
+/**
+ * Maps uploaded rooming-list rows to contract room types. Returns accepted
+ * entries and row-level errors so a partially valid upload can be reviewed.
+ */
+const parseRoomingList = (rows = [], contract = {}) => {
+	const allotment = Array.isArray(contract.allotment) ? contract.allotment : [];
+	const entries = [];
+	const errors = [];
+
+	(Array.isArray(rows) ? rows : []).forEach((row, index) => {
+		const rowNumber = Number(row?.rowNumber) || index + 1;
+		const guestName = String(row?.guestName || row?.name || "").trim();
+		if (!guestName) {
+			errors.push({ rowNumber, error: "Guest name is required." });
+			return;
+		}
+		const requested = normalizeKey(
+			row.displayName || row.room_type || row.roomType
+		);
+		const line =
+			allotment.find((item) => allotmentKey(item) === requested) ||
+			allotment.find((item) => normalizeKey(item.room_type) === requested) ||
+			(allotment.length === 1 && !requested ? allotment[0] : null);
+		if (!line) {
+			errors.push({
+				rowNumber,
+				error: `Room type "${row.displayName || row.room_type || row.roomType || ""}" is not part of the group allotment.`,
+			});
+			return;
+		}
+		entries.push({
+			rowNumber,
+			guestName,
+			phone: String(row.phone || "").trim(),
+			email: String(row.email || "").trim().toLowerCase(),
+			passport: String(row.passport || "").trim(),
+			nationality: String(row.nationality || "").trim(),
+			room_type: line.room_type,
+			displayName: line.displayName || "",
+			adults: Math.max(Math.floor(Number(row.adults) || 1), 1),
+			children: Math.max(Math.floor(Number(row.children) || 0), 0),
+			notes: String(row.notes || "").trim(),
+			status: "pending",
+		});
+	});
+
+	return { entries, errors };
+};
+
+const roomingCountsByKey = (entries = []) =>
+	entries.reduce((counts, entry) => {
+		if (!ACTIVE_ROOMING_STATUSES.has(entry.status || "pending")) return counts;
+		const key = allotmentKey(entry);
+		counts[key] = (counts[key] || 0) + 1;
+		return counts;
+	}, {});
+
+/**
+ * Returns the allotment lines that the existing plus new rooming-list entries
+ * would exceed. An empty array means the upload fits the contract.
+ */
+const findAllotmentOverruns = (contract = {}, existing = [], incoming = []) => {
+	const counts = roomingCountsByKey([...existing, ...incoming]);
+	return (contract.allotment || [])
+		.map((line) => {
+			const key = allotmentKey(line);
+			const requested = counts[key] || 0;
+			return {
+				room_type: line.room_type,
+				displayName: line.displayName || "",
+				allotted: Number(line.count) || 0,
+				requested,
+			};
+		})
+		.filter((line) => line.requested > line.allotted);
+};
+
+/**
+ * Checks the hotel inventory calendar (buildHotelInventoryCalendarPayload
+ * output) for enough free rooms on every night of the stay. `requests` is a
+ * list of { room_type, displayName, count }.
+ */
+const findInventoryShortfalls = (calendar = {}, requests = []) => {
+	const roomTypes = Array.isArray(calendar.roomTypes) ? calendar.roomTypes : [];
+	const resolveKey = (line) => {
+		const key = allotmentKey(line);
+		if (roomTypes.some((rt) => rt.key === key)) return key;
+		const byType = roomTypes.find(
+			(rt) => normalizeKey(rt.roomType) === normalizeKey(line.room_type)
+		);
+		return byType ? byType.key : key;
+	};
+	const shortfalls = [];
+	(calendar.days || []).forEach((day) => {
+		requests.forEach((line) => {
+			const count = Number(line.count) || 0;
+			if (count <= 0) return;
+			const key = resolveKey(line);
+			const available = Number(day.rooms?.[key]?.available) || 0;
+			if (available < count) {
+				shortfalls.push({
+					date: day.date,
+					room_type: line.room_type,
+					displayName: line.displayName || "",
+					requested: count,
+					available,
+				});
+			}
+		});
+	});
+	return shortfalls;
+};
+
+const buildPricingByDay = (stayDates = [], nightlyRate = 0) =>
+	stayDates.map((date) => ({
+		date,
+		price: n2(nightlyRate),
+		rootPrice: n2(nightlyRate),
+		commissionRate: 0,
+		totalPriceWithCommission: n2(nightlyRate),
+		totalPriceWithoutCommission: n2(nightlyRate),
+	}));
+
+/**
+ * Builds the reservation document for one rooming-list entry. The caller is
+ * responsible for allocating the confirmation number and persisting it.
+ */
+const buildChildReservationPayload = ({
+	group = {},
+	entry = {},
+	hotel = {},
+	actorSnapshot = {},
+	agentSnapshot = null,
+	confirmationNumber = "",
+	now = new Date(),
+} = {}) => {
+	const contract = group.contract || {};
+	const line =
+		(contract.allotment || []).find(
+			(item) => allotmentKey(item) === allotmentKey(entry)
+		) || {};
+	const stayDates = stayDateKeys(contract.checkin_date, contract.checkout_date);
+	const pricingByDay = buildPricingByDay(stayDates, line.nightlyRate);
+	const total = n2(pricingByDay.reduce((sum, day) => sum + day.price, 0));
+	const orderTaker = agentSnapshot || actorSnapshot;
+
+	return {
+		confirmation_number: confirmationNumber,
+		groupBookingId: group._id,
+		customer_details: {
+			name: entry.guestName,
+			phone: entry.phone || "",
+			email: entry.email || "",
+			passport: entry.passport || "",
+			nationality: entry.nationality || "",
+		},
+		checkin_date: contract.checkin_date,
+		checkout_date: contract.checkout_date,
+		days_of_residence: stayDates.length,
+		total_guests: (Number(entry.adults) || 1) + (Number(entry.children) || 0),
+		adults: Number(entry.adults) || 1,
+		children: Number(entry.children) || 0,
+		total_rooms: 1,
+		total_amount: total,
+		sub_total: total,
+		payment: "not paid",
+		financeStatus: "not paid",
+		booking_source: GROUP_BOOKING_SOURCE,
+		comment: [`Group: ${group.groupName || ""}`, entry.notes]
+			.filter(Boolean)
+			.join(" | "),
+		state: "confirmed",
+		reservation_status: "confirmed",
+		pickedRoomsType: [
+			{
+				room_type: line.room_type || entry.room_type,
+				displayName: line.displayName || entry.displayName || "",
+				chosenPrice: n2(line.nightlyRate),
+				count: 1,
+				pricingByDay,
+			},
+		],
+		pickedRoomsPricing: pricingByDay,
+		belongsTo: hotel.belongsTo,
+		hotelId: hotel._id,
+		createdByUserId: actorSnapshot._id || null,
+		createdBy: actorSnapshot,
+		orderTakeId: orderTaker?._id || null,
+		orderTaker,
+		orderTakenAt: now,
+		reservationAuditLog: [
+			{
+				at: now,
+				action: "group_booking_child_created",
+				by: actorSnapshot,
+				note: `Created from the rooming list of group ${group.groupCode || group.groupName || ""}.`,
+			},
+		],
+	};
+};
+
+/**
+ * Rolls the contract, rooming list, child reservations and deposits into the
+ * totals stored on the group and shown in reports.
+ */
+const summarizeGroupTotals = (group = {}, childReservations = []) => {
+	const contract = group.contract || {};
+	const deposits = Array.isArray(contract.depositSchedule)
+		? contract.depositSchedule
+		: [];
+	const activeChildren = childReservations.filter(
+		(reservation) =>
+			!/cancel|no[_\s-]?show/i.test(String(reservation?.reservation_status || ""))
+	);
+	return {
+		contractedRooms: (contract.allotment || []).reduce(
+			(sum, line) => sum + (Number(line.count) || 0),
+			0
+		),
+		pickedUpRooms: activeChildren.length,
+		contractAmount: contractAmount(contract),
+		reservedAmount: n2(
+			activeChildren.reduce(
+				(sum, reservation) => sum + (Number(reservation.total_amount) || 0),
+				0
+			)
+		),
+		depositsDue: n2(
+			deposits
+				.filter((deposit) => deposit.status === "pending")
+				.reduce((sum, deposit) => sum + (Number(deposit.amount) || 0), 0)
+		),
+		depositsPaid: n2(
+			deposits
+				.filter((deposit) => deposit.status === "paid")
+				.reduce(
+					(sum, deposit) =>
+						sum + (Number(deposit.paidAmount) || Number(deposit.amount) || 0),
+					0
+				)
+		),
+	};
+};
+
+const ROOMING_LIST_FIELD_SYNONYMS = Object.freeze({
+	guestName: ["guest name", "guest", "name", "full name", "pilgrim"],
+	phone: ["phone", "mobile", "whatsapp", "contact"],
+	email: ["email", "e-mail", "mail"],
+	passport: ["passport", "passport number", "passport no", "id number"],
+	nationality: ["nationality", "country"],
+	roomType: ["room type", "roomtype", "room", "type", "category"],
+	adults: ["adults", "adult", "guests", "pax"],
+	children: ["children", "child", "kids"],
+	notes: ["notes", "note", "comment", "remarks"],
+});
+
+const normalizeHeader = (value = "") =>
+	String(value || "")
+		.toLowerCase()
+		.replace(/[_-]+/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+
+/**
+ * Maps one spreadsheet row (header -> value) onto rooming-list fields using
+ * exact header matches first, then the synonym lists above.
+ */
+const mapRoomingListSheetRow = (row = {}, rowNumber = 0) => {
+	const headers = Object.keys(row || {}).map((raw) => ({
+		raw,
+		normalized: normalizeHeader(raw),
+	}));
+	const mapped = { rowNumber };
+	Object.entries(ROOMING_LIST_FIELD_SYNONYMS).forEach(([field, synonyms]) => {
+		const header =
+			headers.find((item) => synonyms.includes(item.normalized)) ||
+			headers.find((item) =>
+				synonyms.some((candidate) => item.normalized.startsWith(candidate))
+			);
+		if (header) mapped[field] = String(row[header.raw] ?? "").trim();
+	});
+	return mapped;
+};
+
+const buildGroupReservationAuditEntry = ({
+	actorSnapshot = {},
+	action = "",
+	field = "",
+	from = null,
+	to = null,
+	note = "",
+	at = new Date(),
+} = {}) => ({
+	at,
+	action,
+	field,
+	by: {
+		_id: actorSnapshot._id || undefined,
+		name: actorSnapshot.name || "System",
+		role: actorSnapshot.role || "system",
+	},
+	from,
+	to,
+	note,
+});
+
+const isPastCutoff = (group = {}, now = new Date()) => {
+	const cutoff = parseDay(group.contract?.cutoffDate);
+	if (!cutoff) return false;
+	return moment.utc(now).startOf("day").isAfter(cutoff);
+};
+
+module.exports = {
+	GROUP_BOOKING_SOURCE,
+	GroupBookingError,
+	ROOMING_LIST_FIELD_SYNONYMS,
+	allotmentKey,
+	buildChildReservationPayload,
+	buildGroupReservationAuditEntry,
+	contractAmount,
+	findAllotmentOverruns,
+	findInventoryShortfalls,
+	isPastCutoff,
+	mapRoomingListSheetRow,
+	normalizeGroupContract,
+	parseRoomingList,
+	stayDateKeys,
+	stayNights,
+	summarizeGroupTotals,
+};
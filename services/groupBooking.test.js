@@ -0,0 +1,278 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	GroupBookingError,
+	buildChildReservationPayload,
+	findAllotmentOverruns,
+	findInventoryShortfalls,
+	isPastCutoff,
+	mapRoomingListSheetRow,
+	normalizeGroupContract,
+	parseRoomingList,
+	summarizeGroupTotals,
+} = require("./groupBooking");
+
+const hotel = {
+	_id: "65a000000000000000000001",
+	belongsTo: "65a000000000000000000002",
+	currency: "sar",
+	roomCountDetails: [
+		{
+			roomType: "doubleRooms",
+			displayName: "Double Haram View",
+			count: 40,
+			price: { basePrice: 300 },
+		},
+		{
+			roomType: "quadRooms",
+			displayName: "Quad Room",
+			count: 30,
+			price: { basePrice: 450 },
+		},
+	],
+};
+
+const contractInput = {
+	checkin_date: "2026-11-10",
+	checkout_date: "2026-11-13",
+	cutoffDate: "2026-10-27",
+	allotment: [
+		{ room_type: "doubleRooms", displayName: "Double Haram View", count: 2, nightlyRate: 250 },
+		{ displayName: "quad room", count: 1 },
+	],
+	depositSchedule: [
+		{ dueDate: "2026-10-20", percentage: 50 },
+		{ dueDate: "2026-10-01", amount: 100 },
+	],
+};
+
+test("group contract resolves hotel room types and computes percentage deposits", () => {
+	const contract = normalizeGroupContract(contractInput, hotel);
+
+	assert.equal(contract.currency, "SAR");
+	assert.deepEqual(
+		contract.allotment.map((line) => [line.room_type, line.count, line.nightlyRate]),
+		[
+			["doubleRooms", 2, 250],
+			["quadRooms", 1, 450],
+		]
+	);
+	// (2 * 250 + 450) * 3 nights = 2850; 50% = 1425
+	assert.deepEqual(
+		contract.depositSchedule.map((deposit) => deposit.amount),
+		[100, 1425]
+	);
+	assert.equal(contract.depositSchedule[0].status, "pending");
+});
+
+test("contract edits keep stored deposit settlement and start new deposits pending", () => {
+	const stored = {
+		depositSchedule: [
+			{
+				_id: "dep-1",
+				status: "paid",
+				paidAt: new Date("2026-09-30T00:00:00.000Z"),
+				paidAmount: 100,
+				reference: "TRX-1",
+			},
+			{ _id: "dep-2", status: "pending", paidAmount: 0 },
+		],
+	};
+	const contract = normalizeGroupContract(
+		{
+			...contractInput,
+			depositSchedule: [
+				{ _id: "dep-1", dueDate: "2026-10-01", amount: 100, status: "pending", paidAmount: 0 },
+				{ _id: "dep-2", dueDate: "2026-10-20", percentage: 50, status: "paid", paidAmount: 1425 },
+				{ dueDate: "2026-10-25", amount: 50, status: "waived" },
+			],
+		},
+		hotel,
+		stored
+	);
+	assert.deepEqual(
+		contract.depositSchedule.map((deposit) => [deposit.status, deposit.paidAmount, deposit.reference]),
+		[
+			["paid", 100, "TRX-1"],
+			["pending", 0, ""],
+			["pending", 0, ""],
+		]
+	);
+	assert.equal(+contract.depositSchedule[0].paidAt, +stored.depositSchedule[0].paidAt);
+});
+
+test("group contract rejects unknown room types, late cut-offs and oversized deposits", () => {
+	assert.throws(
+		() =>
+			normalizeGroupContract(
+				{ ...contractInput, allotment: [{ room_type: "suite", count: 1 }] },
+				hotel
+			),
+		(error) =>
+			error instanceof GroupBookingError &&
+			error.code === "group_contract_room_type_unknown"
+	);
+	assert.throws(
+		() => normalizeGroupContract({ ...contractInput, cutoffDate: "2026-11-11" }, hotel),
+		{ code: "group_contract_cutoff_invalid" }
+	);
+	assert.throws(
+		() =>
+			normalizeGroupContract(
+				{ ...contractInput, depositSchedule: [{ dueDate: "2026-10-01", amount: 5000 }] },
+				hotel
+			),
+		{ code: "group_contract_deposit_exceeds_total" }
+	);
+});
+
+test("rooming list rows map to the allotment and overruns are reported", () => {
+	const contract = normalizeGroupContract(contractInput, hotel);
+	const { entries, errors } = parseRoomingList(
+		[
+			{ guestName: "Guest One", displayName: "Double Haram View" },
+			{ guestName: "Guest Two", room_type: "doubleRooms", adults: 2 },
+			{ guestName: "Guest Three", room_type: "doubleRooms" },
+			{ guestName: "", room_type: "quadRooms" },
+			{ guestName: "Guest Four", room_type: "suite" },
+		],
+		contract
+	);
+
+	assert.equal(entries.length, 3);
+	assert.equal(entries[1].adults, 2);
+	assert.deepEqual(
+		errors.map((error) => error.rowNumber),
+		[4, 5]
+	);
+	assert.deepEqual(findAllotmentOverruns(contract, [], entries), [
+		{
+			room_type: "doubleRooms",
+			displayName: "Double Haram View",
+			allotted: 2,
+			requested: 3,
+		},
+	]);
+	assert.deepEqual(
+		findAllotmentOverruns(contract, [{ ...entries[0], status: "cancelled" }], entries.slice(1)),
+		[]
+	);
+});
+
+test("inventory shortfalls are reported per night and room type", () => {
+	const calendar = {
+		roomTypes: [
+			{ key: "double haram view", roomType: "doubleRooms" },
+			{ key: "quad room", roomType: "quadRooms" },
+		],
+		days: [
+			{
+				date: "2026-11-10",
+				rooms: {
+					"double haram view": { available: 5 },
+					"quad room": { available: 0 },
+				},
+			},
+			{
+				date: "2026-11-11",
+				rooms: {
+					"double haram view": { available: 1 },
+					"quad room": { available: 3 },
+				},
+			},
+		],
+	};
+
+	assert.deepEqual(
+		findInventoryShortfalls(calendar, [
+			{ room_type: "doubleRooms", displayName: "Double Haram View", count: 2 },
+			{ room_type: "quadRooms", displayName: "", count: 1 },
+		]),
+		[
+			{
+				date: "2026-11-10",
+				room_type: "quadRooms",
+				displayName: "",
+				requested: 1,
+				available: 0,
+			},
+			{
+				date: "2026-11-11",
+				room_type: "doubleRooms",
+				displayName: "Double Haram View",
+				requested: 2,
+				available: 1,
+			},
+		]
+	);
+});
+
+test("child reservations inherit contract dates, rate and agent attribution", () => {
+	const contract = normalizeGroupContract(contractInput, hotel);
+	const group = {
+		_id: "65a000000000000000000050",
+		groupName: "Umrah November",
+		groupCode: "grp-1001",
+		contract,
+	};
+	const agent = { _id: "65a000000000000000000060", name: "Agent" };
+	const payload = buildChildReservationPayload({
+		group,
+		entry: { guestName: "Guest One", room_type: "doubleRooms", displayName: "Double Haram View", adults: 2 },
+		hotel,
+		actorSnapshot: { _id: "65a000000000000000000070", name: "Staff" },
+		agentSnapshot: agent,
+		confirmationNumber: "1234567890",
+	});
+
+	assert.equal(payload.groupBookingId, group._id);
+	assert.equal(payload.total_amount, 750);
+	assert.equal(payload.pickedRoomsType[0].pricingByDay.length, 3);
+	assert.equal(payload.orderTakeId, agent._id);
+	assert.equal(payload.days_of_residence, 3);
+	assert.equal(payload.total_guests, 2);
+});
+
+test("group totals roll up picked-up rooms and deposits", () => {
+	const contract = normalizeGroupContract(contractInput, hotel);
+	contract.depositSchedule[0].status = "paid";
+	const totals = summarizeGroupTotals({ contract }, [
+		{ reservation_status: "confirmed", total_amount: 750 },
+		{ reservation_status: "cancelled", total_amount: 750 },
+	]);
+
+	assert.deepEqual(totals, {
+		contractedRooms: 3,
+		pickedUpRooms: 1,
+		contractAmount: 2850,
+		reservedAmount: 750,
+		depositsDue: 1425,
+		depositsPaid: 100,
+	});
+	assert.equal(isPastCutoff({ contract }, new Date("2026-10-27T20:00:00Z")), false);
+	assert.equal(isPastCutoff({ contract }, new Date("2026-10-28T01:00:00Z")), true);
+});
+
+test("rooming list spreadsheet headers map onto rooming-list fields", () => {
+	assert.deepEqual(
+		mapRoomingListSheetRow(
+			{
+				"Guest Name": " Guest One ",
+				"Passport No": "A123",
+				"Room_Type": "Quad Room",
+				Pax: 4,
+				Unrelated: "x",
+			},
+			2
+		),
+		{
+			rowNumber: 2,
+			guestName: "Guest One",
+			passport: "A123",
+			roomType: "Quad Room",
+			adults: "4",
+		}
+	);
+});
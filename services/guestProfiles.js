@@ -0,0 +1,621 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const GuestProfile = require("../models/guest_profile");
+const Reservations = require("../models/reservations");
+
+// Keys shorter than these are too generic to identify a person.
+const PHONE_MIN_DIGITS = 8;
+// Local and international forms of one number ("0501234567",
+// "+966 50 123 4567") share their last nine digits.
+const PHONE_MATCH_DIGITS = 9;
+const PASSPORT_MIN_LENGTH = 6;
+const STAY_HISTORY_LIMIT = 100;
+const LINKED_RESERVATION_LIMIT = 500;
+const QUERY_UPDATE_RELINK_LIMIT = 200;
+const MAX_PREFERENCES = 30;
+const MAX_NOTE_LENGTH = 2000;
+
+// Reservation fields that change who the guest is or what their stay counts for.
+const GUEST_PROFILE_RESERVATION_PATHS = Object.freeze([
+	"customer_details",
+	"hotelId",
+	"reservation_status",
+	"state",
+	"checkin_date",
+	"checkout_date",
+	"total_amount",
+]);
+
+const STAY_RESERVATION_SELECT =
+	"_id hotelId hotelName confirmation_number booking_source checkin_date checkout_date days_of_residence total_amount reservation_status state createdAt";
+
+const NOT_STAYED_STATUS_REGEX = /cancel|reject|void|relocat/i;
+const NO_SHOW_STATUS_REGEX = /no[_\s-]?show/i;
+const CHECKED_OUT_STATUS_REGEX = /checked[_\s-]?out|checkedout/i;
+const IN_HOUSE_STATUS_REGEX = /in[_\s-]?house|checked[_\s-]?in|checkedin/i;
+
+// Addresses staff type in when the guest gave none, and our own inboxes.
+const PLACEHOLDER_EMAIL_LOCALS = new Set([
+	"guest",
+	"na",
+	"no",
+	"noemail",
+	"none",
+	"noreply",
+	"test",
+]);
+const PLACEHOLDER_EMAIL_DOMAINS = new Set([
+	"example.com",
+	"jannatbooking.com",
+	"xhotelpro.com",
+]);
+
+class GuestProfileError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "GuestProfileError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const isGuestProfileSyncEnabled = (env = process.env) =>
+	String(env.GUEST_PROFILES_ENABLED || "").toLowerCase() === "true";
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const cleanText = (value, max = 200) =>
+	String(value ?? "")
+		.replace(/\s+/g, " ")
+		.trim()
+		.slice(0, max);
+
+// Arabic-Indic and Persian digits share their low nibble with ASCII digits.
+const englishDigits = (value) =>
+	String(value ?? "").replace(/[\u0660-\u0669\u06f0-\u06f9]/g, (digit) =>
+		String(digit.charCodeAt(0) & 0xf)
+	);
+
+const normalizeGuestEmail = (value) => {
+	const email = String(value ?? "").trim().toLowerCase();
+	const match = email.match(/^([^\s@]+)@([^\s@]+\.[^\s@]+)$/);
+	if (!match) return "";
+	const local = match[1].replace(/[^a-z]/g, "");
+	if (PLACEHOLDER_EMAIL_LOCALS.has(local) || PLACEHOLDER_EMAIL_DOMAINS.has(match[2])) {
+		return "";
+	}
+	return email;
+};
+
+const normalizeGuestPhone = (value) => {
+	const digits = englishDigits(value).replace(/\D/g, "");
+	if (digits.length < PHONE_MIN_DIGITS || /^(\d)\1+$/.test(digits)) return "";
+	return digits.slice(-PHONE_MATCH_DIGITS);
+};
+
+const normalizeGuestPassport = (value) => {
+	const passport = englishDigits(value).toUpperCase().replace(/[^A-Z0-9]/g, "");
+	if (passport.length < PASSPORT_MIN_LENGTH || !/\d/.test(passport)) return "";
+	return /^(.)\1+$/.test(passport) ? "" : passport;
+};
+
+const nameTokens = (value) =>
+	englishDigits(value)
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, "")
+		.toLowerCase()
+		.split(/[^\p{L}\d]+/u)
+		.filter(Boolean);
+
+// Agents and order takers often book with their own phone or email, so a
+// shared contact alone does not make two bookings the same guest. The names
+// must agree too: one name's words all appear in the other ("Ahmed Ali" and
+// "Ahmed Mohamed Ali"). A missing name never blocks a match.
+const namesCompatible = (left, right) => {
+	const a = nameTokens(left);
+	const b = nameTokens(right);
+	if (!a.length || !b.length) return true;
+	const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+	const words = new Set(longer);
+	return shorter.every((token) => words.has(token));
+};
+
+const unique = (values = []) => [...new Set(values.filter(Boolean))];
+
+/** The identity keys a reservation's customer_details carry. */
+const guestIdentityFromReservation = (reservation = {}) => {
+	const details = reservation.customer_details || {};
+	const phone = cleanText(details.phone, 40);
+	return {
+		name: cleanText(details.name, 120),
+		email: normalizeGuestEmail(details.email),
+		phone,
+		phoneKey: normalizeGuestPhone(phone),
+		passport: normalizeGuestPassport(details.passport),
+		nationality: cleanText(details.nationality, 80),
+	};
+};
+
+const hasIdentityKey = (identity = {}) =>
+	Boolean(identity.email || identity.phoneKey || identity.passport);
+
+const guestProfileMatchFilter = (identity = {}) => {
+	const keys = [];
+	if (identity.passport) keys.push({ passports: identity.passport });
+	if (identity.email) keys.push({ emails: identity.email });
+	if (identity.phoneKey) keys.push({ phoneKeys: identity.phoneKey });
+	return keys.length ? { mergedInto: null, $or: keys } : null;
+};
+
+/**
+ * Picks the profiles that really are this guest out of the ones sharing a
+ * key: a passport is enough on its own; an email or phone also needs a
+ * compatible name.
+ */
+const matchingGuestProfiles = (identity = {}, candidates = []) =>
+	candidates.filter((profile) => {
+		if (identity.passport && (profile.passports || []).includes(identity.passport)) {
+			return true;
+		}
+		const sharesContact =
+			(identity.email && (profile.emails || []).includes(identity.email)) ||
+			(identity.phoneKey && (profile.phoneKeys || []).includes(identity.phoneKey));
+		if (!sharesContact) return false;
+		const names = unique([profile.name, ...(profile.names || [])]);
+		return !names.length || names.some((name) => namesCompatible(name, identity.name));
+	});
+
+/** Identity fields of `profile` after folding in `identities`, in order. */
+const mergeGuestIdentity = (profile = {}, identities = []) => {
+	const merged = {
+		name: profile.name || "",
+		names: [...(profile.names || [])],
+		emails: [...(profile.emails || [])],
+		phones: [...(profile.phones || [])],
+		phoneKeys: [...(profile.phoneKeys || [])],
+		passports: [...(profile.passports || [])],
+		nationality: profile.nationality || "",
+		preferences: [...(profile.preferences || [])],
+		notes: [...(profile.notes || [])],
+	};
+	identities.forEach((identity = {}) => {
+		merged.name = merged.name || identity.name || "";
+		merged.nationality = merged.nationality || identity.nationality || "";
+		merged.names.push(...(identity.names || [identity.name]));
+		merged.emails.push(...(identity.emails || [identity.email]));
+		merged.phones.push(...(identity.phones || [identity.phone]));
+		merged.phoneKeys.push(...(identity.phoneKeys || [identity.phoneKey]));
+		merged.passports.push(...(identity.passports || [identity.passport]));
+		merged.preferences.push(...(identity.preferences || []));
+		merged.notes.push(...(identity.notes || []));
+	});
+	const seenPhones = new Set();
+	merged.phones = merged.phones.filter((phone) => {
+		const key = normalizeGuestPhone(phone);
+		if (!key || seenPhones.has(key)) return false;
+		seenPhones.add(key);
+		return true;
+	});
+	["names", "emails", "phoneKeys", "passports", "preferences"].forEach((field) => {
+		merged[field] = unique(merged[field]);
+	});
+	return merged;
+};
+
+const dayKey = (value) => {
+	const date = value ? new Date(value) : null;
+	return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : "";
+};
+
+const stayStatus = (reservation = {}, today) => {
+	const status = String(reservation.reservation_status || reservation.state || "").toLowerCase();
+	if (NOT_STAYED_STATUS_REGEX.test(status)) return "cancelled";
+	if (NO_SHOW_STATUS_REGEX.test(status)) return "no_show";
+	if (CHECKED_OUT_STATUS_REGEX.test(status)) return "completed";
+	if (IN_HOUSE_STATUS_REGEX.test(status)) return "in_house";
+	const checkout = dayKey(reservation.checkout_date);
+	const checkin = dayKey(reservation.checkin_date);
+	if (checkout && checkout <= today) return "completed";
+	if (checkin && checkin <= today) return "in_house";
+	return "upcoming";
+};
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Stay history and lifetime figures from the reservations linked to a
+ * profile. Lifetime value counts every stay that was not cancelled or a
+ * no-show, in the reservation currency (SAR).
+ */
+const summarizeGuestStays = (reservations = [], now = new Date()) => {
+	const today = dayKey(now);
+	const stays = reservations
+		.map((reservation) => ({
+			reservationId: reservation._id,
+			hotelId: reservation.hotelId || null,
+			hotelName: cleanText(reservation.hotelName, 120),
+			confirmationNumber: cleanText(reservation.confirmation_number, 60),
+			bookingSource: cleanText(reservation.booking_source, 60),
+			checkinDate: dayKey(reservation.checkin_date),
+			checkoutDate: dayKey(reservation.checkout_date),
+			nights: Math.max(0, Number(reservation.days_of_residence) || 0),
+			totalAmount: money(reservation.total_amount),
+			reservationStatus: cleanText(reservation.reservation_status || reservation.state, 60),
+			status: stayStatus(reservation, today),
+		}))
+		.sort(
+			(left, right) =>
+				right.checkinDate.localeCompare(left.checkinDate) ||
+				normalizeId(right.reservationId).localeCompare(normalizeId(left.reservationId))
+		);
+	return { stays: stays.slice(0, STAY_HISTORY_LIMIT), ...guestStayStats(stays) };
+};
+
+/** Lifetime figures from stay history rows (see summarizeGuestStays). */
+const guestStayStats = (stays = []) => {
+	const counted = stays.filter((stay) => !["cancelled", "no_show"].includes(stay.status));
+	const completed = stays.filter((stay) => stay.status === "completed");
+	const stayDates = counted.map((stay) => stay.checkinDate).filter(Boolean).sort();
+	return {
+		stats: {
+			reservations: stays.length,
+			completedStays: completed.length,
+			upcomingStays: stays.filter((stay) => ["upcoming", "in_house"].includes(stay.status)).length,
+			cancelledStays: stays.filter((stay) => stay.status === "cancelled").length,
+			noShows: stays.filter((stay) => stay.status === "no_show").length,
+			nights: counted.reduce((sum, stay) => sum + stay.nights, 0),
+			lifetimeValue: money(counted.reduce((sum, stay) => sum + stay.totalAmount, 0)),
+			lastCompletedStay: completed[0]
+				? {
+						hotelId: completed[0].hotelId,
+						hotelName: completed[0].hotelName,
+						checkinDate: completed[0].checkinDate,
+				  }
+				: null,
+		},
+		hotelIds: unique(stays.map((stay) => normalizeId(stay.hotelId))),
+		firstStayAt: stayDates.length ? new Date(`${stayDates[0]}T00:00:00.000Z`) : null,
+		lastStayAt: stayDates.length
+			? new Date(`${stayDates[stayDates.length - 1]}T00:00:00.000Z`)
+			: null,
+	};
+};
+
+/**
+ * A profile as staff of `hotelIds` may see it: hotels belong to different
+ * owners, so stays, notes, figures, names, contacts and passports from other
+ * hotels are left out. `identities` are the customer details of the profile's
+ * reservations at those hotels (guestIdentitiesAtHotels). Figures are
+ * recomputed from the stored history (the newest STAY_HISTORY_LIMIT stays).
+ */
+const scopeGuestProfileToHotels = (profile = {}, hotelIds = null, identities = []) => {
+	if (!hotelIds) return profile;
+	const allowed = new Set(hotelIds.map(normalizeId));
+	const stays = (profile.stays || []).filter((stay) => allowed.has(normalizeId(stay.hotelId)));
+	const { stats, firstStayAt, lastStayAt } = guestStayStats(stays);
+	const identity = mergeGuestIdentity({}, identities);
+	return {
+		...profile,
+		name: identity.name,
+		names: identity.names,
+		emails: identity.emails,
+		phones: identity.phones,
+		passports: identity.passports,
+		nationality: identity.nationality,
+		stays,
+		stats,
+		firstStayAt,
+		lastStayAt,
+		hotelIds: (profile.hotelIds || []).filter((hotelId) => allowed.has(normalizeId(hotelId))),
+		notes: (profile.notes || []).filter((note) => allowed.has(normalizeId(note.hotelId))),
+	};
+};
+
+const models = (dependencies = {}) => ({
+	GuestProfileModel: dependencies.GuestProfileModel || GuestProfile,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+});
+
+const toObjectId = (value) =>
+	mongoose.Types.ObjectId.isValid(normalizeId(value))
+		? new mongoose.Types.ObjectId(normalizeId(value))
+		: value;
+
+const SCOPED_IDENTITY_SELECT =
+	"guestProfileId customer_details.name customer_details.email customer_details.phone customer_details.passport customer_details.nationality";
+
+/**
+ * Customer details of each profile's reservations at `hotelIds`, newest stay
+ * first, keyed by profile id (see scopeGuestProfileToHotels).
+ */
+const guestIdentitiesAtHotels = async (profileIds = [], hotelIds = [], dependencies = {}) => {
+	const { ReservationModel } = models(dependencies);
+	const byProfile = new Map();
+	if (!profileIds.length || !hotelIds.length) return byProfile;
+	const reservations = await ReservationModel.find({
+		guestProfileId: { $in: profileIds.map(toObjectId) },
+		hotelId: { $in: hotelIds.map(toObjectId) },
+	})
+		.select(SCOPED_IDENTITY_SELECT)
+		.sort({ checkin_date: -1 })
+		.limit(LINKED_RESERVATION_LIMIT)
+		.lean();
+	reservations.forEach((reservation) => {
+		const key = normalizeId(reservation.guestProfileId);
+		byProfile.set(key, [...(byProfile.get(key) || []), guestIdentityFromReservation(reservation)]);
+	});
+	return byProfile;
+};
+
+/** Recomputes a profile's stay history from its linked reservations. */
+const refreshGuestProfileStays = async (profileId, dependencies = {}) => {
+	const { GuestProfileModel, ReservationModel } = models(dependencies);
+	const reservations = await ReservationModel.find({ guestProfileId: profileId })
+		.select(STAY_RESERVATION_SELECT)
+		.sort({ checkin_date: -1 })
+		.limit(LINKED_RESERVATION_LIMIT)
+		.lean();
+	const summary = summarizeGuestStays(reservations, dependencies.now || new Date());
+	await GuestProfileModel.updateOne(
+		{ _id: profileId },
+		{ $set: { ...summary, hotelIds: summary.hotelIds.map(toObjectId) } }
+	);
+	return summary;
+};
+
+const auditEntry = (action, by, details = {}, now = new Date()) => ({
+	at: now,
+	action,
+	by: by ? { _id: by._id || null, name: by.name || "", role: by.role || "" } : { name: "system" },
+	...details,
+});
+
+/**
+ * Links a reservation to the profile of the guest it was booked for, creating
+ * the profile on first sight and folding together profiles the reservation
+ * proves are one guest (the oldest one survives). Two first bookings saved at
+ * the same moment can still create twin profiles; the next booking or backfill
+ * that touches either merges them.
+ */
+const linkReservationToGuestProfile = async (reservation = {}, dependencies = {}) => {
+	const { GuestProfileModel, ReservationModel } = models(dependencies);
+	const now = dependencies.now || new Date();
+	const identity = guestIdentityFromReservation(reservation);
+	const previousProfileId = normalizeId(reservation.guestProfileId);
+	if (!hasIdentityKey(identity)) {
+		return { profileId: previousProfileId || null, created: false, merged: [], reason: "no_identity" };
+	}
+
+	const candidates = await GuestProfileModel.find(guestProfileMatchFilter(identity))
+		.sort({ createdAt: 1, _id: 1 })
+		.limit(20)
+		.lean();
+	const matches = matchingGuestProfiles(identity, candidates);
+	let profile = matches[0];
+	let created = false;
+	const absorbed = matches.slice(1);
+
+	if (!profile) {
+		profile = await GuestProfileModel.create({
+			...mergeGuestIdentity({}, [identity]),
+			auditLog: [
+				auditEntry("created", null, { reservationId: reservation._id || null }, now),
+			],
+		});
+		created = true;
+	} else {
+		const merged = mergeGuestIdentity(profile, [identity, ...absorbed]);
+		// Staff-owned fields only change here when another profile is folded in.
+		if (!absorbed.length) {
+			delete merged.preferences;
+			delete merged.notes;
+		}
+		const update = { $set: merged };
+		if (absorbed.length) {
+			update.$push = {
+				auditLog: auditEntry(
+					"merged",
+					null,
+					{ mergedProfileIds: absorbed.map((row) => row._id), reservationId: reservation._id || null },
+					now
+				),
+			};
+		}
+		await GuestProfileModel.updateOne({ _id: profile._id }, update);
+	}
+
+	if (absorbed.length) {
+		const absorbedIds = absorbed.map((row) => row._id);
+		await GuestProfileModel.updateMany(
+			{ _id: { $in: absorbedIds } },
+			{ $set: { mergedInto: profile._id, stays: [], stats: {}, hotelIds: [] } }
+		);
+		await ReservationModel.updateMany(
+			{ guestProfileId: { $in: absorbedIds } },
+			{ $set: { guestProfileId: profile._id } }
+		);
+	}
+	if (previousProfileId !== normalizeId(profile._id) && reservation._id) {
+		await ReservationModel.updateOne(
+			{ _id: reservation._id },
+			{ $set: { guestProfileId: profile._id } }
+		);
+	}
+
+	await refreshGuestProfileStays(profile._id, dependencies);
+	// The booking moved to another guest; the old profile loses that stay.
+	if (previousProfileId && previousProfileId !== normalizeId(profile._id)) {
+		await refreshGuestProfileStays(toObjectId(previousProfileId), dependencies);
+	}
+	return {
+		profileId: profile._id,
+		created,
+		merged: absorbed.map((row) => row._id),
+		reason: "",
+	};
+};
+
+/** Fire-and-forget variant for the reservation model hooks. */
+const linkReservationToGuestProfileSafely = (reservation, dependencies = {}) =>
+	linkReservationToGuestProfile(reservation, dependencies).catch((error) => {
+		console.error("[guest-profiles] link failed:", error?.message || error);
+		return null;
+	});
+
+const guestProfilePathsTouched = (update = {}) => {
+	const roots = new Set();
+	Object.entries(update || {}).forEach(([key, value]) => {
+		if (key.startsWith("$")) {
+			Object.keys(value || {}).forEach((path) => roots.add(path.split(".")[0]));
+		} else {
+			roots.add(key.split(".")[0]);
+		}
+	});
+	return GUEST_PROFILE_RESERVATION_PATHS.some((path) => roots.has(path));
+};
+
+/** Relinks reservations changed through updateOne/updateMany/findOneAndUpdate. */
+const relinkReservationsSafely = (ReservationModel, filter = {}) =>
+	ReservationModel.find(filter)
+		.select("_id guestProfileId customer_details")
+		.limit(QUERY_UPDATE_RELINK_LIMIT)
+		.lean()
+		.exec()
+		.then(async (reservations) => {
+			for (const reservation of reservations) {
+				await linkReservationToGuestProfileSafely(reservation, { ReservationModel });
+			}
+		})
+		.catch((error) => console.error("[guest-profiles] relink failed:", error?.message || error));
+
+/** Finds the live profile for chat or support contacts (no name available). */
+const findGuestProfileByContact = async ({ emails = [], phones = [] } = {}, dependencies = {}) => {
+	const { GuestProfileModel } = models(dependencies);
+	const emailKeys = unique(emails.map(normalizeGuestEmail));
+	const phoneKeys = unique(phones.map(normalizeGuestPhone));
+	const keys = [];
+	if (emailKeys.length) keys.push({ emails: { $in: emailKeys } });
+	if (phoneKeys.length) keys.push({ phoneKeys: { $in: phoneKeys } });
+	if (!keys.length) return null;
+	return GuestProfileModel.findOne({ mergedInto: null, $or: keys })
+		.select("name nationality preferences stays stats firstStayAt lastStayAt")
+		.sort({ lastStayAt: -1 })
+		.maxTimeMS(2500)
+		.lean();
+};
+
+/**
+ * The profile behind a booking the chat guest has shown they hold: the
+ * reservation (found by its confirmation number) must carry the same email or
+ * phone as the chat contact. A typed contact on its own never unlocks a
+ * profile.
+ */
+const findGuestProfileForVerifiedBooking = async (
+	reservation,
+	{ emails = [], phones = [] } = {},
+	dependencies = {}
+) => {
+	const { GuestProfileModel } = models(dependencies);
+	if (!reservation?.guestProfileId) return null;
+	const identity = guestIdentityFromReservation(reservation);
+	const contactMatches =
+		(identity.email && emails.map(normalizeGuestEmail).includes(identity.email)) ||
+		(identity.phoneKey && phones.map(normalizeGuestPhone).includes(identity.phoneKey));
+	if (!contactMatches) return null;
+	return GuestProfileModel.findOne({ _id: reservation.guestProfileId, mergedInto: null })
+		.select("name nationality preferences stays stats firstStayAt lastStayAt")
+		.maxTimeMS(2500)
+		.lean();
+};
+
+/**
+ * What the chat agent may know about a returning guest. A chat contact is not
+ * verified, so stay dates, amounts, confirmation numbers and staff notes stay
+ * out; the agent gets enough to welcome the guest back and honour stated
+ * preferences.
+ */
+const guestProfileContextForAi = (profile, { hotelId = "" } = {}) => {
+	const stays = (profile?.stays || []).filter((stay) => stay.status === "completed");
+	if (!stays.length) return null;
+	const atThisHotel = stays.filter(
+		(stay) => hotelId && normalizeId(stay.hotelId) === normalizeId(hotelId)
+	);
+	return {
+		returningGuest: true,
+		name: cleanText(profile.name, 120),
+		nationality: cleanText(profile.nationality, 80),
+		preferences: (profile.preferences || []).slice(0, 10),
+		completedStays: stays.length,
+		completedStaysAtThisHotel: atThisHotel.length,
+	};
+};
+
+const cleanPreferences = (values) => {
+	const list = Array.isArray(values) ? values : String(values ?? "").split(/[\n,]/);
+	return unique(list.map((value) => cleanText(value, 120))).slice(0, MAX_PREFERENCES);
+};
+
+/** Staff edits: preferences, nationality, display name and an appended note. */
+const updateGuestProfileDetails = async (profileId, input = {}, actor = {}, dependencies = {}) => {
+	const { GuestProfileModel } = models(dependencies);
+	const now = dependencies.now || new Date();
+	const profile = await GuestProfileModel.findOne({ _id: profileId, mergedInto: null }).lean();
+	if (!profile) throw new GuestProfileError("Guest profile not found", "guest_profile_not_found", 404);
+
+	const set = {};
+	if (input.preferences !== undefined) set.preferences = cleanPreferences(input.preferences);
+	if (input.nationality !== undefined) set.nationality = cleanText(input.nationality, 80);
+	if (input.name !== undefined) {
+		const name = cleanText(input.name, 120);
+		if (!name) throw new GuestProfileError("Guest name cannot be empty", "guest_profile_name_required");
+		set.name = name;
+		set.names = unique([...(profile.names || []), name]);
+	}
+	const noteText = String(input.note ?? "").trim().slice(0, MAX_NOTE_LENGTH);
+	if (!Object.keys(set).length && !noteText) {
+		throw new GuestProfileError("Nothing to update", "guest_profile_update_empty");
+	}
+	const by = { _id: actor._id || null, name: actor.name || "", role: actor.role || "" };
+	const push = {
+		auditLog: auditEntry(
+			"updated",
+			actor,
+			{
+				from: Object.fromEntries(Object.keys(set).map((key) => [key, profile[key]])),
+				to: set,
+				note: noteText ? "note added" : "",
+			},
+			now
+		),
+	};
+	if (noteText) push.notes = { text: noteText, hotelId: input.hotelId || null, at: now, by };
+	await GuestProfileModel.updateOne({ _id: profile._id }, { $set: set, $push: push });
+	return GuestProfileModel.findOne({ _id: profile._id }).select("-auditLog").lean();
+};
+
+module.exports = {
+	GUEST_PROFILE_RESERVATION_PATHS,
+	GuestProfileError,
+	findGuestProfileByContact,
+	findGuestProfileForVerifiedBooking,
+	guestIdentitiesAtHotels,
+	guestIdentityFromReservation,
+	guestProfileContextForAi,
+	guestProfileMatchFilter,
+	guestProfilePathsTouched,
+	isGuestProfileSyncEnabled,
+	linkReservationToGuestProfile,
+	linkReservationToGuestProfileSafely,
+	matchingGuestProfiles,
+	mergeGuestIdentity,
+	namesCompatible,
+	normalizeGuestEmail,
+	normalizeGuestPassport,
+	normalizeGuestPhone,
+	refreshGuestProfileStays,
+	relinkReservationsSafely,
+	scopeGuestProfileToHotels,
+	summarizeGuestStays,
+	updateGuestProfileDetails,
+};
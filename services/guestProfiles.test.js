@@ -0,0 +1,348 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	findGuestProfileForVerifiedBooking,
+	guestIdentitiesAtHotels,
+	guestIdentityFromReservation,
+	guestProfileContextForAi,
+	isGuestProfileSyncEnabled,
+	linkReservationToGuestProfile,
+	namesCompatible,
+	normalizeGuestEmail,
+	normalizeGuestPassport,
+	normalizeGuestPhone,
+	scopeGuestProfileToHotels,
+	summarizeGuestStays,
+	updateGuestProfileDetails,
+} = require("./guestProfiles");
+
+const hotelA = "65a000000000000000000001";
+const hotelB = "65a000000000000000000002";
+const now = new Date("2027-03-01T09:00:00.000Z");
+
+const same = (left, right) => String(left) === String(right);
+
+const fieldMatches = (value, condition) => {
+	if (condition && typeof condition === "object" && "$in" in condition) {
+		const values = Array.isArray(value) ? value : [value];
+		return condition.$in.some((wanted) => values.some((item) => same(item, wanted)));
+	}
+	if (condition === null) return value === null || value === undefined;
+	return Array.isArray(value) ? value.some((item) => same(item, condition)) : same(value, condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) =>
+		key === "$or"
+			? condition.some((branch) => matches(doc, branch))
+			: fieldMatches(doc[key], condition)
+	);
+
+const applyUpdate = (doc, update = {}) => {
+	Object.assign(doc, structuredClone(update.$set || {}));
+	Object.entries(update.$push || {}).forEach(([key, value]) => {
+		doc[key] = [...(doc[key] || []), structuredClone(value)];
+	});
+};
+
+// Just enough of a mongoose model for the profile linker.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => structuredClone(row));
+	let sequence = 0;
+	const chain = (result) => {
+		const query = {
+			select: () => query,
+			sort: () => query,
+			limit: () => query,
+			maxTimeMS: () => query,
+			lean: () => Promise.resolve(structuredClone(result)),
+			exec: () => Promise.resolve(structuredClone(result)),
+		};
+		return query;
+	};
+	return {
+		docs,
+		find: (filter) => chain(docs.filter((doc) => matches(doc, filter))),
+		findOne: (filter) => chain(docs.find((doc) => matches(doc, filter)) || null),
+		create: async (input) => {
+			sequence += 1;
+			const doc = {
+				_id: `profile-${sequence}`,
+				mergedInto: null,
+				createdAt: new Date(now.getTime() + sequence),
+				...structuredClone(input),
+			};
+			docs.push(doc);
+			return structuredClone(doc);
+		},
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) applyUpdate(doc, update);
+			return { matchedCount: doc ? 1 : 0 };
+		},
+		updateMany: async (filter, update) => {
+			const found = docs.filter((row) => matches(row, filter));
+			found.forEach((doc) => applyUpdate(doc, update));
+			return { matchedCount: found.length };
+		},
+	};
+};
+
+const reservation = (id, details, extra = {}) => ({
+	_id: id,
+	hotelId: hotelA,
+	hotelName: "Hotel A",
+	confirmation_number: `C-${id}`,
+	checkin_date: new Date("2027-01-10T00:00:00.000Z"),
+	checkout_date: new Date("2027-01-13T00:00:00.000Z"),
+	days_of_residence: 3,
+	total_amount: 900,
+	reservation_status: "confirmed",
+	guestProfileId: null,
+	customer_details: details,
+	...extra,
+});
+
+test("identity keys are normalized and placeholders are ignored", () => {
+	assert.equal(normalizeGuestPhone("+966 50 123 4567"), normalizeGuestPhone("0501234567"));
+	assert.equal(normalizeGuestPhone("٠٥٠١٢٣٤٥٦٧"), "501234567");
+	assert.equal(normalizeGuestPhone("0000000000"), "");
+	assert.equal(normalizeGuestPhone("12345"), "");
+	assert.equal(normalizeGuestEmail(" Guest.Name@Mail.COM "), "guest.name@mail.com");
+	assert.equal(normalizeGuestEmail("no-email@x.com"), "");
+	assert.equal(normalizeGuestEmail("support@jannatbooking.com"), "");
+	assert.equal(normalizeGuestPassport("a 123-4567"), "A1234567");
+	assert.equal(normalizeGuestPassport("NONE"), "");
+	assert.equal(namesCompatible("Ahmed Ali", "ahmed mohamed ALI"), true);
+	assert.equal(namesCompatible("Mohamed Ahmed", "Mohamed Ali"), false);
+	assert.equal(namesCompatible("", "Anyone"), true);
+	assert.deepEqual(
+		guestIdentityFromReservation({
+			customer_details: { name: " Sara  Khan ", phone: "0501234567", email: "n/a", passport: "x" },
+		}),
+		{ name: "Sara Khan", email: "", phone: "0501234567", phoneKey: "501234567", passport: "", nationality: "" }
+	);
+});
+
+test("stay history separates completed, upcoming and cancelled stays", () => {
+	const summary = summarizeGuestStays(
+		[
+			reservation("r1", {}, { reservation_status: "checked_out" }),
+			reservation("r2", {}, {
+				hotelId: hotelB,
+				checkin_date: new Date("2027-04-01T00:00:00.000Z"),
+				checkout_date: new Date("2027-04-03T00:00:00.000Z"),
+				days_of_residence: 2,
+				total_amount: 400,
+			}),
+			reservation("r3", {}, { reservation_status: "cancelled", total_amount: 5000 }),
+			reservation("r4", {}, {
+				checkin_date: new Date("2026-11-01T00:00:00.000Z"),
+				checkout_date: new Date("2026-11-02T00:00:00.000Z"),
+				days_of_residence: 1,
+				total_amount: 150.555,
+				reservation_status: "no_show",
+			}),
+		],
+		now
+	);
+	assert.deepEqual(
+		summary.stays.map((stay) => [stay.reservationId, stay.status]),
+		[
+			["r2", "upcoming"],
+			["r3", "cancelled"],
+			["r1", "completed"],
+			["r4", "no_show"],
+		]
+	);
+	assert.deepEqual(
+		{ ...summary.stats, lastCompletedStay: summary.stats.lastCompletedStay.checkinDate },
+		{
+			reservations: 4,
+			completedStays: 1,
+			upcomingStays: 1,
+			cancelledStays: 1,
+			noShows: 1,
+			nights: 5,
+			lifetimeValue: 1300,
+			lastCompletedStay: "2027-01-10",
+		}
+	);
+	assert.deepEqual(summary.hotelIds, [hotelB, hotelA]);
+	assert.equal(summary.lastStayAt.toISOString(), "2027-04-01T00:00:00.000Z");
+
+	const scoped = scopeGuestProfileToHotels(
+		{
+			...summary,
+			name: "Sara Khan",
+			emails: ["sara@mail.com", "sara.work@mail.com"],
+			passports: ["P1234567"],
+			notes: [{ text: "A", hotelId: hotelA }, { text: "B", hotelId: hotelB }],
+		},
+		[hotelA],
+		[guestIdentityFromReservation({ customer_details: { name: "Sara K", email: "sara@mail.com" } })]
+	);
+	assert.deepEqual(scoped.stays.map((stay) => stay.reservationId), ["r3", "r1", "r4"]);
+	assert.equal(scoped.stats.lifetimeValue, 900);
+	assert.deepEqual(scoped.notes.map((note) => note.text), ["A"]);
+	assert.equal(scoped.name, "Sara K");
+	assert.deepEqual(scoped.emails, ["sara@mail.com"]);
+	assert.deepEqual(scoped.passports, []);
+});
+
+test("hotel-scoped identities come from the profile's reservations at those hotels", async () => {
+	const ReservationModel = memoryModel([
+		{ _id: "r1", guestProfileId: "p1", hotelId: hotelA, customer_details: { name: "Sara K", email: "sara@mail.com" } },
+		{ _id: "r2", guestProfileId: "p1", hotelId: hotelB, customer_details: { name: "Sara Khan", passport: "P1234567" } },
+	]);
+	const identities = await guestIdentitiesAtHotels(["p1"], [hotelA], { ReservationModel });
+	assert.deepEqual(
+		identities.get("p1").map((identity) => identity.name),
+		["Sara K"]
+	);
+	assert.equal((await guestIdentitiesAtHotels([], [hotelA], { ReservationModel })).size, 0);
+});
+
+test("reservations link to one profile per guest and shared contacts need matching names", async () => {
+	const ReservationModel = memoryModel([
+		reservation("r1", { name: "Ahmed Ali", phone: "0501234567", email: "" }),
+		reservation("r2", { name: "Ahmed Mohamed Ali", phone: "+966501234567", email: "ahmed@mail.com" }),
+		// An agent booked another guest with the same phone.
+		reservation("r3", { name: "Khalid Omar", phone: "0501234567" }),
+		reservation("r4", { name: "", email: "walkin@mail.com" }),
+	]);
+	const GuestProfileModel = memoryModel();
+	const dependencies = { ReservationModel, GuestProfileModel, now };
+	const link = async (id) =>
+		linkReservationToGuestProfile(
+			ReservationModel.docs.find((row) => row._id === id),
+			dependencies
+		);
+
+	const first = await link("r1");
+	assert.equal(first.created, true);
+	const second = await link("r2");
+	assert.equal(second.created, false);
+	assert.equal(second.profileId, first.profileId);
+	const third = await link("r3");
+	assert.equal(third.created, true);
+	assert.notEqual(third.profileId, first.profileId);
+	await link("r4");
+
+	const [ahmed] = GuestProfileModel.docs;
+	assert.deepEqual(ahmed.emails, ["ahmed@mail.com"]);
+	assert.deepEqual(ahmed.phoneKeys, ["501234567"]);
+	assert.deepEqual(ahmed.phones, ["0501234567"]);
+	assert.deepEqual(ahmed.names, ["Ahmed Ali", "Ahmed Mohamed Ali"]);
+	assert.equal(ahmed.stats.reservations, 2);
+	assert.equal(ahmed.stats.lifetimeValue, 1800);
+	assert.deepEqual(
+		ReservationModel.docs.map((row) => row.guestProfileId),
+		[first.profileId, first.profileId, third.profileId, "profile-3"]
+	);
+});
+
+test("a passport match folds duplicate profiles into the oldest one", async () => {
+	const ReservationModel = memoryModel([
+		reservation("r1", { name: "Sara Khan", email: "sara@mail.com" }),
+		reservation("r2", { name: "Sara K", phone: "0559876543", passport: "P1234567" }),
+		reservation("r3", { name: "Sara Khan", email: "sara@mail.com", phone: "0559876543", passport: "P1234567" }),
+	]);
+	const GuestProfileModel = memoryModel();
+	const dependencies = { ReservationModel, GuestProfileModel, now };
+	for (const row of [...ReservationModel.docs]) {
+		await linkReservationToGuestProfile(row, dependencies);
+	}
+	const [oldest, twin] = GuestProfileModel.docs;
+	assert.equal(twin.mergedInto, oldest._id);
+	assert.deepEqual(twin.stays, []);
+	assert.deepEqual(oldest.passports, ["P1234567"]);
+	assert.equal(oldest.stats.reservations, 3);
+	assert.ok(ReservationModel.docs.every((row) => row.guestProfileId === oldest._id));
+	assert.equal(oldest.auditLog.at(-1).action, "merged");
+});
+
+test("staff edits are audited and the agent only sees a safe summary", async () => {
+	const GuestProfileModel = memoryModel([
+		{
+			_id: "p1",
+			mergedInto: null,
+			name: "Sara Khan",
+			names: ["Sara Khan"],
+			preferences: [],
+			notes: [],
+			stays: [
+				{ hotelId: hotelA, status: "completed", totalAmount: 900, confirmationNumber: "C-1" },
+				{ hotelId: hotelB, status: "completed", totalAmount: 300 },
+				{ hotelId: hotelA, status: "cancelled", totalAmount: 100 },
+			],
+			auditLog: [],
+		},
+	]);
+	const dependencies = { GuestProfileModel, now };
+
+	await assert.rejects(updateGuestProfileDetails("p1", {}, {}, dependencies), {
+		code: "guest_profile_update_empty",
+	});
+	const updated = await updateGuestProfileDetails(
+		"p1",
+		{ preferences: "High floor, quiet room,high floor", note: "Prefers late checkout", hotelId: hotelA },
+		{ _id: "u1", name: "Reception", role: "reception" },
+		dependencies
+	);
+	assert.deepEqual(updated.preferences, ["High floor", "quiet room", "high floor"]);
+	assert.equal(updated.notes[0].text, "Prefers late checkout");
+	assert.equal(GuestProfileModel.docs[0].auditLog[0].by.name, "Reception");
+
+	assert.deepEqual(guestProfileContextForAi(updated, { hotelId: hotelA }), {
+		returningGuest: true,
+		name: "Sara Khan",
+		nationality: "",
+		preferences: ["High floor", "quiet room", "high floor"],
+		completedStays: 2,
+		completedStaysAtThisHotel: 1,
+	});
+	assert.equal(guestProfileContextForAi({ stays: [{ status: "upcoming" }] }), null);
+	assert.equal(guestProfileContextForAi(null), null);
+});
+
+test("chat agent only sees a profile behind a booking that carries the chat contact", async () => {
+	const GuestProfileModel = memoryModel([
+		{ _id: "p1", name: "Sara Khan", emails: ["sara@mail.com"], mergedInto: null, stays: [] },
+	]);
+	const dependencies = { GuestProfileModel };
+	const booking = {
+		guestProfileId: "p1",
+		customer_details: { email: "Sara@Mail.com", phone: "+966 50 123 4567" },
+	};
+
+	const byEmail = await findGuestProfileForVerifiedBooking(
+		booking,
+		{ emails: ["sara@mail.com"] },
+		dependencies
+	);
+	assert.equal(byEmail.name, "Sara Khan");
+	const byPhone = await findGuestProfileForVerifiedBooking(
+		booking,
+		{ phones: ["0501234567"] },
+		dependencies
+	);
+	assert.equal(byPhone.name, "Sara Khan");
+
+	assert.equal(
+		await findGuestProfileForVerifiedBooking(booking, { emails: ["other@mail.com"] }, dependencies),
+		null
+	);
+	assert.equal(
+		await findGuestProfileForVerifiedBooking(null, { emails: ["sara@mail.com"] }, dependencies),
+		null
+	);
+});
+
+test("profile sync on reservation saves is opt-in", () => {
+	assert.equal(isGuestProfileSyncEnabled({}), false);
+	assert.equal(isGuestProfileSyncEnabled({ GUEST_PROFILES_ENABLED: "false" }), false);
+	assert.equal(isGuestProfileSyncEnabled({ GUEST_PROFILES_ENABLED: "true" }), true);
+});
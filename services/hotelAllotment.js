@@ -0,0 +1,424 @@
+"use strict";
+
+const moment = require("moment-timezone");
+const HotelAllotment = require("../models/hotel_allotment");
+
+const RELEASE_TIMEZONE = "Asia/Riyadh";
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 45 * 1000;
+const CLOSED_RESERVATION_REGEX =
+	/cancel|no[_\s-]?show|rejected|early[_\s-]?checked[_\s-]?out/i;
+
+class HotelAllotmentError extends Error {
+	constructor(message, code = "allotment_invalid", statusCode = 400) {
+		super(message);
+		this.name = "HotelAllotmentError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const normalizeKey = (value) =>
+	String(value || "")
+		.replace(/[\u2013\u2014\u2212]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+
+const normalizeId = (value) => {
+	if (!value) return "";
+	if (typeof value === "object" && value._id) return String(value._id);
+	return String(value);
+};
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+// "Today" for release purposes is the hotel's local (Saudi) calendar day.
+const releaseTodayKey = (now = new Date()) =>
+	moment(now).tz(RELEASE_TIMEZONE).format("YYYY-MM-DD");
+
+const allotmentRoomKey = (allotment = {}) =>
+	normalizeKey(allotment.displayName || allotment.room_type);
+
+const allotmentStayDates = (allotment = {}) => {
+	const start = dayKey(allotment.startDate);
+	const end = dayKey(allotment.endDate);
+	if (!start || !end) return [];
+	const dates = [];
+	for (
+		let cursor = moment.utc(start, "YYYY-MM-DD");
+		cursor.format("YYYY-MM-DD") < end;
+		cursor.add(1, "day")
+	) {
+		dates.push(cursor.format("YYYY-MM-DD"));
+	}
+	return dates;
+};
+
+const allotmentReleaseDateKey = (allotment = {}, stayDate = "") =>
+	moment
+		.utc(dayKey(stayDate), "YYYY-MM-DD")
+		.subtract(Math.max(Number(allotment.releaseDays) || 0, 0), "days")
+		.format("YYYY-MM-DD");
+
+/**
+ * A stay night is released once the allotment is closed, the night was
+ * released explicitly, or today reached the night's release date.
+ */
+const isAllotmentDateReleased = (allotment = {}, stayDate = "", now = new Date()) => {
+	if (allotment.status && allotment.status !== "active") return true;
+	const date = dayKey(stayDate);
+	if (
+		(allotment.releasedDates || []).some((entry) => dayKey(entry.date) === date)
+	) {
+		return true;
+	}
+	return releaseTodayKey(now) >= allotmentReleaseDateKey(allotment, date);
+};
+
+const reservationAgentIds = (reservation = {}) =>
+	[
+		reservation.orderTakeId,
+		reservation.createdByUserId,
+		reservation.orderTaker?._id,
+		reservation.createdBy?._id,
+	]
+		.map(normalizeId)
+		.filter(Boolean);
+
+/**
+ * Reservations count toward an allotment when they were sold by the
+ * allotment's agent, or (for partner-only allotments) when the booking source
+ * names the partner.
+ */
+const reservationBelongsToAllotment = (allotment = {}, reservation = {}) => {
+	if (!reservation || CLOSED_RESERVATION_REGEX.test(String(reservation.reservation_status || ""))) {
+		return false;
+	}
+	const agentId = normalizeId(allotment.agentId);
+	if (agentId) return reservationAgentIds(reservation).includes(agentId);
+	const partner = normalizeKey(allotment.partnerName);
+	return Boolean(partner) && normalizeKey(reservation.booking_source) === partner;
+};
+
+/**
+ * Whether the caller described by `holder` ({ agentId, bookingSource }) is
+ * the one an allotment holds rooms for; its unsold rooms stay bookable for it.
+ */
+const isAllotmentHolder = (allotment = {}, holder = null) => {
+	if (!holder) return false;
+	const agentId = normalizeId(allotment.agentId);
+	if (agentId) return normalizeId(holder.agentId) === agentId;
+	const partner = normalizeKey(allotment.partnerName);
+	return Boolean(partner) && normalizeKey(holder.bookingSource) === partner;
+};
+
+const reservationCoversDate = (reservation = {}, stayDate = "") => {
+	const checkin = dayKey(reservation.checkin_date);
+	const checkout = dayKey(reservation.checkout_date);
+	return (
+		Boolean(checkin && checkout) &&
+		checkin <= stayDate &&
+		stayDate < checkout &&
+		!(reservation.walkedNights || []).includes(stayDate)
+	);
+};
+
+/**
+ * Per-night pickup for one allotment. `reservationCounts` is a list of
+ * { reservation, counts: [{ key, count }] } as produced by the inventory
+ * calendar; only lines for the allotment's room type are counted.
+ */
+const allotmentPickupForDate = (allotment = {}, reservationCounts = [], stayDate = "") => {
+	const key = allotmentRoomKey(allotment);
+	return reservationCounts.reduce((sum, { reservation, counts }) => {
+		if (!reservationCoversDate(reservation, stayDate)) return sum;
+		if (!reservationBelongsToAllotment(allotment, reservation)) return sum;
+		return (
+			sum +
+			(counts || [])
+				.filter(
+					(line) =>
+						line &&
+						line.key === key &&
+						// Lines split off by a room move only cover their own nights.
+						(!line.from || stayDate >= line.from) &&
+						(!line.to || stayDate < line.to)
+				)
+				.reduce((lineSum, line) => lineSum + (Number(line.count) || 0), 0)
+		);
+	}, 0);
+};
+
+/**
+ * Builds { [roomKey]: { allotted, pickup, blocked, released } } for one
+ * calendar day. Unreleased allotments block their unsold rooms for everyone
+ * but the `holder`; released nights keep reporting pickup but block nothing.
+ */
+const buildAllotmentDayBlocks = ({
+	allotments = [],
+	reservationCounts = [],
+	date = "",
+	now = new Date(),
+	holder = null,
+} = {}) =>
+	allotments.reduce((blocks, allotment) => {
+		if (!allotmentStayDates(allotment).includes(date)) return blocks;
+		const key = allotmentRoomKey(allotment);
+		const allotted = Math.max(Number(allotment.rooms) || 0, 0);
+		const pickup = allotmentPickupForDate(allotment, reservationCounts, date);
+		const released = isAllotmentDateReleased(allotment, date, now);
+		const cell = blocks[key] || { allotted: 0, pickup: 0, blocked: 0, released: 0 };
+		cell.allotted += allotted;
+		cell.pickup += Math.min(pickup, allotted);
+		if (released) {
+			cell.released += Math.max(allotted - pickup, 0);
+		} else if (!isAllotmentHolder(allotment, holder)) {
+			cell.blocked += Math.max(allotted - pickup, 0);
+		}
+		blocks[key] = cell;
+		return blocks;
+	}, {});
+
+const normalizeAllotmentInput = (input = {}, hotel = {}) => {
+	const start = dayKey(input.startDate);
+	const end = dayKey(input.endDate);
+	if (!start || !end || end <= start) {
+		throw new HotelAllotmentError(
+			"Allotment end date must be after its start date.",
+			"allotment_dates_invalid"
+		);
+	}
+	const rooms = Math.floor(Number(input.rooms));
+	if (!Number.isFinite(rooms) || rooms <= 0) {
+		throw new HotelAllotmentError(
+			"Allotment rooms must be a positive number.",
+			"allotment_rooms_invalid"
+		);
+	}
+	const releaseDays = Math.floor(Number(input.releaseDays ?? 14));
+	if (!Number.isFinite(releaseDays) || releaseDays < 0) {
+		throw new HotelAllotmentError(
+			"Release days cannot be negative.",
+			"allotment_release_invalid"
+		);
+	}
+	const roomType = normalizeKey(input.room_type || input.roomType);
+	const displayName = normalizeKey(input.displayName);
+	const detail = (hotel.roomCountDetails || []).find(
+		(room) =>
+			(roomType && normalizeKey(room.roomType) === roomType &&
+				(!displayName || normalizeKey(room.displayName) === displayName)) ||
+			(!roomType && displayName && normalizeKey(room.displayName) === displayName)
+	);
+	if (!detail) {
+		throw new HotelAllotmentError(
+			"Room type is not configured for this hotel.",
+			"allotment_room_type_unknown"
+		);
+	}
+	if (rooms > (Number(detail.count) || 0)) {
+		throw new HotelAllotmentError(
+			`Only ${Number(detail.count) || 0} ${detail.displayName || detail.roomType} rooms exist.`,
+			"allotment_rooms_exceed_capacity"
+		);
+	}
+	if (!input.agentId && !String(input.partnerName || "").trim()) {
+		throw new HotelAllotmentError(
+			"An allotment needs an agent or a partner name.",
+			"allotment_partner_required"
+		);
+	}
+	return {
+		room_type: detail.roomType,
+		displayName: detail.displayName || "",
+		startDate: new Date(`${start}T00:00:00.000Z`),
+		endDate: new Date(`${end}T00:00:00.000Z`),
+		rooms,
+		releaseDays,
+		agentId: input.agentId || null,
+		partnerName: String(input.partnerName || "").trim(),
+		reference: String(input.reference || "").trim(),
+		notes: String(input.notes || "").trim(),
+	};
+};
+
+/**
+ * Stay nights whose release date has arrived but that are not yet recorded
+ * in `releasedDates`. Used by the release job to write the audit trail.
+ */
+const findDueAllotmentReleases = (allotment = {}, now = new Date()) => {
+	if (allotment.status && allotment.status !== "active") return [];
+	const recorded = new Set(
+		(allotment.releasedDates || []).map((entry) => dayKey(entry.date))
+	);
+	const today = releaseTodayKey(now);
+	return allotmentStayDates(allotment).filter(
+		(date) => !recorded.has(date) && today >= allotmentReleaseDateKey(allotment, date)
+	);
+};
+
+/**
+ * Pickup vs. allotment per stay night for reporting.
+ */
+const buildAllotmentPickupReport = (allotment = {}, reservationCounts = [], now = new Date()) => {
+	const allotted = Math.max(Number(allotment.rooms) || 0, 0);
+	const days = allotmentStayDates(allotment).map((date) => {
+		const pickup = allotmentPickupForDate(allotment, reservationCounts, date);
+		const released = isAllotmentDateReleased(allotment, date, now);
+		return {
+			date,
+			releaseDate: allotmentReleaseDateKey(allotment, date),
+			allotted,
+			pickup,
+			remaining: Math.max(allotted - pickup, 0),
+			released,
+			pickupRate: allotted > 0 ? Math.min(pickup / allotted, 1) : 0,
+		};
+	});
+	const roomNights = days.reduce(
+		(acc, day) => {
+			acc.allotted += day.allotted;
+			acc.pickup += Math.min(day.pickup, day.allotted);
+			acc.released += day.released ? day.remaining : 0;
+			acc.blocked += day.released ? 0 : day.remaining;
+			return acc;
+		},
+		{ allotted: 0, pickup: 0, released: 0, blocked: 0 }
+	);
+	return {
+		...roomNights,
+		pickupRate: roomNights.allotted > 0 ? roomNights.pickup / roomNights.allotted : 0,
+		days,
+	};
+};
+
+// Released allotments are still loaded so calendars can report their pickup;
+// they no longer block anything.
+const loadHotelAllotments = (hotelId, { start, endExclusive } = {}) =>
+	HotelAllotment.find({
+		hotelId,
+		status: { $in: ["active", "released"] },
+		...(start ? { endDate: { $gt: start } } : {}),
+		...(endExclusive ? { startDate: { $lt: endExclusive } } : {}),
+	})
+		.lean()
+		.exec();
+
+/**
+ * Loads the reservations overlapping [firstDate, lastDate] in the
+ * { reservation, counts } shape used by the pickup helpers above, counted
+ * exactly as the inventory calendar counts them. Stays already completed
+ * still count as pickup.
+ */
+const loadAllotmentReservationCounts = (hotelId, firstDate, lastDate) => {
+	// Required lazily: the inventory controller loads this service.
+	const { loadInventoryReservationCounts } = require("../controllers/hotel_inventory");
+	return loadInventoryReservationCounts(String(hotelId), {
+		startDate: new Date(`${firstDate}T00:00:00.000Z`),
+		endDate: moment.utc(lastDate, "YYYY-MM-DD").add(1, "day").toDate(),
+		includeCompletedStays: true,
+		includeHistoricalReservations: true,
+	});
+};
+
+/**
+ * Records newly due releases on every active allotment and closes allotments
+ * whose last night has been released.
+ */
+const releaseDueAllotments = async ({ now = new Date(), logger = console } = {}) => {
+	const allotments = await HotelAllotment.find({ status: "active" }).exec();
+	let releasedNights = 0;
+
+	for (const allotment of allotments) {
+		const due = findDueAllotmentReleases(allotment, now);
+		if (!due.length) continue;
+		const reservationCounts = await loadAllotmentReservationCounts(
+			allotment.hotelId,
+			due[0],
+			due[due.length - 1]
+		);
+		due.forEach((date) => {
+			const pickup = allotmentPickupForDate(allotment, reservationCounts, date);
+			allotment.releasedDates.push({
+				date,
+				pickup,
+				roomsReleased: Math.max((Number(allotment.rooms) || 0) - pickup, 0),
+				releasedAt: now,
+				reason: "auto",
+			});
+		});
+		releasedNights += due.length;
+		const recorded = new Set(allotment.releasedDates.map((entry) => entry.date));
+		if (allotmentStayDates(allotment).every((date) => recorded.has(date))) {
+			allotment.status = "released";
+		}
+		await allotment.save();
+	}
+
+	if (releasedNights > 0) {
+		logger.log(`[allotments] Released ${releasedNights} allotment nights back to general sale.`);
+	}
+	return { releasedNights, allotments: allotments.length };
+};
+
+const isAllotmentReleaseJobEnabled = (env = process.env) =>
+	String(env.ALLOTMENT_RELEASE_JOB_ENABLED || "").toLowerCase() === "true";
+
+const startAllotmentReleaseJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			await releaseDueAllotments({ logger });
+		} catch (error) {
+			logger.error("[allotments] Release job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+module.exports = {
+	HotelAllotmentError,
+	allotmentPickupForDate,
+	allotmentReleaseDateKey,
+	allotmentRoomKey,
+	allotmentStayDates,
+	buildAllotmentDayBlocks,
+	buildAllotmentPickupReport,
+	findDueAllotmentReleases,
+	isAllotmentDateReleased,
+	isAllotmentHolder,
+	isAllotmentReleaseJobEnabled,
+	loadAllotmentReservationCounts,
+	loadHotelAllotments,
+	normalizeAllotmentInput,
+	releaseDueAllotments,
+	reservationBelongsToAllotment,
+	startAllotmentReleaseJob,
+};
@@ -0,0 +1,236 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const HotelAllotment = require("../models/hotel_allotment");
+const Reservations = require("../models/reservations");
+const Rooms = require("../models/rooms");
+const {
+	HotelAllotmentError,
+	buildAllotmentDayBlocks,
+	buildAllotmentPickupReport,
+	findDueAllotmentReleases,
+	isAllotmentDateReleased,
+	isAllotmentHolder,
+	isAllotmentReleaseJobEnabled,
+	normalizeAllotmentInput,
+	releaseDueAllotments,
+} = require("./hotelAllotment");
+
+const AGENT_ID = "65a000000000000000000060";
+
+const allotment = {
+	_id: "65a000000000000000000090",
+	agentId: AGENT_ID,
+	room_type: "doubleRooms",
+	displayName: "Double Room",
+	startDate: new Date("2026-12-01T00:00:00.000Z"),
+	endDate: new Date("2026-12-04T00:00:00.000Z"),
+	rooms: 5,
+	releaseDays: 14,
+	status: "active",
+	releasedDates: [],
+};
+
+const agentReservation = {
+	reservation: {
+		_id: "r1",
+		checkin_date: new Date("2026-12-01T00:00:00.000Z"),
+		checkout_date: new Date("2026-12-03T00:00:00.000Z"),
+		reservation_status: "confirmed",
+		orderTakeId: AGENT_ID,
+	},
+	counts: [{ key: "double room", count: 2 }],
+};
+const otherReservation = {
+	reservation: {
+		_id: "r2",
+		checkin_date: new Date("2026-12-01T00:00:00.000Z"),
+		checkout_date: new Date("2026-12-02T00:00:00.000Z"),
+		reservation_status: "confirmed",
+		orderTakeId: "65a000000000000000000061",
+	},
+	counts: [{ key: "double room", count: 1 }],
+};
+const cancelledAgentReservation = {
+	reservation: { ...agentReservation.reservation, _id: "r3", reservation_status: "cancelled" },
+	counts: [{ key: "double room", count: 3 }],
+};
+
+const queryResult = (value) => {
+	const query = {
+		select: () => query,
+		populate: () => query,
+		lean: () => query,
+		then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+		exec: async () => value,
+	};
+	return query;
+};
+
+test("unsold allotment rooms block inventory until each night's release date", () => {
+	const beforeRelease = new Date("2026-11-16T12:00:00.000Z");
+	const blocks = buildAllotmentDayBlocks({
+		allotments: [allotment],
+		reservationCounts: [agentReservation, otherReservation, cancelledAgentReservation],
+		date: "2026-12-01",
+		now: beforeRelease,
+	});
+	assert.deepEqual(blocks, {
+		"double room": { allotted: 5, pickup: 2, blocked: 3, released: 0 },
+	});
+
+	// 2026-12-01 releases on 2026-11-17 (Riyadh), the later nights stay held.
+	const releaseDay = new Date("2026-11-16T22:00:00.000Z");
+	assert.equal(isAllotmentDateReleased(allotment, "2026-12-01", releaseDay), true);
+	assert.equal(isAllotmentDateReleased(allotment, "2026-12-02", releaseDay), false);
+	assert.deepEqual(
+		buildAllotmentDayBlocks({
+			allotments: [allotment],
+			reservationCounts: [agentReservation],
+			date: "2026-12-01",
+			now: releaseDay,
+		})["double room"],
+		{ allotted: 5, pickup: 2, blocked: 0, released: 3 }
+	);
+	assert.deepEqual(
+		buildAllotmentDayBlocks({ allotments: [allotment], date: "2026-12-04" }),
+		{}
+	);
+});
+
+test("the holder's own bookings can still use its unsold allotment rooms", () => {
+	const beforeRelease = new Date("2026-11-16T12:00:00.000Z");
+	const blocksFor = (holder) =>
+		buildAllotmentDayBlocks({
+			allotments: [allotment],
+			reservationCounts: [agentReservation],
+			date: "2026-12-01",
+			now: beforeRelease,
+			holder,
+		})["double room"];
+	assert.deepEqual(blocksFor({ agentId: AGENT_ID }), {
+		allotted: 5,
+		pickup: 2,
+		blocked: 0,
+		released: 0,
+	});
+	assert.equal(blocksFor({ agentId: "65a000000000000000000061" }).blocked, 3);
+	assert.equal(blocksFor(null).blocked, 3);
+	const partnerAllotment = { ...allotment, agentId: null, partnerName: "Umrah Wholesale" };
+	assert.equal(isAllotmentHolder(partnerAllotment, { bookingSource: "umrah wholesale" }), true);
+	assert.equal(isAllotmentHolder(partnerAllotment, { agentId: AGENT_ID }), false);
+});
+
+test("partner-only allotments count reservations by booking source", () => {
+	const partnerAllotment = { ...allotment, agentId: null, partnerName: "Umrah Wholesale" };
+	const report = buildAllotmentPickupReport(
+		partnerAllotment,
+		[
+			{
+				reservation: {
+					...otherReservation.reservation,
+					orderTakeId: null,
+					booking_source: "umrah wholesale",
+				},
+				counts: [{ key: "double room", count: 4 }],
+			},
+		],
+		new Date("2026-11-01T00:00:00.000Z")
+	);
+	assert.deepEqual(
+		report.days.map((day) => [day.date, day.pickup, day.remaining, day.releaseDate]),
+		[
+			["2026-12-01", 4, 1, "2026-11-17"],
+			["2026-12-02", 0, 5, "2026-11-18"],
+			["2026-12-03", 0, 5, "2026-11-19"],
+		]
+	);
+	assert.equal(report.allotted, 15);
+	assert.equal(report.pickup, 4);
+	assert.equal(report.blocked, 11);
+});
+
+test("allotment input is validated against the hotel room types", () => {
+	const hotel = {
+		roomCountDetails: [{ roomType: "doubleRooms", displayName: "Double Room", count: 10 }],
+	};
+	const normalized = normalizeAllotmentInput(
+		{
+			room_type: "doubleRooms",
+			startDate: "2026-12-01",
+			endDate: "2026-12-04",
+			rooms: "5",
+			partnerName: " Wholesaler ",
+		},
+		hotel
+	);
+	assert.equal(normalized.displayName, "Double Room");
+	assert.equal(normalized.releaseDays, 14);
+	assert.equal(normalized.partnerName, "Wholesaler");
+	assert.equal(normalized.endDate.toISOString(), "2026-12-04T00:00:00.000Z");
+
+	assert.throws(
+		() => normalizeAllotmentInput({ ...normalized, rooms: 11 }, hotel),
+		(error) =>
+			error instanceof HotelAllotmentError &&
+			error.code === "allotment_rooms_exceed_capacity"
+	);
+	assert.throws(
+		() => normalizeAllotmentInput({ ...normalized, partnerName: "", agentId: null }, hotel),
+		{ code: "allotment_partner_required" }
+	);
+});
+
+test("release job records due nights and closes fully released allotments", async () => {
+	assert.equal(isAllotmentReleaseJobEnabled({}), false);
+	assert.equal(isAllotmentReleaseJobEnabled({ ALLOTMENT_RELEASE_JOB_ENABLED: "true" }), true);
+	const originalFind = HotelAllotment.find;
+	const originalReservationFind = Reservations.find;
+	const originalRoomFind = Rooms.find;
+	const saved = [];
+	const document = {
+		...allotment,
+		releasedDates: [{ date: "2026-12-01" }],
+		save: async function save() {
+			saved.push(this);
+		},
+	};
+	HotelAllotment.find = () => ({ exec: async () => [document] });
+	Reservations.find = () =>
+		queryResult([
+			{
+				...agentReservation.reservation,
+				pickedRoomsType: [{ room_type: "doubleRooms", displayName: "Double Room", count: 2 }],
+			},
+		]);
+	Rooms.find = () => queryResult([]);
+	try {
+		const now = new Date("2026-11-20T08:00:00.000Z");
+		assert.deepEqual(findDueAllotmentReleases(document, now), [
+			"2026-12-02",
+			"2026-12-03",
+		]);
+		const logs = [];
+		const result = await releaseDueAllotments({
+			now,
+			logger: { log: (line) => logs.push(line), error: () => {} },
+		});
+		assert.equal(result.releasedNights, 2);
+		assert.equal(saved.length, 1);
+		assert.equal(document.status, "released");
+		assert.deepEqual(
+			document.releasedDates.slice(1).map((entry) => [entry.date, entry.roomsReleased]),
+			// Pickup is counted the way the inventory calendar counts it.
+			[
+				["2026-12-02", 3],
+				["2026-12-03", 5],
+			]
+		);
+		assert.equal(logs.length, 1);
+	} finally {
+		HotelAllotment.find = originalFind;
+		Reservations.find = originalReservationFind;
+		Rooms.find = originalRoomFind;
+	}
+});
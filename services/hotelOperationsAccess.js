@@ -0,0 +1,233 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const HotelDetails = require("../models/hotel_details");
+
+// Capabilities for hotel operations screens (group contracts, front desk,
+// revenue tools, maintenance...). Each capability lists the role numbers and
+// role descriptions that may use it; platform admins are always allowed.
+const HOTEL_OPERATION_CAPABILITIES = Object.freeze({
+	RESERVATIONS: "reservations",
+	FRONT_DESK: "front_desk",
+	REVENUE: "revenue",
+	FINANCE: "finance",
+	HOUSEKEEPING: "housekeeping",
+	MAINTENANCE: "maintenance",
+});
+
+const CAPABILITY_RULES = Object.freeze({
+	[HOTEL_OPERATION_CAPABILITIES.RESERVATIONS]: {
+		roles: [2000, 3000, 7000, 8000, 10000],
+		descriptions: [
+			"hotelmanager",
+			"reception",
+			"ordertaker",
+			"reservationemployee",
+			"systemadmin",
+			"system admin",
+		],
+	},
+	[HOTEL_OPERATION_CAPABILITIES.FRONT_DESK]: {
+		roles: [2000, 3000, 10000],
+		descriptions: ["hotelmanager", "reception", "systemadmin", "system admin"],
+	},
+	[HOTEL_OPERATION_CAPABILITIES.REVENUE]: {
+		roles: [2000, 6000, 10000],
+		descriptions: ["hotelmanager", "finance", "systemadmin", "system admin"],
+	},
+	[HOTEL_OPERATION_CAPABILITIES.FINANCE]: {
+		roles: [2000, 6000, 10000],
+		descriptions: ["hotelmanager", "finance", "systemadmin", "system admin"],
+	},
+	[HOTEL_OPERATION_CAPABILITIES.HOUSEKEEPING]: {
+		roles: [2000, 3000, 4000, 5000, 10000],
+		descriptions: [
+			"hotelmanager",
+			"reception",
+			"housekeepingmanager",
+			"housekeeping",
+			"systemadmin",
+			"system admin",
+		],
+	},
+	[HOTEL_OPERATION_CAPABILITIES.MAINTENANCE]: {
+		roles: [2000, 3000, 4000, 10000],
+		descriptions: [
+			"hotelmanager",
+			"reception",
+			"housekeepingmanager",
+			"systemadmin",
+			"system admin",
+		],
+	},
+});
+
+const ACTOR_SELECT =
+	"_id name email role roles roleDescription roleDescriptions activeUser accessTo hotelIdWork hotelIdsWork belongsToId hotelsToSupport hotelIdsOwner accountScope platformEmployee";
+
+const normalizeId = (value) => {
+	if (!value) return "";
+	if (typeof value === "object" && value._id) return String(value._id).trim();
+	if (typeof value === "object" && typeof value.id === "string") {
+		return value.id.trim();
+	}
+	return String(value).trim();
+};
+
+const configuredSuperAdminIds = () =>
+	[process.env.SUPER_ADMIN_ID, process.env.REACT_APP_SUPER_ADMIN_ID]
+		.flatMap((value) => String(value || "").split(","))
+		.map((id) => id.trim())
+		.filter(Boolean);
+
+const isConfiguredSuperAdmin = (actor = {}) =>
+	configuredSuperAdminIds().includes(normalizeId(actor));
+
+const roleNumbers = (actor = {}) =>
+	[actor?.role, ...(Array.isArray(actor?.roles) ? actor.roles : [])]
+		.map(Number)
+		.filter(
+			(role, index, roles) =>
+				Number.isFinite(role) && roles.indexOf(role) === index
+		);
+
+const roleDescriptions = (actor = {}) =>
+	[
+		actor?.roleDescription,
+		...(Array.isArray(actor?.roleDescriptions)
+			? actor.roleDescriptions
+			: []),
+	]
+		.map((role) => String(role || "").trim().toLowerCase())
+		.filter((role, index, roles) => role && roles.indexOf(role) === index);
+
+const assignedHotelIds = (actor = {}) =>
+	[
+		actor?.hotelIdWork,
+		...(Array.isArray(actor?.hotelIdsWork) ? actor.hotelIdsWork : []),
+		...(Array.isArray(actor?.hotelIdsOwner) ? actor.hotelIdsOwner : []),
+		...(Array.isArray(actor?.hotelsToSupport)
+			? actor.hotelsToSupport
+			: []),
+	]
+		.map(normalizeId)
+		.filter((id, index, ids) => id && ids.indexOf(id) === index);
+
+const isPlatformAdmin = (actor = {}) =>
+	Boolean(actor) &&
+	actor.activeUser !== false &&
+	(isConfiguredSuperAdmin(actor) || roleNumbers(actor).includes(1000));
+
+// Platform finance staff, as opposed to the finance role on a hotel account.
+const isPlatformFinance = (actor = {}) =>
+	isPlatformAdmin(actor) ||
+	(Boolean(actor) &&
+		actor.activeUser !== false &&
+		(actor.accountScope === "platform" || actor.platformEmployee === true) &&
+		(roleNumbers(actor).includes(6000) ||
+			roleDescriptions(actor).includes("finance")));
+
+const canUseHotelCapability = (actor = {}, capability) => {
+	if (!actor || actor.activeUser === false) return false;
+	if (isPlatformAdmin(actor)) return true;
+	const rule = CAPABILITY_RULES[capability];
+	if (!rule) return false;
+	const roles = roleNumbers(actor);
+	const descriptions = roleDescriptions(actor);
+	return (
+		rule.roles.some((role) => roles.includes(role)) ||
+		rule.descriptions.some((description) => descriptions.includes(description))
+	);
+};
+
+const hasHotelScope = (actor = {}, hotel = {}) => {
+	if (!actor || actor.activeUser === false || !hotel?._id) return false;
+	if (isPlatformAdmin(actor)) return true;
+
+	const actorId = normalizeId(actor);
+	const hotelId = normalizeId(hotel);
+	const ownerId = normalizeId(hotel.belongsTo);
+
+	if (roleNumbers(actor).includes(2000) && actorId && actorId === ownerId) {
+		return true;
+	}
+	if (!assignedHotelIds(actor).includes(hotelId)) return false;
+
+	const actorOwnerId = normalizeId(actor.belongsToId);
+	return !actorOwnerId || Boolean(ownerId && actorOwnerId === ownerId);
+};
+
+const canAccessHotelOperation = (actor = {}, hotel = {}, capability) =>
+	canUseHotelCapability(actor, capability) && hasHotelScope(actor, hotel);
+
+const buildActorSnapshot = (actor = {}) => ({
+	_id: normalizeId(actor),
+	name: actor?.name || actor?.email || "",
+	role: actor?.roleDescription || String(actor?.role || ""),
+});
+
+const loadActor = async (req = {}) => {
+	const authId = normalizeId(req.auth?._id || req.auth?.id);
+	if (!authId) return null;
+	if (req.profile && normalizeId(req.profile) === authId) return req.profile;
+	if (!mongoose.Types.ObjectId.isValid(authId)) return null;
+	const actor = await User.findById(authId).select(ACTOR_SELECT).lean().exec();
+	if (actor) req.profile = actor;
+	return actor;
+};
+
+const hotelIdFromRequest = (req = {}) =>
+	normalizeId(req.params?.hotelId || req.body?.hotelId || req.query?.hotelId);
+
+/**
+ * Express middleware: resolves the actor and hotel, checks the capability and
+ * hotel scope, and exposes them as req.operationsActor / req.operationsHotel.
+ */
+const requireHotelOperationAccess =
+	(capability) => async (req, res, next) => {
+		try {
+			const hotelId = hotelIdFromRequest(req);
+			if (!mongoose.Types.ObjectId.isValid(hotelId)) {
+				return res.status(400).json({ error: "Invalid hotelId." });
+			}
+
+			const actor = await loadActor(req);
+			if (!canUseHotelCapability(actor, capability)) {
+				return res.status(403).json({ error: "Hotel access denied." });
+			}
+
+			const hotel = await HotelDetails.findById(hotelId)
+				.select("_id belongsTo hotelName currency wholeSaleHotel")
+				.lean()
+				.exec();
+			if (!hotel) {
+				return res.status(404).json({ error: "Hotel not found." });
+			}
+			if (!hasHotelScope(actor, hotel)) {
+				return res.status(403).json({ error: "Hotel access denied." });
+			}
+
+			req.operationsActor = actor;
+			req.operationsHotel = hotel;
+			return next();
+		} catch (error) {
+			console.error("[hotel-operations-access] check failed:", error);
+			return res.status(403).json({ error: "Hotel access denied." });
+		}
+	};
+
+module.exports = {
+	HOTEL_OPERATION_CAPABILITIES,
+	assignedHotelIds,
+	buildActorSnapshot,
+	canAccessHotelOperation,
+	canUseHotelCapability,
+	hasHotelScope,
+	hotelIdFromRequest,
+	isPlatformAdmin,
+	isPlatformFinance,
+	loadActor,
+	normalizeId,
+	requireHotelOperationAccess,
+};
@@ -0,0 +1,126 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const HotelDetails = require("../models/hotel_details");
+const {
+	HOTEL_OPERATION_CAPABILITIES,
+	canAccessHotelOperation,
+	canUseHotelCapability,
+	hasHotelScope,
+	requireHotelOperationAccess,
+} = require("./hotelOperationsAccess");
+
+const HOTEL_ID = "65a000000000000000000001";
+const OWNER_ID = "65a000000000000000000002";
+const OTHER_OWNER_ID = "65a000000000000000000003";
+const hotel = { _id: HOTEL_ID, belongsTo: OWNER_ID };
+
+const queryResult = (value) => {
+	const query = {
+		select: () => query,
+		lean: () => query,
+		exec: async () => value,
+	};
+	return query;
+};
+
+const responseRecorder = () => {
+	const response = { statusCode: 200, body: null };
+	response.status = (code) => {
+		response.statusCode = code;
+		return response;
+	};
+	response.json = (body) => {
+		response.body = body;
+		return response;
+	};
+	return response;
+};
+
+test("hotel owners are scoped to their own hotels", () => {
+	const owner = { _id: OWNER_ID, role: 2000 };
+	assert.equal(hasHotelScope(owner, hotel), true);
+	assert.equal(
+		hasHotelScope(owner, { _id: HOTEL_ID, belongsTo: OTHER_OWNER_ID }),
+		false
+	);
+});
+
+test("staff need both the capability and the hotel assignment", () => {
+	const reception = {
+		_id: "65a000000000000000000010",
+		role: 3000,
+		hotelIdWork: HOTEL_ID,
+		belongsToId: OWNER_ID,
+	};
+	assert.equal(
+		canAccessHotelOperation(
+			reception,
+			hotel,
+			HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+		),
+		true
+	);
+	assert.equal(
+		canAccessHotelOperation(
+			reception,
+			hotel,
+			HOTEL_OPERATION_CAPABILITIES.REVENUE
+		),
+		false
+	);
+	assert.equal(
+		canAccessHotelOperation(
+			{ ...reception, belongsToId: OTHER_OWNER_ID },
+			hotel,
+			HOTEL_OPERATION_CAPABILITIES.FRONT_DESK
+		),
+		false
+	);
+});
+
+test("inactive users and unknown capabilities are denied", () => {
+	assert.equal(
+		canUseHotelCapability({ role: 1000, activeUser: false }, "reservations"),
+		false
+	);
+	assert.equal(canUseHotelCapability({ role: 2000 }, "unknown"), false);
+	assert.equal(canUseHotelCapability({ role: 1000 }, "unknown"), true);
+});
+
+test("middleware attaches the scoped hotel and rejects other hotels", async () => {
+	const originalFindById = HotelDetails.findById;
+	HotelDetails.findById = () => queryResult(hotel);
+	try {
+		const allowedReq = {
+			auth: { _id: OWNER_ID },
+			profile: { _id: OWNER_ID, role: 2000 },
+			params: { hotelId: HOTEL_ID },
+		};
+		let nextCalled = false;
+		await requireHotelOperationAccess(
+			HOTEL_OPERATION_CAPABILITIES.RESERVATIONS
+		)(allowedReq, responseRecorder(), () => {
+			nextCalled = true;
+		});
+		assert.equal(nextCalled, true);
+		assert.equal(allowedReq.operationsHotel._id, HOTEL_ID);
+
+		const deniedRes = responseRecorder();
+		await requireHotelOperationAccess(
+			HOTEL_OPERATION_CAPABILITIES.RESERVATIONS
+		)(
+			{
+				auth: { _id: OTHER_OWNER_ID },
+				profile: { _id: OTHER_OWNER_ID, role: 2000 },
+				params: { hotelId: HOTEL_ID },
+			},
+			deniedRes,
+			() => assert.fail("next should not be called")
+		);
+		assert.equal(deniedRes.statusCode, 403);
+	} finally {
+		HotelDetails.findById = originalFindById;
+	}
+});
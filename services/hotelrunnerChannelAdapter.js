@@ -0,0 +1,144 @@
+/** @format */
+
+const HotelRunnerRoomMapping = require("../models/hotelrunner_room_mapping");
+const { createHotelRunnerClient } = require("./hotelrunnerClient");
+const { getHotelRunnerConfig } = require("./hotelrunnerConfig");
+const { cleanIdentifier, normalizeHotelRunnerReservation } = require("./hotelrunnerPayload");
+const { defineChannelManagerAdapter } = require("./channelManagerAdapter");
+
+const toChannelReservation = (normalized, payload) => ({
+	messageUid: normalized.messageUid,
+	externalId: normalized.hrNumber || normalized.providerNumber,
+	channel: normalized.channel,
+	state: normalized.state,
+	modified: normalized.modified === true,
+	checkinDate: normalized.checkinDate,
+	checkoutDate: normalized.checkoutDate,
+	guestName: normalized.guestName,
+	totalCents: normalized.totalCents,
+	currency: normalized.currency,
+	rooms: (normalized.rooms || []).map((room) => ({
+		externalRoomCode: room.invCode,
+		state: room.state,
+	})),
+	payloadHash: normalized.payloadHash,
+	payload,
+});
+
+/**
+ * Verified HotelRunner inventory codes per local room, for rooms that can be
+ * pushed to. Master rooms and variant conflicts are never pushed.
+ */
+async function loadHotelRunnerInvCodes({ hotelId, roomIds = null } = {}, { MappingModel = HotelRunnerRoomMapping } = {}) {
+	const query = {
+		hotelId,
+		status: "active",
+		roomListVerificationState: "verified",
+		variantConflict: { $ne: true },
+		isMaster: { $ne: true },
+	};
+	if (Array.isArray(roomIds)) query.localRoomConfigId = roomIds.length === 1 ? roomIds[0] : { $in: roomIds };
+	const mappings = await MappingModel.find(query).select("invCode localRoomConfigId").lean().exec();
+	const codesByRoom = new Map();
+	(mappings || []).forEach((mapping) => {
+		const invCode = cleanIdentifier(mapping.invCode);
+		const roomId = String(mapping.localRoomConfigId || (roomIds?.length === 1 ? roomIds[0] : ""));
+		if (!invCode || !roomId) return;
+		if (!codesByRoom.has(roomId)) codesByRoom.set(roomId, []);
+		if (!codesByRoom.get(roomId).includes(invCode)) codesByRoom.get(roomId).push(invCode);
+	});
+	return codesByRoom;
+}
+
+/**
+ * HotelRunner behind the channel-manager contract. Restrictions are always
+ * supported; availability and rates only once HOTELRUNNER_ARI_PUSH_ENABLED
+ * is on, because until then they are maintained in the HotelRunner
+ * extranet. Every call goes through the existing client, so its
+ * configuration gates and API quota still apply.
+ */
+function createHotelRunnerChannelAdapter({
+	config = getHotelRunnerConfig(),
+	hotelId = config?.hotelId,
+	client = null,
+	createClient = createHotelRunnerClient,
+	fetchImpl,
+	quotaDependencies,
+} = {}) {
+	let activeClient = client;
+	const getClient = () => {
+		if (!activeClient) {
+			activeClient = createClient({ config, hotelId, fetchImpl, quotaDependencies });
+		}
+		return activeClient;
+	};
+
+	return defineChannelManagerAdapter({
+		key: "hotelrunner",
+		label: "HotelRunner",
+		supports: {
+			availability: config?.ariPushEnabled === true,
+			rates: config?.ariPushEnabled === true,
+			restrictions: true,
+		},
+		async pushAri(updates) {
+			let accepted = 0;
+			for (const update of updates) {
+				const range = {
+					invCode: update.externalRoomCode,
+					startDate: update.startDate,
+					endDate: update.endDate,
+				};
+				try {
+					if (update.availability !== null || update.price !== null) {
+						await getClient().updateRoomInventory({
+							...range,
+							availability: update.availability,
+							price: update.price,
+						});
+					}
+					if (update.restrictions) {
+						await getClient().updateRoomRestrictions({ ...range, ...update.restrictions });
+					}
+					accepted += 1;
+				} catch (error) {
+					// Earlier ranges already reached HotelRunner; callers resume from here.
+					error.accepted = accepted;
+					throw error;
+				}
+			}
+		},
+		async pullReservations({ undelivered = true, ...options } = {}) {
+			const envelope = await getClient().retrieveReservations({ ...options, undelivered });
+			if (!Array.isArray(envelope?.reservations)) {
+				const error = new Error("HotelRunner pull response has no reservations array.");
+				error.code = "HOTELRUNNER_PULL_RESPONSE_INVALID";
+				throw error;
+			}
+			const reservations = [];
+			const rejected = [];
+			envelope.reservations.forEach((raw) => {
+				const normalized = normalizeHotelRunnerReservation(raw);
+				if (normalized.issues?.length) {
+					rejected.push({ messageUid: normalized.messageUid, issues: normalized.issues, payload: raw });
+					return;
+				}
+				reservations.push(toChannelReservation(normalized, raw));
+			});
+			const pages = Number(envelope?.pages);
+			return {
+				reservations,
+				rejected,
+				cursor: Number.isFinite(pages) && pages > 0 ? { page: options.page || 1, pages } : null,
+			};
+		},
+		async confirmDelivery({ messageUid, pmsNumber }) {
+			return getClient().confirmDelivery({ messageUid, pmsNumber });
+		},
+	});
+}
+
+module.exports = {
+	createHotelRunnerChannelAdapter,
+	loadHotelRunnerInvCodes,
+};
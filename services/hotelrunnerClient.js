@@ -91,6 +91,8 @@ function createHotelRunnerClient({ config, hotelId, fetchImpl = fetch, quotaDepe
 	const baseUrl = validateBaseUrl(config.apiBaseUrl);
 	const deliveryConfirmationEnabled =
 		config.confirmDeliveryEnabled === true && config.projectionEnabled === true;
+	const restrictionsPushEnabled = config.restrictionsPushEnabled === true;
+	const ariPushEnabled = config.ariPushEnabled === true;
 
 	async function performRequest(path, { method = "GET", query = {} } = {}) {
 		await reserveHotelRunnerApiCall(
@@ -250,6 +252,108 @@ function createHotelRunnerClient({ config, hotelId, fetchImpl = fetch, quotaDepe
 			}
 			return body;
 		},
+		async updateRoomRestrictions({ invCode, startDate, endDate, minStay, stopSale, cta, ctd } = {}) {
+			if (!restrictionsPushEnabled) {
+				throw new HotelRunnerApiError(
+					"HotelRunner restriction push is disabled by configuration.",
+					{
+						code: "HOTELRUNNER_RESTRICTIONS_PUSH_DISABLED",
+						retryable: false,
+					}
+				);
+			}
+			const normalizedInvCode = String(invCode || "").trim();
+			const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+			const nights = Number(minStay);
+			if (
+				!normalizedInvCode ||
+				normalizedInvCode.length > 256 ||
+				/[\u0000-\u001f\u007f]/.test(normalizedInvCode) ||
+				!dateRe.test(String(startDate || "")) ||
+				!dateRe.test(String(endDate || "")) ||
+				endDate < startDate ||
+				!Number.isInteger(nights) ||
+				nights < 1
+			) {
+				throw new HotelRunnerApiError(
+					"HotelRunner restriction update needs an inventory code, a date range and a minimum stay.",
+					{
+						code: "HOTELRUNNER_RESTRICTIONS_OPTIONS_INVALID",
+						retryable: false,
+					}
+				);
+			}
+			const body = await performRequest("rooms/~", {
+				method: "PUT",
+				query: {
+					inv_code: normalizedInvCode,
+					start_date: startDate,
+					end_date: endDate,
+					min_stay: nights,
+					stop_sale: stopSale === true,
+					cta: cta === true,
+					ctd: ctd === true,
+				},
+			});
+			if (body?.status !== "ok") {
+				throw new HotelRunnerApiError(
+					"HotelRunner did not accept the restriction update.",
+					{ code: "HOTELRUNNER_RESTRICTIONS_REJECTED" }
+				);
+			}
+			return body;
+		},
+		async updateRoomInventory({ invCode, startDate, endDate, availability, price } = {}) {
+			if (!ariPushEnabled) {
+				throw new HotelRunnerApiError(
+					"HotelRunner availability and rate push is disabled by configuration.",
+					{
+						code: "HOTELRUNNER_ARI_PUSH_DISABLED",
+						retryable: false,
+					}
+				);
+			}
+			const normalizedInvCode = String(invCode || "").trim();
+			const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+			const hasAvailability = availability !== undefined && availability !== null;
+			const hasPrice = price !== undefined && price !== null;
+			if (
+				!normalizedInvCode ||
+				normalizedInvCode.length > 256 ||
+				/[\u0000-\u001f\u007f]/.test(normalizedInvCode) ||
+				!dateRe.test(String(startDate || "")) ||
+				!dateRe.test(String(endDate || "")) ||
+				endDate < startDate ||
+				(!hasAvailability && !hasPrice) ||
+				(hasAvailability && (!Number.isInteger(availability) || availability < 0)) ||
+				(hasPrice && !(Number.isFinite(price) && price > 0))
+			) {
+				throw new HotelRunnerApiError(
+					"HotelRunner inventory update needs an inventory code, a date range and an availability or price.",
+					{
+						code: "HOTELRUNNER_ARI_OPTIONS_INVALID",
+						retryable: false,
+					}
+				);
+			}
+			const body = await performRequest("rooms/~", {
+				method: "PUT",
+				query: {
+					inv_code: normalizedInvCode,
+					start_date: startDate,
+					end_date: endDate,
+					availability: hasAvailability ? availability : undefined,
+					price: hasPrice ? price.toFixed(2) : undefined,
+				},
+			});
+			if (body?.status !== "ok") {
+				throw new HotelRunnerApiError(
+					"HotelRunner did not accept the inventory update.",
+					{ code: "HOTELRUNNER_ARI_REJECTED" }
+				);
+			}
+			return body;
+		},
 		request,
 	};
 }
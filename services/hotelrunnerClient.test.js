@@ -416,3 +416,110 @@ test("public raw requests cannot bypass the delivery-confirmation mutation gate"
 	assert.equal(BudgetModel.calls, 0);
 	assert.equal(fetchCalls, 0);
 });
+
+test("restriction push stays off unless its own gate is enabled", async () => {
+	const BudgetModel = quotaModel();
+	const client = createHotelRunnerClient({
+		config: syntheticConfig(),
+		hotelId: "64b000000000000000000001",
+		quotaDependencies: { BudgetModel },
+		fetchImpl: async () => {
+			throw new Error("disabled restriction push must not reach the network");
+		},
+	});
+	await assert.rejects(
+		client.updateRoomRestrictions({
+			invCode: "HR-DBL",
+			startDate: "2027-02-10",
+			endDate: "2027-02-20",
+			minStay: 5,
+		}),
+		(error) => error?.code === "HOTELRUNNER_RESTRICTIONS_PUSH_DISABLED"
+	);
+	assert.equal(BudgetModel.calls, 0);
+});
+
+test("enabled restriction push sends one room update per date range", async () => {
+	const BudgetModel = quotaModel();
+	let observed = null;
+	const client = createHotelRunnerClient({
+		config: syntheticConfig({ restrictionsPushEnabled: true, requestTimeoutMs: 500 }),
+		hotelId: "64b000000000000000000001",
+		quotaDependencies: { BudgetModel },
+		fetchImpl: async (url, options) => {
+			observed = { url: new URL(url), options };
+			return {
+				ok: true,
+				status: 200,
+				headers: headers(),
+				body: Readable.from([Buffer.from('{"status":"ok"}')]),
+			};
+		},
+	});
+	await assert.rejects(
+		client.updateRoomRestrictions({ invCode: "HR-DBL", startDate: "2027-02-20", endDate: "2027-02-10", minStay: 5 }),
+		(error) => error?.code === "HOTELRUNNER_RESTRICTIONS_OPTIONS_INVALID"
+	);
+	await client.updateRoomRestrictions({
+		invCode: "HR-DBL",
+		startDate: "2027-02-10",
+		endDate: "2027-02-20",
+		minStay: 5,
+		cta: true,
+	});
+	assert.equal(observed.options.method, "PUT");
+	assert.equal(observed.url.pathname, "/api/v2/apps/rooms/~");
+	assert.equal(observed.url.searchParams.get("inv_code"), "HR-DBL");
+	assert.equal(observed.url.searchParams.get("min_stay"), "5");
+	assert.equal(observed.url.searchParams.get("cta"), "true");
+	assert.equal(observed.url.searchParams.get("stop_sale"), "false");
+});
+
+test("inventory push is gated and sends availability and price for a date range", async () => {
+	const BudgetModel = quotaModel();
+	const disabled = createHotelRunnerClient({
+		config: syntheticConfig({ restrictionsPushEnabled: true }),
+		hotelId: "64b000000000000000000001",
+		quotaDependencies: { BudgetModel },
+		fetchImpl: async () => {
+			throw new Error("disabled inventory push must not reach the network");
+		},
+	});
+	await assert.rejects(
+		disabled.updateRoomInventory({ invCode: "HR-DBL", startDate: "2027-02-10", endDate: "2027-02-10", availability: 2 }),
+		(error) => error?.code === "HOTELRUNNER_ARI_PUSH_DISABLED"
+	);
+	assert.equal(BudgetModel.calls, 0);
+
+	let observed = null;
+	const client = createHotelRunnerClient({
+		config: syntheticConfig({ ariPushEnabled: true, requestTimeoutMs: 500 }),
+		hotelId: "64b000000000000000000001",
+		quotaDependencies: { BudgetModel },
+		fetchImpl: async (url, options) => {
+			observed = { url: new URL(url), options };
+			return {
+				ok: true,
+				status: 200,
+				headers: headers(),
+				body: Readable.from([Buffer.from('{"status":"ok"}')]),
+			};
+		},
+	});
+	await assert.rejects(
+		client.updateRoomInventory({ invCode: "HR-DBL", startDate: "2027-02-10", endDate: "2027-02-12" }),
+		(error) => error?.code === "HOTELRUNNER_ARI_OPTIONS_INVALID"
+	);
+	await client.updateRoomInventory({
+		invCode: "HR-DBL",
+		startDate: "2027-02-10",
+		endDate: "2027-02-12",
+		availability: 0,
+		price: 450,
+	});
+	assert.equal(observed.options.method, "PUT");
+	assert.equal(observed.url.pathname, "/api/v2/apps/rooms/~");
+	assert.equal(observed.url.searchParams.get("availability"), "0");
+	assert.equal(observed.url.searchParams.get("price"), "450.00");
+	assert.equal(observed.url.searchParams.has("min_stay"), false);
+});
@@ -136,6 +136,18 @@ function getHotelRunnerConfig(env = process.env) {
 		false,
 		errors
 	);
+	const restrictionsPushEnabled = parseBooleanSetting(
+		env,
+		"HOTELRUNNER_RESTRICTIONS_PUSH_ENABLED",
+		false,
+		errors
+	);
+	const ariPushEnabled = parseBooleanSetting(
+		env,
+		"HOTELRUNNER_ARI_PUSH_ENABLED",
+		false,
+		errors
+	);
 	const projectionNotBefore = parseIsoTimestamp(
 		env.HOTELRUNNER_PROJECTION_NOT_BEFORE
 	);
@@ -195,6 +207,12 @@ function getHotelRunnerConfig(env = process.env) {
 		// a new confirmed HotelRunner reservation enters the existing OTA review
 		// workflow before it is released to the hotel.
 		requireOtaReview,
+		// Stay restrictions (min stay, CTA/CTD, stop-sell) edited in the calendar
+		// settings are only sent to HotelRunner when this gate is on.
+		restrictionsPushEnabled,
+		// Availability and rate updates queued by the ARI push pipeline are only
+		// sent to HotelRunner when this gate is on.
+		ariPushEnabled,
 		pullIntervalMinutes: boundedInteger(
 			env.HOTELRUNNER_PULL_INTERVAL_MINUTES,
 			30,
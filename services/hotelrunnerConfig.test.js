@@ -166,6 +166,8 @@ test("malformed explicit safety booleans fail closed and invalidate configuratio
 		"HOTELRUNNER_PROJECTION_ENABLED",
 		"HOTELRUNNER_CONFIRM_DELIVERY_ENABLED",
 		"HOTELRUNNER_REQUIRE_OTA_REVIEW",
+		"HOTELRUNNER_RESTRICTIONS_PUSH_ENABLED",
+		"HOTELRUNNER_ARI_PUSH_ENABLED",
 	]) {
 		const config = getHotelRunnerConfig({
 			...baseEnvironment,
@@ -179,6 +181,8 @@ test("malformed explicit safety booleans fail closed and invalidate configuratio
 			HOTELRUNNER_PROJECTION_ENABLED: "projectionEnabled",
 			HOTELRUNNER_CONFIRM_DELIVERY_ENABLED: "confirmDeliveryEnabled",
 			HOTELRUNNER_REQUIRE_OTA_REVIEW: "requireOtaReview",
+			HOTELRUNNER_RESTRICTIONS_PUSH_ENABLED: "restrictionsPushEnabled",
+			HOTELRUNNER_ARI_PUSH_ENABLED: "ariPushEnabled",
 		}[key];
 		assert.equal(config[configProperty], false, key);
 		assert.equal(config.errors.some((error) => error.startsWith(key)), true, key);
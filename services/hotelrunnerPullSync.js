@@ -12,6 +12,7 @@ const {
 const {
 	createHotelRunnerClient,
 } = require("./hotelrunnerClient");
+const { createHotelRunnerChannelAdapter } = require("./hotelrunnerChannelAdapter");
 const {
 	cleanIdentifier,
 	cleanText,
@@ -476,20 +477,19 @@ async function completePublishedRoomListRequeue(
 	return requeued;
 }
 
-async function ingestPullEnvelope(envelope, context, dependencies) {
-	const reservations = Array.isArray(envelope?.reservations)
-		? envelope.reservations
-		: null;
-	if (!reservations) {
-		const error = new Error("HotelRunner pull response has no reservations array.");
-		error.code = "HOTELRUNNER_PULL_RESPONSE_INVALID";
-		throw error;
-	}
-	if (!reservations.length) return [];
+// Messages the adapter could not read are stored as events too, so they
+// surface for review instead of being dropped. The event worker turns the
+// stored events into reservations.
+async function ingestPulledReservations(pulled, context, dependencies) {
+	const messages = [
+		...(Array.isArray(pulled?.reservations) ? pulled.reservations : []),
+		...(Array.isArray(pulled?.rejected) ? pulled.rejected : []),
+	];
+	if (!messages.length) return [];
 	return persistHotelRunnerBatch(
 		{
 			...context,
-			reservations,
+			reservations: messages.map((message) => message?.payload ?? null),
 			source: "pull",
 			receivedAt: new Date(),
 		},
@@ -498,7 +498,7 @@ async function ingestPullEnvelope(envelope, context, dependencies) {
 }
 
 async function pullHistory(
-	{ client, config, hotel, syncState = {}, now = new Date() },
+	{ adapter, config, hotel, syncState = {}, now = new Date() },
 	dependencies
 ) {
 	const parsedCursor = syncState.historyCursorFrom
@@ -521,26 +521,23 @@ async function pullHistory(
 		if (typeof dependencies.progressHeartbeat === "function") {
 			await dependencies.progressHeartbeat();
 		}
-		const envelope = await client.retrieveReservations({
+		const pulled = await adapter.pullReservations({
 			undelivered: false,
 			page,
 			perPage: 50,
 			fromLastUpdateDate: dateOnly(cursorFrom),
 		});
-		const results = await ingestPullEnvelope(
-			envelope,
+		const results = await ingestPulledReservations(
+			pulled,
 			{ config, hotel },
 			dependencies
 		);
 		processed += results.length;
-		const reservations = Array.isArray(envelope?.reservations)
-			? envelope.reservations
-			: [];
-		const pages = Number(envelope?.pages || 0);
+		const pages = Number(pulled?.cursor?.pages || 0);
 		const completedWindow =
-			!reservations.length ||
+			!results.length ||
 			(Number.isFinite(pages) && pages > 0 && page >= pages) ||
-			(!(Number.isFinite(pages) && pages > 0) && reservations.length < 50);
+			(!(Number.isFinite(pages) && pages > 0) && results.length < 50);
 		if (completedWindow) {
 			return {
 				processed,
@@ -812,6 +809,11 @@ function createHotelRunnerPullSync({ config, instanceId, dependencies = {} } = {
 				fetchImpl: dependencies.fetchImpl,
 				quotaDependencies: dependencies.quotaDependencies,
 			});
+			const adapter = createHotelRunnerChannelAdapter({
+				config,
+				hotelId: hotel._id,
+				client,
+			});
 			if (
 				config.roomListSyncEnabled === true &&
 				(!lease.nextRoomListSyncAt ||
@@ -845,7 +847,7 @@ function createHotelRunnerPullSync({ config, instanceId, dependencies = {} } = {
 				}
 			}
 			const pullResult = await pullHistory(
-				{ client, config, hotel, syncState: lease, now },
+				{ adapter, config, hotel, syncState: lease, now },
 				cycleDependencies
 			);
 			await progressHeartbeat();
@@ -1012,7 +1014,7 @@ module.exports = {
 	completePublishedRoomListRequeue,
 	createHotelRunnerPullSync,
 	ensureSyncState,
-	ingestPullEnvelope,
+	ingestPulledReservations,
 	nextJitteredDate,
 	normalizeRoomListRow,
 	pullHistory,
@@ -548,6 +548,35 @@ test("history pull does not spend a room-list call when room-list sync is disabl
 	assert.equal(SyncStateModel.state.activeRoomListSyncGeneration, undefined);
 });
 
+test("history pull goes through the channel adapter and stores unreadable messages for review", async () => {
+	const SyncStateModel = createSyncStateModel();
+	const EventModel = createEventModel();
+	const sync = createHotelRunnerPullSync({
+		config: syntheticConfig({ roomListSyncEnabled: false }),
+		instanceId: "pull-worker-adapter",
+		dependencies: testDependencies({
+			SyncStateModel,
+			EventModel,
+			createClient: () => ({
+				async retrieveReservations(options) {
+					assert.equal(options.undelivered, false);
+					return {
+						reservations: [
+							...cancellationRows(1, 1),
+							{ message_uid: "unreadable-message", state: "mystery" },
+						],
+						pages: 1,
+					};
+				},
+			}),
+		}),
+	});
+	const result = await sync.runIfDue(new Date(Date.now() + 60 * 60_000));
+	assert.equal(result.status, "completed");
+	assert.equal(result.processed, 2);
+	assert.equal(EventModel.events.size, 2);
+});
+
 test("room-list discovery waits while the property projection lease is held", async () => {
 	const now = new Date(Date.now() + 60 * 60_000);
 	const SyncStateModel = createSyncStateModel({
@@ -0,0 +1,71 @@
+/** @format */
+
+const {
+	createHotelRunnerChannelAdapter,
+	loadHotelRunnerInvCodes,
+} = require("./hotelrunnerChannelAdapter");
+const { getHotelRunnerConfig } = require("./hotelrunnerConfig");
+const { buildHotelRunnerRestrictionRanges } = require("./stayRestrictions");
+
+const skipped = (reason) => ({ skipped: true, reason, pushed: 0, failures: [] });
+
+/**
+ * Sends one room's stay restrictions for the edited dates to every verified
+ * HotelRunner inventory code mapped to that room. The calendar save has
+ * already happened, so failures are reported rather than thrown; the first
+ * failure stops the push because later calls would only spend API quota.
+ */
+async function pushStayRestrictionsToHotelRunner(
+	{ hotelId, roomId, rows = [], dates = [] } = {},
+	dependencies = {}
+) {
+	const config = dependencies.config || getHotelRunnerConfig();
+	if (config?.integrationEnabled !== true || !config?.configured) {
+		return skipped("integration_disabled");
+	}
+	if (config.restrictionsPushEnabled !== true) {
+		return skipped("restrictions_push_disabled");
+	}
+	if (String(config.hotelId || "") !== String(hotelId || "")) {
+		return skipped("hotel_not_connected");
+	}
+	const codesByRoom = await loadHotelRunnerInvCodes(
+		{ hotelId, roomIds: [roomId] },
+		{ MappingModel: dependencies.MappingModel }
+	);
+	const invCodes = codesByRoom.get(String(roomId)) || [];
+	if (!invCodes.length) return skipped("room_not_mapped");
+
+	const ranges = buildHotelRunnerRestrictionRanges(rows, dates);
+	const adapter = createHotelRunnerChannelAdapter({
+		config,
+		hotelId,
+		createClient: dependencies.createClient,
+		fetchImpl: dependencies.fetchImpl,
+		quotaDependencies: dependencies.quotaDependencies,
+	});
+	let pushed = 0;
+	const failures = [];
+	for (const invCode of invCodes) {
+		for (const { startDate, endDate, ...restrictions } of ranges) {
+			try {
+				await adapter.pushAri([{ externalRoomCode: invCode, startDate, endDate, restrictions }]);
+				pushed += 1;
+			} catch (error) {
+				failures.push({
+					invCode,
+					startDate,
+					endDate,
+					code: error?.code || "HOTELRUNNER_RESTRICTIONS_FAILED",
+					retryable: error?.retryable === true,
+				});
+				return { skipped: false, reason: "", pushed, pending: invCodes.length * ranges.length - pushed, failures };
+			}
+		}
+	}
+	return { skipped: false, reason: "", pushed, pending: 0, failures };
+}
+
+module.exports = {
+	pushStayRestrictionsToHotelRunner,
+};
@@ -0,0 +1,437 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const HouseKeeping = require("../models/housekeeping");
+const HousekeepingInspectionChecklist = require("../models/housekeeping_inspection_checklist");
+
+const TASK_TYPES = ["room", "general"];
+const FINISHED_TASK_STATUSES = ["finished", "done", "completed", "clean"];
+const MAX_PHOTOS = 10;
+const MINUTE_MS = 60 * 1000;
+
+class HousekeepingInspectionError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "HousekeepingInspectionError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const models = (dependencies = {}) => ({
+	TaskModel: dependencies.TaskModel || HouseKeeping,
+	ChecklistModel: dependencies.ChecklistModel || HousekeepingInspectionChecklist,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const isFinished = (status = "") =>
+	FINISHED_TASK_STATUSES.includes(String(status || "").toLowerCase());
+
+const taskTypeOf = (task = {}) =>
+	String(task.taskType || "").toLowerCase() === "general" ? "general" : "room";
+
+const itemKeyFor = (label = "") =>
+	String(label)
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_+|_+$/g, "");
+
+/** Validates a manager's checklist and stores it as the one for that task type. */
+const saveInspectionChecklist = async (
+	{ hotelId, taskType, items = [], passScore = 80, isActive = true, actorId = null } = {},
+	dependencies = {}
+) => {
+	const { ChecklistModel } = models(dependencies);
+	if (!mongoose.Types.ObjectId.isValid(normalizeId(hotelId))) {
+		throw new HousekeepingInspectionError("Invalid hotel.", "inspection_checklist_invalid");
+	}
+	if (!TASK_TYPES.includes(taskType)) {
+		throw new HousekeepingInspectionError(
+			`Task type must be one of ${TASK_TYPES.join(", ")}.`,
+			"inspection_checklist_invalid"
+		);
+	}
+	const score = Number(passScore);
+	if (!(score >= 0 && score <= 100)) {
+		throw new HousekeepingInspectionError(
+			"The pass score must be between 0 and 100.",
+			"inspection_checklist_invalid"
+		);
+	}
+	const keys = new Set();
+	const lines = (Array.isArray(items) ? items : []).map((item) => {
+		const label = String(item?.label || "").trim();
+		const key = itemKeyFor(item?.key || label);
+		const weight = Number(item?.weight ?? 1);
+		if (!label || !key || !(weight >= 1) || keys.has(key)) {
+			throw new HousekeepingInspectionError(
+				"Each checklist line needs its own label and a weight of at least 1.",
+				"inspection_checklist_invalid"
+			);
+		}
+		keys.add(key);
+		return { key, label, required: item.required === true, weight };
+	});
+	if (!lines.length && isActive !== false) {
+		throw new HousekeepingInspectionError(
+			"An active checklist needs at least one line.",
+			"inspection_checklist_invalid"
+		);
+	}
+	return ChecklistModel.findOneAndUpdate(
+		{ hotelId, taskType },
+		{
+			$set: { items: lines, passScore: score, isActive: isActive !== false, updatedBy: actorId },
+			$setOnInsert: { createdBy: actorId },
+		},
+		{ new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+	).lean();
+};
+
+// A failed round sends the task back to cleaning, so only these stop a
+// later save of the finished task from queueing it again.
+const SETTLED_INSPECTION_STATUSES = ["pending", "passed"];
+
+/**
+ * Queues a finished task for inspection when the hotel checks that task
+ * type. Returns null when there is no checklist, it is already queued or
+ * it already passed.
+ */
+const requestInspection = async (task, { now = new Date() } = {}, dependencies = {}) => {
+	const { TaskModel, ChecklistModel } = models(dependencies);
+	if (
+		!task?._id ||
+		!isFinished(task.task_status) ||
+		SETTLED_INSPECTION_STATUSES.includes(task.inspection?.status)
+	) {
+		return null;
+	}
+	const checklist = await ChecklistModel.findOne({
+		hotelId: normalizeId(task.hotelId),
+		taskType: taskTypeOf(task),
+		isActive: { $ne: false },
+	})
+		.select("_id items")
+		.lean();
+	if (!checklist?.items?.length) return null;
+	const queued = await TaskModel.updateOne(
+		{ _id: task._id, "inspection.status": { $nin: SETTLED_INSPECTION_STATUSES } },
+		{
+			$set: {
+				inspection: {
+					status: "pending",
+					checklistId: checklist._id,
+					requestedAt: now,
+					inspectedAt: null,
+					inspectedBy: null,
+					score: null,
+				},
+			},
+		}
+	);
+	return queued.matchedCount ? { checklistId: normalizeId(checklist._id) } : null;
+};
+
+/**
+ * Scores the supervisor's ticks against the checklist. Unticked lines count
+ * as failed; the round passes at or above passScore with every required line met.
+ */
+const scoreInspection = (checklist = {}, results = []) => {
+	const byKey = new Map(
+		(Array.isArray(results) ? results : []).map((result) => [itemKeyFor(result?.key), result])
+	);
+	const items = (checklist.items || []).map((line) => {
+		const result = byKey.get(line.key);
+		return {
+			key: line.key,
+			label: line.label,
+			passed: result?.passed === true,
+			note: String(result?.note || "").trim(),
+		};
+	});
+	const totalWeight = (checklist.items || []).reduce((sum, line) => sum + (line.weight || 1), 0);
+	const passedWeight = (checklist.items || []).reduce(
+		(sum, line, index) => sum + (items[index].passed ? line.weight || 1 : 0),
+		0
+	);
+	const score = totalWeight ? Math.round((passedWeight / totalWeight) * 1000) / 10 : 0;
+	const requiredMet = (checklist.items || []).every(
+		(line, index) => !line.required || items[index].passed
+	);
+	return {
+		items,
+		score,
+		passed: requiredMet && score >= Number(checklist.passScore ?? 80),
+	};
+};
+
+const normalizePhotos = (photos = []) => {
+	const list = (Array.isArray(photos) ? photos : []).map((photo) => ({
+		public_id: String(photo?.public_id || "").trim(),
+		url: String(photo?.url || "").trim(),
+	}));
+	if (list.some((photo) => !photo.public_id || !/^https?:\/\//i.test(photo.url))) {
+		throw new HousekeepingInspectionError(
+			"Upload photos first and send their public_id and url.",
+			"inspection_invalid"
+		);
+	}
+	if (list.length > MAX_PHOTOS) {
+		throw new HousekeepingInspectionError(
+			`Keep it to ${MAX_PHOTOS} photos per inspection.`,
+			"inspection_invalid"
+		);
+	}
+	return list;
+};
+
+/**
+ * Records one inspection round on a pending task. A failed round needs photo
+ * evidence and reopens the task for the same housekeeper to clean again.
+ */
+const recordInspection = async (
+	{ task, input = {}, inspectorId = null, now = new Date() },
+	dependencies = {}
+) => {
+	const { TaskModel, ChecklistModel } = models(dependencies);
+	if (!task?._id || task.inspection?.status !== "pending" || !isFinished(task.task_status)) {
+		throw new HousekeepingInspectionError(
+			"This task is not waiting for inspection.",
+			"inspection_not_pending",
+			409
+		);
+	}
+	const checklist = await ChecklistModel.findOne({ _id: task.inspection.checklistId })
+		.select("items passScore")
+		.lean();
+	if (!checklist) {
+		throw new HousekeepingInspectionError(
+			"The checklist for this task was removed.",
+			"inspection_checklist_missing",
+			404
+		);
+	}
+	const { items, score, passed } = scoreInspection(checklist, input.items);
+	const photos = normalizePhotos(input.photos);
+	if (!passed && !photos.length) {
+		throw new HousekeepingInspectionError(
+			"Add at least one photo showing what needs cleaning again.",
+			"inspection_photo_required"
+		);
+	}
+	const comment = String(input.comment || "").trim();
+	const result = passed ? "passed" : "failed";
+	const entry = {
+		round: (task.inspections || []).length + 1,
+		result,
+		score,
+		items,
+		photos,
+		comment,
+		cleanedBy: task.cleanedBy || null,
+		cleaningDurationMs: task.cleaningDurationMs || 0,
+		inspectedBy: inspectorId,
+		inspectedAt: now,
+	};
+	const inspection = {
+		status: result,
+		checklistId: task.inspection.checklistId,
+		requestedAt: task.inspection.requestedAt || null,
+		inspectedAt: now,
+		inspectedBy: inspectorId,
+		score,
+	};
+	const failedItems = items.filter((item) => !item.passed).map((item) => item.label);
+	const history = {
+		status: passed ? "inspected" : "reclean",
+		changedBy: inspectorId,
+		changedAt: now,
+		comment:
+			comment ||
+			(passed ? `Inspection passed (${score})` : `Re-clean needed: ${failedItems.join(", ")}`),
+	};
+	const set = passed
+		? { inspection }
+		: {
+				inspection,
+				task_status: "unfinished",
+				cleanedBy: null,
+				cleaningDate: null,
+				cleaningStartedAt: null,
+				completedAt: null,
+				cleaningDurationMs: 0,
+				roomStatus: (task.roomStatus || []).map((status) => ({
+					room: status.room,
+					status: "unfinished",
+					startedBy: null,
+					startedAt: null,
+					cleanedBy: null,
+					cleanedAt: null,
+					durationMs: 0,
+					comment: status.comment || "",
+				})),
+		  };
+	const updated = await TaskModel.findOneAndUpdate(
+		{ _id: task._id, "inspection.status": "pending" },
+		{
+			$set: set,
+			$push: { inspections: entry, statusHistory: history },
+			...(passed ? {} : { $inc: { recleanCount: 1 } }),
+		},
+		{ new: true }
+	);
+	if (!updated) {
+		throw new HousekeepingInspectionError(
+			"Someone else inspected this task first.",
+			"inspection_not_pending",
+			409
+		);
+	}
+	return updated;
+};
+
+const PASSED_ROUND = { $eq: ["$$round.result", "passed"] };
+
+/**
+ * Per-housekeeper totals for the quality report, grouped in Mongo so the
+ * dashboard never loads the tasks themselves. A finished task is one
+ * cleaning; a failed round is the earlier cleaning that was sent back.
+ */
+const housekeepingQualityPipeline = (match = {}) => [
+	{ $match: match },
+	{
+		$project: {
+			pending: { $cond: [{ $eq: ["$inspection.status", "pending"] }, 1, 0] },
+			entries: {
+				$concatArrays: [
+					{
+						$cond: [
+							{
+								$and: [
+									{ $in: [{ $toLower: { $ifNull: ["$task_status", ""] } }, FINISHED_TASK_STATUSES] },
+									{ $ne: [{ $ifNull: ["$cleanedBy", null] }, null] },
+								],
+							},
+							[
+								{
+									employeeId: "$cleanedBy",
+									cleanings: 1,
+									inspected: 0,
+									passed: 0,
+									score: 0,
+									durationMs: { $ifNull: ["$cleaningDurationMs", 0] },
+								},
+							],
+							[],
+						],
+					},
+					{
+						$map: {
+							input: { $ifNull: ["$inspections", []] },
+							as: "round",
+							in: {
+								employeeId: "$$round.cleanedBy",
+								cleanings: { $cond: [PASSED_ROUND, 0, 1] },
+								inspected: 1,
+								passed: { $cond: [PASSED_ROUND, 1, 0] },
+								score: { $ifNull: ["$$round.score", 0] },
+								durationMs: {
+									$cond: [PASSED_ROUND, 0, { $ifNull: ["$$round.cleaningDurationMs", 0] }],
+								},
+							},
+						},
+					},
+				],
+			},
+		},
+	},
+	{
+		$facet: {
+			employees: [
+				{ $unwind: "$entries" },
+				{ $match: { "entries.employeeId": { $ne: null } } },
+				{
+					$group: {
+						_id: "$entries.employeeId",
+						cleanings: { $sum: "$entries.cleanings" },
+						inspected: { $sum: "$entries.inspected" },
+						passed: { $sum: "$entries.passed" },
+						scoreTotal: { $sum: "$entries.score" },
+						durationMsTotal: {
+							$sum: { $cond: [{ $gt: ["$entries.durationMs", 0] }, "$entries.durationMs", 0] },
+						},
+						timedCleanings: { $sum: { $cond: [{ $gt: ["$entries.durationMs", 0] }, 1, 0] } },
+					},
+				},
+			],
+			pending: [{ $match: { pending: 1 } }, { $count: "total" }],
+		},
+	},
+];
+
+const roundedRatio = (value, count, precision) =>
+	count ? Math.round((value / count) * precision) / precision : null;
+
+/**
+ * Per-housekeeper quality for the overall dashboard from the
+ * housekeepingQualityPipeline result: average inspection score, pass rate,
+ * re-cleans and average minutes per finished cleaning. Cleanings later sent
+ * back still count towards time spent.
+ */
+const buildHousekeepingQualityReport = ({ employees: grouped = [], pending = [] } = {}, users = []) => {
+	const names = new Map(users.map((user) => [normalizeId(user._id), user.name || user.email || ""]));
+	const employees = grouped
+		.map((row) => {
+			const employeeId = normalizeId(row._id);
+			const inspected = Number(row.inspected) || 0;
+			const passed = Number(row.passed) || 0;
+			return {
+				employeeId,
+				name: names.get(employeeId) || "",
+				cleanings: Number(row.cleanings) || 0,
+				inspected,
+				passed,
+				failed: inspected - passed,
+				recleans: inspected - passed,
+				passRate: roundedRatio(passed, inspected, 1000),
+				qualityScore: roundedRatio(Number(row.scoreTotal) || 0, inspected, 10),
+				avgCleaningMinutes:
+					roundedRatio(
+						(Number(row.durationMsTotal) || 0) / MINUTE_MS,
+						Number(row.timedCleanings) || 0,
+						10
+					) ?? 0,
+			};
+		})
+		.sort(
+			(a, b) =>
+				(b.qualityScore ?? -1) - (a.qualityScore ?? -1) ||
+				b.cleanings - a.cleanings ||
+				a.name.localeCompare(b.name)
+		);
+	const inspected = employees.reduce((sum, row) => sum + row.inspected, 0);
+	const passed = employees.reduce((sum, row) => sum + row.passed, 0);
+	return {
+		employees,
+		totals: {
+			inspected,
+			passed,
+			failed: inspected - passed,
+			passRate: roundedRatio(passed, inspected, 1000),
+			pending: Number(pending?.[0]?.total) || 0,
+		},
+	};
+};
+
+module.exports = {
+	HousekeepingInspectionError,
+	TASK_TYPES,
+	buildHousekeepingQualityReport,
+	housekeepingQualityPipeline,
+	recordInspection,
+	requestInspection,
+	saveInspectionChecklist,
+	scoreInspection,
+};
@@ -0,0 +1,263 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	buildHousekeepingQualityReport,
+	housekeepingQualityPipeline,
+	recordInspection,
+	requestInspection,
+	saveInspectionChecklist,
+	scoreInspection,
+} = require("./housekeepingInspections");
+
+const hotelA = "65a000000000000000000001";
+const photo = { public_id: "janat/1", url: "https://res.cloudinary.com/x/janat/1.jpg" };
+
+const checklist = {
+	_id: "checklist-room",
+	hotelId: hotelA,
+	taskType: "room",
+	passScore: 80,
+	isActive: true,
+	items: [
+		{ key: "bathroom", label: "Bathroom", required: true, weight: 3 },
+		{ key: "bed", label: "Bed made", required: false, weight: 2 },
+		{ key: "minibar", label: "Minibar", required: false, weight: 1 },
+	],
+};
+
+const valueAt = (doc, path) =>
+	path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) => {
+		const value = valueAt(doc, key);
+		if (condition && typeof condition === "object" && "$ne" in condition) {
+			return String(value) !== String(condition.$ne);
+		}
+		if (condition && typeof condition === "object" && "$nin" in condition) {
+			return !condition.$nin.some((item) => String(item) === String(value));
+		}
+		return String(value) === String(condition);
+	});
+
+// Just enough of a mongoose model for the checklist lookups and the task updates.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => structuredClone(row));
+	const query = (result) => {
+		const chain = { select: () => chain, lean: async () => result && structuredClone(result) };
+		return chain;
+	};
+	return {
+		docs,
+		findOne: (filter) => query(docs.find((doc) => matches(doc, filter)) || null),
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) Object.assign(doc, structuredClone(update.$set));
+			return { matchedCount: doc ? 1 : 0 };
+		},
+		findOneAndUpdate: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (!doc) return null;
+			Object.assign(doc, structuredClone(update.$set));
+			Object.entries(update.$push || {}).forEach(([key, value]) => {
+				doc[key] = [...(doc[key] || []), structuredClone(value)];
+			});
+			Object.entries(update.$inc || {}).forEach(([key, value]) => {
+				doc[key] = (doc[key] || 0) + value;
+			});
+			return structuredClone(doc);
+		},
+	};
+};
+
+test("checklists are validated and scored by weight with required lines", async () => {
+	await assert.rejects(
+		saveInspectionChecklist({ hotelId: hotelA, taskType: "lobby", items: checklist.items }),
+		{ code: "inspection_checklist_invalid" }
+	);
+	await assert.rejects(
+		saveInspectionChecklist({
+			hotelId: hotelA,
+			taskType: "room",
+			items: [{ label: "Bed" }, { label: "bed" }],
+		}),
+		{ code: "inspection_checklist_invalid" }
+	);
+
+	const allButMinibar = scoreInspection(checklist, [
+		{ key: "bathroom", passed: true },
+		{ key: "bed", passed: true },
+	]);
+	assert.equal(allButMinibar.score, 83.3);
+	assert.equal(allButMinibar.passed, true);
+	assert.deepEqual(
+		allButMinibar.items.map((item) => [item.key, item.passed]),
+		[
+			["bathroom", true],
+			["bed", true],
+			["minibar", false],
+		]
+	);
+	const noBathroom = scoreInspection(checklist, [
+		{ key: "bed", passed: true },
+		{ key: "minibar", passed: true },
+	]);
+	assert.equal(noBathroom.score, 50);
+	assert.equal(noBathroom.passed, false);
+});
+
+test("a failed inspection needs a photo and reopens the task for a re-clean", async () => {
+	const now = new Date("2027-05-01T10:00:00.000Z");
+	const task = {
+		_id: "task-1",
+		hotelId: hotelA,
+		taskType: "room",
+		task_status: "finished",
+		cleanedBy: "staff-1",
+		cleaningDurationMs: 30 * 60 * 1000,
+		completedAt: now,
+		inspection: { status: "" },
+		roomStatus: [{ room: "r101", status: "finished", cleanedBy: "staff-1", durationMs: 1800000 }],
+		statusHistory: [],
+		inspections: [],
+	};
+	const dependencies = {
+		ChecklistModel: memoryModel([checklist, { ...checklist, _id: "checklist-general", taskType: "general", items: [] }]),
+		TaskModel: memoryModel([task, { ...task, _id: "task-2", taskType: "general" }]),
+	};
+	assert.deepEqual(await requestInspection(task, { now }, dependencies), {
+		checklistId: "checklist-room",
+	});
+	assert.equal(await requestInspection({ ...task, _id: "task-2", taskType: "general" }, { now }, dependencies), null);
+	const pending = dependencies.TaskModel.docs[0];
+	assert.equal(pending.inspection.status, "pending");
+	assert.equal(await requestInspection(pending, { now }, dependencies), null);
+
+	const failing = { items: [{ key: "bed", passed: true }], comment: "Hair in the shower" };
+	await assert.rejects(recordInspection({ task: pending, input: failing, now }, dependencies), {
+		code: "inspection_photo_required",
+	});
+	const reopened = await recordInspection(
+		{ task: pending, input: { ...failing, photos: [photo] }, inspectorId: "supervisor-1", now },
+		dependencies
+	);
+	assert.equal(reopened.task_status, "unfinished");
+	assert.equal(reopened.inspection.status, "failed");
+	assert.equal(reopened.recleanCount, 1);
+	assert.equal(reopened.cleanedBy, null);
+	assert.equal(reopened.roomStatus[0].status, "unfinished");
+	assert.deepEqual(
+		[reopened.statusHistory[0].status, reopened.statusHistory[0].comment],
+		["reclean", "Hair in the shower"]
+	);
+	assert.equal(reopened.inspections[0].cleanedBy, "staff-1");
+	assert.equal(reopened.inspections[0].score, 33.3);
+	await assert.rejects(recordInspection({ task: reopened, input: failing, now }, dependencies), {
+		code: "inspection_not_pending",
+	});
+
+	const recleaned = { ...reopened, task_status: "finished", cleanedBy: "staff-1", cleaningDurationMs: 600000 };
+	dependencies.TaskModel.docs[0] = structuredClone(recleaned);
+	await requestInspection(recleaned, { now }, dependencies);
+	const passed = await recordInspection(
+		{
+			task: dependencies.TaskModel.docs[0],
+			input: { items: checklist.items.map((line) => ({ key: line.key, passed: true })) },
+			inspectorId: "supervisor-1",
+			now,
+		},
+		dependencies
+	);
+	assert.equal(passed.task_status, "finished");
+	assert.equal(passed.inspection.status, "passed");
+	assert.deepEqual(
+		passed.inspections.map((round) => [round.round, round.result, round.score]),
+		[
+			[1, "failed", 33.3],
+			[2, "passed", 100],
+		]
+	);
+	assert.equal(passed.statusHistory[1].status, "inspected");
+	// Later saves of the finished task (comments, room flags) do not re-queue it.
+	assert.equal(await requestInspection(passed, { now }, dependencies), null);
+	assert.equal(
+		await requestInspection({ ...passed, inspection: { status: "failed" } }, { now }, dependencies),
+		null
+	);
+	assert.equal(dependencies.TaskModel.docs[0].inspection.status, "passed");
+});
+
+test("quality is scored per housekeeper with re-cleans and average cleaning time", () => {
+	const minutes = (value) => value * 60 * 1000;
+	// What housekeepingQualityPipeline groups from: staff-1 sent back once
+	// (50 → 100) after 30 and 20 minutes, staff-2 passing first time, staff-3
+	// still waiting for the supervisor.
+	const pipeline = housekeepingQualityPipeline({ hotelId: hotelA });
+	assert.deepEqual(pipeline[0], { $match: { hotelId: hotelA } });
+	assert.deepEqual(Object.keys(pipeline[pipeline.length - 1].$facet), ["employees", "pending"]);
+	const report = buildHousekeepingQualityReport(
+		{
+			employees: [
+				{
+					_id: "staff-1",
+					cleanings: 2,
+					inspected: 2,
+					passed: 1,
+					scoreTotal: 150,
+					durationMsTotal: minutes(50),
+					timedCleanings: 2,
+				},
+				{
+					_id: "staff-2",
+					cleanings: 1,
+					inspected: 1,
+					passed: 1,
+					scoreTotal: 90,
+					durationMsTotal: minutes(25),
+					timedCleanings: 1,
+				},
+				{
+					_id: "staff-3",
+					cleanings: 1,
+					inspected: 0,
+					passed: 0,
+					scoreTotal: 0,
+					durationMsTotal: minutes(40),
+					timedCleanings: 1,
+				},
+			],
+			pending: [{ total: 1 }],
+		},
+		[
+			{ _id: "staff-1", name: "Amal" },
+			{ _id: "staff-2", name: "Huda" },
+			{ _id: "staff-3", name: "Omar" },
+		]
+	);
+	assert.deepEqual(
+		report.employees.map((row) => [
+			row.name,
+			row.cleanings,
+			row.inspected,
+			row.recleans,
+			row.passRate,
+			row.qualityScore,
+			row.avgCleaningMinutes,
+		]),
+		[
+			["Huda", 1, 1, 0, 1, 90, 25],
+			["Amal", 2, 2, 1, 0.5, 75, 25],
+			["Omar", 1, 0, 0, null, null, 40],
+		]
+	);
+	assert.deepEqual(report.totals, { inspected: 3, passed: 2, failed: 1, passRate: 0.667, pending: 1 });
+	assert.deepEqual(buildHousekeepingQualityReport().totals, {
+		inspected: 0,
+		passed: 0,
+		failed: 0,
+		passRate: null,
+		pending: 0,
+	});
+});
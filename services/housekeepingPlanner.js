@@ -0,0 +1,437 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const HotelDetails = require("../models/hotel_details");
+const HouseKeeping = require("../models/housekeeping");
+const Reservations = require("../models/reservations");
+const Rooms = require("../models/rooms");
+const User = require("../models/user");
+const { buildPendingConfirmationExclusionFilter } = require("./reservationStatus");
+
+// Lower runs first: a room someone arrives into today beats everything else.
+const PLAN_KINDS = {
+	turnover: { priority: 1, minutes: 40, label: "checkout, arrival today" },
+	arrival: { priority: 2, minutes: 20, label: "arrival today" },
+	checkout: { priority: 3, minutes: 35, label: "checkout" },
+	stayover: { priority: 4, minutes: 15, label: "stayover" },
+};
+const NOT_STAYING_STATUS =
+	/cancel|reject|void|no[_\s-]?show|relocat|checked[_\s-]?out|checkedout/i;
+const FINISHED_TASK_STATUSES = ["finished", "done", "completed", "clean"];
+const FLOOR_CHANGE_MINUTES = 10;
+const HISTORY_DAYS = 30;
+const SPEED_FACTOR_RANGE = [0.6, 1.8];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PLAN_HOUR_UTC = 16;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 2 * 60 * 1000;
+
+class HousekeepingPlannerError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "HousekeepingPlannerError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const isHousekeepingPlannerEnabled = () =>
+	String(process.env.HOUSEKEEPING_PLANNER_ENABLED || "").toLowerCase() === "true";
+
+const planHourUtc = (env = process.env) => {
+	const hour = Number(env.HOUSEKEEPING_PLANNER_HOUR_UTC);
+	return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_PLAN_HOUR_UTC;
+};
+
+const models = (dependencies = {}) => ({
+	HotelModel: dependencies.HotelModel || HotelDetails,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+	RoomModel: dependencies.RoomModel || Rooms,
+	TaskModel: dependencies.TaskModel || HouseKeeping,
+	UserModel: dependencies.UserModel || User,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const tomorrowFor = (now = new Date()) =>
+	new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const dayBounds = (date) => {
+	if (!DATE_PATTERN.test(String(date || ""))) {
+		throw new HousekeepingPlannerError("Plan date must be YYYY-MM-DD.", "plan_date_invalid");
+	}
+	const start = new Date(`${date}T00:00:00.000Z`);
+	if (Number.isNaN(start.getTime())) {
+		throw new HousekeepingPlannerError("Plan date must be YYYY-MM-DD.", "plan_date_invalid");
+	}
+	return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+const roomNumberValue = (room = {}) => {
+	const match = String(room.room_number || "").match(/\d+/);
+	return match ? Number(match[0]) : Number.POSITIVE_INFINITY;
+};
+
+const roomFloor = (room = {}) => {
+	const floor = Number(room.floor);
+	if (Number.isFinite(floor)) return floor;
+	const number = roomNumberValue(room);
+	return Number.isFinite(number) && number >= 100 ? Math.floor(number / 100) : 0;
+};
+
+const inDay = (value, { start, end }) => {
+	const date = value ? new Date(value) : null;
+	return Boolean(date && date >= start && date < end);
+};
+
+/**
+ * Works out what each room needs on the plan day. A departure plus an arrival
+ * in the same room is a turnover; an arrival alone only needs a room that is
+ * not already clean.
+ */
+const classifyRooms = (reservations = [], rooms = [], bounds) => {
+	const roomsById = new Map(rooms.map((room) => [normalizeId(room._id), room]));
+	const needs = new Map();
+	reservations.forEach((reservation) => {
+		const checkout = inDay(reservation.checkout_date, bounds);
+		const arrival = inDay(reservation.checkin_date, bounds);
+		const stayover =
+			new Date(reservation.checkin_date) < bounds.start &&
+			new Date(reservation.checkout_date) >= bounds.end;
+		(Array.isArray(reservation.roomId) ? reservation.roomId : [reservation.roomId])
+			.map(normalizeId)
+			.filter((roomId) => roomsById.has(roomId))
+			.forEach((roomId) => {
+				const need = needs.get(roomId) || { roomId };
+				if (checkout) need.departing = reservation.confirmation_number;
+				if (arrival) need.arriving = reservation.confirmation_number;
+				if (stayover) need.staying = reservation.confirmation_number;
+				needs.set(roomId, need);
+			});
+	});
+
+	return [...needs.values()]
+		.map((need) => {
+			const room = roomsById.get(need.roomId);
+			let kind = null;
+			if (need.departing && need.arriving) kind = "turnover";
+			else if (need.departing) kind = "checkout";
+			else if (need.staying) kind = "stayover";
+			else if (need.arriving && room.cleanRoom !== true) kind = "arrival";
+			if (!kind) return null;
+			return {
+				roomId: need.roomId,
+				roomNumber: room.room_number || "",
+				floor: roomFloor(room),
+				kind,
+				priority: PLAN_KINDS[kind].priority,
+				confirmationNumber: String(
+					need.departing || need.staying || need.arriving || ""
+				).toLowerCase(),
+			};
+		})
+		.filter(Boolean)
+		.sort(
+			(a, b) =>
+				a.priority - b.priority ||
+				a.floor - b.floor ||
+				roomNumberValue({ room_number: a.roomNumber }) -
+					roomNumberValue({ room_number: b.roomNumber })
+		);
+};
+
+/**
+ * Turns recent per-room cleaning times into a speed factor per housekeeper,
+ * relative to the hotel average. Unknown staff clean at the average pace.
+ */
+const speedFactors = (tasks = []) => {
+	const totals = new Map();
+	let allMs = 0;
+	let allRooms = 0;
+	tasks.forEach((task) =>
+		(task.roomStatus || []).forEach((entry) => {
+			const durationMs = Number(entry.durationMs) || 0;
+			const staffId = normalizeId(entry.cleanedBy || task.cleanedBy);
+			if (durationMs <= 0 || !staffId) return;
+			const total = totals.get(staffId) || { ms: 0, rooms: 0 };
+			total.ms += durationMs;
+			total.rooms += 1;
+			totals.set(staffId, total);
+			allMs += durationMs;
+			allRooms += 1;
+		})
+	);
+	const average = allRooms ? allMs / allRooms : 0;
+	const [low, high] = SPEED_FACTOR_RANGE;
+	return new Map(
+		[...totals].map(([staffId, total]) => [
+			staffId,
+			average ? Math.min(high, Math.max(low, total.ms / total.rooms / average)) : 1,
+		])
+	);
+};
+
+/**
+ * Hands rooms out in priority order to whoever would finish it soonest,
+ * charging a walk for each new floor so staff keep to their floors.
+ */
+const balanceRooms = (entries = [], staff = [], factors = new Map()) => {
+	const loads = staff.map((member) => ({
+		staffId: normalizeId(member._id),
+		name: member.name || "",
+		minutes: 0,
+		floors: new Set(),
+	}));
+	return entries.map((entry) => {
+		if (!loads.length) return { ...entry, assignedTo: null, estimatedMinutes: PLAN_KINDS[entry.kind].minutes };
+		let best = null;
+		loads.forEach((load) => {
+			const minutes = Math.round(PLAN_KINDS[entry.kind].minutes * (factors.get(load.staffId) || 1));
+			const walk = load.floors.size && !load.floors.has(entry.floor) ? FLOOR_CHANGE_MINUTES : 0;
+			const finish = load.minutes + minutes + walk;
+			if (!best || finish < best.finish) best = { load, minutes, finish };
+		});
+		best.load.minutes = best.finish;
+		best.load.floors.add(entry.floor);
+		return { ...entry, assignedTo: best.load.staffId, estimatedMinutes: best.minutes };
+	});
+};
+
+/** Groups a day's planned tasks by housekeeper for the board. */
+const planBoard = (date, tasks = [], staff = []) => {
+	const columns = new Map(
+		staff.map((member) => [
+			normalizeId(member._id),
+			{ staffId: normalizeId(member._id), name: member.name || "", estimatedMinutes: 0, tasks: [] },
+		])
+	);
+	const unassigned = [];
+	tasks.forEach((task) => {
+		const room = Array.isArray(task.rooms) ? task.rooms[0] : null;
+		const card = {
+			taskId: normalizeId(task._id),
+			roomId: normalizeId(room),
+			roomNumber: room?.room_number || task.plan?.roomNumber || "",
+			floor: task.plan?.floor ?? roomFloor(room || {}),
+			kind: task.plan?.kind || "",
+			priority: task.plan?.priority || 0,
+			estimatedMinutes: task.plan?.estimatedMinutes || 0,
+			status: task.task_status,
+		};
+		const staffId = normalizeId(task.assignedTo);
+		if (staffId && !columns.has(staffId)) {
+			columns.set(staffId, {
+				staffId,
+				name: task.assignedTo?.name || "",
+				estimatedMinutes: 0,
+				tasks: [],
+			});
+		}
+		const column = staffId ? columns.get(staffId) : null;
+		if (!column) {
+			unassigned.push(card);
+			return;
+		}
+		column.tasks.push(card);
+		column.estimatedMinutes += card.estimatedMinutes;
+	});
+	const byPriority = (a, b) => a.priority - b.priority || a.floor - b.floor;
+	return {
+		date,
+		staff: [...columns.values()].map((column) => ({
+			...column,
+			tasks: column.tasks.sort(byPriority),
+		})),
+		unassigned: unassigned.sort(byPriority),
+	};
+};
+
+const housekeepingStaffFor = (hotelId, dependencies = {}) =>
+	models(dependencies)
+		.UserModel.find({
+			activeUser: { $ne: false },
+			$and: [
+				{ $or: [{ hotelIdWork: hotelId }, { hotelsToSupport: hotelId }] },
+				{
+					$or: [
+						{ role: 5000 },
+						{ roles: 5000 },
+						{ roleDescription: "housekeeping" },
+						{ roleDescriptions: "housekeeping" },
+					],
+				},
+			],
+		})
+		.select("_id name")
+		.sort({ name: 1 })
+		.lean();
+
+const publishPlan = (io, hotelId, board) => {
+	if (!io) return;
+	io.to(`housekeeping:${hotelId}`).emit("housekeepingUpdated", {
+		hotelId,
+		action: "planPublished",
+		date: board.date,
+		board,
+	});
+};
+
+const loadPlanBoard = async ({ hotelId, date }, dependencies = {}) => {
+	dayBounds(date);
+	const { TaskModel } = models(dependencies);
+	const [tasks, staff] = await Promise.all([
+		TaskModel.find({ hotelId, "plan.date": date })
+			.populate("rooms", "room_number floor")
+			.populate("assignedTo", "name")
+			.lean(),
+		housekeepingStaffFor(hotelId, dependencies),
+	]);
+	return planBoard(date, tasks, staff);
+};
+
+/**
+ * Plans one hotel's cleaning for a day and publishes the board. Safe to run
+ * again: rooms with an open task or already planned for the day are skipped,
+ * so a rerun only picks up bookings that arrived since.
+ */
+const planHousekeepingDay = async (
+	{ hotelId, date, now = new Date(), io = null, actorId = null } = {},
+	dependencies = {}
+) => {
+	if (!mongoose.Types.ObjectId.isValid(normalizeId(hotelId))) {
+		throw new HousekeepingPlannerError("Invalid hotel.", "plan_hotel_invalid");
+	}
+	const bounds = dayBounds(date);
+	const { ReservationModel, RoomModel, TaskModel } = models(dependencies);
+	const hotelObjectId = mongoose.Types.ObjectId(normalizeId(hotelId));
+
+	const [reservations, rooms, openTasks, history, staff] = await Promise.all([
+		ReservationModel.find({
+			hotelId: hotelObjectId,
+			checkin_date: { $lt: bounds.end },
+			checkout_date: { $gte: bounds.start },
+			reservation_status: { $not: NOT_STAYING_STATUS },
+			roomId: { $exists: true, $ne: [] },
+			...buildPendingConfirmationExclusionFilter(),
+		})
+			.select("confirmation_number checkin_date checkout_date roomId")
+			.lean(),
+		RoomModel.find({ hotelId: hotelObjectId, active: { $ne: false }, activeRoom: { $ne: false } })
+			.select("_id room_number floor cleanRoom")
+			.lean(),
+		TaskModel.find({
+			hotelId: hotelObjectId,
+			$or: [{ "plan.date": date }, { task_status: { $nin: FINISHED_TASK_STATUSES } }],
+		})
+			.select("rooms")
+			.lean(),
+		TaskModel.find({
+			hotelId: hotelObjectId,
+			completedAt: { $gte: new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+		})
+			.select("cleanedBy roomStatus.cleanedBy roomStatus.durationMs")
+			.lean(),
+		housekeepingStaffFor(hotelObjectId, dependencies),
+	]);
+
+	const covered = new Set(openTasks.flatMap((task) => (task.rooms || []).map(normalizeId)));
+	const entries = classifyRooms(reservations, rooms, bounds).filter(
+		(entry) => !covered.has(entry.roomId)
+	);
+	const assignments = balanceRooms(entries, staff, speedFactors(history));
+
+	const created = assignments.length
+		? await TaskModel.insertMany(
+				assignments.map((entry) => ({
+					taskDate: bounds.start,
+					cleaningDate: bounds.start,
+					confirmation_number: entry.confirmationNumber || "manual task",
+					task_status: "unfinished",
+					taskType: "room",
+					task_comment: PLAN_KINDS[entry.kind].label,
+					rooms: [entry.roomId],
+					roomStatus: [{ room: entry.roomId, status: "unfinished" }],
+					hotelId: hotelObjectId,
+					assignedTo: entry.assignedTo,
+					assignedBy: actorId,
+					statusHistory: [
+						{ status: "unfinished", changedBy: actorId, comment: "planned automatically" },
+					],
+					plan: {
+						date,
+						kind: entry.kind,
+						priority: entry.priority,
+						floor: entry.floor,
+						roomNumber: entry.roomNumber,
+						estimatedMinutes: entry.estimatedMinutes,
+					},
+				}))
+		  )
+		: [];
+
+	const board = await loadPlanBoard({ hotelId: hotelObjectId, date }, dependencies);
+	publishPlan(io, normalizeId(hotelId), board);
+	return { date, created: created.length, board };
+};
+
+const startHousekeepingPlannerJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+	getIo,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		const now = new Date();
+		if (running || now.getUTCHours() < planHourUtc()) return;
+		running = true;
+		try {
+			const io = typeof getIo === "function" ? getIo() : null;
+			const date = tomorrowFor(now);
+			const hotels = await HotelDetails.find({ activateHotel: true }).select("_id").lean();
+			for (const hotel of hotels) {
+				try {
+					const { created } = await planHousekeepingDay({ hotelId: hotel._id, date, now, io });
+					if (created) {
+						logger.log(`[housekeeping] Planned ${created} rooms for ${date} at hotel ${hotel._id}.`);
+					}
+				} catch (error) {
+					logger.error(
+						`[housekeeping] Planning ${date} failed for hotel ${hotel._id}:`,
+						error?.message || error
+					);
+				}
+			}
+		} catch (error) {
+			logger.error("[housekeeping] Planner job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+module.exports = {
+	HousekeepingPlannerError,
+	PLAN_KINDS,
+	balanceRooms,
+	classifyRooms,
+	isHousekeepingPlannerEnabled,
+	loadPlanBoard,
+	planBoard,
+	planHousekeepingDay,
+	speedFactors,
+	startHousekeepingPlannerJob,
+	tomorrowFor,
+};
@@ -0,0 +1,228 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	balanceRooms,
+	classifyRooms,
+	planHousekeepingDay,
+	speedFactors,
+	tomorrowFor,
+} = require("./housekeepingPlanner");
+
+const hotelA = "65a000000000000000000001";
+const date = "2027-02-02";
+const bounds = {
+	start: new Date("2027-02-02T00:00:00.000Z"),
+	end: new Date("2027-02-03T00:00:00.000Z"),
+};
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+const valueAt = (doc, path) =>
+	path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const conditionMatches = (value, condition) => {
+	if (condition instanceof RegExp) return condition.test(String(value ?? ""));
+	if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+		return Object.entries(condition).every(([operator, operand]) => {
+			if (operator === "$in") return operand.some((item) => String(item) === String(value));
+			if (operator === "$nin") return !operand.some((item) => String(item) === String(value));
+			if (operator === "$ne") {
+				return Array.isArray(operand) ? !(Array.isArray(value) && !value.length) : String(value) !== String(operand);
+			}
+			if (operator === "$not") return !operand.test(String(value ?? ""));
+			if (operator === "$exists") return (value !== undefined) === operand;
+			if (operator === "$lt") return value != null && new Date(value) < operand;
+			if (operator === "$gte") return value != null && new Date(value) >= operand;
+			throw new Error(`unsupported ${operator}`);
+		});
+	}
+	if (Array.isArray(value)) return value.some((item) => String(item) === String(condition));
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) => {
+		if (key === "$or") return condition.some((branch) => matches(doc, branch));
+		if (key === "$and") return condition.every((branch) => matches(doc, branch));
+		if (key === "$nor") return !condition.some((branch) => matches(doc, branch));
+		return conditionMatches(valueAt(doc, key), condition);
+	});
+
+// Just enough of a mongoose model for the planner's reads and inserts.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => structuredClone(row));
+	let sequence = 0;
+	const query = (result) => {
+		const chain = {
+			select: () => chain,
+			sort: () => chain,
+			populate: () => chain,
+			lean: () => Promise.resolve(structuredClone(result)),
+		};
+		return chain;
+	};
+	return {
+		docs,
+		find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+		insertMany: async (inputs) =>
+			inputs.map((input) => {
+				sequence += 1;
+				const doc = { _id: `task-${sequence}`, ...structuredClone(input) };
+				docs.push(doc);
+				return doc;
+			}),
+	};
+};
+
+const room = (id, room_number, floor, extra = {}) => ({
+	_id: id,
+	hotelId: hotelA,
+	room_number,
+	floor,
+	cleanRoom: false,
+	active: true,
+	activeRoom: true,
+	...extra,
+});
+
+const reservation = (confirmation_number, roomId, checkin, checkout, extra = {}) => ({
+	hotelId: hotelA,
+	confirmation_number,
+	roomId: [roomId],
+	checkin_date: day(checkin),
+	checkout_date: day(checkout),
+	reservation_status: "confirmed",
+	...extra,
+});
+
+const rooms = [
+	room("r101", "101", 1),
+	room("r102", "102", 1),
+	room("r201", "201", 2),
+	room("r202", "202", 2, { cleanRoom: true }),
+	room("r203", "203", 2),
+	room("r301", "301", 3),
+];
+
+const reservations = [
+	reservation("A1", "r101", "2027-01-30", "2027-02-02"),
+	reservation("A2", "r101", "2027-02-02", "2027-02-05"),
+	reservation("B1", "r102", "2027-01-31", "2027-02-02"),
+	reservation("C1", "r201", "2027-01-31", "2027-02-06"),
+	reservation("D1", "r202", "2027-02-02", "2027-02-04"),
+	reservation("E1", "r203", "2027-02-02", "2027-02-04"),
+	reservation("F1", "r301", "2027-01-31", "2027-02-02", { reservation_status: "cancelled" }),
+];
+
+test("rooms are classified for the day with arrival rooms first", () => {
+	assert.equal(tomorrowFor(new Date("2027-02-01T21:30:00.000Z")), "2027-02-02");
+	const staying = reservations.filter((item) => item.reservation_status !== "cancelled");
+	assert.deepEqual(
+		classifyRooms(staying, rooms, bounds).map((entry) => [
+			entry.roomNumber,
+			entry.kind,
+			entry.priority,
+			entry.confirmationNumber,
+		]),
+		[
+			["101", "turnover", 1, "a1"],
+			["203", "arrival", 2, "e1"],
+			["102", "checkout", 3, "b1"],
+			["201", "stayover", 4, "c1"],
+		]
+	);
+});
+
+test("rooms are balanced by cleaning speed and kept to floors", () => {
+	const factors = speedFactors([
+		{ roomStatus: [{ cleanedBy: "fast", durationMs: 20 * 60 * 1000 }] },
+		{ roomStatus: [{ cleanedBy: "slow", durationMs: 40 * 60 * 1000 }] },
+		{ cleanedBy: "slow", roomStatus: [{ durationMs: 0 }] },
+	]);
+	assert.equal(factors.get("fast").toFixed(2), "0.67");
+	assert.equal(factors.get("slow").toFixed(2), "1.33");
+
+	const entries = ["101", "102", "103", "201", "202"].map((number) => ({
+		roomId: `r${number}`,
+		roomNumber: number,
+		floor: Number(number[0]),
+		kind: "checkout",
+		priority: 3,
+	}));
+	const staff = [
+		{ _id: "slow", name: "Huda" },
+		{ _id: "fast", name: "Amal" },
+	];
+	assert.deepEqual(
+		balanceRooms(entries, staff, factors).map((entry) => [entry.roomNumber, entry.assignedTo, entry.estimatedMinutes]),
+		[
+			["101", "fast", 23],
+			["102", "fast", 23],
+			["103", "slow", 47],
+			["201", "fast", 23],
+			["202", "fast", 23],
+		]
+	);
+	assert.deepEqual(
+		balanceRooms(entries.slice(0, 1), [], factors).map((entry) => entry.assignedTo),
+		[null]
+	);
+});
+
+test("planning creates assigned tasks once and publishes the board", async () => {
+	const dependencies = {
+		ReservationModel: memoryModel(reservations),
+		RoomModel: memoryModel(rooms),
+		TaskModel: memoryModel([
+			{
+				_id: "open-1",
+				hotelId: hotelA,
+				task_status: "cleaning",
+				rooms: ["r102"],
+			},
+		]),
+		UserModel: memoryModel([
+			{ _id: "staff-1", name: "Amal", hotelIdWork: hotelA, roles: [5000] },
+			{ _id: "staff-2", name: "Huda", hotelsToSupport: [hotelA], roleDescription: "housekeeping" },
+			{ _id: "staff-3", name: "Omar", hotelIdWork: hotelA, role: 5000, activeUser: false },
+		]),
+	};
+	const published = [];
+	const io = {
+		to: (roomName) => ({ emit: (event, payload) => published.push({ roomName, event, payload }) }),
+	};
+
+	const result = await planHousekeepingDay({ hotelId: hotelA, date, io }, dependencies);
+	assert.equal(result.created, 3);
+	const planned = dependencies.TaskModel.docs.filter((task) => task.plan);
+	assert.deepEqual(
+		planned.map((task) => [task.plan.roomNumber, task.plan.kind, task.assignedTo, task.confirmation_number]),
+		[
+			["101", "turnover", "staff-1", "a1"],
+			["203", "arrival", "staff-2", "e1"],
+			["201", "stayover", "staff-2", "c1"],
+		]
+	);
+	assert.equal(planned[0].taskDate.toISOString(), bounds.start.toISOString());
+	assert.equal(planned[0].roomStatus[0].status, "unfinished");
+
+	assert.equal(published.length, 1);
+	assert.equal(published[0].roomName, `housekeeping:${hotelA}`);
+	assert.equal(published[0].event, "housekeepingUpdated");
+	assert.equal(published[0].payload.action, "planPublished");
+	assert.deepEqual(
+		published[0].payload.board.staff.map((column) => [column.name, column.estimatedMinutes, column.tasks.map((card) => card.roomNumber)]),
+		[
+			["Amal", 40, ["101"]],
+			["Huda", 35, ["203", "201"]],
+		]
+	);
+
+	const rerun = await planHousekeepingDay({ hotelId: hotelA, date }, dependencies);
+	assert.equal(rerun.created, 0);
+	assert.equal(rerun.board.staff[1].tasks.length, 2);
+	await assert.rejects(planHousekeepingDay({ hotelId: hotelA, date: "tomorrow" }, dependencies), {
+		code: "plan_date_invalid",
+	});
+});
@@ -0,0 +1,323 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Expense = require("../models/expenses");
+const HouseKeeping = require("../models/housekeeping");
+const HousekeepingSupply = require("../models/housekeeping_supply");
+const HousekeepingSupplyRequest = require("../models/housekeeping_supply_request");
+const HousekeepingSupplyTemplate = require("../models/housekeeping_supply_template");
+
+const TASK_KINDS = ["checkout_clean", "room_clean", "general_clean"];
+const OPEN_REQUEST_STATUSES = ["draft", "pending_finance", "approved", "purchased"];
+// Tasks staff open by hand carry these instead of a booking's confirmation number.
+const MANUAL_CONFIRMATIONS = new Set(["", "manual task", "general task"]);
+const SUPPLY_EXPENSE_SOURCE = "housekeeping_supply_request";
+
+class HousekeepingSupplyError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "HousekeepingSupplyError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const models = (dependencies = {}) => ({
+	TaskModel: dependencies.TaskModel || HouseKeeping,
+	SupplyModel: dependencies.SupplyModel || HousekeepingSupply,
+	RequestModel: dependencies.RequestModel || HousekeepingSupplyRequest,
+	TemplateModel: dependencies.TemplateModel || HousekeepingSupplyTemplate,
+	ExpenseModel: dependencies.ExpenseModel || Expense,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const taskKindFor = (task = {}) => {
+	if (String(task.taskType || "").toLowerCase() === "general") return "general_clean";
+	if (task.plan?.kind === "stayover") return "room_clean";
+	const confirmation = String(task.confirmation_number || "").trim().toLowerCase();
+	return MANUAL_CONFIRMATIONS.has(confirmation) ? "room_clean" : "checkout_clean";
+};
+
+/** Scales a template to the task: room templates are per room, general ones per task. */
+const consumptionFor = (template = {}, task = {}) => {
+	const multiplier =
+		taskKindFor(task) === "general_clean"
+			? 1
+			: Math.max(Array.isArray(task.rooms) ? task.rooms.length : 0, 1);
+	return (template.items || [])
+		.map((item) => ({
+			supplyId: normalizeId(item.supplyId),
+			name: item.name || "",
+			quantity: round(Number(item.quantity) * multiplier),
+		}))
+		.filter((item) => item.supplyId && item.quantity > 0);
+};
+
+const reorderQuantityFor = (supply = {}) => {
+	if (Number(supply.reorderQuantity) > 0) return round(supply.reorderQuantity);
+	const minimum = Number(supply.minimumStock) || 0;
+	const current = Math.max(Number(supply.currentStock) || 0, 0);
+	return Math.max(Math.ceil(minimum * 2 - current), Math.ceil(minimum), 1);
+};
+
+const isLowStock = (supply = {}) =>
+	Number(supply.minimumStock) > 0 &&
+	Number(supply.currentStock) <= Number(supply.minimumStock);
+
+/** Validates a template submitted by a manager against the hotel's supply list. */
+const saveSupplyTemplate = async (
+	{ hotelId, taskKind, items = [], isActive = true, actorId = null } = {},
+	dependencies = {}
+) => {
+	const { SupplyModel, TemplateModel } = models(dependencies);
+	if (!mongoose.Types.ObjectId.isValid(normalizeId(hotelId))) {
+		throw new HousekeepingSupplyError("Invalid hotel.", "supply_template_invalid");
+	}
+	if (!TASK_KINDS.includes(taskKind)) {
+		throw new HousekeepingSupplyError(
+			`Task kind must be one of ${TASK_KINDS.join(", ")}.`,
+			"supply_template_invalid"
+		);
+	}
+	const quantities = new Map();
+	(Array.isArray(items) ? items : []).forEach((item) => {
+		const supplyId = normalizeId(item?.supplyId);
+		const quantity = Number(item?.quantity);
+		if (!mongoose.Types.ObjectId.isValid(supplyId) || !(quantity > 0)) {
+			throw new HousekeepingSupplyError(
+				"Each template line needs a supply and a quantity above zero.",
+				"supply_template_invalid"
+			);
+		}
+		quantities.set(supplyId, round((quantities.get(supplyId) || 0) + quantity));
+	});
+	const supplies = quantities.size
+		? await SupplyModel.find({ _id: { $in: [...quantities.keys()] }, hotelId })
+				.select("_id name")
+				.lean()
+		: [];
+	if (supplies.length !== quantities.size) {
+		throw new HousekeepingSupplyError(
+			"Template lines must use this hotel's supplies.",
+			"supply_template_invalid"
+		);
+	}
+	const names = new Map(supplies.map((supply) => [normalizeId(supply._id), supply.name]));
+	return TemplateModel.findOneAndUpdate(
+		{ hotelId, taskKind },
+		{
+			$set: {
+				items: [...quantities].map(([supplyId, quantity]) => ({
+					supplyId,
+					name: names.get(supplyId) || "",
+					quantity,
+				})),
+				isActive: isActive !== false,
+				updatedBy: actorId,
+			},
+			$setOnInsert: { createdBy: actorId },
+		},
+		{ new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+	).lean();
+};
+
+/**
+ * Adds low supplies to the hotel's open auto-draft, or opens one. Supplies
+ * already on any open request are left alone so finance sees each once.
+ */
+const draftReorderRequest = async (hotelId, supplies = [], dependencies = {}) => {
+	const { RequestModel } = models(dependencies);
+	const openRequests = await RequestModel.find({
+		hotelId,
+		status: { $in: OPEN_REQUEST_STATUSES },
+	})
+		.select("_id status autoDrafted items")
+		.lean();
+	const requested = new Set(
+		openRequests.flatMap((request) =>
+			(request.items || []).map((item) => normalizeId(item.supplyId))
+		)
+	);
+	const items = supplies
+		.filter((supply) => !requested.has(normalizeId(supply._id)))
+		.map((supply) => {
+			const quantity = reorderQuantityFor(supply);
+			const estimatedUnitCost = Number(supply.estimatedUnitCost) || 0;
+			return {
+				supplyId: supply._id,
+				name: supply.name,
+				category: supply.category || "cleaning",
+				quantity,
+				unit: supply.unit || "unit",
+				estimatedUnitCost,
+				estimatedTotal: round(quantity * estimatedUnitCost),
+			};
+		});
+	if (!items.length) return null;
+
+	const total = round(items.reduce((sum, item) => sum + item.estimatedTotal, 0));
+	const draft = openRequests.find(
+		(request) => request.status === "draft" && request.autoDrafted
+	);
+	if (draft) {
+		const updated = await RequestModel.updateOne(
+			{ _id: draft._id, status: "draft" },
+			{ $push: { items: { $each: items } }, $inc: { totalEstimatedCost: total } }
+		);
+		if (updated.matchedCount) return { requestId: normalizeId(draft._id), added: items.length };
+	}
+	const request = await RequestModel.create({
+		hotelId,
+		items,
+		totalEstimatedCost: total,
+		status: "draft",
+		autoDrafted: true,
+		requestNotes: "Drafted automatically when stock fell to its minimum.",
+	});
+	return { requestId: normalizeId(request._id), added: items.length };
+};
+
+/**
+ * Draws a finished task's template supplies from stock, once per task.
+ * Returns null when nothing was consumed, otherwise what was used, the
+ * supplies that newly fell to their minimum and any drafted reorder.
+ */
+const consumeTaskSupplies = async (task, { now = new Date() } = {}, dependencies = {}) => {
+	const { TaskModel, SupplyModel, TemplateModel } = models(dependencies);
+	const hotelId = normalizeId(task?.hotelId);
+	if (!task?._id || !hotelId || task.supplyConsumption?.consumedAt) return null;
+
+	const taskKind = taskKindFor(task);
+	const template = await TemplateModel.findOne({
+		hotelId,
+		taskKind,
+		isActive: { $ne: false },
+	}).lean();
+	const items = consumptionFor(template || {}, task);
+	if (!items.length) return null;
+
+	const claimed = await TaskModel.updateOne(
+		{ _id: task._id, "supplyConsumption.consumedAt": null },
+		{ $set: { supplyConsumption: { consumedAt: now, taskKind, items } } }
+	);
+	if (!claimed.matchedCount) return null;
+
+	const lowStock = [];
+	for (const item of items) {
+		const supply = await SupplyModel.findOneAndUpdate(
+			{ _id: item.supplyId, hotelId },
+			{ $inc: { currentStock: -item.quantity } },
+			{ new: true }
+		).lean();
+		if (!supply) continue;
+		if (supply.currentStock < 0) {
+			await SupplyModel.updateOne(
+				{ _id: supply._id, currentStock: { $lt: 0 } },
+				{ $set: { currentStock: 0 } }
+			);
+			supply.currentStock = 0;
+		}
+		if (!isLowStock(supply)) continue;
+		const alerted = await SupplyModel.updateOne(
+			{ _id: supply._id, lowStockAlertedAt: null },
+			{ $set: { lowStockAlertedAt: now } }
+		);
+		if (alerted.matchedCount) lowStock.push(supply);
+	}
+
+	const request = lowStock.length
+		? await draftReorderRequest(hotelId, lowStock, dependencies)
+		: null;
+	return {
+		taskKind,
+		consumed: items,
+		lowStock: lowStock.map((supply) => ({
+			supplyId: normalizeId(supply._id),
+			name: supply.name,
+			unit: supply.unit || "unit",
+			currentStock: supply.currentStock,
+			minimumStock: supply.minimumStock,
+		})),
+		request,
+	};
+};
+
+/** Re-arms low-stock alerts for supplies that are back above their minimum. */
+const clearRecoveredLowStockAlerts = (hotelId, dependencies = {}) => {
+	const { SupplyModel } = models(dependencies);
+	return SupplyModel.updateMany(
+		{
+			hotelId,
+			lowStockAlertedAt: { $ne: null },
+			$expr: { $gt: ["$currentStock", "$minimumStock"] },
+		},
+		{ $set: { lowStockAlertedAt: null } }
+	);
+};
+
+const supplyExpenseDescription = (request = {}) =>
+	(request.items || [])
+		.map((item) => `${item.quantity} ${item.unit || "unit"} ${item.name}`)
+		.join(", ");
+
+/**
+ * Books a received supply request as an expense, once. Uses the actual cost
+ * when receiving recorded one and the finance estimate otherwise.
+ */
+const recordSupplyRequestExpense = async (
+	request,
+	{ actorId = null, receipt = null, now = new Date() } = {},
+	dependencies = {}
+) => {
+	const { ExpenseModel, RequestModel } = models(dependencies);
+	if (!request?._id || request.status !== "received" || request.expenseId) return null;
+	const amount = round(
+		Number(request.actualCost) > 0 ? request.actualCost : request.totalEstimatedCost
+	);
+	if (!(amount > 0)) return null;
+
+	const hasReceipt = Boolean(receipt?.url && receipt?.public_id);
+	const expense = await ExpenseModel.findOneAndUpdate(
+		{ sourceType: SUPPLY_EXPENSE_SOURCE, sourceId: request._id },
+		{
+			$setOnInsert: {
+				label: request.vendor
+					? `Housekeeping supplies - ${request.vendor}`
+					: "Housekeeping supplies",
+				description: supplyExpenseDescription(request),
+				amount,
+				paid_amount: amount,
+				currency: "SAR",
+				hotelId: request.hotelId,
+				expenseDate: request.receivedAt || now,
+				receipt: {
+					public_id: hasReceipt ? String(receipt.public_id).trim() : "",
+					url: hasReceipt ? String(receipt.url).trim() : "",
+					fileName: hasReceipt ? String(receipt.fileName || "").trim() : "",
+					fileType: hasReceipt ? String(receipt.fileType || "").trim() : "",
+				},
+				createdBy: actorId,
+				updatedBy: actorId,
+			},
+		},
+		{ new: true, upsert: true, setDefaultsOnInsert: true }
+	).lean();
+	await RequestModel.updateOne({ _id: request._id }, { $set: { expenseId: expense._id } });
+	return expense;
+};
+
+module.exports = {
+	HousekeepingSupplyError,
+	TASK_KINDS,
+	clearRecoveredLowStockAlerts,
+	consumeTaskSupplies,
+	consumptionFor,
+	draftReorderRequest,
+	recordSupplyRequestExpense,
+	reorderQuantityFor,
+	saveSupplyTemplate,
+	taskKindFor,
+};
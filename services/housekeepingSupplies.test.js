@@ -0,0 +1,248 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	consumeTaskSupplies,
+	consumptionFor,
+	recordSupplyRequestExpense,
+	reorderQuantityFor,
+	saveSupplyTemplate,
+	taskKindFor,
+} = require("./housekeepingSupplies");
+
+const hotelA = "65a000000000000000000001";
+const towels = "65b000000000000000000001";
+const shampoo = "65b000000000000000000002";
+const bleach = "65b000000000000000000003";
+const now = new Date("2027-02-01T09:00:00.000Z");
+
+const valueAt = (doc, path) =>
+	path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const conditionMatches = (value, condition) => {
+	if (condition === null) return value === null || value === undefined;
+	if (condition && typeof condition === "object") {
+		return Object.entries(condition).every(([operator, operand]) => {
+			if (operator === "$in") return operand.some((item) => String(item) === String(value));
+			if (operator === "$ne") return String(value) !== String(operand);
+			if (operator === "$lt") return Number(value) < operand;
+			throw new Error(`unsupported ${operator}`);
+		});
+	}
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) => conditionMatches(valueAt(doc, key), condition));
+
+// Just enough of a mongoose model for the supply bookkeeping.
+const memoryModel = (rows = [], prefix = "doc") => {
+	const docs = rows.map((row) => structuredClone(row));
+	let sequence = 0;
+	const apply = (doc, change = {}) => {
+		Object.entries(change.$inc || {}).forEach(([key, value]) => {
+			doc[key] = Math.round(((Number(doc[key]) || 0) + value) * 100) / 100;
+		});
+		Object.entries(change.$push || {}).forEach(([key, value]) => {
+			doc[key] = [...(doc[key] || []), ...structuredClone(value.$each || [value])];
+		});
+		Object.assign(doc, structuredClone(change.$set || {}));
+	};
+	const insert = (input) => {
+		sequence += 1;
+		const doc = { _id: `${prefix}-${sequence}`, ...structuredClone(input) };
+		docs.push(doc);
+		return doc;
+	};
+	const query = (result) => {
+		const chain = {
+			select: () => chain,
+			lean: () => Promise.resolve(result ? structuredClone(result) : result),
+		};
+		return chain;
+	};
+	return {
+		docs,
+		find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+		findOne: (filter) => query(docs.find((doc) => matches(doc, filter)) || null),
+		create: async (input) => structuredClone(insert(input)),
+		updateOne: async (filter, change) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) apply(doc, change);
+			return { matchedCount: doc ? 1 : 0 };
+		},
+		findOneAndUpdate: (filter, change, options = {}) => {
+			let doc = docs.find((row) => matches(row, filter));
+			if (!doc && options.upsert) {
+				doc = insert({ ...filter, ...(change.$setOnInsert || {}) });
+			} else if (doc) {
+				apply(doc, change);
+			}
+			if (doc && options.upsert) apply(doc, { $set: change.$set });
+			return query(doc || null);
+		},
+	};
+};
+
+const supply = (_id, name, extra = {}) => ({
+	_id,
+	hotelId: hotelA,
+	name,
+	category: "amenities",
+	unit: "piece",
+	currentStock: 50,
+	minimumStock: 10,
+	reorderQuantity: 0,
+	estimatedUnitCost: 4,
+	lowStockAlertedAt: null,
+	...extra,
+});
+
+const setup = ({ supplies, templates = [], tasks = [], requests = [] } = {}) => ({
+	SupplyModel: memoryModel(
+		supplies || [supply(towels, "Towels"), supply(shampoo, "Shampoo kit"), supply(bleach, "Bleach")]
+	),
+	TemplateModel: memoryModel(templates, "template"),
+	TaskModel: memoryModel(tasks),
+	RequestModel: memoryModel(requests, "request"),
+	ExpenseModel: memoryModel([], "expense"),
+});
+
+const checkoutTask = (extra = {}) => ({
+	_id: "task-1",
+	hotelId: hotelA,
+	taskType: "room",
+	confirmation_number: "4431220",
+	task_status: "finished",
+	rooms: ["room-101", "room-102"],
+	supplyConsumption: { consumedAt: null, items: [] },
+	...extra,
+});
+
+const checkoutTemplate = {
+	hotelId: hotelA,
+	taskKind: "checkout_clean",
+	isActive: true,
+	items: [
+		{ supplyId: towels, name: "Towels", quantity: 2 },
+		{ supplyId: shampoo, name: "Shampoo kit", quantity: 1 },
+	],
+};
+
+test("tasks map to template kinds and room templates scale per room", () => {
+	assert.equal(taskKindFor(checkoutTask()), "checkout_clean");
+	assert.equal(taskKindFor(checkoutTask({ confirmation_number: "manual task" })), "room_clean");
+	assert.equal(taskKindFor({ taskType: "general", confirmation_number: "general task" }), "general_clean");
+	assert.deepEqual(consumptionFor(checkoutTemplate, checkoutTask()), [
+		{ supplyId: towels, name: "Towels", quantity: 4 },
+		{ supplyId: shampoo, name: "Shampoo kit", quantity: 2 },
+	]);
+	assert.equal(reorderQuantityFor({ minimumStock: 10, currentStock: 3 }), 17);
+	assert.equal(reorderQuantityFor({ minimumStock: 10, currentStock: 3, reorderQuantity: 40 }), 40);
+});
+
+test("templates only accept the hotel's own supplies", async () => {
+	const dependencies = setup();
+	await assert.rejects(saveSupplyTemplate({ hotelId: hotelA, taskKind: "deep_clean" }, dependencies), {
+		code: "supply_template_invalid",
+	});
+	await assert.rejects(
+		saveSupplyTemplate(
+			{ hotelId: hotelA, taskKind: "checkout_clean", items: [{ supplyId: "65b000000000000000000009", quantity: 1 }] },
+			dependencies
+		),
+		{ code: "supply_template_invalid" }
+	);
+	const template = await saveSupplyTemplate(
+		{
+			hotelId: hotelA,
+			taskKind: "checkout_clean",
+			items: [
+				{ supplyId: towels, quantity: 1 },
+				{ supplyId: towels, quantity: "1" },
+			],
+		},
+		dependencies
+	);
+	assert.deepEqual(template.items, [{ supplyId: towels, name: "Towels", quantity: 2 }]);
+});
+
+test("finishing a task draws stock once, alerts on the minimum and drafts a reorder", async () => {
+	const dependencies = setup({
+		supplies: [
+			supply(towels, "Towels", { currentStock: 12 }),
+			supply(shampoo, "Shampoo kit", { currentStock: 1 }),
+		],
+		templates: [checkoutTemplate],
+		tasks: [checkoutTask(), checkoutTask({ _id: "task-2", rooms: ["room-103"] })],
+	});
+	const [towelStock, shampooStock] = dependencies.SupplyModel.docs;
+
+	const first = await consumeTaskSupplies(checkoutTask(), { now }, dependencies);
+	assert.equal(towelStock.currentStock, 8);
+	assert.equal(shampooStock.currentStock, 0);
+	assert.deepEqual(
+		first.lowStock.map((item) => [item.name, item.currentStock]),
+		[
+			["Towels", 8],
+			["Shampoo kit", 0],
+		]
+	);
+	const [draft] = dependencies.RequestModel.docs;
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.autoDrafted, true);
+	assert.deepEqual(
+		draft.items.map((item) => [item.name, item.quantity, item.estimatedTotal]),
+		[
+			["Towels", 12, 48],
+			["Shampoo kit", 20, 80],
+		]
+	);
+	assert.equal(draft.totalEstimatedCost, 128);
+	assert.equal(dependencies.TaskModel.docs[0].supplyConsumption.consumedAt.toISOString(), now.toISOString());
+
+	// The same task again changes nothing.
+	assert.equal(await consumeTaskSupplies(checkoutTask(), { now }, dependencies), null);
+	assert.equal(towelStock.currentStock, 8);
+
+	// Still low, but already alerted and already on the draft.
+	const second = await consumeTaskSupplies(checkoutTask({ _id: "task-2", rooms: ["room-103"] }), { now }, dependencies);
+	assert.deepEqual(second.lowStock, []);
+	assert.equal(second.request, null);
+	assert.equal(towelStock.currentStock, 6);
+	assert.equal(dependencies.RequestModel.docs.length, 1);
+
+	assert.equal(
+		await consumeTaskSupplies(checkoutTask({ _id: "task-3", confirmation_number: "manual task" }), { now }, dependencies),
+		null
+	);
+});
+
+test("received requests are booked as one expense", async () => {
+	const dependencies = setup();
+	const request = {
+		_id: "request-9",
+		hotelId: hotelA,
+		status: "received",
+		vendor: "Al Noor Trading",
+		actualCost: 0,
+		totalEstimatedCost: 128,
+		receivedAt: now,
+		items: [{ name: "Towels", quantity: 12, unit: "piece" }],
+	};
+	dependencies.RequestModel.docs.push(structuredClone(request));
+
+	assert.equal(await recordSupplyRequestExpense({ ...request, status: "approved" }, {}, dependencies), null);
+	const expense = await recordSupplyRequestExpense(request, { actorId: "user-1" }, dependencies);
+	assert.equal(expense.label, "Housekeeping supplies - Al Noor Trading");
+	assert.equal(expense.description, "12 piece Towels");
+	assert.equal(expense.amount, 128);
+	assert.equal(expense.sourceType, "housekeeping_supply_request");
+	assert.equal(expense.receipt.url, "");
+	assert.equal(dependencies.RequestModel.docs[0].expenseId, expense._id);
+
+	await recordSupplyRequestExpense({ ...request, actualCost: 140 }, {}, dependencies);
+	assert.equal(dependencies.ExpenseModel.docs.length, 1);
+	assert.equal(dependencies.ExpenseModel.docs[0].amount, 128);
+});
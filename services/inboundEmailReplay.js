@@ -0,0 +1,421 @@
+/** @format */
+
+"use strict";
+
+// Generic re-parse and replay for archived OTA inbound emails. A filter selects
+// inbound_email records, every record is re-parsed with the current mapper and
+// compared field by field with its linked reservation. The dry run returns a
+// proof over exactly that plan; apply rebuilds the plan, refuses to continue
+// if anything moved, and replays each changed record through the mapper's own
+// existing-reservation update with an InboundEmailReplay audit record. Only
+// the newest email linked to a reservation is replayed, so an old booking or
+// modification can never roll back what a later email already applied.
+
+const crypto = require("node:crypto");
+const mongoose = require("mongoose");
+const InboundEmail = require("../models/inbound_email");
+const InboundEmailReplay = require("../models/inbound_email_replay");
+const Reservations = require("../models/reservations");
+const {
+	applyExistingReservationEmailUpdate,
+	detectConfirmationMatchFields,
+	extractNormalizedReservation,
+	normalizeConfirmation,
+	otaEmailParserVersion,
+} = require("./otaReservationMapper");
+const { reservationVersion } = require("./otaReviewConcurrency");
+
+const DEFAULT_REPLAY_LIMIT = 25;
+const MAX_REPLAY_LIMIT = 200;
+const REPLAY_PROOF_MAX_AGE_MS = 30 * 60 * 1000;
+const REPLAY_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class InboundReplayError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "InboundReplayError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const clean = (value) => String(value ?? "").trim();
+const lower = (value) => clean(value).toLowerCase();
+
+const ymd = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 10);
+};
+
+const money = (value) => {
+	const parsed = Number(value);
+	return Number.isFinite(parsed) ? Math.round(parsed * 100) / 100 : null;
+};
+
+const count = (value) => {
+	const parsed = Number(value);
+	return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+const parseDay = (value, endOfDay = false) => {
+	const day = clean(value);
+	if (!day) return null;
+	const parsed = new Date(`${day}T00:00:00.000Z`);
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(parsed.getTime()) || ymd(parsed) !== day) {
+		throw new InboundReplayError(`${day} is not a valid YYYY-MM-DD date.`, "replay_date_invalid");
+	}
+	return new Date(`${day}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+};
+
+// Reservation facts shown in the diff. A parsed value is only compared when
+// the email itself carried it (sourcePresence), so a template that omits a
+// fact never proposes blanking it on the reservation. Status-only emails
+// (cancellations, no-shows) are replayed as status changes only, the same way
+// the live pipeline applies them.
+const REPLAY_FIELDS = Object.freeze([
+	{
+		field: "checkin_date",
+		presence: "checkinDate",
+		parsed: (normalized) => ymd(normalized.checkinDate),
+		current: (reservation) => ymd(reservation.checkin_date),
+	},
+	{
+		field: "checkout_date",
+		presence: "checkoutDate",
+		parsed: (normalized) => ymd(normalized.checkoutDate),
+		current: (reservation) => ymd(reservation.checkout_date),
+	},
+	{
+		field: "customer_details.name",
+		presence: "guestName",
+		parsed: (normalized) => clean(normalized.guestName),
+		current: (reservation) => clean(reservation.customer_details?.name),
+	},
+	{
+		field: "total_guests",
+		presence: "totalGuests",
+		parsed: (normalized) => count(normalized.totalGuests),
+		current: (reservation) => count(reservation.total_guests),
+	},
+	{
+		field: "total_rooms",
+		presence: "roomCount",
+		parsed: (normalized) => count(normalized.roomCount),
+		current: (reservation) => count(reservation.total_rooms),
+	},
+	{
+		field: "total_amount",
+		presence: "amount",
+		parsed: (normalized) => money(normalized.totalAmountSar),
+		current: (reservation) => money(reservation.total_amount),
+	},
+	{
+		field: "reservation_status",
+		parsed: (normalized) => lower(normalized.statusToApply),
+		current: (reservation) => lower(reservation.reservation_status),
+	},
+]);
+
+function diffReservationFacts(normalized = {}, reservation = {}) {
+	const sourcePresence = normalized.sourcePresence || {};
+	const diff = [];
+	const statusOnly = lower(normalized.intent) === "reservation_status";
+	for (const spec of REPLAY_FIELDS) {
+		if (statusOnly && spec.field !== "reservation_status") continue;
+		if (spec.presence && sourcePresence[spec.presence] !== true) continue;
+		const proposed = spec.parsed(normalized);
+		if (proposed === "" || proposed === null) continue;
+		const current = spec.current(reservation);
+		if (current === proposed) continue;
+		diff.push({ field: spec.field, current: current === "" ? null : current, proposed });
+	}
+	return diff;
+}
+
+function buildReplayQuery(filter = {}) {
+	const query = { duplicateOf: null };
+	const ids = [].concat(filter.ids || []).map(clean).filter(Boolean);
+	if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+		throw new InboundReplayError("Inbound email ids must be valid ObjectIds.", "replay_id_invalid");
+	}
+	if (ids.length) query._id = { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) };
+	const provider = lower(filter.provider);
+	if (provider) query.provider = provider;
+	const confirmationNumber = normalizeConfirmation(filter.confirmationNumber || "");
+	if (confirmationNumber) query.confirmationNumber = confirmationNumber;
+	const hotelId = clean(filter.hotelId);
+	if (hotelId) {
+		if (!mongoose.Types.ObjectId.isValid(hotelId)) {
+			throw new InboundReplayError("hotelId must be a valid ObjectId.", "replay_hotel_invalid");
+		}
+		query.hotelId = new mongoose.Types.ObjectId(hotelId);
+	}
+	if (filter.stale === true) {
+		if (!provider) {
+			throw new InboundReplayError(
+				"Selecting stale parser versions requires a provider.",
+				"replay_provider_required"
+			);
+		}
+		query.parserVersion = { $ne: otaEmailParserVersion(provider) };
+	} else if (clean(filter.parserVersion)) {
+		query.parserVersion = clean(filter.parserVersion) === "none" ? "" : clean(filter.parserVersion);
+	}
+	const receivedFrom = parseDay(filter.receivedFrom);
+	const receivedTo = parseDay(filter.receivedTo, true);
+	if (receivedFrom || receivedTo) {
+		query.receivedAt = {};
+		if (receivedFrom) query.receivedAt.$gte = receivedFrom;
+		if (receivedTo) query.receivedAt.$lte = receivedTo;
+	}
+	if (!ids.length && !provider && !confirmationNumber && !hotelId) {
+		throw new InboundReplayError(
+			"Narrow the replay with ids, a provider, a confirmation number or a hotel.",
+			"replay_filter_required"
+		);
+	}
+	return query;
+}
+
+function normalizeReplayLimit(value) {
+	const parsed = parseInt(value, 10) || DEFAULT_REPLAY_LIMIT;
+	return Math.min(Math.max(parsed, 1), MAX_REPLAY_LIMIT);
+}
+
+// The stored body is the redacted text with the subject prepended; the live
+// webhook parsed subject and body separately, so split them the same way.
+function emailFromInboundRecord(record = {}) {
+	const subject = clean(record.subject).replace(/\r/g, "");
+	const body = String(record.bodyText || "").replace(/\r/g, "");
+	const source = record.normalizedReservation?.source || {};
+	return {
+		from: record.from || "",
+		to: record.to || "",
+		cc: record.cc || "",
+		bcc: record.bcc || "",
+		subject: record.subject || "",
+		text: body.startsWith(`${subject}\n`) ? body.slice(subject.length + 1) : body,
+		html: record.bodyHtml || "",
+		messageId: record.messageId || "",
+		receivedAt: record.receivedAt,
+		deliveryReceivedAt: record.receivedAt,
+		sourceReceivedAt: source.receivedAt || record.receivedAt,
+		sourceTimestampMethod: source.timestampMethod || "",
+		senderAuthentication: record.senderAuthentication || {},
+	};
+}
+
+function planInboundReplayItem(
+	record = {},
+	reservation = null,
+	{ parse = extractNormalizedReservation, latestInboundEmailId = "" } = {}
+) {
+	const normalized = parse(emailFromInboundRecord(record));
+	normalized.inboundEmailId = String(record._id || "");
+	const confirmationNumber = normalizeConfirmation(
+		normalized.confirmationNumber || normalized.reservationId || ""
+	);
+	const item = {
+		inboundEmailId: String(record._id || ""),
+		reservationId: reservation ? String(reservation._id) : "",
+		hotelId: reservation?.hotelId ? String(reservation.hotelId) : "",
+		provider: lower(normalized.provider),
+		confirmationNumber,
+		eventType: lower(normalized.eventType),
+		previousParserVersion: clean(record.parserVersion),
+		parserVersion: clean(normalized.parserVersion),
+		reservationVersion: reservation ? reservationVersion(reservation) : null,
+		reservationUpdatedAt: reservation?.updatedAt ? new Date(reservation.updatedAt).toISOString() : "",
+		status: "skipped",
+		reason: "",
+		diff: [],
+	};
+	let reason = "";
+	if (lower(normalized.intent) === "not_reservation") reason = "not_reservation";
+	else if (normalized.sourceSenderAuthenticated !== true) reason = "sender_not_authenticated";
+	else if (normalized.requiresManualReview === true) reason = "needs_manual_review";
+	else if (!reservation) reason = "no_linked_reservation";
+	else if (!detectConfirmationMatchFields(reservation, confirmationNumber, item.provider).length) {
+		reason = "confirmation_mismatch";
+	} else if (latestInboundEmailId && latestInboundEmailId !== item.inboundEmailId) {
+		reason = "superseded_by_newer_email";
+	}
+	if (reason) return { item: { ...item, reason }, normalized };
+	const diff = diffReservationFacts(normalized, reservation);
+	return {
+		item: { ...item, status: diff.length ? "changes" : "no_change", diff },
+		normalized,
+	};
+}
+
+function replayPlanHash(items = []) {
+	const basis = items
+		.filter((item) => item.status === "changes")
+		.map((item) => ({
+			inboundEmailId: item.inboundEmailId,
+			reservationId: item.reservationId,
+			reservationVersion: item.reservationVersion,
+			reservationUpdatedAt: item.reservationUpdatedAt,
+			parserVersion: item.parserVersion,
+			diff: item.diff,
+		}));
+	return crypto.createHash("sha256").update(JSON.stringify(basis)).digest("hex");
+}
+
+function parseReplayProof(proof, now = new Date()) {
+	const match = lower(proof).match(/^(\d{13})\.([a-f0-9]{64})$/);
+	if (!match) {
+		throw new InboundReplayError("The replay proof is missing or malformed.", "replay_proof_invalid");
+	}
+	const plannedAtMs = Number(match[1]);
+	const nowMs = new Date(now).getTime();
+	if (plannedAtMs > nowMs + REPLAY_CLOCK_SKEW_MS || nowMs - plannedAtMs > REPLAY_PROOF_MAX_AGE_MS) {
+		throw new InboundReplayError(
+			"The replay proof has expired; run the dry run again.",
+			"replay_proof_expired",
+			409
+		);
+	}
+	return { plannedAt: new Date(plannedAtMs), planHash: match[2] };
+}
+
+async function buildInboundReplayPlan(filter = {}, options = {}, dependencies = {}) {
+	const InboundEmailModel = dependencies.InboundEmailModel || InboundEmail;
+	const ReservationModel = dependencies.ReservationModel || Reservations;
+	const query = buildReplayQuery(filter);
+	const limit = normalizeReplayLimit(options.limit);
+	const records = await InboundEmailModel.find(query).sort({ receivedAt: 1 }).limit(limit).lean();
+	const reservationIds = Array.from(
+		new Set(records.map((record) => String(record.reservationMongoId || "")).filter(Boolean))
+	);
+	const reservations = reservationIds.length
+		? await ReservationModel.find({ _id: { $in: reservationIds } }).lean()
+		: [];
+	const reservationById = new Map(reservations.map((reservation) => [String(reservation._id), reservation]));
+	// Every email ever linked to these reservations, not just the selected
+	// ones: a newer email outside the filter still supersedes an older one.
+	const linked = reservationIds.length
+		? await InboundEmailModel.find({ reservationMongoId: { $in: reservationIds }, duplicateOf: null })
+				.select("_id reservationMongoId receivedAt")
+				.lean()
+		: [];
+	const latestByReservation = new Map();
+	for (const email of linked) {
+		const key = String(email.reservationMongoId || "");
+		const latest = latestByReservation.get(key);
+		const receivedAt = new Date(email.receivedAt || 0).getTime();
+		const latestAt = latest ? new Date(latest.receivedAt || 0).getTime() : -Infinity;
+		if (!latest || receivedAt > latestAt || (receivedAt === latestAt && String(email._id) > String(latest._id))) {
+			latestByReservation.set(key, email);
+		}
+	}
+
+	const entries = records.map((record) => {
+		const reservationId = String(record.reservationMongoId || "");
+		return planInboundReplayItem(record, reservationById.get(reservationId) || null, {
+			parse: dependencies.parse,
+			latestInboundEmailId: String(latestByReservation.get(reservationId)?._id || ""),
+		});
+	});
+	const items = entries.map((entry) => entry.item);
+	const plannedAt = new Date(options.now || Date.now());
+	const planHash = replayPlanHash(items);
+	return {
+		plannedAt,
+		planHash,
+		proof: `${plannedAt.getTime()}.${planHash}`,
+		summary: {
+			selected: items.length,
+			changes: items.filter((item) => item.status === "changes").length,
+			noChange: items.filter((item) => item.status === "no_change").length,
+			skipped: items.filter((item) => item.status === "skipped").length,
+		},
+		items,
+		entries,
+		reservationById,
+	};
+}
+
+async function applyInboundReplayPlan(filter = {}, options = {}, dependencies = {}) {
+	const InboundEmailModel = dependencies.InboundEmailModel || InboundEmail;
+	const ReplayModel = dependencies.ReplayModel || InboundEmailReplay;
+	const applyUpdate = dependencies.applyUpdate || applyExistingReservationEmailUpdate;
+	const proof = parseReplayProof(options.proof, options.now || new Date());
+	const plan = await buildInboundReplayPlan(
+		filter,
+		{ limit: options.limit, now: proof.plannedAt },
+		dependencies
+	);
+	if (plan.planHash !== proof.planHash) {
+		throw new InboundReplayError(
+			"The archived emails or their reservations changed since the dry run; run it again.",
+			"replay_plan_changed",
+			409
+		);
+	}
+	const actor = options.actor || {};
+	const requestedBy = { _id: actor._id || null, name: clean(actor.name), role: clean(actor.role) };
+	const results = [];
+	for (const { item, normalized } of plan.entries) {
+		if (item.status !== "changes") continue;
+		const audit = {
+			inboundEmailId: item.inboundEmailId,
+			reservationId: item.reservationId,
+			hotelId: item.hotelId || null,
+			provider: item.provider,
+			confirmationNumber: item.confirmationNumber,
+			eventType: item.eventType,
+			previousParserVersion: item.previousParserVersion,
+			parserVersion: item.parserVersion,
+			planHash: plan.planHash,
+			diff: item.diff,
+			requestedBy,
+		};
+		try {
+			const set = await applyUpdate({
+				normalized,
+				existing: plan.reservationById.get(item.reservationId),
+				statusToApply: normalized.statusToApply || "",
+				warnings: normalized.warnings || [],
+				action: "replayed-from-archived-email",
+			});
+			await InboundEmailModel.updateOne(
+				{ _id: item.inboundEmailId },
+				{ $set: { parserVersion: item.parserVersion, normalizedReservation: normalized } }
+			);
+			const appliedFields = Object.keys(set || {});
+			await ReplayModel.create({ ...audit, status: "applied", appliedFields });
+			results.push({ inboundEmailId: item.inboundEmailId, status: "applied", appliedFields });
+		} catch (error) {
+			await ReplayModel.create({ ...audit, status: "failed", error: clean(error.message) });
+			results.push({ inboundEmailId: item.inboundEmailId, status: "failed", error: clean(error.message) });
+		}
+	}
+	return {
+		planHash: plan.planHash,
+		summary: {
+			...plan.summary,
+			applied: results.filter((result) => result.status === "applied").length,
+			failed: results.filter((result) => result.status === "failed").length,
+		},
+		results,
+	};
+}
+
+module.exports = {
+	DEFAULT_REPLAY_LIMIT,
+	MAX_REPLAY_LIMIT,
+	REPLAY_FIELDS,
+	REPLAY_PROOF_MAX_AGE_MS,
+	InboundReplayError,
+	applyInboundReplayPlan,
+	buildInboundReplayPlan,
+	buildReplayQuery,
+	diffReservationFacts,
+	emailFromInboundRecord,
+	normalizeReplayLimit,
+	parseReplayProof,
+	planInboundReplayItem,
+};
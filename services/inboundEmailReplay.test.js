@@ -0,0 +1,188 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const {
+	applyInboundReplayPlan,
+	buildInboundReplayPlan,
+	buildReplayQuery,
+	parseReplayProof,
+} = require("./inboundEmailReplay");
+const { otaEmailParserVersion } = require("./otaReservationMapper");
+
+const fixtureEmail = (name) =>
+	JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "otaEmails", name), "utf8")).email;
+
+const archived = (_id, name, overrides = {}) => {
+	const email = fixtureEmail(name);
+	return {
+		_id,
+		from: email.from,
+		to: email.to,
+		subject: email.subject,
+		bodyText: `${email.subject}\n${email.text.join("\n")}`,
+		senderAuthentication: email.senderAuthentication,
+		receivedAt: new Date("2027-01-20T09:00:00.000Z"),
+		provider: "booking",
+		parserVersion: "",
+		reservationMongoId: "65a0000000000000000000e1",
+		...overrides,
+	};
+};
+
+const reservation = (overrides = {}) => ({
+	_id: "65a0000000000000000000e1",
+	__v: 4,
+	updatedAt: new Date("2027-01-15T10:00:00.000Z"),
+	hotelId: "65a000000000000000000001",
+	booking_source: "Booking.com",
+	otaIdentityKey: "booking:4012345678",
+	confirmation_number: "9900001111",
+	customer_details: { name: "Sample Guest", confirmation_number2: "4012345678" },
+	supplierData: { otaProvider: "booking", otaConfirmationNumber: "4012345678" },
+	reservation_status: "confirmed",
+	checkin_date: new Date("2027-02-10T00:00:00.000Z"),
+	checkout_date: new Date("2027-02-12T00:00:00.000Z"),
+	total_guests: 2,
+	total_rooms: 1,
+	total_amount: 800,
+	...overrides,
+});
+
+const fakeStore = ({ records, reservations }) => {
+	const inboundUpdates = [];
+	const replays = [];
+	const chain = (rows) => ({
+		select() {
+			return this;
+		},
+		sort() {
+			return this;
+		},
+		limit() {
+			return this;
+		},
+		lean: async () => rows,
+	});
+	return {
+		inboundUpdates,
+		replays,
+		dependencies: {
+			InboundEmailModel: {
+				find: () => chain(records),
+				updateOne: async (filter, update) => inboundUpdates.push({ filter, update }),
+			},
+			ReservationModel: { find: () => chain(reservations) },
+			ReplayModel: { create: async (doc) => (replays.push(doc), doc) },
+		},
+	};
+};
+
+test("a replay has to be narrowed and stale selection is relative to the current parser", () => {
+	assert.throws(() => buildReplayQuery({}), { code: "replay_filter_required" });
+	assert.throws(() => buildReplayQuery({ stale: true, hotelId: "65a000000000000000000001" }), {
+		code: "replay_provider_required",
+	});
+	assert.throws(() => buildReplayQuery({ provider: "booking", receivedFrom: "2027-02-31" }), {
+		code: "replay_date_invalid",
+	});
+	const query = buildReplayQuery({ provider: "Booking", stale: true, receivedFrom: "2027-01-01" });
+	assert.deepEqual(query.parserVersion, { $ne: otaEmailParserVersion("booking") });
+	assert.equal(query.provider, "booking");
+	assert.equal(query.duplicateOf, null);
+	assert.equal(query.receivedAt.$gte.toISOString(), "2027-01-01T00:00:00.000Z");
+});
+
+test("the dry run diffs source-backed facts against the linked reservation", async () => {
+	const { dependencies } = fakeStore({
+		records: [
+			archived("65a0000000000000000000f1", "booking-modified.json"),
+			archived("65a0000000000000000000f2", "booking-new.json", {
+				reservationMongoId: "65a0000000000000000000e3",
+			}),
+			archived("65a0000000000000000000f3", "booking-new.json", {
+				senderAuthentication: {},
+				receivedAt: new Date("2027-01-18T09:00:00.000Z"),
+			}),
+			archived("65a0000000000000000000f4", "booking-cancelled.json", { reservationMongoId: null }),
+			archived("65a0000000000000000000f5", "booking-new.json", {
+				receivedAt: new Date("2027-01-18T09:00:00.000Z"),
+			}),
+		],
+		reservations: [reservation(), reservation({ _id: "65a0000000000000000000e3" })],
+	});
+	const plan = await buildInboundReplayPlan({ provider: "booking" }, {}, dependencies);
+
+	assert.deepEqual(plan.summary, { selected: 5, changes: 1, noChange: 1, skipped: 3 });
+	const [modified, unchanged, unauthenticated, unlinked, superseded] = plan.items;
+	assert.equal(modified.status, "changes");
+	assert.equal(modified.previousParserVersion, "");
+	assert.equal(modified.parserVersion, otaEmailParserVersion("booking"));
+	assert.deepEqual(modified.diff, [
+		{ field: "checkout_date", current: "2027-02-12", proposed: "2027-02-13" },
+		{ field: "total_amount", current: 800, proposed: 1200 },
+	]);
+	assert.equal(unchanged.status, "no_change");
+	assert.equal(unauthenticated.reason, "sender_not_authenticated");
+	assert.equal(unlinked.reason, "no_linked_reservation");
+	// The original booking email would roll back the later modification.
+	assert.equal(superseded.reason, "superseded_by_newer_email");
+	assert.match(plan.proof, /^\d{13}\.[a-f0-9]{64}$/);
+});
+
+test("apply replays only an unchanged plan and audits every replayed email", async () => {
+	const records = [
+		archived("65a0000000000000000000f1", "booking-cancelled.json"),
+		archived("65a0000000000000000000f2", "booking-modified.json", {
+			reservationMongoId: "65a0000000000000000000e2",
+		}),
+	];
+	const reservations = [reservation(), reservation({ _id: "65a0000000000000000000e2" })];
+	const store = fakeStore({ records, reservations });
+	const plannedAt = new Date("2027-01-21T08:00:00.000Z");
+	const plan = await buildInboundReplayPlan({ provider: "booking" }, { now: plannedAt }, store.dependencies);
+	assert.deepEqual(plan.items[0].diff, [{ field: "reservation_status", current: "confirmed", proposed: "cancelled" }]);
+
+	const now = new Date("2027-01-21T08:10:00.000Z");
+	const moved = fakeStore({ records, reservations: [reservation({ __v: 5 }), reservations[1]] });
+	await assert.rejects(
+		applyInboundReplayPlan({ provider: "booking" }, { proof: plan.proof, now }, moved.dependencies),
+		{ code: "replay_plan_changed" }
+	);
+	assert.throws(() => parseReplayProof(plan.proof, new Date("2027-01-21T09:00:00.000Z")), {
+		code: "replay_proof_expired",
+	});
+
+	const applied = [];
+	const result = await applyInboundReplayPlan(
+		{ provider: "booking" },
+		{ proof: plan.proof, now, actor: { _id: "65a0000000000000000000aa", name: "Ops" } },
+		{
+			...store.dependencies,
+			applyUpdate: async ({ normalized, existing, action }) => {
+				applied.push({ reservationId: String(existing._id), eventType: normalized.eventType, action });
+				if (normalized.eventType === "modified") throw new Error("The reservation changed while replaying.");
+				return { reservation_status: "cancelled", state: "cancelled" };
+			},
+		}
+	);
+
+	assert.deepEqual(applied, [
+		{ reservationId: "65a0000000000000000000e1", eventType: "cancelled", action: "replayed-from-archived-email" },
+		{ reservationId: "65a0000000000000000000e2", eventType: "modified", action: "replayed-from-archived-email" },
+	]);
+	assert.equal(result.summary.applied, 1);
+	assert.equal(result.summary.failed, 1);
+	assert.deepEqual(
+		store.replays.map((replay) => [replay.inboundEmailId, replay.status, replay.appliedFields || replay.error]),
+		[
+			["65a0000000000000000000f1", "applied", ["reservation_status", "state"]],
+			["65a0000000000000000000f2", "failed", "The reservation changed while replaying."],
+		]
+	);
+	assert.equal(store.replays[0].requestedBy.name, "Ops");
+	assert.equal(store.inboundUpdates.length, 1);
+	assert.equal(store.inboundUpdates[0].update.$set.parserVersion, otaEmailParserVersion("booking"));
+});
@@ -0,0 +1,335 @@
+"use strict";
+
+const moment = require("moment");
+const mongoose = require("mongoose");
+const HotelDetails = require("../models/hotel_details");
+const HouseKeeping = require("../models/housekeeping");
+const LostAndFoundItem = require("../models/lost_and_found_item");
+const Reservations = require("../models/reservations");
+const Rooms = require("../models/rooms");
+const { waSendLostItemNotice } = require("../controllers/whatsappsender");
+
+const ITEM_CATEGORIES = ["electronics", "documents", "jewelry", "money", "clothing", "personal", "other"];
+const DISPOSAL_METHODS = ["donated", "discarded", "destroyed", "handed_to_police"];
+const CLOSED_STATUSES = ["claimed", "shipped", "disposed"];
+// Bookings that never stayed cannot have left anything behind.
+const NEVER_STAYED_STATUS = /cancel|reject|void|no[_\s-]?show/i;
+const MAX_PHOTOS = 10;
+
+class LostAndFoundError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "LostAndFoundError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const models = (dependencies = {}) => ({
+	ItemModel: dependencies.ItemModel || LostAndFoundItem,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+	RoomModel: dependencies.RoomModel || Rooms,
+	TaskModel: dependencies.TaskModel || HouseKeeping,
+	HotelModel: dependencies.HotelModel || HotelDetails,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(normalizeId(value));
+
+const referenceFor = (id, foundAt) =>
+	`LF-${moment.utc(foundAt).format("YYMMDD")}-${normalizeId(id).slice(-5).toUpperCase()}`;
+
+/** Keeps the Cloudinary ids returned by the existing image upload route. */
+const normalizePhotos = (photos = []) => {
+	const list = (Array.isArray(photos) ? photos : []).map((photo) => ({
+		public_id: String(photo?.public_id || "").trim(),
+		url: String(photo?.url || "").trim(),
+	}));
+	if (list.some((photo) => !photo.public_id || !/^https?:\/\//i.test(photo.url))) {
+		throw new LostAndFoundError(
+			"Upload photos first and send their public_id and url.",
+			"lost_item_invalid"
+		);
+	}
+	if (list.length > MAX_PHOTOS) {
+		throw new LostAndFoundError(`Keep it to ${MAX_PHOTOS} photos per item.`, "lost_item_invalid");
+	}
+	return list;
+};
+
+const normalizeFoundItemInput = (input = {}, { now = new Date() } = {}) => {
+	const description = String(input.description || "").trim();
+	if (!description) {
+		throw new LostAndFoundError("Describe the item that was found.", "lost_item_invalid");
+	}
+	const category = String(input.category || "other").trim().toLowerCase();
+	if (!ITEM_CATEGORIES.includes(category)) {
+		throw new LostAndFoundError(
+			`Category must be one of ${ITEM_CATEGORIES.join(", ")}.`,
+			"lost_item_invalid"
+		);
+	}
+	const foundAt = input.foundAt ? new Date(input.foundAt) : now;
+	if (Number.isNaN(foundAt.getTime()) || foundAt > now) {
+		throw new LostAndFoundError("The found date is not valid.", "lost_item_invalid");
+	}
+	return {
+		description,
+		category,
+		foundAt,
+		location: String(input.location || "").trim(),
+		storageLocation: String(input.storageLocation || "").trim(),
+		photos: normalizePhotos(input.photos),
+	};
+};
+
+const STAY_FIELDS =
+	"_id confirmation_number customer_details hotelName checkin_date checkout_date inhouse_date";
+
+// Stay dates are UTC calendar days. A stay could have left the item if it had
+// checked out by the found day, or was in house when it was found: arrived on
+// an earlier day, or checked in (inhouse_date) before it. A guest arriving on
+// the found day who had not checked in yet could not have.
+const stayCoversFoundTime = (reservation = {}, foundAt) => {
+	const foundDayStart = moment.utc(foundAt).startOf("day");
+	const foundDayEnd = foundDayStart.clone().add(1, "day");
+	if (reservation.checkout_date && moment.utc(reservation.checkout_date).isBefore(foundDayEnd)) {
+		return true;
+	}
+	if (reservation.checkin_date && moment.utc(reservation.checkin_date).isBefore(foundDayStart)) {
+		return true;
+	}
+	return Boolean(reservation.inhouse_date) && !moment.utc(reservation.inhouse_date).isAfter(foundAt);
+};
+
+/**
+ * The stay an item most likely belongs to: the task's own booking when that
+ * guest had stayed in the room by then, otherwise the stay that departed on
+ * the day the item was found, then the guest in house at the time, then the
+ * last stay that departed before it. An arriving guest is never picked.
+ */
+const findStayForItem = async (
+	{ hotelId, roomId, foundAt, confirmationNumber = "" },
+	dependencies = {}
+) => {
+	const { ReservationModel } = models(dependencies);
+	const confirmation = String(confirmationNumber || "").trim();
+	if (confirmation && !["manual task", "general task"].includes(confirmation.toLowerCase())) {
+		const [byTask] = await ReservationModel.find({
+			hotelId,
+			confirmation_number: confirmation,
+			reservation_status: { $not: NEVER_STAYED_STATUS },
+		})
+			.select(STAY_FIELDS)
+			.limit(1)
+			.lean();
+		if (byTask && stayCoversFoundTime(byTask, foundAt)) return byTask;
+	}
+	if (!roomId) return null;
+	const foundDayStart = moment.utc(foundAt).startOf("day");
+	const foundDayEnd = foundDayStart.clone().add(1, "day").toDate();
+	const [[departed], [inHouse]] = await Promise.all([
+		ReservationModel.find({
+			hotelId,
+			roomId,
+			checkout_date: { $lt: foundDayEnd },
+			reservation_status: { $not: NEVER_STAYED_STATUS },
+		})
+			.select(STAY_FIELDS)
+			.sort({ checkout_date: -1 })
+			.limit(1)
+			.lean(),
+		ReservationModel.find({
+			hotelId,
+			roomId,
+			checkout_date: { $gte: foundDayEnd },
+			$or: [
+				{ checkin_date: { $lt: foundDayStart.toDate() } },
+				{ inhouse_date: { $lte: new Date(foundAt) } },
+			],
+			reservation_status: { $not: NEVER_STAYED_STATUS },
+		})
+			.select(STAY_FIELDS)
+			.sort({ checkin_date: -1 })
+			.limit(1)
+			.lean(),
+	]);
+	const departedToday =
+		departed && moment.utc(departed.checkout_date).isSameOrAfter(foundDayStart);
+	if (departedToday) return departed;
+	return inHouse || departed || null;
+};
+
+const sendLostItemWhatsApp = async (reservation, item, hotelName) => {
+	try {
+		const result = await waSendLostItemNotice(reservation, item, hotelName);
+		return result?.skipped
+			? { status: "skipped", reason: String(result.reason || "") }
+			: { status: "sent", reason: "" };
+	} catch (error) {
+		return { status: "failed", reason: String(error?.message || error).slice(0, 300) };
+	}
+};
+
+/** Sends the guest the found-item template and records the outcome on the item. */
+const notifyGuestOfItem = async (item, { now = new Date() } = {}, dependencies = {}) => {
+	const { ItemModel, ReservationModel, HotelModel } = models(dependencies);
+	if (!item?.reservationId) {
+		throw new LostAndFoundError(
+			"Link the item to a reservation before notifying the guest.",
+			"lost_item_unlinked",
+			409
+		);
+	}
+	const [reservation, hotel] = await Promise.all([
+		ReservationModel.findOne({ _id: item.reservationId })
+			.select("_id confirmation_number customer_details hotelName")
+			.lean(),
+		HotelModel.findOne({ _id: item.hotelId }).select("hotelName").lean(),
+	]);
+	const send = dependencies.sendWhatsApp || sendLostItemWhatsApp;
+	const outcome = reservation
+		? await send(reservation, item, hotel?.hotelName || "")
+		: { status: "skipped", reason: "reservation not found" };
+	const guestNotification = { ...outcome, at: now };
+	await ItemModel.updateOne({ _id: item._id }, { $set: { guestNotification } });
+	item.guestNotification = guestNotification;
+	return guestNotification;
+};
+
+/**
+ * Logs an item found by housekeeping. The room can come from the cleaning
+ * task; the guest is linked automatically and notified unless `notify` is false.
+ */
+const logFoundItem = async (
+	{ hotelId, input = {}, actorId = null, now = new Date(), notify = true },
+	dependencies = {}
+) => {
+	const { ItemModel, RoomModel, TaskModel } = models(dependencies);
+	if (!isObjectId(hotelId)) {
+		throw new LostAndFoundError("Invalid hotel.", "lost_item_invalid");
+	}
+	const details = normalizeFoundItemInput(input, { now });
+
+	let task = null;
+	if (input.taskId) {
+		if (!isObjectId(input.taskId)) {
+			throw new LostAndFoundError("Invalid cleaning task.", "lost_item_invalid");
+		}
+		task = await TaskModel.findOne({ _id: input.taskId, hotelId })
+			.select("_id rooms confirmation_number")
+			.lean();
+		if (!task) {
+			throw new LostAndFoundError("Cleaning task not found.", "lost_item_task_not_found", 404);
+		}
+	}
+	const taskRooms = (task?.rooms || []).map(normalizeId);
+	const roomId = normalizeId(input.roomId) || (taskRooms.length === 1 ? taskRooms[0] : "");
+	if (task && roomId && taskRooms.length && !taskRooms.includes(roomId)) {
+		throw new LostAndFoundError("That room is not part of the cleaning task.", "lost_item_invalid");
+	}
+	let room = null;
+	if (roomId) {
+		room = isObjectId(roomId)
+			? await RoomModel.findOne({ _id: roomId, hotelId }).select("_id room_number").lean()
+			: null;
+		if (!room) {
+			throw new LostAndFoundError("Room not found in this hotel.", "lost_item_room_not_found", 404);
+		}
+	}
+	if (!room && !details.location) {
+		throw new LostAndFoundError("Say which room or area the item was found in.", "lost_item_invalid");
+	}
+
+	const stay = await findStayForItem(
+		{
+			hotelId,
+			roomId: room?._id,
+			foundAt: details.foundAt,
+			confirmationNumber: task?.confirmation_number,
+		},
+		dependencies
+	);
+	const _id = new mongoose.Types.ObjectId();
+	const item = await ItemModel.create({
+		_id,
+		...details,
+		hotelId,
+		reference: referenceFor(_id, details.foundAt),
+		foundBy: actorId,
+		roomId: room?._id || null,
+		roomNumber: room ? String(room.room_number || "") : "",
+		taskId: task?._id || null,
+		reservationId: stay?._id || null,
+		confirmationNumber: stay?.confirmation_number || "",
+		guestName: stay?.customer_details?.name || "",
+		status: "stored",
+		history: [{ status: "stored", at: now, by: actorId, note: details.storageLocation }],
+		createdBy: actorId,
+		updatedBy: actorId,
+	});
+	if (notify && item.reservationId) {
+		await notifyGuestOfItem(item, { now }, dependencies);
+	}
+	return item;
+};
+
+/** Hands over, ships or disposes of a stored item; each closes it for good. */
+const applyLostItemStatus = (item, nextStatus, details = {}, { now = new Date(), by = null } = {}) => {
+	const status = String(nextStatus || "").trim().toLowerCase();
+	if (item.status !== "stored" || !CLOSED_STATUSES.includes(status)) {
+		throw new LostAndFoundError(
+			`A ${item.status} item cannot be marked ${status || "that way"}.`,
+			"lost_item_status_invalid",
+			409
+		);
+	}
+	if (status === "claimed") {
+		const claimedBy = String(details.claimedBy || item.guestName || "").trim();
+		if (!claimedBy) {
+			throw new LostAndFoundError("Record who collected the item.", "lost_item_invalid");
+		}
+		item.claim = { claimedBy, idNumber: String(details.idNumber || "").trim() };
+	}
+	if (status === "shipped") {
+		const address = String(details.address || "").trim();
+		if (!address) {
+			throw new LostAndFoundError("A shipping address is required.", "lost_item_invalid");
+		}
+		item.shipment = {
+			address,
+			carrier: String(details.carrier || "").trim(),
+			trackingNumber: String(details.trackingNumber || "").trim(),
+		};
+	}
+	if (status === "disposed") {
+		const method = String(details.method || "").trim().toLowerCase();
+		if (!DISPOSAL_METHODS.includes(method)) {
+			throw new LostAndFoundError(
+				`Disposal method must be one of ${DISPOSAL_METHODS.join(", ")}.`,
+				"lost_item_invalid"
+			);
+		}
+		item.disposal = { method };
+	}
+	item.status = status;
+	item.closedAt = now;
+	item.history = [
+		...(item.history || []),
+		{ status, at: now, by, note: String(details.note || "").trim() },
+	];
+	return item;
+};
+
+module.exports = {
+	DISPOSAL_METHODS,
+	ITEM_CATEGORIES,
+	LostAndFoundError,
+	applyLostItemStatus,
+	findStayForItem,
+	logFoundItem,
+	normalizeFoundItemInput,
+	normalizePhotos,
+	notifyGuestOfItem,
+};
@@ -0,0 +1,224 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	applyLostItemStatus,
+	findStayForItem,
+	logFoundItem,
+	normalizeFoundItemInput,
+	notifyGuestOfItem,
+} = require("./lostAndFound");
+
+const hotelA = "65a000000000000000000001";
+const room101 = "65a000000000000000000101";
+const room102 = "65a000000000000000000102";
+const task1 = "65a000000000000000000201";
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+const conditionMatches = (value, condition) => {
+	if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+		return Object.entries(condition).every(([operator, operand]) => {
+			if (operator === "$not") return !operand.test(String(value ?? ""));
+			if (operator === "$lt") return value != null && new Date(value) < operand;
+			if (operator === "$lte") return value != null && new Date(value) <= operand;
+			if (operator === "$gte") return value != null && new Date(value) >= operand;
+			throw new Error(`unsupported ${operator}`);
+		});
+	}
+	if (Array.isArray(value)) return value.some((item) => String(item) === String(condition));
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) =>
+		key === "$or"
+			? condition.some((branch) => matches(doc, branch))
+			: conditionMatches(doc[key], condition)
+	);
+
+// Just enough of a mongoose model for the lookups, the create and the notification update.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => ({ ...row }));
+	const query = (found) => {
+		let result = found;
+		const chain = {
+			select: () => chain,
+			sort: (order) => {
+				const [[field, direction]] = Object.entries(order);
+				result = [...result].sort((a, b) => (a[field] - b[field]) * direction);
+				return chain;
+			},
+			limit: (count) => {
+				result = result.slice(0, count);
+				return chain;
+			},
+			lean: async () => (Array.isArray(result) ? result.map((doc) => ({ ...doc })) : result && { ...result }),
+		};
+		return chain;
+	};
+	return {
+		docs,
+		find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+		findOne: (filter) => query(docs.find((doc) => matches(doc, filter)) || null),
+		create: async (input) => {
+			const doc = { ...input };
+			docs.push(doc);
+			return doc;
+		},
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) Object.assign(doc, update.$set);
+			return { matchedCount: doc ? 1 : 0 };
+		},
+	};
+};
+
+const reservation = (confirmation_number, roomId, checkin, checkout, extra = {}) => ({
+	_id: `res-${confirmation_number}`,
+	hotelId: hotelA,
+	confirmation_number,
+	roomId: [roomId],
+	checkin_date: day(checkin),
+	checkout_date: day(checkout),
+	reservation_status: "checked_out",
+	customer_details: { name: `Guest ${confirmation_number}`, phone: "+966500000000" },
+	...extra,
+});
+
+const dependencies = () => ({
+	ItemModel: memoryModel(),
+	ReservationModel: memoryModel([
+		reservation("1001", room101, "2027-04-01", "2027-04-03"),
+		reservation("1002", room101, "2027-04-03", "2027-04-05"),
+		reservation("1003", room101, "2027-04-05", "2027-04-08", { reservation_status: "cancelled" }),
+		reservation("1004", room101, "2027-04-09", "2027-04-10", {
+			inhouse_date: new Date("2027-04-09T14:00:00.000Z"),
+		}),
+		reservation("2001", room102, "2027-04-02", "2027-04-05"),
+	]),
+	RoomModel: memoryModel([
+		{ _id: room101, hotelId: hotelA, room_number: "101" },
+		{ _id: room102, hotelId: hotelA, room_number: "102" },
+	]),
+	TaskModel: memoryModel([
+		{ _id: task1, hotelId: hotelA, rooms: [room102], confirmation_number: "2001" },
+	]),
+	HotelModel: memoryModel([{ _id: hotelA, hotelName: "Zad Makkah" }]),
+});
+
+test("found items need a description, a valid category and photos that were uploaded", () => {
+	const now = new Date("2027-04-06T10:00:00.000Z");
+	const details = normalizeFoundItemInput(
+		{
+			description: " Black phone charger ",
+			category: "Electronics",
+			photos: [{ public_id: "janat/1", url: "https://res.cloudinary.com/x/janat/1.jpg" }],
+		},
+		{ now }
+	);
+	assert.equal(details.description, "Black phone charger");
+	assert.equal(details.category, "electronics");
+	assert.equal(details.foundAt, now);
+	assert.throws(() => normalizeFoundItemInput({ description: "Ring", category: "gold" }), {
+		code: "lost_item_invalid",
+	});
+	assert.throws(
+		() => normalizeFoundItemInput({ description: "Ring", photos: [{ url: "https://x/1.jpg" }] }),
+		{ code: "lost_item_invalid" }
+	);
+	assert.throws(
+		() => normalizeFoundItemInput({ description: "Ring", foundAt: "2027-04-07" }, { now }),
+		{ code: "lost_item_invalid" }
+	);
+});
+
+test("the departing or in-house stay is linked, never the arriving guest", async () => {
+	const deps = dependencies();
+	const stay = (foundAt) =>
+		findStayForItem({ hotelId: hotelA, roomId: room101, foundAt: new Date(foundAt) }, deps);
+	// Turnover day: 1001 leaves and 1002 arrives.
+	assert.equal((await stay("2027-04-03T09:00:00.000Z")).confirmation_number, "1001");
+	assert.equal((await stay("2027-04-04T09:00:00.000Z")).confirmation_number, "1002");
+	assert.equal((await stay("2027-04-06T09:00:00.000Z")).confirmation_number, "1002");
+	// 1004 arrives on the 9th but only checks in at 14:00.
+	assert.equal((await stay("2027-04-09T10:00:00.000Z")).confirmation_number, "1002");
+	assert.equal((await stay("2027-04-09T15:00:00.000Z")).confirmation_number, "1004");
+	assert.equal(await stay("2027-03-30T09:00:00.000Z"), null);
+	const byTask = await findStayForItem(
+		{ hotelId: hotelA, roomId: room101, foundAt: day("2027-04-06"), confirmationNumber: "1001" },
+		deps
+	);
+	assert.equal(byTask.confirmation_number, "1001");
+	const arrivingTask = await findStayForItem(
+		{
+			hotelId: hotelA,
+			roomId: room101,
+			foundAt: new Date("2027-04-09T10:00:00.000Z"),
+			confirmationNumber: "1004",
+		},
+		deps
+	);
+	assert.equal(arrivingTask.confirmation_number, "1002");
+});
+
+test("logging from a cleaning task links the guest and sends the template once", async () => {
+	const deps = dependencies();
+	const sent = [];
+	deps.sendWhatsApp = async (stay, item, hotelName) => {
+		sent.push([stay.confirmation_number, item.reference, hotelName]);
+		return { status: "sent", reason: "" };
+	};
+	const now = new Date("2027-04-05T11:00:00.000Z");
+	const item = await logFoundItem(
+		{
+			hotelId: hotelA,
+			input: { taskId: task1, description: "Passport", category: "documents", storageLocation: "Safe A" },
+			actorId: "staff-1",
+			now,
+		},
+		deps
+	);
+	assert.equal(item.roomNumber, "102");
+	assert.equal(item.confirmationNumber, "2001");
+	assert.equal(item.guestName, "Guest 2001");
+	assert.match(item.reference, /^LF-270405-[0-9A-F]{5}$/);
+	assert.deepEqual(sent, [["2001", item.reference, "Zad Makkah"]]);
+	assert.equal(deps.ItemModel.docs[0].guestNotification.status, "sent");
+
+	const quiet = await logFoundItem(
+		{ hotelId: hotelA, input: { description: "Umbrella", location: "Lobby" }, now, notify: false },
+		deps
+	);
+	assert.equal(quiet.reservationId, null);
+	assert.equal(sent.length, 1);
+	await assert.rejects(notifyGuestOfItem(quiet, { now }, deps), { code: "lost_item_unlinked" });
+	await assert.rejects(
+		logFoundItem({ hotelId: hotelA, input: { taskId: task1, roomId: room101, description: "Hat" } }, deps),
+		{ code: "lost_item_invalid" }
+	);
+});
+
+test("stored items close by claim, shipment or disposal only once", () => {
+	const now = new Date("2027-04-10T12:00:00.000Z");
+	const claimed = applyLostItemStatus(
+		{ status: "stored", guestName: "Guest 2001", history: [] },
+		"claimed",
+		{ idNumber: "A123" },
+		{ now, by: "staff-1" }
+	);
+	assert.deepEqual(claimed.claim, { claimedBy: "Guest 2001", idNumber: "A123" });
+	assert.equal(claimed.closedAt, now);
+	assert.equal(claimed.history[0].status, "claimed");
+	assert.throws(() => applyLostItemStatus(claimed, "shipped", { address: "Riyadh" }), {
+		code: "lost_item_status_invalid",
+	});
+	assert.throws(() => applyLostItemStatus({ status: "stored" }, "shipped", {}), {
+		code: "lost_item_invalid",
+	});
+	assert.throws(() => applyLostItemStatus({ status: "stored" }, "disposed", { method: "sold" }), {
+		code: "lost_item_invalid",
+	});
+	const donated = applyLostItemStatus({ status: "stored" }, "disposed", { method: "donated" }, { now });
+	assert.equal(donated.disposal.method, "donated");
+});
@@ -0,0 +1,433 @@
+"use strict";
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const LoyaltyLedger = require("../models/loyalty_ledger");
+const User = require("../models/user");
+const Reservations = require("../models/reservations");
+
+// One point per SAR of a completed stay, times the tier multiplier; one point
+// is worth POINT_VALUE_SAR when redeemed (5% back at the base tier).
+const POINTS_PER_SAR = 1;
+const POINT_VALUE_SAR = 0.05;
+const MIN_REDEEM_POINTS = 200;
+// Points may pay for at most half of a booking.
+const MAX_REDEEM_SHARE = 0.5;
+// A redemption is held before the card is charged; a hold that never got its
+// reservation (payment failed, request died) is released after this long.
+const REDEMPTION_HOLD_TTL_MS = 60 * 60 * 1000;
+const RECONCILE_LOOKBACK_DAYS = 7;
+const RECONCILE_BATCH = 500;
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_INITIAL_DELAY_MS = 2 * 60 * 1000;
+
+// Tiers follow lifetime earned points and raise the earning rate.
+const LOYALTY_TIERS = Object.freeze([
+	Object.freeze({ key: "member", minLifetimePoints: 0, multiplier: 1 }),
+	Object.freeze({ key: "silver", minLifetimePoints: 5000, multiplier: 1.25 }),
+	Object.freeze({ key: "gold", minLifetimePoints: 15000, multiplier: 1.5 }),
+	Object.freeze({ key: "platinum", minLifetimePoints: 40000, multiplier: 2 }),
+]);
+
+// A no-show neither earns nor gets its redeemed points back.
+const CANCELLED_STATUS_REGEX = /cancel|reject|void|relocat/i;
+const CHECKED_OUT_STATUS_REGEX = /checked[_\s-]?out|checkedout/i;
+
+class LoyaltyError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "LoyaltyError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const isLoyaltyEnabled = (env = process.env) =>
+	String(env.LOYALTY_ENABLED || "").toLowerCase() === "true";
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const loyaltyTierFor = (lifetimePoints = 0) => {
+	const points = Math.max(0, Number(lifetimePoints) || 0);
+	const index = LOYALTY_TIERS.reduce(
+		(found, tier, position) => (points >= tier.minLifetimePoints ? position : found),
+		0
+	);
+	const next = LOYALTY_TIERS[index + 1] || null;
+	return {
+		...LOYALTY_TIERS[index],
+		nextTier: next ? next.key : "",
+		pointsToNextTier: next ? next.minLifetimePoints - points : 0,
+	};
+};
+
+const pointsEarnedFor = (amountSar, lifetimePoints = 0) =>
+	Math.max(
+		0,
+		Math.floor(money(amountSar) * POINTS_PER_SAR * loyaltyTierFor(lifetimePoints).multiplier)
+	);
+
+/**
+ * The SAR a completed stay earns on: the server-priced amount recorded at
+ * booking (loyalty.eligibleAmountSar), lowered if the hotel later reduced the
+ * total. A stay booked without one earns nothing.
+ */
+const loyaltyEarningAmount = (reservation = {}) => {
+	const eligible = reservation.loyalty?.eligibleAmountSar;
+	if (eligible === undefined || eligible === null || eligible === "") return 0;
+	return money(Math.max(0, Math.min(Number(eligible) || 0, money(reservation.total_amount))));
+};
+
+/** What the guest sees: balance, tier and what the balance is worth. */
+const loyaltySummary = (user = {}) => {
+	const points = Math.max(0, Math.floor(Number(user.loyaltyPoints) || 0));
+	const lifetimePoints = Math.max(0, Math.floor(Number(user.loyaltyLifetimePoints) || 0));
+	const tier = loyaltyTierFor(lifetimePoints);
+	return {
+		points,
+		lifetimePoints,
+		tier: tier.key,
+		multiplier: tier.multiplier,
+		nextTier: tier.nextTier,
+		pointsToNextTier: tier.pointsToNextTier,
+		pointValueSar: POINT_VALUE_SAR,
+		redeemableValueSar: money(points * POINT_VALUE_SAR),
+		minRedeemPoints: MIN_REDEEM_POINTS,
+	};
+};
+
+/**
+ * Validates a redemption against the balance and the booking total and
+ * returns the points actually used and the SAR discount they buy.
+ */
+const quoteLoyaltyRedemption = ({ balance = 0, points = 0, totalAmount = 0 } = {}) => {
+	const requested = Math.floor(Number(points) || 0);
+	const total = money(totalAmount);
+	if (requested < MIN_REDEEM_POINTS) {
+		throw new LoyaltyError(
+			`At least ${MIN_REDEEM_POINTS} points are needed to redeem.`,
+			"loyalty_redeem_below_minimum"
+		);
+	}
+	if (requested > Math.floor(Number(balance) || 0)) {
+		throw new LoyaltyError("Not enough loyalty points.", "loyalty_balance_insufficient", 409);
+	}
+	if (!(total > 0)) {
+		throw new LoyaltyError("The booking total is missing.", "loyalty_total_invalid");
+	}
+	const usable = Math.min(requested, Math.floor((total * MAX_REDEEM_SHARE) / POINT_VALUE_SAR));
+	return { points: usable, discountSar: money(usable * POINT_VALUE_SAR) };
+};
+
+const models = (dependencies = {}) => ({
+	LedgerModel: dependencies.LedgerModel || LoyaltyLedger,
+	UserModel: dependencies.UserModel || User,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+});
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+/**
+ * Records one ledger entry and moves the user's balance with it. The entry
+ * goes first: a replay hits the unique entryKey and changes nothing.
+ */
+const recordLedgerEntry = async (entry, dependencies = {}) => {
+	const { LedgerModel, UserModel } = models(dependencies);
+	try {
+		await LedgerModel.create(entry);
+	} catch (error) {
+		if (isDuplicateKeyError(error)) return { recorded: false, entry };
+		throw error;
+	}
+	await UserModel.updateOne(
+		{ _id: entry.userId },
+		{ $inc: { loyaltyPoints: entry.points, loyaltyLifetimePoints: entry.lifetimePoints || 0 } }
+	);
+	return { recorded: true, entry };
+};
+
+/**
+ * Takes the points off the balance before the card is charged. The guarded
+ * decrement fails instead of overspending when two bookings race.
+ */
+const holdLoyaltyRedemption = async (
+	{ userId, points, discountSar, hotelId = null, amountSar = 0 },
+	dependencies = {}
+) => {
+	const { LedgerModel, UserModel } = models(dependencies);
+	const holdId = dependencies.holdId || crypto.randomBytes(12).toString("hex");
+	const taken = await UserModel.updateOne(
+		{ _id: userId, loyaltyPoints: { $gte: points } },
+		{ $inc: { loyaltyPoints: -points } }
+	);
+	if (!taken?.matchedCount) {
+		throw new LoyaltyError("Not enough loyalty points.", "loyalty_balance_insufficient", 409);
+	}
+	try {
+		await LedgerModel.create({
+			userId,
+			entryKey: `redeem:${holdId}`,
+			type: "redeem",
+			points: -points,
+			hotelId,
+			amountSar: money(amountSar),
+			holdId,
+			reason: `Redeemed for a ${money(discountSar)} SAR discount`,
+		});
+	} catch (error) {
+		await UserModel.updateOne({ _id: userId }, { $inc: { loyaltyPoints: points } });
+		throw error;
+	}
+	return { holdId, userId, points, discountSar: money(discountSar) };
+};
+
+/** Gives held or redeemed points back, once. */
+const releaseLoyaltyRedemption = async (holdId, reason = "", dependencies = {}) => {
+	const { LedgerModel } = models(dependencies);
+	const redeemed = await LedgerModel.findOne({ entryKey: `redeem:${holdId}` }).lean();
+	if (!redeemed) return { recorded: false };
+	return recordLedgerEntry(
+		{
+			userId: redeemed.userId,
+			entryKey: `redeem_released:${holdId}`,
+			type: "redeem_released",
+			points: -redeemed.points,
+			reservationId: redeemed.reservationId || null,
+			confirmationNumber: redeemed.confirmationNumber || "",
+			hotelId: redeemed.hotelId || null,
+			holdId,
+			reason,
+		},
+		dependencies
+	);
+};
+
+/** Ties a held redemption to the reservation it paid for. */
+const attachLoyaltyRedemption = async (holdId, reservation = {}, dependencies = {}) => {
+	const { LedgerModel } = models(dependencies);
+	await LedgerModel.updateOne(
+		{ entryKey: `redeem:${holdId}` },
+		{
+			$set: {
+				reservationId: reservation._id,
+				confirmationNumber: String(reservation.confirmation_number || ""),
+			},
+		}
+	);
+};
+
+const reservationLoyaltyState = (reservation = {}) => {
+	const status = String(reservation.reservation_status || reservation.state || "").toLowerCase();
+	if (CANCELLED_STATUS_REGEX.test(status)) return "cancelled";
+	if (CHECKED_OUT_STATUS_REGEX.test(status)) return "completed";
+	return "open";
+};
+
+/**
+ * Brings the ledger in line with a member's reservation: a checked-out stay
+ * earns once; a cancelled one loses what it earned and gets its redeemed
+ * points back. Safe to run any number of times.
+ */
+const syncReservationLoyalty = async (reservation = {}, dependencies = {}) => {
+	const { LedgerModel, UserModel } = models(dependencies);
+	const userId = reservation.loyalty?.userId;
+	if (!userId || !reservation._id) return { actions: [] };
+	const state = reservationLoyaltyState(reservation);
+	const reservationId = reservation._id;
+	const base = {
+		userId,
+		reservationId,
+		confirmationNumber: String(reservation.confirmation_number || ""),
+		hotelId: reservation.hotelId || null,
+	};
+	const actions = [];
+
+	if (state === "completed") {
+		const user = await UserModel.findOne({ _id: userId }).select("loyaltyLifetimePoints").lean();
+		const amountSar = loyaltyEarningAmount(reservation);
+		const points = pointsEarnedFor(amountSar, user?.loyaltyLifetimePoints);
+		if (user && points > 0) {
+			const result = await recordLedgerEntry(
+				{
+					...base,
+					entryKey: `earn:${reservationId}`,
+					type: "earn",
+					points,
+					lifetimePoints: points,
+					amountSar,
+					tier: loyaltyTierFor(user.loyaltyLifetimePoints).key,
+					reason: "Completed stay",
+				},
+				dependencies
+			);
+			if (result.recorded) actions.push("earned");
+		}
+	}
+
+	if (state === "cancelled") {
+		const earned = await LedgerModel.findOne({ entryKey: `earn:${reservationId}` }).lean();
+		if (earned) {
+			const result = await recordLedgerEntry(
+				{
+					...base,
+					entryKey: `earn_reversed:${reservationId}`,
+					type: "earn_reversed",
+					points: -earned.points,
+					lifetimePoints: -earned.lifetimePoints,
+					amountSar: earned.amountSar,
+					reason: "Reservation cancelled after the stay earned points",
+				},
+				dependencies
+			);
+			if (result.recorded) actions.push("earn_reversed");
+		}
+		const holdId = reservation.loyalty?.holdId;
+		if (holdId) {
+			const result = await releaseLoyaltyRedemption(holdId, "Reservation cancelled", dependencies);
+			if (result.recorded) actions.push("redeem_released");
+		}
+	}
+	return { actions };
+};
+
+/**
+ * The periodic pass: syncs members' recently changed reservations and
+ * releases redemption holds whose booking never got saved.
+ */
+const reconcileLoyalty = async ({ now = new Date(), logger = console, dependencies = {} } = {}) => {
+	const { LedgerModel, ReservationModel } = models(dependencies);
+	const since = new Date(now.getTime() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+	const totals = { reservations: 0, earned: 0, reversed: 0, released: 0, failed: 0 };
+	// Keyset pages over (updatedAt, _id) so every member reservation changed in
+	// the window is visited, not just the oldest batch.
+	let after = null;
+	for (;;) {
+		const page = await ReservationModel.find({
+			"loyalty.userId": { $exists: true, $ne: null },
+			updatedAt: { $gte: since },
+			...(after
+				? {
+						$or: [
+							{ updatedAt: { $gt: after.updatedAt } },
+							{ updatedAt: after.updatedAt, _id: { $gt: after._id } },
+						],
+				  }
+				: {}),
+		})
+			.select("_id confirmation_number hotelId total_amount reservation_status state loyalty updatedAt")
+			.sort({ updatedAt: 1, _id: 1 })
+			.limit(RECONCILE_BATCH)
+			.lean();
+		for (const reservation of page) {
+			totals.reservations += 1;
+			try {
+				const { actions } = await syncReservationLoyalty(reservation, dependencies);
+				if (actions.includes("earned")) totals.earned += 1;
+				if (actions.includes("earn_reversed")) totals.reversed += 1;
+				if (actions.includes("redeem_released")) totals.released += 1;
+			} catch (error) {
+				totals.failed += 1;
+				logger.error(`[loyalty] reservation ${reservation._id} sync failed:`, error?.message || error);
+			}
+		}
+		if (page.length < RECONCILE_BATCH) break;
+		after = page[page.length - 1];
+	}
+
+	const staleHolds = await LedgerModel.find({
+		type: "redeem",
+		reservationId: null,
+		createdAt: { $lt: new Date(now.getTime() - REDEMPTION_HOLD_TTL_MS) },
+	})
+		.select("holdId")
+		.limit(RECONCILE_BATCH)
+		.lean();
+	for (const hold of staleHolds) {
+		try {
+			const result = await releaseLoyaltyRedemption(
+				hold.holdId,
+				"Booking was not completed",
+				dependencies
+			);
+			if (result.recorded) totals.released += 1;
+		} catch (error) {
+			totals.failed += 1;
+			logger.error(`[loyalty] hold ${hold.holdId} release failed:`, error?.message || error);
+		}
+	}
+	return totals;
+};
+
+const startLoyaltyJob = ({
+	intervalMs = DEFAULT_INTERVAL_MS,
+	initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			const totals = await reconcileLoyalty({ logger });
+			if (totals.earned || totals.reversed || totals.released || totals.failed) {
+				logger.log(
+					`[loyalty] Earned on ${totals.earned}, reversed ${totals.reversed} and released ${totals.released} redemptions (${totals.failed} failed).`
+				);
+			}
+		} catch (error) {
+			logger.error("[loyalty] Job failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+const toObjectId = (value) =>
+	mongoose.Types.ObjectId.isValid(normalizeId(value))
+		? new mongoose.Types.ObjectId(normalizeId(value))
+		: value;
+
+/** Latest ledger entries of a member, newest first. */
+const listLoyaltyLedger = (userId, { limit = 20 } = {}, dependencies = {}) =>
+	models(dependencies)
+		.LedgerModel.find({ userId: toObjectId(userId) })
+		.select("type points reservationId confirmationNumber amountSar tier reason createdAt")
+		.sort({ createdAt: -1 })
+		.limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
+		.lean();
+
+module.exports = {
+	LOYALTY_TIERS,
+	LoyaltyError,
+	MAX_REDEEM_SHARE,
+	MIN_REDEEM_POINTS,
+	POINT_VALUE_SAR,
+	attachLoyaltyRedemption,
+	holdLoyaltyRedemption,
+	isLoyaltyEnabled,
+	listLoyaltyLedger,
+	loyaltyEarningAmount,
+	loyaltySummary,
+	loyaltyTierFor,
+	pointsEarnedFor,
+	quoteLoyaltyRedemption,
+	reconcileLoyalty,
+	releaseLoyaltyRedemption,
+	reservationLoyaltyState,
+	startLoyaltyJob,
+	syncReservationLoyalty,
+};
@@ -0,0 +1,207 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	holdLoyaltyRedemption,
+	isLoyaltyEnabled,
+	loyaltyEarningAmount,
+	loyaltySummary,
+	loyaltyTierFor,
+	pointsEarnedFor,
+	quoteLoyaltyRedemption,
+	reconcileLoyalty,
+	releaseLoyaltyRedemption,
+	reservationLoyaltyState,
+	syncReservationLoyalty,
+} = require("./loyalty");
+
+const fieldMatches = (value, condition) => {
+	if (condition && typeof condition === "object" && "$gte" in condition) {
+		return Number(value) >= condition.$gte;
+	}
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) => fieldMatches(doc[key], condition));
+
+// Just enough of a mongoose model for the ledger: entryKey is unique.
+const memoryModel = (rows = [], { uniqueKey = "" } = {}) => {
+	const docs = rows.map((row) => ({ ...row }));
+	const chain = (result) => {
+		const query = {
+			select: () => query,
+			lean: () => Promise.resolve(result ? { ...result } : result),
+		};
+		return query;
+	};
+	return {
+		docs,
+		findOne: (filter) => chain(docs.find((doc) => matches(doc, filter)) || null),
+		create: async (input) => {
+			if (uniqueKey && docs.some((doc) => doc[uniqueKey] === input[uniqueKey])) {
+				throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+			}
+			docs.push({ ...input });
+			return { ...input };
+		},
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+			Object.entries(update.$inc || {}).forEach(([key, value]) => {
+				doc[key] = (Number(doc[key]) || 0) + value;
+			});
+			Object.assign(doc, update.$set || {});
+			return { matchedCount: 1, modifiedCount: 1 };
+		},
+	};
+};
+
+const setup = (user = {}) => {
+	const UserModel = memoryModel([
+		{ _id: "u1", loyaltyPoints: 0, loyaltyLifetimePoints: 0, ...user },
+	]);
+	const LedgerModel = memoryModel([], { uniqueKey: "entryKey" });
+	return { UserModel, LedgerModel, member: UserModel.docs[0] };
+};
+
+test("tiers follow lifetime points and raise the earning rate", () => {
+	assert.equal(loyaltyTierFor(0).key, "member");
+	assert.equal(loyaltyTierFor(4999).pointsToNextTier, 1);
+	assert.equal(loyaltyTierFor(5000).key, "silver");
+	assert.equal(loyaltyTierFor(40000).nextTier, "");
+	assert.equal(pointsEarnedFor(1000.9, 0), 1000);
+	assert.equal(pointsEarnedFor(1000, 15000), 1500);
+	assert.equal(pointsEarnedFor(-5, 0), 0);
+	assert.deepEqual(loyaltySummary({ loyaltyPoints: 1200, loyaltyLifetimePoints: 6000 }), {
+		points: 1200,
+		lifetimePoints: 6000,
+		tier: "silver",
+		multiplier: 1.25,
+		nextTier: "gold",
+		pointsToNextTier: 9000,
+		pointValueSar: 0.05,
+		redeemableValueSar: 60,
+		minRedeemPoints: 200,
+	});
+});
+
+test("redemptions need the minimum and the balance and pay at most half the booking", () => {
+	assert.throws(() => quoteLoyaltyRedemption({ balance: 1000, points: 100, totalAmount: 500 }), {
+		code: "loyalty_redeem_below_minimum",
+	});
+	assert.throws(() => quoteLoyaltyRedemption({ balance: 300, points: 400, totalAmount: 500 }), {
+		code: "loyalty_balance_insufficient",
+		statusCode: 409,
+	});
+	assert.throws(() => quoteLoyaltyRedemption({ balance: 300, points: 300, totalAmount: 0 }), {
+		code: "loyalty_total_invalid",
+	});
+	assert.deepEqual(quoteLoyaltyRedemption({ balance: 1000, points: 400, totalAmount: 500 }), {
+		points: 400,
+		discountSar: 20,
+	});
+	assert.deepEqual(quoteLoyaltyRedemption({ balance: 20000, points: 20000, totalAmount: 300 }), {
+		points: 3000,
+		discountSar: 150,
+	});
+});
+
+test("a hold takes the points once and a release gives them back once", async () => {
+	const { UserModel, LedgerModel, member } = setup({ loyaltyPoints: 500 });
+	const dependencies = { UserModel, LedgerModel, holdId: "h1" };
+	const hold = await holdLoyaltyRedemption({ userId: "u1", points: 400, discountSar: 20 }, dependencies);
+	assert.equal(hold.holdId, "h1");
+	assert.equal(member.loyaltyPoints, 100);
+	await assert.rejects(
+		holdLoyaltyRedemption({ userId: "u1", points: 400, discountSar: 20 }, { ...dependencies, holdId: "h2" }),
+		{ code: "loyalty_balance_insufficient" }
+	);
+	assert.equal(member.loyaltyPoints, 100);
+
+	assert.equal((await releaseLoyaltyRedemption("h1", "Payment failed", dependencies)).recorded, true);
+	assert.equal((await releaseLoyaltyRedemption("h1", "Payment failed", dependencies)).recorded, false);
+	assert.equal(member.loyaltyPoints, 500);
+	assert.deepEqual(
+		LedgerModel.docs.map((entry) => [entry.type, entry.points]),
+		[
+			["redeem", -400],
+			["redeem_released", 400],
+		]
+	);
+});
+
+test("completed stays earn once and cancellations reverse the earning and the redemption", async () => {
+	const { UserModel, LedgerModel, member } = setup({ loyaltyPoints: 300, loyaltyLifetimePoints: 5000 });
+	const dependencies = { UserModel, LedgerModel, holdId: "h1" };
+	await holdLoyaltyRedemption({ userId: "u1", points: 200, discountSar: 10 }, dependencies);
+	const reservation = {
+		_id: "r1",
+		confirmation_number: "C-1",
+		total_amount: 990,
+		loyalty: { userId: "u1", holdId: "h1", redeemedPoints: 200, eligibleAmountSar: 990 },
+	};
+
+	assert.equal(reservationLoyaltyState({ reservation_status: "no_show" }), "open");
+	assert.deepEqual(
+		await syncReservationLoyalty({ ...reservation, reservation_status: "confirmed" }, dependencies),
+		{ actions: [] }
+	);
+	const checkedOut = { ...reservation, reservation_status: "checked_out" };
+	assert.deepEqual(await syncReservationLoyalty(checkedOut, dependencies), { actions: ["earned"] });
+	assert.deepEqual(await syncReservationLoyalty(checkedOut, dependencies), { actions: [] });
+	assert.equal(member.loyaltyPoints, 100 + 1237);
+	assert.equal(member.loyaltyLifetimePoints, 5000 + 1237);
+	assert.equal(LedgerModel.docs.find((entry) => entry.type === "earn").tier, "silver");
+
+	const cancelled = { ...reservation, reservation_status: "cancelled" };
+	assert.deepEqual(await syncReservationLoyalty(cancelled, dependencies), {
+		actions: ["earn_reversed", "redeem_released"],
+	});
+	assert.deepEqual(await syncReservationLoyalty(cancelled, dependencies), { actions: [] });
+	assert.equal(member.loyaltyPoints, 300);
+	assert.equal(member.loyaltyLifetimePoints, 5000);
+});
+
+test("points are earned on the server-priced amount, never the client total alone", () => {
+	assert.equal(isLoyaltyEnabled({}), false);
+	assert.equal(isLoyaltyEnabled({ LOYALTY_ENABLED: "true" }), true);
+	const stay = (loyalty, total_amount = 990) => loyaltyEarningAmount({ total_amount, loyalty });
+	assert.equal(stay({ userId: "u1", eligibleAmountSar: 600 }), 600);
+	// The hotel later lowered the total.
+	assert.equal(stay({ userId: "u1", eligibleAmountSar: 990 }, 500), 500);
+	assert.equal(stay({ userId: "u1" }), 0);
+});
+
+test("the reconcile pass pages through every recently changed member reservation", async () => {
+	const now = new Date("2027-03-10T00:00:00.000Z");
+	const rows = Array.from({ length: 620 }, (_, index) => ({
+		_id: `r${String(index).padStart(4, "0")}`,
+		updatedAt: new Date(now.getTime() - (index % 7) * 60 * 60 * 1000),
+		reservation_status: "confirmed",
+		loyalty: { userId: "u1" },
+	}));
+	const after = (row, cursor) =>
+		row.updatedAt > cursor.updatedAt ||
+		(row.updatedAt.getTime() === cursor.updatedAt.getTime() && row._id > cursor._id);
+	const page = (docs, limit) => ({
+		select: () => page(docs, limit),
+		sort: () => page(docs, limit),
+		limit: (count) => page(docs, count),
+		lean: async () => docs.slice(0, limit),
+	});
+	const ReservationModel = {
+		find: (filter) => {
+			const cursor = filter.$or && {
+				updatedAt: filter.$or[0].updatedAt.$gt,
+				_id: filter.$or[1]._id.$gt,
+			};
+			const sorted = [...rows].sort((a, b) => a.updatedAt - b.updatedAt || a._id.localeCompare(b._id));
+			return page(cursor ? sorted.filter((row) => after(row, cursor)) : sorted, Infinity);
+		},
+	};
+	const LedgerModel = { find: () => page([], Infinity) };
+	const totals = await reconcileLoyalty({ now, dependencies: { ReservationModel, LedgerModel } });
+	assert.equal(totals.reservations, 620);
+});
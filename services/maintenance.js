@@ -0,0 +1,367 @@
+"use strict";
+
+const moment = require("moment");
+const mongoose = require("mongoose");
+const Expense = require("../models/expenses");
+const MaintenanceWorkOrder = require("../models/maintenance_work_order");
+const RoomOutOfOrder = require("../models/room_out_of_order");
+
+const WORK_ORDER_CATEGORIES = [
+	"hvac",
+	"plumbing",
+	"electrical",
+	"furniture",
+	"appliance",
+	"structural",
+	"it",
+	"other",
+];
+// Hours from report to completion before an order breaches its SLA.
+const PRIORITY_SLA_HOURS = Object.freeze({ urgent: 4, high: 24, normal: 72, low: 168 });
+const STATUS_TRANSITIONS = Object.freeze({
+	open: ["in_progress", "on_hold", "completed", "cancelled"],
+	in_progress: ["on_hold", "completed", "cancelled"],
+	on_hold: ["in_progress", "completed", "cancelled"],
+	completed: [],
+	cancelled: [],
+});
+const ROOM_BLOCK_MODES = ["out_of_order", "out_of_service"];
+const WORK_ORDER_EXPENSE_SOURCE = "maintenance_work_order";
+const HOUR_MS = 60 * 60 * 1000;
+
+class MaintenanceError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "MaintenanceError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const models = (dependencies = {}) => ({
+	WorkOrderModel: dependencies.WorkOrderModel || MaintenanceWorkOrder,
+	RoomBlockModel: dependencies.RoomBlockModel || RoomOutOfOrder,
+	ExpenseModel: dependencies.ExpenseModel || Expense,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const dayKey = (value) => {
+	if (!value) return "";
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const optionalId = (value, field) => {
+	const id = normalizeId(value);
+	if (!id) return null;
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw new MaintenanceError(`${field} is not valid.`, "maintenance_input_invalid");
+	}
+	return id;
+};
+
+const normalizeParts = (parts = []) => {
+	const lines = (Array.isArray(parts) ? parts : []).map((part) => {
+		const name = String(part?.name || "").trim();
+		const quantity = Number(part?.quantity ?? 1);
+		const unitCost = Number(part?.unitCost || 0);
+		if (!name || !(quantity > 0) || !(unitCost >= 0)) {
+			throw new MaintenanceError(
+				"Each part needs a name, a quantity above zero and a cost of zero or more.",
+				"maintenance_input_invalid"
+			);
+		}
+		return { name, quantity, unitCost: money(unitCost), total: money(quantity * unitCost) };
+	});
+	return {
+		parts: lines,
+		partsCost: money(lines.reduce((sum, line) => sum + line.total, 0)),
+	};
+};
+
+const slaDueAtFor = (priority, reportedAt = new Date()) =>
+	new Date(new Date(reportedAt).getTime() + PRIORITY_SLA_HOURS[priority] * HOUR_MS);
+
+/**
+ * Validates a work order from the maintenance screen. `room` is the hotel's
+ * room document when roomId was given, so the number can be kept on the order.
+ */
+const normalizeWorkOrderInput = (input = {}, { room = null } = {}) => {
+	const title = String(input.title || "").trim();
+	if (!title) {
+		throw new MaintenanceError("Work orders need a title.", "maintenance_input_invalid");
+	}
+	const category = String(input.category || "other").trim().toLowerCase();
+	if (!WORK_ORDER_CATEGORIES.includes(category)) {
+		throw new MaintenanceError(
+			`Category must be one of ${WORK_ORDER_CATEGORIES.join(", ")}.`,
+			"maintenance_input_invalid"
+		);
+	}
+	const priority = String(input.priority || "normal").trim().toLowerCase();
+	if (!PRIORITY_SLA_HOURS[priority]) {
+		throw new MaintenanceError(
+			`Priority must be one of ${Object.keys(PRIORITY_SLA_HOURS).join(", ")}.`,
+			"maintenance_input_invalid"
+		);
+	}
+	const roomId = optionalId(input.roomId, "Room");
+	if (roomId && !room) {
+		throw new MaintenanceError("Room not found in this hotel.", "maintenance_room_not_found", 404);
+	}
+	const location = String(input.location || "").trim();
+	if (!roomId && !location) {
+		throw new MaintenanceError(
+			"Work orders need a room or a location.",
+			"maintenance_input_invalid"
+		);
+	}
+	return {
+		title,
+		description: String(input.description || "").trim(),
+		category,
+		priority,
+		roomId,
+		roomNumber: room ? String(room.room_number || "") : "",
+		location,
+		vendor: String(input.vendor || "").trim(),
+		assignedTo: optionalId(input.assignedTo, "Assignee"),
+		...normalizeParts(input.parts),
+	};
+};
+
+/** Validates an out of order / out of service range for one room. */
+const normalizeRoomBlockInput = (input = {}, { room = null, now = new Date() } = {}) => {
+	if (!room) {
+		throw new MaintenanceError("Room not found in this hotel.", "maintenance_room_not_found", 404);
+	}
+	const mode = String(input.mode || "out_of_order").trim().toLowerCase();
+	if (!ROOM_BLOCK_MODES.includes(mode)) {
+		throw new MaintenanceError(
+			"Mode must be out_of_order or out_of_service.",
+			"maintenance_input_invalid"
+		);
+	}
+	const start = dayKey(input.startDate || now);
+	const end = dayKey(input.endDate);
+	if (!start || !end || end <= start) {
+		throw new MaintenanceError(
+			"The return date must be after the start date.",
+			"maintenance_dates_invalid"
+		);
+	}
+	return {
+		roomId: normalizeId(room),
+		roomNumber: String(room.room_number || ""),
+		mode,
+		startDate: moment.utc(start).toDate(),
+		endDate: moment.utc(end).toDate(),
+		reason: String(input.reason || "").trim(),
+	};
+};
+
+/** Moves a work order along, stamping first response and completion times. */
+const applyWorkOrderStatus = (order, nextStatus, { now = new Date(), by = null, note = "" } = {}) => {
+	const status = String(nextStatus || "").trim().toLowerCase();
+	if (!(STATUS_TRANSITIONS[order.status] || []).includes(status)) {
+		throw new MaintenanceError(
+			`A ${order.status} work order cannot move to ${status || "that status"}.`,
+			"maintenance_status_invalid",
+			409
+		);
+	}
+	order.status = status;
+	if (status === "in_progress" && !order.startedAt) order.startedAt = now;
+	if (status === "completed") {
+		order.startedAt = order.startedAt || now;
+		order.completedAt = now;
+	}
+	order.history = [...(order.history || []), { status, at: now, by, note: String(note || "") }];
+	return order;
+};
+
+/**
+ * Ends a block on the day the room comes back. A block returned before its
+ * first night never took the room off sale, so it is cancelled instead.
+ */
+const returnRoomBlock = (block, { now = new Date() } = {}) => {
+	const today = dayKey(now);
+	if (today <= dayKey(block.startDate)) {
+		block.status = "cancelled";
+	} else {
+		block.status = "returned";
+		if (today < dayKey(block.endDate)) block.endDate = moment.utc(today).toDate();
+	}
+	block.returnedAt = now;
+	return block;
+};
+
+const blockCoversDate = (block = {}, date = "") =>
+	block.status !== "cancelled" &&
+	dayKey(block.startDate) <= date &&
+	date < dayKey(block.endDate);
+
+/**
+ * Counts blocked rooms per inventory key for one night. `roomUnit` maps a
+ * room id to its calendar key and how many sellable units the room holds.
+ */
+const buildRoomBlockDayCounts = ({ blocks = [], date = "", roomUnit = () => null } = {}) =>
+	blocks.reduce((counts, block) => {
+		if (!blockCoversDate(block, date)) return counts;
+		const unit = roomUnit(normalizeId(block.roomId));
+		if (!unit?.key) return counts;
+		const cell = counts[unit.key] || { outOfOrder: 0, outOfService: 0 };
+		if (block.mode === "out_of_service") cell.outOfService += unit.units || 1;
+		else cell.outOfOrder += unit.units || 1;
+		counts[unit.key] = cell;
+		return counts;
+	}, {});
+
+const loadRoomBlocks = (hotelId, { start, endExclusive } = {}, dependencies = {}) =>
+	models(dependencies)
+		.RoomBlockModel.find({
+			hotelId,
+			status: { $in: ["active", "returned"] },
+			...(start ? { endDate: { $gt: start } } : {}),
+			...(endExclusive ? { startDate: { $lt: endExclusive } } : {}),
+		})
+		.lean()
+		.exec();
+
+/** Books a completed order's parts as one expense; safe to call again. */
+const recordWorkOrderExpense = async (order, { actorId = null, now = new Date() } = {}, dependencies = {}) => {
+	const { ExpenseModel, WorkOrderModel } = models(dependencies);
+	if (!order?._id || order.status !== "completed" || order.expenseId) return null;
+	const amount = money(order.partsCost);
+	if (!(amount > 0)) return null;
+	const where = order.roomNumber ? `room ${order.roomNumber}` : order.location;
+	const expense = await ExpenseModel.findOneAndUpdate(
+		{ sourceType: WORK_ORDER_EXPENSE_SOURCE, sourceId: order._id },
+		{
+			$setOnInsert: {
+				label: `Maintenance parts - ${order.title}`,
+				description: [
+					where,
+					order.vendor,
+					(order.parts || []).map((part) => `${part.quantity} x ${part.name}`).join(", "),
+				]
+					.filter(Boolean)
+					.join(" | "),
+				amount,
+				paid_amount: amount,
+				currency: "SAR",
+				hotelId: order.hotelId,
+				expenseDate: order.completedAt || now,
+				receipt: { public_id: "", url: "", fileName: "", fileType: "" },
+				createdBy: actorId,
+				updatedBy: actorId,
+			},
+		},
+		{ new: true, upsert: true, setDefaultsOnInsert: true }
+	).lean();
+	await WorkOrderModel.updateOne({ _id: order._id }, { $set: { expenseId: expense._id } });
+	return expense;
+};
+
+const hoursBetween = (from, to) =>
+	from && to ? Math.max(new Date(to).getTime() - new Date(from).getTime(), 0) / HOUR_MS : null;
+
+const average = (values = []) =>
+	values.length
+		? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+		: 0;
+
+const emptySlaRow = (key) => ({
+	key,
+	total: 0,
+	completed: 0,
+	open: 0,
+	breached: 0,
+	slaMetRate: 0,
+	avgResponseHours: 0,
+	avgResolutionHours: 0,
+	partsCost: 0,
+	responseHours: [],
+	resolutionHours: [],
+});
+
+/**
+ * SLA figures for orders reported in [start, end]. An order breaches when it
+ * was completed after slaDueAt, or is still open past it. Room nights lost
+ * count every blocked night inside the same range.
+ */
+const buildMaintenanceSlaReport = ({ workOrders = [], blocks = [], start, end, now = new Date() } = {}) => {
+	const summary = emptySlaRow("all");
+	const byPriority = new Map();
+	const byCategory = new Map();
+	const add = (row, order) => {
+		const breached = order.completedAt
+			? new Date(order.completedAt) > new Date(order.slaDueAt)
+			: now > new Date(order.slaDueAt);
+		row.total += 1;
+		if (order.status === "completed") row.completed += 1;
+		else row.open += 1;
+		if (breached) row.breached += 1;
+		row.partsCost += Number(order.partsCost) || 0;
+		const response = hoursBetween(order.reportedAt, order.startedAt);
+		const resolution = hoursBetween(order.reportedAt, order.completedAt);
+		if (response !== null) row.responseHours.push(response);
+		if (resolution !== null) row.resolutionHours.push(resolution);
+	};
+	workOrders
+		.filter((order) => order.status !== "cancelled")
+		.forEach((order) => {
+			add(summary, order);
+			if (!byPriority.has(order.priority)) byPriority.set(order.priority, emptySlaRow(order.priority));
+			if (!byCategory.has(order.category)) byCategory.set(order.category, emptySlaRow(order.category));
+			add(byPriority.get(order.priority), order);
+			add(byCategory.get(order.category), order);
+		});
+
+	let outOfOrderRoomNights = 0;
+	let outOfServiceRoomNights = 0;
+	for (let day = moment.utc(start); day.isSameOrBefore(moment.utc(end), "day"); day.add(1, "day")) {
+		const date = day.format("YYYY-MM-DD");
+		blocks.forEach((block) => {
+			if (!blockCoversDate(block, date)) return;
+			if (block.mode === "out_of_service") outOfServiceRoomNights += 1;
+			else outOfOrderRoomNights += 1;
+		});
+	}
+
+	const finish = ({ responseHours, resolutionHours, ...row }) => ({
+		...row,
+		partsCost: money(row.partsCost),
+		slaMetRate: row.total ? Math.round(((row.total - row.breached) / row.total) * 1000) / 1000 : 0,
+		avgResponseHours: average(responseHours),
+		avgResolutionHours: average(resolutionHours),
+	});
+	const priorityOrder = Object.keys(PRIORITY_SLA_HOURS);
+	return {
+		range: { start: dayKey(start), end: dayKey(end) },
+		summary: { ...finish(summary), outOfOrderRoomNights, outOfServiceRoomNights },
+		byPriority: [...byPriority.values()]
+			.map(finish)
+			.sort((a, b) => priorityOrder.indexOf(a.key) - priorityOrder.indexOf(b.key)),
+		byCategory: [...byCategory.values()].map(finish).sort((a, b) => b.total - a.total),
+	};
+};
+
+module.exports = {
+	MaintenanceError,
+	PRIORITY_SLA_HOURS,
+	WORK_ORDER_CATEGORIES,
+	applyWorkOrderStatus,
+	buildMaintenanceSlaReport,
+	buildRoomBlockDayCounts,
+	dayKey,
+	loadRoomBlocks,
+	normalizeRoomBlockInput,
+	normalizeWorkOrderInput,
+	recordWorkOrderExpense,
+	returnRoomBlock,
+	slaDueAtFor,
+};
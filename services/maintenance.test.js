@@ -0,0 +1,220 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	applyWorkOrderStatus,
+	buildMaintenanceSlaReport,
+	buildRoomBlockDayCounts,
+	normalizeRoomBlockInput,
+	normalizeWorkOrderInput,
+	recordWorkOrderExpense,
+	returnRoomBlock,
+	slaDueAtFor,
+} = require("./maintenance");
+
+const hotelA = "65a000000000000000000001";
+const room101 = { _id: "65a000000000000000000101", room_number: "101" };
+const room102 = { _id: "65a000000000000000000102", room_number: "102" };
+const at = (value) => new Date(value);
+
+// Just enough of a mongoose model for the expense upsert and order update.
+const memoryModel = (rows = []) => {
+	const docs = rows.map((row) => ({ ...row }));
+	let sequence = 0;
+	const find = (filter) =>
+		docs.find((doc) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value)));
+	return {
+		docs,
+		findOneAndUpdate: (filter, update) => ({
+			lean: async () => {
+				let doc = find(filter);
+				if (!doc) {
+					sequence += 1;
+					doc = { _id: `expense-${sequence}`, ...filter, ...update.$setOnInsert };
+					docs.push(doc);
+				}
+				return { ...doc };
+			},
+		}),
+		updateOne: async (filter, update) => {
+			const doc = find(filter);
+			if (doc) Object.assign(doc, update.$set);
+			return { matchedCount: doc ? 1 : 0 };
+		},
+	};
+};
+
+test("work orders and room blocks are validated", () => {
+	const order = normalizeWorkOrderInput(
+		{
+			title: " AC leaking ",
+			category: "HVAC",
+			priority: "urgent",
+			roomId: room101._id,
+			parts: [
+				{ name: "Drain pump", quantity: 1, unitCost: 180 },
+				{ name: "Hose clamp", quantity: 3, unitCost: 4.5 },
+			],
+		},
+		{ room: room101 }
+	);
+	assert.equal(order.title, "AC leaking");
+	assert.equal(order.category, "hvac");
+	assert.equal(order.roomNumber, "101");
+	assert.equal(order.partsCost, 193.5);
+	assert.equal(
+		slaDueAtFor("urgent", at("2027-03-01T08:00:00Z")).toISOString(),
+		"2027-03-01T12:00:00.000Z"
+	);
+
+	assert.throws(() => normalizeWorkOrderInput({ title: "Lobby" }), {
+		code: "maintenance_input_invalid",
+	});
+	assert.throws(() => normalizeWorkOrderInput({ title: "Leak", roomId: room101._id }), {
+		code: "maintenance_room_not_found",
+	});
+	assert.throws(
+		() => normalizeWorkOrderInput({ title: "Leak", location: "Lobby", priority: "asap" }),
+		{ code: "maintenance_input_invalid" }
+	);
+
+	const block = normalizeRoomBlockInput(
+		{ mode: "out_of_service", startDate: "2027-03-01", endDate: "2027-03-04" },
+		{ room: room101 }
+	);
+	assert.equal(block.roomId, room101._id);
+	assert.equal(block.endDate.toISOString(), "2027-03-04T00:00:00.000Z");
+	assert.throws(
+		() => normalizeRoomBlockInput({ startDate: "2027-03-04", endDate: "2027-03-04" }, { room: room101 }),
+		{ code: "maintenance_dates_invalid" }
+	);
+});
+
+test("status changes stamp response and completion and reject invalid moves", () => {
+	const order = { status: "open", history: [] };
+	applyWorkOrderStatus(order, "in_progress", { now: at("2027-03-01T09:00:00Z") });
+	applyWorkOrderStatus(order, "on_hold", { now: at("2027-03-01T10:00:00Z") });
+	applyWorkOrderStatus(order, "completed", { now: at("2027-03-01T15:00:00Z"), note: "Pump replaced" });
+	assert.equal(order.startedAt.toISOString(), "2027-03-01T09:00:00.000Z");
+	assert.equal(order.completedAt.toISOString(), "2027-03-01T15:00:00.000Z");
+	assert.deepEqual(
+		order.history.map((entry) => entry.status),
+		["in_progress", "on_hold", "completed"]
+	);
+	assert.throws(() => applyWorkOrderStatus(order, "in_progress"), {
+		code: "maintenance_status_invalid",
+	});
+});
+
+test("blocked rooms are counted per night and returned early", () => {
+	const blocks = [
+		{ roomId: room101._id, mode: "out_of_order", status: "active", startDate: at("2027-03-01"), endDate: at("2027-03-05") },
+		{ roomId: room102._id, mode: "out_of_service", status: "active", startDate: at("2027-03-02"), endDate: at("2027-03-03") },
+		{ roomId: room102._id, mode: "out_of_order", status: "cancelled", startDate: at("2027-03-01"), endDate: at("2027-03-05") },
+		{ roomId: "65a000000000000000000999", mode: "out_of_order", status: "active", startDate: at("2027-03-01"), endDate: at("2027-03-05") },
+	];
+	const roomUnit = (roomId) =>
+		({
+			[room101._id]: { key: "doubleRooms|Blue", units: 1 },
+			[room102._id]: { key: "doubleRooms|Blue", units: 1 },
+		})[roomId] || null;
+	assert.deepEqual(buildRoomBlockDayCounts({ blocks, date: "2027-03-02", roomUnit }), {
+		"doubleRooms|Blue": { outOfOrder: 1, outOfService: 1 },
+	});
+	assert.deepEqual(buildRoomBlockDayCounts({ blocks, date: "2027-03-05", roomUnit }), {});
+
+	const block = { ...blocks[0] };
+	returnRoomBlock(block, { now: at("2027-03-03T11:00:00Z") });
+	assert.equal(block.status, "returned");
+	assert.equal(block.endDate.toISOString(), "2027-03-03T00:00:00.000Z");
+	const future = { ...blocks[1] };
+	returnRoomBlock(future, { now: at("2027-03-01T11:00:00Z") });
+	assert.equal(future.status, "cancelled");
+});
+
+test("completed parts are booked once and the SLA report splits by priority", async () => {
+	const order = {
+		_id: "wo-1",
+		hotelId: hotelA,
+		title: "AC leaking",
+		roomNumber: "101",
+		vendor: "Cool Air",
+		status: "completed",
+		completedAt: at("2027-03-01T15:00:00Z"),
+		parts: [{ name: "Drain pump", quantity: 1 }],
+		partsCost: 180,
+	};
+	const dependencies = {
+		ExpenseModel: memoryModel(),
+		WorkOrderModel: memoryModel([{ _id: "wo-1" }]),
+	};
+	const expense = await recordWorkOrderExpense(order, { actorId: "user-1" }, dependencies);
+	assert.equal(expense.amount, 180);
+	assert.equal(expense.sourceType, "maintenance_work_order");
+	assert.equal(expense.description, "room 101 | Cool Air | 1 x Drain pump");
+	assert.equal(dependencies.WorkOrderModel.docs[0].expenseId, expense._id);
+	await recordWorkOrderExpense({ ...order }, {}, dependencies);
+	assert.equal(dependencies.ExpenseModel.docs.length, 1);
+	assert.equal(await recordWorkOrderExpense({ ...order, status: "in_progress", _id: "wo-2" }, {}, dependencies), null);
+
+	const report = buildMaintenanceSlaReport({
+		start: at("2027-03-01"),
+		end: at("2027-03-03"),
+		now: at("2027-03-03T12:00:00Z"),
+		workOrders: [
+			{
+				priority: "urgent",
+				category: "hvac",
+				status: "completed",
+				reportedAt: at("2027-03-01T08:00:00Z"),
+				startedAt: at("2027-03-01T09:00:00Z"),
+				completedAt: at("2027-03-01T11:00:00Z"),
+				slaDueAt: at("2027-03-01T12:00:00Z"),
+				partsCost: 180,
+			},
+			{
+				priority: "urgent",
+				category: "plumbing",
+				status: "completed",
+				reportedAt: at("2027-03-02T08:00:00Z"),
+				startedAt: at("2027-03-02T10:00:00Z"),
+				completedAt: at("2027-03-02T14:00:00Z"),
+				slaDueAt: at("2027-03-02T12:00:00Z"),
+			},
+			{
+				priority: "normal",
+				category: "plumbing",
+				status: "open",
+				reportedAt: at("2027-03-02T08:00:00Z"),
+				slaDueAt: at("2027-03-05T08:00:00Z"),
+			},
+			{ priority: "low", category: "other", status: "cancelled", reportedAt: at("2027-03-02T08:00:00Z") },
+		],
+		blocks: [
+			{ mode: "out_of_order", status: "returned", startDate: at("2027-02-27"), endDate: at("2027-03-02") },
+			{ mode: "out_of_service", status: "active", startDate: at("2027-03-03"), endDate: at("2027-03-10") },
+		],
+	});
+	assert.deepEqual(report.range, { start: "2027-03-01", end: "2027-03-03" });
+	assert.equal(report.summary.total, 3);
+	assert.equal(report.summary.breached, 1);
+	assert.equal(report.summary.open, 1);
+	assert.equal(report.summary.slaMetRate, 0.667);
+	assert.equal(report.summary.outOfOrderRoomNights, 1);
+	assert.equal(report.summary.outOfServiceRoomNights, 1);
+	assert.deepEqual(
+		report.byPriority.map((row) => [row.key, row.total, row.breached, row.avgResponseHours, row.avgResolutionHours]),
+		[
+			["urgent", 2, 1, 1.5, 4.5],
+			["normal", 1, 0, 0, 0],
+		]
+	);
+	assert.deepEqual(
+		report.byCategory.map((row) => [row.key, row.total, row.partsCost]),
+		[
+			["plumbing", 2, 0],
+			["hvac", 1, 180],
+		]
+	);
+});
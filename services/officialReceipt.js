@@ -1,6 +1,8 @@
 const fs = require("fs");
 const path = require("path");
 const flagCountries = require("flag-icons/country.json");
+const { describeCancellationPolicy } = require("./cancellationPolicy");
+const { summarizeFolio } = require("./folio");
 
 const embeddedArabicFontCss = [
 	[400, "noto-sans-arabic-arabic-400-normal.woff2"],
@@ -464,6 +466,30 @@ const bilingualLabel = (en, ar) =>
     en
   )}</strong><span dir="rtl" lang="ar">${escapeHtml(ar)}</span></span>`;
 
+const buildFolioSections = (reservationData) =>
+  (Array.isArray(reservationData?.folios) ? reservationData.folios : [])
+    .map((folio) => {
+      const summary = summarizeFolio(folio);
+      return {
+        label: String(folio?.label || "Folio").trim(),
+        billTo: String(folio?.billTo?.company || "").trim(),
+        charges: (Array.isArray(folio?.charges) ? folio.charges : [])
+          .filter((charge) => !charge?.voided)
+          .map((charge) => ({
+            date: formatDate(charge?.chargeDate),
+            description: String(charge?.description || "").trim(),
+            quantity: safeNumber(charge?.quantity) || 1,
+            unitPrice: safeNumber(charge?.unitPrice),
+            amount: safeNumber(charge?.amount),
+          })),
+        total: summary.chargesTotal,
+        paid: summary.paymentsTotal,
+        balance: summary.balance,
+        settled: folio?.status === "settled",
+      };
+    })
+    .filter((folio) => folio.charges.length);
+
 const buildOfficialReceiptView = (reservationData = {}, hotelInfo = {}) => {
   const customer =
     reservationData?.customer_details || reservationData?.customerDetails || {};
@@ -510,6 +536,7 @@ const buildOfficialReceiptView = (reservationData = {}, hotelInfo = {}) => {
   const nationality = displayNationality(rawNationality, countryCode);
   const totalRooms = rooms.reduce((sum, room) => sum + room.count, 0);
   const guests = Number(reservationData?.total_guests || 0) || totalRooms || 1;
+  const penalty = reservationData?.cancellationPenalty;
   return {
     bookingDate: formatDate(
       reservationData?.createdAt || reservationData?.booked_at
@@ -518,6 +545,16 @@ const buildOfficialReceiptView = (reservationData = {}, hotelInfo = {}) => {
     bookingSource: String(
       reservationData?.booking_source || "Jannatbooking.com"
     ).trim(),
+    cancellationPolicy: reservationData?.cancellationPolicy?.type
+      ? describeCancellationPolicy(reservationData.cancellationPolicy)
+      : null,
+    cancellationPenalty: penalty?.kind
+      ? {
+          kind: penalty.kind,
+          amount: safeNumber(penalty.amount),
+          refundable: safeNumber(penalty.refundableAmount),
+        }
+      : null,
     checkin: {
       en: formatDate(reservationData?.checkin_date),
       ar: formatDate(reservationData?.checkin_date, "ar-EG"),
@@ -528,6 +565,7 @@ const buildOfficialReceiptView = (reservationData = {}, hotelInfo = {}) => {
     },
     countryCode,
     flagDataUri: flagDataUri(countryCode),
+    folios: buildFolioSections(reservationData),
     guestName: customer?.name || "Guest",
     guests,
     hotelName,
@@ -758,6 +796,15 @@ const renderOfficialReceiptHtml = (reservationData = {}, hotelInfo = {}) => {
           <div class="booking-source"><strong>Booking Source:</strong> ${escapeHtml(
             view.bookingSource
           )}</div>
+          ${
+            view.cancellationPolicy
+              ? `<div class="booking-source"><strong>Cancellation Policy:</strong> ${escapeHtml(
+                  view.cancellationPolicy.en
+                )} <span dir="rtl" lang="ar">${escapeHtml(
+                  view.cancellationPolicy.ar
+                )}</span></div>`
+              : ""
+          }
           <div class="payment-method payment-${escapeHtml(
             view.payment.method.tone
           )}"><div>${bilingualLabel(
@@ -787,8 +834,66 @@ const renderOfficialReceiptHtml = (reservationData = {}, hotelInfo = {}) => {
           )}<span>:</span><strong>${money(
     view.payment.remaining
   )} SAR</strong></div>
+          ${
+            view.cancellationPenalty
+              ? `<div class="payment-row payment-penalty">${bilingualLabel(
+                  view.cancellationPenalty.kind === "no_show"
+                    ? "No-show Penalty"
+                    : "Cancellation Penalty",
+                  view.cancellationPenalty.kind === "no_show"
+                    ? "غرامة عدم الحضور"
+                    : "غرامة الإلغاء"
+                )}<span>:</span><strong>${money(
+                  view.cancellationPenalty.amount
+                )} SAR</strong></div>
+          <div class="payment-row payment-refund">${bilingualLabel(
+            "Refundable",
+            "المبلغ المسترد"
+          )}<span>:</span><strong>${money(
+                  view.cancellationPenalty.refundable
+                )} SAR</strong></div>`
+              : ""
+          }
         </aside>
       </div>
+      ${view.folios
+        .map(
+          (folio) => `<section class="rooms-section">
+          <div class="section-heading"><strong>Incidental Charges${
+            folio.label ? ` - ${escapeHtml(folio.label)}` : ""
+          }</strong><span dir="rtl" lang="ar">الخدمات الإضافية</span></div>
+          <table class="rooms-table"><thead><tr><th>${bilingualLabel(
+            "Qty",
+            "الكمية"
+          )}</th><th>${bilingualLabel(
+            "Description",
+            "الوصف"
+          )}</th><th>${bilingualLabel(
+            "Unit price",
+            "سعر الوحدة"
+          )}</th><th>${bilingualLabel(
+            "Amount",
+            "المبلغ"
+          )}</th></tr></thead><tbody>${folio.charges
+            .map(
+              (charge) =>
+                `<tr><td>${charge.quantity}</td><td><strong>${escapeHtml(
+                  charge.description
+                )}</strong><span>${escapeHtml(
+                  charge.date
+                )}</span></td><td>${money(charge.unitPrice)} SAR</td><td>${money(
+                  charge.amount
+                )} SAR</td></tr>`
+            )
+            .join("")}</tbody></table>
+          <div class="booking-source"><strong>${
+            folio.billTo ? `Billed To: ${escapeHtml(folio.billTo)} | ` : ""
+          }Total:</strong> ${money(folio.total)} SAR | <strong>${
+            folio.settled ? "Settled" : "Balance Due"
+          }:</strong> ${money(folio.settled ? folio.paid : folio.balance)} SAR</div>
+        </section>`
+        )
+        .join("")}
     </main>
     <footer class="receipt-footer"><div>Many Thanks For Staying With Us At <strong>${escapeHtml(
       view.hotelName
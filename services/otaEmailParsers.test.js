@@ -0,0 +1,111 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const {
+	OTA_EMAIL_PARSER_VERSIONS,
+	PROVIDER_LABELS,
+	detectEventType,
+	extractNormalizedReservation,
+	otaEmailParserVersion,
+} = require("./otaReservationMapper");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures", "otaEmails");
+
+const loadFixture = (name) => {
+	const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8"));
+	return {
+		...fixture,
+		email: { ...fixture.email, text: [].concat(fixture.email.text || []).join("\n") },
+	};
+};
+
+const bookingEmail = (overrides = {}, lines = []) => {
+	const { email } = loadFixture("booking-new.json");
+	return {
+		...email,
+		...overrides,
+		text: lines.length ? lines.join("\n") : email.text,
+	};
+};
+
+test("every fixture in the corpus parses to its expected reservation facts", () => {
+	const names = fs.readdirSync(FIXTURE_DIR).filter((name) => name.endsWith(".json"));
+	for (const provider of ["booking", "airbnb"]) {
+		for (const event of ["new", "modified|altered", "cancelled"]) {
+			assert.ok(
+				names.some((name) => new RegExp(`^${provider}-(?:${event})\\.json$`).test(name)),
+				`${provider} ${event} fixture is missing`
+			);
+		}
+	}
+	for (const name of names) {
+		const fixture = loadFixture(name);
+		const normalized = extractNormalizedReservation(fixture.email);
+		const actual = Object.fromEntries(
+			Object.keys(fixture.expected).map((key) => [key, normalized[key]])
+		);
+		assert.deepEqual(actual, fixture.expected, name);
+	}
+});
+
+test("Booking.com money facts are only trusted when they are consistent", () => {
+	const lines = (commission, total = "Total price: SAR 800.00") => [
+		"Property: Sample Ajyad Hotel",
+		"Booking number: 4012345678",
+		"Guest name: Sample Guest",
+		"Check-in: Wednesday, 10 February 2027",
+		"Check-out: Friday, 12 February 2027",
+		"Room: Double Room",
+		total,
+		commission,
+	];
+
+	const percentage = extractNormalizedReservation(bookingEmail({}, lines("Commission: 15%")));
+	assert.equal(percentage.totalAmountSar, 800);
+	assert.equal(percentage.otaCommissionSar, null);
+	assert.equal(percentage.sourcePresence.otaCommission, false);
+
+	const otherCurrency = extractNormalizedReservation(bookingEmail({}, lines("Commission: EUR 30.00")));
+	assert.equal(otherCurrency.otaCommissionSar, null);
+	assert.ok(otherCurrency.warnings.some((warning) => /Booking\.com commission/.test(warning)));
+
+	const unauthenticated = extractNormalizedReservation(
+		bookingEmail({ senderAuthentication: {} }, lines("Commission: SAR 120.00"))
+	);
+	assert.equal(unauthenticated.totalAmountSar, 800);
+	assert.equal(unauthenticated.otaCommissionSar, null);
+	assert.equal(unauthenticated.otaCommissionSource, "");
+});
+
+test("a Booking.com subject and body naming different bookings is not trusted", () => {
+	const normalized = extractNormalizedReservation(
+		bookingEmail({
+			subject: "Booking.com - New booking! (4099999999, Wednesday, 10 February 2027)",
+		})
+	);
+	assert.equal(normalized.confirmationNumber, "");
+	assert.ok(normalized.warnings.some((warning) => /different booking numbers/.test(warning)));
+});
+
+test("alteration wording only marks a change in the subject or a status line", () => {
+	const body = "Check-in: 10 February 2027\nHouse rules cannot be altered after arrival.";
+	assert.equal(detectEventType({ subject: "Reservation confirmed - Sample Guest", text: body }), "new");
+	assert.equal(detectEventType({ subject: "Reservation for Sample Guest", text: body }), "unknown");
+	assert.equal(detectEventType({ subject: "Reservation altered - Sample Guest", text: "" }), "modified");
+	assert.equal(detectEventType({ subject: "Airbnb reservation", text: "Status: Altered" }), "modified");
+	assert.equal(
+		detectEventType({ subject: "New booking confirmed - alteration accepted", text: "" }),
+		"modified"
+	);
+});
+
+test("parsed reservations carry the parser version of their provider", () => {
+	for (const provider of Object.keys(PROVIDER_LABELS)) {
+		assert.ok(OTA_EMAIL_PARSER_VERSIONS[provider], `${provider} has no parser version`);
+	}
+	assert.equal(otaEmailParserVersion("Booking"), OTA_EMAIL_PARSER_VERSIONS.booking);
+	assert.equal(otaEmailParserVersion("unknown"), OTA_EMAIL_PARSER_VERSIONS.ota);
+});
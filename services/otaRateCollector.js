@@ -0,0 +1,309 @@
+/** @format */
+
+const os = require("os");
+const path = require("path");
+const moment = require("moment-timezone");
+const puppeteer = require("puppeteer");
+const OtaRateObservation = require("../models/ota_rate_observation");
+const OtaRateParityRun = require("../models/ota_rate_parity_run");
+const { getSarConversionMeta } = require("./otaReservationMapper");
+const {
+	normalizeRateParityProvider,
+	parseStayDate,
+	rateParityDates,
+} = require("./rateParity");
+
+const MAX_COLLECTOR_NIGHTS = 31;
+const PROVIDER_HOSTS = Object.freeze({
+	booking: /(^|\.)booking\.com$/i,
+	expedia: /(^|\.)expedia\.[a-z.]+$/i,
+	agoda: /(^|\.)agoda\.com$/i,
+	airbnb: /(^|\.)airbnb\.[a-z.]+$/i,
+});
+const CURRENCY_SYMBOLS = Object.freeze({
+	SR: "SAR",
+	"ر.س": "SAR",
+	"US$": "USD",
+	$: "USD",
+	"€": "EUR",
+	"£": "GBP",
+});
+const MONEY_PATTERN =
+	/(SAR|USD|EUR|AED|GBP|SR|US\$|ر\.س|\$|€|£)\s?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)|(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)\s?(SAR|USD|EUR|AED|GBP|SR|ر\.س)/g;
+const ROOM_PRICE_LOOKAHEAD_LINES = 12;
+
+const readPositiveMs = (value, fallback) => {
+	const parsed = Number(value);
+	return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const NAVIGATION_TIMEOUT_MS = readPositiveMs(process.env.OTA_RATE_NAVIGATION_TIMEOUT_MS, 45000);
+const PAGE_DELAY_MS = readPositiveMs(process.env.OTA_RATE_PAGE_DELAY_MS, 4000);
+const RUN_MS_PER_NIGHT = readPositiveMs(process.env.OTA_RATE_RUN_MS_PER_NIGHT, 90000);
+
+const activeRateCollectors = new Map();
+
+const isRateCollectorEnabled = (env = process.env) =>
+	/^(1|true|yes)$/i.test(env.RATE_PARITY_COLLECTOR_ENABLED || "");
+
+const normalizeLine = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const roomNameKey = (value) =>
+	String(value || "")
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, " ")
+		.trim();
+
+/**
+ * The public listing URL for one night. Only https listings on the
+ * provider's own domain are accepted.
+ */
+const buildOtaRateSearchUrl = (provider, propertyUrl, stayDate, { currency = "SAR", adults = 2 } = {}) => {
+	let url;
+	try {
+		url = new URL(String(propertyUrl || "").trim());
+	} catch (error) {
+		return "";
+	}
+	if (url.protocol !== "https:" || !PROVIDER_HOSTS[provider]?.test(url.hostname)) return "";
+	const checkout = moment.utc(stayDate).add(1, "day").format("YYYY-MM-DD");
+	const params = {
+		booking: { checkin: stayDate, checkout, group_adults: adults, no_rooms: 1, selected_currency: currency },
+		expedia: { chkin: stayDate, chkout: checkout, rm1: `a${adults}`, currency },
+		agoda: { checkIn: stayDate, los: 1, adults, rooms: 1, currencyCode: currency },
+		airbnb: { check_in: stayDate, check_out: checkout, adults, currency },
+	}[provider];
+	Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+	url.hash = "";
+	return url.toString();
+};
+
+const moneyInLine = (line = "") =>
+	[...line.matchAll(MONEY_PATTERN)]
+		.map((match) => {
+			const symbol = match[1] || match[4];
+			const amount = Number(String(match[2] || match[3]).replace(/,/g, ""));
+			return { amount, currency: CURRENCY_SYMBOLS[symbol] || symbol };
+		})
+		.filter((money) => money.amount > 0);
+
+/**
+ * Reads the cheapest nightly price shown under each of our room names on a
+ * listing page. A room whose name does not appear is left out; it is not
+ * reported as sold out because the page may simply name it differently.
+ */
+const parseOtaRatePageText = (text = "", rooms = []) => {
+	const lines = String(text || "")
+		.split(/\n+/)
+		.map(normalizeLine)
+		.filter(Boolean);
+	const keys = lines.map(roomNameKey);
+	const named = rooms
+		.map((room) => ({ room, name: roomNameKey(room.displayName || room.roomType) }))
+		.filter(({ name }) => name);
+	const mentions = (index, name) => ` ${keys[index]} `.includes(` ${name} `);
+	// A line belongs to the most specific room it names, so "Deluxe Double
+	// Room" is never read as a "Double Room" heading.
+	const owners = keys.map((key, index) =>
+		named
+			.filter(({ name }) => mentions(index, name))
+			.sort((a, b) => b.name.length - a.name.length)[0]?.room || null
+	);
+	const comparable = (money) => getSarConversionMeta(money.amount, money.currency).totalAmountSar ?? money.amount;
+	const results = [];
+	named.forEach(({ room }) => {
+		let best = null;
+		owners.forEach((owner, index) => {
+			if (owner !== room) return;
+			for (let offset = 0; offset <= ROOM_PRICE_LOOKAHEAD_LINES && index + offset < lines.length; offset += 1) {
+				// Stop at the next room heading so one room never takes another's price.
+				if (offset > 0 && owners[index + offset] && owners[index + offset] !== room) break;
+				moneyInLine(lines[index + offset]).forEach((money) => {
+					if (!best || comparable(money) < comparable(best)) best = { ...money, otaRoomName: lines[index] };
+				});
+			}
+		});
+		if (best) results.push({ roomId: String(room._id), ...best });
+	});
+	return results;
+};
+
+const launchBrowser = async () => {
+	const headlessEnv = String(process.env.OTA_RATE_HEADLESS || "true").toLowerCase();
+	const launchArgs = ["--window-size=1440,950"];
+	if (process.platform === "linux" || /^(1|true|yes)$/i.test(process.env.OTA_RATE_BROWSER_NO_SANDBOX || "")) {
+		launchArgs.push("--no-sandbox", "--disable-setuid-sandbox");
+	}
+	const options = {
+		headless: ["0", "false", "no"].includes(headlessEnv) ? false : "new",
+		userDataDir: process.env.OTA_RATE_PROFILE_DIR || path.join(os.homedir(), ".jannatbooking", "ota-rate-parity-profile"),
+		defaultViewport: { width: 1440, height: 950 },
+		args: launchArgs,
+	};
+	if (process.env.OTA_RATE_BROWSER_PATH) {
+		options.executablePath = process.env.OTA_RATE_BROWSER_PATH;
+	}
+	return puppeteer.launch(options);
+};
+
+const updateRun = (runId, update) =>
+	OtaRateParityRun.findByIdAndUpdate(runId, update, { new: true }).lean().exec();
+
+const runRateCollector = async ({ runId, hotel, provider, propertyUrl, dates, actorId }) => {
+	const startedAt = Date.now();
+	const hardTimeoutMs = RUN_MS_PER_NIGHT * dates.length;
+	let browser = null;
+	let timedOut = false;
+	const summary = { nights: dates.length, pagesRead: 0, observations: 0, nightsWithoutRates: 0 };
+	const hardTimeoutTimer = setTimeout(() => {
+		timedOut = true;
+		updateRun(runId, {
+			$set: {
+				status: "failed",
+				resultSummary: summary,
+				"collectorState.error": "collector_hard_timeout",
+				"collectorState.finishedAt": new Date(),
+			},
+			$push: { auditLog: { at: new Date(), action: "collector_hard_timeout", by: actorId } },
+		}).catch(() => {});
+		if (browser) browser.close().catch(() => {});
+	}, hardTimeoutMs);
+	if (typeof hardTimeoutTimer.unref === "function") hardTimeoutTimer.unref();
+
+	try {
+		await updateRun(runId, {
+			$set: { status: "running", "collectorState.startedAt": new Date(startedAt) },
+		});
+		browser = await launchBrowser();
+		const page = await browser.newPage();
+		page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT_MS);
+		for (const [index, stayDate] of dates.entries()) {
+			if (timedOut) return;
+			await page.goto(buildOtaRateSearchUrl(provider, propertyUrl, stayDate), { waitUntil: "networkidle2" });
+			const text = await page.evaluate(() => document.body?.innerText || "");
+			summary.pagesRead += 1;
+			const observedAt = new Date();
+			const rates = parseOtaRatePageText(text, hotel.roomCountDetails || []);
+			if (rates.length) {
+				await OtaRateObservation.insertMany(
+					rates.map((rate) => ({
+						hotelId: hotel._id,
+						runId,
+						provider,
+						roomId: rate.roomId,
+						otaRoomName: rate.otaRoomName,
+						stayDate,
+						amount: rate.amount,
+						currency: rate.currency,
+						amountSar: getSarConversionMeta(rate.amount, rate.currency).totalAmountSar,
+						source: "collector",
+						observedAt,
+					}))
+				);
+				summary.observations += rates.length;
+			} else {
+				summary.nightsWithoutRates += 1;
+			}
+			await updateRun(runId, {
+				$set: {
+					resultSummary: summary,
+					"collectorState.lastProgressAt": observedAt,
+					"collectorState.lastStayDate": stayDate,
+				},
+			});
+			if (index < dates.length - 1) await delay(PAGE_DELAY_MS);
+		}
+		if (timedOut) return;
+		await updateRun(runId, {
+			$set: {
+				status: "completed",
+				resultSummary: summary,
+				"collectorState.finishedAt": new Date(),
+				"collectorState.durationMs": Date.now() - startedAt,
+			},
+			$push: { auditLog: { at: new Date(), action: "collector_finished", by: actorId, summary } },
+		});
+	} catch (error) {
+		if (timedOut) return;
+		await updateRun(runId, {
+			$set: {
+				status: "failed",
+				resultSummary: summary,
+				"collectorState.error": error?.message || String(error),
+				"collectorState.finishedAt": new Date(),
+			},
+			$push: { auditLog: { at: new Date(), action: "collector_failed", by: actorId } },
+		}).catch(() => {});
+	} finally {
+		clearTimeout(hardTimeoutTimer);
+		activeRateCollectors.delete(String(runId));
+		if (browser) await browser.close().catch(() => {});
+	}
+};
+
+/**
+ * Queues a read-only pass over a public OTA listing, one night per page,
+ * and returns at once. One collector runs at a time on this process, like
+ * the Expedia reservation collector, so a second start is refused.
+ */
+const startOtaRateCollectorJob = async ({ hotel, provider, propertyUrl, dateFrom, dateTo, actor }) => {
+	if (!isRateCollectorEnabled()) {
+		return { ok: false, statusCode: 409, error: "The OTA rate collector is turned off on this server." };
+	}
+	if (activeRateCollectors.size > 0) {
+		return { ok: false, statusCode: 409, error: "Another OTA rate collector is already running." };
+	}
+	const channel = normalizeRateParityProvider(provider);
+	if (!channel) {
+		return { ok: false, statusCode: 400, error: "Choose Booking.com, Expedia, Agoda or Airbnb." };
+	}
+	const from = parseStayDate(dateFrom);
+	const to = parseStayDate(dateTo || dateFrom);
+	const dates = from && to && to >= from ? rateParityDates({ dateFrom: from, dateTo: to }) : [];
+	if (!dates.length || dates.length > MAX_COLLECTOR_NIGHTS) {
+		return {
+			ok: false,
+			statusCode: 400,
+			error: `Choose between 1 and ${MAX_COLLECTOR_NIGHTS} nights to collect.`,
+		};
+	}
+	if (!buildOtaRateSearchUrl(channel, propertyUrl, from)) {
+		return { ok: false, statusCode: 400, error: "Enter the hotel's public https listing URL on that OTA." };
+	}
+	const actorId = actor?._id || null;
+	const run = await OtaRateParityRun.create({
+		hotelId: hotel._id,
+		provider: channel,
+		source: "collector",
+		status: "queued",
+		dateFrom: from,
+		dateTo: to,
+		propertyUrl: String(propertyUrl).trim(),
+		createdBy: actorId,
+		collectorState: { queuedAt: new Date(), readOnly: true, nights: dates.length },
+		auditLog: [{ at: new Date(), action: "collector_queued", by: actorId }],
+	});
+	const key = String(run._id);
+	activeRateCollectors.set(key, true);
+	try {
+		setImmediate(() =>
+			runRateCollector({ runId: run._id, hotel, provider: channel, propertyUrl, dates, actorId })
+		);
+	} catch (error) {
+		activeRateCollectors.delete(key);
+		throw error;
+	}
+	return { ok: true, statusCode: 202, run: run.toObject ? run.toObject() : run };
+};
+
+module.exports = {
+	MAX_COLLECTOR_NIGHTS,
+	isRateCollectorEnabled,
+	startOtaRateCollectorJob,
+	__private: {
+		buildOtaRateSearchUrl,
+		parseOtaRatePageText,
+	},
+};
@@ -165,6 +165,26 @@ const PROVIDER_LABELS = {
 	ota: "OTA Email",
 };
 
+// Each inbound_email record is tagged with the parser version that produced
+// its normalizedReservation. Bump a provider's version whenever its template
+// handling changes so archived messages parsed by an older version can be
+// selected and re-parsed.
+const OTA_EMAIL_PARSER_VERSIONS = {
+	expedia: "expedia-email@1",
+	booking: "booking-email@2",
+	agoda: "agoda-email@1",
+	hotels: "expedia-email@1",
+	airbnb: "airbnb-email@2",
+	hotelrunner: "hotelrunner-email@1",
+	trip: "trip-email@1",
+	ota: "generic-email@1",
+};
+
+function otaEmailParserVersion(provider = "") {
+	const key = String(provider || "").trim().toLowerCase();
+	return OTA_EMAIL_PARSER_VERSIONS[key] || OTA_EMAIL_PARSER_VERSIONS.ota;
+}
+
 function normalizeUnicodeDigits(value) {
 	return String(value || "")
 		.replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
@@ -5302,6 +5322,73 @@ function extractTableOccupancy(text = "") {
 	return { adults: 0, children: 0, totalGuests: 0 };
 }
 
+// Booking.com extranet notifications share one template family: the subject
+// carries the booking number ("Booking.com - New booking! (4012345678, ...)")
+// and the body lists "Booking number", "Total price" and "Commission". The
+// generic label readers already cover guest, stay and room facts; this reader
+// only adds the money and identity facts the generic labels do not know.
+function extractBookingComFields(email = {}, text = "", provider = "") {
+	if (provider !== "booking") return {};
+	const subject = normalizeWhitespace(email.subject || "");
+	const subjectMatch = subject.match(
+		/\bbooking\.com\b[^\n]*?\b(new|modified|cancell?ed)\s+(?:booking|reservation)\b[^\n(]*\(\s*(\d{6,12})\b/i
+	);
+	const bodyConfirmation = findFirstPattern(text, [
+		/\bBooking\s+(?:number|ID)\s*[:#-]?\s*(\d{6,12})\b/i,
+	]);
+	const subjectConfirmation = subjectMatch ? subjectMatch[2] : "";
+	const confirmationConflict = !!(
+		subjectConfirmation &&
+		bodyConfirmation &&
+		subjectConfirmation !== bodyConfirmation
+	);
+	const totalPriceText = findField(text, [
+		"Total price",
+		"Total booking price",
+		"Total reservation price",
+	]);
+	const totalPrice = parseMoney(totalPriceText);
+	const hasTotalPrice = !/%/.test(totalPriceText) && totalPrice.amount > 0;
+	const currency = hasTotalPrice ? totalPrice.currency || "" : "";
+	const commissionText = findField(text, ["Commission", "Commission amount"]);
+	const commission = parseMoney(commissionText);
+	const commissionCurrency = commission.currency || currency;
+	// A percentage line ("Commission: 15%") is a rate, not an amount, and a
+	// commission quoted in another currency than the total cannot be deducted.
+	const commissionQuoted = !!(
+		commissionText &&
+		!/%/.test(commissionText) &&
+		Number.isFinite(commission.amount) &&
+		commission.amount > 0
+	);
+	const hasCommission = !!(
+		commissionQuoted &&
+		(!hasTotalPrice || commissionCurrency === currency) &&
+		(!hasTotalPrice || commission.amount < totalPrice.amount)
+	);
+	return {
+		templateMatched: !!subjectMatch,
+		confirmationNumber: confirmationConflict
+			? ""
+			: firstNonEmpty(bodyConfirmation, subjectConfirmation),
+		confirmationConflict,
+		amountText: hasTotalPrice ? totalPriceText : "",
+		otaCommissionSar: hasCommission
+			? commissionCurrency === "SAR"
+				? round2(commission.amount)
+				: null
+			: null,
+		otaCommissionSourceAmount: hasCommission ? round2(commission.amount) : null,
+		otaCommissionCurrency: hasCommission ? commissionCurrency || "SAR" : "",
+		otaCommissionSource: hasCommission ? "booking_commission" : "",
+		otaCommissionConflict: commissionQuoted && !hasCommission,
+		sourcePresence: {
+			amount: hasTotalPrice,
+			otaCommission: hasCommission,
+		},
+	};
+}
+
 function extractExpediaPartnerCentralFields(text = "", provider = "") {
 	if (provider !== "expedia") return {};
 	const source = String(text || "");
@@ -6735,6 +6822,16 @@ function hasArabicModificationSignal(value = "") {
 	);
 }
 
+// Airbnb words its changes "altered"/"alteration". Those words are common in
+// ordinary body copy (policies, house rules), so they only count in the subject
+// or in a structured status line.
+function hasAlterationSignal(subject = "", text = "") {
+	if (/\b(altered|alteration)\b/i.test(String(subject || ""))) return true;
+	return /(?:^|\n)\s*(?:(?:reservation|booking)\s+)?status\s*[:#-]?\s*(?:altered|alteration)\b/i.test(
+		String(text || "")
+	);
+}
+
 function hasStrongNewReservationSignal(value = "") {
 	const subjectOnly = String(value || "").toLowerCase();
 	if (
@@ -6749,6 +6846,7 @@ function hasStrongNewReservationSignal(value = "") {
 		/(modified|modification|changed|updated|amended|amendment)/i.test(
 			subjectOnly
 		) ||
+		hasAlterationSignal(subjectOnly) ||
 		hasArabicModificationSignal(subjectOnly)
 	) {
 		return false;
@@ -6804,6 +6902,7 @@ function detectEventType({ subject = "", text = "" } = {}) {
 		/(modified|modification|changed|updated|amended|amendment)/i.test(
 			haystack
 		) ||
+		hasAlterationSignal(subject, text) ||
 		hasArabicModificationSignal(subjectOnly)
 	) {
 		return "modified";
@@ -7435,8 +7534,18 @@ function extractNormalizedReservation(email) {
 		agodaFields.sourcePresence?.otaCommission === true &&
 		agodaFields.otaCommissionSource === "agoda_commission"
 	);
+	const bookingComFields = extractBookingComFields(email, text, provider);
+	const verifiedBookingCommissionEvidence = !!(
+		provider === "booking" &&
+		trustedTransportProvider === "booking" &&
+		sourceSenderAuthenticated === true &&
+		bookingComFields.sourcePresence?.otaCommission === true &&
+		bookingComFields.otaCommissionSource === "booking_commission"
+	);
 	const verifiedOtaCommissionEvidence =
-		verifiedAirbnbCommissionEvidence || verifiedAgodaCommissionEvidence;
+		verifiedAirbnbCommissionEvidence ||
+		verifiedAgodaCommissionEvidence ||
+		verifiedBookingCommissionEvidence;
 	const expediaPartnerCentralFields = extractExpediaPartnerCentralFields(
 		text,
 		provider
@@ -7650,7 +7759,8 @@ function extractNormalizedReservation(email) {
 		directTripIdentityConflict ||
 		hotelRunnerTripIdentityConflict ||
 		hotelRunnerNonTripIdentityConflict ||
-		genericExplicitIdentityConflict;
+		genericExplicitIdentityConflict ||
+		bookingComFields.confirmationConflict === true;
 
 	const explicitProviderConfirmation = isHotelRunnerSender
 		? firstNonEmpty(
@@ -7661,6 +7771,7 @@ function extractNormalizedReservation(email) {
 		: firstNonEmpty(
 				airbnbFields.confirmationNumber,
 				agodaFields.confirmationNumber,
+				bookingComFields.confirmationNumber,
 				expediaPartnerCentralFields.confirmationNumber,
 				directTripFields.confirmationNumber,
 				isDirectTripSender && directTripExplicitConfirmationNumbers.length === 1
@@ -7833,6 +7944,7 @@ function extractNormalizedReservation(email) {
 
 	const amountText = firstNonEmpty(
 		directTripFields.amountText,
+		bookingComFields.amountText,
 		hotelRunnerArabicFields.orderTotalText,
 		expediaPartnerCentralFields.totalGuestPaymentText,
 		findField(text, [
@@ -8259,6 +8371,16 @@ function extractNormalizedReservation(email) {
 			"Agoda email contains conflicting commission or deduction evidence; explicit OTA commission was left unverified."
 		);
 	}
+	if (bookingComFields.otaCommissionConflict === true) {
+		warnings.push(
+			"Booking.com commission does not fit the total price; OTA commission was left unverified."
+		);
+	}
+	if (bookingComFields.confirmationConflict === true) {
+		warnings.push(
+			"Booking.com subject and body name different booking numbers; the booking number was left unverified."
+		);
+	}
 	for (const field of genericRepeatedFactConflictFields) {
 		warnings.push(genericRepeatedFactConflictReason(field));
 	}
@@ -8287,6 +8409,7 @@ function extractNormalizedReservation(email) {
 		sourceSenderAuthenticated,
 		senderAuthentication,
 		bookingSource,
+		parserVersion: otaEmailParserVersion(provider),
 		intent,
 		eventType,
 		statusToApply,
@@ -8360,22 +8483,30 @@ function extractNormalizedReservation(email) {
 			? airbnbFields.otaCommissionSar
 			: verifiedAgodaCommissionEvidence
 				? agodaFields.otaCommissionSar
-				: null,
+				: verifiedBookingCommissionEvidence
+					? bookingComFields.otaCommissionSar
+					: null,
 		otaCommissionSourceAmount: verifiedAirbnbCommissionEvidence
 			? airbnbFields.otaCommissionSourceAmount
 			: verifiedAgodaCommissionEvidence
 				? agodaFields.otaCommissionSourceAmount
-				: null,
+				: verifiedBookingCommissionEvidence
+					? bookingComFields.otaCommissionSourceAmount
+					: null,
 		otaCommissionCurrency: verifiedAirbnbCommissionEvidence
 			? airbnbFields.otaCommissionCurrency || "SAR"
 			: verifiedAgodaCommissionEvidence
 				? agodaFields.otaCommissionCurrency || "SAR"
-				: "",
+				: verifiedBookingCommissionEvidence
+					? bookingComFields.otaCommissionCurrency || "SAR"
+					: "",
 		otaCommissionSource: verifiedAirbnbCommissionEvidence
 			? airbnbFields.otaCommissionSource
 			: verifiedAgodaCommissionEvidence
 				? agodaFields.otaCommissionSource
-				: "",
+				: verifiedBookingCommissionEvidence
+					? bookingComFields.otaCommissionSource
+					: "",
 		otaDeductionComponents: verifiedAgodaDeductionEvidence
 			? agodaFields.otaDeductionComponents || []
 			: [],
@@ -10164,7 +10295,10 @@ function verifiedExplicitOtaCommissionSourceAmount(normalized = {}) {
 		(provider === "agoda" &&
 			transport === "agoda" &&
 			normalized.otaCommissionSource === "agoda_commission" &&
-			normalized.otaDeductionConflict !== true);
+			normalized.otaDeductionConflict !== true) ||
+		(provider === "booking" &&
+			transport === "booking" &&
+			normalized.otaCommissionSource === "booking_commission");
 	if (
 		!supportedSource ||
 		normalized.sourceSenderAuthenticated !== true ||
@@ -20673,6 +20807,8 @@ function buildUnmappedOtaReviewReservationDocument(normalized = {}) {
 
 module.exports = {
 	PROVIDER_LABELS,
+	OTA_EMAIL_PARSER_VERSIONS,
+	otaEmailParserVersion,
 	DATED_RECOVERY_CONVERSION_POLICY_DATE,
 	DATED_RECOVERY_CONVERSION_REPAIR_ID,
 	DATED_RECOVERY_TRIP_SCOPE,
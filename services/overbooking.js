@@ -0,0 +1,358 @@
+"use strict";
+
+const moment = require("moment");
+
+class OverbookingError extends Error {
+	constructor(message, code = "overbooking_invalid", statusCode = 400) {
+		super(message);
+		this.name = "OverbookingError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const RELOCATED_RESERVATION_STATUS = "relocated";
+const WALK_EXPENSE_LABEL = "Walked guest relocation";
+const WALK_BLOCKED_STATUS_REGEX =
+	/cancel|reject|void|no[_\s-]?show|relocat|checked[_\s-]?out|checkedout|in[_\s-]?house|checked[_\s-]?in/i;
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Number(number.toFixed(2)) : 0;
+};
+
+const normalizeKey = (value) =>
+	String(value || "")
+		.replace(/[\u2013\u2014\u2212]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+
+const parseDay = (value) => {
+	if (!value) return null;
+	const day =
+		typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)
+			? moment.utc(value.slice(0, 10), "YYYY-MM-DD", true)
+			: moment.utc(new Date(value));
+	return day.isValid() ? day.startOf("day") : null;
+};
+
+const roomOverbookingLimit = (detail = {}) => {
+	const limit = Math.floor(Number(detail?.overbookingLimit));
+	return Number.isFinite(limit) && limit > 0 ? limit : 0;
+};
+
+// `available` may already be negative when the room type is oversold, so the
+// overage is measured against the raw figure.
+const classifyInventoryOverage = ({
+	available = 0,
+	requested = 0,
+	overbookingLimit = 0,
+} = {}) => {
+	const overage = Math.max(Number(requested) - Number(available), 0);
+	const limit = Math.max(Math.floor(Number(overbookingLimit) || 0), 0);
+	return {
+		overage,
+		overbooked: overage > 0,
+		withinLimit: overage > 0 && overage <= limit,
+	};
+};
+
+const roomDetailMatches = (detail = {}, entry = {}) => {
+	if (entry._id && String(detail._id || "") === String(entry._id)) return true;
+	const wanted = normalizeKey(entry.displayName || entry.roomType || entry.room_type);
+	if (!wanted) return false;
+	return [detail.displayName, detail.roomType, detail.room_type].some(
+		(value) => normalizeKey(value) === wanted
+	);
+};
+
+const normalizeOverbookingLimits = (limits = [], hotel = {}) => {
+	if (!Array.isArray(limits) || !limits.length) {
+		throw new OverbookingError(
+			"At least one room type limit is required.",
+			"overbooking_limits_required"
+		);
+	}
+	const details = Array.isArray(hotel?.roomCountDetails)
+		? hotel.roomCountDetails
+		: [];
+	return limits.map((entry = {}) => {
+		const index = details.findIndex((detail) => roomDetailMatches(detail, entry));
+		if (index < 0) {
+			throw new OverbookingError(
+				`Room type ${entry.displayName || entry.roomType || entry._id || ""} was not found on this hotel.`,
+				"overbooking_room_type_unknown"
+			);
+		}
+		const detail = details[index];
+		const limit = Number(entry.overbookingLimit);
+		if (!Number.isInteger(limit) || limit < 0) {
+			throw new OverbookingError(
+				"Overbooking limit must be a whole number of rooms (0 or more).",
+				"overbooking_limit_invalid"
+			);
+		}
+		const count = Math.max(Number(detail.count) || 0, 0);
+		if (limit > count) {
+			throw new OverbookingError(
+				`${detail.displayName || detail.roomType} has ${count} room(s); the overbooking limit cannot exceed that.`,
+				"overbooking_limit_exceeds_capacity"
+			);
+		}
+		return {
+			index,
+			_id: detail._id,
+			roomType: detail.roomType || "",
+			displayName: detail.displayName || "",
+			from: roomOverbookingLimit(detail),
+			overbookingLimit: limit,
+		};
+	});
+};
+
+const buildOversoldDatesReport = (calendar = {}) => {
+	const warnings = Array.isArray(calendar?.summary?.warnings)
+		? calendar.summary.warnings
+		: [];
+	const byDate = new Map();
+	let oversoldRoomNights = 0;
+	let beyondLimitRoomNights = 0;
+	warnings.forEach((warning) => {
+		const overage = Number(warning.overage) || 0;
+		if (overage <= 0) return;
+		const limit = Number(warning.overbookingLimit) || 0;
+		const beyondLimit = Math.max(overage - limit, 0);
+		oversoldRoomNights += overage;
+		beyondLimitRoomNights += beyondLimit;
+		if (!byDate.has(warning.date)) {
+			byDate.set(warning.date, {
+				date: warning.date,
+				overage: 0,
+				beyondLimit: 0,
+				rooms: [],
+			});
+		}
+		const day = byDate.get(warning.date);
+		day.overage += overage;
+		day.beyondLimit += beyondLimit;
+		day.rooms.push({
+			roomKey: warning.roomKey,
+			roomType: warning.roomType,
+			booked: warning.booked,
+			capacity: warning.capacity,
+			overage,
+			overbookingLimit: limit,
+			beyondLimit,
+		});
+	});
+	const dates = Array.from(byDate.values()).sort((a, b) =>
+		a.date.localeCompare(b.date)
+	);
+	return {
+		dates,
+		totals: {
+			oversoldDates: dates.length,
+			oversoldRoomNights,
+			beyondLimitRoomNights,
+		},
+	};
+};
+
+const stayNightCount = (reservation = {}) => {
+	const checkin = parseDay(reservation.checkin_date);
+	const checkout = parseDay(reservation.checkout_date);
+	if (!checkin || !checkout) return 0;
+	return Math.max(checkout.diff(checkin, "days"), 0);
+};
+
+const normalizeWalkInput = (input = {}, reservation = {}) => {
+	const status = String(
+		reservation.reservation_status || reservation.state || ""
+	).toLowerCase();
+	if (WALK_BLOCKED_STATUS_REGEX.test(status)) {
+		throw new OverbookingError(
+			`A reservation with status "${status}" cannot be walked.`,
+			"walk_reservation_closed",
+			409
+		);
+	}
+
+	const partner = input.partnerHotel || {};
+	const partnerName = String(partner.name || "").trim();
+	if (!partnerName) {
+		throw new OverbookingError(
+			"Partner hotel name is required.",
+			"walk_partner_required"
+		);
+	}
+
+	const stayNights = stayNightCount(reservation);
+	if (!stayNights) {
+		throw new OverbookingError(
+			"Reservation stay dates are invalid.",
+			"walk_stay_invalid"
+		);
+	}
+	const checkin = parseDay(reservation.checkin_date);
+	const walkDay = parseDay(input.walkDate) || checkin;
+	const offset = walkDay.diff(checkin, "days");
+	if (offset < 0 || offset >= stayNights) {
+		throw new OverbookingError(
+			"Walk date must fall within the reservation stay.",
+			"walk_date_outside_stay"
+		);
+	}
+	const remainingNights = stayNights - offset;
+	const nights =
+		input.nights === undefined || input.nights === null || input.nights === ""
+			? remainingNights
+			: Number(input.nights);
+	if (!Number.isInteger(nights) || nights < 1 || nights > remainingNights) {
+		throw new OverbookingError(
+			`Walked nights must be between 1 and ${remainingNights}.`,
+			"walk_nights_invalid"
+		);
+	}
+
+	const walkedNights = Array.from({ length: nights }, (_, index) =>
+		walkDay.clone().add(index, "days").format("YYYY-MM-DD")
+	);
+	const alreadyWalked = walkedNights.filter((night) =>
+		(reservation.walkedNights || []).includes(night)
+	);
+	if (alreadyWalked.length) {
+		throw new OverbookingError(
+			`The guest was already walked on ${alreadyWalked.join(", ")}.`,
+			"walk_already_recorded",
+			409
+		);
+	}
+
+	const costInput = input.cost || {};
+	const cost = {};
+	["room", "transport", "other"].forEach((field) => {
+		const value = Number(costInput[field] || 0);
+		if (!Number.isFinite(value) || value < 0) {
+			throw new OverbookingError(
+				`Walk ${field} cost is invalid.`,
+				"walk_cost_invalid"
+			);
+		}
+		cost[field] = n2(value);
+	});
+	cost.total = n2(cost.room + cost.transport + cost.other);
+	cost.currency = String(costInput.currency || "SAR").trim().toUpperCase();
+
+	const receipt = input.receipt || null;
+	if (cost.total > 0 && (!receipt || !receipt.url || !receipt.public_id)) {
+		throw new OverbookingError(
+			"Receipt upload is required to record the relocation cost.",
+			"walk_receipt_required"
+		);
+	}
+
+	const fullStay = offset === 0 && nights === stayNights;
+	return {
+		partnerHotel: {
+			hotelId: partner.hotelId || null,
+			name: partnerName,
+			address: String(partner.address || "").trim(),
+			phone: String(partner.phone || "").trim(),
+			confirmationNumber: String(partner.confirmationNumber || "").trim(),
+		},
+		walkDate: walkDay.toDate(),
+		returnDate: fullStay ? null : walkDay.clone().add(nights, "days").toDate(),
+		nights,
+		walkedNights,
+		fullStay,
+		cost,
+		receipt,
+		reason: String(input.reason || "").trim(),
+		notifyGuest: input.notifyGuest !== false,
+	};
+};
+
+const buildWalkExpensePayload = (walk = {}, reservation = {}, actorId = null) => ({
+	label: WALK_EXPENSE_LABEL,
+	description: [
+		`Reservation ${reservation.confirmation_number || reservation._id || ""}`,
+		`${walk.nights} night(s) at ${walk.partnerHotel?.name || ""}`,
+		walk.reason,
+	]
+		.filter(Boolean)
+		.join(" - "),
+	amount: walk.cost.total,
+	paid_amount: walk.cost.total,
+	currency: walk.cost.currency,
+	receipt: {
+		public_id: String(walk.receipt.public_id).trim(),
+		url: String(walk.receipt.url).trim(),
+		fileName: walk.receipt.fileName ? String(walk.receipt.fileName).trim() : "",
+		fileType: walk.receipt.fileType ? String(walk.receipt.fileType).trim() : "",
+	},
+	hotelId: reservation.hotelId,
+	expenseDate: walk.walkDate,
+	...(actorId ? { createdBy: actorId, updatedBy: actorId } : {}),
+});
+
+const buildWalkAuditEntry = ({
+	actorSnapshot = {},
+	walk = {},
+	walkId = null,
+	from = null,
+	to = null,
+	at = new Date(),
+} = {}) => ({
+	at,
+	action: "guest_walked",
+	field: "reservation_status",
+	by: {
+		_id: actorSnapshot._id || undefined,
+		name: actorSnapshot.name || "System",
+		role: actorSnapshot.role || "system",
+	},
+	from,
+	to,
+	note: [
+		`Walked to ${walk.partnerHotel?.name || "partner hotel"}`,
+		`${walk.nights} night(s) from ${moment.utc(walk.walkDate).format("YYYY-MM-DD")}`,
+		walk.cost?.total ? `cost ${walk.cost.total} ${walk.cost.currency}` : "",
+		walkId ? `walk ${walkId}` : "",
+	]
+		.filter(Boolean)
+		.join("; "),
+});
+
+const buildLimitAuditEntry = ({ actorSnapshot = {}, changes = [], at = new Date() } = {}) => ({
+	at,
+	action: "overbooking_limits_updated",
+	field: "roomCountDetails.overbookingLimit",
+	by: {
+		_id: actorSnapshot._id || undefined,
+		name: actorSnapshot.name || "System",
+		role: actorSnapshot.role || "system",
+	},
+	from: changes.map((change) => ({ _id: change._id, overbookingLimit: change.from })),
+	to: changes.map((change) => ({ _id: change._id, overbookingLimit: change.overbookingLimit })),
+	note: changes
+		.map(
+			(change) =>
+				`${change.displayName || change.roomType} ${change.from} -> ${change.overbookingLimit}`
+		)
+		.join("; "),
+});
+
+module.exports = {
+	OverbookingError,
+	RELOCATED_RESERVATION_STATUS,
+	WALK_EXPENSE_LABEL,
+	buildLimitAuditEntry,
+	buildOversoldDatesReport,
+	buildWalkAuditEntry,
+	buildWalkExpensePayload,
+	classifyInventoryOverage,
+	normalizeOverbookingLimits,
+	normalizeWalkInput,
+	roomOverbookingLimit,
+};
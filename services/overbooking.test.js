@@ -0,0 +1,206 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	OverbookingError,
+	buildLimitAuditEntry,
+	buildOversoldDatesReport,
+	buildWalkAuditEntry,
+	buildWalkExpensePayload,
+	classifyInventoryOverage,
+	normalizeOverbookingLimits,
+	normalizeWalkInput,
+} = require("./overbooking");
+const { shouldCountReservationForInventory } = require("./reservationStatus");
+
+const reservation = {
+	_id: "65a0000000000000000000a1",
+	hotelId: "65a0000000000000000000b1",
+	confirmation_number: "1234567890",
+	reservation_status: "confirmed",
+	checkin_date: new Date("2026-12-01T00:00:00.000Z"),
+	checkout_date: new Date("2026-12-04T00:00:00.000Z"),
+};
+
+test("overage within the room type limit is allowed, beyond it is not", () => {
+	assert.deepEqual(
+		classifyInventoryOverage({ available: 0, requested: 2, overbookingLimit: 2 }),
+		{ overage: 2, overbooked: true, withinLimit: true }
+	);
+	assert.deepEqual(
+		classifyInventoryOverage({ available: -1, requested: 2, overbookingLimit: 2 }),
+		{ overage: 3, overbooked: true, withinLimit: false }
+	);
+	assert.deepEqual(
+		classifyInventoryOverage({ available: 3, requested: 2, overbookingLimit: 0 }),
+		{ overage: 0, overbooked: false, withinLimit: false }
+	);
+});
+
+test("limits are matched to hotel room types and capped at the room count", () => {
+	const hotel = {
+		roomCountDetails: [
+			{ _id: "d1", roomType: "doubleRooms", displayName: "Double Room", count: 10 },
+			{ _id: "t1", roomType: "tripleRooms", displayName: "Triple Room", count: 4, overbookingLimit: 1 },
+		],
+	};
+	const changes = normalizeOverbookingLimits(
+		[
+			{ displayName: "double  room", overbookingLimit: 3 },
+			{ _id: "t1", overbookingLimit: 0 },
+		],
+		hotel
+	);
+	assert.deepEqual(
+		changes.map((change) => [change.index, change.from, change.overbookingLimit]),
+		[
+			[0, 0, 3],
+			[1, 1, 0],
+		]
+	);
+	assert.throws(
+		() => normalizeOverbookingLimits([{ _id: "t1", overbookingLimit: 5 }], hotel),
+		(error) =>
+			error instanceof OverbookingError &&
+			error.code === "overbooking_limit_exceeds_capacity"
+	);
+	assert.throws(
+		() => normalizeOverbookingLimits([{ roomType: "suite", overbookingLimit: 1 }], hotel),
+		{ code: "overbooking_room_type_unknown" }
+	);
+	assert.throws(
+		() => normalizeOverbookingLimits([{ _id: "d1", overbookingLimit: 1.5 }], hotel),
+		{ code: "overbooking_limit_invalid" }
+	);
+
+	const entry = buildLimitAuditEntry({
+		actorSnapshot: { _id: "u1", name: "Manager", role: 2000 },
+		changes,
+	});
+	assert.equal(entry.action, "overbooking_limits_updated");
+	assert.deepEqual(entry.to, [
+		{ _id: "d1", overbookingLimit: 3 },
+		{ _id: "t1", overbookingLimit: 0 },
+	]);
+	assert.equal(entry.note, "Double Room 0 -> 3; Triple Room 1 -> 0");
+});
+
+test("oversold report groups calendar warnings by date", () => {
+	const report = buildOversoldDatesReport({
+		summary: {
+			warnings: [
+				{ date: "2026-12-02", roomKey: "double room", roomType: "Double Room", booked: 12, capacity: 10, overage: 2, overbookingLimit: 3 },
+				{ date: "2026-12-01", roomKey: "double room", roomType: "Double Room", booked: 14, capacity: 10, overage: 4, overbookingLimit: 3 },
+				{ date: "2026-12-01", roomKey: "triple room", roomType: "Triple Room", booked: 5, capacity: 4, overage: 1, overbookingLimit: 0 },
+			],
+		},
+	});
+	assert.deepEqual(
+		report.dates.map((day) => [day.date, day.overage, day.beyondLimit, day.rooms.length]),
+		[
+			["2026-12-01", 5, 2, 2],
+			["2026-12-02", 2, 0, 1],
+		]
+	);
+	assert.deepEqual(report.totals, {
+		oversoldDates: 2,
+		oversoldRoomNights: 7,
+		beyondLimitRoomNights: 2,
+	});
+});
+
+test("walk input covers the rest of the stay and requires a receipt for costs", () => {
+	const fullStay = normalizeWalkInput(
+		{
+			partnerHotel: { name: " Partner Hotel " },
+			cost: { room: "900", transport: 50 },
+			receipt: { public_id: "r1", url: "https://example.com/r1.pdf" },
+		},
+		reservation
+	);
+	assert.equal(fullStay.nights, 3);
+	assert.equal(fullStay.fullStay, true);
+	assert.equal(fullStay.returnDate, null);
+	assert.equal(fullStay.partnerHotel.name, "Partner Hotel");
+	assert.deepEqual(fullStay.cost, {
+		room: 900,
+		transport: 50,
+		other: 0,
+		total: 950,
+		currency: "SAR",
+	});
+
+	const partial = normalizeWalkInput(
+		{ partnerHotel: { name: "Partner" }, walkDate: "2026-12-02", nights: 1 },
+		reservation
+	);
+	assert.equal(partial.fullStay, false);
+	assert.equal(partial.returnDate.toISOString(), "2026-12-03T00:00:00.000Z");
+	assert.deepEqual(partial.walkedNights, ["2026-12-02"]);
+	assert.deepEqual(fullStay.walkedNights, ["2026-12-01", "2026-12-02", "2026-12-03"]);
+	assert.throws(
+		() =>
+			normalizeWalkInput(
+				{ partnerHotel: { name: "Partner" }, walkDate: "2026-12-01", nights: 2 },
+				{ ...reservation, walkedNights: ["2026-12-02"] }
+			),
+		{ code: "walk_already_recorded", statusCode: 409 }
+	);
+
+	assert.throws(
+		() => normalizeWalkInput({ partnerHotel: { name: "Partner" }, cost: { room: 100 } }, reservation),
+		{ code: "walk_receipt_required" }
+	);
+	assert.throws(
+		() => normalizeWalkInput({ partnerHotel: { name: "Partner" }, walkDate: "2026-12-03", nights: 2 }, reservation),
+		{ code: "walk_nights_invalid" }
+	);
+	assert.throws(
+		() => normalizeWalkInput({ partnerHotel: { name: "Partner" } }, { ...reservation, reservation_status: "inhouse" }),
+		{ code: "walk_reservation_closed", statusCode: 409 }
+	);
+});
+
+test("walk expense and audit entry reference the reservation", () => {
+	const walk = normalizeWalkInput(
+		{
+			partnerHotel: { name: "Partner" },
+			cost: { room: 600 },
+			reason: "Oversold",
+			receipt: { public_id: "r1", url: "https://example.com/r1.pdf" },
+		},
+		reservation
+	);
+	const expense = buildWalkExpensePayload(walk, reservation, "u1");
+	assert.equal(expense.label, "Walked guest relocation");
+	assert.equal(expense.amount, 600);
+	assert.equal(expense.hotelId, reservation.hotelId);
+	assert.equal(expense.createdBy, "u1");
+	assert.match(expense.description, /1234567890.*3 night\(s\) at Partner.*Oversold/);
+
+	const entry = buildWalkAuditEntry({
+		actorSnapshot: { _id: "u1", name: "Desk", role: 3000 },
+		walk,
+		walkId: "w1",
+		from: "confirmed",
+		to: "relocated",
+	});
+	assert.equal(entry.action, "guest_walked");
+	assert.equal(entry.to, "relocated");
+	assert.equal(
+		entry.note,
+		"Walked to Partner; 3 night(s) from 2026-12-01; cost 600 SAR; walk w1"
+	);
+});
+
+test("relocated reservations no longer hold inventory", () => {
+	assert.equal(
+		shouldCountReservationForInventory({ reservation_status: "relocated" }),
+		false
+	);
+	assert.equal(
+		shouldCountReservationForInventory({ reservation_status: "confirmed" }),
+		true
+	);
+});
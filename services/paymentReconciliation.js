@@ -164,6 +164,59 @@ const effectivePaymentReconciliation = (reservation = {}, key) => {
 	};
 };
 
+// A penalty is the amount the hotel keeps when a policy-bound reservation is
+// cancelled or marked no-show; whatever was collected beyond it is refundable.
+const summarizeCancellationPenalty = (reservation = {}) => {
+	const penalty = reservation?.cancellationPenalty;
+	if (!penalty || typeof penalty !== "object" || !penalty.kind) return null;
+	const assessedCents = Math.max(moneyToCents(penalty.amount), 0);
+	const paidCents = Math.max(moneyToCents(penalty.paidAmount), 0);
+	const refundableCents = Math.max(paidCents - assessedCents, 0);
+	const outstandingCents = Math.max(assessedCents - paidCents, 0);
+	return {
+		kind: String(penalty.kind),
+		rule: String(penalty.rule || ""),
+		policyName: String(penalty.policyName || ""),
+		assessedAt: penalty.assessedAt || null,
+		assessedAmount: assessedCents / 100,
+		assessedAmountCents: assessedCents,
+		paidAmount: paidCents / 100,
+		paidAmountCents: paidCents,
+		refundableAmount: refundableCents / 100,
+		refundableAmountCents: refundableCents,
+		outstandingAmount: outstandingCents / 100,
+		outstandingAmountCents: outstandingCents,
+	};
+};
+
+// Refund snapshots are written by the refund flow with a negative amount and
+// start as waiting until finance matches them to the gateway payout.
+const summarizeRefundReconciliation = (reservation = {}) => {
+	const refunds = reservation?.payment_reconciliation?.refunds;
+	const entries =
+		refunds && typeof refunds === "object" && !Array.isArray(refunds)
+			? Object.values(refunds).filter(
+					(entry) => entry && typeof entry === "object"
+			  )
+			: [];
+	let amountCents = 0;
+	let reconciledCents = 0;
+	for (const entry of entries) {
+		const cents = Number.isSafeInteger(entry.amountCents) ? entry.amountCents : 0;
+		amountCents += cents;
+		if (entry.status === "reconciled") reconciledCents += cents;
+	}
+	return {
+		count: entries.length,
+		amount: amountCents / 100,
+		amountCents,
+		reconciledAmount: reconciledCents / 100,
+		reconciledAmountCents: reconciledCents,
+		waitingAmount: (amountCents - reconciledCents) / 100,
+		waitingAmountCents: amountCents - reconciledCents,
+	};
+};
+
 const summarizeReservationReconciliation = (
 	reservation = {},
 	selectedKeys = PAYMENT_BREAKDOWN_KEYS
@@ -206,6 +259,8 @@ const summarizeReservationReconciliation = (
 		reconciledAmountCents,
 		waitingAmount: waitingAmountCents / 100,
 		waitingAmountCents,
+		cancellationPenalty: summarizeCancellationPenalty(reservation),
+		refunds: summarizeRefundReconciliation(reservation),
 	};
 };
 
@@ -493,6 +548,8 @@ module.exports = {
 	paymentAmountCents,
 	paymentAmountCentsExpression,
 	resolveCompletePricingBreakdownClientTotal,
+	summarizeCancellationPenalty,
 	summarizeReconciliationReservations,
+	summarizeRefundReconciliation,
 	summarizeReservationReconciliation,
 };
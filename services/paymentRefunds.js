@@ -0,0 +1,416 @@
+"use strict";
+
+const crypto = require("crypto");
+const { getVerifiedBofaCaptureSummary } = require("./bofaCaptureSummary");
+
+class PaymentRefundError extends Error {
+	constructor(message, code = "refund_invalid", statusCode = 400) {
+		super(message);
+		this.name = "PaymentRefundError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const REFUND_GATEWAYS = Object.freeze(["paypal", "bofa", "stripe", "square"]);
+// Refunds are stored as a negative running total next to the positive payment
+// categories, so summing paid_amount_breakdown yields the net amount collected.
+const REFUND_BREAKDOWN_KEY = "refunded_amount";
+const REFUND_PENDING_STATUS = "pending";
+const REFUND_COMPLETED_STATUS = "completed";
+const REFUND_FAILED_STATUS = "failed";
+// Captured into the platform's own PayPal and Stripe accounts, so only
+// platform finance may send that money back.
+const PLATFORM_REFUND_GATEWAYS = Object.freeze(["paypal", "stripe"]);
+// Gateways answer "PENDING" while the refund is still being processed; the
+// ledger entry stays pending until one of these comes back.
+const REFUND_CONFIRMED_GATEWAY_STATUSES = Object.freeze(["COMPLETED", "SUCCEEDED", "RECORDED"]);
+const REFUND_REJECTED_GATEWAY_STATUSES = Object.freeze(["CANCELED", "CANCELLED", "FAILED", "REJECTED"]);
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+};
+
+const clean = (value, max = 200) =>
+	String(value == null ? "" : value)
+		.trim()
+		.slice(0, max);
+
+const capturedPayPalEntry = (entry) =>
+	Boolean(
+		entry?.capture_id &&
+			!["DECLINED", "FAILED", "PENDING", "VOIDED"].includes(
+				clean(entry.capture_status || entry.status, 30).toUpperCase()
+			)
+	);
+
+/**
+ * Lists every gateway capture on a reservation that can still be refunded,
+ * with what has already been refunded (or is in flight) against it.
+ */
+const collectRefundableCaptures = (reservation = {}) => {
+	const captures = [];
+	const paypal = reservation.paypal_details || {};
+	[paypal.initial, ...(Array.isArray(paypal.mit) ? paypal.mit : [])]
+		.filter(capturedPayPalEntry)
+		.forEach((entry) => {
+			if (captures.some((capture) => capture.captureId === entry.capture_id)) {
+				return;
+			}
+			captures.push({
+				gateway: "paypal",
+				captureId: clean(entry.capture_id, 100),
+				amount: n2(entry.amount),
+				currency: clean(entry.currency || "USD", 3).toUpperCase(),
+				amountSar: entry.amount_sar ? n2(entry.amount_sar) : null,
+				capturedAt: entry.completed_at || entry.created_at || null,
+			});
+		});
+
+	const bofa = getVerifiedBofaCaptureSummary(reservation);
+	if (bofa?.transactionId) {
+		captures.push({
+			gateway: "bofa",
+			captureId: bofa.transactionId,
+			amount: n2(bofa.amountUsd),
+			currency: "USD",
+			amountSar: n2(reservation.bofa_payment?.vcc?.total_captured_sar) || null,
+			capturedAt: bofa.capturedAt,
+		});
+	}
+
+	const details = reservation.payment_details || {};
+	const transactionId = clean(details.transactionId, 100);
+	if (transactionId && /^pi_/.test(transactionId)) {
+		captures.push({
+			gateway: "stripe",
+			captureId: transactionId,
+			amount: n2(details.amount),
+			currency: clean(details.currency || "USD", 3).toUpperCase(),
+			amountSar: n2(reservation.paid_amount) || null,
+			capturedAt: details.createdAt ? new Date(details.createdAt * 1000) : null,
+		});
+	} else if (transactionId && reservation.payment === "collected_square") {
+		captures.push({
+			gateway: "square",
+			captureId: transactionId,
+			amount: n2(details.amount),
+			currency: clean(details.currency || "SAR", 3).toUpperCase(),
+			amountSar: null,
+			capturedAt: null,
+		});
+	}
+
+	const ledger = Array.isArray(reservation.payment_refunds)
+		? reservation.payment_refunds
+		: [];
+	return captures.map((capture) => {
+		const refunded = ledger
+			.filter(
+				(entry) =>
+					entry.gateway === capture.gateway &&
+					entry.captureId === capture.captureId &&
+					entry.status !== REFUND_FAILED_STATUS
+			)
+			.reduce((sum, entry) => sum + n2(entry.gatewayAmount), 0);
+		return {
+			...capture,
+			refundedAmount: n2(refunded),
+			refundableAmount: n2(Math.max(capture.amount - refunded, 0)),
+		};
+	});
+};
+
+/**
+ * Validates a refund request against the reservation's captures. Amounts are
+ * in the capture's currency; the SAR figure for the ledger is prorated from
+ * the capture when it was recorded, otherwise it must be supplied.
+ */
+const normalizeRefundInput = (input = {}, reservation = {}) => {
+	if (
+		(Array.isArray(reservation.payment_refunds)
+			? reservation.payment_refunds
+			: []
+		).some((entry) => entry.status === REFUND_PENDING_STATUS)
+	) {
+		throw new PaymentRefundError(
+			"Another refund on this reservation is still in progress or needs review.",
+			"refund_in_progress",
+			409
+		);
+	}
+	const captures = collectRefundableCaptures(reservation);
+	const gateway = clean(input.gateway, 20).toLowerCase();
+	if (gateway && !REFUND_GATEWAYS.includes(gateway)) {
+		throw new PaymentRefundError(
+			`Gateway must be one of ${REFUND_GATEWAYS.join(", ")}.`,
+			"refund_gateway_invalid"
+		);
+	}
+	const candidates = captures.filter(
+		(capture) =>
+			(!gateway || capture.gateway === gateway) &&
+			(!input.captureId || capture.captureId === clean(input.captureId, 100))
+	);
+	if (!candidates.length) {
+		throw new PaymentRefundError(
+			"No matching gateway payment was found on this reservation.",
+			"refund_capture_not_found",
+			404
+		);
+	}
+	if (candidates.length > 1) {
+		throw new PaymentRefundError(
+			"This reservation has several payments; choose the capture to refund.",
+			"refund_capture_ambiguous"
+		);
+	}
+	const capture = candidates[0];
+
+	const full = input.amount === undefined || input.amount === null || input.amount === "";
+	const amount = full ? capture.refundableAmount : n2(input.amount);
+	if (!(amount > 0)) {
+		throw new PaymentRefundError(
+			"Refund amount must be greater than zero.",
+			"refund_amount_invalid"
+		);
+	}
+	if (amount > capture.refundableAmount + 1e-9) {
+		throw new PaymentRefundError(
+			`Only ${capture.refundableAmount} ${capture.currency} is left to refund on this payment.`,
+			"refund_amount_exceeds_capture"
+		);
+	}
+
+	let amountSar = n2(input.amountSar);
+	if (!(amountSar > 0)) {
+		if (capture.currency === "SAR") {
+			amountSar = amount;
+		} else if (capture.amountSar && capture.amount > 0) {
+			amountSar = n2((capture.amountSar * amount) / capture.amount);
+		} else {
+			throw new PaymentRefundError(
+				"The SAR equivalent of this refund is required.",
+				"refund_amount_sar_required"
+			);
+		}
+	}
+
+	// Secure Acceptance only takes payments; BofA credits are issued in the
+	// Business Center and recorded here against the credit's request id.
+	const gatewayReference = clean(input.gatewayReference, 100);
+	if (capture.gateway === "bofa" && !gatewayReference) {
+		throw new PaymentRefundError(
+			"Enter the Business Center credit reference for this BofA refund.",
+			"refund_gateway_reference_required"
+		);
+	}
+
+	return {
+		capture,
+		amount,
+		amountSar,
+		full: full || amount === capture.refundableAmount,
+		reason: clean(input.reason, 500),
+		gatewayReference,
+	};
+};
+
+const buildRefundLedgerEntry = (refund = {}, { actor = null, at = new Date() } = {}) => ({
+	_id: crypto.randomUUID(),
+	gateway: refund.capture.gateway,
+	captureId: refund.capture.captureId,
+	gatewayAmount: refund.amount,
+	gatewayCurrency: refund.capture.currency,
+	amountSar: refund.amountSar,
+	full: refund.full,
+	reason: refund.reason,
+	status: REFUND_PENDING_STATUS,
+	refundId: refund.gatewayReference || "",
+	gatewayStatus: "",
+	error: "",
+	requestedAt: at,
+	completedAt: null,
+	by: actor,
+});
+
+const refundAuditEntry = (entry = {}, at = new Date()) => ({
+	at,
+	action: "payment_refunded",
+	field: `paid_amount_breakdown.${REFUND_BREAKDOWN_KEY}`,
+	by: {
+		_id: entry.by?._id || undefined,
+		name: entry.by?.name || "System",
+		role: entry.by?.role || "system",
+	},
+	from: null,
+	to: -entry.amountSar,
+	note: `${entry.full ? "Full" : "Partial"} ${entry.gateway} refund of ${entry.gatewayAmount} ${entry.gatewayCurrency} (${entry.amountSar} SAR) on ${entry.captureId}${entry.refundId ? `; refund ${entry.refundId}` : ""}${entry.reason ? `; ${entry.reason}` : ""}`,
+});
+
+/**
+ * The lock filter for pushing a new ledger entry. Entries are only ever
+ * appended, so an unchanged ledger length means the refundable amounts the
+ * request was validated against still hold when the entry lands.
+ */
+const buildRefundLockFilter = (reservation = {}) => {
+	const count = Array.isArray(reservation.payment_refunds)
+		? reservation.payment_refunds.length
+		: 0;
+	return {
+		_id: reservation._id,
+		"payment_refunds.status": { $ne: REFUND_PENDING_STATUS },
+		...(count
+			? { payment_refunds: { $size: count } }
+			: {
+					$or: [
+						{ payment_refunds: { $exists: false } },
+						{ payment_refunds: { $size: 0 } },
+					],
+			  }),
+	};
+};
+
+// A thrown gateway call only proves the refund did not happen when the
+// gateway itself answered with a client error (bad capture, amount too high,
+// declined). Timeouts, dropped connections, 5xx, 408/409/429 and anything
+// without a status may have paid out, so those entries stay pending for sync
+// or manual review instead of freeing the amount for another refund.
+const isDefinitiveRefundRejection = (error = {}) => {
+	if (error instanceof PaymentRefundError) return true;
+	const status = Number(
+		error?.response?.status ?? error?.statusCode ?? error?.status ?? error?.raw?.statusCode
+	);
+	return (
+		Number.isInteger(status) &&
+		status >= 400 &&
+		status < 500 &&
+		![408, 409, 429].includes(status)
+	);
+};
+
+const refundGatewayOutcome = (gatewayStatus = "") => {
+	const status = clean(gatewayStatus, 40).toUpperCase();
+	if (REFUND_CONFIRMED_GATEWAY_STATUSES.includes(status)) return REFUND_COMPLETED_STATUS;
+	if (REFUND_REJECTED_GATEWAY_STATUSES.includes(status)) return REFUND_FAILED_STATUS;
+	return REFUND_PENDING_STATUS;
+};
+
+/**
+ * Settles a pending ledger entry once the gateway has answered. A refund the
+ * gateway is still processing only records its id and status; a confirmed one
+ * adds its negative amount to the breakdown, takes it off paid_amount and the
+ * PMS-collected figure of the financial cycle in the same update, and opens a
+ * waiting reconciliation snapshot so finance can match it against the payout.
+ */
+const buildRefundSettlementUpdate = (
+	entry = {},
+	{ refundId = "", gatewayStatus = "", error = "", rejected = true, at = new Date() } = {}
+) => {
+	if (error && !rejected) {
+		return {
+			$set: {
+				"payment_refunds.$[refund].needsReview": true,
+				"payment_refunds.$[refund].error": clean(error, 500),
+			},
+		};
+	}
+	const outcome = error ? REFUND_FAILED_STATUS : refundGatewayOutcome(gatewayStatus);
+	if (outcome === REFUND_FAILED_STATUS) {
+		return {
+			$set: {
+				"payment_refunds.$[refund].status": REFUND_FAILED_STATUS,
+				"payment_refunds.$[refund].gatewayStatus": clean(gatewayStatus, 40),
+				"payment_refunds.$[refund].error": clean(
+					error || `The gateway reported the refund as ${clean(gatewayStatus, 40)}.`,
+					500
+				),
+				"payment_refunds.$[refund].completedAt": at,
+			},
+		};
+	}
+	if (outcome === REFUND_PENDING_STATUS) {
+		return {
+			$set: {
+				"payment_refunds.$[refund].refundId": refundId || entry.refundId,
+				"payment_refunds.$[refund].gatewayStatus": clean(gatewayStatus, 40),
+			},
+		};
+	}
+	const settled = {
+		...entry,
+		status: REFUND_COMPLETED_STATUS,
+		refundId: refundId || entry.refundId,
+	};
+	const amountCents = -Math.round(n2(entry.amountSar) * 100);
+	const update = {
+		$set: {
+			"payment_refunds.$[refund].status": REFUND_COMPLETED_STATUS,
+			"payment_refunds.$[refund].refundId": settled.refundId,
+			"payment_refunds.$[refund].gatewayStatus": clean(gatewayStatus, 40),
+			"payment_refunds.$[refund].completedAt": at,
+			paid_amount_breakdown_updated_at: at,
+			[`payment_reconciliation.refunds.${entry._id}`]: {
+				status: "waiting",
+				amountCents,
+				gateway: entry.gateway,
+				refundId: settled.refundId,
+				updatedAt: at,
+				updatedBy: entry.by || null,
+			},
+			"payment_reconciliation.lastUpdatedAt": at,
+			"payment_reconciliation.lastUpdatedBy": entry.by || null,
+			"financial_cycle.lastUpdatedAt": at,
+			"financial_cycle.lastUpdatedBy": entry.by?._id || null,
+		},
+		$inc: {
+			[`paid_amount_breakdown.${REFUND_BREAKDOWN_KEY}`]: -n2(entry.amountSar),
+			paid_amount: -n2(entry.amountSar),
+			"financial_cycle.pmsCollectedAmount": -n2(entry.amountSar),
+		},
+		$push: {
+			adminChangeLog: refundAuditEntry(settled, at),
+			reservationAuditLog: refundAuditEntry(settled, at),
+		},
+	};
+	if (entry.gateway === "paypal") {
+		update.$inc["paypal_details.refunded_total_usd"] = n2(entry.gatewayAmount);
+	}
+	return update;
+};
+
+const summarizeRefunds = (reservation = {}) => {
+	const ledger = Array.isArray(reservation.payment_refunds)
+		? reservation.payment_refunds
+		: [];
+	const completed = ledger.filter((entry) => entry.status === REFUND_COMPLETED_STATUS);
+	const byGateway = {};
+	completed.forEach((entry) => {
+		byGateway[entry.gateway] = n2((byGateway[entry.gateway] || 0) + n2(entry.amountSar));
+	});
+	return {
+		count: completed.length,
+		pendingCount: ledger.filter((entry) => entry.status === REFUND_PENDING_STATUS)
+			.length,
+		totalSar: n2(completed.reduce((sum, entry) => sum + n2(entry.amountSar), 0)),
+		byGateway,
+	};
+};
+
+module.exports = {
+	PLATFORM_REFUND_GATEWAYS,
+	PaymentRefundError,
+	REFUND_BREAKDOWN_KEY,
+	REFUND_COMPLETED_STATUS,
+	REFUND_FAILED_STATUS,
+	REFUND_GATEWAYS,
+	REFUND_PENDING_STATUS,
+	buildRefundLedgerEntry,
+	buildRefundLockFilter,
+	buildRefundSettlementUpdate,
+	collectRefundableCaptures,
+	isDefinitiveRefundRejection,
+	normalizeRefundInput,
+	summarizeRefunds,
+};
@@ -0,0 +1,263 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	PaymentRefundError,
+	buildRefundLedgerEntry,
+	buildRefundLockFilter,
+	buildRefundSettlementUpdate,
+	collectRefundableCaptures,
+	isDefinitiveRefundRejection,
+	normalizeRefundInput,
+	summarizeRefunds,
+} = require("./paymentRefunds");
+const { summarizeRefundReconciliation } = require("./paymentReconciliation");
+const {
+	planPaymentReconciliationInvalidation,
+} = require("./paymentReconciliationInvalidation");
+
+const paypalReservation = (overrides = {}) => ({
+	_id: "65a0000000000000000000a1",
+	confirmation_number: "1234567890",
+	paypal_details: {
+		captured_total_usd: 300,
+		initial: {
+			capture_id: "CAP-1",
+			capture_status: "COMPLETED",
+			amount: "200.00",
+			currency: "USD",
+			amount_sar: 750,
+		},
+		mit: [
+			{ capture_id: "CAP-2", capture_status: "COMPLETED", amount: "100.00", currency: "USD" },
+			{ capture_id: "CAP-3", capture_status: "DECLINED", amount: "50.00", currency: "USD" },
+		],
+	},
+	payment_refunds: [],
+	...overrides,
+});
+
+test("refundable captures net out earlier refunds per capture", () => {
+	const captures = collectRefundableCaptures(
+		paypalReservation({
+			payment_refunds: [
+				{ gateway: "paypal", captureId: "CAP-1", gatewayAmount: 50, status: "completed" },
+				{ gateway: "paypal", captureId: "CAP-1", gatewayAmount: 20, status: "failed" },
+			],
+		})
+	);
+	assert.deepEqual(
+		captures.map((capture) => [capture.captureId, capture.refundedAmount, capture.refundableAmount]),
+		[
+			["CAP-1", 50, 150],
+			["CAP-2", 0, 100],
+		]
+	);
+
+	const stripe = collectRefundableCaptures({
+		payment: "collected_stripe",
+		paid_amount: 375,
+		payment_details: { transactionId: "pi_123", amount: 100, currency: "usd" },
+	});
+	assert.equal(stripe[0].gateway, "stripe");
+	assert.equal(stripe[0].currency, "USD");
+});
+
+test("refund input picks the capture and prorates the SAR amount", () => {
+	assert.throws(
+		() => normalizeRefundInput({ gateway: "paypal", amount: 10 }, paypalReservation()),
+		{ code: "refund_capture_ambiguous" }
+	);
+	const partial = normalizeRefundInput(
+		{ captureId: "CAP-1", amount: 80, reason: "Cancelled within free window" },
+		paypalReservation()
+	);
+	assert.equal(partial.amountSar, 300);
+	assert.equal(partial.full, false);
+
+	const full = normalizeRefundInput({ captureId: "CAP-1" }, paypalReservation());
+	assert.equal(full.amount, 200);
+	assert.equal(full.full, true);
+
+	assert.throws(
+		() => normalizeRefundInput({ captureId: "CAP-2", amount: 20 }, paypalReservation()),
+		{ code: "refund_amount_sar_required" }
+	);
+	assert.throws(
+		() => normalizeRefundInput({ captureId: "CAP-1", amount: 250 }, paypalReservation()),
+		(error) => error instanceof PaymentRefundError && error.code === "refund_amount_exceeds_capture"
+	);
+	assert.throws(
+		() =>
+			normalizeRefundInput(
+				{ captureId: "CAP-1" },
+				paypalReservation({ payment_refunds: [{ gateway: "paypal", captureId: "CAP-2", status: "pending" }] })
+			),
+		{ code: "refund_in_progress", statusCode: 409 }
+	);
+});
+
+test("a completed refund is a negative breakdown entry with a waiting reconciliation", () => {
+	const at = new Date("2026-11-20T09:00:00.000Z");
+	const entry = buildRefundLedgerEntry(
+		normalizeRefundInput({ captureId: "CAP-1", amount: 80, reason: "Goodwill" }, paypalReservation()),
+		{ actor: { _id: "u1", name: "Finance", role: 1000 }, at }
+	);
+	assert.equal(entry.status, "pending");
+
+	const update = buildRefundSettlementUpdate(entry, { refundId: "RF-9", gatewayStatus: "COMPLETED", at });
+	assert.equal(update.$inc["paid_amount_breakdown.refunded_amount"], -300);
+	assert.equal(update.$inc["paypal_details.refunded_total_usd"], 80);
+	assert.deepEqual(update.$set[`payment_reconciliation.refunds.${entry._id}`], {
+		status: "waiting",
+		amountCents: -30000,
+		gateway: "paypal",
+		refundId: "RF-9",
+		updatedAt: at,
+		updatedBy: { _id: "u1", name: "Finance", role: 1000 },
+	});
+	assert.equal(update.$push.reservationAuditLog.action, "payment_refunded");
+	assert.match(update.$push.reservationAuditLog.note, /Partial paypal refund of 80 USD \(300 SAR\) on CAP-1; refund RF-9; Goodwill/);
+
+	// Refunds must not invalidate the payout reconciliation of the original payment.
+	const plan = planPaymentReconciliationInvalidation(update);
+	assert.equal(plan.invalidateAll, false);
+	assert.deepEqual(plan.keys, []);
+
+	const failed = buildRefundSettlementUpdate(entry, { error: "INSTRUMENT_DECLINED" });
+	assert.equal(failed.$set["payment_refunds.$[refund].status"], "failed");
+	assert.equal(failed.$inc, undefined);
+});
+
+test("a completed refund lowers the paid total and reopens the balance", () => {
+	const reservation = paypalReservation({
+		total_amount: 1125,
+		paid_amount: 1125,
+		paid_amount_breakdown: { paid_online_via_link: 1125 },
+		financial_cycle: { collectionModel: "pms_collected", pmsCollectedAmount: 1125 },
+	});
+	const entry = buildRefundLedgerEntry(
+		normalizeRefundInput({ captureId: "CAP-1", amount: 80 }, reservation)
+	);
+	const update = buildRefundSettlementUpdate(entry, { refundId: "RF-9", gatewayStatus: "COMPLETED" });
+	// Apply the top-level and dotted $inc paths the way Mongo would.
+	Object.entries(update.$inc).forEach(([path, amount]) => {
+		const keys = path.split(".");
+		const last = keys.pop();
+		const target = keys.reduce((node, key) => (node[key] = node[key] || {}), reservation);
+		target[last] = (Number(target[last]) || 0) + amount;
+	});
+	assert.equal(reservation.paid_amount, 825);
+	assert.equal(reservation.total_amount - reservation.paid_amount, 300);
+	assert.equal(reservation.paid_amount_breakdown.refunded_amount, -300);
+	assert.equal(reservation.financial_cycle.pmsCollectedAmount, 825);
+});
+
+test("a refund the gateway is still processing stays pending until confirmed", () => {
+	const entry = buildRefundLedgerEntry(
+		normalizeRefundInput({ captureId: "CAP-1", amount: 80 }, paypalReservation())
+	);
+	const pending = buildRefundSettlementUpdate(entry, { refundId: "RF-9", gatewayStatus: "PENDING" });
+	assert.deepEqual(pending, {
+		$set: {
+			"payment_refunds.$[refund].refundId": "RF-9",
+			"payment_refunds.$[refund].gatewayStatus": "PENDING",
+		},
+	});
+	const stripe = buildRefundSettlementUpdate(entry, { refundId: "re_1", gatewayStatus: "succeeded" });
+	assert.equal(stripe.$set["payment_refunds.$[refund].status"], "completed");
+	const cancelled = buildRefundSettlementUpdate(entry, { refundId: "re_1", gatewayStatus: "canceled" });
+	assert.equal(cancelled.$set["payment_refunds.$[refund].status"], "failed");
+	assert.match(cancelled.$set["payment_refunds.$[refund].error"], /canceled/);
+	assert.equal(cancelled.$inc, undefined);
+});
+
+test("only a definitive gateway rejection fails a refund; ambiguous errors stay pending", () => {
+	assert.equal(isDefinitiveRefundRejection({ response: { status: 422 } }), true);
+	assert.equal(isDefinitiveRefundRejection({ statusCode: 400, type: "StripeInvalidRequestError" }), true);
+	assert.equal(isDefinitiveRefundRejection({ response: { status: 503 } }), false);
+	assert.equal(isDefinitiveRefundRejection({ response: { status: 429 } }), false);
+	assert.equal(isDefinitiveRefundRejection({ code: "ECONNABORTED", message: "timeout of 30000ms exceeded" }), false);
+	assert.equal(isDefinitiveRefundRejection(new PaymentRefundError("Unsupported refund gateway.")), true);
+
+	const entry = buildRefundLedgerEntry(
+		normalizeRefundInput({ captureId: "CAP-1", amount: 80 }, paypalReservation())
+	);
+	const ambiguous = buildRefundSettlementUpdate(entry, {
+		error: "socket hang up",
+		rejected: false,
+	});
+	assert.deepEqual(ambiguous, {
+		$set: {
+			"payment_refunds.$[refund].needsReview": true,
+			"payment_refunds.$[refund].error": "socket hang up",
+		},
+	});
+});
+
+test("the refund lock only lands on the ledger the amounts were checked against", () => {
+	assert.deepEqual(buildRefundLockFilter(paypalReservation()), {
+		_id: "65a0000000000000000000a1",
+		"payment_refunds.status": { $ne: "pending" },
+		$or: [{ payment_refunds: { $exists: false } }, { payment_refunds: { $size: 0 } }],
+	});
+	const refunded = paypalReservation({
+		payment_refunds: [{ gateway: "paypal", captureId: "CAP-1", gatewayAmount: 50, status: "completed" }],
+	});
+	assert.deepEqual(buildRefundLockFilter(refunded).payment_refunds, { $size: 1 });
+});
+
+test("BofA refunds need the Business Center credit reference", () => {
+	const reservation = {
+		payment_details: { bofaVccCharged: true, bofaSaAccepted: true },
+		bofa_payment: {
+			secure_acceptance: { status: "accepted", last_response_signature_valid: true },
+			vcc: {
+				charged: true,
+				total_captured_usd: 120,
+				total_captured_sar: 450,
+				last_capture: { decision: "ACCEPT", reason_code: "100", transaction_id: "TX-1", currency: "USD" },
+			},
+		},
+	};
+	assert.throws(() => normalizeRefundInput({ gateway: "bofa" }, reservation), {
+		code: "refund_gateway_reference_required",
+	});
+	const refund = normalizeRefundInput({ gateway: "bofa", gatewayReference: "CR-1" }, reservation);
+	assert.equal(refund.amountSar, 450);
+	assert.equal(buildRefundLedgerEntry(refund).refundId, "CR-1");
+});
+
+test("refund summaries count only completed refunds", () => {
+	assert.deepEqual(
+		summarizeRefunds({
+			payment_refunds: [
+				{ gateway: "paypal", amountSar: 300, status: "completed" },
+				{ gateway: "stripe", amountSar: 100.5, status: "completed" },
+				{ gateway: "paypal", amountSar: 50, status: "failed" },
+				{ gateway: "paypal", amountSar: 10, status: "pending" },
+			],
+		}),
+		{ count: 2, pendingCount: 1, totalSar: 400.5, byGateway: { paypal: 300, stripe: 100.5 } }
+	);
+	assert.deepEqual(
+		summarizeRefundReconciliation({
+			payment_reconciliation: {
+				refunds: {
+					a: { status: "waiting", amountCents: -30000 },
+					b: { status: "reconciled", amountCents: -5000 },
+				},
+			},
+		}),
+		{
+			count: 2,
+			amount: -350,
+			amountCents: -35000,
+			reconciledAmount: -50,
+			reconciledAmountCents: -5000,
+			waitingAmount: -300,
+			waitingAmountCents: -30000,
+		}
+	);
+});
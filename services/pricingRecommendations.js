@@ -0,0 +1,384 @@
+"use strict";
+
+const moment = require("moment-timezone");
+const { shouldCountReservationForInventory } = require("./reservationStatus");
+
+class PricingRecommendationError extends Error {
+	constructor(message, code = "pricing_recommendation_invalid", statusCode = 400) {
+		super(message);
+		this.name = "PricingRecommendationError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const PRICING_TIMEZONE = "Asia/Riyadh";
+const MAX_RECOMMENDATION_DAYS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hijri (Umm al-Qura) windows, checked in order; the first match wins.
+const HIJRI_SEASONS = Object.freeze([
+	{ key: "ramadan_last_ten", label: "Ramadan (last ten nights)", month: 9, fromDay: 21, toDay: 30, adjustmentPercent: 25 },
+	{ key: "ramadan", label: "Ramadan", month: 9, fromDay: 1, toDay: 20, adjustmentPercent: 10 },
+	{ key: "eid_al_fitr", label: "Eid al-Fitr", month: 10, fromDay: 1, toDay: 3, adjustmentPercent: 10 },
+	{ key: "hajj_arrivals", label: "Hajj arrivals", month: 11, fromDay: 20, toDay: 30, adjustmentPercent: 15 },
+	{ key: "hajj", label: "Hajj", month: 12, fromDay: 1, toDay: 13, adjustmentPercent: 35 },
+]);
+
+// Occupancy bands, highest first. Discounts only apply close to arrival so
+// far-out dates are not cut before they have had a chance to sell.
+const OCCUPANCY_RULES = Object.freeze([
+	{ key: "occupancy_peak", minRate: 0.9, adjustmentPercent: 15 },
+	{ key: "occupancy_high", minRate: 0.75, adjustmentPercent: 8 },
+	{ key: "occupancy_low", maxRate: 0.3, maxLeadDays: 14, adjustmentPercent: -10 },
+	{ key: "occupancy_soft", maxRate: 0.5, maxLeadDays: 7, adjustmentPercent: -5 },
+]);
+
+const DEFAULT_OPTIONS = Object.freeze({
+	paceWindowDays: 7,
+	paceSurgeRatio: 1.5,
+	paceSurgeMinimum: 2,
+	paceSurgePercent: 5,
+	noPickupLeadDays: 21,
+	noPickupPercent: -5,
+	maxIncreasePercent: 50,
+	maxDecreasePercent: 20,
+	minChangePercent: 1,
+	roundTo: 5,
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const pricingTodayKey = (now = new Date()) =>
+	moment(now).tz(PRICING_TIMEZONE).format("YYYY-MM-DD");
+
+const daysBetween = (fromKey, toKey) =>
+	Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+const numberOr = (value, fallback = null) => {
+	const parsed = Number(value);
+	return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const hijriFormatter = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura", {
+	timeZone: "UTC",
+	day: "numeric",
+	month: "numeric",
+	year: "numeric",
+});
+
+const hijriParts = (dateKey) => {
+	const parts = hijriFormatter.formatToParts(new Date(`${dateKey}T12:00:00Z`));
+	const get = (type) =>
+		Number(String(parts.find((part) => part.type === type)?.value || "").replace(/\D/g, ""));
+	return { year: get("year"), month: get("month"), day: get("day") };
+};
+
+const hijriSeasonForDate = (value) => {
+	const key = dayKey(value);
+	if (!key) return null;
+	const hijri = hijriParts(key);
+	const season = HIJRI_SEASONS.find(
+		(item) => item.month === hijri.month && hijri.day >= item.fromDay && hijri.day <= item.toDay
+	);
+	if (!season) return null;
+	const pad = (value) => String(value).padStart(2, "0");
+	return { ...season, hijriDate: `${hijri.year}-${pad(hijri.month)}-${pad(hijri.day)}` };
+};
+
+/**
+ * Validates the stay-date window the engine runs over. Past dates are dropped
+ * because their price can no longer change anything.
+ */
+const normalizeRecommendationRange = ({ start, end } = {}, { today = pricingTodayKey() } = {}) => {
+	const startKey = dayKey(start) || today;
+	const endKey = dayKey(end);
+	if (!endKey) {
+		throw new PricingRecommendationError("Choose the last date to price.", "pricing_recommendation_range_required");
+	}
+	const from = startKey < today ? today : startKey;
+	if (endKey < from) {
+		throw new PricingRecommendationError("The date range has no future dates.", "pricing_recommendation_range_invalid");
+	}
+	const nights = daysBetween(from, endKey) + 1;
+	if (nights > MAX_RECOMMENDATION_DAYS) {
+		throw new PricingRecommendationError(
+			`Please price ${MAX_RECOMMENDATION_DAYS} days or fewer at once.`,
+			"pricing_recommendation_range_too_long"
+		);
+	}
+	const dates = Array.from({ length: nights }, (_, index) =>
+		moment.utc(from).add(index, "days").format("YYYY-MM-DD")
+	);
+	return { start: from, end: endKey, dates };
+};
+
+const reservationRoomNights = (reservation = {}) => {
+	const picked = Array.isArray(reservation.pickedRoomsType) ? reservation.pickedRoomsType : [];
+	const fromPicked = picked.reduce((sum, room) => sum + Math.max(Number(room?.count) || 1, 1), 0);
+	return Math.max(fromPicked, Number(reservation.total_rooms) || 0, 1);
+};
+
+/**
+ * Counts rooms picked up for each stay date in the last `windowDays` days of
+ * booking activity and in the window before it, so a date that is suddenly
+ * selling faster stands out.
+ */
+const buildPickupPace = (reservations = [], { dates = [], now = new Date(), windowDays = DEFAULT_OPTIONS.paceWindowDays } = {}) => {
+	const pace = new Map(dates.map((date) => [date, { recent: 0, prior: 0 }]));
+	const recentFrom = now.getTime() - windowDays * DAY_MS;
+	const priorFrom = recentFrom - windowDays * DAY_MS;
+	(Array.isArray(reservations) ? reservations : []).forEach((reservation) => {
+		if (!shouldCountReservationForInventory(reservation, { includeCompleted: true })) return;
+		const bookedAt = new Date(reservation.booked_at || reservation.createdAt || 0).getTime();
+		if (!Number.isFinite(bookedAt) || bookedAt < priorFrom || bookedAt > now.getTime()) return;
+		const bucket = bookedAt >= recentFrom ? "recent" : "prior";
+		const checkin = dayKey(reservation.checkin_date);
+		const checkout = dayKey(reservation.checkout_date);
+		if (!checkin || !checkout) return;
+		const rooms = reservationRoomNights(reservation);
+		pace.forEach((entry, date) => {
+			if (date >= checkin && date < checkout) entry[bucket] += rooms;
+		});
+	});
+	return pace;
+};
+
+const occupancyByDate = (days = []) =>
+	new Map(
+		(Array.isArray(days) ? days : []).map((day) => [dayKey(day?.date), day])
+	);
+
+const calendarRowFor = (room = {}, date) =>
+	(Array.isArray(room.pricingRate) ? room.pricingRate : []).find(
+		(row) => dayKey(row?.calendarDate) === date
+	) || null;
+
+const currentRoomPrice = (room = {}, date, { hotelCommission = 10 } = {}) => {
+	const row = calendarRowFor(room, date);
+	if (row && (row.blocked === true || String(row.status || "").toLowerCase() === "blocked")) {
+		return { blocked: true };
+	}
+	const price =
+		numberOr(row?.sellingPrice) ??
+		numberOr(row?.price) ??
+		numberOr(room?.price?.basePrice) ??
+		numberOr(room.basePrice);
+	return {
+		blocked: false,
+		fromCalendar: Boolean(row),
+		price: price > 0 ? price : null,
+		commissionPercent:
+			numberOr(row?.commissionPercent) ?? numberOr(room.roomCommission) ?? numberOr(hotelCommission, 10),
+	};
+};
+
+const occupancyRule = (rate, leadDays) =>
+	OCCUPANCY_RULES.find(
+		(rule) =>
+			(rule.minRate === undefined || rate >= rule.minRate) &&
+			(rule.maxRate === undefined || rate < rule.maxRate) &&
+			(rule.maxLeadDays === undefined || leadDays <= rule.maxLeadDays)
+	) || null;
+
+const percentLabel = (rate) => `${Math.round(rate * 100)}%`;
+
+/**
+ * Runs the rule set for one room and night and returns the reasons that
+ * fired. Adjustments add up; the caller clamps the total.
+ */
+const recommendationReasons = ({ date, leadDays, cell, pace, options }) => {
+	const reasons = [];
+	const rate = numberOr(cell?.occupancyRate, 0);
+	const rule = occupancyRule(rate, leadDays);
+	if (rule) {
+		reasons.push({
+			rule: rule.key,
+			adjustmentPercent: rule.adjustmentPercent,
+			detail: `Occupancy ${percentLabel(rate)} with ${leadDays} day(s) to arrival`,
+		});
+	}
+	if (pace) {
+		const surge = Math.max(options.paceSurgeMinimum, pace.prior * options.paceSurgeRatio);
+		if (pace.recent >= surge) {
+			reasons.push({
+				rule: "pickup_accelerating",
+				adjustmentPercent: options.paceSurgePercent,
+				detail: `${pace.recent} room(s) picked up in the last ${options.paceWindowDays} days vs ${pace.prior} before`,
+			});
+		} else if (pace.recent === 0 && leadDays <= options.noPickupLeadDays && rate < 0.5) {
+			reasons.push({
+				rule: "no_pickup",
+				adjustmentPercent: options.noPickupPercent,
+				detail: `No rooms picked up in the last ${options.paceWindowDays} days`,
+			});
+		}
+	}
+	const season = hijriSeasonForDate(date);
+	if (season) {
+		reasons.push({
+			rule: `season_${season.key}`,
+			adjustmentPercent: season.adjustmentPercent,
+			detail: `${season.label} (${season.hijriDate} AH)`,
+		});
+	}
+	return { reasons, season };
+};
+
+const roundPrice = (value, step) =>
+	step > 0 ? Math.round(value / step) * step : round2(value);
+
+/**
+ * Proposes a selling price for every room and date in the range.
+ *
+ * `rooms` are the hotel's roomCountDetails, each tagged with the
+ * `occupancyKey` of its row in the occupancy calendar. Dates that are closed
+ * on the calendar, rooms without a price and changes under
+ * `minChangePercent` are left out.
+ */
+const buildPricingRecommendations = ({
+	hotelId,
+	rooms = [],
+	dates = [],
+	occupancyDays = [],
+	pickup = new Map(),
+	hotelCommission = 10,
+	today = pricingTodayKey(),
+	options = {},
+} = {}) => {
+	const settings = { ...DEFAULT_OPTIONS, ...options };
+	const occupancy = occupancyByDate(occupancyDays);
+	const recommendations = [];
+
+	rooms.forEach((room) => {
+		if (room.activeRoom === false) return;
+		const roomId = normalizeId(room._id);
+		const floor = numberOr(room.defaultCost, 0) > 0 ? Number(room.defaultCost) : 0;
+		dates.forEach((date) => {
+			if (date < today) return;
+			const current = currentRoomPrice(room, date, { hotelCommission });
+			if (current.blocked || !current.price) return;
+			const day = occupancy.get(date);
+			const cell = day?.rooms?.[room.occupancyKey] || day?.totals || null;
+			const leadDays = daysBetween(today, date);
+			const { reasons, season } = recommendationReasons({
+				date,
+				leadDays,
+				cell,
+				pace: pickup.get(date),
+				options: settings,
+			});
+			if (!reasons.length) return;
+			const rawPercent = reasons.reduce((sum, reason) => sum + reason.adjustmentPercent, 0);
+			const adjustmentPercent = Math.min(
+				Math.max(rawPercent, -settings.maxDecreasePercent),
+				settings.maxIncreasePercent
+			);
+			const recommendedPrice = Math.max(
+				roundPrice(current.price * (1 + adjustmentPercent / 100), settings.roundTo),
+				floor
+			);
+			const changePercent = round2(((recommendedPrice - current.price) / current.price) * 100);
+			if (Math.abs(changePercent) < settings.minChangePercent) return;
+			recommendations.push({
+				hotelId: normalizeId(hotelId),
+				roomId,
+				roomType: room.roomType || "",
+				displayName: room.displayName || room.roomType || "",
+				calendarDate: date,
+				leadDays,
+				currentPrice: current.price,
+				currentFromCalendar: current.fromCalendar,
+				recommendedPrice,
+				changePercent,
+				commissionPercent: current.commissionPercent,
+				occupancyRate: round2(numberOr(cell?.occupancyRate, 0)),
+				pickup: pickup.get(date) || null,
+				season: season ? season.key : null,
+				reasons,
+				flooredAtCost: floor > 0 && recommendedPrice === floor,
+			});
+		});
+	});
+
+	const increases = recommendations.filter((item) => item.changePercent > 0).length;
+	return {
+		recommendations,
+		summary: {
+			dates: dates.length,
+			rooms: rooms.filter((room) => room.activeRoom !== false).length,
+			recommendations: recommendations.length,
+			increases,
+			decreases: recommendations.length - increases,
+		},
+	};
+};
+
+/**
+ * Shapes accepted recommendations as an explicit-row update for
+ * saveOverallCalendarPricing. An admin may override the price of any row
+ * before accepting it. A row without a commission keeps the one the room
+ * already has for that night, looked up in `hotels`.
+ */
+const buildRecommendationAcceptRequest = (accepted = [], { calendarType = "hijri", hotels = [] } = {}) => {
+	const hotelsById = new Map((Array.isArray(hotels) ? hotels : []).map((hotel) => [normalizeId(hotel?._id), hotel]));
+	const existingCommission = (hotelId, roomId, date) => {
+		const hotel = hotelsById.get(hotelId) || {};
+		const room = (hotel.roomCountDetails || []).find((detail) => normalizeId(detail?._id) === roomId) || {};
+		return currentRoomPrice(room, date, { hotelCommission: numberOr(hotel.commission, 10) }).commissionPercent;
+	};
+	const rows = (Array.isArray(accepted) ? accepted : [])
+		.map((item) => {
+			const hotelId = normalizeId(item?.hotelId);
+			const roomId = normalizeId(item?.roomId);
+			const calendarDate = dayKey(item?.calendarDate);
+			const requestedCommission =
+				item?.commissionPercent === null || item?.commissionPercent === "" ? null : numberOr(item?.commissionPercent);
+			return {
+				hotelId,
+				roomId,
+				calendarDate,
+				status: "open",
+				sellingPrice: numberOr(item?.sellingPrice ?? item?.recommendedPrice),
+				commissionPercent: requestedCommission ?? existingCommission(hotelId, roomId, calendarDate),
+			};
+		})
+		.filter((row) => row.hotelId && row.roomId && row.calendarDate);
+	if (!rows.length) {
+		throw new PricingRecommendationError("Choose at least one recommendation to accept.", "pricing_recommendation_empty");
+	}
+	if (rows.some((row) => !(row.sellingPrice > 0))) {
+		throw new PricingRecommendationError("Every accepted price must be above zero.", "pricing_recommendation_price_invalid");
+	}
+	return {
+		scope: "general",
+		operation: "update",
+		calendarType: calendarType === "gregorian" ? "gregorian" : "hijri",
+		rows,
+	};
+};
+
+module.exports = {
+	HIJRI_SEASONS,
+	MAX_RECOMMENDATION_DAYS,
+	OCCUPANCY_RULES,
+	PricingRecommendationError,
+	buildPickupPace,
+	buildPricingRecommendations,
+	buildRecommendationAcceptRequest,
+	currentRoomPrice,
+	hijriSeasonForDate,
+	normalizeRecommendationRange,
+	pricingTodayKey,
+};
@@ -0,0 +1,178 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	PricingRecommendationError,
+	buildPickupPace,
+	buildPricingRecommendations,
+	buildRecommendationAcceptRequest,
+	hijriSeasonForDate,
+	normalizeRecommendationRange,
+} = require("./pricingRecommendations");
+
+const hotelId = "65a000000000000000000001";
+const roomId = "65a0000000000000000000a1";
+const today = "2026-11-01";
+
+const room = (overrides = {}) => ({
+	_id: roomId,
+	roomType: "doubleRooms",
+	displayName: "Double Room",
+	price: { basePrice: 400 },
+	roomCommission: 10,
+	defaultCost: 0,
+	pricingRate: [],
+	occupancyKey: "double-room",
+	...overrides,
+});
+
+const day = (date, occupancyRate) => ({
+	date,
+	rooms: { "double-room": { occupancyRate } },
+	totals: { occupancyRate },
+});
+
+const recommend = (overrides = {}) =>
+	buildPricingRecommendations({
+		hotelId,
+		rooms: [room()],
+		dates: ["2026-11-05"],
+		occupancyDays: [day("2026-11-05", 0.6)],
+		today,
+		...overrides,
+	});
+
+test("Hijri seasons cover Ramadan and Hajj", () => {
+	assert.equal(hijriSeasonForDate("2026-02-20").key, "ramadan");
+	assert.equal(hijriSeasonForDate("2026-03-12").key, "ramadan_last_ten");
+	assert.equal(hijriSeasonForDate("2026-05-26").key, "hajj");
+	assert.equal(hijriSeasonForDate("2026-05-26").hijriDate, "1447-12-09");
+	assert.equal(hijriSeasonForDate("2026-07-01"), null);
+});
+
+test("date range drops past days and is capped", () => {
+	const range = normalizeRecommendationRange({ start: "2026-10-28", end: "2026-11-03" }, { today });
+	assert.deepEqual(range.dates, ["2026-11-01", "2026-11-02", "2026-11-03"]);
+	assert.throws(() => normalizeRecommendationRange({ start: today }, { today }), {
+		code: "pricing_recommendation_range_required",
+	});
+	assert.throws(() => normalizeRecommendationRange({ end: "2026-10-30" }, { today }), {
+		code: "pricing_recommendation_range_invalid",
+	});
+	assert.throws(() => normalizeRecommendationRange({ end: "2027-06-01" }, { today }), {
+		code: "pricing_recommendation_range_too_long",
+	});
+});
+
+test("pickup pace splits recent bookings from the window before", () => {
+	const now = new Date("2026-11-01T12:00:00.000Z");
+	const booking = (bookedAt, overrides = {}) => ({
+		reservation_status: "confirmed",
+		booked_at: new Date(bookedAt),
+		checkin_date: new Date("2026-11-05T00:00:00.000Z"),
+		checkout_date: new Date("2026-11-07T00:00:00.000Z"),
+		pickedRoomsType: [{ room_type: "doubleRooms", count: 2 }],
+		...overrides,
+	});
+	const pace = buildPickupPace(
+		[
+			booking("2026-10-30T10:00:00.000Z"),
+			booking("2026-10-22T10:00:00.000Z", { pickedRoomsType: [{ count: 1 }] }),
+			booking("2026-10-01T10:00:00.000Z"),
+			booking("2026-10-31T10:00:00.000Z", { reservation_status: "cancelled" }),
+		],
+		{ dates: ["2026-11-05", "2026-11-06", "2026-11-07"], now }
+	);
+	assert.deepEqual(pace.get("2026-11-05"), { recent: 2, prior: 1 });
+	assert.deepEqual(pace.get("2026-11-06"), { recent: 2, prior: 1 });
+	assert.deepEqual(pace.get("2026-11-07"), { recent: 0, prior: 0 });
+});
+
+test("occupancy, pace and season adjustments add up and are clamped", () => {
+	assert.equal(recommend().recommendations.length, 0);
+
+	const peak = recommend({ occupancyDays: [day("2026-11-05", 0.95)] }).recommendations[0];
+	assert.equal(peak.currentPrice, 400);
+	assert.equal(peak.recommendedPrice, 460);
+	assert.deepEqual(peak.reasons.map((reason) => reason.rule), ["occupancy_peak"]);
+
+	const surging = recommend({
+		occupancyDays: [day("2026-11-05", 0.8)],
+		pickup: new Map([["2026-11-05", { recent: 4, prior: 1 }]]),
+	}).recommendations[0];
+	assert.equal(surging.recommendedPrice, 450);
+	assert.deepEqual(surging.reasons.map((reason) => reason.rule), ["occupancy_high", "pickup_accelerating"]);
+
+	const quiet = recommend({
+		occupancyDays: [day("2026-11-05", 0.1)],
+		pickup: new Map([["2026-11-05", { recent: 0, prior: 0 }]]),
+	}).recommendations[0];
+	assert.equal(quiet.recommendedPrice, 340);
+	assert.equal(quiet.changePercent, -15);
+
+	const hajj = buildPricingRecommendations({
+		hotelId,
+		rooms: [room({ pricingRate: [{ calendarDate: "2027-05-15", sellingPrice: 1000, commissionPercent: 12 }] })],
+		dates: ["2027-05-15"],
+		occupancyDays: [day("2027-05-15", 0.95)],
+		pickup: new Map([["2027-05-15", { recent: 6, prior: 0 }]]),
+		today,
+	}).recommendations[0];
+	assert.equal(hajj.season, "hajj");
+	assert.equal(hajj.currentFromCalendar, true);
+	assert.equal(hajj.commissionPercent, 12);
+	assert.equal(hajj.recommendedPrice, 1500);
+});
+
+test("closed dates, past dates and the room cost floor are respected", () => {
+	const blocked = recommend({
+		rooms: [room({ pricingRate: [{ calendarDate: "2026-11-05", status: "blocked", price: 0 }] })],
+		occupancyDays: [day("2026-11-05", 0.95)],
+	});
+	assert.equal(blocked.recommendations.length, 0);
+
+	const past = recommend({ today: "2026-11-06", occupancyDays: [day("2026-11-05", 0.95)] });
+	assert.equal(past.recommendations.length, 0);
+
+	const floored = recommend({
+		rooms: [room({ defaultCost: 380 })],
+		occupancyDays: [day("2026-11-05", 0.1)],
+	}).recommendations[0];
+	assert.equal(floored.recommendedPrice, 380);
+	assert.equal(floored.flooredAtCost, true);
+});
+
+test("accepted recommendations become explicit calendar rows", () => {
+	const hotels = [
+		{
+			_id: hotelId,
+			commission: 12,
+			roomCountDetails: [
+				room({
+					roomCommission: 15,
+					pricingRate: [{ calendarDate: "2026-11-07", sellingPrice: 500, commissionPercent: 8 }],
+				}),
+			],
+		},
+	];
+	const request = buildRecommendationAcceptRequest(
+		[
+			{ hotelId, roomId, calendarDate: "2026-11-05", recommendedPrice: 460, commissionPercent: 0 },
+			{ hotelId, roomId, calendarDate: "2026-11-06", recommendedPrice: 460, sellingPrice: 430 },
+			{ hotelId, roomId, calendarDate: "2026-11-07", recommendedPrice: 520, commissionPercent: null },
+		],
+		{ hotels }
+	);
+	assert.equal(request.scope, "general");
+	assert.equal(request.operation, "update");
+	assert.equal(request.calendarType, "hijri");
+	assert.deepEqual(request.rows.map((row) => row.sellingPrice), [460, 430, 520]);
+	// An explicit zero is kept; a missing commission keeps the room's own.
+	assert.deepEqual(request.rows.map((row) => row.commissionPercent), [0, 15, 8]);
+	assert.throws(() => buildRecommendationAcceptRequest([]), PricingRecommendationError);
+	assert.throws(
+		() => buildRecommendationAcceptRequest([{ hotelId, roomId, calendarDate: "2026-11-05", sellingPrice: 0 }]),
+		{ code: "pricing_recommendation_price_invalid" }
+	);
+});
@@ -0,0 +1,527 @@
+"use strict";
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const PromoCode = require("../models/promo_code");
+const PromoGuestUsage = require("../models/promo_guest_usage");
+const PromoRedemption = require("../models/promo_redemption");
+const Reservations = require("../models/reservations");
+const {
+	findGuestProfileByContact,
+	normalizeGuestEmail,
+	normalizeGuestPhone,
+} = require("./guestProfiles");
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+const MAX_PERCENTAGE = 100;
+// A use is held while the card is charged; one still held after this long
+// belongs to a request that died and is given back by the sweep.
+const REDEMPTION_HOLD_TTL_MS = 60 * 60 * 1000;
+const SWEEP_BATCH = 200;
+const DEFAULT_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_SWEEP_INITIAL_DELAY_MS = 3 * 60 * 1000;
+// The public quote endpoints answer whether a code exists, so they are
+// limited per caller to keep codes from being guessed.
+const QUOTE_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const QUOTE_RATE_LIMIT_MAX = 20;
+const QUOTE_RATE_LIMIT_MAX_KEYS = 5000;
+const quoteRateLimit = new Map();
+
+class PromoCodeError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "PromoCodeError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizePromoCode = (value) =>
+	String(value || "")
+		.trim()
+		.toUpperCase()
+		.replace(/\s+/g, "");
+
+const optionalDate = (value, field) => {
+	if (value === undefined || value === null || value === "") return null;
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw new PromoCodeError(`${field} is not a valid date.`, "promo_code_invalid");
+	}
+	return date;
+};
+
+const nonNegative = (value, field) => {
+	const number = Number(value || 0);
+	if (!Number.isFinite(number) || number < 0) {
+		throw new PromoCodeError(`${field} must be zero or more.`, "promo_code_invalid");
+	}
+	return number;
+};
+
+/** Validates what staff submit when creating or editing a promo code. */
+const normalizePromoCodeInput = (input = {}) => {
+	const code = normalizePromoCode(input.code);
+	if (!PROMO_CODE_PATTERN.test(code)) {
+		throw new PromoCodeError(
+			"Codes are 3-32 letters, digits, dashes or underscores.",
+			"promo_code_invalid"
+		);
+	}
+	const discountType = String(input.discountType || "").trim();
+	if (!["percentage", "fixed"].includes(discountType)) {
+		throw new PromoCodeError("discountType must be percentage or fixed.", "promo_code_invalid");
+	}
+	const value = Number(input.value);
+	if (!(value > 0) || (discountType === "percentage" && value > MAX_PERCENTAGE)) {
+		throw new PromoCodeError(
+			discountType === "percentage"
+				? "A percentage discount must be above 0 and at most 100."
+				: "A fixed discount must be above 0.",
+			"promo_code_invalid"
+		);
+	}
+	const hotelIds = [...new Set((input.hotelIds || []).map(normalizeId).filter(Boolean))];
+	if (hotelIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+		throw new PromoCodeError("hotelIds must be hotel ids.", "promo_code_invalid");
+	}
+	const normalized = {
+		code,
+		description: String(input.description || "").trim().slice(0, 500),
+		discountType,
+		value: money(value),
+		maxDiscountSar: money(nonNegative(input.maxDiscountSar, "maxDiscountSar")),
+		minTotalSar: money(nonNegative(input.minTotalSar, "minTotalSar")),
+		hotelIds,
+		validFrom: optionalDate(input.validFrom, "validFrom"),
+		validUntil: optionalDate(input.validUntil, "validUntil"),
+		stayFrom: optionalDate(input.stayFrom, "stayFrom"),
+		stayUntil: optionalDate(input.stayUntil, "stayUntil"),
+		maxUses: Math.floor(nonNegative(input.maxUses, "maxUses")),
+		maxUsesPerGuest: Math.floor(
+			nonNegative(input.maxUsesPerGuest === undefined ? 1 : input.maxUsesPerGuest, "maxUsesPerGuest")
+		),
+		firstBookingOnly: input.firstBookingOnly === true || input.firstBookingOnly === "true",
+		active: input.active === undefined ? true : input.active === true || input.active === "true",
+	};
+	[
+		["validFrom", "validUntil"],
+		["stayFrom", "stayUntil"],
+	].forEach(([from, until]) => {
+		if (normalized[from] && normalized[until] && normalized[from] > normalized[until]) {
+			throw new PromoCodeError(`${from} must be before ${until}.`, "promo_code_invalid");
+		}
+	});
+	return normalized;
+};
+
+/** The SAR discount a code gives on a booking total. */
+const promoDiscountFor = (promo = {}, totalAmount = 0) => {
+	const total = money(totalAmount);
+	if (!(total > 0)) return 0;
+	const raw =
+		promo.discountType === "percentage"
+			? (total * Number(promo.value || 0)) / 100
+			: Number(promo.value || 0);
+	const capped = promo.maxDiscountSar > 0 ? Math.min(raw, promo.maxDiscountSar) : raw;
+	return money(Math.min(Math.max(capped, 0), total));
+};
+
+/**
+ * The booking-independent checks: active, inside both windows, for this
+ * hotel, above the minimum total and not used up. Throws a PromoCodeError
+ * the guest can read.
+ */
+const assertPromoApplies = (promo, { hotelId, checkinDate, totalAmount, now = new Date() } = {}) => {
+	const invalid = (message, code) => new PromoCodeError(message, code);
+	if (!promo || promo.active === false) {
+		throw invalid("This promo code is not valid.", "promo_code_not_found");
+	}
+	if ((promo.validFrom && now < new Date(promo.validFrom)) || (promo.validUntil && now > new Date(promo.validUntil))) {
+		throw invalid("This promo code is not active right now.", "promo_code_expired");
+	}
+	const hotelIds = (promo.hotelIds || []).map(normalizeId);
+	if (hotelIds.length && !hotelIds.includes(normalizeId(hotelId))) {
+		throw invalid("This promo code is not valid for this hotel.", "promo_code_hotel_mismatch");
+	}
+	const checkin = checkinDate ? new Date(checkinDate) : null;
+	if (promo.stayFrom || promo.stayUntil) {
+		if (
+			!checkin ||
+			Number.isNaN(checkin.getTime()) ||
+			(promo.stayFrom && checkin < new Date(promo.stayFrom)) ||
+			(promo.stayUntil && checkin > new Date(promo.stayUntil))
+		) {
+			throw invalid("This promo code is not valid for these dates.", "promo_code_dates_mismatch");
+		}
+	}
+	if (!(money(totalAmount) > 0)) {
+		throw invalid("The booking total is missing.", "promo_code_total_invalid");
+	}
+	if (promo.minTotalSar > 0 && money(totalAmount) < promo.minTotalSar) {
+		throw invalid(
+			`This promo code needs a booking of at least ${promo.minTotalSar} SAR.`,
+			"promo_code_below_minimum"
+		);
+	}
+	if (promo.maxUses > 0 && Number(promo.usedCount || 0) >= promo.maxUses) {
+		throw new PromoCodeError("This promo code has been fully used.", "promo_code_used_up", 409);
+	}
+};
+
+const models = (dependencies = {}) => ({
+	PromoCodeModel: dependencies.PromoCodeModel || PromoCode,
+	RedemptionModel: dependencies.RedemptionModel || PromoRedemption,
+	UsageModel: dependencies.UsageModel || PromoGuestUsage,
+	ReservationModel: dependencies.ReservationModel || Reservations,
+});
+
+const guestKeys = ({ email = "", phone = "" } = {}) => ({
+	guestEmail: normalizeGuestEmail(email),
+	guestPhoneKey: normalizeGuestPhone(phone),
+});
+
+const guestUsageKeys = (guest = {}) => {
+	const { guestEmail, guestPhoneKey } = guestKeys(guest);
+	return [
+		...(guestEmail ? [`email:${guestEmail}`] : []),
+		...(guestPhoneKey ? [`phone:${guestPhoneKey}`] : []),
+	];
+};
+
+// Keyed on the address Express resolved through the configured `trust proxy`
+// hops; forwarding headers the client sends itself are never trusted here.
+const requestIdentity = (req = {}) =>
+	String(req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress || "unknown")
+		.trim()
+		.slice(0, 80);
+
+/**
+ * Counts a public quote against the caller's window. Throws a 429
+ * PromoCodeError (with retryAfterSeconds) once the window is used up.
+ */
+const consumePromoQuoteRateLimit = (req = {}, now = Date.now()) => {
+	// Only expired windows are dropped; evicting a live one would hand that
+	// caller a fresh allowance.
+	if (quoteRateLimit.size >= QUOTE_RATE_LIMIT_MAX_KEYS) {
+		for (const [key, record] of quoteRateLimit) {
+			if (record.resetAt <= now) quoteRateLimit.delete(key);
+		}
+	}
+	const key = crypto.createHash("sha256").update(requestIdentity(req)).digest("hex");
+	const record = quoteRateLimit.get(key);
+	if (!record || record.resetAt <= now) {
+		quoteRateLimit.set(key, { count: 1, resetAt: now + QUOTE_RATE_LIMIT_WINDOW_MS });
+		return;
+	}
+	if (record.count >= QUOTE_RATE_LIMIT_MAX) {
+		const error = new PromoCodeError(
+			"Too many promo code attempts. Please wait a few minutes and try again.",
+			"promo_code_rate_limited",
+			429
+		);
+		error.retryAfterSeconds = Math.max(1, Math.ceil((record.resetAt - now) / 1000));
+		throw error;
+	}
+	record.count += 1;
+};
+
+/** Per-guest cap and first-booking rule; a guest is known by email or phone. */
+const assertGuestMayUsePromo = async (promo, guest = {}, dependencies = {}) => {
+	const { RedemptionModel } = models(dependencies);
+	const { guestEmail, guestPhoneKey } = guestKeys(guest);
+	if ((promo.maxUsesPerGuest > 0 || promo.firstBookingOnly) && !guestEmail && !guestPhoneKey) {
+		throw new PromoCodeError(
+			"Enter your email or phone to use this promo code.",
+			"promo_code_guest_required"
+		);
+	}
+	const byGuest = [
+		...(guestEmail ? [{ guestEmail }] : []),
+		...(guestPhoneKey ? [{ guestPhoneKey }] : []),
+	];
+	if (promo.maxUsesPerGuest > 0) {
+		const used = await RedemptionModel.countDocuments({
+			promoCodeId: promo._id,
+			status: { $ne: "released" },
+			$or: byGuest,
+		});
+		if (used >= promo.maxUsesPerGuest) {
+			throw new PromoCodeError(
+				"You have already used this promo code.",
+				"promo_code_guest_limit",
+				409
+			);
+		}
+	}
+	if (promo.firstBookingOnly) {
+		const findProfile = dependencies.findGuestProfileByContact || findGuestProfileByContact;
+		const profile = await findProfile({
+			emails: guestEmail ? [guestEmail] : [],
+			phones: guestPhoneKey ? [guest.phone] : [],
+		});
+		const stats = profile?.stats || {};
+		const kept =
+			Number(stats.reservations || 0) -
+			Number(stats.cancelledStays || 0) -
+			Number(stats.noShows || 0);
+		if (kept > 0) {
+			throw new PromoCodeError(
+				"This promo code is for first bookings only.",
+				"promo_code_first_booking_only",
+				409
+			);
+		}
+	}
+};
+
+/**
+ * Checks a code against a booking and prices it. `allowedHotelIds` narrows
+ * a site (Zad) to its own hotels.
+ */
+const quotePromoCode = async (
+	{ code, hotelId, checkinDate, totalAmount, email, phone, allowedHotelIds = null, now = new Date() } = {},
+	dependencies = {}
+) => {
+	const { PromoCodeModel } = models(dependencies);
+	const normalized = normalizePromoCode(code);
+	if (!PROMO_CODE_PATTERN.test(normalized)) {
+		throw new PromoCodeError("This promo code is not valid.", "promo_code_not_found");
+	}
+	if (allowedHotelIds && !allowedHotelIds.map(normalizeId).includes(normalizeId(hotelId))) {
+		throw new PromoCodeError("This promo code is not valid for this hotel.", "promo_code_hotel_mismatch");
+	}
+	const promo = await PromoCodeModel.findOne({ code: normalized }).lean();
+	assertPromoApplies(promo, { hotelId, checkinDate, totalAmount, now });
+	await assertGuestMayUsePromo(promo, { email, phone }, dependencies);
+	const totalBefore = money(totalAmount);
+	const discountSar = promoDiscountFor(promo, totalBefore);
+	return {
+		promo,
+		quote: {
+			code: promo.code,
+			description: promo.description || "",
+			discountType: promo.discountType,
+			value: promo.value,
+			discountSar,
+			totalBefore,
+			totalAfter: money(totalBefore - discountSar),
+		},
+	};
+};
+
+const giveBackGuestUses = (promoCodeId, keys = [], dependencies = {}) => {
+	const { UsageModel } = models(dependencies);
+	return Promise.all(
+		keys.map((guestKey) =>
+			UsageModel.updateOne({ promoCodeId, guestKey, count: { $gt: 0 } }, { $inc: { count: -1 } })
+		)
+	);
+};
+
+/**
+ * Takes one use per guest key under the per-guest cap. The upsert only
+ * matches a counter still below the cap; a counter at the cap makes it try
+ * to insert a second one, which the unique index refuses.
+ */
+const takeGuestUses = async (promo, keys = [], dependencies = {}) => {
+	const { UsageModel } = models(dependencies);
+	const taken = [];
+	try {
+		for (const guestKey of keys) {
+			await UsageModel.updateOne(
+				{ promoCodeId: promo._id, guestKey, count: { $lt: promo.maxUsesPerGuest } },
+				{ $inc: { count: 1 } },
+				{ upsert: true }
+			);
+			taken.push(guestKey);
+		}
+	} catch (error) {
+		await giveBackGuestUses(promo._id, taken, dependencies);
+		if (error?.code === 11000) {
+			throw new PromoCodeError(
+				"You have already used this promo code.",
+				"promo_code_guest_limit",
+				409
+			);
+		}
+		throw error;
+	}
+	return taken;
+};
+
+/**
+ * Quotes the code and takes one use of it before the card is charged. The
+ * usedCount guard keeps two simultaneous bookings from passing a total cap,
+ * the guest counters from passing the per-guest cap.
+ */
+const redeemPromoCode = async (input = {}, dependencies = {}) => {
+	const { PromoCodeModel, RedemptionModel } = models(dependencies);
+	const { promo, quote } = await quotePromoCode(input, dependencies);
+	const taken = await PromoCodeModel.updateOne(
+		{
+			_id: promo._id,
+			active: true,
+			...(promo.maxUses > 0 ? { usedCount: { $lt: promo.maxUses } } : {}),
+		},
+		{ $inc: { usedCount: 1 } }
+	);
+	if (!taken?.matchedCount) {
+		throw new PromoCodeError("This promo code has been fully used.", "promo_code_used_up", 409);
+	}
+	let usageKeys = [];
+	try {
+		usageKeys =
+			promo.maxUsesPerGuest > 0 ? await takeGuestUses(promo, guestUsageKeys(input), dependencies) : [];
+		const redemption = await RedemptionModel.create({
+			promoCodeId: promo._id,
+			code: promo.code,
+			...guestKeys(input),
+			guestUsageKeys: usageKeys,
+			hotelId: input.hotelId || null,
+			amountBeforeDiscount: quote.totalBefore,
+			discountSar: quote.discountSar,
+		});
+		return { ...quote, promoCodeId: promo._id, redemptionId: redemption._id };
+	} catch (error) {
+		await giveBackGuestUses(promo._id, usageKeys, dependencies);
+		await PromoCodeModel.updateOne({ _id: promo._id }, { $inc: { usedCount: -1 } });
+		throw error;
+	}
+};
+
+/** Gives a held use back when the booking did not go through. */
+const releasePromoRedemption = async (redemptionId, reason = "", dependencies = {}) => {
+	const { PromoCodeModel, RedemptionModel } = models(dependencies);
+	const redemption = await RedemptionModel.findOneAndUpdate(
+		{ _id: redemptionId, status: "held" },
+		{ $set: { status: "released", releaseReason: reason } },
+		{ new: true }
+	).lean();
+	if (!redemption) return { released: false };
+	await giveBackGuestUses(redemption.promoCodeId, redemption.guestUsageKeys || [], dependencies);
+	await PromoCodeModel.updateOne({ _id: redemption.promoCodeId }, { $inc: { usedCount: -1 } });
+	return { released: true };
+};
+
+/** Marks a held use as spent on the saved reservation. */
+const applyPromoRedemption = async (redemptionId, reservation = {}, dependencies = {}) => {
+	const { RedemptionModel } = models(dependencies);
+	await RedemptionModel.updateOne(
+		{ _id: redemptionId, status: "held" },
+		{
+			$set: {
+				status: "applied",
+				reservationId: reservation._id,
+				confirmationNumber: String(reservation.confirmation_number || ""),
+			},
+		}
+	);
+};
+
+/**
+ * Settles uses still held past the TTL: one whose reservation was saved is
+ * applied to it, any other is released so usedCount does not leak.
+ */
+const releaseStalePromoRedemptions = async ({ now = new Date(), logger = console, dependencies = {} } = {}) => {
+	const { RedemptionModel, ReservationModel } = models(dependencies);
+	const stale = await RedemptionModel.find({
+		status: "held",
+		createdAt: { $lt: new Date(now.getTime() - REDEMPTION_HOLD_TTL_MS) },
+	})
+		.select("_id")
+		.sort({ createdAt: 1 })
+		.limit(SWEEP_BATCH)
+		.lean();
+	const totals = { checked: stale.length, applied: 0, released: 0, failed: 0 };
+	for (const redemption of stale) {
+		try {
+			const reservation = await ReservationModel.findOne({ "promo.redemptionId": redemption._id })
+				.select("_id confirmation_number")
+				.lean();
+			if (reservation) {
+				await applyPromoRedemption(redemption._id, reservation, dependencies);
+				totals.applied += 1;
+			} else if (
+				(await releasePromoRedemption(redemption._id, "Booking was not completed", dependencies)).released
+			) {
+				totals.released += 1;
+			}
+		} catch (error) {
+			totals.failed += 1;
+			logger.error(`[promo] redemption ${redemption._id} sweep failed:`, error?.message || error);
+		}
+	}
+	return totals;
+};
+
+const isPromoRedemptionSweepEnabled = (env = process.env) =>
+	String(env.PROMO_REDEMPTION_SWEEP_ENABLED || "").toLowerCase() === "true";
+
+const startPromoRedemptionSweepJob = ({
+	intervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+	initialDelayMs = DEFAULT_SWEEP_INITIAL_DELAY_MS,
+	logger = console,
+} = {}) => {
+	let running = false;
+
+	const run = async () => {
+		if (running) return;
+		running = true;
+		try {
+			const totals = await releaseStalePromoRedemptions({ logger });
+			if (totals.applied || totals.released || totals.failed) {
+				logger.log(
+					`[promo] Applied ${totals.applied} and released ${totals.released} stale promo uses (${totals.failed} failed).`
+				);
+			}
+		} catch (error) {
+			logger.error("[promo] Sweep failed:", error?.message || error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const initialTimer = setTimeout(run, initialDelayMs);
+	const intervalTimer = setInterval(run, intervalMs);
+
+	return {
+		run,
+		stop: () => {
+			clearTimeout(initialTimer);
+			clearInterval(intervalTimer);
+		},
+	};
+};
+
+/** What is stored on the reservation under `promo`. */
+const reservationPromoSnapshot = (redemption = {}) => ({
+	code: redemption.code,
+	promoCodeId: redemption.promoCodeId,
+	redemptionId: redemption.redemptionId,
+	discountType: redemption.discountType,
+	value: redemption.value,
+	discountSar: redemption.discountSar,
+	amountBeforeDiscount: redemption.totalBefore,
+});
+
+module.exports = {
+	PromoCodeError,
+	applyPromoRedemption,
+	assertPromoApplies,
+	consumePromoQuoteRateLimit,
+	isPromoRedemptionSweepEnabled,
+	normalizePromoCode,
+	normalizePromoCodeInput,
+	promoDiscountFor,
+	quotePromoCode,
+	redeemPromoCode,
+	releasePromoRedemption,
+	releaseStalePromoRedemptions,
+	reservationPromoSnapshot,
+	startPromoRedemptionSweepJob,
+};
@@ -0,0 +1,328 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	applyPromoRedemption,
+	consumePromoQuoteRateLimit,
+	isPromoRedemptionSweepEnabled,
+	normalizePromoCodeInput,
+	promoDiscountFor,
+	quotePromoCode,
+	redeemPromoCode,
+	releasePromoRedemption,
+	releaseStalePromoRedemptions,
+	reservationPromoSnapshot,
+} = require("./promoCodes");
+
+const hotelA = "65a000000000000000000001";
+const hotelB = "65a000000000000000000002";
+const now = new Date("2027-02-01T09:00:00.000Z");
+
+const fieldMatches = (value, condition) => {
+	if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+		if ("$lt" in condition) return Number(value) < condition.$lt;
+		if ("$gt" in condition) return Number(value) > condition.$gt;
+		if ("$ne" in condition) return String(value) !== String(condition.$ne);
+	}
+	return String(value) === String(condition);
+};
+
+const matches = (doc, filter = {}) =>
+	Object.entries(filter).every(([key, condition]) =>
+		key === "$or"
+			? condition.some((branch) => matches(doc, branch))
+			: fieldMatches(
+					key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), doc),
+					condition
+			  )
+	);
+
+// Just enough of a mongoose model for the promo engine; `unique` lists the
+// fields of a unique index.
+const memoryModel = (rows = [], { unique = [] } = {}) => {
+	const docs = rows.map((row) => ({ ...row }));
+	let sequence = 0;
+	const update = (doc, change = {}) => {
+		Object.entries(change.$inc || {}).forEach(([key, value]) => {
+			doc[key] = (Number(doc[key]) || 0) + value;
+		});
+		Object.assign(doc, change.$set || {});
+	};
+	const lean = (result) => ({ lean: () => Promise.resolve(result ? { ...result } : result) });
+	const chain = (result) => {
+		const query = {
+			select: () => query,
+			sort: () => query,
+			limit: () => query,
+			lean: () => Promise.resolve(result.map((doc) => ({ ...doc }))),
+		};
+		return query;
+	};
+	return {
+		docs,
+		find: (filter) => chain(docs.filter((doc) => matches(doc, filter))),
+		findOne: (filter) => ({
+			...lean(docs.find((doc) => matches(doc, filter)) || null),
+			select() {
+				return this;
+			},
+		}),
+		countDocuments: async (filter) => docs.filter((doc) => matches(doc, filter)).length,
+		create: async (input) => {
+			sequence += 1;
+			const doc = { _id: `redemption-${sequence}`, status: "held", createdAt: now, ...input };
+			docs.push(doc);
+			return { ...doc };
+		},
+		updateOne: async (filter, change, options = {}) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) update(doc, change);
+			if (!doc && options.upsert) {
+				const inserted = Object.fromEntries(
+					Object.entries(filter).filter(([, value]) => typeof value !== "object")
+				);
+				if (docs.some((row) => unique.every((key) => String(row[key]) === String(inserted[key])))) {
+					throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+				}
+				update(inserted, change);
+				docs.push(inserted);
+			}
+			return { matchedCount: doc ? 1 : 0 };
+		},
+		findOneAndUpdate: (filter, change) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) update(doc, change);
+			return lean(doc || null);
+		},
+	};
+};
+
+const promo = (extra = {}) => ({
+	_id: "promo-1",
+	code: "RAMADAN10",
+	description: "Ramadan",
+	discountType: "percentage",
+	value: 10,
+	maxDiscountSar: 0,
+	minTotalSar: 0,
+	hotelIds: [],
+	validFrom: null,
+	validUntil: null,
+	stayFrom: null,
+	stayUntil: null,
+	maxUses: 0,
+	maxUsesPerGuest: 1,
+	firstBookingOnly: false,
+	active: true,
+	usedCount: 0,
+	...extra,
+});
+
+const booking = (extra = {}) => ({
+	code: " ramadan10 ",
+	hotelId: hotelA,
+	checkinDate: "2027-03-10",
+	totalAmount: 1200,
+	email: "Sara@Mail.com",
+	phone: "0501234567",
+	now,
+	...extra,
+});
+
+const setup = (promoExtra = {}, { profile = null, reservations = [] } = {}) => ({
+	PromoCodeModel: memoryModel([promo(promoExtra)]),
+	RedemptionModel: memoryModel(),
+	UsageModel: memoryModel([], { unique: ["promoCodeId", "guestKey"] }),
+	ReservationModel: memoryModel(reservations),
+	findGuestProfileByContact: async () => profile,
+});
+
+test("staff input is validated and normalized", () => {
+	assert.throws(() => normalizePromoCodeInput({ code: "x", discountType: "fixed", value: 5 }), {
+		code: "promo_code_invalid",
+	});
+	assert.throws(
+		() => normalizePromoCodeInput({ code: "SAVE", discountType: "percentage", value: 150 }),
+		{ code: "promo_code_invalid" }
+	);
+	assert.throws(
+		() =>
+			normalizePromoCodeInput({
+				code: "SAVE",
+				discountType: "fixed",
+				value: 50,
+				stayFrom: "2027-04-01",
+				stayUntil: "2027-03-01",
+			}),
+		{ code: "promo_code_invalid" }
+	);
+	const input = normalizePromoCodeInput({
+		code: " summer-50 ",
+		discountType: "fixed",
+		value: "50",
+		hotelIds: [hotelA, hotelA],
+		maxUses: "100",
+		firstBookingOnly: "true",
+	});
+	assert.equal(input.code, "SUMMER-50");
+	assert.deepEqual(input.hotelIds, [hotelA]);
+	assert.equal(input.maxUses, 100);
+	assert.equal(input.maxUsesPerGuest, 1);
+	assert.equal(input.firstBookingOnly, true);
+	assert.equal(input.active, true);
+
+	assert.equal(promoDiscountFor(promo(), 1200), 120);
+	assert.equal(promoDiscountFor(promo({ maxDiscountSar: 75 }), 1200), 75);
+	assert.equal(promoDiscountFor(promo({ discountType: "fixed", value: 500 }), 300), 300);
+});
+
+test("quotes enforce hotel, windows, minimum total and site scope", async () => {
+	const quote = await quotePromoCode(booking(), setup());
+	assert.deepEqual(quote.quote, {
+		code: "RAMADAN10",
+		description: "Ramadan",
+		discountType: "percentage",
+		value: 10,
+		discountSar: 120,
+		totalBefore: 1200,
+		totalAfter: 1080,
+	});
+
+	const rejects = (input, promoExtra, code) =>
+		assert.rejects(quotePromoCode(booking(input), setup(promoExtra)), { code });
+	await rejects({ code: "NOPE" }, {}, "promo_code_not_found");
+	await rejects({}, { active: false }, "promo_code_not_found");
+	await rejects({}, { validUntil: new Date("2027-01-31T00:00:00.000Z") }, "promo_code_expired");
+	await rejects({}, { hotelIds: [hotelB] }, "promo_code_hotel_mismatch");
+	await rejects({}, { stayFrom: new Date("2027-04-01T00:00:00.000Z") }, "promo_code_dates_mismatch");
+	await rejects({}, { minTotalSar: 1500 }, "promo_code_below_minimum");
+	await rejects({}, { maxUses: 3, usedCount: 3 }, "promo_code_used_up");
+	await rejects({ allowedHotelIds: [hotelB] }, {}, "promo_code_hotel_mismatch");
+	await rejects({ email: "", phone: "" }, {}, "promo_code_guest_required");
+	await assert.rejects(
+		quotePromoCode(
+			booking(),
+			setup({ firstBookingOnly: true }, { profile: { stats: { reservations: 2, cancelledStays: 1 } } })
+		),
+		{ code: "promo_code_first_booking_only" }
+	);
+	await quotePromoCode(
+		booking(),
+		setup({ firstBookingOnly: true }, { profile: { stats: { reservations: 1, cancelledStays: 1 } } })
+	);
+});
+
+test("redemptions hold the caps and released uses count again", async () => {
+	const dependencies = setup({ maxUses: 2, maxUsesPerGuest: 1 });
+	const [code] = dependencies.PromoCodeModel.docs;
+
+	const first = await redeemPromoCode(booking(), dependencies);
+	assert.equal(code.usedCount, 1);
+	assert.equal(dependencies.RedemptionModel.docs[0].guestEmail, "sara@mail.com");
+	// Same guest again, by phone this time.
+	await assert.rejects(redeemPromoCode(booking({ email: "other@mail.com" }), dependencies), {
+		code: "promo_code_guest_limit",
+	});
+
+	assert.deepEqual(await releasePromoRedemption(first.redemptionId, "Payment failed", dependencies), {
+		released: true,
+	});
+	assert.deepEqual(await releasePromoRedemption(first.redemptionId, "Payment failed", dependencies), {
+		released: false,
+	});
+	assert.equal(code.usedCount, 0);
+
+	const second = await redeemPromoCode(booking(), dependencies);
+	await applyPromoRedemption(second.redemptionId, { _id: "r1", confirmation_number: "C-1" }, dependencies);
+	assert.deepEqual(await releasePromoRedemption(second.redemptionId, "late", dependencies), {
+		released: false,
+	});
+	await redeemPromoCode(booking({ email: "b@mail.com", phone: "0559876543" }), dependencies);
+	assert.equal(code.usedCount, 2);
+	await assert.rejects(
+		redeemPromoCode(booking({ email: "c@mail.com", phone: "0551112222" }), dependencies),
+		{ code: "promo_code_used_up" }
+	);
+	assert.deepEqual(reservationPromoSnapshot(second), {
+		code: "RAMADAN10",
+		promoCodeId: "promo-1",
+		redemptionId: second.redemptionId,
+		discountType: "percentage",
+		value: 10,
+		discountSar: 120,
+		amountBeforeDiscount: 1200,
+	});
+});
+
+test("the per-guest cap holds even when the count check is raced", async () => {
+	const dependencies = setup({ maxUsesPerGuest: 1 });
+	// Both bookings passed the quote before either was saved.
+	dependencies.RedemptionModel.countDocuments = async () => 0;
+	await redeemPromoCode(booking(), dependencies);
+	await assert.rejects(redeemPromoCode(booking({ email: "other@mail.com" }), dependencies), {
+		code: "promo_code_guest_limit",
+	});
+	assert.equal(dependencies.PromoCodeModel.docs[0].usedCount, 1);
+	assert.deepEqual(
+		dependencies.UsageModel.docs.map((usage) => [usage.guestKey, usage.count]),
+		[
+			["email:sara@mail.com", 1],
+			["phone:501234567", 1],
+			["email:other@mail.com", 0],
+		]
+	);
+});
+
+test("stale held uses are applied to their saved booking or given back", async () => {
+	const dependencies = setup(
+		{ maxUses: 5 },
+		{ reservations: [{ _id: "r1", confirmation_number: "C-1", promo: { redemptionId: "redemption-1" } }] }
+	);
+	await redeemPromoCode(booking(), dependencies);
+	await redeemPromoCode(booking({ email: "b@mail.com", phone: "0559876543" }), dependencies);
+	const later = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+	assert.deepEqual(await releaseStalePromoRedemptions({ now: later, dependencies }), {
+		checked: 2,
+		applied: 1,
+		released: 1,
+		failed: 0,
+	});
+	const [saved, orphaned] = dependencies.RedemptionModel.docs;
+	assert.equal(saved.status, "applied");
+	assert.equal(saved.reservationId, "r1");
+	assert.equal(orphaned.status, "released");
+	assert.equal(dependencies.PromoCodeModel.docs[0].usedCount, 1);
+	assert.equal(dependencies.UsageModel.docs.find((usage) => usage.guestKey === "email:b@mail.com").count, 0);
+});
+
+test("public quotes are rate limited per trusted client address", () => {
+	const req = { ip: "203.0.113.9", headers: {}, socket: { remoteAddress: "10.0.0.1" } };
+	const at = Date.parse("2027-02-01T09:00:00.000Z");
+	for (let attempt = 0; attempt < 20; attempt += 1) consumePromoQuoteRateLimit(req, at);
+	assert.throws(() => consumePromoQuoteRateLimit(req, at + 1000), (error) => {
+		assert.equal(error.code, "promo_code_rate_limited");
+		assert.equal(error.statusCode, 429);
+		assert.equal(error.retryAfterSeconds, 899);
+		return true;
+	});
+	// A forged forwarding header does not buy a new window.
+	assert.throws(
+		() => consumePromoQuoteRateLimit({ ...req, headers: { "x-forwarded-for": "198.51.100.7" } }, at + 2000),
+		{ code: "promo_code_rate_limited" }
+	);
+	consumePromoQuoteRateLimit({ ...req, ip: "203.0.113.10" }, at);
+	consumePromoQuoteRateLimit(req, at + 15 * 60 * 1000);
+});
+
+test("a full rate-limit table only drops expired windows", () => {
+	const at = Date.parse("2027-03-01T09:00:00.000Z");
+	const limited = { ip: "192.0.2.1" };
+	for (let attempt = 0; attempt < 20; attempt += 1) consumePromoQuoteRateLimit(limited, at);
+	for (let index = 0; index < 5000; index += 1) {
+		consumePromoQuoteRateLimit({ ip: `10.1.${Math.floor(index / 250)}.${index % 250}` }, at);
+	}
+	assert.throws(() => consumePromoQuoteRateLimit(limited, at + 1000), { code: "promo_code_rate_limited" });
+	assert.equal(isPromoRedemptionSweepEnabled({}), false);
+	assert.equal(isPromoRedemptionSweepEnabled({ PROMO_REDEMPTION_SWEEP_ENABLED: "true" }), true);
+});
@@ -0,0 +1,368 @@
+"use strict";
+
+const moment = require("moment-timezone");
+const OtaRateObservation = require("../models/ota_rate_observation");
+const OtaRateParityRun = require("../models/ota_rate_parity_run");
+const { getSarConversionMeta } = require("./otaReservationMapper");
+const { currentRoomPrice } = require("./pricingRecommendations");
+
+class RateParityError extends Error {
+	constructor(message, code = "rate_parity_invalid", statusCode = 400) {
+		super(message);
+		this.name = "RateParityError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const RATE_PARITY_TIMEZONE = "Asia/Riyadh";
+const RATE_PARITY_PROVIDERS = Object.freeze(["booking", "expedia", "agoda", "airbnb"]);
+const MAX_PARITY_DAYS = 62;
+const DEFAULT_PARITY_DAYS = 14;
+const MAX_IMPORT_ROWS = 5000;
+const DEFAULT_TOLERANCE_PERCENT = 1;
+
+const PROVIDER_ALIASES = Object.freeze({
+	bookingcom: "booking",
+	expediacom: "expedia",
+	expediagroup: "expedia",
+	agodacom: "agoda",
+	airbnbcom: "airbnb",
+});
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const rateParityToday = (now = new Date()) => moment(now).tz(RATE_PARITY_TIMEZONE).format("YYYY-MM-DD");
+
+const addDays = (key, days) => moment.utc(key).add(days, "days").format("YYYY-MM-DD");
+
+// ISO dates, day-first dates as the extranets export them, or Date cells.
+const parseStayDate = (value) => {
+	if (value instanceof Date) return Number.isNaN(value.getTime()) ? "" : moment.utc(value).format("YYYY-MM-DD");
+	const text = String(value || "").trim();
+	if (DATE_RE.test(text.slice(0, 10))) {
+		return moment.utc(text.slice(0, 10), "YYYY-MM-DD", true).isValid() ? text.slice(0, 10) : "";
+	}
+	const parsed = moment.utc(text, ["DD/MM/YYYY", "D/M/YYYY", "DD-MM-YYYY", "DD.MM.YYYY"], true);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const normalizeRateParityProvider = (value) => {
+	const key = String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+	const provider = PROVIDER_ALIASES[key] || key;
+	return RATE_PARITY_PROVIDERS.includes(provider) ? provider : "";
+};
+
+const roomNameKey = (value) =>
+	String(value || "")
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, " ")
+		.trim();
+
+const roomNames = (room = {}) =>
+	[room.displayName, room.roomType].map(roomNameKey).filter(Boolean);
+
+/**
+ * Finds our room for an OTA room name or id. An exact name wins; otherwise
+ * the room whose whole name appears in the OTA name, as long as exactly one
+ * room fits best. Ambiguous names match nothing rather than the wrong room.
+ */
+const matchRateParityRoom = (value, rooms = []) => {
+	const id = normalizeId(value);
+	const byId = rooms.find((room) => normalizeId(room._id) === id);
+	if (byId) return byId;
+	const key = roomNameKey(value);
+	if (!key) return null;
+	const exact = rooms.filter((room) => roomNames(room).includes(key));
+	if (exact.length) return exact.length === 1 ? exact[0] : null;
+	const tokens = new Set(key.split(" "));
+	let best = [];
+	let bestScore = 0;
+	rooms.forEach((room) => {
+		const score = Math.max(
+			0,
+			...roomNames(room).map((name) => {
+				const nameTokens = name.split(" ");
+				return nameTokens.every((token) => tokens.has(token)) ? nameTokens.length : 0;
+			})
+		);
+		if (!score || score < bestScore) return;
+		if (score > bestScore) best = [];
+		bestScore = score;
+		best.push(room);
+	});
+	return best.length === 1 ? best[0] : null;
+};
+
+const normalizeRateParityRange = ({ dateFrom, dateTo } = {}, { today = rateParityToday() } = {}) => {
+	const from = dateFrom ? parseStayDate(dateFrom) : today;
+	const to = dateTo ? parseStayDate(dateTo) : addDays(from, DEFAULT_PARITY_DAYS - 1);
+	if (!from || !to || to < from) {
+		throw new RateParityError("Choose a valid date range.", "rate_parity_range_invalid");
+	}
+	if (moment.utc(to).diff(moment.utc(from), "days") + 1 > MAX_PARITY_DAYS) {
+		throw new RateParityError(
+			`Compare ${MAX_PARITY_DAYS} nights or fewer at once.`,
+			"rate_parity_range_too_long"
+		);
+	}
+	return { dateFrom: from, dateTo: to };
+};
+
+const rateParityDates = ({ dateFrom, dateTo }) => {
+	const dates = [];
+	for (let date = dateFrom; date <= dateTo; date = addDays(date, 1)) dates.push(date);
+	return dates;
+};
+
+const normalizeTolerancePercent = (value) => {
+	if (value === undefined || value === null || value === "") return DEFAULT_TOLERANCE_PERCENT;
+	const parsed = Number(value);
+	if (!Number.isFinite(parsed) || parsed < 0 || parsed > 50) {
+		throw new RateParityError("Tolerance must be between 0 and 50 percent.", "rate_parity_tolerance_invalid");
+	}
+	return parsed;
+};
+
+const COLUMN_ALIASES = Object.freeze({
+	date: ["date", "stay_date", "staydate", "night", "checkin", "check_in"],
+	provider: ["provider", "channel", "ota"],
+	room: ["room", "room_name", "roomname", "room_type", "roomtype", "room_id", "roomid"],
+	price: ["price", "rate", "amount", "nightly_rate", "nightlyrate"],
+	currency: ["currency", "currency_code"],
+});
+
+const columnValue = (row, field) => {
+	const entries = Object.entries(row || {});
+	for (const alias of COLUMN_ALIASES[field]) {
+		const match = entries.find(([key]) => key.trim().toLowerCase().replace(/[\s-]+/g, "_") === alias);
+		if (match && String(match[1] ?? "").trim() !== "") return match[1];
+	}
+	return "";
+};
+
+const parseAmount = (value) => {
+	const parsed = Number(String(value ?? "").replace(/[^\d.-]/g, ""));
+	return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed * 100) / 100 : null;
+};
+
+/**
+ * One imported OTA rate: `{ date, provider, room, price, currency }`, with
+ * the usual spreadsheet header spellings accepted. Returns the observation,
+ * or `{ issues }` listing everything wrong with the row.
+ */
+const normalizeRateObservationRow = (row = {}, { rooms = [], provider = "" } = {}) => {
+	const issues = [];
+	const stayDate = parseStayDate(columnValue(row, "date"));
+	if (!stayDate) issues.push("date_invalid");
+	const rowProvider = normalizeRateParityProvider(columnValue(row, "provider") || provider);
+	if (!rowProvider) issues.push("provider_unknown");
+	const otaRoomName = String(columnValue(row, "room")).trim().slice(0, 200);
+	const room = otaRoomName ? matchRateParityRoom(otaRoomName, rooms) : null;
+	if (!room) issues.push(otaRoomName ? "room_unmatched" : "room_missing");
+	const amount = parseAmount(columnValue(row, "price"));
+	if (amount === null) issues.push("price_invalid");
+	const currency = String(columnValue(row, "currency") || "SAR").trim().toUpperCase();
+	const amountSar = amount === null ? null : getSarConversionMeta(amount, currency).totalAmountSar;
+	if (amount !== null && amountSar === null) issues.push("currency_unconvertible");
+	if (issues.length) return { issues };
+	return {
+		stayDate,
+		provider: rowProvider,
+		roomId: normalizeId(room._id),
+		otaRoomName,
+		amount,
+		currency,
+		amountSar,
+	};
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const latestObservations = (observations = []) => {
+	const latest = new Map();
+	observations.forEach((observation) => {
+		const key = [observation.provider, normalizeId(observation.roomId), observation.stayDate].join("|");
+		const current = latest.get(key);
+		if (!current || new Date(observation.observedAt) > new Date(current.observedAt)) {
+			latest.set(key, observation);
+		}
+	});
+	return latest;
+};
+
+const emptyCounts = () => ({ compared: 0, undercut: 0, above: 0, parity: 0, notComparable: 0 });
+
+const STATUS_COUNT_KEYS = Object.freeze({
+	undercut: "undercut",
+	above: "above",
+	parity: "parity",
+	not_comparable: "notComparable",
+});
+
+/**
+ * Compares the newest OTA rate per provider, room and night with our
+ * calendar price. An OTA selling more than `tolerancePercent` below us is an
+ * undercut; more than that above us is reported too. Nights we have blocked
+ * or not priced cannot be compared.
+ */
+const buildRateParityReport = ({
+	rooms = [],
+	observations = [],
+	dates = [],
+	tolerancePercent = DEFAULT_TOLERANCE_PERCENT,
+	hotelCommission = 10,
+} = {}) => {
+	const latest = latestObservations(observations);
+	const providers = RATE_PARITY_PROVIDERS.filter((provider) =>
+		observations.some((observation) => observation.provider === provider)
+	);
+	const summary = { ...emptyCounts(), byProvider: {} };
+	providers.forEach((provider) => {
+		summary.byProvider[provider] = { ...emptyCounts(), largestUndercutPercent: 0 };
+	});
+	const rows = [];
+
+	rooms.forEach((room) => {
+		const roomId = normalizeId(room._id);
+		dates.forEach((date) => {
+			const rates = providers
+				.map((provider) => latest.get([provider, roomId, date].join("|")))
+				.filter(Boolean);
+			if (!rates.length) return;
+			const pricing = currentRoomPrice(room, date, { hotelCommission });
+			const ourPrice = pricing.blocked ? null : pricing.price;
+			const compared = rates.map((observation) => {
+				const entry = {
+					provider: observation.provider,
+					otaRoomName: observation.otaRoomName || "",
+					amount: observation.amount,
+					currency: observation.currency,
+					amountSar: observation.amountSar,
+					observedAt: observation.observedAt,
+					differenceSar: null,
+					differencePercent: null,
+					status: "not_comparable",
+				};
+				if (ourPrice && observation.amountSar !== null && observation.amountSar !== undefined) {
+					entry.differenceSar = round2(observation.amountSar - ourPrice);
+					entry.differencePercent = round2((entry.differenceSar / ourPrice) * 100);
+					entry.status =
+						entry.differencePercent < -tolerancePercent
+							? "undercut"
+							: entry.differencePercent > tolerancePercent
+							  ? "above"
+							  : "parity";
+				}
+				const counts = summary.byProvider[observation.provider];
+				counts[STATUS_COUNT_KEYS[entry.status]] += 1;
+				summary[STATUS_COUNT_KEYS[entry.status]] += 1;
+				if (entry.status !== "not_comparable") {
+					counts.compared += 1;
+					summary.compared += 1;
+				}
+				if (entry.status === "undercut" && entry.differencePercent < counts.largestUndercutPercent) {
+					counts.largestUndercutPercent = entry.differencePercent;
+				}
+				return entry;
+			});
+			const undercuts = compared.filter((entry) => entry.status === "undercut");
+			rows.push({
+				roomId,
+				roomName: room.displayName || room.roomType || "",
+				date,
+				ourPrice,
+				blocked: pricing.blocked === true,
+				rates: compared,
+				status: undercuts.length
+					? "undercut"
+					: compared.some((entry) => entry.status === "above")
+					  ? "above"
+					  : compared.some((entry) => entry.status === "parity")
+					    ? "parity"
+					    : "not_comparable",
+				worstDifferencePercent: undercuts.length
+					? Math.min(...undercuts.map((entry) => entry.differencePercent))
+					: null,
+			});
+		});
+	});
+
+	rows.sort((a, b) => a.date.localeCompare(b.date) || a.roomName.localeCompare(b.roomName));
+	return {
+		tolerancePercent,
+		providers,
+		summary,
+		rows,
+		undercuts: rows
+			.filter((row) => row.status === "undercut")
+			.sort((a, b) => a.worstDifferencePercent - b.worstDifferencePercent),
+	};
+};
+
+/**
+ * Stores an imported rate sheet as one completed run. Valid rows are kept
+ * even when others are rejected; rejected rows come back with their sheet
+ * row number so they can be fixed and imported again.
+ */
+const importRateObservations = async (
+	{ hotel, rows = [], provider = "", actor = null, now = new Date() } = {},
+	{ RunModel = OtaRateParityRun, ObservationModel = OtaRateObservation } = {}
+) => {
+	if (!rows.length) {
+		throw new RateParityError("The rate sheet has no rows.", "rate_parity_import_empty");
+	}
+	if (rows.length > MAX_IMPORT_ROWS) {
+		throw new RateParityError(
+			`Import ${MAX_IMPORT_ROWS} rows or fewer at once.`,
+			"rate_parity_import_too_large"
+		);
+	}
+	const rooms = Array.isArray(hotel?.roomCountDetails) ? hotel.roomCountDetails : [];
+	const accepted = [];
+	const rejected = [];
+	rows.forEach((row, index) => {
+		const normalized = normalizeRateObservationRow(row, { rooms, provider });
+		const rowNumber = Number(row?.__rowNumber) || index + 2;
+		if (normalized.issues) rejected.push({ row: rowNumber, issues: normalized.issues });
+		else accepted.push(normalized);
+	});
+	const dates = accepted.map((row) => row.stayDate).sort();
+	const run = await RunModel.create({
+		hotelId: hotel._id,
+		provider: normalizeRateParityProvider(provider),
+		source: "csv",
+		status: "completed",
+		dateFrom: dates[0] || "",
+		dateTo: dates[dates.length - 1] || "",
+		createdBy: actor?._id || null,
+		resultSummary: { imported: accepted.length, rejected: rejected.length },
+		auditLog: [{ at: now, action: "rates_imported", by: actor?._id || null, rows: rows.length }],
+	});
+	if (accepted.length) {
+		await ObservationModel.insertMany(
+			accepted.map((row) => ({ ...row, hotelId: hotel._id, runId: run._id, source: "csv", observedAt: now }))
+		);
+	}
+	return { run, imported: accepted.length, rejected };
+};
+
+module.exports = {
+	DEFAULT_TOLERANCE_PERCENT,
+	MAX_PARITY_DAYS,
+	RATE_PARITY_PROVIDERS,
+	RateParityError,
+	buildRateParityReport,
+	importRateObservations,
+	latestObservations,
+	matchRateParityRoom,
+	normalizeRateObservationRow,
+	normalizeRateParityProvider,
+	normalizeRateParityRange,
+	normalizeTolerancePercent,
+	parseStayDate,
+	rateParityDates,
+	rateParityToday,
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	buildRateParityReport,
+	importRateObservations,
+	matchRateParityRoom,
+	normalizeRateObservationRow,
+	normalizeRateParityProvider,
+	normalizeRateParityRange,
+} = require("./rateParity");
+const { __private: collector } = require("./otaRateCollector");
+
+const hotelId = "65a000000000000000000001";
+const rooms = [
+	{ _id: "65a0000000000000000000d1", displayName: "Double Room", roomType: "doubleRooms", price: { basePrice: 400 } },
+	{
+		_id: "65a0000000000000000000d2",
+		displayName: "Deluxe Double Room",
+		roomType: "doubleRooms",
+		price: { basePrice: 600 },
+		pricingRate: [{ calendarDate: "2027-02-11", blocked: true }],
+	},
+	{ _id: "65a0000000000000000000d3", displayName: "Family Suite", roomType: "suite", price: { basePrice: 900 } },
+];
+
+test("imported rows are matched to our rooms and checked field by field", () => {
+	assert.equal(normalizeRateParityProvider("Booking.com"), "booking");
+	assert.equal(normalizeRateParityProvider("Trivago"), "");
+	assert.equal(matchRateParityRoom("double room", rooms), rooms[0]);
+	assert.equal(matchRateParityRoom("Family Suite - Haram view, 2 beds", rooms), rooms[2]);
+	// Both double rooms fit "Deluxe Double Room - Non refundable"; the longer name wins.
+	assert.equal(matchRateParityRoom("Deluxe Double Room - Non refundable", rooms), rooms[1]);
+	assert.equal(matchRateParityRoom("Standard Room", rooms), null);
+
+	assert.deepEqual(
+		normalizeRateObservationRow(
+			{ "Stay Date": "10/02/2027", Channel: "Expedia", "Room Name": "Double Room", Rate: "1,050.50", Currency: "sar" },
+			{ rooms }
+		),
+		{
+			stayDate: "2027-02-10",
+			provider: "expedia",
+			roomId: rooms[0]._id,
+			otaRoomName: "Double Room",
+			amount: 1050.5,
+			currency: "SAR",
+			amountSar: 1050.5,
+		}
+	);
+	assert.equal(
+		normalizeRateObservationRow({ date: "2027-02-10", room: "Family Suite", price: 800 }, { rooms, provider: "agoda" })
+			.provider,
+		"agoda"
+	);
+	assert.deepEqual(normalizeRateObservationRow({ date: "2027-02-31", room: "Loft", price: "free", currency: "XYZ" }, { rooms }), {
+		issues: ["date_invalid", "provider_unknown", "room_unmatched", "price_invalid"],
+	});
+
+	assert.deepEqual(normalizeRateParityRange({}, { today: "2027-02-01" }), {
+		dateFrom: "2027-02-01",
+		dateTo: "2027-02-14",
+	});
+	assert.throws(() => normalizeRateParityRange({ dateFrom: "2027-02-01", dateTo: "2027-05-01" }), {
+		code: "rate_parity_range_too_long",
+	});
+});
+
+test("the newest OTA rate per night is compared with our calendar price", () => {
+	const observation = (provider, room, stayDate, amountSar, observedAt = "2027-02-01T08:00:00.000Z") => ({
+		provider,
+		roomId: room._id,
+		stayDate,
+		amount: amountSar,
+		currency: "SAR",
+		amountSar,
+		observedAt,
+	});
+	const report = buildRateParityReport({
+		rooms,
+		dates: ["2027-02-10", "2027-02-11"],
+		tolerancePercent: 1,
+		observations: [
+			observation("booking", rooms[0], "2027-02-10", 350, "2027-01-30T08:00:00.000Z"),
+			observation("booking", rooms[0], "2027-02-10", 398),
+			observation("expedia", rooms[0], "2027-02-10", 360),
+			observation("agoda", rooms[0], "2027-02-11", 420),
+			observation("booking", rooms[1], "2027-02-11", 500),
+			observation("booking", rooms[0], "2027-03-01", 100),
+		],
+	});
+
+	assert.deepEqual(report.providers, ["booking", "expedia", "agoda"]);
+	assert.deepEqual(
+		report.rows.map((row) => [row.roomName, row.date, row.ourPrice, row.status]),
+		[
+			["Double Room", "2027-02-10", 400, "undercut"],
+			["Deluxe Double Room", "2027-02-11", null, "not_comparable"],
+			["Double Room", "2027-02-11", 400, "above"],
+		]
+	);
+	const [first] = report.rows;
+	assert.deepEqual(
+		first.rates.map((rate) => [rate.provider, rate.amountSar, rate.differencePercent, rate.status]),
+		[
+			["booking", 398, -0.5, "parity"],
+			["expedia", 360, -10, "undercut"],
+		]
+	);
+	assert.equal(first.worstDifferencePercent, -10);
+	assert.deepEqual(report.undercuts, [first]);
+	assert.deepEqual(report.summary.byProvider.expedia, {
+		compared: 1,
+		undercut: 1,
+		above: 0,
+		parity: 0,
+		notComparable: 0,
+		largestUndercutPercent: -10,
+	});
+	assert.equal(report.summary.notComparable, 1);
+	assert.equal(report.summary.compared, 3);
+});
+
+test("a rate sheet import keeps good rows and reports the rest by sheet row", async () => {
+	const created = [];
+	const inserted = [];
+	const result = await importRateObservations(
+		{
+			hotel: { _id: hotelId, roomCountDetails: rooms },
+			provider: "booking",
+			actor: { _id: "65a0000000000000000000aa" },
+			rows: [
+				{ date: "2027-02-12", room: "Family Suite", price: 850, __rowNumber: 2 },
+				{ date: "2027-02-10", room: "Double Room", price: 380, __rowNumber: 3 },
+				{ date: "", room: "Double Room", price: 380, __rowNumber: 4 },
+			],
+		},
+		{
+			RunModel: { create: async (doc) => (created.push(doc), { _id: "run-1", ...doc }) },
+			ObservationModel: { insertMany: async (docs) => inserted.push(...docs) },
+		}
+	);
+	assert.equal(result.imported, 2);
+	assert.deepEqual(result.rejected, [{ row: 4, issues: ["date_invalid"] }]);
+	assert.equal(created[0].dateFrom, "2027-02-10");
+	assert.equal(created[0].dateTo, "2027-02-12");
+	assert.deepEqual(created[0].resultSummary, { imported: 2, rejected: 1 });
+	assert.ok(inserted.every((row) => row.runId === "run-1" && row.source === "csv" && row.provider === "booking"));
+	await assert.rejects(importRateObservations({ hotel: { _id: hotelId }, rows: [] }), {
+		code: "rate_parity_import_empty",
+	});
+});
+
+test("the collector reads each room's cheapest price from a listing page", () => {
+	assert.equal(
+		collector.buildOtaRateSearchUrl("booking", "https://www.booking.com/hotel/sa/jannat.html#availability", "2027-02-10"),
+		"https://www.booking.com/hotel/sa/jannat.html?checkin=2027-02-10&checkout=2027-02-11&group_adults=2&no_rooms=1&selected_currency=SAR"
+	);
+	assert.equal(collector.buildOtaRateSearchUrl("booking", "https://evil.example/booking.com", "2027-02-10"), "");
+	assert.equal(collector.buildOtaRateSearchUrl("agoda", "http://www.agoda.com/jannat", "2027-02-10"), "");
+
+	const text = [
+		"Choose your room",
+		"Double Room",
+		"1 large double bed",
+		"SAR 1,200 SAR 950",
+		"Non-refundable SAR 900",
+		"Deluxe Double Room",
+		"Haram view",
+		"US$ 180",
+		"Family Suite",
+		"Sold out",
+	].join("\n");
+	assert.deepEqual(collector.parseOtaRatePageText(text, rooms), [
+		{ roomId: rooms[0]._id, amount: 900, currency: "SAR", otaRoomName: "Double Room" },
+		{ roomId: rooms[1]._id, amount: 180, currency: "USD", otaRoomName: "Deluxe Double Room" },
+	]);
+});
@@ -0,0 +1,478 @@
+/** @format */
+
+"use strict";
+
+// Reusable runner for dated data repairs. A repair is a small plugin registered
+// with registerRepair(): it only decides which documents need which field
+// values. The runner owns everything the incident scripts used to repeat:
+//
+//   plan     -> snapshot the current value of every touched field (RepairJob)
+//   approve  -> a reviewer accepts the frozen plan
+//   apply    -> re-plan, refuse if anything moved, then compare-and-set each
+//               document and write an audit entry onto it
+//   rollback -> restore the snapshot wherever the repaired value is still there
+//   recover  -> close out an apply or rollback whose process died, from what the
+//               documents actually hold, so it can be rolled back or retried
+//
+// Field paths are stored as [{ path, before, after }] rather than dotted keys so
+// the job document itself never needs dotted field names.
+
+const crypto = require("node:crypto");
+const mongoose = require("mongoose");
+const RepairJob = require("../models/repair_job");
+
+const MAX_REPAIR_DOCUMENTS = 1000;
+const REPAIR_LEASE_MS = 10 * 60 * 1000;
+const REPAIR_ID_PATTERN = /^[a-z0-9][a-z0-9-]{2,80}$/;
+
+class RepairJobError extends Error {
+	constructor(message, code, statusCode = 400) {
+		super(message);
+		this.name = "RepairJobError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const REPAIR_REGISTRY = new Map();
+
+function registerRepair(definition = {}) {
+	const id = String(definition.id || "").trim();
+	if (!REPAIR_ID_PATTERN.test(id)) {
+		throw new RepairJobError(`Repair id "${id}" is invalid.`, "repair_definition_invalid");
+	}
+	if (!definition.modelName || typeof definition.plan !== "function") {
+		throw new RepairJobError(`Repair ${id} needs a modelName and a plan function.`, "repair_definition_invalid");
+	}
+	if (REPAIR_REGISTRY.has(id)) {
+		throw new RepairJobError(`Repair ${id} is already registered.`, "repair_definition_duplicate");
+	}
+	const entry = Object.freeze({
+		id,
+		description: String(definition.description || "").trim(),
+		modelName: definition.modelName,
+		params: Object.freeze({ ...(definition.params || {}) }),
+		auditLogFields: Object.freeze([...(definition.auditLogFields || [])]),
+		plan: definition.plan,
+	});
+	REPAIR_REGISTRY.set(id, entry);
+	return entry;
+}
+
+function getRepair(id, registry = REPAIR_REGISTRY) {
+	const entry = registry.get(String(id || "").trim());
+	if (!entry) throw new RepairJobError(`Unknown repair "${id}".`, "repair_unknown", 404);
+	return entry;
+}
+
+function listRepairs(registry = REPAIR_REGISTRY) {
+	return Array.from(registry.values()).map(({ id, description, modelName, params }) => ({
+		id,
+		description,
+		modelName,
+		params,
+	}));
+}
+
+const valueAt = (doc, path) =>
+	String(path)
+		.split(".")
+		.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const canonical = (value) => JSON.stringify(value === undefined ? null : value);
+
+const sameValue = (left, right) => canonical(left) === canonical(right);
+
+const actorRef = (actor = {}) => ({
+	_id: actor?._id || null,
+	name: String(actor?.name || "System").trim(),
+	role: String(actor?.role || "system").trim(),
+});
+
+// CLI actors carry their OS account as the id (scripts/repairJob.js); the
+// name is only compared for jobs recorded before that, which have no id.
+const sameActor = (left = {}, right = {}) =>
+	left?._id && right?._id
+		? String(left._id) === String(right._id)
+		: String(left?.name || "").trim().toLowerCase() === String(right?.name || "").trim().toLowerCase();
+
+function repairPlanHash(changes = []) {
+	const basis = changes.map((change) => ({
+		documentId: String(change.documentId),
+		fields: change.fields.map(({ path, before, beforeMissing, after }) => ({
+			path,
+			before: beforeMissing ? { $missing: true } : before,
+			after,
+		})),
+	}));
+	return crypto.createHash("sha256").update(canonical(basis)).digest("hex");
+}
+
+function validatePlannedChange(change = {}, repairId) {
+	const documentId = String(change.documentId || "");
+	const set = change.set;
+	if (!mongoose.Types.ObjectId.isValid(documentId) || !set || typeof set !== "object") {
+		throw new RepairJobError(`Repair ${repairId} planned an invalid change.`, "repair_plan_invalid");
+	}
+	const paths = Object.keys(set);
+	if (!paths.length || paths.some((path) => path === "_id" || path.startsWith("$") || path.includes(".$"))) {
+		throw new RepairJobError(`Repair ${repairId} planned an invalid field path.`, "repair_plan_invalid");
+	}
+	return { documentId, set, description: String(change.description || "").trim() };
+}
+
+// Run the plugin and snapshot what each touched field holds right now. Fields
+// that already hold the planned value are dropped, and so are documents left
+// with nothing to change.
+async function buildRepairChanges(definition, params = {}, dependencies = {}) {
+	const Model = repairModel(definition, dependencies);
+	const planned = await definition.plan(params, { Model, now: dependencies.now || new Date() });
+	const requested = (Array.isArray(planned) ? planned : []).map((change) =>
+		validatePlannedChange(change, definition.id)
+	);
+	if (new Set(requested.map((change) => change.documentId)).size !== requested.length) {
+		throw new RepairJobError(`Repair ${definition.id} planned one document twice.`, "repair_plan_invalid");
+	}
+	if (requested.length > MAX_REPAIR_DOCUMENTS) {
+		throw new RepairJobError(
+			`Repair ${definition.id} planned ${requested.length} documents; the limit is ${MAX_REPAIR_DOCUMENTS}.`,
+			"repair_plan_too_large"
+		);
+	}
+	const documents = requested.length
+		? await Model.find({ _id: { $in: requested.map((change) => change.documentId) } }).lean()
+		: [];
+	const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+	const changes = [];
+	for (const change of requested) {
+		const doc = byId.get(change.documentId);
+		if (!doc) continue;
+		const fields = Object.entries(change.set)
+			.map(([path, after]) => {
+				const before = valueAt(doc, path);
+				return { path, before: before === undefined ? null : before, beforeMissing: before === undefined, after };
+			})
+			.filter((field) => field.beforeMissing || !sameValue(field.before, field.after));
+		if (fields.length) {
+			changes.push({ documentId: change.documentId, description: change.description, fields, applied: false });
+		}
+	}
+	return changes;
+}
+
+function repairModel(definition, dependencies = {}) {
+	return dependencies.models?.[definition.modelName] || mongoose.model(definition.modelName);
+}
+
+const auditEntry = ({ job, change, actor, action, from, to, at }) => ({
+	at,
+	action,
+	field: change.fields.map((field) => field.path).join(", "),
+	by: actorRef(actor),
+	from,
+	to,
+	note: [job.repairId, change.description].filter(Boolean).join(": "),
+	repairId: job.repairId,
+	repairJobId: job._id,
+});
+
+const auditPush = (definition, entry) =>
+	definition.auditLogFields.length
+		? { $push: Object.fromEntries(definition.auditLogFields.map((field) => [field, entry])) }
+		: {};
+
+const fieldValues = (fields, key) => Object.fromEntries(fields.map((field) => [field.path, field[key]]));
+
+async function planRepairJob({ repairId, params = {}, actor } = {}, dependencies = {}) {
+	const registry = dependencies.registry || REPAIR_REGISTRY;
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const definition = getRepair(repairId, registry);
+	const changes = await buildRepairChanges(definition, params, dependencies);
+	return JobModel.create({
+		repairId: definition.id,
+		params,
+		modelName: definition.modelName,
+		status: "planned",
+		planHash: repairPlanHash(changes),
+		changes,
+		summary: {
+			documents: changes.length,
+			fields: changes.reduce((total, change) => total + change.fields.length, 0),
+		},
+		plannedBy: actorRef(actor),
+		auditLog: [{ at: dependencies.now || new Date(), action: "planned", by: actorRef(actor) }],
+	});
+}
+
+async function transitionRepairJob(JobModel, jobId, fromStatuses, update, message) {
+	const job = await JobModel.findOneAndUpdate(
+		{ _id: jobId, status: { $in: fromStatuses } },
+		update,
+		{ new: true }
+	).lean();
+	if (!job) throw new RepairJobError(message, "repair_job_state_conflict", 409);
+	return job;
+}
+
+const leaseUntil = (at) => new Date(at.getTime() + REPAIR_LEASE_MS);
+
+// Extend the lease after each document. If another process recovered the job
+// in the meantime the lease is gone and this run stops before touching more.
+async function renewRepairLease(JobModel, job, status, now = new Date()) {
+	const result = await JobModel.updateOne(
+		{ _id: job._id, status, leaseOwner: job.leaseOwner },
+		{ $set: { leaseUntil: leaseUntil(now) } }
+	);
+	if (!Number(result?.matchedCount ?? result?.n ?? 0)) {
+		throw new RepairJobError(
+			"This repair job was recovered by another process while it ran.",
+			"repair_job_lease_lost",
+			409
+		);
+	}
+}
+
+async function approveRepairJob(jobId, actor, dependencies = {}) {
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const existing = await JobModel.findOne({ _id: jobId }).lean();
+	if (!existing) throw new RepairJobError("Repair job not found.", "repair_job_not_found", 404);
+	if (!existing.changes?.length) {
+		throw new RepairJobError("This repair job has nothing to apply.", "repair_nothing_to_apply", 409);
+	}
+	if (sameActor(existing.plannedBy, actorRef(actor))) {
+		throw new RepairJobError(
+			"A repair job must be approved by someone other than the person who planned it.",
+			"repair_approver_is_planner",
+			403
+		);
+	}
+	const at = dependencies.now || new Date();
+	return transitionRepairJob(
+		JobModel,
+		jobId,
+		["planned"],
+		{
+			$set: { status: "approved", approvedBy: actorRef(actor), approvedAt: at },
+			$push: { auditLog: { at, action: "approved", by: actorRef(actor) } },
+		},
+		"Only a planned repair job can be approved."
+	);
+}
+
+async function cancelRepairJob(jobId, actor, dependencies = {}) {
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const at = dependencies.now || new Date();
+	return transitionRepairJob(
+		JobModel,
+		jobId,
+		["planned", "approved"],
+		{
+			$set: { status: "cancelled" },
+			$push: { auditLog: { at, action: "cancelled", by: actorRef(actor) } },
+		},
+		"Only a planned or approved repair job can be cancelled."
+	);
+}
+
+async function applyRepairJob(jobId, actor, dependencies = {}) {
+	const registry = dependencies.registry || REPAIR_REGISTRY;
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const approved = await JobModel.findOne({ _id: jobId }).lean();
+	if (!approved) throw new RepairJobError("Repair job not found.", "repair_job_not_found", 404);
+	if (approved.status !== "approved") {
+		throw new RepairJobError("Only an approved repair job can be applied.", "repair_job_state_conflict", 409);
+	}
+	const definition = getRepair(approved.repairId, registry);
+	const replanned = await buildRepairChanges(definition, approved.params || {}, dependencies);
+	if (repairPlanHash(replanned) !== approved.planHash) {
+		throw new RepairJobError(
+			"The data changed since this repair was planned; cancel it and plan again.",
+			"repair_plan_changed",
+			409
+		);
+	}
+	const at = dependencies.now || new Date();
+	const job = await transitionRepairJob(
+		JobModel,
+		jobId,
+		["approved"],
+		{ $set: { status: "applying", leaseOwner: crypto.randomUUID(), leaseUntil: leaseUntil(at) } },
+		"This repair job is already being applied."
+	);
+	const Model = repairModel(definition, dependencies);
+	const changes = job.changes.map((change) => ({ ...change }));
+	let error = "";
+	for (const change of changes) {
+		await renewRepairLease(JobModel, job, "applying", dependencies.now);
+		const filter = { _id: change.documentId };
+		for (const field of change.fields) {
+			filter[field.path] = field.beforeMissing ? { $exists: false } : field.before;
+		}
+		const entry = auditEntry({
+			job,
+			change,
+			actor,
+			action: "repair_applied",
+			from: fieldValues(change.fields, "before"),
+			to: fieldValues(change.fields, "after"),
+			at,
+		});
+		const result = await Model.updateOne(filter, {
+			$set: fieldValues(change.fields, "after"),
+			...auditPush(definition, entry),
+		});
+		if (!Number(result?.matchedCount ?? result?.n ?? 0)) {
+			error = `Document ${change.documentId} changed while the repair was applied; the remaining changes were not applied.`;
+			break;
+		}
+		change.applied = true;
+	}
+	const appliedCount = changes.filter((change) => change.applied).length;
+	return JobModel.findOneAndUpdate(
+		{ _id: jobId, status: "applying", leaseOwner: job.leaseOwner },
+		{
+			$unset: { leaseOwner: "", leaseUntil: "" },
+			$set: {
+				status: error ? "failed" : "applied",
+				changes,
+				error,
+				appliedBy: actorRef(actor),
+				appliedAt: at,
+				"summary.applied": appliedCount,
+			},
+			$push: {
+				auditLog: { at, action: error ? "apply_failed" : "applied", by: actorRef(actor), applied: appliedCount },
+			},
+		},
+		{ new: true }
+	).lean();
+}
+
+// Restore each applied document in reverse order. A field that no longer holds
+// the value the repair wrote has been edited since; that document is reported
+// as a conflict and left alone rather than overwriting the newer edit.
+async function rollbackRepairJob(jobId, actor, dependencies = {}) {
+	const registry = dependencies.registry || REPAIR_REGISTRY;
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const at = dependencies.now || new Date();
+	const job = await transitionRepairJob(
+		JobModel,
+		jobId,
+		["applied", "failed"],
+		{ $set: { status: "rolling_back", leaseOwner: crypto.randomUUID(), leaseUntil: leaseUntil(at) } },
+		"Only an applied or failed repair job can be rolled back."
+	);
+	const definition = getRepair(job.repairId, registry);
+	const Model = repairModel(definition, dependencies);
+	const changes = job.changes.map((change) => ({ ...change }));
+	const conflicts = [];
+	for (const change of [...changes].reverse()) {
+		if (!change.applied) continue;
+		await renewRepairLease(JobModel, job, "rolling_back", dependencies.now);
+		const filter = { _id: change.documentId };
+		for (const field of change.fields) filter[field.path] = field.after;
+		const restore = change.fields.filter((field) => !field.beforeMissing);
+		const remove = change.fields.filter((field) => field.beforeMissing);
+		const entry = auditEntry({
+			job,
+			change,
+			actor,
+			action: "repair_rolled_back",
+			from: fieldValues(change.fields, "after"),
+			to: fieldValues(change.fields, "before"),
+			at,
+		});
+		const update = { ...auditPush(definition, entry) };
+		if (restore.length) update.$set = fieldValues(restore, "before");
+		if (remove.length) update.$unset = Object.fromEntries(remove.map((field) => [field.path, ""]));
+		const result = await Model.updateOne(filter, update);
+		if (!Number(result?.matchedCount ?? result?.n ?? 0)) {
+			conflicts.push(change.documentId);
+			continue;
+		}
+		change.applied = false;
+		change.rolledBack = true;
+	}
+	return JobModel.findOneAndUpdate(
+		{ _id: jobId, status: "rolling_back", leaseOwner: job.leaseOwner },
+		{
+			$unset: { leaseOwner: "", leaseUntil: "" },
+			$set: {
+				status: "rolled_back",
+				changes,
+				rolledBackBy: actorRef(actor),
+				rolledBackAt: at,
+				"summary.rollbackConflicts": conflicts,
+			},
+			$push: { auditLog: { at, action: "rolled_back", by: actorRef(actor), conflicts: conflicts.length } },
+		},
+		{ new: true }
+	).lean();
+}
+
+// An apply or rollback whose lease ran out died part way. Each change is marked
+// applied again only where the document still holds every repaired value, and
+// the job is left "failed" so it can be rolled back (or rolled back again).
+async function recoverRepairJob(jobId, actor, dependencies = {}) {
+	const registry = dependencies.registry || REPAIR_REGISTRY;
+	const JobModel = dependencies.RepairJobModel || RepairJob;
+	const at = dependencies.now || new Date();
+	const stuck = await JobModel.findOne({ _id: jobId }).lean();
+	if (!stuck) throw new RepairJobError("Repair job not found.", "repair_job_not_found", 404);
+	if (!["applying", "rolling_back"].includes(stuck.status)) {
+		throw new RepairJobError(
+			"Only a repair job that is applying or rolling back can be recovered.",
+			"repair_job_state_conflict",
+			409
+		);
+	}
+	if (stuck.leaseUntil && new Date(stuck.leaseUntil) > at) {
+		throw new RepairJobError(
+			"This repair job is still running; try again once its lease has expired.",
+			"repair_job_running",
+			409
+		);
+	}
+	const definition = getRepair(stuck.repairId, registry);
+	const Model = repairModel(definition, dependencies);
+	const documents = stuck.changes.length
+		? await Model.find({ _id: { $in: stuck.changes.map((change) => change.documentId) } }).lean()
+		: [];
+	const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+	const changes = stuck.changes.map((change) => {
+		const doc = byId.get(String(change.documentId));
+		const applied = Boolean(doc) && change.fields.every((field) => sameValue(valueAt(doc, field.path), field.after));
+		return { ...change, applied };
+	});
+	const appliedCount = changes.filter((change) => change.applied).length;
+	const error = `The ${stuck.status === "applying" ? "apply" : "rollback"} was interrupted; ${appliedCount} change(s) are in place.`;
+	return transitionRepairJob(
+		JobModel,
+		jobId,
+		[stuck.status],
+		{
+			$unset: { leaseOwner: "", leaseUntil: "" },
+			$set: { status: "failed", changes, error, "summary.applied": appliedCount },
+			$push: { auditLog: { at, action: "recovered", by: actorRef(actor), from: stuck.status, applied: appliedCount } },
+		},
+		"This repair job changed while it was being recovered."
+	);
+}
+
+module.exports = {
+	MAX_REPAIR_DOCUMENTS,
+	REPAIR_LEASE_MS,
+	REPAIR_REGISTRY,
+	RepairJobError,
+	applyRepairJob,
+	approveRepairJob,
+	buildRepairChanges,
+	cancelRepairJob,
+	getRepair,
+	listRepairs,
+	planRepairJob,
+	recoverRepairJob,
+	registerRepair,
+	repairPlanHash,
+	rollbackRepairJob,
+};
@@ -0,0 +1,247 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	REPAIR_REGISTRY,
+	applyRepairJob,
+	approveRepairJob,
+	planRepairJob,
+	recoverRepairJob,
+	registerRepair,
+	rollbackRepairJob,
+} = require("./repairs");
+const { stayNights } = require("./repairs/reservationStayLength");
+const { cliActor } = require("../scripts/repairJob");
+
+const hotelId = "65a000000000000000000001";
+const now = new Date("2027-02-01T09:00:00.000Z");
+const ops = { _id: "65a0000000000000000000aa", name: "Ops" };
+const reviewer = { _id: "65a0000000000000000000bb", name: "Reviewer" };
+
+const valueAt = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setAt = (doc, path, value) => {
+	const keys = path.split(".");
+	const last = keys.pop();
+	const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), doc);
+	if (value === undefined) delete parent[last];
+	else parent[last] = value;
+};
+
+const same = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+const matches = (doc, query = {}) =>
+	Object.entries(query).every(([path, condition]) => {
+		const value = valueAt(doc, path);
+		if (condition && typeof condition === "object" && !Array.isArray(condition) && !(condition instanceof Date)) {
+			return Object.entries(condition).every(([operator, operand]) => {
+				if (operator === "$in") return operand.map(String).includes(String(value));
+				if (operator === "$exists") return (value !== undefined) === operand;
+				if (operator === "$type") return value instanceof Date;
+				if (operator === "$gte") return value >= operand;
+				if (operator === "$lt") return value < operand;
+				throw new Error(`Unsupported operator ${operator}`);
+			});
+		}
+		return path === "_id" ? String(value) === String(condition) : same(value, condition);
+	});
+
+const applyUpdate = (doc, update = {}) => {
+	Object.entries(update.$set || {}).forEach(([path, value]) => setAt(doc, path, value));
+	Object.keys(update.$unset || {}).forEach((path) => setAt(doc, path, undefined));
+	Object.entries(update.$push || {}).forEach(([path, value]) => setAt(doc, path, [...(valueAt(doc, path) || []), value]));
+};
+
+const clone = (doc) => structuredClone(doc);
+
+// Just enough of a mongoose model for the runner and the plugins.
+const memoryModel = (rows = []) => {
+	const docs = rows.map(clone);
+	let sequence = 0;
+	const chain = (result) => {
+		const query = {
+			select: () => query,
+			lean: () => Promise.resolve(result),
+		};
+		return query;
+	};
+	return {
+		docs,
+		find: (filter) => chain(docs.filter((doc) => matches(doc, filter)).map(clone)),
+		findOne: (filter) => chain(clone(docs.find((doc) => matches(doc, filter)) || null)),
+		create: async (input) => {
+			sequence += 1;
+			const doc = { _id: `job-${sequence}`, ...clone(input) };
+			docs.push(doc);
+			return clone(doc);
+		},
+		findOneAndUpdate: (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) applyUpdate(doc, update);
+			return chain(doc ? clone(doc) : null);
+		},
+		updateOne: async (filter, update) => {
+			const doc = docs.find((row) => matches(row, filter));
+			if (doc) applyUpdate(doc, update);
+			return { matchedCount: doc ? 1 : 0 };
+		},
+	};
+};
+
+const reservation = (id, checkin, checkout, days, extra = {}) => ({
+	_id: id,
+	hotelId,
+	checkin_date: new Date(`${checkin}T00:00:00.000Z`),
+	checkout_date: new Date(`${checkout}T00:00:00.000Z`),
+	days_of_residence: days,
+	reservationAuditLog: [],
+	...extra,
+});
+
+test("repairs register once under a valid id", () => {
+	assert.ok(REPAIR_REGISTRY.has("reservation-stay-length"));
+	assert.throws(() => registerRepair({ id: "Bad Id", modelName: "Reservations", plan() {} }), {
+		code: "repair_definition_invalid",
+	});
+	assert.throws(() => registerRepair({ id: "reservation-stay-length", modelName: "Reservations", plan() {} }), {
+		code: "repair_definition_duplicate",
+	});
+	assert.equal(stayNights({ checkin_date: "2027-02-10T21:00:00.000Z", checkout_date: "2027-02-13T00:00:00Z" }), 3);
+	assert.equal(stayNights({ checkin_date: "2027-02-10", checkout_date: "2027-02-10" }), 0);
+});
+
+test("a repair is planned with a snapshot, approved, applied and audited on the document", async () => {
+	const Reservations = memoryModel([
+		reservation("65a0000000000000000000e1", "2027-02-10", "2027-02-13", 2),
+		reservation("65a0000000000000000000e2", "2027-02-10", "2027-02-12", 2),
+		reservation("65a0000000000000000000e3", "2027-02-11", "2027-02-14", undefined),
+		reservation("65a0000000000000000000e4", "2027-02-10", "2027-02-15", 1, { hotelId: "65a000000000000000000002" }),
+	]);
+	const RepairJobModel = memoryModel();
+	const dependencies = { models: { Reservations }, RepairJobModel, now };
+
+	await assert.rejects(planRepairJob({ repairId: "reservation-stay-length", params: {} }, dependencies), {
+		code: "repair_params_invalid",
+	});
+	const planned = await planRepairJob(
+		{ repairId: "reservation-stay-length", params: { hotelId }, actor: ops },
+		dependencies
+	);
+	assert.equal(planned.status, "planned");
+	assert.deepEqual(planned.summary, { documents: 2, fields: 2 });
+	assert.deepEqual(
+		planned.changes.map((change) => [change.documentId, change.fields]),
+		[
+			["65a0000000000000000000e1", [{ path: "days_of_residence", before: 2, beforeMissing: false, after: 3 }]],
+			["65a0000000000000000000e3", [{ path: "days_of_residence", before: null, beforeMissing: true, after: 3 }]],
+		]
+	);
+
+	await assert.rejects(applyRepairJob(planned._id, ops, dependencies), { code: "repair_job_state_conflict" });
+	await approveRepairJob(planned._id, { name: "Reviewer" }, dependencies);
+	const applied = await applyRepairJob(planned._id, ops, dependencies);
+
+	assert.equal(applied.status, "applied");
+	assert.equal(applied.summary.applied, 2);
+	assert.deepEqual(
+		Reservations.docs.map((doc) => doc.days_of_residence),
+		[3, 2, 3, 1]
+	);
+	const [entry] = Reservations.docs[0].reservationAuditLog;
+	assert.equal(entry.action, "repair_applied");
+	assert.equal(entry.repairId, "reservation-stay-length");
+	assert.equal(entry.repairJobId, planned._id);
+	assert.deepEqual([entry.from, entry.to], [{ days_of_residence: 2 }, { days_of_residence: 3 }]);
+	assert.deepEqual(Reservations.docs[0].adminChangeLog, [entry]);
+	assert.deepEqual(
+		applied.auditLog.map((row) => row.action),
+		["planned", "approved", "applied"]
+	);
+});
+
+test("an approved plan is refused once the data moved, and rollback keeps newer edits", async () => {
+	const Reservations = memoryModel([
+		reservation("65a0000000000000000000e1", "2027-02-10", "2027-02-13", 2),
+		reservation("65a0000000000000000000e3", "2027-02-11", "2027-02-14", undefined),
+	]);
+	const RepairJobModel = memoryModel();
+	const dependencies = { models: { Reservations }, RepairJobModel, now };
+	const plan = () =>
+		planRepairJob({ repairId: "reservation-stay-length", params: { hotelId }, actor: ops }, dependencies);
+
+	const stale = await plan();
+	await assert.rejects(approveRepairJob(stale._id, { name: "ops" }, dependencies), {
+		code: "repair_approver_is_planner",
+	});
+	// A different --actor label on the planner's OS account is still the planner.
+	const cliPlanned = await planRepairJob(
+		{ repairId: "reservation-stay-length", params: { hotelId }, actor: cliActor("alice", "deploy") },
+		dependencies
+	);
+	await assert.rejects(approveRepairJob(cliPlanned._id, cliActor("bob", "deploy"), dependencies), {
+		code: "repair_approver_is_planner",
+	});
+	await approveRepairJob(cliPlanned._id, cliActor("bob", "bob"), dependencies);
+	await approveRepairJob(stale._id, reviewer, dependencies);
+	Reservations.docs[0].days_of_residence = 5;
+	await assert.rejects(applyRepairJob(stale._id, ops, dependencies), { code: "repair_plan_changed" });
+
+	Reservations.docs[0].days_of_residence = 2;
+	const job = await plan();
+	await approveRepairJob(job._id, reviewer, dependencies);
+	await applyRepairJob(job._id, ops, dependencies);
+	// Someone fixes the first stay by hand after the repair.
+	Reservations.docs[0].days_of_residence = 4;
+
+	const rolledBack = await rollbackRepairJob(job._id, ops, dependencies);
+	assert.equal(rolledBack.status, "rolled_back");
+	assert.deepEqual(rolledBack.summary.rollbackConflicts, ["65a0000000000000000000e1"]);
+	assert.equal(Reservations.docs[0].days_of_residence, 4);
+	assert.equal("days_of_residence" in Reservations.docs[1], false);
+	assert.deepEqual(
+		Reservations.docs[1].reservationAuditLog.map((row) => row.action),
+		["repair_applied", "repair_rolled_back"]
+	);
+	await assert.rejects(rollbackRepairJob(job._id, ops, dependencies), { code: "repair_job_state_conflict" });
+});
+
+test("an apply that dies part way is recovered from the documents and can be rolled back", async () => {
+	const Reservations = memoryModel([
+		reservation("65a0000000000000000000e1", "2027-02-10", "2027-02-13", 2),
+		reservation("65a0000000000000000000e3", "2027-02-11", "2027-02-14", 1),
+	]);
+	const RepairJobModel = memoryModel();
+	const dependencies = { models: { Reservations }, RepairJobModel, now };
+	const job = await planRepairJob(
+		{ repairId: "reservation-stay-length", params: { hotelId }, actor: ops },
+		dependencies
+	);
+	await approveRepairJob(job._id, reviewer, dependencies);
+
+	// The process dies while writing the second document.
+	const updateOne = Reservations.updateOne;
+	let writes = 0;
+	Reservations.updateOne = async (...args) => {
+		writes += 1;
+		if (writes === 2) throw new Error("connection lost");
+		return updateOne(...args);
+	};
+	await assert.rejects(applyRepairJob(job._id, ops, dependencies), /connection lost/);
+	Reservations.updateOne = updateOne;
+	assert.equal(RepairJobModel.docs[0].status, "applying");
+
+	await assert.rejects(recoverRepairJob(job._id, ops, dependencies), { code: "repair_job_running" });
+	const later = { ...dependencies, now: new Date(now.getTime() + 11 * 60 * 1000) };
+	const recovered = await recoverRepairJob(job._id, ops, later);
+	assert.equal(recovered.status, "failed");
+	assert.deepEqual(recovered.changes.map((change) => change.applied), [true, false]);
+	assert.equal(recovered.leaseOwner, undefined);
+
+	const rolledBack = await rollbackRepairJob(job._id, ops, later);
+	assert.equal(rolledBack.status, "rolled_back");
+	assert.deepEqual(
+		Reservations.docs.map((doc) => doc.days_of_residence),
+		[2, 1]
+	);
+});
@@ -0,0 +1,10 @@
+/** @format */
+
+"use strict";
+
+// Every registered data repair. Add a repair by creating a module in this
+// directory that calls registerRepair() and requiring it below.
+
+require("./reservationStayLength");
+
+module.exports = require("../repairJobs");
@@ -0,0 +1,76 @@
+/** @format */
+
+"use strict";
+
+// days_of_residence is sent by the client on several booking paths instead of
+// being derived from the stay, so it can drift from the check-in/check-out
+// dates after edits. This repair recomputes it from the UTC stay dates.
+
+const mongoose = require("mongoose");
+const { RepairJobError, registerRepair } = require("../repairJobs");
+
+require("../../models/reservations");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDay = (value) => {
+	const date = new Date(value);
+	if (!value || Number.isNaN(date.getTime())) return null;
+	return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+const stayNights = (reservation = {}) => {
+	const checkin = utcDay(reservation.checkin_date);
+	const checkout = utcDay(reservation.checkout_date);
+	if (checkin === null || checkout === null || checkout <= checkin) return 0;
+	return Math.round((checkout - checkin) / DAY_MS);
+};
+
+const parseDay = (value, name) => {
+	const day = String(value || "").trim();
+	if (!day) return null;
+	const date = new Date(`${day}T00:00:00.000Z`);
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(date.getTime())) {
+		throw new RepairJobError(`${name} must be a YYYY-MM-DD date.`, "repair_params_invalid");
+	}
+	return date;
+};
+
+const repair = registerRepair({
+	id: "reservation-stay-length",
+	description: "Recompute days_of_residence from the reservation's check-in and check-out dates.",
+	modelName: "Reservations",
+	auditLogFields: ["adminChangeLog", "reservationAuditLog"],
+	params: {
+		hotelId: "Hotel id (required)",
+		checkinFrom: "First check-in day, YYYY-MM-DD (optional)",
+		checkinTo: "Last check-in day, YYYY-MM-DD (optional)",
+	},
+	async plan(params = {}, { Model }) {
+		const hotelId = String(params.hotelId || "").trim();
+		if (!mongoose.Types.ObjectId.isValid(hotelId)) {
+			throw new RepairJobError("hotelId is required.", "repair_params_invalid");
+		}
+		const query = { hotelId, checkin_date: { $type: "date" }, checkout_date: { $type: "date" } };
+		const checkinFrom = parseDay(params.checkinFrom, "checkinFrom");
+		const checkinTo = parseDay(params.checkinTo, "checkinTo");
+		if (checkinFrom) query.checkin_date.$gte = checkinFrom;
+		if (checkinTo) query.checkin_date.$lt = new Date(checkinTo.getTime() + DAY_MS);
+		const reservations = await Model.find(query)
+			.select("_id checkin_date checkout_date days_of_residence")
+			.lean();
+		return reservations
+			.map((reservation) => ({ reservation, nights: stayNights(reservation) }))
+			.filter(({ reservation, nights }) => nights > 0 && Number(reservation.days_of_residence) !== nights)
+			.map(({ reservation, nights }) => ({
+				documentId: reservation._id,
+				set: { days_of_residence: nights },
+				description: `Stay is ${nights} night(s); stored ${Number(reservation.days_of_residence) || 0}`,
+			}));
+	},
+});
+
+module.exports = {
+	repair,
+	stayNights,
+};
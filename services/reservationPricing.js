@@ -1154,6 +1154,40 @@ const summarizeRooms = (rooms = []) => {
 	};
 };
 
+/**
+ * What the stay costs at the hotel's calendar rates, ignoring any nightly
+ * prices the client sent. Null when the stay cannot be priced.
+ */
+const calculateCalendarStayTotal = async (reservation = {}) => {
+	const stayDates = buildStayDateKeys(reservation.checkin_date, reservation.checkout_date);
+	const rooms = Array.isArray(reservation.pickedRoomsType)
+		? reservation.pickedRoomsType
+		: [];
+	const hotelId = normalizeId(reservation.hotelId);
+	if (!stayDates.length || !rooms.length || !mongoose.Types.ObjectId.isValid(hotelId)) {
+		return null;
+	}
+	const hotel = await HotelDetails.findById(hotelId)
+		.select("_id hotelName commission currency roomCountDetails")
+		.lean()
+		.exec();
+	if (!hotel) return null;
+	try {
+		const priced = rooms.map((room) =>
+			buildCanonicalRoomPricing({
+				hotel,
+				room: { ...room, chosenPrice: 0, pricingByDay: [] },
+				stayDates,
+				preferCalendarPrice: true,
+			})
+		);
+		return summarizeRooms(priced).total_amount;
+	} catch (error) {
+		if (error instanceof ReservationPricingError) return null;
+		throw error;
+	}
+};
+
 const resetCommissionAssignmentForPricingChange = (updates, existing) => {
 	const existingCommissionData = toPlainObject(existing.commissionData);
 	updates.commission = 0;
@@ -1542,6 +1576,7 @@ module.exports = {
 	ReservationPricingError,
 	buildCanonicalRoomPricing,
 	buildStayDateKeys,
+	calculateCalendarStayTotal,
 	dateOnlyKey,
 	normalizeReservationCreationPricing,
 	normalizeReservationStayPricing,
@@ -3,12 +3,12 @@ const PENDING_CONFIRMATION_STATUS_REGEX =
 const PENDING_DECISION_STATUS_REGEX = /^pending$/i;
 const FINANCE_REJECTED_INVENTORY_STATUS_REGEX = /^finance[\s_-]?rejected$/i;
 const CANCELLED_RESERVATION_STATUS_REGEX = /cancel/i;
-const INVENTORY_EXCLUDED_STATUS_REGEX = /cancel|reject|void|no[_\s-]?show/i;
+const INVENTORY_EXCLUDED_STATUS_REGEX = /cancel|reject|void|no[_\s-]?show|relocat/i;
 const INVENTORY_COMPLETED_STATUS_REGEX = /checked[_\s-]?out|checkedout/i;
 const INVENTORY_NON_BLOCKING_STATUS_REGEX =
-	/cancel|reject|void|no[_\s-]?show|checked[_\s-]?out|checkedout/i;
+	/cancel|reject|void|no[_\s-]?show|relocat|checked[_\s-]?out|checkedout/i;
 const PENDING_QUEUE_TERMINAL_STATUS_REGEX =
-	/cancel(?:led|ed)?|void|no[_\s-]?show|in[_\s-]?house|checked[_\s-]?in|checked[_\s-]?out|checkedin|checkedout|early[_\s-]?checked[_\s-]?out|closed/i;
+	/cancel(?:led|ed)?|void|no[_\s-]?show|relocat(?:ed)?|in[_\s-]?house|checked[_\s-]?in|checked[_\s-]?out|checkedin|checkedout|early[_\s-]?checked[_\s-]?out|closed/i;
 
 const normalizeStatus = (value = "") =>
 	String(value || "")
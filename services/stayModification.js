@@ -0,0 +1,443 @@
+"use strict";
+
+const crypto = require("crypto");
+const {
+	buildCanonicalRoomPricing,
+	buildStayDateKeys,
+	dateOnlyKey,
+	summarizeRooms,
+} = require("./reservationPricing");
+const { hasDirectHotelRunnerProjection } = require("./hotelrunnerOtaEmailBoundary");
+
+class StayModificationError extends Error {
+	constructor(message, code = "stay_modification_invalid", statusCode = 400) {
+		super(message);
+		this.name = "StayModificationError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const STAY_SEGMENT_KINDS = Object.freeze(["original", "extension", "move"]);
+const STAY_CLOSED_STATUS_REGEX =
+	/cancel|no[_\s-]?show|reject|void|relocat|checked[_\s-]?out|checkedout|closed/i;
+
+const n2 = (value) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+};
+
+const clean = (value, max = 200) =>
+	String(value == null ? "" : value)
+		.trim()
+		.slice(0, max);
+
+const normalizeId = (value) => String(value?._id || value || "").trim();
+
+const roomCount = (room = {}) => Math.max(Math.floor(Number(room.count) || 1), 1);
+
+const reservationRooms = (reservation = {}) =>
+	Array.isArray(reservation.pickedRoomsType) && reservation.pickedRoomsType.length
+		? reservation.pickedRoomsType
+		: Array.isArray(reservation.pickedRoomsPricing)
+		? reservation.pickedRoomsPricing
+		: [];
+
+// Lines split off by a room move carry the part of the stay they cover
+// (stayTo exclusive); other lines cover the whole stay.
+const lineFrom = (room = {}, reservation = {}) =>
+	dateOnlyKey(room.stayFrom) || dateOnlyKey(reservation.checkin_date);
+const lineTo = (room = {}, reservation = {}) =>
+	dateOnlyKey(room.stayTo) || dateOnlyKey(reservation.checkout_date);
+
+const segmentLines = (rooms = []) =>
+	rooms.map((room) => ({
+		room_type: room.room_type || "",
+		displayName: room.displayName || room.room_type || "",
+		count: roomCount(room),
+	}));
+
+const roomIdsOf = (reservation = {}) =>
+	(Array.isArray(reservation.roomId) ? reservation.roomId : [])
+		.map(normalizeId)
+		.filter(Boolean);
+
+/**
+ * The stay as a list of date ranges, each with the rooms the guest held over
+ * it. Reservations that were never split get one "original" segment.
+ */
+const reservationStaySegments = (reservation = {}) => {
+	if (Array.isArray(reservation.staySegments) && reservation.staySegments.length) {
+		return reservation.staySegments;
+	}
+	return [
+		{
+			_id: "original",
+			kind: "original",
+			from: dateOnlyKey(reservation.checkin_date),
+			to: dateOnlyKey(reservation.checkout_date),
+			lines: segmentLines(reservationRooms(reservation)),
+			roomIds: roomIdsOf(reservation),
+			nightsPriced: 0,
+			amountAdded: 0,
+			note: "",
+			at: reservation.createdAt || null,
+			by: null,
+		},
+	];
+};
+
+const assertStayModifiable = (reservation = {}) => {
+	const status = clean(reservation.reservation_status || reservation.state, 60);
+	if (STAY_CLOSED_STATUS_REGEX.test(status)) {
+		throw new StayModificationError(
+			`A reservation with status "${status}" cannot be changed.`,
+			"stay_reservation_closed",
+			409
+		);
+	}
+	if (hasDirectHotelRunnerProjection(reservation)) {
+		throw new StayModificationError(
+			"This booking belongs to an OTA channel; extend or move it on the channel so it syncs back.",
+			"stay_ota_managed",
+			409
+		);
+	}
+	if (!reservationRooms(reservation).length) {
+		throw new StayModificationError(
+			"The reservation has no rooms to change.",
+			"stay_rooms_missing"
+		);
+	}
+};
+
+/**
+ * Prices the given nights for each room line from the hotel calendar. Only
+ * these nights are priced; the rows already on the reservation are kept.
+ */
+const priceStayNights = ({ hotel, rooms = [], nights = [], agentId = "", warnings = [] }) =>
+	rooms.map((room) =>
+		buildCanonicalRoomPricing({
+			hotel,
+			room: {
+				room_type: room.room_type,
+				displayName: room.displayName,
+				count: roomCount(room),
+			},
+			stayDates: nights,
+			preferCalendarPrice: true,
+			allowBlockedCalendar: true,
+			warnings,
+			agentId,
+		}).pricingByDay
+	);
+
+const pricingTotalsUpdate = (rooms = [], nights = 0) => {
+	const totals = summarizeRooms(rooms);
+	return {
+		pickedRoomsType: rooms,
+		pickedRoomsPricing: rooms,
+		total_rooms: rooms.reduce((sum, room) => sum + roomCount(room), 0),
+		days_of_residence: nights,
+		total_amount: totals.total_amount,
+		sub_total: totals.sub_total,
+		adminPricing: totals.adminPricing,
+	};
+};
+
+const stayAuditEntry = ({ actor = null, action, field, from = null, to = null, note = "", at = new Date() }) => ({
+	at,
+	action,
+	field,
+	by: {
+		_id: actor?._id || undefined,
+		name: actor?.name || "System",
+		role: actor?.role || "system",
+	},
+	from,
+	to,
+	note,
+});
+
+const normalizeExtensionInput = (input = {}, reservation = {}) => {
+	const currentCheckout = dateOnlyKey(reservation.checkout_date);
+	const newCheckout = dateOnlyKey(input.checkout_date || input.checkoutDate);
+	if (!newCheckout || !/^\d{4}-\d{2}-\d{2}$/.test(newCheckout)) {
+		throw new StayModificationError(
+			"Choose the new checkout date (YYYY-MM-DD).",
+			"stay_checkout_invalid"
+		);
+	}
+	if (newCheckout <= currentCheckout) {
+		throw new StayModificationError(
+			`The new checkout must be after ${currentCheckout}.`,
+			"stay_checkout_not_later"
+		);
+	}
+	const nights = buildStayDateKeys(currentCheckout, newCheckout);
+	if (nights.length > 60) {
+		throw new StayModificationError(
+			"A stay can be extended by at most 60 nights at a time.",
+			"stay_extension_too_long"
+		);
+	}
+	return {
+		currentCheckout,
+		newCheckout,
+		nights,
+		note: clean(input.note, 300),
+	};
+};
+
+/**
+ * Appends the newly priced nights to every room line still running at
+ * checkout and adds an "extension" segment; the nights already sold keep
+ * their rates.
+ */
+const planStayExtension = (
+	reservation = {},
+	extension = {},
+	pricedRows = [],
+	{ actor = null, at = new Date() } = {}
+) => {
+	const runsToCheckout = (room) => lineTo(room, reservation) >= extension.currentCheckout;
+	const rooms = reservationRooms(reservation).map((room, index) =>
+		!runsToCheckout(room)
+			? room
+			: {
+					...room,
+					...(room.stayTo ? { stayTo: extension.newCheckout } : {}),
+					pricingByDay: [
+						...(Array.isArray(room.pricingByDay) ? room.pricingByDay : []),
+						...(pricedRows[index] || []),
+					],
+			  }
+	);
+	const stayNights = buildStayDateKeys(reservation.checkin_date, extension.newCheckout);
+	const totals = pricingTotalsUpdate(rooms, stayNights.length);
+	const amountAdded = n2(totals.total_amount - n2(reservation.total_amount));
+	const segment = {
+		_id: crypto.randomUUID(),
+		kind: "extension",
+		from: extension.currentCheckout,
+		to: extension.newCheckout,
+		lines: segmentLines(reservationRooms(reservation).filter(runsToCheckout)),
+		roomIds: roomIdsOf(reservation),
+		nightsPriced: extension.nights.length,
+		amountAdded,
+		note: extension.note,
+		at,
+		by: actor,
+	};
+	const entry = stayAuditEntry({
+		actor,
+		action: "stay_extended",
+		field: "checkout_date",
+		from: extension.currentCheckout,
+		to: extension.newCheckout,
+		note: `${extension.nights.length} night(s) added for ${amountAdded} SAR; total ${n2(reservation.total_amount)} -> ${totals.total_amount} SAR${extension.note ? `; ${extension.note}` : ""}`,
+		at,
+	});
+	return {
+		segment,
+		amountAdded,
+		update: {
+			$set: {
+				...totals,
+				checkout_date: new Date(`${extension.newCheckout}T00:00:00.000Z`),
+				staySegments: [...reservationStaySegments(reservation), segment],
+			},
+			$push: { adminChangeLog: entry, reservationAuditLog: entry },
+		},
+	};
+};
+
+const normalizeRoomMoveInput = (input = {}, reservation = {}, { today } = {}) => {
+	const rooms = reservationRooms(reservation);
+	const lineIndex = input.lineIndex === undefined ? 0 : Number(input.lineIndex);
+	if (!Number.isInteger(lineIndex) || !rooms[lineIndex]) {
+		throw new StayModificationError("Choose the room line to move.", "stay_move_line_invalid");
+	}
+	const checkin = dateOnlyKey(reservation.checkin_date);
+	const checkout = dateOnlyKey(reservation.checkout_date);
+	const moveDate = dateOnlyKey(input.moveDate) || (today > checkin ? today : checkin);
+	if (moveDate < checkin || moveDate >= checkout) {
+		throw new StayModificationError(
+			`The move date must fall between ${checkin} and the night before ${checkout}.`,
+			"stay_move_date_outside_stay"
+		);
+	}
+	if (today && moveDate < today) {
+		throw new StayModificationError(
+			"Nights that have already passed cannot be moved.",
+			"stay_move_date_past"
+		);
+	}
+	const fromRoomId = normalizeId(input.fromRoomId);
+	const toRoomId = normalizeId(input.toRoomId);
+	if (fromRoomId && !roomIdsOf(reservation).includes(fromRoomId)) {
+		throw new StayModificationError(
+			"The room being vacated is not assigned to this reservation.",
+			"stay_move_room_not_assigned"
+		);
+	}
+	const current = rooms[lineIndex];
+	const currentTo = lineTo(current, reservation);
+	if (moveDate < lineFrom(current, reservation) || moveDate >= currentTo) {
+		throw new StayModificationError(
+			"The move date must fall on a night this room line covers.",
+			"stay_move_date_outside_line"
+		);
+	}
+	const toRoomType = clean(input.toRoomType, 120) || current.room_type;
+	const toDisplayName =
+		clean(input.toDisplayName, 120) ||
+		(toRoomType === current.room_type ? current.displayName : toRoomType);
+	if (toRoomType === current.room_type && (!toRoomId || toRoomId === fromRoomId)) {
+		throw new StayModificationError(
+			"Choose a different room type or room to move to.",
+			"stay_move_target_required"
+		);
+	}
+	return {
+		lineIndex,
+		moveDate,
+		movedNights: buildStayDateKeys(moveDate, currentTo),
+		fromRoomId,
+		toRoomId,
+		toRoomType,
+		toDisplayName,
+		typeChanged: toRoomType !== current.room_type,
+		// Same-type moves keep the line's rates; only a type change can re-price.
+		reprice: input.reprice === true && toRoomType !== current.room_type,
+		note: clean(input.note, 300),
+	};
+};
+
+/**
+ * Moves one room of a line from the move date onwards. A type change splits
+ * the room into the old type up to the move date and the new type from it,
+ * so inventory counts the room the guest is actually in on each night. The
+ * sold rates stay unless the move is re-priced, in which case only the moved
+ * nights take the new type's calendar price.
+ */
+const planRoomMove = (
+	reservation = {},
+	move = {},
+	repricedRows = null,
+	{ actor = null, at = new Date() } = {}
+) => {
+	const rooms = reservationRooms(reservation).map((room) => ({ ...room }));
+	const current = rooms[move.lineIndex];
+	let target = current;
+	if (move.typeChanged) {
+		const rows = Array.isArray(current.pricingByDay) ? current.pricingByDay : [];
+		const from = lineFrom(current, reservation);
+		target = {
+			...current,
+			room_type: move.toRoomType,
+			displayName: move.toDisplayName,
+			count: 1,
+			pricingByDay: rows.filter((day) => dateOnlyKey(day.date) >= move.moveDate),
+			stayFrom: move.moveDate,
+			stayTo: lineTo(current, reservation),
+		};
+		const remaining = [];
+		if (roomCount(current) > 1) {
+			remaining.push({ ...current, count: roomCount(current) - 1 });
+		}
+		if (from < move.moveDate) {
+			remaining.push({
+				...current,
+				count: 1,
+				pricingByDay: rows.filter((day) => dateOnlyKey(day.date) < move.moveDate),
+				stayFrom: from,
+				stayTo: move.moveDate,
+			});
+		}
+		rooms.splice(move.lineIndex, 1, ...remaining, target);
+	}
+	if (move.reprice && Array.isArray(repricedRows)) {
+		const moved = new Set(move.movedNights);
+		target.pricingByDay = [
+			...(target.pricingByDay || []).filter((day) => !moved.has(dateOnlyKey(day.date))),
+			...repricedRows,
+		].sort((left, right) => String(left.date).localeCompare(String(right.date)));
+	}
+
+	const roomIds = roomIdsOf(reservation).filter((roomId) => roomId !== move.fromRoomId);
+	if (move.toRoomId && !roomIds.includes(move.toRoomId)) roomIds.push(move.toRoomId);
+
+	const stayNights = buildStayDateKeys(reservation.checkin_date, reservation.checkout_date);
+	const totals = pricingTotalsUpdate(rooms, stayNights.length);
+	const amountAdded = n2(totals.total_amount - n2(reservation.total_amount));
+	const segments = reservationStaySegments(reservation)
+		.filter((segment) => segment.from < move.moveDate)
+		.map((segment) => (segment.to > move.moveDate ? { ...segment, to: move.moveDate } : segment));
+	const segment = {
+		_id: crypto.randomUUID(),
+		kind: "move",
+		from: move.moveDate,
+		to: dateOnlyKey(reservation.checkout_date),
+		lines: segmentLines(
+			rooms.filter(
+				(room) =>
+					lineFrom(room, reservation) <= move.moveDate &&
+					lineTo(room, reservation) > move.moveDate
+			)
+		),
+		roomIds,
+		fromRoomId: move.fromRoomId || null,
+		toRoomId: move.toRoomId || null,
+		nightsPriced: move.reprice ? move.movedNights.length : 0,
+		amountAdded,
+		note: move.note,
+		at,
+		by: actor,
+	};
+	const entry = stayAuditEntry({
+		actor,
+		action: "room_moved",
+		field: "pickedRoomsType",
+		from: current.displayName || current.room_type,
+		to: move.toDisplayName,
+		note: [
+			`From ${move.moveDate}`,
+			move.fromRoomId || move.toRoomId
+				? `room ${move.fromRoomId || "-"} -> ${move.toRoomId || "-"}`
+				: "",
+			move.reprice
+				? `${move.movedNights.length} night(s) re-priced (${amountAdded >= 0 ? "+" : ""}${amountAdded} SAR)`
+				: "rate kept",
+			move.note,
+		]
+			.filter(Boolean)
+			.join("; "),
+		at,
+	});
+	return {
+		segment,
+		amountAdded,
+		vacatedRoomIds: move.fromRoomId && move.fromRoomId !== move.toRoomId ? [move.fromRoomId] : [],
+		update: {
+			$set: {
+				...totals,
+				roomId: roomIds,
+				staySegments: [...segments, segment],
+			},
+			$push: { adminChangeLog: entry, reservationAuditLog: entry },
+		},
+	};
+};
+
+module.exports = {
+	STAY_SEGMENT_KINDS,
+	StayModificationError,
+	assertStayModifiable,
+	normalizeExtensionInput,
+	normalizeRoomMoveInput,
+	planRoomMove,
+	planStayExtension,
+	priceStayNights,
+	reservationStaySegments,
+};
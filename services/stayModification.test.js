@@ -0,0 +1,208 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	assertStayModifiable,
+	normalizeExtensionInput,
+	normalizeRoomMoveInput,
+	planRoomMove,
+	planStayExtension,
+	priceStayNights,
+	reservationStaySegments,
+} = require("./stayModification");
+
+const actor = { _id: "u1", name: "Desk", role: 2000 };
+const at = new Date("2026-11-11T09:00:00.000Z");
+const roomA = "65a0000000000000000000a1";
+const roomB = "65a0000000000000000000b2";
+
+const night = (date, price) => ({
+	date,
+	price,
+	totalPriceWithCommission: price,
+	totalPriceWithoutCommission: price,
+	rootPrice: price,
+});
+
+const reservation = (overrides = {}) => ({
+	_id: "65a0000000000000000000f1",
+	hotelId: "65a000000000000000000001",
+	reservation_status: "inhouse",
+	checkin_date: new Date("2026-11-10T00:00:00.000Z"),
+	checkout_date: new Date("2026-11-13T00:00:00.000Z"),
+	total_amount: 900,
+	roomId: [roomA],
+	pickedRoomsType: [
+		{
+			room_type: "doubleRooms",
+			displayName: "Double Room",
+			count: 1,
+			pricingByDay: [night("2026-11-10", 300), night("2026-11-11", 300), night("2026-11-12", 300)],
+		},
+	],
+	...overrides,
+});
+
+const hotel = {
+	_id: "65a000000000000000000001",
+	commission: 10,
+	roomCountDetails: [
+		{
+			roomType: "doubleRooms",
+			displayName: "Double Room",
+			count: 10,
+			price: { basePrice: 350 },
+			pricingRate: [{ calendarDate: "2026-11-13", price: 400, rootPrice: 400, commissionRate: 0 }],
+		},
+		{
+			roomType: "suite",
+			displayName: "Suite",
+			count: 2,
+			price: { basePrice: 700 },
+			pricingRate: [],
+		},
+	],
+};
+
+test("an extension prices only the added nights and keeps sold rates", () => {
+	const extension = normalizeExtensionInput({ checkout_date: "2026-11-15", note: "Business trip" }, reservation());
+	assert.deepEqual(extension.nights, ["2026-11-13", "2026-11-14"]);
+
+	// The calendar night carries no commission; the uncalendared one is the
+	// base price plus the hotel's 10% commission.
+	const pricedRows = priceStayNights({ hotel, rooms: reservation().pickedRoomsType, nights: extension.nights });
+	assert.deepEqual(
+		pricedRows[0].map((day) => [day.date, day.price]),
+		[
+			["2026-11-13", 400],
+			["2026-11-14", 385],
+		]
+	);
+
+	const plan = planStayExtension(reservation(), extension, pricedRows, { actor, at });
+	const $set = plan.update.$set;
+	assert.equal($set.total_amount, 1685);
+	assert.equal(plan.amountAdded, 785);
+	assert.equal($set.days_of_residence, 5);
+	assert.equal($set.pickedRoomsType[0].pricingByDay[0].price, 300);
+	assert.equal($set.checkout_date.toISOString(), "2026-11-15T00:00:00.000Z");
+	assert.deepEqual(
+		$set.staySegments.map((segment) => [segment.kind, segment.from, segment.to]),
+		[
+			["original", "2026-11-10", "2026-11-13"],
+			["extension", "2026-11-13", "2026-11-15"],
+		]
+	);
+	assert.equal(plan.update.$push.reservationAuditLog.action, "stay_extended");
+	assert.match(plan.update.$push.reservationAuditLog.note, /2 night\(s\) added for 785 SAR; total 900 -> 1685 SAR; Business trip/);
+
+	assert.throws(() => normalizeExtensionInput({ checkout_date: "2026-11-12" }, reservation()), {
+		code: "stay_checkout_not_later",
+	});
+});
+
+test("a room move splits the stay at the move date and keeps the rate by default", () => {
+	const move = normalizeRoomMoveInput(
+		{ toRoomType: "suite", toDisplayName: "Suite", fromRoomId: roomA, toRoomId: roomB },
+		reservation(),
+		{ today: "2026-11-11" }
+	);
+	assert.equal(move.moveDate, "2026-11-11");
+	assert.deepEqual(move.movedNights, ["2026-11-11", "2026-11-12"]);
+
+	const plan = planRoomMove(reservation(), move, null, { actor, at });
+	const $set = plan.update.$set;
+	assert.equal($set.total_amount, 900);
+	// Inventory counts the double room on the first night and the suite after.
+	assert.deepEqual(
+		$set.pickedRoomsType.map((room) => [room.room_type, room.stayFrom, room.stayTo, room.pricingByDay.length]),
+		[
+			["doubleRooms", "2026-11-10", "2026-11-11", 1],
+			["suite", "2026-11-11", "2026-11-13", 2],
+		]
+	);
+	assert.deepEqual($set.roomId, [roomB]);
+	assert.deepEqual(plan.vacatedRoomIds, [roomA]);
+	assert.deepEqual(
+		$set.staySegments.map((segment) => [segment.kind, segment.from, segment.to, segment.lines[0].room_type]),
+		[
+			["original", "2026-11-10", "2026-11-11", "doubleRooms"],
+			["move", "2026-11-11", "2026-11-13", "suite"],
+		]
+	);
+	assert.match(plan.update.$push.adminChangeLog.note, /rate kept/);
+
+	// Extending afterwards only runs the suite on.
+	const moved = reservation({ ...$set });
+	const extension = normalizeExtensionInput({ checkout_date: "2026-11-14" }, moved);
+	const extended = planStayExtension(moved, extension, [[night("2026-11-13", 500)], [night("2026-11-13", 700)]], {
+		actor,
+		at,
+	}).update.$set;
+	assert.deepEqual(
+		extended.pickedRoomsType.map((room) => [room.room_type, room.stayTo, room.pricingByDay.length]),
+		[
+			["doubleRooms", "2026-11-11", 1],
+			["suite", "2026-11-14", 3],
+		]
+	);
+	assert.equal(extended.total_amount, 1600);
+	assert.deepEqual(
+		extended.staySegments[extended.staySegments.length - 1].lines.map((line) => line.room_type),
+		["suite"]
+	);
+	assert.throws(
+		() => normalizeRoomMoveInput({ lineIndex: 0, toRoomType: "suite", moveDate: "2026-11-12" }, moved, { today: "2026-11-11" }),
+		{ code: "stay_move_date_outside_line" }
+	);
+});
+
+test("a re-priced move only changes the moved nights of the moved room", () => {
+	const twoRooms = reservation({
+		total_amount: 1800,
+		pickedRoomsType: [{ ...reservation().pickedRoomsType[0], count: 2 }],
+	});
+	const move = normalizeRoomMoveInput({ toRoomType: "suite", moveDate: "2026-11-12", reprice: true }, twoRooms, {
+		today: "2026-11-11",
+	});
+	const repriced = priceStayNights({
+		hotel,
+		rooms: [{ room_type: "suite", displayName: "suite" }],
+		nights: move.movedNights,
+	})[0];
+	const plan = planRoomMove(twoRooms, move, repriced, { actor, at });
+	const rooms = plan.update.$set.pickedRoomsType;
+	assert.deepEqual(
+		rooms.map((room) => [room.room_type, room.count, room.stayFrom, room.stayTo]),
+		[
+			["doubleRooms", 1, undefined, undefined],
+			["doubleRooms", 1, "2026-11-10", "2026-11-12"],
+			["suite", 1, "2026-11-12", "2026-11-13"],
+		]
+	);
+	assert.deepEqual(
+		rooms[2].pricingByDay.map((day) => [day.date, day.price]),
+		[["2026-11-12", 770]]
+	);
+	assert.equal(plan.update.$set.total_amount, 2270);
+	assert.equal(plan.amountAdded, 470);
+});
+
+test("moves and extensions are refused where they cannot apply", () => {
+	assert.throws(() => assertStayModifiable(reservation({ reservation_status: "checked_out" })), {
+		code: "stay_reservation_closed",
+	});
+	assert.throws(
+		() => normalizeRoomMoveInput({ toRoomType: "suite", moveDate: "2026-11-10" }, reservation(), { today: "2026-11-11" }),
+		{ code: "stay_move_date_past" }
+	);
+	assert.throws(() => normalizeRoomMoveInput({}, reservation(), { today: "2026-11-11" }), {
+		code: "stay_move_target_required",
+	});
+	assert.throws(
+		() => normalizeRoomMoveInput({ toRoomId: roomB, fromRoomId: roomB }, reservation(), { today: "2026-11-11" }),
+		{ code: "stay_move_room_not_assigned" }
+	);
+	assert.equal(reservationStaySegments(reservation())[0].kind, "original");
+});
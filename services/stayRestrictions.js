@@ -0,0 +1,211 @@
+"use strict";
+
+const moment = require("moment-timezone");
+
+class StayRestrictionError extends Error {
+	constructor(message, code = "stay_restriction_invalid", statusCode = 400) {
+		super(message);
+		this.name = "StayRestrictionError";
+		this.code = code;
+		this.statusCode = statusCode;
+	}
+}
+
+const MAX_RESTRICTION_NIGHTS = 90;
+const MAX_RESTRICTION_DATES = 370;
+const STAY_RESTRICTION_FLAGS = Object.freeze(["closedToArrival", "closedToDeparture", "stopSell"]);
+
+const dayKey = (value) => {
+	if (!value) return "";
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value.slice(0, 10);
+	}
+	const parsed = moment.utc(value);
+	return parsed.isValid() ? parsed.format("YYYY-MM-DD") : "";
+};
+
+const addDays = (key, days) => moment.utc(key).add(days, "days").format("YYYY-MM-DD");
+
+const nightsBetween = (checkin, checkout) =>
+	moment.utc(checkout).diff(moment.utc(checkin), "days");
+
+const optionalNights = (value, label) => {
+	if (value === undefined || value === null || value === "" || value === 0 || value === "0") {
+		return null;
+	}
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_RESTRICTION_NIGHTS) {
+		throw new StayRestrictionError(
+			`${label} must be a whole number of nights between 1 and ${MAX_RESTRICTION_NIGHTS}.`,
+			"stay_restriction_nights_invalid"
+		);
+	}
+	return parsed;
+};
+
+/**
+ * Cleans the restriction an admin wants to apply. A minimum of one night is
+ * the default and is stored as no minimum.
+ */
+const normalizeStayRestrictionValues = (input = {}) => {
+	const minStay = optionalNights(input.minStay, "Minimum stay");
+	const maxStay = optionalNights(input.maxStay, "Maximum stay");
+	if (minStay && maxStay && maxStay < minStay) {
+		throw new StayRestrictionError(
+			"Maximum stay cannot be shorter than the minimum stay.",
+			"stay_restriction_range_invalid"
+		);
+	}
+	return {
+		minStay: minStay && minStay > 1 ? minStay : null,
+		maxStay,
+		closedToArrival: input.closedToArrival === true,
+		closedToDeparture: input.closedToDeparture === true,
+		stopSell: input.stopSell === true,
+	};
+};
+
+const isEmptyStayRestriction = (values = {}) =>
+	!values.minStay && !values.maxStay && STAY_RESTRICTION_FLAGS.every((flag) => values[flag] !== true);
+
+const normalizeStayRestrictionDates = (dates = []) => {
+	const keys = [...new Set((Array.isArray(dates) ? dates : []).map(dayKey).filter(Boolean))].sort();
+	if (!keys.length) {
+		throw new StayRestrictionError("Please select at least one date.", "stay_restriction_dates_required");
+	}
+	if (keys.length > MAX_RESTRICTION_DATES) {
+		throw new StayRestrictionError(
+			`Please select ${MAX_RESTRICTION_DATES} days or fewer at once.`,
+			"stay_restriction_dates_too_many"
+		);
+	}
+	return keys;
+};
+
+/**
+ * Replaces the restriction rows of the selected dates. Empty values clear
+ * those dates, so "no restriction" never leaves a row behind.
+ */
+const mergeStayRestrictionRows = (existing = [], dates = [], values = {}, { at = new Date(), by = null } = {}) => {
+	const dateSet = new Set(dates);
+	const kept = (Array.isArray(existing) ? existing : []).filter(
+		(row) => !dateSet.has(dayKey(row?.calendarDate))
+	);
+	const next = isEmptyStayRestriction(values)
+		? []
+		: dates.map((calendarDate) => ({
+				calendarDate,
+				...values,
+				updatedAt: at,
+				updatedBy: by,
+		  }));
+	return [...kept, ...next].sort((a, b) =>
+		dayKey(a.calendarDate).localeCompare(dayKey(b.calendarDate))
+	);
+};
+
+const stayRestrictionRowsByDate = (room = {}) =>
+	new Map(
+		(Array.isArray(room.stayRestrictions) ? room.stayRestrictions : []).map((row) => [
+			dayKey(row?.calendarDate),
+			row,
+		])
+	);
+
+/**
+ * Checks a stay against the room's restrictions. Minimum and maximum stay
+ * are read from the arrival date; stop-sell applies to every night and
+ * closed-to-departure to the checkout date.
+ */
+const evaluateStayRestrictions = (room = {}, checkinValue, checkoutValue) => {
+	const checkin = dayKey(checkinValue);
+	const checkout = dayKey(checkoutValue);
+	const violations = [];
+	if (!checkin || !checkout || checkout <= checkin) return { allowed: true, violations };
+	const rows = stayRestrictionRowsByDate(room);
+	if (!rows.size) return { allowed: true, violations };
+
+	const nights = nightsBetween(checkin, checkout);
+	const arrival = rows.get(checkin);
+	if (arrival?.closedToArrival === true) {
+		violations.push({ code: "closed_to_arrival", date: checkin });
+	}
+	if (arrival?.minStay && nights < Number(arrival.minStay)) {
+		violations.push({ code: "min_stay", date: checkin, minStay: Number(arrival.minStay), nights });
+	}
+	if (arrival?.maxStay && nights > Number(arrival.maxStay)) {
+		violations.push({ code: "max_stay", date: checkin, maxStay: Number(arrival.maxStay), nights });
+	}
+	for (let date = checkin; date < checkout; date = addDays(date, 1)) {
+		if (rows.get(date)?.stopSell === true) {
+			violations.push({ code: "stop_sell", date });
+			break;
+		}
+	}
+	if (rows.get(checkout)?.closedToDeparture === true) {
+		violations.push({ code: "closed_to_departure", date: checkout });
+	}
+	return { allowed: violations.length === 0, violations };
+};
+
+const describeStayRestrictionViolation = (violation = {}) => {
+	switch (violation.code) {
+		case "closed_to_arrival":
+			return `Arrivals are closed on ${violation.date}.`;
+		case "closed_to_departure":
+			return `Departures are closed on ${violation.date}.`;
+		case "min_stay":
+			return `Stays arriving on ${violation.date} require at least ${violation.minStay} nights.`;
+		case "max_stay":
+			return `Stays arriving on ${violation.date} are limited to ${violation.maxStay} nights.`;
+		case "stop_sell":
+			return `The room is not on sale for ${violation.date}.`;
+		default:
+			return "The stay does not meet the room's restrictions.";
+	}
+};
+
+/**
+ * Collapses per-date restrictions into the date ranges HotelRunner's room
+ * update takes. Every selected date is included, so cleared dates are reset
+ * on the channel. HotelRunner has no maximum stay; that stays local.
+ */
+const buildHotelRunnerRestrictionRanges = (rows = [], dates = []) => {
+	const byDate = new Map((Array.isArray(rows) ? rows : []).map((row) => [dayKey(row?.calendarDate), row]));
+	const ranges = [];
+	[...new Set(dates.map(dayKey).filter(Boolean))].sort().forEach((date) => {
+		const row = byDate.get(date) || {};
+		const values = {
+			minStay: Number(row.minStay) > 1 ? Number(row.minStay) : 1,
+			stopSale: row.stopSell === true,
+			cta: row.closedToArrival === true,
+			ctd: row.closedToDeparture === true,
+		};
+		const last = ranges[ranges.length - 1];
+		if (
+			last &&
+			addDays(last.endDate, 1) === date &&
+			last.minStay === values.minStay &&
+			last.stopSale === values.stopSale &&
+			last.cta === values.cta &&
+			last.ctd === values.ctd
+		) {
+			last.endDate = date;
+			return;
+		}
+		ranges.push({ startDate: date, endDate: date, ...values });
+	});
+	return ranges;
+};
+
+module.exports = {
+	MAX_RESTRICTION_NIGHTS,
+	StayRestrictionError,
+	buildHotelRunnerRestrictionRanges,
+	describeStayRestrictionViolation,
+	evaluateStayRestrictions,
+	isEmptyStayRestriction,
+	mergeStayRestrictionRows,
+	normalizeStayRestrictionDates,
+	normalizeStayRestrictionValues,
+};
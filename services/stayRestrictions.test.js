@@ -0,0 +1,158 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+	StayRestrictionError,
+	buildHotelRunnerRestrictionRanges,
+	describeStayRestrictionViolation,
+	evaluateStayRestrictions,
+	mergeStayRestrictionRows,
+	normalizeStayRestrictionDates,
+	normalizeStayRestrictionValues,
+} = require("./stayRestrictions");
+const { pushStayRestrictionsToHotelRunner } = require("./hotelrunnerRestrictionPush");
+
+const hotelId = "65a000000000000000000001";
+const roomId = "65a0000000000000000000a1";
+
+const room = (stayRestrictions = []) => ({ _id: roomId, roomType: "doubleRooms", stayRestrictions });
+
+test("restriction values are validated and a one-night minimum is dropped", () => {
+	assert.deepEqual(normalizeStayRestrictionValues({ minStay: "5", stopSell: true }), {
+		minStay: 5,
+		maxStay: null,
+		closedToArrival: false,
+		closedToDeparture: false,
+		stopSell: true,
+	});
+	assert.equal(normalizeStayRestrictionValues({ minStay: 1 }).minStay, null);
+	assert.throws(() => normalizeStayRestrictionValues({ minStay: 2.5 }), {
+		code: "stay_restriction_nights_invalid",
+	});
+	assert.throws(() => normalizeStayRestrictionValues({ minStay: 5, maxStay: 3 }), {
+		code: "stay_restriction_range_invalid",
+	});
+	assert.deepEqual(normalizeStayRestrictionDates(["2027-02-11", "2027-02-10T00:00:00.000Z", "2027-02-11"]), [
+		"2027-02-10",
+		"2027-02-11",
+	]);
+	assert.throws(() => normalizeStayRestrictionDates([]), StayRestrictionError);
+});
+
+test("saving replaces the selected dates and empty values clear them", () => {
+	const existing = [
+		{ calendarDate: "2027-02-09", minStay: 3 },
+		{ calendarDate: "2027-02-10", minStay: 3 },
+	];
+	const merged = mergeStayRestrictionRows(existing, ["2027-02-10", "2027-02-11"], normalizeStayRestrictionValues({ minStay: 5 }));
+	assert.deepEqual(
+		merged.map((row) => [row.calendarDate, row.minStay]),
+		[
+			["2027-02-09", 3],
+			["2027-02-10", 5],
+			["2027-02-11", 5],
+		]
+	);
+	const cleared = mergeStayRestrictionRows(merged, ["2027-02-10"], normalizeStayRestrictionValues({}));
+	assert.deepEqual(cleared.map((row) => row.calendarDate), ["2027-02-09", "2027-02-11"]);
+});
+
+test("stays are checked against arrival, nightly and departure rules", () => {
+	const ramadan = room([
+		{ calendarDate: "2027-02-10", minStay: 5, maxStay: 10 },
+		{ calendarDate: "2027-02-12", stopSell: true },
+		{ calendarDate: "2027-02-14", closedToArrival: true, closedToDeparture: true },
+	]);
+	assert.equal(evaluateStayRestrictions(room(), "2027-02-10", "2027-02-11").allowed, true);
+
+	const single = evaluateStayRestrictions(ramadan, "2027-02-10", "2027-02-11");
+	assert.deepEqual(single.violations[0], { code: "min_stay", date: "2027-02-10", minStay: 5, nights: 1 });
+	assert.match(describeStayRestrictionViolation(single.violations[0]), /at least 5 nights/);
+
+	assert.deepEqual(
+		evaluateStayRestrictions(ramadan, "2027-02-10", "2027-02-21").violations.map((item) => item.code),
+		["max_stay", "stop_sell"]
+	);
+	assert.equal(evaluateStayRestrictions(ramadan, "2027-02-11", "2027-02-12").allowed, true);
+	assert.equal(evaluateStayRestrictions(ramadan, "2027-02-11", "2027-02-13").violations[0].code, "stop_sell");
+	assert.deepEqual(
+		evaluateStayRestrictions(ramadan, "2027-02-13", "2027-02-14").violations.map((item) => item.code),
+		["closed_to_departure"]
+	);
+	assert.equal(evaluateStayRestrictions(ramadan, "2027-02-14", "2027-02-15").violations[0].code, "closed_to_arrival");
+});
+
+test("HotelRunner ranges merge equal consecutive days and reset cleared ones", () => {
+	const ranges = buildHotelRunnerRestrictionRanges(
+		[
+			{ calendarDate: "2027-02-10", minStay: 5 },
+			{ calendarDate: "2027-02-11", minStay: 5, maxStay: 7 },
+			{ calendarDate: "2027-02-13", minStay: 5 },
+		],
+		["2027-02-13", "2027-02-10", "2027-02-11", "2027-02-12"]
+	);
+	assert.deepEqual(ranges, [
+		{ startDate: "2027-02-10", endDate: "2027-02-11", minStay: 5, stopSale: false, cta: false, ctd: false },
+		{ startDate: "2027-02-12", endDate: "2027-02-12", minStay: 1, stopSale: false, cta: false, ctd: false },
+		{ startDate: "2027-02-13", endDate: "2027-02-13", minStay: 5, stopSale: false, cta: false, ctd: false },
+	]);
+});
+
+test("HotelRunner push is gated, mapped per room and stops at the first failure", async () => {
+	const config = { integrationEnabled: true, configured: true, restrictionsPushEnabled: true, hotelId };
+	const mappingModel = (invCodes) => ({
+		query: null,
+		find(query) {
+			this.query = query;
+			return { select: () => ({ lean: () => ({ exec: async () => invCodes.map((invCode) => ({ invCode })) }) }) };
+		},
+	});
+	const rows = [{ calendarDate: "2027-02-10", minStay: 5 }];
+	const dates = ["2027-02-10", "2027-02-11"];
+
+	assert.equal(
+		(await pushStayRestrictionsToHotelRunner({ hotelId, roomId, rows, dates }, { config: { ...config, restrictionsPushEnabled: false } })).reason,
+		"restrictions_push_disabled"
+	);
+	assert.equal(
+		(await pushStayRestrictionsToHotelRunner({ hotelId: "65a000000000000000000002", roomId, rows, dates }, { config })).reason,
+		"hotel_not_connected"
+	);
+	assert.equal(
+		(await pushStayRestrictionsToHotelRunner({ hotelId, roomId, rows, dates }, { config, MappingModel: mappingModel([]) })).reason,
+		"room_not_mapped"
+	);
+
+	const calls = [];
+	const MappingModel = mappingModel(["HR-DBL", "HR-DBL-NR"]);
+	const result = await pushStayRestrictionsToHotelRunner(
+		{ hotelId, roomId, rows, dates },
+		{
+			config,
+			MappingModel,
+			createClient: () => ({
+				updateRoomRestrictions: async (update) => {
+					calls.push(update);
+					if (calls.length === 3) {
+						const error = new Error("rate limited");
+						error.code = "HOTELRUNNER_API_RATE_LIMITED";
+						error.retryable = true;
+						throw error;
+					}
+				},
+			}),
+		}
+	);
+	assert.equal(MappingModel.query.localRoomConfigId, roomId);
+	assert.equal(MappingModel.query.status, "active");
+	assert.equal(result.pushed, 2);
+	assert.equal(result.pending, 2);
+	assert.deepEqual(result.failures[0], {
+		invCode: "HR-DBL-NR",
+		startDate: "2027-02-10",
+		endDate: "2027-02-10",
+		code: "HOTELRUNNER_API_RATE_LIMITED",
+		retryable: true,
+	});
+});